@@ -26,14 +26,47 @@ export const config = {
   },
 
   // Monero Wallet RPC for tx verification
-  // check_tx_key requires wallet RPC, not daemon RPC
-  moneroRpcNodes: [
-    'http://127.0.0.1:18083',  // Local wallet RPC (empty wallet, verification only)
-  ],
+  // check_tx_key requires wallet RPC, not daemon RPC.
+  // MONERO_RPC_NODES takes a comma-separated list; mock:// nodes use the
+  // in-process mock backend (development only, see mock-verify-backend.js)
+  moneroRpcNodes: process.env.MONERO_RPC_NODES
+    ? process.env.MONERO_RPC_NODES.split(',').map(s => s.trim()).filter(Boolean)
+    : [
+        'http://127.0.0.1:18083',  // Local wallet RPC (empty wallet, verification only)
+      ],
+
+  // Monero daemon RPC, used by wallet-rpc (set_daemon) and for re-checking
+  // provisional payments against the chain (reorgs / double spends)
+  moneroDaemonRpc: process.env.MONERO_DAEMON_RPC || 'http://127.0.0.1:18081',
+
+  // Separate Wallet RPC (started with --wallet-dir) that holds creators'
+  // view-only wallets for subaddress-per-purchase payment detection.
+  // Kept apart from the verifier above so opening wallets never races a
+  // check_tx_key call.
+  paywallWalletRpc: process.env.PAYWALL_WALLET_RPC || 'http://127.0.0.1:18084',
+  paywallWalletPassword: process.env.PAYWALL_WALLET_PASSWORD || '',
 
   // Verification settings
   verification: {
-    minConfirmations: 0, // Accept unconfirmed transactions
+    // Number of nodes that must verify a proof and agree on the amount
+    quorum: parseInt(process.env.VERIFY_QUORUM, 10) || 1,
+    minConfirmations: 0, // Floor for every tier below
+    // Confirmations needed before a payment is accepted, by amount. Small
+    // amounts can unlock straight from the mempool; larger ones wait for
+    // blocks so a double spend isn't worth the effort.
+    confirmationPolicy: [
+      { upToXmr: 0.05, confirmations: 0 },
+      { upToXmr: 0.5, confirmations: 1 },
+      { upToXmr: 5, confirmations: 3 },
+      { upToXmr: Infinity, confirmations: 10 }
+    ],
+    // Accepted payments stay provisional (re-checked in the background and
+    // revoked if the tx vanishes or is double-spent) until this deep
+    finalConfirmations: 10,
+    reverifyIntervalMs: 2 * 60 * 1000,
+    // A provisional tx missing from the daemon is only revoked once it has
+    // been verified at least this long ago (propagation / node restarts)
+    missingTxGraceMs: 20 * 60 * 1000,
     timeout: 30000, // 30 seconds timeout for RPC calls
     saltSecret: (() => {
       const salt = process.env.HASH_SALT;
@@ -44,6 +77,36 @@ export const config = {
     })()
   },
 
+  // Kind 9736 tip disclosures are copied from the Nosmero relay into SQLite
+  // for the leaderboards and creator tip pages (see tip-index.js)
+  tipIndex: {
+    enabled: process.env.TIP_INDEX_ENABLED !== 'false',
+    relayUrl: process.env.TIP_INDEX_RELAY || 'wss://nosmero.com/nip78-relay',
+    pollIntervalMs: 60 * 1000,
+    // Re-read this far behind the newest stored tip so late-arriving
+    // events (clock skew, slow relays) aren't missed
+    overlapSeconds: 10 * 60,
+    pageSize: 500
+  },
+
+  // Full-text search (search-index.js): notes, comments and articles copied
+  // from these relays into SQLite for /api/search
+  searchIndex: {
+    enabled: process.env.SEARCH_INDEX_ENABLED !== 'false',
+    relays: process.env.SEARCH_INDEX_RELAYS
+      ? process.env.SEARCH_INDEX_RELAYS.split(',').map(url => url.trim()).filter(Boolean)
+      : ['wss://nosmero.com/nip78-relay', 'wss://relay.damus.io', 'wss://nos.lol', 'wss://relay.primal.net'],
+    pollIntervalMs: 2 * 60 * 1000,
+    overlapSeconds: 10 * 60,
+    // How far back a relay is read the first time it's indexed
+    backfillSeconds: 24 * 60 * 60,
+    pageSize: 500,
+    maxPagesPerRun: 20,
+    // Notes and comments older than this are pruned; articles are kept
+    retentionDays: parseInt(process.env.SEARCH_INDEX_RETENTION_DAYS, 10) || 180,
+    maxContentLength: 100 * 1000
+  },
+
   // Paywall encryption key for encrypting decryption keys at rest
   // IMPORTANT: Set PAYWALL_ENCRYPTION_KEY in .env for production
   paywallEncryptionKey: process.env.PAYWALL_ENCRYPTION_KEY || null
@@ -1,12 +1,14 @@
 /**
  * Nosmero Auth - SQLite Database Module
  *
- * Handles user storage for email/username login.
+ * Handles user storage for email/username login, IPFS pins and paywall
+ * records (paywalls, purchases, unlocks, payments).
  * Uses better-sqlite3 for synchronous, fast SQLite operations.
  */
 
 import Database from 'better-sqlite3';
 import path from 'path';
+import fs from 'fs';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import bcrypt from 'bcrypt';
@@ -18,6 +20,11 @@ const BCRYPT_ROUNDS = 10;
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DB_PATH = path.join(__dirname, 'data', 'nosmero.db');
 
+// Ensure data directory exists
+if (!fs.existsSync(path.dirname(DB_PATH))) {
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+}
+
 // Initialize database
 const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');  // Better concurrent access
@@ -88,6 +95,233 @@ db.exec(`
     created_at  INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
   );
 
+  -- Paywall tables. Timestamps here are milliseconds (Date.now()) rather
+  -- than seconds because they were carried over verbatim from the original
+  -- paywalls.json / purchases.json files and are returned to the client
+  -- as-is. decryption_key is the AES key encrypted at rest by paywall.js.
+  CREATE TABLE IF NOT EXISTS paywalls (
+    note_id           TEXT PRIMARY KEY,
+    creator_pubkey    TEXT NOT NULL,
+    payment_address   TEXT NOT NULL,
+    price_xmr         REAL NOT NULL,
+    decryption_key    TEXT NOT NULL,
+    preview           TEXT NOT NULL DEFAULT '',
+    encrypted_content TEXT NOT NULL DEFAULT '',
+    total_sales       INTEGER NOT NULL DEFAULT 0,
+    total_revenue     REAL NOT NULL DEFAULT 0,
+    access_days       INTEGER,
+    created_at        INTEGER NOT NULL,
+    updated_at        INTEGER
+  );
+
+  -- One row per initiatePurchase call. Pending rows expire after an hour
+  -- (subaddress ones after a day, plus a grace period for late payments)
+  -- and are marked 'expired' by expireStalePurchases (kept for the
+  -- creator dashboard's conversion numbers, then dropped after 180 days).
+  CREATE TABLE IF NOT EXISTS paywall_purchases (
+    purchase_id     TEXT PRIMARY KEY,
+    note_id         TEXT NOT NULL,
+    buyer_pubkey    TEXT NOT NULL,
+    creator_pubkey  TEXT NOT NULL,
+    payment_address TEXT NOT NULL,
+    price_xmr       REAL NOT NULL,
+    status          TEXT NOT NULL DEFAULT 'pending',
+    txid            TEXT,
+    offer_id        TEXT,
+    created_at      INTEGER NOT NULL,
+    expires_at      INTEGER NOT NULL,
+    completed_at    INTEGER
+  );
+
+  -- One row per (note, buyer). The composite primary key is what makes
+  -- concurrent verifyAndUnlock calls safe: the second INSERT is ignored.
+  CREATE TABLE IF NOT EXISTS paywall_unlocks (
+    note_id       TEXT NOT NULL,
+    buyer_pubkey  TEXT NOT NULL,
+    txid          TEXT,
+    amount        REAL,
+    confirmations INTEGER,
+    unlocked_at   INTEGER NOT NULL,
+    expires_at    INTEGER,
+    PRIMARY KEY (note_id, buyer_pubkey)
+  );
+
+  -- Creator offers sold on top of per-note prices:
+  --   kind 'pass'   = every paywalled note by creator_pubkey
+  --   kind 'bundle' = the notes listed in paywall_offer_notes
+  -- duration_days NULL means access never expires. Deactivated offers can't
+  -- be bought any more but existing grants keep working.
+  CREATE TABLE IF NOT EXISTS paywall_offers (
+    offer_id        TEXT PRIMARY KEY,
+    creator_pubkey  TEXT NOT NULL,
+    kind            TEXT NOT NULL CHECK (kind IN ('pass', 'bundle')),
+    title           TEXT NOT NULL DEFAULT '',
+    price_xmr       REAL NOT NULL,
+    payment_address TEXT NOT NULL,
+    duration_days   INTEGER,
+    active          INTEGER NOT NULL DEFAULT 1,
+    created_at      INTEGER NOT NULL,
+    updated_at      INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS paywall_offer_notes (
+    offer_id  TEXT NOT NULL,
+    note_id   TEXT NOT NULL,
+    PRIMARY KEY (offer_id, note_id)
+  );
+
+  -- One row per verified offer payment. txid is UNIQUE so the same payment
+  -- can't be replayed to extend a pass. Renewals start where the previous
+  -- grant for the same offer ends.
+  CREATE TABLE IF NOT EXISTS paywall_grants (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    offer_id        TEXT NOT NULL,
+    buyer_pubkey    TEXT NOT NULL,
+    creator_pubkey  TEXT NOT NULL,
+    txid            TEXT UNIQUE NOT NULL,
+    amount          REAL,
+    confirmations   INTEGER,
+    granted_at      INTEGER NOT NULL,
+    expires_at      INTEGER
+  );
+
+  -- Ledger of every verified payment (per-note unlocks and offer grants),
+  -- used for the creator dashboard and CSV export. Unlike paywall_unlocks,
+  -- a rental renewal adds a row here instead of replacing one.
+  CREATE TABLE IF NOT EXISTS paywall_payments (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    creator_pubkey  TEXT NOT NULL,
+    buyer_pubkey    TEXT NOT NULL,
+    note_id         TEXT,
+    offer_id        TEXT,
+    txid            TEXT UNIQUE,
+    amount          REAL NOT NULL DEFAULT 0,
+    confirmations   INTEGER,
+    verified_at     INTEGER NOT NULL
+  );
+
+  -- Buyers opt in to being listed among a creator's top supporters.
+  CREATE TABLE IF NOT EXISTS paywall_buyer_prefs (
+    buyer_pubkey  TEXT PRIMARY KEY,
+    show_publicly INTEGER NOT NULL DEFAULT 0,
+    updated_at    INTEGER NOT NULL
+  );
+
+  -- Creators who opted in to automatic payment detection. view_key is the
+  -- private view key, encrypted at rest by paywall.js like decryption_key;
+  -- wallet_file is the matching view-only wallet on the detection
+  -- wallet-rpc (recreated from these keys if it goes missing).
+  CREATE TABLE IF NOT EXISTS paywall_view_keys (
+    creator_pubkey  TEXT PRIMARY KEY,
+    primary_address TEXT NOT NULL,
+    view_key        TEXT NOT NULL,
+    wallet_file     TEXT NOT NULL,
+    restore_height  INTEGER NOT NULL DEFAULT 0,
+    created_at      INTEGER NOT NULL,
+    updated_at      INTEGER NOT NULL
+  );
+
+  -- Tip proofs checked by /api/verify-and-publish (kind 9736 disclosures).
+  -- Like paywall payments they start 'provisional' and are re-checked until
+  -- final, or 'revoked' if the tx disappears or is double-spent. One row per
+  -- (txid, recipient): a split tip pays several recipients in one tx.
+  -- recipient_pubkey is '' when the client didn't say who was tipped.
+  CREATE TABLE IF NOT EXISTS tip_verifications (
+    txid              TEXT NOT NULL,
+    proof_hash        TEXT NOT NULL,
+    recipient_address TEXT NOT NULL,
+    recipient_pubkey  TEXT NOT NULL DEFAULT '',
+    tipper_pubkey     TEXT,
+    note_id           TEXT,
+    amount            REAL NOT NULL,
+    confirmations     INTEGER NOT NULL DEFAULT 0,
+    status            TEXT NOT NULL DEFAULT 'provisional',
+    verified_at       INTEGER NOT NULL,
+    settled_at        INTEGER,
+    PRIMARY KEY (txid, recipient_pubkey)
+  );
+
+  -- Kind 9736 tip disclosures copied from the Nosmero relay by tip-index.js
+  -- for leaderboards. tipper_pubkey is NULL for anonymous tips - the event
+  -- author is never stored for them. One row per (txid, recipient, note):
+  -- re-published disclosures of the same payment count once.
+  CREATE TABLE IF NOT EXISTS tip_events (
+    event_id         TEXT PRIMARY KEY,
+    tipper_pubkey    TEXT,
+    recipient_pubkey TEXT NOT NULL,
+    note_id          TEXT,
+    stream_ref       TEXT,
+    amount           REAL NOT NULL,
+    txid             TEXT NOT NULL,
+    proof_claimed    INTEGER NOT NULL DEFAULT 0,
+    created_at       INTEGER NOT NULL,
+    ingested_at      INTEGER NOT NULL
+  );
+
+  -- Notes, comments and articles copied from relays by search-index.js for
+  -- /api/search. search_fts indexes title + content and is kept in step by
+  -- the triggers below. Only the newest version of an article (pubkey +
+  -- d tag) is kept.
+  CREATE TABLE IF NOT EXISTS search_events (
+    id           INTEGER PRIMARY KEY,
+    event_id     TEXT NOT NULL UNIQUE,
+    pubkey       TEXT NOT NULL,
+    kind         INTEGER NOT NULL,
+    d_tag        TEXT,
+    title        TEXT NOT NULL DEFAULT '',
+    content      TEXT NOT NULL,
+    tags         TEXT NOT NULL,           -- JSON array, as signed
+    sig          TEXT NOT NULL,
+    created_at   INTEGER NOT NULL,
+    ingested_at  INTEGER NOT NULL
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS search_fts USING fts5(
+    title, content,
+    content = 'search_events', content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS search_events_fts_insert AFTER INSERT ON search_events BEGIN
+    INSERT INTO search_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS search_events_fts_delete AFTER DELETE ON search_events BEGIN
+    INSERT INTO search_fts (search_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+  END;
+
+  -- Lowercased t tags of indexed events, for #hashtag queries
+  CREATE TABLE IF NOT EXISTS search_hashtags (
+    event_id  TEXT NOT NULL REFERENCES search_events(event_id) ON DELETE CASCADE,
+    hashtag   TEXT NOT NULL,
+    PRIMARY KEY (hashtag, event_id)
+  );
+
+  -- Kind 5 deletions seen by the indexer. ref is an event id or an article
+  -- address (30023:pubkey:d); either only applies to its author's events.
+  CREATE TABLE IF NOT EXISTS search_deletions (
+    ref         TEXT NOT NULL,
+    pubkey      TEXT NOT NULL,
+    created_at  INTEGER NOT NULL,
+    PRIMARY KEY (ref, pubkey)
+  );
+
+  -- Per-relay ingest cursor for the search index
+  CREATE TABLE IF NOT EXISTS search_index_relays (
+    relay_url          TEXT PRIMARY KEY,
+    latest_created_at  INTEGER,
+    events_added       INTEGER NOT NULL DEFAULT 0,
+    last_run_at        INTEGER,
+    last_error         TEXT
+  );
+
+  -- Named one-shot data migrations (see runMigrationOnce). Column
+  -- additions keep using the ALTER TABLE try/catch pattern below.
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    name        TEXT PRIMARY KEY,
+    applied_at  INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+  );
+
   -- Indexes for fast lookups
   CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
   CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -98,6 +332,26 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_audit_user ON audit_log(user_id);
   CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log(timestamp);
   CREATE INDEX IF NOT EXISTS idx_ipfs_pins_pubkey ON ipfs_pins(pubkey, created_at DESC);
+  CREATE INDEX IF NOT EXISTS idx_paywalls_creator ON paywalls(creator_pubkey);
+  CREATE INDEX IF NOT EXISTS idx_paywall_purchases_note ON paywall_purchases(note_id);
+  CREATE INDEX IF NOT EXISTS idx_paywall_purchases_buyer ON paywall_purchases(buyer_pubkey);
+  CREATE INDEX IF NOT EXISTS idx_paywall_purchases_creator ON paywall_purchases(creator_pubkey);
+  CREATE INDEX IF NOT EXISTS idx_paywall_purchases_expiry ON paywall_purchases(status, expires_at);
+  CREATE INDEX IF NOT EXISTS idx_paywall_unlocks_buyer ON paywall_unlocks(buyer_pubkey, unlocked_at DESC);
+  CREATE INDEX IF NOT EXISTS idx_paywall_offers_creator ON paywall_offers(creator_pubkey);
+  CREATE INDEX IF NOT EXISTS idx_paywall_offer_notes_note ON paywall_offer_notes(note_id);
+  CREATE INDEX IF NOT EXISTS idx_paywall_grants_buyer ON paywall_grants(buyer_pubkey, offer_id);
+  CREATE INDEX IF NOT EXISTS idx_paywall_grants_creator ON paywall_grants(creator_pubkey);
+  CREATE INDEX IF NOT EXISTS idx_paywall_payments_creator ON paywall_payments(creator_pubkey, verified_at);
+  CREATE INDEX IF NOT EXISTS idx_tip_events_created ON tip_events(created_at);
+  CREATE INDEX IF NOT EXISTS idx_tip_events_recipient ON tip_events(recipient_pubkey, created_at);
+  CREATE INDEX IF NOT EXISTS idx_tip_events_tipper ON tip_events(tipper_pubkey, created_at);
+  CREATE INDEX IF NOT EXISTS idx_tip_events_note ON tip_events(note_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_tip_events_payment ON tip_events(txid, recipient_pubkey, COALESCE(note_id, ''));
+  CREATE INDEX IF NOT EXISTS idx_search_events_created ON search_events(created_at);
+  CREATE INDEX IF NOT EXISTS idx_search_events_author ON search_events(pubkey, created_at);
+  CREATE INDEX IF NOT EXISTS idx_search_events_article ON search_events(pubkey, d_tag) WHERE kind = 30023;
+  CREATE INDEX IF NOT EXISTS idx_search_hashtags_event ON search_hashtags(event_id);
 `);
 
 // Migration: Add password_salt column if it doesn't exist
@@ -122,6 +376,81 @@ try {
   }
 }
 
+/**
+ * Add a column to an existing table, ignoring "already exists" errors so
+ * the same migration can run on every start.
+ * @param {string} table
+ * @param {string} columnDef - e.g. "expires_at INTEGER"
+ */
+function addColumnIfMissing(table, columnDef) {
+  try {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${columnDef}`);
+    console.log(`[DB] Migration: Added ${table}.${columnDef.split(' ')[0]} column`);
+  } catch (error) {
+    if (!error.message.includes('duplicate column name')) {
+      throw error;
+    }
+  }
+}
+
+// Migration: tiered / time-limited paywall pricing. NULL access_days and
+// expires_at keep the original "unlock forever" behaviour.
+addColumnIfMissing('paywalls', 'access_days INTEGER');
+addColumnIfMissing('paywall_unlocks', 'expires_at INTEGER');
+addColumnIfMissing('paywall_purchases', 'offer_id TEXT');
+
+// Migration: subaddress-per-purchase payment detection. Purchases without a
+// subaddress keep using the txid / tx_key proof flow.
+addColumnIfMissing('paywall_purchases', 'subaddress TEXT');
+addColumnIfMissing('paywall_purchases', 'subaddress_index INTEGER');
+addColumnIfMissing('paywall_purchases', 'subaddress_wallet TEXT');
+addColumnIfMissing('paywall_purchases', 'received_xmr REAL');
+
+// Migration: confirmation-depth policy. Payments accepted before they're
+// finalConfirmations deep are 'provisional' and can still be 'revoked';
+// everything recorded before this existed counts as final.
+addColumnIfMissing('paywall_unlocks', "status TEXT NOT NULL DEFAULT 'final'");
+addColumnIfMissing('paywall_grants', "status TEXT NOT NULL DEFAULT 'final'");
+addColumnIfMissing('paywall_payments', "status TEXT NOT NULL DEFAULT 'final'");
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_paywall_payments_status ON paywall_payments(status);
+  CREATE INDEX IF NOT EXISTS idx_tip_verifications_status ON tip_verifications(status);
+`);
+
+// Migration: a subaddress purchase paid in several transactions gets a
+// ledger row for each, so none of them can be claimed again. The extra rows
+// point at the main one (part_of_txid) and don't count as sales of their own.
+addColumnIfMissing('paywall_payments', 'part_of_txid TEXT');
+
+// Migration: tip verifications were keyed on txid alone, so only one
+// recipient of a split tip kept its row. SQLite can't change a primary key
+// in place, so the table is rebuilt.
+runMigrationOnce('tip_verifications_per_recipient', () => {
+  db.exec(`
+    CREATE TABLE tip_verifications_rekeyed (
+      txid              TEXT NOT NULL,
+      proof_hash        TEXT NOT NULL,
+      recipient_address TEXT NOT NULL,
+      recipient_pubkey  TEXT NOT NULL DEFAULT '',
+      tipper_pubkey     TEXT,
+      note_id           TEXT,
+      amount            REAL NOT NULL,
+      confirmations     INTEGER NOT NULL DEFAULT 0,
+      status            TEXT NOT NULL DEFAULT 'provisional',
+      verified_at       INTEGER NOT NULL,
+      settled_at        INTEGER,
+      PRIMARY KEY (txid, recipient_pubkey)
+    );
+    INSERT OR IGNORE INTO tip_verifications_rekeyed
+      SELECT txid, proof_hash, recipient_address, COALESCE(recipient_pubkey, ''), tipper_pubkey,
+             note_id, amount, confirmations, status, verified_at, settled_at
+      FROM tip_verifications;
+    DROP TABLE tip_verifications;
+    ALTER TABLE tip_verifications_rekeyed RENAME TO tip_verifications;
+    CREATE INDEX IF NOT EXISTS idx_tip_verifications_status ON tip_verifications(status);
+  `);
+});
+
 console.log('[DB] SQLite database initialized at', DB_PATH);
 
 // ==================== TRANSACTION SUPPORT ====================
@@ -139,6 +468,26 @@ export function withTransaction(callback) {
   return transaction();
 }
 
+/**
+ * Run a named one-shot migration exactly once. The callback runs inside a
+ * transaction together with the bookkeeping row, so a failed migration is
+ * rolled back and retried on next start.
+ * @param {string} name - Unique migration name
+ * @param {Function} callback - Migration body (synchronous)
+ * @returns {boolean} True if the migration ran now, false if already applied
+ */
+export function runMigrationOnce(name, callback) {
+  const applied = db.prepare(`SELECT 1 FROM schema_migrations WHERE name = ?`).get(name);
+  if (applied) return false;
+
+  withTransaction(() => {
+    callback();
+    db.prepare(`INSERT INTO schema_migrations (name) VALUES (?)`).run(name);
+  });
+  console.log(`[DB] Migration: ${name} applied`);
+  return true;
+}
+
 // ==================== NORMALIZATION HELPERS ====================
 
 /**
@@ -958,3 +1307,1646 @@ export function getIpfsQuotaUsedBytes(pubkey) {
   const row = ipfsStatements.sumBytesByPubkey.get(pubkey);
   return row ? row.used : 0;
 }
+
+// ==================== PAYWALLS ====================
+
+const paywallStatements = {
+  upsert: db.prepare(`
+    INSERT INTO paywalls (
+      note_id, creator_pubkey, payment_address, price_xmr, decryption_key,
+      preview, encrypted_content, total_sales, total_revenue, access_days,
+      created_at, updated_at
+    ) VALUES (
+      @note_id, @creator_pubkey, @payment_address, @price_xmr, @decryption_key,
+      @preview, @encrypted_content, @total_sales, @total_revenue, @access_days,
+      @created_at, @updated_at
+    )
+    ON CONFLICT(note_id) DO UPDATE SET
+      payment_address = excluded.payment_address,
+      price_xmr = excluded.price_xmr,
+      access_days = excluded.access_days,
+      decryption_key = excluded.decryption_key,
+      preview = excluded.preview,
+      encrypted_content = excluded.encrypted_content,
+      updated_at = excluded.updated_at
+  `),
+  getByNoteId: db.prepare(`SELECT * FROM paywalls WHERE note_id = ?`),
+  listByCreator: db.prepare(`
+    SELECT * FROM paywalls WHERE creator_pubkey = ? ORDER BY created_at DESC
+  `),
+  deleteByNoteId: db.prepare(`DELETE FROM paywalls WHERE note_id = ?`),
+  addSale: db.prepare(`
+    UPDATE paywalls
+    SET total_sales = total_sales + 1, total_revenue = total_revenue + ?
+    WHERE note_id = ?
+  `),
+  creatorTotals: db.prepare(`
+    SELECT COUNT(*) AS totalPaywalls,
+           COALESCE(SUM(total_sales), 0) AS totalSales,
+           COALESCE(SUM(total_revenue), 0) AS totalRevenue
+    FROM paywalls WHERE creator_pubkey = ?
+  `),
+
+  insertPurchase: db.prepare(`
+    INSERT OR IGNORE INTO paywall_purchases (
+      purchase_id, note_id, buyer_pubkey, creator_pubkey, payment_address,
+      price_xmr, status, txid, offer_id, subaddress, subaddress_index,
+      subaddress_wallet, created_at, expires_at, completed_at
+    ) VALUES (
+      @purchase_id, @note_id, @buyer_pubkey, @creator_pubkey, @payment_address,
+      @price_xmr, @status, @txid, @offer_id, @subaddress, @subaddress_index,
+      @subaddress_wallet, @created_at, @expires_at, @completed_at
+    )
+  `),
+  getPurchase: db.prepare(`SELECT * FROM paywall_purchases WHERE purchase_id = ?`),
+  completePurchase: db.prepare(`
+    UPDATE paywall_purchases
+    SET status = 'completed', completed_at = ?, txid = ?
+    WHERE purchase_id = ?
+  `),
+  // Only purchases whose creator still has detection enabled on that wallet.
+  // Watched past expires_at until expirePurchases gives up on them.
+  pendingSubaddressPurchases: db.prepare(`
+    SELECT * FROM paywall_purchases
+    WHERE status = 'pending'
+      AND subaddress_wallet IN (SELECT wallet_file FROM paywall_view_keys)
+  `),
+  setPurchaseReceived: db.prepare(`
+    UPDATE paywall_purchases SET received_xmr = ? WHERE purchase_id = ?
+  `),
+  expirePurchases: db.prepare(`
+    UPDATE paywall_purchases SET status = 'expired'
+    WHERE status = 'pending'
+      AND expires_at < (CASE WHEN subaddress IS NULL THEN @now ELSE @now - @grace END)
+  `),
+  deleteOldPurchases: db.prepare(`
+    DELETE FROM paywall_purchases WHERE status = 'expired' AND expires_at < ?
+  `),
+
+  insertUnlock: db.prepare(`
+    INSERT OR IGNORE INTO paywall_unlocks (
+      note_id, buyer_pubkey, txid, amount, confirmations, unlocked_at, expires_at
+    ) VALUES (
+      @note_id, @buyer_pubkey, @txid, @amount, @confirmations, @unlocked_at, @expires_at
+    )
+  `),
+  // Rentals: an expired (or revoked) unlock is replaced by the renewal, an
+  // active one is left alone. The txid guard stops the old payment being
+  // replayed; recordUnlock also turns away any payment already in the ledger.
+  upsertUnlock: db.prepare(`
+    INSERT INTO paywall_unlocks (
+      note_id, buyer_pubkey, txid, amount, confirmations, unlocked_at, expires_at, status
+    ) VALUES (
+      @note_id, @buyer_pubkey, @txid, @amount, @confirmations, @unlocked_at, @expires_at, @status
+    )
+    ON CONFLICT(note_id, buyer_pubkey) DO UPDATE SET
+      txid = excluded.txid,
+      amount = excluded.amount,
+      confirmations = excluded.confirmations,
+      unlocked_at = excluded.unlocked_at,
+      expires_at = excluded.expires_at,
+      status = excluded.status
+    WHERE (
+        paywall_unlocks.status = 'revoked'
+        OR (paywall_unlocks.expires_at IS NOT NULL AND paywall_unlocks.expires_at <= excluded.unlocked_at)
+      )
+      AND paywall_unlocks.txid IS NOT excluded.txid
+  `),
+  getUnlock: db.prepare(`
+    SELECT * FROM paywall_unlocks WHERE note_id = ? AND buyer_pubkey = ?
+  `),
+  listUnlocksByBuyer: db.prepare(`
+    SELECT * FROM paywall_unlocks
+    WHERE buyer_pubkey = ? AND status != 'revoked'
+    ORDER BY unlocked_at DESC
+  `),
+
+  upsertOffer: db.prepare(`
+    INSERT INTO paywall_offers (
+      offer_id, creator_pubkey, kind, title, price_xmr, payment_address,
+      duration_days, active, created_at, updated_at
+    ) VALUES (
+      @offer_id, @creator_pubkey, @kind, @title, @price_xmr, @payment_address,
+      @duration_days, 1, @created_at, @updated_at
+    )
+    ON CONFLICT(offer_id) DO UPDATE SET
+      title = excluded.title,
+      price_xmr = excluded.price_xmr,
+      payment_address = excluded.payment_address,
+      duration_days = excluded.duration_days,
+      active = 1,
+      updated_at = excluded.updated_at
+  `),
+  getOffer: db.prepare(`SELECT * FROM paywall_offers WHERE offer_id = ?`),
+  listOffersByCreator: db.prepare(`
+    SELECT * FROM paywall_offers WHERE creator_pubkey = ? AND active = 1 ORDER BY price_xmr ASC
+  `),
+  // Active offers that would unlock a given note: the creator's passes plus
+  // any bundle that lists the note.
+  listOffersForNote: db.prepare(`
+    SELECT o.* FROM paywall_offers o
+    WHERE o.active = 1 AND (
+      (o.kind = 'pass' AND o.creator_pubkey = (SELECT creator_pubkey FROM paywalls WHERE note_id = @note_id))
+      OR (o.kind = 'bundle' AND EXISTS (
+        SELECT 1 FROM paywall_offer_notes n WHERE n.offer_id = o.offer_id AND n.note_id = @note_id
+      ))
+    )
+    ORDER BY o.price_xmr ASC
+  `),
+  deactivateOffer: db.prepare(`
+    UPDATE paywall_offers SET active = 0, updated_at = ? WHERE offer_id = ?
+  `),
+  clearOfferNotes: db.prepare(`DELETE FROM paywall_offer_notes WHERE offer_id = ?`),
+  insertOfferNote: db.prepare(`
+    INSERT OR IGNORE INTO paywall_offer_notes (offer_id, note_id) VALUES (?, ?)
+  `),
+  listOfferNotes: db.prepare(`SELECT note_id FROM paywall_offer_notes WHERE offer_id = ?`),
+
+  insertGrant: db.prepare(`
+    INSERT OR IGNORE INTO paywall_grants (
+      offer_id, buyer_pubkey, creator_pubkey, txid, amount, confirmations, granted_at, expires_at, status
+    ) VALUES (
+      @offer_id, @buyer_pubkey, @creator_pubkey, @txid, @amount, @confirmations, @granted_at, @expires_at, @status
+    )
+  `),
+  latestGrantExpiry: db.prepare(`
+    SELECT MAX(expires_at) AS expires_at FROM paywall_grants
+    WHERE offer_id = ? AND buyer_pubkey = ? AND expires_at IS NOT NULL AND status != 'revoked'
+  `),
+  // Best grant (never-expiring first, then latest expiry) covering a note.
+  // Grants from deactivated offers still count.
+  getActiveGrantForNote: db.prepare(`
+    SELECT g.*, o.kind, o.title FROM paywall_grants g
+    JOIN paywall_offers o ON o.offer_id = g.offer_id
+    WHERE g.buyer_pubkey = @buyer_pubkey
+      AND g.status != 'revoked'
+      AND (g.expires_at IS NULL OR g.expires_at > @now)
+      AND (
+        (o.kind = 'pass' AND o.creator_pubkey = (SELECT creator_pubkey FROM paywalls WHERE note_id = @note_id))
+        OR (o.kind = 'bundle' AND EXISTS (
+          SELECT 1 FROM paywall_offer_notes n WHERE n.offer_id = o.offer_id AND n.note_id = @note_id
+        ))
+      )
+    ORDER BY g.expires_at IS NULL DESC, g.expires_at DESC
+    LIMIT 1
+  `),
+  listGrantsByBuyer: db.prepare(`
+    SELECT g.*, o.kind, o.title FROM paywall_grants g
+    JOIN paywall_offers o ON o.offer_id = g.offer_id
+    WHERE g.buyer_pubkey = ? AND g.status != 'revoked' ORDER BY g.granted_at DESC
+  `),
+  insertPayment: db.prepare(`
+    INSERT OR IGNORE INTO paywall_payments (
+      creator_pubkey, buyer_pubkey, note_id, offer_id, txid, amount, confirmations, verified_at, status, part_of_txid
+    ) VALUES (
+      @creator_pubkey, @buyer_pubkey, @note_id, @offer_id, @txid, @amount, @confirmations, @verified_at, @status, @part_of_txid
+    )
+  `),
+  // Copies unlocks/grants that predate the ledger into it. txid is UNIQUE,
+  // so running this again only adds rows that are still missing.
+  backfillUnlockPayments: db.prepare(`
+    INSERT OR IGNORE INTO paywall_payments (
+      creator_pubkey, buyer_pubkey, note_id, offer_id, txid, amount, confirmations, verified_at
+    )
+    SELECT p.creator_pubkey, u.buyer_pubkey, u.note_id, NULL, u.txid,
+           COALESCE(u.amount, 0), u.confirmations, u.unlocked_at
+    FROM paywall_unlocks u JOIN paywalls p ON p.note_id = u.note_id
+    WHERE u.txid IS NOT NULL
+  `),
+  backfillGrantPayments: db.prepare(`
+    INSERT OR IGNORE INTO paywall_payments (
+      creator_pubkey, buyer_pubkey, note_id, offer_id, txid, amount, confirmations, verified_at
+    )
+    SELECT creator_pubkey, buyer_pubkey, NULL, offer_id, txid,
+           COALESCE(amount, 0), confirmations, granted_at
+    FROM paywall_grants
+  `),
+  listCreatorPayments: db.prepare(`
+    SELECT pay.*, o.kind AS offer_kind, o.title AS offer_title
+    FROM paywall_payments pay
+    LEFT JOIN paywall_offers o ON o.offer_id = pay.offer_id
+    WHERE pay.creator_pubkey = ? ORDER BY pay.verified_at ASC
+  `),
+  // Daily buckets in UTC
+  creatorPaymentsByDay: db.prepare(`
+    SELECT (verified_at / 86400000) * 86400000 AS day,
+           SUM(part_of_txid IS NULL) AS unlocks,
+           COALESCE(SUM(amount), 0) AS revenue
+    FROM paywall_payments
+    WHERE creator_pubkey = ? AND verified_at >= ? AND status != 'revoked'
+    GROUP BY day ORDER BY day ASC
+  `),
+  creatorNoteBreakdown: db.prepare(`
+    SELECT p.note_id, p.preview, p.price_xmr, p.access_days, p.total_sales,
+           p.total_revenue, p.created_at,
+           COUNT(pu.purchase_id) AS initiated,
+           COALESCE(SUM(pu.status = 'completed'), 0) AS completed
+    FROM paywalls p
+    LEFT JOIN paywall_purchases pu ON pu.note_id = p.note_id AND pu.offer_id IS NULL
+    WHERE p.creator_pubkey = ?
+    GROUP BY p.note_id
+    ORDER BY p.total_revenue DESC, p.created_at DESC
+  `),
+  creatorOfferBreakdown: db.prepare(`
+    SELECT o.offer_id, o.kind, o.title, o.price_xmr, o.duration_days, o.active,
+           (SELECT COUNT(*) FROM paywall_grants g WHERE g.offer_id = o.offer_id AND g.status != 'revoked') AS sales,
+           (SELECT COALESCE(SUM(g.amount), 0) FROM paywall_grants g WHERE g.offer_id = o.offer_id AND g.status != 'revoked') AS revenue,
+           (SELECT COUNT(*) FROM paywall_purchases pu WHERE pu.offer_id = o.offer_id) AS initiated,
+           (SELECT COALESCE(SUM(pu.status = 'completed'), 0) FROM paywall_purchases pu WHERE pu.offer_id = o.offer_id) AS completed
+    FROM paywall_offers o
+    WHERE o.creator_pubkey = ?
+    ORDER BY revenue DESC, o.created_at DESC
+  `),
+  creatorConversion: db.prepare(`
+    SELECT COUNT(*) AS initiated,
+           COALESCE(SUM(status = 'completed'), 0) AS completed
+    FROM paywall_purchases
+    WHERE creator_pubkey = ? AND created_at >= ?
+  `),
+  creatorBuyerCounts: db.prepare(`
+    SELECT COUNT(DISTINCT pay.buyer_pubkey) AS buyers,
+           COUNT(DISTINCT CASE WHEN b.show_publicly = 1 THEN pay.buyer_pubkey END) AS publicBuyers
+    FROM paywall_payments pay
+    LEFT JOIN paywall_buyer_prefs b ON b.buyer_pubkey = pay.buyer_pubkey
+    WHERE pay.creator_pubkey = ? AND pay.status != 'revoked'
+  `),
+  topPublicBuyers: db.prepare(`
+    SELECT pay.buyer_pubkey, SUM(pay.part_of_txid IS NULL) AS purchases, COALESCE(SUM(pay.amount), 0) AS total
+    FROM paywall_payments pay
+    JOIN paywall_buyer_prefs b ON b.buyer_pubkey = pay.buyer_pubkey AND b.show_publicly = 1
+    WHERE pay.creator_pubkey = ? AND pay.status != 'revoked'
+    GROUP BY pay.buyer_pubkey
+    ORDER BY total DESC, purchases DESC
+    LIMIT ?
+  `),
+  upsertBuyerPref: db.prepare(`
+    INSERT INTO paywall_buyer_prefs (buyer_pubkey, show_publicly, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(buyer_pubkey) DO UPDATE SET
+      show_publicly = excluded.show_publicly,
+      updated_at = excluded.updated_at
+  `),
+  getBuyerPref: db.prepare(`SELECT show_publicly FROM paywall_buyer_prefs WHERE buyer_pubkey = ?`),
+
+  upsertViewKey: db.prepare(`
+    INSERT INTO paywall_view_keys (
+      creator_pubkey, primary_address, view_key, wallet_file, restore_height,
+      created_at, updated_at
+    ) VALUES (
+      @creator_pubkey, @primary_address, @view_key, @wallet_file, @restore_height,
+      @created_at, @updated_at
+    )
+    ON CONFLICT(creator_pubkey) DO UPDATE SET
+      primary_address = excluded.primary_address,
+      view_key = excluded.view_key,
+      wallet_file = excluded.wallet_file,
+      restore_height = excluded.restore_height,
+      updated_at = excluded.updated_at
+  `),
+  getViewKey: db.prepare(`SELECT * FROM paywall_view_keys WHERE creator_pubkey = ?`),
+  getViewKeyByWallet: db.prepare(`SELECT * FROM paywall_view_keys WHERE wallet_file = ? LIMIT 1`),
+  deleteViewKey: db.prepare(`DELETE FROM paywall_view_keys WHERE creator_pubkey = ?`),
+
+  creatorGrantTotals: db.prepare(`
+    SELECT COUNT(*) AS offerSales, COALESCE(SUM(amount), 0) AS offerRevenue
+    FROM paywall_grants WHERE creator_pubkey = ? AND status != 'revoked'
+  `),
+
+  // ---- Settlement (confirmation policy re-checks) ----
+  listProvisional: db.prepare(`
+    SELECT txid, MIN(verified_at) AS verified_at FROM (
+      SELECT txid, verified_at FROM paywall_payments WHERE status = 'provisional' AND txid IS NOT NULL
+      UNION ALL
+      SELECT txid, verified_at FROM tip_verifications WHERE status = 'provisional'
+    ) GROUP BY txid
+  `),
+  setPaymentSettlement: db.prepare(`
+    UPDATE paywall_payments SET status = @status, confirmations = @confirmations
+    WHERE txid = @txid AND status = 'provisional'
+  `),
+  setUnlockSettlement: db.prepare(`
+    UPDATE paywall_unlocks SET status = @status, confirmations = @confirmations
+    WHERE txid = @txid AND status = 'provisional'
+  `),
+  setGrantSettlement: db.prepare(`
+    UPDATE paywall_grants SET status = @status, confirmations = @confirmations
+    WHERE txid = @txid AND status = 'provisional'
+  `),
+  setTipSettlement: db.prepare(`
+    UPDATE tip_verifications
+    SET status = @status, confirmations = @confirmations,
+        settled_at = CASE WHEN @status = 'provisional' THEN settled_at ELSE @now END
+    WHERE txid = @txid AND status = 'provisional'
+  `),
+  getPaymentByTxid: db.prepare(`SELECT * FROM paywall_payments WHERE txid = ?`),
+  // A payment with the extra transactions that made it up
+  getPaymentTotal: db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) AS amount FROM paywall_payments
+    WHERE (txid = @txid OR part_of_txid = @txid) AND status != 'revoked'
+  `),
+  revokePaymentParts: db.prepare(`
+    UPDATE paywall_payments SET status = 'revoked' WHERE part_of_txid = @txid AND status != 'revoked'
+  `),
+  // Whether a txid already paid for this note or went to this buyer
+  isTxidUsed: db.prepare(`
+    SELECT 1 FROM paywall_payments
+    WHERE txid = @txid AND ((@note_id IS NOT NULL AND note_id = @note_id) OR buyer_pubkey = @buyer_pubkey)
+    UNION ALL
+    SELECT 1 FROM paywall_grants WHERE txid = @txid AND buyer_pubkey = @buyer_pubkey
+    LIMIT 1
+  `),
+  removeSale: db.prepare(`
+    UPDATE paywalls
+    SET total_sales = MAX(total_sales - 1, 0), total_revenue = MAX(total_revenue - ?, 0)
+    WHERE note_id = ?
+  `),
+
+  upsertTip: db.prepare(`
+    INSERT INTO tip_verifications (
+      txid, proof_hash, recipient_address, recipient_pubkey, tipper_pubkey,
+      note_id, amount, confirmations, status, verified_at, settled_at
+    ) VALUES (
+      @txid, @proof_hash, @recipient_address, @recipient_pubkey, @tipper_pubkey,
+      @note_id, @amount, @confirmations, @status, @verified_at, @settled_at
+    )
+    ON CONFLICT(txid, recipient_pubkey) DO UPDATE SET
+      confirmations = MAX(tip_verifications.confirmations, excluded.confirmations),
+      status = CASE WHEN tip_verifications.status = 'provisional' THEN excluded.status ELSE tip_verifications.status END,
+      settled_at = COALESCE(tip_verifications.settled_at, excluded.settled_at)
+  `),
+  // The recipient's own row, else one that doesn't name a recipient
+  getTip: db.prepare(`
+    SELECT * FROM tip_verifications
+    WHERE txid = @txid AND recipient_pubkey IN (@recipient_pubkey, '')
+    ORDER BY recipient_pubkey DESC LIMIT 1
+  `),
+  // Settlement is per tx, so any recipient's row has the tx's status
+  getTipByTxid: db.prepare(`SELECT * FROM tip_verifications WHERE txid = ? LIMIT 1`)
+};
+
+// Migration: seed the payments ledger from unlocks/grants recorded before it existed
+runMigrationOnce('paywall_payments_backfill', () => {
+  paywallStatements.backfillUnlockPayments.run();
+  paywallStatements.backfillGrantPayments.run();
+});
+
+function rowToPaywall(row) {
+  if (!row) return null;
+  return {
+    noteId: row.note_id,
+    creatorPubkey: row.creator_pubkey,
+    paymentAddress: row.payment_address,
+    priceXmr: row.price_xmr,
+    decryptionKey: row.decryption_key,
+    preview: row.preview,
+    encryptedContent: row.encrypted_content,
+    totalSales: row.total_sales,
+    totalRevenue: row.total_revenue,
+    accessDays: row.access_days ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToPurchase(row) {
+  if (!row) return null;
+  return {
+    purchaseId: row.purchase_id,
+    noteId: row.note_id,
+    buyerPubkey: row.buyer_pubkey,
+    creatorPubkey: row.creator_pubkey,
+    paymentAddress: row.payment_address,
+    priceXmr: row.price_xmr,
+    status: row.status,
+    txid: row.txid,
+    offerId: row.offer_id ?? null,
+    subaddress: row.subaddress ?? null,
+    subaddressIndex: row.subaddress_index ?? null,
+    subaddressWallet: row.subaddress_wallet ?? null,
+    receivedXmr: row.received_xmr ?? 0,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    completedAt: row.completed_at
+  };
+}
+
+function rowToViewKey(row) {
+  if (!row) return null;
+  return {
+    creatorPubkey: row.creator_pubkey,
+    primaryAddress: row.primary_address,
+    viewKey: row.view_key,
+    walletFile: row.wallet_file,
+    restoreHeight: row.restore_height,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToUnlock(row) {
+  if (!row) return null;
+  return {
+    noteId: row.note_id,
+    buyerPubkey: row.buyer_pubkey,
+    txid: row.txid,
+    amount: row.amount,
+    confirmations: row.confirmations,
+    unlockedAt: row.unlocked_at,
+    expiresAt: row.expires_at ?? null,
+    status: row.status || 'final'
+  };
+}
+
+function rowToOffer(row) {
+  if (!row) return null;
+  return {
+    offerId: row.offer_id,
+    creatorPubkey: row.creator_pubkey,
+    kind: row.kind,
+    title: row.title,
+    priceXmr: row.price_xmr,
+    paymentAddress: row.payment_address,
+    durationDays: row.duration_days ?? null,
+    active: !!row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToGrant(row) {
+  if (!row) return null;
+  return {
+    offerId: row.offer_id,
+    kind: row.kind,
+    title: row.title,
+    buyerPubkey: row.buyer_pubkey,
+    creatorPubkey: row.creator_pubkey,
+    txid: row.txid,
+    amount: row.amount,
+    confirmations: row.confirmations,
+    grantedAt: row.granted_at,
+    expiresAt: row.expires_at ?? null,
+    status: row.status || 'final'
+  };
+}
+
+/**
+ * Insert or update a paywall. On update the sales counters and createdAt of
+ * the existing row are preserved; ownership checks are the caller's job.
+ * @param {Object} paywall - Paywall record (camelCase, as in paywall.js)
+ */
+export function savePaywallRecord(paywall) {
+  paywallStatements.upsert.run({
+    note_id: paywall.noteId,
+    creator_pubkey: paywall.creatorPubkey,
+    payment_address: paywall.paymentAddress,
+    price_xmr: paywall.priceXmr,
+    decryption_key: paywall.decryptionKey,
+    preview: paywall.preview || '',
+    encrypted_content: paywall.encryptedContent || '',
+    total_sales: paywall.totalSales || 0,
+    total_revenue: paywall.totalRevenue || 0,
+    access_days: paywall.accessDays || null,
+    created_at: paywall.createdAt || Date.now(),
+    updated_at: paywall.updatedAt || null
+  });
+}
+
+export function getPaywallRecord(noteId) {
+  return rowToPaywall(paywallStatements.getByNoteId.get(noteId));
+}
+
+/**
+ * Fetch several paywalls at once
+ * @param {string[]} noteIds
+ * @returns {Object[]} Records for the noteIds that have a paywall
+ */
+export function getPaywallRecords(noteIds) {
+  if (!Array.isArray(noteIds) || noteIds.length === 0) return [];
+  const placeholders = noteIds.map(() => '?').join(',');
+  return db.prepare(`SELECT * FROM paywalls WHERE note_id IN (${placeholders})`)
+    .all(...noteIds)
+    .map(rowToPaywall);
+}
+
+export function listPaywallsByCreator(creatorPubkey) {
+  return paywallStatements.listByCreator.all(creatorPubkey).map(rowToPaywall);
+}
+
+export function deletePaywallRecord(noteId) {
+  return paywallStatements.deleteByNoteId.run(noteId).changes;
+}
+
+export function getCreatorPaywallTotals(creatorPubkey) {
+  return paywallStatements.creatorTotals.get(creatorPubkey);
+}
+
+export function createPurchaseRecord(purchase) {
+  paywallStatements.insertPurchase.run({
+    purchase_id: purchase.purchaseId,
+    note_id: purchase.noteId,
+    buyer_pubkey: purchase.buyerPubkey,
+    creator_pubkey: purchase.creatorPubkey,
+    payment_address: purchase.paymentAddress,
+    price_xmr: purchase.priceXmr,
+    status: purchase.status || 'pending',
+    txid: purchase.txid || null,
+    offer_id: purchase.offerId || null,
+    subaddress: purchase.subaddress || null,
+    subaddress_index: purchase.subaddressIndex ?? null,
+    subaddress_wallet: purchase.subaddressWallet || null,
+    created_at: purchase.createdAt,
+    expires_at: purchase.expiresAt,
+    completed_at: purchase.completedAt || null
+  });
+}
+
+export function getPurchaseRecord(purchaseId) {
+  return rowToPurchase(paywallStatements.getPurchase.get(purchaseId));
+}
+
+/**
+ * Pending purchases with a subaddress, for the payment detection job.
+ * Includes ones past their payment window that are still in the grace
+ * period, so a late payment still unlocks.
+ * @returns {Object[]}
+ */
+export function listPendingSubaddressPurchases() {
+  return paywallStatements.pendingSubaddressPurchases.all().map(rowToPurchase);
+}
+
+/**
+ * Record how much has arrived at a purchase's subaddress so far
+ * @param {string} purchaseId
+ * @param {number} receivedXmr
+ */
+export function setPurchaseReceived(purchaseId, receivedXmr) {
+  paywallStatements.setPurchaseReceived.run(receivedXmr, purchaseId);
+}
+
+/**
+ * Mark a purchase completed without recording an unlock (the payment
+ * arrived but the buyer already had access)
+ * @param {string} purchaseId
+ * @param {string} txid
+ */
+export function completePurchaseRecord(purchaseId, txid) {
+  paywallStatements.completePurchase.run(Date.now(), txid, purchaseId);
+}
+
+export function getUnlockRecord(noteId, buyerPubkey) {
+  return rowToUnlock(paywallStatements.getUnlock.get(noteId, buyerPubkey));
+}
+
+export function listUnlocksByBuyer(buyerPubkey) {
+  return paywallStatements.listUnlocksByBuyer.all(buyerPubkey).map(rowToUnlock);
+}
+
+/**
+ * Record a verified unlock, complete its purchase and bump the paywall's
+ * sales counters — all in one transaction. If the buyer already has an
+ * active unlock for this note (e.g. two verify calls raced), or the txid
+ * already paid for this note or this buyer, nothing is changed; an expired
+ * rental is replaced by the new one.
+ * @param {Object} unlock
+ * @param {string} unlock.noteId
+ * @param {string} unlock.buyerPubkey
+ * @param {string} unlock.txid
+ * @param {number} unlock.amount - Verified amount in XMR
+ * @param {number} unlock.confirmations
+ * @param {number|null} [unlock.expiresAt] - Rental end (ms), null = forever
+ * @param {string} [unlock.purchaseId] - Purchase to mark completed
+ * @param {string} [unlock.status] - 'provisional' until deep enough to be final
+ * @param {Object[]} [unlock.payments] - See insertLedgerRows
+ * @returns {boolean} True if a new unlock was recorded
+ */
+export function recordUnlock({ noteId, buyerPubkey, txid, amount, confirmations, expiresAt = null, purchaseId, status = 'final', payments }) {
+  return withTransaction(() => {
+    // A payment that already unlocked something can't renew a rental
+    const ledger = payments || [{ txid, amount }];
+    if (txid && ledger.some(payment => paywallStatements.isTxidUsed.get({ txid: payment.txid, note_id: noteId, buyer_pubkey: buyerPubkey }))) {
+      return false;
+    }
+
+    const now = Date.now();
+    const inserted = paywallStatements.upsertUnlock.run({
+      note_id: noteId,
+      buyer_pubkey: buyerPubkey,
+      txid,
+      amount,
+      confirmations,
+      unlocked_at: now,
+      expires_at: expiresAt,
+      status
+    }).changes > 0;
+
+    if (!inserted) return false;
+
+    if (purchaseId) {
+      paywallStatements.completePurchase.run(now, txid, purchaseId);
+    }
+    paywallStatements.addSale.run(amount, noteId);
+    insertLedgerRows({
+      creator_pubkey: paywallStatements.getByNoteId.get(noteId)?.creator_pubkey || '',
+      buyer_pubkey: buyerPubkey,
+      note_id: noteId,
+      offer_id: null,
+      txid: txid || null,
+      amount: amount || 0,
+      confirmations,
+      verified_at: now,
+      status
+    }, payments);
+    return true;
+  });
+}
+
+/**
+ * Write a verified payment to the ledger
+ * @param {Object} row - paywall_payments columns for the payment as a whole
+ * @param {Object[]} [payments] - When it came in several transactions, each
+ *   one ({ txid, amount }) with row.txid first. The others are recorded as
+ *   part of it, so none of them can be claimed again.
+ */
+function insertLedgerRows(row, payments = null) {
+  if (!payments || payments.length <= 1) {
+    paywallStatements.insertPayment.run({ ...row, part_of_txid: null });
+    return;
+  }
+  for (const payment of payments) {
+    paywallStatements.insertPayment.run({
+      ...row,
+      txid: payment.txid,
+      amount: payment.amount,
+      part_of_txid: payment.txid === row.txid ? null : row.txid
+    });
+  }
+}
+
+// ---- Offers (creator passes and bundles) ----
+
+/**
+ * Create or update an offer. Bundles get their note list replaced.
+ * @param {Object} offer - Offer record (camelCase)
+ * @param {string[]} [noteIds] - Bundle contents
+ */
+export function saveOfferRecord(offer, noteIds = []) {
+  withTransaction(() => {
+    paywallStatements.upsertOffer.run({
+      offer_id: offer.offerId,
+      creator_pubkey: offer.creatorPubkey,
+      kind: offer.kind,
+      title: offer.title || '',
+      price_xmr: offer.priceXmr,
+      payment_address: offer.paymentAddress,
+      duration_days: offer.durationDays || null,
+      created_at: offer.createdAt || Date.now(),
+      updated_at: offer.updatedAt || null
+    });
+    if (offer.kind === 'bundle') {
+      paywallStatements.clearOfferNotes.run(offer.offerId);
+      for (const noteId of noteIds) {
+        paywallStatements.insertOfferNote.run(offer.offerId, noteId);
+      }
+    }
+  });
+}
+
+/**
+ * Get an offer, with noteIds filled in for bundles
+ * @param {string} offerId
+ * @returns {Object|null}
+ */
+export function getOfferRecord(offerId) {
+  const offer = rowToOffer(paywallStatements.getOffer.get(offerId));
+  if (offer && offer.kind === 'bundle') {
+    offer.noteIds = paywallStatements.listOfferNotes.all(offerId).map(r => r.note_id);
+  }
+  return offer;
+}
+
+export function listOffersByCreator(creatorPubkey) {
+  return paywallStatements.listOffersByCreator.all(creatorPubkey).map(row => {
+    const offer = rowToOffer(row);
+    if (offer.kind === 'bundle') {
+      offer.noteIds = paywallStatements.listOfferNotes.all(offer.offerId).map(r => r.note_id);
+    }
+    return offer;
+  });
+}
+
+export function listOffersForNote(noteId) {
+  return paywallStatements.listOffersForNote.all({ note_id: noteId }).map(rowToOffer);
+}
+
+export function deactivateOfferRecord(offerId) {
+  return paywallStatements.deactivateOffer.run(Date.now(), offerId).changes;
+}
+
+/**
+ * Record a verified offer payment. Time-limited grants stack: a renewal
+ * bought before the current grant runs out starts where it ends.
+ * @param {Object} grant
+ * @param {Object} grant.offer - Offer record being paid for
+ * @param {string} grant.buyerPubkey
+ * @param {string} grant.txid
+ * @param {number} grant.amount - Verified amount in XMR
+ * @param {number} grant.confirmations
+ * @param {string} [grant.purchaseId] - Purchase to mark completed
+ * @param {string} [grant.status] - 'provisional' until deep enough to be final
+ * @param {Object[]} [grant.payments] - See insertLedgerRows
+ * @returns {{ recorded: boolean, expiresAt: number|null }}
+ */
+export function recordGrant({ offer, buyerPubkey, txid, amount, confirmations, purchaseId, status = 'final', payments }) {
+  return withTransaction(() => {
+    const ledger = payments || [{ txid, amount }];
+    if (ledger.some(payment => paywallStatements.isTxidUsed.get({ txid: payment.txid, note_id: null, buyer_pubkey: buyerPubkey }))) {
+      return { recorded: false, expiresAt: null };
+    }
+
+    const now = Date.now();
+    let expiresAt = null;
+    if (offer.durationDays) {
+      const latest = paywallStatements.latestGrantExpiry.get(offer.offerId, buyerPubkey)?.expires_at;
+      const start = latest && latest > now ? latest : now;
+      expiresAt = start + offer.durationDays * 24 * 60 * 60 * 1000;
+    }
+
+    const inserted = paywallStatements.insertGrant.run({
+      offer_id: offer.offerId,
+      buyer_pubkey: buyerPubkey,
+      creator_pubkey: offer.creatorPubkey,
+      txid,
+      amount,
+      confirmations,
+      granted_at: now,
+      expires_at: expiresAt,
+      status
+    }).changes > 0;
+
+    if (!inserted) return { recorded: false, expiresAt: null };
+
+    if (purchaseId) {
+      paywallStatements.completePurchase.run(now, txid, purchaseId);
+    }
+    insertLedgerRows({
+      creator_pubkey: offer.creatorPubkey,
+      buyer_pubkey: buyerPubkey,
+      note_id: null,
+      offer_id: offer.offerId,
+      txid,
+      amount: amount || 0,
+      confirmations,
+      verified_at: now,
+      status
+    }, payments);
+    return { recorded: true, expiresAt };
+  });
+}
+
+/**
+ * Get the best unexpired grant that covers a note for a buyer
+ * @param {string} noteId
+ * @param {string} buyerPubkey
+ * @param {number} [now] - Current time in ms
+ * @returns {Object|null}
+ */
+export function getActiveGrantForNote(noteId, buyerPubkey, now = Date.now()) {
+  return rowToGrant(paywallStatements.getActiveGrantForNote.get({
+    note_id: noteId,
+    buyer_pubkey: buyerPubkey,
+    now
+  }));
+}
+
+export function listGrantsByBuyer(buyerPubkey) {
+  return paywallStatements.listGrantsByBuyer.all(buyerPubkey).map(rowToGrant);
+}
+
+export function getCreatorGrantTotals(creatorPubkey) {
+  return paywallStatements.creatorGrantTotals.get(creatorPubkey);
+}
+
+// Expired purchases are kept this long for the dashboard's conversion stats
+const PURCHASE_RETENTION_MS = 180 * 24 * 60 * 60 * 1000;
+// Subaddress purchases stay pending (and watched) this long past their
+// payment window: the buyer can't take a late payment back, and nothing
+// else would match it to the purchase
+const SUBADDRESS_PAYMENT_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Mark pending purchases whose payment window (plus the grace period, for
+ * subaddress purchases) has passed as expired, and drop expired ones older
+ * than the dashboard's retention window
+ * @param {number} now - Current time in ms
+ * @returns {number} Rows newly marked expired
+ */
+export function expireStalePurchases(now = Date.now()) {
+  const expired = paywallStatements.expirePurchases.run({ now, grace: SUBADDRESS_PAYMENT_GRACE_MS }).changes;
+  paywallStatements.deleteOldPurchases.run(now - PURCHASE_RETENTION_MS);
+  return expired;
+}
+
+// ---- Creator dashboard ----
+
+/**
+ * Verified payments for a creator, oldest first (CSV export)
+ * @param {string} creatorPubkey
+ * @returns {Object[]}
+ */
+export function listCreatorPayments(creatorPubkey) {
+  return paywallStatements.listCreatorPayments.all(creatorPubkey).map(row => ({
+    txid: row.txid,
+    amount: row.amount,
+    confirmations: row.confirmations,
+    verifiedAt: row.verified_at,
+    status: row.status,
+    noteId: row.note_id,
+    offerId: row.offer_id,
+    offerKind: row.offer_kind || null,
+    offerTitle: row.offer_title || null
+  }));
+}
+
+/**
+ * Unlock count and revenue per UTC day since a timestamp
+ * @param {string} creatorPubkey
+ * @param {number} since - ms timestamp
+ * @returns {{ day: number, unlocks: number, revenue: number }[]}
+ */
+export function getCreatorPaymentsByDay(creatorPubkey, since) {
+  return paywallStatements.creatorPaymentsByDay.all(creatorPubkey, since);
+}
+
+/**
+ * Per-note and per-offer revenue with purchase conversion counts
+ * @param {string} creatorPubkey
+ * @returns {{ notes: Object[], offers: Object[] }}
+ */
+export function getCreatorBreakdown(creatorPubkey) {
+  return {
+    notes: paywallStatements.creatorNoteBreakdown.all(creatorPubkey).map(row => ({
+      noteId: row.note_id,
+      preview: row.preview,
+      priceXmr: row.price_xmr,
+      accessDays: row.access_days ?? null,
+      sales: row.total_sales,
+      revenue: row.total_revenue,
+      initiated: row.initiated,
+      completed: row.completed,
+      createdAt: row.created_at
+    })),
+    offers: paywallStatements.creatorOfferBreakdown.all(creatorPubkey).map(row => ({
+      offerId: row.offer_id,
+      kind: row.kind,
+      title: row.title,
+      priceXmr: row.price_xmr,
+      durationDays: row.duration_days ?? null,
+      active: !!row.active,
+      sales: row.sales,
+      revenue: row.revenue,
+      initiated: row.initiated,
+      completed: row.completed
+    }))
+  };
+}
+
+/**
+ * Purchases started vs. completed since a timestamp
+ * @param {string} creatorPubkey
+ * @param {number} since - ms timestamp
+ * @returns {{ initiated: number, completed: number }}
+ */
+export function getCreatorConversion(creatorPubkey, since) {
+  return paywallStatements.creatorConversion.get(creatorPubkey, since);
+}
+
+/**
+ * Distinct buyers, and the top spenders among those who opted in to being
+ * listed publicly
+ * @param {string} creatorPubkey
+ * @param {number} [limit]
+ * @returns {{ buyers: number, publicBuyers: number, top: Object[] }}
+ */
+export function getCreatorBuyers(creatorPubkey, limit = 10) {
+  const { buyers, publicBuyers } = paywallStatements.creatorBuyerCounts.get(creatorPubkey);
+  const top = paywallStatements.topPublicBuyers.all(creatorPubkey, limit).map(row => ({
+    buyerPubkey: row.buyer_pubkey,
+    purchases: row.purchases,
+    total: row.total
+  }));
+  return { buyers, publicBuyers, top };
+}
+
+export function setBuyerVisibility(buyerPubkey, showPublicly) {
+  paywallStatements.upsertBuyerPref.run(buyerPubkey, showPublicly ? 1 : 0, Date.now());
+}
+
+export function getBuyerVisibility(buyerPubkey) {
+  return !!paywallStatements.getBuyerPref.get(buyerPubkey)?.show_publicly;
+}
+
+// ---- Settlement (confirmation policy) ----
+
+/**
+ * Provisional payments and tips still waiting to become final
+ * @returns {{ txid: string, verifiedAt: number }[]}
+ */
+export function listProvisionalPayments() {
+  return paywallStatements.listProvisional.all().map(row => ({
+    txid: row.txid,
+    verifiedAt: row.verified_at
+  }));
+}
+
+/**
+ * Move every provisional record for a tx (unlock, grant, ledger row, tip)
+ * to a new state. 'provisional' just refreshes the confirmation count.
+ * Revoking also takes the payment out of the paywall's sales counters, along
+ * with any other transactions recorded as part of it.
+ * @param {string} txid
+ * @param {string} status - 'provisional', 'final' or 'revoked'
+ * @param {number} confirmations
+ */
+export function settlePayment(txid, status, confirmations) {
+  withTransaction(() => {
+    const params = { txid, status, confirmations, now: Date.now() };
+
+    if (status === 'revoked') {
+      const payment = paywallStatements.getPaymentByTxid.get(txid);
+      if (payment?.status === 'provisional' && payment.note_id && !payment.part_of_txid) {
+        paywallStatements.removeSale.run(paywallStatements.getPaymentTotal.get({ txid }).amount, payment.note_id);
+      }
+      // The rest of the payment goes with it
+      if (payment?.status === 'provisional' && !payment.part_of_txid) {
+        paywallStatements.revokePaymentParts.run({ txid });
+      }
+    }
+
+    paywallStatements.setPaymentSettlement.run(params);
+    paywallStatements.setUnlockSettlement.run(params);
+    paywallStatements.setGrantSettlement.run(params);
+    paywallStatements.setTipSettlement.run(params);
+  });
+}
+
+/**
+ * Record (or refresh) a verified tip proof from /api/verify-and-publish
+ * @param {Object} tip
+ */
+export function saveTipVerification(tip) {
+  paywallStatements.upsertTip.run({
+    txid: tip.txid,
+    proof_hash: tip.proofHash,
+    recipient_address: tip.recipientAddress,
+    recipient_pubkey: tip.recipientPubkey || '',
+    tipper_pubkey: tip.tipperPubkey || null,
+    note_id: tip.noteId || null,
+    amount: tip.amount,
+    confirmations: tip.confirmations || 0,
+    status: tip.status,
+    verified_at: Date.now(),
+    settled_at: tip.status === 'final' ? Date.now() : null
+  });
+}
+
+/**
+ * A verified tip proof
+ * @param {string} txid
+ * @param {string} [recipientPubkey] - Which recipient of a split tip; any
+ *   row for the tx when omitted
+ * @returns {Object|null}
+ */
+export function getTipVerification(txid, recipientPubkey = null) {
+  const row = recipientPubkey
+    ? paywallStatements.getTip.get({ txid, recipient_pubkey: recipientPubkey })
+    : paywallStatements.getTipByTxid.get(txid);
+  if (!row) return null;
+  return {
+    txid: row.txid,
+    proofHash: row.proof_hash,
+    recipientPubkey: row.recipient_pubkey || null,
+    tipperPubkey: row.tipper_pubkey,
+    noteId: row.note_id,
+    amount: row.amount,
+    confirmations: row.confirmations,
+    status: row.status,
+    verifiedAt: row.verified_at,
+    settledAt: row.settled_at
+  };
+}
+
+// ---- Tip index (kind 9736 leaderboards) ----
+
+// Who the API verified as the tipper of a payment (the NIP-98 signer of
+// /api/verify-and-publish), for the tip_events row aliased `alias`
+const verifiedTipperOf = alias => `(
+  SELECT tipper_pubkey FROM tip_verifications
+  WHERE txid = ${alias}.txid AND recipient_pubkey IN (${alias}.recipient_pubkey, '')
+  ORDER BY recipient_pubkey DESC LIMIT 1
+)`;
+
+// Which disclosure of a payment counts: the one signed by its verified
+// tipper, then anonymous ones, then anyone else's. created_at is up to the
+// signer, so it only breaks ties - a back-dated copy under another name
+// can't take the tip.
+const tipEventRank = alias => `
+  CASE WHEN ${alias}.tipper_pubkey IS NULL THEN 1
+       WHEN ${alias}.tipper_pubkey = ${verifiedTipperOf(alias)} THEN 0
+       ELSE 2 END`;
+
+// Shared by every aggregate: skip tips whose payment was revoked and, when
+// @verifiedOnly is set, keep only those the API verified itself. A
+// verification only applies to disclosures its tipper signed (or anonymous
+// ones). A payment counts once - the same txid re-used on another note
+// adds nothing.
+const TIP_EVENT_SCOPE = `
+  FROM tip_events t
+  LEFT JOIN tip_verifications v
+    ON v.txid = t.txid AND v.recipient_pubkey = (
+      SELECT MAX(recipient_pubkey) FROM tip_verifications
+      WHERE txid = t.txid AND recipient_pubkey IN (t.recipient_pubkey, '')
+    )
+    AND (t.tipper_pubkey IS NULL OR v.tipper_pubkey = t.tipper_pubkey)
+  WHERE t.created_at >= @since
+    AND NOT EXISTS (SELECT 1 FROM tip_verifications r WHERE r.txid = t.txid AND r.status = 'revoked')
+    AND (@verifiedOnly = 0 OR v.txid IS NOT NULL)
+    AND NOT EXISTS (
+      SELECT 1 FROM tip_events d
+      WHERE d.txid = t.txid AND d.recipient_pubkey = t.recipient_pubkey AND d.event_id != t.event_id
+        AND (${tipEventRank('d')} < ${tipEventRank('t')}
+          OR (${tipEventRank('d')} = ${tipEventRank('t')}
+            AND (d.created_at < t.created_at OR (d.created_at = t.created_at AND d.event_id < t.event_id))))
+    )
+`;
+
+// What a tip counts for: the amount the API saw arrive when it verified
+// the payment, only falling back to the tipper's claim for unverified tips
+const TIP_AMOUNT = 'COALESCE(v.amount, t.amount)';
+
+const tipIndexStatements = {
+  insert: db.prepare(`
+    INSERT OR IGNORE INTO tip_events (
+      event_id, tipper_pubkey, recipient_pubkey, note_id, stream_ref,
+      amount, txid, proof_claimed, created_at, ingested_at
+    ) VALUES (
+      @event_id, @tipper_pubkey, @recipient_pubkey, @note_id, @stream_ref,
+      @amount, @txid, @proof_claimed, @created_at, @ingested_at
+    )
+  `),
+  latest: db.prepare(`SELECT MAX(created_at) AS created_at FROM tip_events`),
+
+  topNotes: db.prepare(`
+    SELECT t.note_id, MAX(t.recipient_pubkey) AS recipient_pubkey,
+           SUM(${TIP_AMOUNT}) AS total, COUNT(*) AS count,
+           COUNT(DISTINCT t.tipper_pubkey) AS tippers
+    ${TIP_EVENT_SCOPE} AND t.note_id IS NOT NULL
+    GROUP BY t.note_id ORDER BY total DESC LIMIT @limit
+  `),
+  topCreators: db.prepare(`
+    SELECT t.recipient_pubkey, SUM(${TIP_AMOUNT}) AS total, COUNT(*) AS count,
+           COUNT(DISTINCT t.tipper_pubkey) AS tippers
+    ${TIP_EVENT_SCOPE}
+    GROUP BY t.recipient_pubkey ORDER BY total DESC LIMIT @limit
+  `),
+  topTippers: db.prepare(`
+    SELECT t.tipper_pubkey, SUM(${TIP_AMOUNT}) AS total, COUNT(*) AS count,
+           COUNT(DISTINCT t.recipient_pubkey) AS creators
+    ${TIP_EVENT_SCOPE} AND t.tipper_pubkey IS NOT NULL
+    GROUP BY t.tipper_pubkey ORDER BY total DESC LIMIT @limit
+  `),
+  totals: db.prepare(`
+    SELECT COALESCE(SUM(${TIP_AMOUNT}), 0) AS total, COUNT(*) AS count,
+           COUNT(DISTINCT t.tipper_pubkey) AS tippers,
+           COUNT(DISTINCT t.recipient_pubkey) AS creators,
+           COALESCE(SUM(CASE WHEN t.tipper_pubkey IS NULL THEN ${TIP_AMOUNT} END), 0) AS anonymous_total,
+           COUNT(CASE WHEN t.tipper_pubkey IS NULL THEN 1 END) AS anonymous_count
+    ${TIP_EVENT_SCOPE}
+  `),
+  recent: db.prepare(`
+    SELECT t.*, ${TIP_AMOUNT} AS counted_amount, v.status AS verification_status
+    ${TIP_EVENT_SCOPE}
+    ORDER BY t.created_at DESC LIMIT @limit
+  `),
+
+  creatorTotals: db.prepare(`
+    SELECT COALESCE(SUM(${TIP_AMOUNT}), 0) AS total, COUNT(*) AS count,
+           COUNT(DISTINCT t.tipper_pubkey) AS tippers,
+           COALESCE(SUM(CASE WHEN t.tipper_pubkey IS NULL THEN ${TIP_AMOUNT} END), 0) AS anonymous_total,
+           COUNT(CASE WHEN t.tipper_pubkey IS NULL THEN 1 END) AS anonymous_count
+    ${TIP_EVENT_SCOPE} AND t.recipient_pubkey = @pubkey
+  `),
+  creatorNotes: db.prepare(`
+    SELECT t.note_id, SUM(${TIP_AMOUNT}) AS total, COUNT(*) AS count,
+           COUNT(DISTINCT t.tipper_pubkey) AS tippers
+    ${TIP_EVENT_SCOPE} AND t.recipient_pubkey = @pubkey AND t.note_id IS NOT NULL
+    GROUP BY t.note_id ORDER BY total DESC LIMIT @limit
+  `),
+  creatorTippers: db.prepare(`
+    SELECT t.tipper_pubkey, SUM(${TIP_AMOUNT}) AS total, COUNT(*) AS count
+    ${TIP_EVENT_SCOPE} AND t.recipient_pubkey = @pubkey AND t.tipper_pubkey IS NOT NULL
+    GROUP BY t.tipper_pubkey ORDER BY total DESC LIMIT @limit
+  `),
+  creatorRecent: db.prepare(`
+    SELECT t.*, ${TIP_AMOUNT} AS counted_amount, v.status AS verification_status
+    ${TIP_EVENT_SCOPE} AND t.recipient_pubkey = @pubkey
+    ORDER BY t.created_at DESC LIMIT @limit
+  `)
+};
+
+function tipScope({ since = 0, verifiedOnly = true, limit = 10, pubkey } = {}) {
+  return { since, verifiedOnly: verifiedOnly ? 1 : 0, limit, pubkey };
+}
+
+function mapTipTotals(row) {
+  return {
+    total: row.total,
+    count: row.count,
+    tippers: row.tippers,
+    creators: row.creators,
+    anonymousTotal: row.anonymous_total,
+    anonymousCount: row.anonymous_count
+  };
+}
+
+// Anonymous tips come back with tipperPubkey null
+function mapTipEvent(row) {
+  return {
+    eventId: row.event_id,
+    tipperPubkey: row.tipper_pubkey,
+    recipientPubkey: row.recipient_pubkey,
+    noteId: row.note_id,
+    streamRef: row.stream_ref,
+    amount: row.counted_amount,
+    txid: row.txid,
+    proofClaimed: row.proof_claimed === 1,
+    verification: row.verification_status || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Store a parsed kind 9736 disclosure. Duplicates (same event, or the same
+ * payment disclosed again) are ignored.
+ * @param {Object} tip - From tip-index.js parseTipEvent()
+ * @returns {boolean} true if it was new
+ */
+export function saveTipEvent(tip) {
+  const result = tipIndexStatements.insert.run({
+    event_id: tip.eventId,
+    tipper_pubkey: tip.tipperPubkey || null,
+    recipient_pubkey: tip.recipientPubkey,
+    note_id: tip.noteId || null,
+    stream_ref: tip.streamRef || null,
+    amount: tip.amount,
+    txid: tip.txid,
+    proof_claimed: tip.proofClaimed ? 1 : 0,
+    created_at: tip.createdAt,
+    ingested_at: Date.now()
+  });
+  return result.changes > 0;
+}
+
+/**
+ * created_at (unix seconds) of the newest stored tip, or null
+ */
+export function getLatestTipEventTime() {
+  return tipIndexStatements.latest.get().created_at ?? null;
+}
+
+/**
+ * Leaderboard rows for one board
+ * @param {string} board - 'notes', 'creators' or 'tippers'
+ * @param {Object} options - { since, verifiedOnly, limit }
+ * @returns {Array}
+ */
+export function getTipLeaderboard(board, options) {
+  const params = tipScope(options);
+
+  if (board === 'notes') {
+    return tipIndexStatements.topNotes.all(params).map(row => ({
+      noteId: row.note_id,
+      recipientPubkey: row.recipient_pubkey,
+      total: row.total,
+      count: row.count,
+      tippers: row.tippers
+    }));
+  }
+  if (board === 'creators') {
+    return tipIndexStatements.topCreators.all(params).map(row => ({
+      pubkey: row.recipient_pubkey,
+      total: row.total,
+      count: row.count,
+      tippers: row.tippers
+    }));
+  }
+  if (board === 'tippers') {
+    return tipIndexStatements.topTippers.all(params).map(row => ({
+      pubkey: row.tipper_pubkey,
+      total: row.total,
+      count: row.count,
+      creators: row.creators
+    }));
+  }
+  throw new Error(`Unknown leaderboard: ${board}`);
+}
+
+/**
+ * Network-wide totals and the most recent tips
+ * @param {Object} options - { since, verifiedOnly, limit }
+ */
+export function getTipNetworkStats(options) {
+  const params = tipScope(options);
+  return {
+    ...mapTipTotals(tipIndexStatements.totals.get(params)),
+    recent: tipIndexStatements.recent.all(params).map(mapTipEvent)
+  };
+}
+
+/**
+ * Everything the creator tip page shows
+ * @param {string} pubkey - Recipient
+ * @param {Object} options - { since, verifiedOnly, limit }
+ */
+export function getCreatorTipStats(pubkey, options) {
+  const params = tipScope({ ...options, pubkey });
+  const totals = tipIndexStatements.creatorTotals.get(params);
+
+  return {
+    total: totals.total,
+    count: totals.count,
+    tipperCount: totals.tippers,
+    anonymousTotal: totals.anonymous_total,
+    anonymousCount: totals.anonymous_count,
+    notes: tipIndexStatements.creatorNotes.all(params).map(row => ({
+      noteId: row.note_id,
+      total: row.total,
+      count: row.count,
+      tippers: row.tippers
+    })),
+    tippers: tipIndexStatements.creatorTippers.all(params).map(row => ({
+      pubkey: row.tipper_pubkey,
+      total: row.total,
+      count: row.count
+    })),
+    recent: tipIndexStatements.creatorRecent.all(params).map(mapTipEvent)
+  };
+}
+
+// ---- Search index (full-text search over notes and articles) ----
+
+const searchIndexStatements = {
+  insert: db.prepare(`
+    INSERT OR IGNORE INTO search_events (
+      event_id, pubkey, kind, d_tag, title, content, tags, sig, created_at, ingested_at
+    ) VALUES (
+      @event_id, @pubkey, @kind, @d_tag, @title, @content, @tags, @sig, @created_at, @ingested_at
+    )
+  `),
+  insertHashtag: db.prepare(`INSERT OR IGNORE INTO search_hashtags (event_id, hashtag) VALUES (?, ?)`),
+  getArticle: db.prepare(`
+    SELECT id, event_id, created_at FROM search_events
+    WHERE kind = 30023 AND pubkey = ? AND d_tag = ?
+  `),
+  deleteById: db.prepare(`DELETE FROM search_events WHERE id = ?`),
+  isDeleted: db.prepare(`
+    SELECT 1 FROM search_deletions
+    WHERE pubkey = @pubkey AND (ref = @event_id OR (ref = @address AND created_at >= @created_at))
+  `),
+
+  upsertDeletion: db.prepare(`
+    INSERT INTO search_deletions (ref, pubkey, created_at) VALUES (@ref, @pubkey, @created_at)
+    ON CONFLICT(ref, pubkey) DO UPDATE SET created_at = MAX(search_deletions.created_at, excluded.created_at)
+  `),
+  deleteEvent: db.prepare(`DELETE FROM search_events WHERE event_id = ? AND pubkey = ?`),
+  deleteArticleVersions: db.prepare(`
+    DELETE FROM search_events
+    WHERE kind = 30023 AND pubkey = ? AND d_tag = ? AND created_at <= ?
+  `),
+
+  prune: db.prepare(`DELETE FROM search_events WHERE kind != 30023 AND created_at < ?`),
+  pruneDeletions: db.prepare(`DELETE FROM search_deletions WHERE ref NOT LIKE '30023:%' AND created_at < ?`),
+
+  getRelay: db.prepare(`SELECT * FROM search_index_relays WHERE relay_url = ?`),
+  upsertRelay: db.prepare(`
+    INSERT INTO search_index_relays (relay_url, latest_created_at, events_added, last_run_at, last_error)
+    VALUES (@relay_url, @latest_created_at, @added, @last_run_at, @error)
+    ON CONFLICT(relay_url) DO UPDATE SET
+      latest_created_at = COALESCE(excluded.latest_created_at, search_index_relays.latest_created_at),
+      events_added = search_index_relays.events_added + excluded.events_added,
+      last_run_at = excluded.last_run_at,
+      last_error = excluded.last_error
+  `),
+  listRelays: db.prepare(`SELECT * FROM search_index_relays ORDER BY relay_url`),
+  countByKind: db.prepare(`SELECT kind, COUNT(*) AS count FROM search_events GROUP BY kind`)
+};
+
+// Search statements depend on which filters are set; one per shape, least
+// recently used dropped past SEARCH_QUERY_CACHE_MAX
+const SEARCH_QUERY_CACHE_MAX = 100;
+const searchQueryCache = new Map();
+
+function rowToRelayState(row) {
+  if (!row) return null;
+  return {
+    relayUrl: row.relay_url,
+    latestCreatedAt: row.latest_created_at,
+    eventsAdded: row.events_added,
+    lastRunAt: row.last_run_at,
+    lastError: row.last_error
+  };
+}
+
+// Indexed rows are full signed events, so clients can verify them
+function rowToSearchEvent(row) {
+  return {
+    id: row.event_id,
+    pubkey: row.pubkey,
+    created_at: row.created_at,
+    kind: row.kind,
+    tags: JSON.parse(row.tags),
+    content: row.content,
+    sig: row.sig
+  };
+}
+
+/**
+ * Store parsed events. Known events, events their author deleted and
+ * article versions older than the stored one are skipped; a newer article
+ * version replaces the stored one.
+ * @param {Object[]} rows - From search-index.js parseSearchEvent()
+ * @returns {number} How many were new
+ */
+export function saveSearchEvents(rows) {
+  let added = 0;
+
+  withTransaction(() => {
+    for (const row of rows) {
+      const address = row.kind === 30023 ? `30023:${row.pubkey}:${row.dTag}` : null;
+      if (searchIndexStatements.isDeleted.get({
+        pubkey: row.pubkey,
+        event_id: row.eventId,
+        address,
+        created_at: row.createdAt
+      })) continue;
+
+      if (row.kind === 30023) {
+        const existing = searchIndexStatements.getArticle.get(row.pubkey, row.dTag);
+        if (existing) {
+          // NIP-01: newest wins, the lowest id on a tie
+          if (existing.created_at > row.createdAt ||
+            (existing.created_at === row.createdAt && existing.event_id <= row.eventId)) continue;
+          searchIndexStatements.deleteById.run(existing.id);
+        }
+      }
+
+      const result = searchIndexStatements.insert.run({
+        event_id: row.eventId,
+        pubkey: row.pubkey,
+        kind: row.kind,
+        d_tag: row.dTag,
+        title: row.title || '',
+        content: row.content,
+        tags: JSON.stringify(row.tags),
+        sig: row.sig,
+        created_at: row.createdAt,
+        ingested_at: Date.now()
+      });
+      if (result.changes === 0) continue;
+
+      added++;
+      for (const hashtag of row.hashtags) {
+        searchIndexStatements.insertHashtag.run(row.eventId, hashtag);
+      }
+    }
+  });
+
+  return added;
+}
+
+/**
+ * Record kind 5 deletions and remove the indexed events they name
+ * @param {Array<{ ref: string, pubkey: string, createdAt: number }>} deletions
+ *   From search-index.js parseDeletionEvent()
+ * @returns {number} How many indexed events were removed
+ */
+export function saveSearchDeletions(deletions) {
+  let removed = 0;
+
+  withTransaction(() => {
+    for (const { ref, pubkey, createdAt } of deletions) {
+      searchIndexStatements.upsertDeletion.run({ ref, pubkey, created_at: createdAt });
+
+      if (ref.startsWith('30023:')) {
+        const dTag = ref.split(':').slice(2).join(':');
+        removed += searchIndexStatements.deleteArticleVersions.run(pubkey, dTag, createdAt).changes;
+      } else {
+        removed += searchIndexStatements.deleteEvent.run(ref, pubkey).changes;
+      }
+    }
+  });
+
+  return removed;
+}
+
+/**
+ * Drop notes and comments (and the deletions that named them) created
+ * before a cutoff. Articles are kept.
+ * @param {number} before - Unix seconds
+ * @returns {number} Events removed
+ */
+export function pruneSearchEvents(before) {
+  return withTransaction(() => {
+    searchIndexStatements.pruneDeletions.run(before);
+    return searchIndexStatements.prune.run(before).changes;
+  });
+}
+
+/**
+ * A relay's ingest cursor, or null if it hasn't been read yet
+ * @param {string} relayUrl
+ */
+export function getSearchRelayState(relayUrl) {
+  return rowToRelayState(searchIndexStatements.getRelay.get(relayUrl));
+}
+
+/**
+ * Record an ingest run for a relay. latestCreatedAt is only moved when given.
+ * @param {string} relayUrl
+ * @param {Object} state - { latestCreatedAt, error, added }
+ */
+export function saveSearchRelayState(relayUrl, { latestCreatedAt = null, error = null, added = 0 } = {}) {
+  searchIndexStatements.upsertRelay.run({
+    relay_url: relayUrl,
+    latest_created_at: latestCreatedAt,
+    added,
+    last_run_at: Date.now(),
+    error
+  });
+}
+
+/**
+ * Indexed event counts and each relay's cursor
+ * @returns {{ total: number, kinds: Object, relays: Object[] }}
+ */
+export function getSearchIndexStatus() {
+  const kinds = {};
+  let total = 0;
+  for (const row of searchIndexStatements.countByKind.all()) {
+    kinds[row.kind] = row.count;
+    total += row.count;
+  }
+  return { total, kinds, relays: searchIndexStatements.listRelays.all().map(rowToRelayState) };
+}
+
+/**
+ * Search the index
+ * @param {Object} options
+ * @param {string} [options.match] - FTS5 expression every result must match
+ * @param {string} [options.exclude] - FTS5 expression no result may match
+ * @param {string[]} [options.hashtags] - Lowercased, all required
+ * @param {string[]} [options.authors] - Hex pubkeys, any of
+ * @param {number[]} options.kinds
+ * @param {number} [options.since] - Unix seconds
+ * @param {number} [options.until] - Unix seconds
+ * @param {string} [options.sort] - 'relevance' (needs match) or 'recent'
+ * @param {number} options.limit
+ * @param {number} [options.offset]
+ * @returns {Object[]} Signed events
+ */
+export function searchIndexedEvents({
+  match = null,
+  exclude = null,
+  hashtags = [],
+  authors = [],
+  kinds,
+  since = 0,
+  until = Number.MAX_SAFE_INTEGER,
+  sort = 'recent',
+  limit,
+  offset = 0
+}) {
+  const params = { since, until, limit, offset };
+  const kindList = [...new Set(kinds.filter(Number.isInteger))].sort((a, b) => a - b);
+  kindList.forEach((kind, i) => { params[`kind${i}`] = kind; });
+  const where = [
+    `e.kind IN (${kindList.map((_, i) => `@kind${i}`).join(', ')})`,
+    'e.created_at >= @since',
+    'e.created_at <= @until'
+  ];
+
+  if (match) {
+    where.push('search_fts MATCH @match');
+    params.match = match;
+  }
+  if (exclude) {
+    where.push('e.id NOT IN (SELECT rowid FROM search_fts WHERE search_fts MATCH @exclude)');
+    params.exclude = exclude;
+  }
+  hashtags.forEach((hashtag, i) => {
+    where.push(`EXISTS (SELECT 1 FROM search_hashtags h WHERE h.event_id = e.event_id AND h.hashtag = @hashtag${i})`);
+    params[`hashtag${i}`] = hashtag;
+  });
+  if (authors.length > 0) {
+    where.push(`e.pubkey IN (${authors.map((_, i) => `@author${i}`).join(', ')})`);
+    authors.forEach((author, i) => { params[`author${i}`] = author; });
+  }
+
+  // Title hits weigh more than body hits
+  const order = match && sort === 'relevance'
+    ? 'bm25(search_fts, 5.0, 1.0), e.created_at DESC'
+    : 'e.created_at DESC';
+
+  const sql = `
+    SELECT e.* FROM ${match ? 'search_fts JOIN search_events e ON e.id = search_fts.rowid' : 'search_events e'}
+    WHERE ${where.join(' AND ')}
+    ORDER BY ${order}
+    LIMIT @limit OFFSET @offset
+  `;
+
+  let statement = searchQueryCache.get(sql);
+  if (statement) {
+    searchQueryCache.delete(sql);
+  } else {
+    statement = db.prepare(sql);
+    if (searchQueryCache.size >= SEARCH_QUERY_CACHE_MAX) {
+      searchQueryCache.delete(searchQueryCache.keys().next().value);
+    }
+  }
+  searchQueryCache.set(sql, statement);
+  return statement.all(params).map(rowToSearchEvent);
+}
+
+// ---- View keys (automatic payment detection) ----
+
+export function saveViewKeyRecord(viewKey) {
+  const now = Date.now();
+  paywallStatements.upsertViewKey.run({
+    creator_pubkey: viewKey.creatorPubkey,
+    primary_address: viewKey.primaryAddress,
+    view_key: viewKey.viewKey,
+    wallet_file: viewKey.walletFile,
+    restore_height: viewKey.restoreHeight || 0,
+    created_at: now,
+    updated_at: now
+  });
+}
+
+export function getViewKeyRecord(creatorPubkey) {
+  return rowToViewKey(paywallStatements.getViewKey.get(creatorPubkey));
+}
+
+export function getViewKeyRecordByWallet(walletFile) {
+  return rowToViewKey(paywallStatements.getViewKeyByWallet.get(walletFile));
+}
+
+export function deleteViewKeyRecord(creatorPubkey) {
+  return paywallStatements.deleteViewKey.run(creatorPubkey).changes > 0;
+}
+
+/**
+ * Import the legacy paywalls.json / purchases.json contents. Existing rows
+ * win (INSERT OR IGNORE semantics), so re-running is harmless.
+ * @param {Object} legacy
+ * @param {Object} legacy.paywalls - noteId -> paywall (paywalls.json)
+ * @param {Object} legacy.purchases - purchaseId -> purchase (purchases.json)
+ * @param {Object} legacy.unlocks - "noteId:buyer" -> unlock (purchases.json)
+ * @returns {{ paywalls: number, purchases: number, unlocks: number }}
+ */
+export function importLegacyPaywallData({ paywalls = {}, purchases = {}, unlocks = {} }) {
+  const counts = { paywalls: 0, purchases: 0, unlocks: 0 };
+
+  withTransaction(() => {
+    for (const paywall of Object.values(paywalls)) {
+      if (getPaywallRecord(paywall.noteId)) continue;
+      savePaywallRecord(paywall);
+      counts.paywalls++;
+    }
+
+    for (const purchase of Object.values(purchases)) {
+      if (!purchase.creatorPubkey || !purchase.paymentAddress) continue;
+      createPurchaseRecord({
+        ...purchase,
+        createdAt: purchase.createdAt || Date.now(),
+        expiresAt: purchase.expiresAt || purchase.createdAt || Date.now()
+      });
+      counts.purchases++;
+    }
+
+    for (const unlock of Object.values(unlocks)) {
+      counts.unlocks += paywallStatements.insertUnlock.run({
+        note_id: unlock.noteId,
+        buyer_pubkey: unlock.buyerPubkey,
+        txid: unlock.txid || null,
+        amount: unlock.amount ?? null,
+        confirmations: unlock.confirmations ?? null,
+        unlocked_at: unlock.unlockedAt || Date.now(),
+        expires_at: null
+      }).changes;
+    }
+
+    paywallStatements.backfillUnlockPayments.run();
+  });
+
+  return counts;
+}
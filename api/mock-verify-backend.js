@@ -0,0 +1,75 @@
+/**
+ * Nosmero Verification - mock wallet RPC backend
+ *
+ * In-process stand-in for monero-wallet-rpc so quorum and failover can be
+ * exercised without a daemon. Enabled by listing mock:// URLs as nodes:
+ *
+ *   MONERO_RPC_NODES=mock://a,mock://b,mock://c?mode=down VERIFY_QUORUM=2
+ *
+ * Query parameters:
+ *   mode     - ok (default), down, not-found, wrong-amount
+ *   latency  - delay in ms before answering
+ *   received - atomic amount reported for txids without a fixture
+ *
+ * Never available in production (see createBackend in verify.js).
+ */
+
+const mockTransactions = new Map(); // txid -> { received, confirmations, inPool }
+
+/**
+ * Register what the mock nodes report for a txid
+ * @param {string} txid
+ * @param {Object} tx
+ * @param {number} tx.received - Atomic units
+ * @param {number} [tx.confirmations=10]
+ * @param {boolean} [tx.inPool=false]
+ */
+export function setMockTransaction(txid, { received, confirmations = 10, inPool = false }) {
+  mockTransactions.set(txid.toLowerCase(), { received, confirmations, inPool });
+}
+
+export function clearMockTransactions() {
+  mockTransactions.clear();
+}
+
+/**
+ * Create a mock backend for a mock:// node URL
+ * @param {string} nodeUrl
+ * @returns {Object} Verification backend
+ */
+export function createMockBackend(nodeUrl) {
+  const url = new URL(nodeUrl);
+  const mode = url.searchParams.get('mode') || 'ok';
+  const latencyMs = parseInt(url.searchParams.get('latency'), 10) || 0;
+  const defaultReceived = url.searchParams.has('received')
+    ? parseInt(url.searchParams.get('received'), 10)
+    : null;
+
+  return {
+    id: nodeUrl,
+    type: 'mock',
+
+    async checkTxKey({ txid }) {
+      if (latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+      }
+
+      if (mode === 'down') {
+        throw new Error('RPC request failed: connect ECONNREFUSED (mock)');
+      }
+
+      const tx = mockTransactions.get(txid.toLowerCase())
+        || (defaultReceived !== null ? { received: defaultReceived, confirmations: 10, inPool: false } : null);
+
+      if (mode === 'not-found' || !tx) {
+        throw new Error('Failed to get transaction from daemon');
+      }
+
+      return {
+        received: mode === 'wrong-amount' ? tx.received + 1e12 : tx.received,
+        confirmations: tx.confirmations,
+        inPool: tx.inPool
+      };
+    }
+  };
+}
@@ -2,10 +2,16 @@
  * Nosmero Paywall Module
  *
  * Handles paywalled content:
- * - Creator creates encrypted content with price
+ * - Creator creates encrypted content with price (optionally a rental that
+ *   expires after N days)
+ * - Creator can also sell offers on top of per-note prices: a pass for all
+ *   of their paywalled content, or a discounted bundle of chosen notes
  * - Buyer pays directly to creator's address
- * - Buyer proves payment with tx_key
- * - System verifies and releases decryption key
+ * - Buyer proves payment with tx_key, or - if the creator registered a
+ *   view key - pays a per-purchase subaddress that the server watches
+ * - System verifies and releases decryption key once the payment has the
+ *   confirmations its amount calls for; the unlock stays provisional (and
+ *   can be revoked by settlement.js) until it's final
  *
  * Non-custodial: We never hold funds, only decryption keys
  */
@@ -14,8 +20,22 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { verifyTransactionProof } from './verify.js';
+import { verifyTransactionProof, checkConfirmationPolicy } from './verify.js';
+import { createViewOnlyWallet, createSubaddress, getIncomingTransfers, walletFileForAddress } from './subaddress-wallet.js';
 import { config } from './config.js';
+import {
+    withTransaction, importLegacyPaywallData,
+    savePaywallRecord, getPaywallRecord, getPaywallRecords, deletePaywallRecord,
+    getCreatorPaywallTotals, createPurchaseRecord, getPurchaseRecord,
+    getUnlockRecord, listUnlocksByBuyer, recordUnlock, expireStalePurchases,
+    listPaywallsByCreator, saveOfferRecord, getOfferRecord, listOffersByCreator,
+    listOffersForNote, deactivateOfferRecord, recordGrant, getActiveGrantForNote,
+    listGrantsByBuyer, getCreatorGrantTotals, listCreatorPayments,
+    getCreatorPaymentsByDay, getCreatorBreakdown, getCreatorConversion,
+    getCreatorBuyers, setBuyerVisibility, getBuyerVisibility,
+    listPendingSubaddressPurchases, setPurchaseReceived, completePurchaseRecord,
+    saveViewKeyRecord, getViewKeyRecord, getViewKeyRecordByWallet, deleteViewKeyRecord
+} from './db.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -94,49 +114,109 @@ function decryptDecryptionKey(encryptedKey) {
     return decrypted;
 }
 
-// Data file for paywall storage (SQLite would be better for production)
-const PAYWALL_DATA_FILE = path.join(__dirname, 'data', 'paywalls.json');
-const PURCHASES_DATA_FILE = path.join(__dirname, 'data', 'purchases.json');
+// ==================== LEGACY JSON IMPORT ====================
+// Paywalls used to live in data/paywalls.json and data/purchases.json,
+// rewritten whole on every request. They're now SQLite tables (see db.js);
+// this imports whatever the old files hold, then renames them so the data
+// isn't silently picked up again. Rows that already exist are skipped, so a
+// file that turns up again after the first import is read in, not renamed
+// unread.
 
-// Ensure data directory exists
-if (!fs.existsSync(path.join(__dirname, 'data'))) {
-    fs.mkdirSync(path.join(__dirname, 'data'), { recursive: true });
-}
+const LEGACY_PAYWALL_FILE = path.join(__dirname, 'data', 'paywalls.json');
+const LEGACY_PURCHASES_FILE = path.join(__dirname, 'data', 'purchases.json');
 
-// Initialize data files if they don't exist
-function initDataFiles() {
-    if (!fs.existsSync(PAYWALL_DATA_FILE)) {
-        fs.writeFileSync(PAYWALL_DATA_FILE, JSON.stringify({ paywalls: {} }));
-    }
-    if (!fs.existsSync(PURCHASES_DATA_FILE)) {
-        fs.writeFileSync(PURCHASES_DATA_FILE, JSON.stringify({ purchases: {}, unlocks: {} }));
+function readLegacyJson(file) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        console.error(`[Paywall] Could not parse legacy file ${path.basename(file)}:`, e.message);
+        return null;
     }
 }
-initDataFiles();
 
-// Load data from files (async to avoid blocking event loop)
-async function loadPaywalls() {
+function importLegacyJsonFiles() {
+    const paywallFile = readLegacyJson(LEGACY_PAYWALL_FILE);
+    const purchaseFile = readLegacyJson(LEGACY_PURCHASES_FILE);
+    if (!paywallFile && !purchaseFile) return;
+
     try {
-        return JSON.parse(await fs.promises.readFile(PAYWALL_DATA_FILE, 'utf8'));
+        const counts = importLegacyPaywallData({
+            paywalls: paywallFile?.paywalls,
+            purchases: purchaseFile?.purchases,
+            unlocks: purchaseFile?.unlocks
+        });
+        console.log(`[Paywall] Imported ${counts.paywalls} paywalls, ${counts.purchases} purchases, ${counts.unlocks} unlocks from JSON`);
     } catch (e) {
-        return { paywalls: {} };
+        console.error('[Paywall] Legacy JSON import failed, files left in place:', e.message);
+        return;
+    }
+
+    // Only files that were read and imported; one that didn't parse stays
+    // where it is for someone to look at
+    const imported = [[LEGACY_PAYWALL_FILE, paywallFile], [LEGACY_PURCHASES_FILE, purchaseFile]];
+    for (const [file, contents] of imported) {
+        if (contents) {
+            fs.renameSync(file, `${file}.imported`);
+        }
     }
 }
+importLegacyJsonFiles();
+
+// ==================== VALIDATION ====================
 
-async function savePaywalls(data) {
-    await fs.promises.writeFile(PAYWALL_DATA_FILE, JSON.stringify(data, null, 2));
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ACCESS_DAYS = 3650;
+const MAX_BUNDLE_NOTES = 50;
+const PURCHASE_TTL_MS = 60 * 60 * 1000;
+// Subaddress purchases are watched for longer: the buyer may pay from a
+// wallet that takes a while to sync, and nothing needs pasting afterwards
+const SUBADDRESS_PURCHASE_TTL_MS = 24 * 60 * 60 * 1000;
+const SUBADDRESS_POLL_MS = 30 * 1000;
+
+/**
+ * Validate Monero address format:
+ * - Standard/Integrated: starts with 4, 95 or 106 chars
+ * - Subaddress: starts with 8, 95 chars
+ */
+function isValidPaymentAddress(paymentAddress) {
+    return !!paymentAddress && (
+        /^4[1-9A-HJ-NP-Za-km-z]{94}$/.test(paymentAddress) ||  // Standard (95 chars)
+        /^4[1-9A-HJ-NP-Za-km-z]{105}$/.test(paymentAddress) || // Integrated (106 chars)
+        /^8[1-9A-HJ-NP-Za-km-z]{94}$/.test(paymentAddress)     // Subaddress (95 chars)
+    );
 }
 
-async function loadPurchases() {
-    try {
-        return JSON.parse(await fs.promises.readFile(PURCHASES_DATA_FILE, 'utf8'));
-    } catch (e) {
-        return { purchases: {}, unlocks: {} };
+/**
+ * Normalize an optional access duration in days
+ * @param {*} days - Number of days, or null/undefined/0 for "forever"
+ * @returns {number|null}
+ */
+function normalizeAccessDays(days) {
+    if (days === null || days === undefined || days === '' || days === 0) {
+        return null;
+    }
+    const n = Number(days);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_ACCESS_DAYS) {
+        throw new Error(`Invalid access duration: must be 1-${MAX_ACCESS_DAYS} days`);
     }
+    return n;
 }
 
-async function savePurchases(data) {
-    await fs.promises.writeFile(PURCHASES_DATA_FILE, JSON.stringify(data, null, 2));
+/**
+ * Public view of an offer (what buyers see in the unlock modal)
+ */
+function publicOffer(offer) {
+    return {
+        offerId: offer.offerId,
+        creatorPubkey: offer.creatorPubkey,
+        kind: offer.kind,
+        title: offer.title,
+        priceXmr: offer.priceXmr,
+        paymentAddress: offer.paymentAddress,
+        durationDays: offer.durationDays,
+        noteIds: offer.noteIds
+    };
 }
 
 /**
@@ -151,9 +231,10 @@ async function savePurchases(data) {
  * @param {string} params.decryptionKey - AES decryption key (base64)
  * @param {string} params.preview - Preview text to show
  * @param {string} params.encryptedContent - Encrypted content blob (base64)
+ * @param {number|null} [params.accessDays] - Rental length; null = unlock forever
  * @returns {Object} Created paywall record
  */
-export async function createPaywall({ noteId, creatorPubkey, paymentAddress, priceXmr, decryptionKey, preview, encryptedContent }) {
+export async function createPaywall({ noteId, creatorPubkey, paymentAddress, priceXmr, decryptionKey, preview, encryptedContent, accessDays = null }) {
     // Validate inputs
     if (!noteId || typeof noteId !== 'string') {
         throw new Error('Invalid noteId');
@@ -161,15 +242,7 @@ export async function createPaywall({ noteId, creatorPubkey, paymentAddress, pri
     if (!creatorPubkey || !/^[0-9a-f]{64}$/i.test(creatorPubkey)) {
         throw new Error('Invalid creator pubkey');
     }
-    // Validate Monero address format:
-    // - Standard/Integrated: starts with 4, 95 or 106 chars
-    // - Subaddress: starts with 8, 95 chars
-    const isValidAddress = paymentAddress && (
-        /^4[1-9A-HJ-NP-Za-km-z]{94}$/.test(paymentAddress) ||  // Standard (95 chars)
-        /^4[1-9A-HJ-NP-Za-km-z]{105}$/.test(paymentAddress) || // Integrated (106 chars)
-        /^8[1-9A-HJ-NP-Za-km-z]{94}$/.test(paymentAddress)     // Subaddress (95 chars)
-    );
-    if (!isValidAddress) {
+    if (!isValidPaymentAddress(paymentAddress)) {
         throw new Error('Invalid Monero payment address');
     }
     if (typeof priceXmr !== 'number' || priceXmr <= 0) {
@@ -178,49 +251,55 @@ export async function createPaywall({ noteId, creatorPubkey, paymentAddress, pri
     if (!decryptionKey) {
         throw new Error('Decryption key required');
     }
+    accessDays = normalizeAccessDays(accessDays);
 
-    const data = await loadPaywalls();
+    const encryptedKey = encryptDecryptionKey(decryptionKey); // Encrypted at rest
 
     // Upsert: if a paywall for this noteId already exists and the same
     // creator is re-publishing (article edit flow on addressable kinds —
     // 30023:pubkey:d-slug stays stable across edits), update in place and
     // keep sales counters. Any other pubkey trying to overwrite is rejected.
-    const existing = data.paywalls[noteId];
-    if (existing && existing.creatorPubkey !== creatorPubkey) {
-        throw new Error('Paywall already exists for this note');
-    }
+    const { existing, paywall } = withTransaction(() => {
+        const existing = getPaywallRecord(noteId);
+        if (existing && existing.creatorPubkey !== creatorPubkey) {
+            throw new Error('Paywall already exists for this note');
+        }
 
-    const paywall = existing ? {
-        ...existing,
-        paymentAddress,
-        priceXmr,
-        decryptionKey: encryptDecryptionKey(decryptionKey),
-        preview: preview || '',
-        encryptedContent: encryptedContent || '',
-        updatedAt: Date.now()
-    } : {
-        noteId,
-        creatorPubkey,
-        paymentAddress,
-        priceXmr,
-        decryptionKey: encryptDecryptionKey(decryptionKey), // Encrypted at rest
-        preview: preview || '',
-        encryptedContent: encryptedContent || '', // Optional: store encrypted content if not on relay
-        createdAt: Date.now(),
-        totalSales: 0,
-        totalRevenue: 0
-    };
+        const paywall = existing ? {
+            ...existing,
+            paymentAddress,
+            priceXmr,
+            accessDays,
+            decryptionKey: encryptedKey,
+            preview: preview || '',
+            encryptedContent: encryptedContent || '',
+            updatedAt: Date.now()
+        } : {
+            noteId,
+            creatorPubkey,
+            paymentAddress,
+            priceXmr,
+            accessDays,
+            decryptionKey: encryptedKey,
+            preview: preview || '',
+            encryptedContent: encryptedContent || '', // Optional: store encrypted content if not on relay
+            createdAt: Date.now(),
+            totalSales: 0,
+            totalRevenue: 0
+        };
 
-    data.paywalls[noteId] = paywall;
-    await savePaywalls(data);
+        savePaywallRecord(paywall);
+        return { existing, paywall };
+    });
 
-    console.log(`[Paywall] ${existing ? 'Updated' : 'Created'} paywall for note ${noteId.substring(0, 8)}... Price: ${priceXmr} XMR`);
+    console.log(`[Paywall] ${existing ? 'Updated' : 'Created'} paywall for note ${noteId.substring(0, 8)}... Price: ${priceXmr} XMR${accessDays ? ` for ${accessDays} days` : ''}`);
 
     return {
         noteId,
         creatorPubkey,
         paymentAddress,
         priceXmr,
+        accessDays,
         preview,
         createdAt: paywall.createdAt
     };
@@ -228,12 +307,13 @@ export async function createPaywall({ noteId, creatorPubkey, paymentAddress, pri
 
 /**
  * Get paywall info (public data only)
+ * Includes the creator's active passes and any bundles containing the note,
+ * so the unlock modal can offer every way to pay.
  * @param {string} noteId
  * @returns {Object|null}
  */
 export async function getPaywallInfo(noteId) {
-    const data = await loadPaywalls();
-    const paywall = data.paywalls[noteId];
+    const paywall = getPaywallRecord(noteId);
 
     if (!paywall) {
         return null;
@@ -246,10 +326,12 @@ export async function getPaywallInfo(noteId) {
         creatorPubkey: paywall.creatorPubkey,
         paymentAddress: paywall.paymentAddress,
         priceXmr: paywall.priceXmr,
+        accessDays: paywall.accessDays,
         preview: paywall.preview,
         encryptedContent: paywall.encryptedContent || null,
         createdAt: paywall.createdAt,
-        totalSales: paywall.totalSales
+        totalSales: paywall.totalSales,
+        offers: listOffersForNote(noteId).map(publicOffer)
     };
 }
 
@@ -259,38 +341,73 @@ export async function getPaywallInfo(noteId) {
  * @returns {Object} Map of noteId -> paywall info
  */
 export async function getPaywallInfoBatch(noteIds) {
-    const data = await loadPaywalls();
     const results = {};
 
-    for (const noteId of noteIds) {
-        const paywall = data.paywalls[noteId];
-        if (paywall) {
-            results[noteId] = {
-                noteId: paywall.noteId,
-                creatorPubkey: paywall.creatorPubkey,
-                paymentAddress: paywall.paymentAddress,
-                priceXmr: paywall.priceXmr,
-                preview: paywall.preview,
-                encryptedContent: paywall.encryptedContent || null,
-                createdAt: paywall.createdAt,
-                totalSales: paywall.totalSales
-            };
-        }
+    for (const paywall of getPaywallRecords(noteIds)) {
+        results[paywall.noteId] = {
+            noteId: paywall.noteId,
+            creatorPubkey: paywall.creatorPubkey,
+            paymentAddress: paywall.paymentAddress,
+            priceXmr: paywall.priceXmr,
+            accessDays: paywall.accessDays,
+            preview: paywall.preview,
+            encryptedContent: paywall.encryptedContent || null,
+            createdAt: paywall.createdAt,
+            totalSales: paywall.totalSales
+        };
     }
 
     return results;
 }
 
+/**
+ * List a creator's paywalled notes (public info, newest first)
+ * @param {string} creatorPubkey
+ * @returns {Object[]}
+ */
+export async function getCreatorPaywalls(creatorPubkey) {
+    return listPaywallsByCreator(creatorPubkey).map(paywall => ({
+        noteId: paywall.noteId,
+        priceXmr: paywall.priceXmr,
+        accessDays: paywall.accessDays,
+        preview: paywall.preview,
+        createdAt: paywall.createdAt,
+        totalSales: paywall.totalSales
+    }));
+}
+
+/**
+ * Work out whether a buyer currently has access to a note, either through
+ * their own (unexpired) unlock or through a pass/bundle grant.
+ * @param {string} noteId
+ * @param {string} buyerPubkey
+ * @returns {{ unlocked: boolean, expiresAt?: number|null, via?: string, offerId?: string, settlement?: string }}
+ *   settlement is 'provisional' or 'final' (see checkConfirmationPolicy)
+ */
+export async function getAccessStatus(noteId, buyerPubkey) {
+    const now = Date.now();
+    const unlock = getUnlockRecord(noteId, buyerPubkey);
+    if (unlock && unlock.status !== 'revoked' && (!unlock.expiresAt || unlock.expiresAt > now)) {
+        return { unlocked: true, expiresAt: unlock.expiresAt, via: 'note', settlement: unlock.status };
+    }
+
+    const grant = getActiveGrantForNote(noteId, buyerPubkey, now);
+    if (grant) {
+        return { unlocked: true, expiresAt: grant.expiresAt, via: grant.kind, offerId: grant.offerId, settlement: grant.status };
+    }
+
+    return { unlocked: false };
+}
+
 /**
  * Check if a user has already unlocked a note
+ * Honours rental expiry and creator passes / bundles.
  * @param {string} noteId
  * @param {string} buyerPubkey
  * @returns {boolean}
  */
 export async function hasUnlocked(noteId, buyerPubkey) {
-    const data = await loadPurchases();
-    const unlockKey = `${noteId}:${buyerPubkey}`;
-    return !!data.unlocks[unlockKey];
+    return (await getAccessStatus(noteId, buyerPubkey)).unlocked;
 }
 
 /**
@@ -300,16 +417,12 @@ export async function hasUnlocked(noteId, buyerPubkey) {
  * @returns {string|null}
  */
 export async function getUnlockedKey(noteId, buyerPubkey) {
-    const purchaseData = await loadPurchases();
-    const unlockKey = `${noteId}:${buyerPubkey}`;
-
-    if (!purchaseData.unlocks[unlockKey]) {
+    if (!(await hasUnlocked(noteId, buyerPubkey))) {
         return null;
     }
 
     // Get the decryption key from paywall data
-    const paywallData = await loadPaywalls();
-    const paywall = paywallData.paywalls[noteId];
+    const paywall = getPaywallRecord(noteId);
 
     if (!paywall) {
         return null;
@@ -325,8 +438,7 @@ export async function getUnlockedKey(noteId, buyerPubkey) {
  * @returns {string|null}
  */
 export async function getCreatorKey(noteId, creatorPubkey) {
-    const paywallData = await loadPaywalls();
-    const paywall = paywallData.paywalls[noteId];
+    const paywall = getPaywallRecord(noteId);
 
     if (!paywall) {
         return null;
@@ -340,54 +452,118 @@ export async function getCreatorKey(noteId, creatorPubkey) {
     return decryptDecryptionKey(paywall.decryptionKey);
 }
 
+/**
+ * Look up an offer a buyer wants to pay for and make sure it can be bought
+ * (exists, still active, and - when a note is given - actually covers it).
+ */
+function getPurchasableOffer(offerId, noteId) {
+    const offer = getOfferRecord(offerId);
+    if (!offer || !offer.active) {
+        throw new Error('Offer not found');
+    }
+    if (noteId && !listOffersForNote(noteId).some(o => o.offerId === offerId)) {
+        throw new Error('Offer does not include this note');
+    }
+    return offer;
+}
+
 /**
  * Initiate a purchase - creates a pending purchase record
- * @param {string} noteId
+ * @param {string} noteId - Note the buyer is unlocking
  * @param {string} buyerPubkey
+ * @param {Object} [options]
+ * @param {string} [options.offerId] - Buy a pass/bundle instead of the single note
  * @returns {Object} Purchase details
  */
-export async function initiatePurchase(noteId, buyerPubkey) {
-    const paywallData = await loadPaywalls();
-    const paywall = paywallData.paywalls[noteId];
+export async function initiatePurchase(noteId, buyerPubkey, { offerId } = {}) {
+    const paywall = getPaywallRecord(noteId);
 
     if (!paywall) {
         throw new Error('Paywall not found');
     }
 
+    // Passes and bundles can be bought (or renewed) regardless of whether
+    // this particular note is already unlocked.
+    const offer = offerId ? getPurchasableOffer(offerId, noteId) : null;
+
     // Check if already unlocked
-    if (await hasUnlocked(noteId, buyerPubkey)) {
+    if (!offer && await hasUnlocked(noteId, buyerPubkey)) {
         throw new Error('Already unlocked');
     }
 
-    const purchaseData = await loadPurchases();
     const purchaseId = crypto.randomUUID();
+    const paymentAddress = offer ? offer.paymentAddress : paywall.paymentAddress;
+    const subaddress = await allocateSubaddress(paywall.creatorPubkey, paymentAddress, purchaseId);
 
     const purchase = {
         purchaseId,
         noteId,
         buyerPubkey,
         creatorPubkey: paywall.creatorPubkey,
-        paymentAddress: paywall.paymentAddress,
-        priceXmr: paywall.priceXmr,
+        paymentAddress: subaddress ? subaddress.address : paymentAddress,
+        priceXmr: offer ? offer.priceXmr : paywall.priceXmr,
+        offerId: offer ? offer.offerId : null,
+        subaddress: subaddress?.address,
+        subaddressIndex: subaddress?.index,
+        subaddressWallet: subaddress?.walletFile,
         status: 'pending',
         createdAt: Date.now(),
-        expiresAt: Date.now() + (60 * 60 * 1000) // 1 hour expiry
+        expiresAt: Date.now() + (subaddress ? SUBADDRESS_PURCHASE_TTL_MS : PURCHASE_TTL_MS)
     };
 
-    purchaseData.purchases[purchaseId] = purchase;
-    await savePurchases(purchaseData);
+    createPurchaseRecord(purchase);
 
-    console.log(`[Paywall] Purchase initiated: ${purchaseId} for note ${noteId.substring(0, 8)}...`);
+    console.log(`[Paywall] Purchase initiated: ${purchaseId} for ${offer ? `${offer.kind} ${offer.offerId.substring(0, 8)}` : `note ${noteId.substring(0, 8)}`}...`);
 
     return {
         purchaseId,
         noteId,
-        paymentAddress: paywall.paymentAddress,
-        priceXmr: paywall.priceXmr,
+        offerId: purchase.offerId,
+        paymentAddress: purchase.paymentAddress,
+        priceXmr: purchase.priceXmr,
+        accessDays: offer ? offer.durationDays : paywall.accessDays,
+        // Payment to a subaddress is detected by the server - no tx proof needed
+        autoDetect: !!subaddress,
         expiresAt: purchase.expiresAt
     };
 }
 
+/**
+ * Verify a payment proof against an expected address/amount and apply the
+ * confirmation policy for that amount
+ * @returns {Promise<Object>} verifyTransactionProof result plus settlement
+ *   ('provisional' or 'final')
+ */
+async function verifyPayment({ txid, txKey, paymentAddress, priceXmr, label }) {
+    // Verify the transaction using check_tx_key RPC
+    // This confirms: tx exists, was sent to correct address, correct amount
+    console.log(`[Paywall] Verifying transaction for ${label}...`);
+    console.log(`[Paywall] TX: ${txid.substring(0, 16)}... Expected: ${priceXmr} XMR`);
+
+    let verificationResult;
+    try {
+        verificationResult = await verifyTransactionProof({
+            txid,
+            txKey,
+            recipientAddress: paymentAddress,
+            expectedAmount: priceXmr
+        });
+        console.log(`[Paywall] Verification successful: ${verificationResult.receivedAmount} XMR, ${verificationResult.confirmations} confirmations`);
+    } catch (verifyError) {
+        console.error(`[Paywall] Verification failed:`, verifyError.message);
+        throw new Error(`Payment verification failed: ${verifyError.message}`);
+    }
+
+    // The client keeps polling on "not confirmed" errors. The tier comes
+    // from what actually arrived, not the price.
+    const policy = checkConfirmationPolicy(verificationResult.receivedAmount, verificationResult.confirmations);
+    if (!policy.accepted) {
+        throw new Error(`Transaction not confirmed yet: ${verificationResult.confirmations}/${policy.required} confirmations needed for this amount`);
+    }
+
+    return { ...verificationResult, settlement: policy.status };
+}
+
 /**
  * Verify payment and unlock content
  * This is the main endpoint called after buyer sends payment
@@ -395,102 +571,146 @@ export async function initiatePurchase(noteId, buyerPubkey) {
  * @param {Object} params
  * @param {string} params.purchaseId - Purchase ID from initiatePurchase
  * @param {string} params.noteId - Note ID (alternative to purchaseId)
+ * @param {string} params.offerId - Offer ID for an ad-hoc pass/bundle payment
  * @param {string} params.buyerPubkey - Buyer's Nostr pubkey
  * @param {string} params.txid - Transaction ID
  * @param {string} params.txKey - Transaction private key for proof
- * @returns {Object} { success, decryptionKey }
+ * @returns {Object} { success, decryptionKey, expiresAt }
  */
-export async function verifyAndUnlock({ purchaseId, noteId, buyerPubkey, txid, txKey }) {
-    // Load data
-    const purchaseData = await loadPurchases();
-    const paywallData = await loadPaywalls();
-
+export async function verifyAndUnlock({ purchaseId, noteId, offerId, buyerPubkey, txid, txKey }) {
     // Find the purchase/paywall
-    let purchase = null;
+    let purchase = purchaseId ? getPurchaseRecord(purchaseId) : null;
     let paywall = null;
 
-    if (purchaseId && purchaseData.purchases[purchaseId]) {
-        purchase = purchaseData.purchases[purchaseId];
-        paywall = paywallData.paywalls[purchase.noteId];
+    if (purchase) {
+        paywall = getPaywallRecord(purchase.noteId);
         noteId = purchase.noteId;
+        offerId = purchase.offerId;
     } else if (noteId) {
-        paywall = paywallData.paywalls[noteId];
-        // Create ad-hoc purchase if none exists
-        if (paywall) {
-            purchase = {
-                noteId,
-                buyerPubkey,
-                paymentAddress: paywall.paymentAddress,
-                priceXmr: paywall.priceXmr
-            };
-        }
+        // Ad-hoc purchase (no initiatePurchase call) - nothing to complete
+        purchaseId = null;
+        paywall = getPaywallRecord(noteId);
     }
 
     if (!paywall) {
         throw new Error('Paywall not found');
     }
 
-    // Check if already unlocked
-    const unlockKey = `${noteId}:${buyerPubkey}`;
-    if (purchaseData.unlocks[unlockKey]) {
+    // A buyer shown a subaddress can still prove payment by hand; the
+    // proof then has to be checked against that subaddress
+    const subaddress = purchase?.subaddress || null;
+
+    if (offerId) {
+        return verifyAndGrantOffer({ offerId, noteId, paywall, buyerPubkey, txid, txKey, purchaseId, subaddress });
+    }
+
+    // Check if already unlocked (an expired rental doesn't count)
+    const access = await getAccessStatus(noteId, buyerPubkey);
+    if (access.unlocked) {
         console.log(`[Paywall] Already unlocked: ${noteId.substring(0, 8)}... for ${buyerPubkey.substring(0, 8)}...`);
         return {
             success: true,
             alreadyUnlocked: true,
-            decryptionKey: decryptDecryptionKey(paywall.decryptionKey)
+            decryptionKey: decryptDecryptionKey(paywall.decryptionKey),
+            expiresAt: access.expiresAt
         };
     }
 
-    // Verify the transaction using check_tx_key RPC
-    // This confirms: tx exists, was sent to correct address, correct amount
-    console.log(`[Paywall] Verifying transaction for note ${noteId.substring(0, 8)}...`);
-    console.log(`[Paywall] TX: ${txid.substring(0, 16)}... Expected: ${paywall.priceXmr} XMR`);
+    const verificationResult = await verifyPayment({
+        txid,
+        txKey,
+        paymentAddress: subaddress || paywall.paymentAddress,
+        priceXmr: paywall.priceXmr,
+        label: `note ${noteId.substring(0, 8)}...`
+    });
 
-    let verificationResult;
-    try {
-        verificationResult = await verifyTransactionProof({
-            txid,
-            txKey,
-            recipientAddress: paywall.paymentAddress,
-            expectedAmount: paywall.priceXmr
-        });
-        console.log(`[Paywall] Verification successful: ${verificationResult.receivedAmount} XMR, ${verificationResult.confirmations} confirmations`);
-    } catch (verifyError) {
-        console.error(`[Paywall] Verification failed:`, verifyError.message);
-        throw new Error(`Payment verification failed: ${verifyError.message}`);
-    }
+    const expiresAt = paywall.accessDays ? Date.now() + paywall.accessDays * DAY_MS : null;
 
-    // Record the unlock
-    purchaseData.unlocks[unlockKey] = {
+    // Record the unlock, complete the purchase and update paywall stats in
+    // one transaction. A concurrent verify for the same buyer that got here
+    // first wins; this one then reports alreadyUnlocked without double-counting.
+    const recorded = recordUnlock({
         noteId,
         buyerPubkey,
         txid,
         amount: verificationResult.receivedAmount,
         confirmations: verificationResult.confirmations,
-        unlockedAt: Date.now()
+        expiresAt,
+        purchaseId,
+        status: verificationResult.settlement
+    });
+
+    if (recorded) {
+        console.log(`[Paywall] UNLOCKED (${verificationResult.settlement}): ${noteId.substring(0, 8)}... for ${buyerPubkey.substring(0, 8)}... (${verificationResult.receivedAmount} XMR)`);
+    }
+
+    // Not recorded: either a concurrent verify won, or this txid was already
+    // used for an unlock that has since been revoked
+    const current = recorded ? null : await getAccessStatus(noteId, buyerPubkey);
+    if (current && !current.unlocked) {
+        throw new Error('This payment has already been used');
+    }
+
+    return {
+        success: true,
+        alreadyUnlocked: !recorded,
+        decryptionKey: decryptDecryptionKey(paywall.decryptionKey),
+        verifiedAmount: verificationResult.receivedAmount,
+        confirmations: verificationResult.confirmations,
+        settlement: recorded ? verificationResult.settlement : current.settlement,
+        expiresAt: recorded ? expiresAt : current.expiresAt
     };
+}
 
-    // Update purchase status if exists
-    if (purchaseId && purchaseData.purchases[purchaseId]) {
-        purchaseData.purchases[purchaseId].status = 'completed';
-        purchaseData.purchases[purchaseId].completedAt = Date.now();
-        purchaseData.purchases[purchaseId].txid = txid;
+/**
+ * Offer branch of verifyAndUnlock: verify payment to the offer's address
+ * and price, record the grant, and release the key of the note the buyer
+ * was looking at.
+ */
+async function verifyAndGrantOffer({ offerId, noteId, paywall, buyerPubkey, txid, txKey, purchaseId, subaddress }) {
+    const offer = getOfferRecord(offerId);
+    if (!offer) {
+        throw new Error('Offer not found');
+    }
+    // A pending purchase locks in the offer it was started for, even if the
+    // creator deactivates the offer before the buyer's tx confirms.
+    if (!purchaseId) {
+        getPurchasableOffer(offerId, noteId);
     }
 
-    await savePurchases(purchaseData);
+    const verificationResult = await verifyPayment({
+        txid,
+        txKey,
+        paymentAddress: subaddress || offer.paymentAddress,
+        priceXmr: offer.priceXmr,
+        label: `${offer.kind} ${offerId.substring(0, 8)}...`
+    });
+
+    const { recorded, expiresAt } = recordGrant({
+        offer,
+        buyerPubkey,
+        txid,
+        amount: verificationResult.receivedAmount,
+        confirmations: verificationResult.confirmations,
+        purchaseId,
+        status: verificationResult.settlement
+    });
 
-    // Update paywall stats
-    paywallData.paywalls[noteId].totalSales += 1;
-    paywallData.paywalls[noteId].totalRevenue += verificationResult.receivedAmount;
-    await savePaywalls(paywallData);
+    if (recorded) {
+        console.log(`[Paywall] GRANTED (${verificationResult.settlement}) ${offer.kind} ${offerId.substring(0, 8)}... to ${buyerPubkey.substring(0, 8)}... (${verificationResult.receivedAmount} XMR)`);
+    }
 
-    console.log(`[Paywall] UNLOCKED: ${noteId.substring(0, 8)}... for ${buyerPubkey.substring(0, 8)}... (${verificationResult.receivedAmount} XMR)`);
+    const access = await getAccessStatus(noteId, buyerPubkey);
 
     return {
         success: true,
-        decryptionKey: decryptDecryptionKey(paywall.decryptionKey),
+        alreadyUnlocked: !recorded,
+        decryptionKey: access.unlocked ? decryptDecryptionKey(paywall.decryptionKey) : null,
         verifiedAmount: verificationResult.receivedAmount,
-        confirmations: verificationResult.confirmations
+        confirmations: verificationResult.confirmations,
+        settlement: recorded ? verificationResult.settlement : access.settlement ?? null,
+        offerId,
+        expiresAt: recorded ? expiresAt : access.expiresAt ?? null
     };
 }
 
@@ -500,16 +720,379 @@ export async function verifyAndUnlock({ purchaseId, noteId, buyerPubkey, txid, t
  * @returns {Object[]} List of unlocked notes
  */
 export async function getUserUnlocks(buyerPubkey) {
-    const purchaseData = await loadPurchases();
-    const unlocks = [];
+    return listUnlocksByBuyer(buyerPubkey);
+}
+
+/**
+ * Get all pass / bundle grants for a user (including expired ones)
+ * @param {string} buyerPubkey
+ * @returns {Object[]}
+ */
+export async function getUserGrants(buyerPubkey) {
+    return listGrantsByBuyer(buyerPubkey);
+}
+
+// ==================== AUTOMATIC PAYMENT DETECTION ====================
+// Creators who register their view key get a fresh subaddress per purchase.
+// A background job watches those subaddresses and unlocks on arrival, so
+// buyers paying from an external wallet don't have to paste a txid/tx_key.
+
+/**
+ * Register (or replace) a creator's view key for payment detection
+ * @param {Object} params
+ * @param {string} params.creatorPubkey
+ * @param {string} params.primaryAddress - Creator's standard (4...) address
+ * @param {string} params.viewKey - Private view key (64 hex chars)
+ * @param {number} [params.restoreHeight] - Block height to start scanning from
+ * @returns {Object} Detection status (never includes the key)
+ */
+export async function registerViewKey({ creatorPubkey, primaryAddress, viewKey, restoreHeight = 0 }) {
+    if (!/^4[1-9A-HJ-NP-Za-km-z]{94}$/.test(primaryAddress || '')) {
+        throw new Error('Invalid primary address: must be a standard address starting with 4');
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(viewKey || '')) {
+        throw new Error('Invalid view key: must be 64 hex characters');
+    }
+    const height = Number(restoreHeight || 0);
+    if (!Number.isInteger(height) || height < 0) {
+        throw new Error('Invalid restore height');
+    }
+
+    const walletFile = walletFileForAddress(primaryAddress);
+
+    // wallet-rpc checks that the view key belongs to the address
+    await createViewOnlyWallet({ walletFile, primaryAddress, viewKey, restoreHeight: height });
+
+    saveViewKeyRecord({
+        creatorPubkey,
+        primaryAddress,
+        viewKey: encryptDecryptionKey(viewKey.toLowerCase()), // Encrypted at rest
+        walletFile,
+        restoreHeight: height
+    });
+
+    console.log(`[Paywall] View key registered for ${creatorPubkey.substring(0, 8)}... (${walletFile})`);
+
+    return getViewKeyStatus(creatorPubkey);
+}
 
-    for (const [key, unlock] of Object.entries(purchaseData.unlocks)) {
-        if (unlock.buyerPubkey === buyerPubkey) {
-            unlocks.push(unlock);
+/**
+ * @param {string} creatorPubkey
+ * @returns {{ enabled: boolean, primaryAddress?: string, restoreHeight?: number, updatedAt?: number }}
+ */
+export async function getViewKeyStatus(creatorPubkey) {
+    const record = getViewKeyRecord(creatorPubkey);
+    if (!record) {
+        return { enabled: false };
+    }
+    return {
+        enabled: true,
+        primaryAddress: record.primaryAddress,
+        restoreHeight: record.restoreHeight,
+        updatedAt: record.updatedAt
+    };
+}
+
+/**
+ * Turn off payment detection. Pending subaddress purchases stop being
+ * watched; their buyers can still prove payment with a tx_key.
+ * @param {string} creatorPubkey
+ * @returns {boolean} True if a view key was removed
+ */
+export async function removeViewKey(creatorPubkey) {
+    const removed = deleteViewKeyRecord(creatorPubkey);
+    if (removed) {
+        console.log(`[Paywall] View key removed for ${creatorPubkey.substring(0, 8)}...`);
+    }
+    return removed;
+}
+
+/**
+ * Run a wallet-rpc call against a creator's view-only wallet, recreating
+ * the wallet from the stored keys if wallet-rpc lost it
+ */
+async function withCreatorWallet(record, callback) {
+    try {
+        return await callback();
+    } catch (error) {
+        if (!/failed to open wallet|file not found|no such file/i.test(error.message)) {
+            throw error;
+        }
+        console.warn(`[Paywall] Recreating view-only wallet ${record.walletFile}`);
+        await createViewOnlyWallet({
+            walletFile: record.walletFile,
+            primaryAddress: record.primaryAddress,
+            viewKey: decryptDecryptionKey(record.viewKey),
+            restoreHeight: record.restoreHeight
+        });
+        return callback();
+    }
+}
+
+/**
+ * Hand out a fresh subaddress for a purchase, if the creator has detection
+ * enabled for the address being paid. Falls back to the tx proof flow
+ * (returns null) when wallet-rpc is unavailable.
+ */
+async function allocateSubaddress(creatorPubkey, paymentAddress, purchaseId) {
+    const record = getViewKeyRecord(creatorPubkey);
+    if (!record || record.primaryAddress !== paymentAddress) {
+        return null;
+    }
+
+    try {
+        const { address, index } = await withCreatorWallet(record, () => createSubaddress(record.walletFile, purchaseId));
+        return { address, index, walletFile: record.walletFile };
+    } catch (error) {
+        console.error(`[Paywall] Subaddress allocation failed (using tx proof instead):`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Complete a subaddress purchase once enough has arrived at its subaddress
+ * @param {Object} purchase - Pending purchase record
+ * @param {Object[]} transfers - Incoming transfers to its subaddress
+ */
+function settleSubaddressPurchase(purchase, transfers) {
+    const receivedAtomic = transfers.reduce((sum, t) => sum + t.atomicAmount, 0);
+    const receivedXmr = receivedAtomic / 1e12;
+    if (receivedXmr !== purchase.receivedXmr) {
+        setPurchaseReceived(purchase.purchaseId, receivedXmr);
+    }
+
+    // Same 1 atomic unit tolerance as check_tx_key verification; paying
+    // more (or in several transactions) is fine
+    if (transfers.length === 0 || receivedAtomic + 1 < Math.round(purchase.priceXmr * 1e12)) {
+        return;
+    }
+
+    const confirmations = Math.min(...transfers.map(t => t.confirmations));
+    const policy = checkConfirmationPolicy(receivedXmr, confirmations);
+    if (!policy.accepted) {
+        return;
+    }
+
+    // The largest transaction identifies the payment; the others go in the
+    // ledger as part of it, so none of them can unlock anything else
+    const byTxid = new Map();
+    for (const t of transfers) byTxid.set(t.txid, (byTxid.get(t.txid) || 0) + t.atomicAmount);
+    const payments = [...byTxid]
+        .sort((a, b) => b[1] - a[1])
+        .map(([txid, atomic]) => ({ txid, amount: atomic / 1e12 }));
+    const { txid } = payments[0];
+    const { purchaseId, buyerPubkey, noteId, offerId } = purchase;
+
+    let recorded = false;
+    if (offerId) {
+        const offer = getOfferRecord(offerId);
+        if (offer) {
+            recorded = recordGrant({
+                offer, buyerPubkey, txid, amount: receivedXmr, confirmations, purchaseId, status: policy.status, payments
+            }).recorded;
+        }
+    } else {
+        const paywall = getPaywallRecord(noteId);
+        if (paywall) {
+            recorded = recordUnlock({
+                noteId,
+                buyerPubkey,
+                txid,
+                amount: receivedXmr,
+                confirmations,
+                expiresAt: paywall.accessDays ? Date.now() + paywall.accessDays * DAY_MS : null,
+                purchaseId,
+                status: policy.status,
+                payments
+            });
         }
     }
 
-    return unlocks;
+    // Already unlocked (or the item was deleted) - still stop watching it
+    if (!recorded) {
+        completePurchaseRecord(purchaseId, txid);
+    }
+
+    console.log(`[Paywall] DETECTED payment for purchase ${purchaseId.substring(0, 8)}... (${receivedXmr} XMR, ${recorded ? 'unlocked' : 'nothing to unlock'})`);
+}
+
+let detectionRunning = false;
+
+/**
+ * Check every watched subaddress for incoming payments, one wallet at a time
+ */
+export async function detectSubaddressPayments() {
+    if (detectionRunning) return;
+    detectionRunning = true;
+
+    try {
+        const byWallet = new Map();
+        for (const purchase of listPendingSubaddressPurchases()) {
+            if (!byWallet.has(purchase.subaddressWallet)) byWallet.set(purchase.subaddressWallet, []);
+            byWallet.get(purchase.subaddressWallet).push(purchase);
+        }
+
+        for (const [walletFile, purchases] of byWallet) {
+            const record = getViewKeyRecordByWallet(walletFile);
+            if (!record) continue;
+
+            let transfers;
+            try {
+                transfers = await withCreatorWallet(record, () =>
+                    getIncomingTransfers(walletFile, purchases.map(p => p.subaddressIndex)));
+            } catch (error) {
+                console.error(`[Paywall] Payment detection failed for ${walletFile}:`, error.message);
+                continue;
+            }
+
+            for (const purchase of purchases) {
+                settleSubaddressPurchase(purchase, transfers.filter(t => t.subaddressIndex === purchase.subaddressIndex));
+            }
+        }
+    } finally {
+        detectionRunning = false;
+    }
+}
+
+/**
+ * Status of a buyer's purchase, polled by the client while it waits for a
+ * subaddress payment to be detected. Includes the decryption key once the
+ * purchase has completed and the note is unlocked.
+ * @param {string} purchaseId
+ * @param {string} buyerPubkey
+ * @returns {Object}
+ */
+export async function getPurchaseStatus(purchaseId, buyerPubkey) {
+    const purchase = getPurchaseRecord(purchaseId);
+    if (!purchase || purchase.buyerPubkey !== buyerPubkey) {
+        throw new Error('Purchase not found');
+    }
+
+    const status = {
+        purchaseId,
+        noteId: purchase.noteId,
+        offerId: purchase.offerId,
+        status: purchase.status,
+        autoDetect: !!purchase.subaddress,
+        paymentAddress: purchase.paymentAddress,
+        priceXmr: purchase.priceXmr,
+        receivedXmr: purchase.receivedXmr,
+        expiresAt: purchase.expiresAt,
+        unlocked: false
+    };
+
+    if (purchase.status === 'completed') {
+        const access = await getAccessStatus(purchase.noteId, buyerPubkey);
+        const paywall = getPaywallRecord(purchase.noteId);
+        if (access.unlocked && paywall) {
+            status.unlocked = true;
+            status.decryptionKey = decryptDecryptionKey(paywall.decryptionKey);
+            status.accessExpiresAt = access.expiresAt ?? null;
+        }
+    }
+
+    return status;
+}
+
+// ==================== OFFERS (PASSES & BUNDLES) ====================
+
+/**
+ * Create or update a creator offer
+ * @param {Object} params
+ * @param {string} params.creatorPubkey
+ * @param {string} [params.offerId] - Existing offer to update
+ * @param {string} params.kind - 'pass' or 'bundle'
+ * @param {string} params.title - Shown to buyers
+ * @param {number} params.priceXmr
+ * @param {string} params.paymentAddress
+ * @param {number|null} [params.durationDays] - null = never expires
+ * @param {string[]} [params.noteIds] - Bundle contents (creator's own paywalls)
+ * @returns {Object} Saved offer
+ */
+export async function saveOffer({ creatorPubkey, offerId, kind, title, priceXmr, paymentAddress, durationDays = null, noteIds = [] }) {
+    if (!creatorPubkey || !/^[0-9a-f]{64}$/i.test(creatorPubkey)) {
+        throw new Error('Invalid creator pubkey');
+    }
+    if (kind !== 'pass' && kind !== 'bundle') {
+        throw new Error('Invalid offer kind');
+    }
+    if (!isValidPaymentAddress(paymentAddress)) {
+        throw new Error('Invalid Monero payment address');
+    }
+    if (typeof priceXmr !== 'number' || !(priceXmr > 0)) {
+        throw new Error('Invalid price');
+    }
+    if (typeof title !== 'string' || title.trim().length === 0 || title.length > 100) {
+        throw new Error('Title must be 1-100 characters');
+    }
+    durationDays = normalizeAccessDays(durationDays);
+
+    if (kind === 'bundle') {
+        if (!Array.isArray(noteIds) || noteIds.length < 2 || noteIds.length > MAX_BUNDLE_NOTES) {
+            throw new Error(`A bundle needs 2-${MAX_BUNDLE_NOTES} notes`);
+        }
+        noteIds = [...new Set(noteIds)];
+        const owned = getPaywallRecords(noteIds).filter(p => p.creatorPubkey === creatorPubkey);
+        if (owned.length !== noteIds.length) {
+            throw new Error('Bundles can only contain your own paywalled notes');
+        }
+    }
+
+    const existing = offerId ? getOfferRecord(offerId) : null;
+    if (offerId && !existing) {
+        throw new Error('Offer not found');
+    }
+    if (existing && (existing.creatorPubkey !== creatorPubkey || existing.kind !== kind)) {
+        throw new Error('Not authorized');
+    }
+
+    const offer = {
+        offerId: existing ? existing.offerId : crypto.randomUUID(),
+        creatorPubkey,
+        kind,
+        title: title.trim(),
+        priceXmr,
+        paymentAddress,
+        durationDays,
+        createdAt: existing ? existing.createdAt : Date.now(),
+        updatedAt: existing ? Date.now() : null
+    };
+
+    saveOfferRecord(offer, kind === 'bundle' ? noteIds : []);
+
+    console.log(`[Paywall] ${existing ? 'Updated' : 'Created'} ${kind} ${offer.offerId.substring(0, 8)}... for ${creatorPubkey.substring(0, 8)}... Price: ${priceXmr} XMR`);
+
+    return publicOffer(getOfferRecord(offer.offerId));
+}
+
+/**
+ * List a creator's active offers
+ * @param {string} creatorPubkey
+ * @returns {Object[]}
+ */
+export async function getCreatorOffers(creatorPubkey) {
+    return listOffersByCreator(creatorPubkey).map(publicOffer);
+}
+
+/**
+ * Stop selling an offer (creator only). Existing grants stay valid.
+ * @param {string} offerId
+ * @param {string} creatorPubkey
+ */
+export async function deactivateOffer(offerId, creatorPubkey) {
+    const offer = getOfferRecord(offerId);
+
+    if (!offer || !offer.active) {
+        throw new Error('Offer not found');
+    }
+
+    if (offer.creatorPubkey !== creatorPubkey) {
+        throw new Error('Not authorized');
+    }
+
+    deactivateOfferRecord(offerId);
+
+    console.log(`[Paywall] Deactivated ${offer.kind} ${offerId.substring(0, 8)}...`);
 }
 
 /**
@@ -518,45 +1101,148 @@ export async function getUserUnlocks(buyerPubkey) {
  * @returns {Object} Stats
  */
 export async function getCreatorStats(creatorPubkey) {
-    const data = await loadPaywalls();
-    let totalPaywalls = 0;
-    let totalSales = 0;
-    let totalRevenue = 0;
-
-    for (const paywall of Object.values(data.paywalls)) {
-        if (paywall.creatorPubkey === creatorPubkey) {
-            totalPaywalls++;
-            totalSales += paywall.totalSales || 0;
-            totalRevenue += paywall.totalRevenue || 0;
-        }
-    }
+    const { totalPaywalls, totalSales, totalRevenue } = getCreatorPaywallTotals(creatorPubkey);
+    const { offerSales, offerRevenue } = getCreatorGrantTotals(creatorPubkey);
 
     return {
         totalPaywalls,
         totalSales,
-        totalRevenue
+        totalRevenue,
+        offerSales,
+        offerRevenue
     };
 }
 
+// ==================== CREATOR DASHBOARD ====================
+
+const MAX_DASHBOARD_DAYS = 365;
+
+/**
+ * Articles are registered under their addressable coordinate
+ * (30023:pubkey:d-tag) rather than an event id
+ */
+function paywallItemKind(noteId) {
+    return noteId.startsWith('30023:') ? 'article' : 'note';
+}
+
+function conversionRate(initiated, completed) {
+    return initiated > 0 ? completed / initiated : null;
+}
+
+/**
+ * Full dashboard for a creator: totals, revenue per note/article/offer,
+ * unlocks per day, purchase conversion and public top buyers
+ * @param {string} creatorPubkey
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Timeline / conversion window
+ * @returns {Object}
+ */
+export async function getCreatorDashboard(creatorPubkey, { days = 30 } = {}) {
+    days = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_DASHBOARD_DAYS);
+
+    // Timeline buckets are whole UTC days, oldest first, with empty days filled in
+    const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+    const since = today - (days - 1) * DAY_MS;
+    const byDay = new Map(getCreatorPaymentsByDay(creatorPubkey, since).map(row => [row.day, row]));
+    const timeline = [];
+    for (let day = since; day <= today; day += DAY_MS) {
+        const row = byDay.get(day);
+        timeline.push({ day, unlocks: row?.unlocks || 0, revenue: row?.revenue || 0 });
+    }
+
+    const { notes, offers } = getCreatorBreakdown(creatorPubkey);
+    const conversion = getCreatorConversion(creatorPubkey, since);
+
+    return {
+        days,
+        totals: await getCreatorStats(creatorPubkey),
+        notes: notes.map(note => ({
+            ...note,
+            kind: paywallItemKind(note.noteId),
+            conversionRate: conversionRate(note.initiated, note.completed)
+        })),
+        offers: offers.map(offer => ({
+            ...offer,
+            conversionRate: conversionRate(offer.initiated, offer.completed)
+        })),
+        timeline,
+        conversion: {
+            ...conversion,
+            rate: conversionRate(conversion.initiated, conversion.completed)
+        },
+        buyers: getCreatorBuyers(creatorPubkey)
+    };
+}
+
+/**
+ * Quote a CSV field. Values starting with a formula character are prefixed
+ * with ' so spreadsheets don't evaluate them.
+ */
+function csvField(value) {
+    let str = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(str)) {
+        str = `'${str}`;
+    }
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * CSV of a creator's verified payments for bookkeeping
+ * @param {string} creatorPubkey
+ * @returns {string}
+ */
+export async function exportCreatorPaymentsCsv(creatorPubkey) {
+    const header = ['verified_at', 'txid', 'amount_xmr', 'confirmations', 'status', 'item_type', 'item_id', 'item_title'];
+    const rows = listCreatorPayments(creatorPubkey).map(payment => [
+        new Date(payment.verifiedAt).toISOString(),
+        payment.txid,
+        payment.amount,
+        payment.confirmations,
+        payment.status,
+        payment.offerId ? payment.offerKind : paywallItemKind(payment.noteId),
+        payment.offerId || payment.noteId,
+        payment.offerTitle || ''
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Let a buyer opt in or out of appearing in creators' public top buyers
+ * @param {string} buyerPubkey
+ * @param {boolean} showPublicly
+ */
+export async function setSupporterVisibility(buyerPubkey, showPublicly) {
+    setBuyerVisibility(buyerPubkey, !!showPublicly);
+}
+
+/**
+ * @param {string} buyerPubkey
+ * @returns {boolean} Whether the buyer opted in to being listed publicly
+ */
+export async function getSupporterVisibility(buyerPubkey) {
+    return getBuyerVisibility(buyerPubkey);
+}
+
 /**
  * Delete a paywall (creator only)
  * @param {string} noteId
  * @param {string} creatorPubkey
  */
 export async function deletePaywall(noteId, creatorPubkey) {
-    const data = await loadPaywalls();
-    const paywall = data.paywalls[noteId];
+    withTransaction(() => {
+        const paywall = getPaywallRecord(noteId);
 
-    if (!paywall) {
-        throw new Error('Paywall not found');
-    }
+        if (!paywall) {
+            throw new Error('Paywall not found');
+        }
 
-    if (paywall.creatorPubkey !== creatorPubkey) {
-        throw new Error('Not authorized');
-    }
+        if (paywall.creatorPubkey !== creatorPubkey) {
+            throw new Error('Not authorized');
+        }
 
-    delete data.paywalls[noteId];
-    await savePaywalls(data);
+        deletePaywallRecord(noteId);
+    });
 
     console.log(`[Paywall] Deleted paywall for note ${noteId.substring(0, 8)}...`);
 }
@@ -565,22 +1251,15 @@ export async function deletePaywall(noteId, creatorPubkey) {
  * Clean up expired purchases
  */
 export async function cleanupExpiredPurchases() {
-    const data = await loadPurchases();
-    const now = Date.now();
-    let cleaned = 0;
-
-    for (const [purchaseId, purchase] of Object.entries(data.purchases)) {
-        if (purchase.status === 'pending' && purchase.expiresAt < now) {
-            delete data.purchases[purchaseId];
-            cleaned++;
-        }
-    }
+    const cleaned = expireStalePurchases(Date.now());
 
     if (cleaned > 0) {
-        await savePurchases(data);
-        console.log(`[Paywall] Cleaned up ${cleaned} expired purchases`);
+        console.log(`[Paywall] Marked ${cleaned} purchases as expired`);
     }
 }
 
 // Run cleanup every hour
 setInterval(() => cleanupExpiredPurchases().catch(e => console.error('[Paywall] Cleanup error:', e)), 60 * 60 * 1000);
+
+// Watch purchase subaddresses for incoming payments
+setInterval(() => detectSubaddressPayments().catch(e => console.error('[Paywall] Detection error:', e)), SUBADDRESS_POLL_MS);
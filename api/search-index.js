@@ -0,0 +1,273 @@
+/**
+ * Nosmero Search Index
+ *
+ * Copies notes (kind 1), comments (kind 1111) and long-form articles
+ * (kind 30023) from the configured relays into an SQLite full-text index,
+ * so /api/search answers from one query instead of every browser asking
+ * relays that mostly don't support NIP-50 search.
+ *
+ * Each relay is read from where the last run stopped (minus an overlap).
+ * Kind 5 deletions read alongside remove the events they name and keep them
+ * from coming back from another relay. Only the newest version of an
+ * article is kept; notes and comments older than the retention window are
+ * pruned, articles are kept.
+ */
+
+import { SimplePool, useWebSocketImplementation } from 'nostr-tools/pool';
+import { decode } from 'nostr-tools/nip19';
+import WebSocket from 'ws';
+import { config } from './config.js';
+import {
+  saveSearchEvents,
+  saveSearchDeletions,
+  pruneSearchEvents,
+  getSearchRelayState,
+  saveSearchRelayState
+} from './db.js';
+
+useWebSocketImplementation(WebSocket);
+
+export const SEARCH_KINDS = [1, 1111, 30023];
+
+const HEX64_REGEX = /^[0-9a-f]{64}$/;
+const MAX_HASHTAGS = 20;
+const MAX_HASHTAG_LENGTH = 100;
+const MAX_TITLE_LENGTH = 300;
+const MAX_QUERY_LENGTH = 500;
+const MAX_QUERY_TOKENS = 20;
+const QUERY_MAX_WAIT_MS = 15000;
+
+const pool = new SimplePool();
+let ingestRunning = false;
+
+function tagValue(event, name) {
+  return event.tags.find(tag => tag[0] === name)?.[1];
+}
+
+/**
+ * Turn a note, comment or article into an index row, or null if it can't
+ * be indexed
+ * @param {Object} event - Signed, verified event
+ * @returns {Object|null}
+ */
+export function parseSearchEvent(event) {
+  if (!SEARCH_KINDS.includes(event?.kind) || !Array.isArray(event.tags)) return null;
+  if (typeof event.content !== 'string' || event.content.length > config.searchIndex.maxContentLength) return null;
+
+  const title = event.kind === 30023 ? String(tagValue(event, 'title') ?? '').slice(0, MAX_TITLE_LENGTH) : '';
+  if (!event.content.trim() && !title.trim()) return null;
+
+  const hashtags = [...new Set(event.tags
+    .filter(tag => tag[0] === 't' && typeof tag[1] === 'string')
+    .map(tag => tag[1].trim().replace(/^#/, '').toLowerCase())
+    .filter(tag => tag && tag.length <= MAX_HASHTAG_LENGTH))]
+    .slice(0, MAX_HASHTAGS);
+
+  return {
+    eventId: event.id,
+    pubkey: event.pubkey,
+    kind: event.kind,
+    dTag: event.kind === 30023 ? String(tagValue(event, 'd') ?? '') : null,
+    title,
+    content: event.content,
+    tags: event.tags,
+    sig: event.sig,
+    createdAt: event.created_at,
+    hashtags
+  };
+}
+
+/**
+ * What a kind 5 deletion asks to remove: event ids (e tags) and article
+ * addresses (a tags) belonging to its own author
+ * @param {Object} event - Signed, verified kind 5 event
+ * @returns {Array<{ ref: string, pubkey: string, createdAt: number }>}
+ */
+export function parseDeletionEvent(event) {
+  if (event?.kind !== 5 || !Array.isArray(event.tags)) return [];
+
+  return event.tags
+    .filter(tag => (tag[0] === 'e' && HEX64_REGEX.test(tag[1] || '')) ||
+      (tag[0] === 'a' && typeof tag[1] === 'string' && tag[1].startsWith(`30023:${event.pubkey}:`)))
+    .map(tag => ({ ref: tag[1], pubkey: event.pubkey, createdAt: event.created_at }));
+}
+
+// Decode npub/nprofile/hex to a hex pubkey, or null
+function toPubkey(value) {
+  if (HEX64_REGEX.test(value)) return value;
+  try {
+    const { type, data } = decode(value);
+    if (type === 'npub') return data;
+    if (type === 'nprofile') return data.pubkey;
+  } catch (e) {
+    // Not a key
+  }
+  return null;
+}
+
+/**
+ * Parse a search box query. Same operators as the client's
+ * parseAdvancedQuery: "exact phrase", -exclude, #hashtag and @user, where a
+ * user must be an npub, nprofile or hex pubkey (names are resolved
+ * client-side). A bare npub counts as a user too.
+ * @param {string} query
+ * @returns {{ terms: string[], exactPhrases: string[], excludeTerms: string[],
+ *             hashtags: string[], authors: string[], error: string|null }}
+ */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], exactPhrases: [], excludeTerms: [], hashtags: [], authors: [], error: null };
+  let rest = String(query || '').slice(0, MAX_QUERY_LENGTH);
+
+  rest = rest.replace(/"([^"]+)"/g, (match, phrase) => {
+    if (phrase.trim()) parsed.exactPhrases.push(phrase.trim());
+    return ' ';
+  });
+
+  const tokens = rest.split(/\s+/).filter(Boolean).slice(0, MAX_QUERY_TOKENS);
+  for (const token of tokens) {
+    if (token.startsWith('-') && token.length > 1) {
+      parsed.excludeTerms.push(token.slice(1).replace(/^#/, ''));
+    } else if (token.startsWith('#') && token.length > 1) {
+      parsed.hashtags.push(token.slice(1).toLowerCase());
+    } else if (token.startsWith('@') || /^(npub|nprofile)1/.test(token)) {
+      const pubkey = toPubkey(token.replace(/^@/, '').replace(/^nostr:/, ''));
+      if (!pubkey) {
+        parsed.error = `Can't search by ${token} here: give users as an npub or hex pubkey`;
+        continue;
+      }
+      parsed.authors.push(pubkey);
+    } else {
+      parsed.terms.push(token);
+    }
+  }
+
+  return parsed;
+}
+
+// FTS5 string literal; tokens with no letters or digits match nothing
+function ftsString(text) {
+  return /[\p{L}\p{N}]/u.test(text) ? `"${text.replace(/"/g, '""')}"` : null;
+}
+
+/**
+ * Build the FTS5 MATCH expressions for a parsed query. Words match as
+ * prefixes (bitcoin finds bitcoiners, like the client's substring match),
+ * phrases match exactly. Accents and case are ignored by the tokenizer.
+ * @param {Object} parsed - From parseSearchQuery()
+ * @returns {{ match: string|null, exclude: string|null }}
+ */
+export function buildFtsQuery(parsed) {
+  const required = [
+    ...parsed.terms.map(ftsString).filter(Boolean).map(term => `${term}*`),
+    ...parsed.exactPhrases.map(ftsString).filter(Boolean)
+  ];
+  const excluded = parsed.excludeTerms.map(ftsString).filter(Boolean).map(term => `${term}*`);
+
+  return {
+    match: required.length > 0 ? required.join(' AND ') : null,
+    exclude: excluded.length > 0 ? excluded.join(' OR ') : null
+  };
+}
+
+/**
+ * Read one relay from its cursor and store what's new
+ * @returns {Promise<{ seen: number, added: number, removed: number }>}
+ */
+async function ingestRelay(relayUrl) {
+  const { overlapSeconds, backfillSeconds, pageSize, maxPagesPerRun } = config.searchIndex;
+  const counts = { seen: 0, added: 0, removed: 0 };
+  const state = getSearchRelayState(relayUrl);
+  const since = state?.latestCreatedAt
+    ? Math.max(state.latestCreatedAt - overlapSeconds, 0)
+    : Math.floor(Date.now() / 1000) - backfillSeconds;
+  // Events dated in the future would drag the cursor past everything else
+  const maxCreatedAt = Math.floor(Date.now() / 1000) + overlapSeconds;
+  const seenIds = new Set();
+  let latest = state?.latestCreatedAt || 0;
+  let until;
+  let pages = 0;
+
+  // Page backwards from now to `since`, like the tip index. A busy relay can
+  // publish more than maxPagesPerRun pages between polls; the oldest part of
+  // that window is skipped rather than falling further behind each run.
+  while (pages < maxPagesPerRun) {
+    const filter = { kinds: [...SEARCH_KINDS, 5], since, limit: pageSize };
+    if (until !== undefined) filter.until = until;
+
+    const events = await pool.querySync([relayUrl], filter, { maxWait: QUERY_MAX_WAIT_MS });
+    pages++;
+    const fresh = events.filter(event => !seenIds.has(event.id));
+    if (fresh.length === 0) {
+      if (events.length < pageSize || until === undefined || until <= since) break;
+      until--;
+      continue;
+    }
+
+    const rows = [];
+    const deletions = [];
+    for (const event of fresh) {
+      seenIds.add(event.id);
+      counts.seen++;
+      if (event.created_at > maxCreatedAt) continue;
+      latest = Math.max(latest, event.created_at);
+      if (event.kind === 5) {
+        deletions.push(...parseDeletionEvent(event));
+      } else {
+        const row = parseSearchEvent(event);
+        if (row) rows.push(row);
+      }
+    }
+
+    // Deletions are newer than what they delete, so they usually arrive on
+    // an earlier page; they're remembered and block the event when it comes
+    counts.removed += saveSearchDeletions(deletions);
+    counts.added += saveSearchEvents(rows);
+
+    until = Math.min(...events.map(event => event.created_at));
+    if (until <= since) break;
+  }
+
+  saveSearchRelayState(relayUrl, { latestCreatedAt: latest || null, error: null, added: counts.added });
+  return counts;
+}
+
+/**
+ * Read every configured relay and prune old notes
+ * @returns {Promise<{ seen: number, added: number, removed: number }>}
+ */
+export async function ingestSearchEvents() {
+  const counts = { seen: 0, added: 0, removed: 0 };
+  if (ingestRunning) return counts;
+  ingestRunning = true;
+
+  try {
+    // One relay at a time: the server shares one small CPU with everything else
+    for (const relayUrl of config.searchIndex.relays) {
+      try {
+        const relayCounts = await ingestRelay(relayUrl);
+        counts.seen += relayCounts.seen;
+        counts.added += relayCounts.added;
+        counts.removed += relayCounts.removed;
+      } catch (error) {
+        console.error(`[SearchIndex] ${relayUrl}:`, error.message);
+        saveSearchRelayState(relayUrl, { error: String(error.message).slice(0, 300) });
+      }
+    }
+
+    const cutoff = Math.floor(Date.now() / 1000) - config.searchIndex.retentionDays * 24 * 60 * 60;
+    pruneSearchEvents(cutoff);
+  } finally {
+    ingestRunning = false;
+  }
+
+  if (counts.added > 0 || counts.removed > 0) {
+    console.log(`[SearchIndex] Stored ${counts.added} new events, removed ${counts.removed} deleted (${counts.seen} events read)`);
+  }
+  return counts;
+}
+
+if (config.searchIndex.enabled) {
+  const run = () => ingestSearchEvents().catch(e => console.error('[SearchIndex] Ingest error:', e.message));
+  run();
+  setInterval(run, config.searchIndex.pollIntervalMs);
+}
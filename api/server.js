@@ -2,7 +2,11 @@ import express from 'express';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import { config } from './config.js';
-import { verifyTransactionProof, generateProofHash } from './verify.js';
+import { verifyTransactionProof, generateProofHash, checkConfirmationPolicy, getVerificationHealth, VerificationUnavailableError } from './verify.js';
+import { saveTipVerification, getTipVerification, getTipLeaderboard, getTipNetworkStats, getCreatorTipStats, searchIndexedEvents, getSearchIndexStatus } from './db.js';
+import './settlement.js'; // Starts the provisional payment re-verify job
+import { TIP_WINDOWS } from './tip-index.js'; // Starts the kind 9736 ingest job
+import { SEARCH_KINDS, parseSearchQuery, buildFtsQuery } from './search-index.js'; // Starts the notes/articles ingest job
 import fetch from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
@@ -146,6 +150,26 @@ app.get('/api/health', async (req, res) => {
   res.json(result);
 });
 
+// Verification node health - circuit breaker state per wallet RPC node and
+// whether enough are reachable for the configured quorum. No probing, so
+// no cache needed. 503 when a quorum can't be reached.
+app.get('/api/health/verification', (req, res) => {
+  const health = getVerificationHealth();
+  res.status(health.status === 'down' ? 503 : 200).json({
+    status: health.status,
+    quorum: health.quorum,
+    available: health.available,
+    nodes: health.nodes.map(n => ({
+      node: n.node,
+      type: n.type,
+      state: n.state,
+      failures: n.failures,
+      last_failure: n.lastFailure
+    })),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Relatr: Trust score endpoint
 app.get('/api/relatr/trust-score/:pubkey', async (req, res) => {
   try {
@@ -495,13 +519,50 @@ app.post('/api/verify-and-publish', requireNip98(), async (req, res) => {
       });
     }
 
+    // Confirmation policy: small tips count straight from the mempool,
+    // larger ones wait for blocks. Accepted tips stay provisional (and can
+    // be revoked by the settlement job) until they're final. The tier comes
+    // from what the node saw arrive, not the amount the client claimed.
+    const policy = checkConfirmationPolicy(verificationResult.receivedAmount, verificationResult.confirmations);
+    if (!policy.accepted) {
+      return res.status(202).json({
+        success: false,
+        pending: true,
+        error: `Transaction not confirmed yet: ${verificationResult.confirmations}/${policy.required} confirmations needed for this amount`,
+        confirmations: verificationResult.confirmations,
+        required_confirmations: policy.required
+      });
+    }
+
     // Generate proof hash (Option 4B)
     const proofHash = generateProofHash(txid, txKey);
 
+    saveTipVerification({
+      txid,
+      proofHash,
+      recipientAddress,
+      recipientPubkey,
+      tipperPubkey,
+      noteId,
+      amount: verificationResult.receivedAmount,
+      confirmations: verificationResult.confirmations,
+      status: policy.status
+    });
+
+    // A tx revoked earlier (double spend / reorg) can't be re-verified
+    const tip = getTipVerification(txid, recipientPubkey);
+    if (tip.status === 'revoked') {
+      return res.status(400).json({
+        success: false,
+        error: 'Transaction was revoked (double spend or reorg)'
+      });
+    }
+
     const duration = Date.now() - startTime;
     console.log(`[API] Verification successful in ${duration}ms:`, {
       amount: verificationResult.receivedAmount,
       confirmations: verificationResult.confirmations,
+      status: tip.status,
       proofHash: proofHash.substring(0, 16) + '...'
     });
 
@@ -512,7 +573,9 @@ app.post('/api/verify-and-publish', requireNip98(), async (req, res) => {
       proof_hash: proofHash,
       verified_amount: verificationResult.receivedAmount,
       confirmations: verificationResult.confirmations,
-      in_tx_pool: verificationResult.inTxPool
+      in_tx_pool: verificationResult.inTxPool,
+      status: tip.status,
+      required_confirmations: policy.required
     });
 
   } catch (error) {
@@ -529,9 +592,9 @@ app.post('/api/verify-and-publish', requireNip98(), async (req, res) => {
     } else if (error.message.includes('mismatch')) {
       statusCode = 400;
       errorMessage = error.message;
-    } else if (error.message.includes('RPC nodes failed')) {
+    } else if (error instanceof VerificationUnavailableError) {
       statusCode = 503;
-      errorMessage = 'Monero network temporarily unavailable. Please try again.';
+      errorMessage = error.message;
     }
 
     return res.status(statusCode).json({
@@ -541,6 +604,419 @@ app.post('/api/verify-and-publish', requireNip98(), async (req, res) => {
   }
 });
 
+// Settlement status of a verified tip: 'provisional' until it's deep
+// enough to be final, 'revoked' if the tx was double-spent or dropped
+const verificationStatusLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 100,
+  message: { success: false, error: 'Rate limited' }
+});
+
+app.get('/api/verification-status/:txid', verificationStatusLimiter, (req, res) => {
+  const { txid } = req.params;
+
+  if (!/^[0-9a-fA-F]{64}$/.test(txid)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid transaction ID format'
+    });
+  }
+
+  // A split tip has a row per recipient; ?recipient= picks one
+  const recipient = /^[0-9a-f]{64}$/.test(req.query.recipient || '') ? req.query.recipient : null;
+  const tip = getTipVerification(txid, recipient);
+  if (!tip) {
+    return res.status(404).json({
+      success: false,
+      error: 'Transaction has not been verified'
+    });
+  }
+
+  res.json({
+    success: true,
+    status: tip.status,
+    confirmations: tip.confirmations,
+    verified_amount: tip.amount,
+    proof_hash: tip.proofHash,
+    verified_at: tip.verifiedAt,
+    settled_at: tip.settledAt
+  });
+});
+
+// Check a payment proof bundle (txid + tx key + recipient + amount) for
+// anyone - e.g. to settle a dispute about a tip or purchase. Nothing is
+// recorded; the settlement status is included if we've seen the tx before.
+const proofCheckLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10,
+  message: { success: false, error: 'Rate limited' }
+});
+
+app.post('/api/verify-proof', proofCheckLimiter, async (req, res) => {
+  const {
+    txid,
+    tx_key: txKey,
+    recipient_address: recipientAddress,
+    amount
+  } = req.body || {};
+
+  if (!txid || !txKey || !recipientAddress || !amount) {
+    return res.status(400).json({
+      success: false,
+      valid: false,
+      error: 'Missing required fields: txid, tx_key, recipient_address, amount'
+    });
+  }
+
+  const expectedAmount = parseFloat(amount);
+  if (isNaN(expectedAmount) || expectedAmount <= 0) {
+    return res.status(400).json({
+      success: false,
+      valid: false,
+      error: 'Invalid amount: must be a positive number'
+    });
+  }
+
+  try {
+    const result = await verifyTransactionProof({ txid, txKey, recipientAddress, expectedAmount });
+    const policy = checkConfirmationPolicy(result.receivedAmount, result.confirmations);
+    const tip = getTipVerification(txid);
+
+    res.json({
+      success: true,
+      valid: true,
+      verified_amount: result.receivedAmount,
+      confirmations: result.confirmations,
+      in_tx_pool: result.inTxPool,
+      confirmed: policy.accepted,
+      required_confirmations: policy.required,
+      status: tip?.status || policy.status
+    });
+  } catch (error) {
+    console.error('[API] Proof check failed:', error.message);
+
+    // Node trouble says nothing about the proof itself
+    const unavailable = error instanceof VerificationUnavailableError;
+    res.status(unavailable ? 503 : 400).json({
+      success: false,
+      valid: false,
+      error: error.message
+    });
+  }
+});
+
+// Re-check the proofs in kind 9736 tip disclosures so clients don't have to
+// trust the tipper's `verified` tag. Batched because a feed page can carry
+// dozens of tips; clients cache the answers. Nothing is recorded.
+const disclosureCheckLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: { success: false, error: 'Rate limited' }
+});
+
+const MAX_DISCLOSURES_PER_CHECK = 20;
+// Node time one request may use; disclosures left unchecked come back
+// 'unknown' and the client asks again later
+const DISCLOSURE_CHECK_BUDGET_MS = 20 * 1000;
+// A tx the nodes haven't seen stays 'pending' this long after the disclosure
+// was signed (allowing for some clock skew); after that the disclosure names
+// a tx that doesn't exist
+const UNSEEN_TX_GRACE_MS = 60 * 60 * 1000;
+const DISCLOSURE_CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+async function checkDisclosure({ id, txid, tx_key: txKey, recipient_address: recipientAddress, amount, created_at: createdAt }) {
+  if (!/^[0-9a-f]{64}$/.test(id || '')) {
+    return { id, status: 'invalid', error: 'Invalid event ID' };
+  }
+
+  const expectedAmount = parseFloat(amount);
+  if (!txid || !txKey || !recipientAddress || isNaN(expectedAmount) || expectedAmount <= 0) {
+    return { id, status: 'invalid', error: 'Disclosure is missing proof fields' };
+  }
+
+  try {
+    // A tx the nodes haven't seen is reported as pending at once rather
+    // than waited for - the client asks again later anyway
+    const result = await verifyTransactionProof(
+      { txid, txKey, recipientAddress, expectedAmount },
+      { waitForPropagation: false }
+    );
+    const policy = checkConfirmationPolicy(result.receivedAmount, result.confirmations);
+    const settlement = getTipVerification(txid)?.status || policy.status;
+
+    if (settlement === 'revoked') {
+      return { id, status: 'invalid', error: 'Transaction was revoked (double spend or reorg)' };
+    }
+
+    return {
+      id,
+      status: policy.accepted ? 'verified' : 'pending',
+      verified_amount: result.receivedAmount,
+      confirmations: result.confirmations,
+      required_confirmations: policy.required,
+      settlement
+    };
+  } catch (error) {
+    // Not on the network yet, or the nodes couldn't answer - neither says
+    // anything about whether the proof is good
+    if (error instanceof VerificationUnavailableError) {
+      return { id, status: 'unknown', error: error.message };
+    }
+    if (error.message.includes('not yet confirmed') || error.message.includes('not found')) {
+      const age = Date.now() - Number(createdAt) * 1000;
+      if (age < UNSEEN_TX_GRACE_MS && age > -DISCLOSURE_CLOCK_SKEW_MS) {
+        return { id, status: 'pending', confirmations: 0 };
+      }
+      return { id, status: 'invalid', error: 'Transaction not found on the network' };
+    }
+    return { id, status: 'invalid', error: error.message };
+  }
+}
+
+app.post('/api/verify-disclosures', disclosureCheckLimiter, async (req, res) => {
+  const { disclosures } = req.body || {};
+
+  if (!Array.isArray(disclosures) || disclosures.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'disclosures must be a non-empty array'
+    });
+  }
+
+  if (disclosures.length > MAX_DISCLOSURES_PER_CHECK) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${MAX_DISCLOSURES_PER_CHECK} disclosures per request`
+    });
+  }
+
+  // One at a time - each check already fans out to the node quorum. The
+  // same proof is only checked once per request, nothing more is asked of
+  // the nodes once they're unavailable, and the request stops asking when
+  // its time budget runs out.
+  const startedAt = Date.now();
+  const answers = new Map(); // proof -> result without id
+  let unavailable = false;
+  const results = [];
+  for (const disclosure of disclosures) {
+    const { id, txid, tx_key: txKey, recipient_address: recipientAddress, amount, created_at: createdAt } = disclosure || {};
+    const proof = [txid, txKey, recipientAddress, amount, createdAt].join(':');
+
+    if (answers.has(proof)) {
+      results.push({ ...answers.get(proof), id });
+      continue;
+    }
+    if (unavailable || Date.now() - startedAt > DISCLOSURE_CHECK_BUDGET_MS) {
+      results.push({ id, status: 'unknown', error: 'Not checked, please try again' });
+      continue;
+    }
+
+    const result = await checkDisclosure(disclosure || {});
+    if (result.status === 'unknown') unavailable = true;
+    if (/^[0-9a-f]{64}$/.test(id || '')) answers.set(proof, result);
+    results.push(result);
+  }
+
+  res.json({ success: true, results });
+});
+
+// ==================== TIP LEADERBOARDS ====================
+
+// Aggregates over the kind 9736 disclosures tip-index.js copies from the
+// Nosmero relay. Anonymous tips count toward creator and note totals but
+// never name their tipper.
+const tipBoardLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: { success: false, error: 'Rate limited' }
+});
+
+const TIP_BOARDS = ['notes', 'creators', 'tippers'];
+const MAX_TIP_BOARD_LIMIT = 100;
+
+/**
+ * Read ?window, ?limit and ?verified into db query options
+ * @returns {Object|null} null if the window is unknown
+ */
+function parseTipQuery(query, defaultLimit) {
+  const window = query.window || 'all';
+  if (!Object.hasOwn(TIP_WINDOWS, window)) return null;
+
+  const seconds = TIP_WINDOWS[window];
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_TIP_BOARD_LIMIT);
+
+  return {
+    window,
+    since: seconds ? Math.floor(Date.now() / 1000) - seconds : 0,
+    // Unverified claims only when asked for: their amounts are just what
+    // the tipper wrote
+    verifiedOnly: query.verified !== 'false' && query.verified !== '0',
+    limit
+  };
+}
+
+app.get('/api/tips/leaderboard/:board', tipBoardLimiter, (req, res) => {
+  const { board } = req.params;
+  if (!TIP_BOARDS.includes(board)) {
+    return res.status(400).json({
+      success: false,
+      error: `board must be one of: ${TIP_BOARDS.join(', ')}`
+    });
+  }
+
+  const options = parseTipQuery(req.query, 25);
+  if (!options) {
+    return res.status(400).json({
+      success: false,
+      error: `window must be one of: ${Object.keys(TIP_WINDOWS).join(', ')}`
+    });
+  }
+
+  try {
+    const response = {
+      success: true,
+      board,
+      window: options.window,
+      verified_only: options.verifiedOnly,
+      entries: getTipLeaderboard(board, options)
+    };
+
+    // Anonymous tips can't be ranked by tipper - report them as one sum
+    if (board === 'tippers') {
+      const { anonymousTotal, anonymousCount } = getTipNetworkStats({ ...options, limit: 0 });
+      response.anonymous = { total: anonymousTotal, count: anonymousCount };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('[API] Tip leaderboard error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load leaderboard' });
+  }
+});
+
+app.get('/api/tips/stats', tipBoardLimiter, (req, res) => {
+  const options = parseTipQuery(req.query, 10);
+  if (!options) {
+    return res.status(400).json({
+      success: false,
+      error: `window must be one of: ${Object.keys(TIP_WINDOWS).join(', ')}`
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      window: options.window,
+      verified_only: options.verifiedOnly,
+      ...getTipNetworkStats(options)
+    });
+  } catch (error) {
+    console.error('[API] Tip stats error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load tip stats' });
+  }
+});
+
+app.get('/api/tips/creator/:pubkey', tipBoardLimiter, (req, res) => {
+  const { pubkey } = req.params;
+  if (!/^[0-9a-f]{64}$/.test(pubkey)) {
+    return res.status(400).json({ success: false, error: 'Invalid pubkey' });
+  }
+
+  const options = parseTipQuery(req.query, 10);
+  if (!options) {
+    return res.status(400).json({
+      success: false,
+      error: `window must be one of: ${Object.keys(TIP_WINDOWS).join(', ')}`
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      pubkey,
+      window: options.window,
+      verified_only: options.verifiedOnly,
+      ...getCreatorTipStats(pubkey, options)
+    });
+  } catch (error) {
+    console.error('[API] Creator tip stats error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load creator tips' });
+  }
+});
+
+// ==================== FULL-TEXT SEARCH ====================
+
+// Answers from the notes, comments and articles search-index.js copies from
+// relays. The client merges relay results in after these.
+const searchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: { success: false, error: 'Rate limited' }
+});
+
+const MAX_SEARCH_LIMIT = 100;
+const MAX_SEARCH_OFFSET = 1000;
+
+// GET /api/search?q=&kinds=1,30023&since=&until=&sort=relevance|recent&limit=&offset=
+app.get('/api/search', searchLimiter, (req, res) => {
+  const parsed = parseSearchQuery(req.query.q);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  const { match, exclude } = buildFtsQuery(parsed);
+  if (!match && parsed.hashtags.length === 0 && parsed.authors.length === 0) {
+    return res.status(400).json({ success: false, error: 'Search for at least one word, #hashtag or user' });
+  }
+
+  // Each kind once, in SEARCH_KINDS order, so equal requests share a query
+  const requested = new Set(String(req.query.kinds || '').split(',').map(kind => parseInt(kind, 10)));
+  const kinds = req.query.kinds ? SEARCH_KINDS.filter(kind => requested.has(kind)) : SEARCH_KINDS;
+  if (kinds.length === 0) {
+    return res.status(400).json({ success: false, error: `kinds must be among: ${SEARCH_KINDS.join(', ')}` });
+  }
+
+  const sort = req.query.sort === 'recent' || !match ? 'recent' : 'relevance';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_SEARCH_LIMIT);
+  const offset = Math.min(Math.max(parseInt(req.query.offset, 10) || 0, 0), MAX_SEARCH_OFFSET);
+
+  try {
+    // One extra row tells whether there's another page
+    const events = searchIndexedEvents({
+      match,
+      exclude,
+      hashtags: parsed.hashtags,
+      authors: parsed.authors,
+      kinds,
+      since: parseInt(req.query.since, 10) || 0,
+      until: parseInt(req.query.until, 10) || Number.MAX_SAFE_INTEGER,
+      sort,
+      limit: limit + 1,
+      offset
+    });
+
+    res.json({
+      success: true,
+      sort,
+      events: events.slice(0, limit),
+      hasMore: events.length > limit
+    });
+  } catch (error) {
+    console.error('[API] Search error:', error.message);
+    res.status(500).json({ success: false, error: 'Search failed' });
+  }
+});
+
+// GET /api/search/status - Indexed event counts and per-relay ingest progress
+app.get('/api/search/status', searchLimiter, (req, res) => {
+  try {
+    res.json({ success: true, ...getSearchIndexStatus() });
+  } catch (error) {
+    console.error('[API] Search status error:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to load search index status' });
+  }
+});
+
 // ==================== TRENDING SEARCHES ====================
 
 const TRENDING_DATA_FILE = path.join(__dirname, 'data', 'trending-searches.json');
@@ -950,7 +1426,8 @@ app.post('/api/paywall/create', requireNip98(), paywallLimiter, async (req, res)
       price_xmr: priceXmr,
       decryption_key: decryptionKey,
       preview,
-      encrypted_content: encryptedContent
+      encrypted_content: encryptedContent,
+      access_days: accessDays
     } = req.body;
 
     // Validate required fields
@@ -977,7 +1454,8 @@ app.post('/api/paywall/create', requireNip98(), paywallLimiter, async (req, res)
       priceXmr: parseFloat(priceXmr),
       decryptionKey,
       preview: preview || '',
-      encryptedContent: encryptedContent || ''
+      encryptedContent: encryptedContent || '',
+      accessDays: accessDays ? parseInt(accessDays, 10) : null
     });
 
     res.json({
@@ -1082,16 +1560,19 @@ app.get('/api/paywall/check-unlock/:noteId/:buyerPubkey', requireNip98(), paywal
       });
     }
 
-    // Check if user has purchased/unlocked
-    const unlocked = await Paywall.hasUnlocked(noteId, buyerPubkey);
+    // Check if user has purchased/unlocked (directly, or via a pass/bundle)
+    const access = await Paywall.getAccessStatus(noteId, buyerPubkey);
 
-    if (unlocked) {
+    if (access.unlocked) {
       // Return the decryption key if already unlocked
       const decryptionKey = await Paywall.getUnlockedKey(noteId, buyerPubkey);
       return res.json({
         success: true,
         unlocked: true,
-        decryption_key: decryptionKey
+        decryption_key: decryptionKey,
+        expires_at: access.expiresAt,
+        via: access.via,
+        settlement: access.settlement
       });
     }
 
@@ -1112,7 +1593,7 @@ app.get('/api/paywall/check-unlock/:noteId/:buyerPubkey', requireNip98(), paywal
 // Initiate a purchase (returns payment details)
 app.post('/api/paywall/purchase', requireNip98(), paywallLimiter, async (req, res) => {
   try {
-    const { note_id: noteId, buyer_pubkey: buyerPubkey } = req.body;
+    const { note_id: noteId, buyer_pubkey: buyerPubkey, offer_id: offerId } = req.body;
 
     if (!noteId || !buyerPubkey) {
       return res.status(400).json({
@@ -1129,7 +1610,7 @@ app.post('/api/paywall/purchase', requireNip98(), paywallLimiter, async (req, re
       });
     }
 
-    const result = await Paywall.initiatePurchase(noteId, buyerPubkey);
+    const result = await Paywall.initiatePurchase(noteId, buyerPubkey, { offerId });
 
     res.json({
       success: true,
@@ -1156,6 +1637,46 @@ app.post('/api/paywall/purchase', requireNip98(), paywallLimiter, async (req, re
   }
 });
 
+// Poll a purchase (subaddress payments are detected server-side, so the
+// client waits on this instead of submitting a tx proof)
+app.get('/api/paywall/purchase/:purchaseId/:buyerPubkey', requireNip98(), paywallReadLimiter, async (req, res) => {
+  try {
+    const { purchaseId, buyerPubkey } = req.params;
+
+    if (req.nip98.pubkey !== buyerPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match buyerPubkey'
+      });
+    }
+
+    const status = await Paywall.getPurchaseStatus(purchaseId, buyerPubkey);
+
+    res.json({
+      success: true,
+      purchase_id: status.purchaseId,
+      note_id: status.noteId,
+      offer_id: status.offerId,
+      status: status.status,
+      auto_detect: status.autoDetect,
+      payment_address: status.paymentAddress,
+      price_xmr: status.priceXmr,
+      received_xmr: status.receivedXmr,
+      expires_at: status.expiresAt,
+      unlocked: status.unlocked,
+      decryption_key: status.decryptionKey || null,
+      access_expires_at: status.accessExpiresAt ?? null
+    });
+
+  } catch (error) {
+    console.error('[Paywall] Purchase status error:', error.message);
+    res.status(error.message === 'Purchase not found' ? 404 : 500).json({
+      success: false,
+      error: error.message === 'Purchase not found' ? error.message : 'Failed to get purchase status'
+    });
+  }
+});
+
 // Verify payment and unlock content
 // This is the key endpoint - called after buyer sends payment
 app.post('/api/paywall/verify', requireNip98(), paywallLimiter, async (req, res) => {
@@ -1163,6 +1684,7 @@ app.post('/api/paywall/verify', requireNip98(), paywallLimiter, async (req, res)
     const {
       purchase_id: purchaseId,
       note_id: noteId,
+      offer_id: offerId,
       buyer_pubkey: buyerPubkey,
       txid,
       tx_key: txKey
@@ -1194,6 +1716,7 @@ app.post('/api/paywall/verify', requireNip98(), paywallLimiter, async (req, res)
     const result = await Paywall.verifyAndUnlock({
       purchaseId,
       noteId,
+      offerId,
       buyerPubkey,
       txid,
       txKey
@@ -1201,11 +1724,14 @@ app.post('/api/paywall/verify', requireNip98(), paywallLimiter, async (req, res)
 
     res.json({
       success: true,
-      unlocked: true,
+      unlocked: !!result.decryptionKey,
       decryption_key: result.decryptionKey,
       verified_amount: result.verifiedAmount,
       confirmations: result.confirmations,
-      already_unlocked: result.alreadyUnlocked || false
+      already_unlocked: result.alreadyUnlocked || false,
+      offer_id: result.offerId || null,
+      expires_at: result.expiresAt ?? null,
+      settlement: result.settlement || null
     });
 
   } catch (error) {
@@ -1236,10 +1762,12 @@ app.get('/api/paywall/my-unlocks/:buyerPubkey', requireNip98(), paywallReadLimit
     }
 
     const unlocks = await Paywall.getUserUnlocks(buyerPubkey);
+    const grants = await Paywall.getUserGrants(buyerPubkey);
 
     res.json({
       success: true,
       unlocks,
+      grants,
       count: unlocks.length
     });
 
@@ -1325,6 +1853,385 @@ app.get('/api/paywall/creator-stats/:creatorPubkey', paywallReadLimiter, async (
   }
 });
 
+// Creator payout dashboard: per-note/offer revenue, unlocks per day,
+// conversion and opted-in top buyers. Private to the creator.
+app.get('/api/paywall/creator-dashboard/:creatorPubkey', requireNip98(), paywallReadLimiter, async (req, res) => {
+  try {
+    const { creatorPubkey } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(creatorPubkey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pubkey format'
+      });
+    }
+
+    if (req.nip98.pubkey !== creatorPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match requested creator'
+      });
+    }
+
+    const dashboard = await Paywall.getCreatorDashboard(creatorPubkey, { days: req.query.days });
+
+    res.json({
+      success: true,
+      dashboard
+    });
+
+  } catch (error) {
+    console.error('[Paywall] Creator dashboard error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get dashboard'
+    });
+  }
+});
+
+// CSV of a creator's verified txids and amounts (bookkeeping export)
+app.get('/api/paywall/creator-export/:creatorPubkey', requireNip98(), paywallReadLimiter, async (req, res) => {
+  try {
+    const { creatorPubkey } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(creatorPubkey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pubkey format'
+      });
+    }
+
+    if (req.nip98.pubkey !== creatorPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match requested creator'
+      });
+    }
+
+    const csv = await Paywall.exportCreatorPaymentsCsv(creatorPubkey);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="nosmero-paywall-${creatorPubkey.slice(0, 8)}-${date}.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('[Paywall] Creator export error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export payments'
+    });
+  }
+});
+
+// Get whether a buyer is listed publicly among creators' top buyers
+app.get('/api/paywall/supporter-visibility/:buyerPubkey', requireNip98(), paywallReadLimiter, async (req, res) => {
+  try {
+    const { buyerPubkey } = req.params;
+
+    if (req.nip98.pubkey !== buyerPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match buyerPubkey'
+      });
+    }
+
+    res.json({
+      success: true,
+      show_publicly: await Paywall.getSupporterVisibility(buyerPubkey)
+    });
+
+  } catch (error) {
+    console.error('[Paywall] Supporter visibility error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get visibility'
+    });
+  }
+});
+
+// Opt in/out of being listed publicly among creators' top buyers
+app.post('/api/paywall/supporter-visibility', requireNip98(), paywallLimiter, async (req, res) => {
+  try {
+    const { buyer_pubkey: buyerPubkey, show_publicly: showPublicly } = req.body;
+
+    if (!buyerPubkey || typeof showPublicly !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'buyer_pubkey and boolean show_publicly required'
+      });
+    }
+
+    if (req.nip98.pubkey !== buyerPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match buyer_pubkey'
+      });
+    }
+
+    await Paywall.setSupporterVisibility(buyerPubkey, showPublicly);
+
+    res.json({
+      success: true,
+      show_publicly: showPublicly
+    });
+
+  } catch (error) {
+    console.error('[Paywall] Supporter visibility error:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Register a view key so purchases get their own subaddress and payments
+// are detected automatically (creator only). The key is never returned.
+app.post('/api/paywall/view-key', requireNip98(), paywallLimiter, async (req, res) => {
+  try {
+    const {
+      creator_pubkey: creatorPubkey,
+      primary_address: primaryAddress,
+      view_key: viewKey,
+      restore_height: restoreHeight
+    } = req.body;
+
+    if (!creatorPubkey || !primaryAddress || !viewKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'creator_pubkey, primary_address and view_key required'
+      });
+    }
+
+    if (req.nip98.pubkey !== creatorPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match creator_pubkey'
+      });
+    }
+
+    const status = await Paywall.registerViewKey({ creatorPubkey, primaryAddress, viewKey, restoreHeight });
+
+    res.json({
+      success: true,
+      enabled: status.enabled,
+      primary_address: status.primaryAddress,
+      restore_height: status.restoreHeight
+    });
+
+  } catch (error) {
+    console.error('[Paywall] View key error:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Whether automatic payment detection is enabled for a creator
+app.get('/api/paywall/view-key/:creatorPubkey', requireNip98(), paywallReadLimiter, async (req, res) => {
+  try {
+    const { creatorPubkey } = req.params;
+
+    if (req.nip98.pubkey !== creatorPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match creatorPubkey'
+      });
+    }
+
+    const status = await Paywall.getViewKeyStatus(creatorPubkey);
+
+    res.json({
+      success: true,
+      enabled: status.enabled,
+      primary_address: status.primaryAddress || null,
+      restore_height: status.restoreHeight ?? null
+    });
+
+  } catch (error) {
+    console.error('[Paywall] View key status error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get view key status'
+    });
+  }
+});
+
+// Turn off automatic payment detection (creator only)
+app.delete('/api/paywall/view-key/:creatorPubkey', requireNip98(), paywallLimiter, async (req, res) => {
+  try {
+    const { creatorPubkey } = req.params;
+
+    if (req.nip98.pubkey !== creatorPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match creatorPubkey'
+      });
+    }
+
+    const removed = await Paywall.removeViewKey(creatorPubkey);
+
+    res.json({
+      success: true,
+      removed
+    });
+
+  } catch (error) {
+    console.error('[Paywall] View key removal error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove view key'
+    });
+  }
+});
+
+// List a creator's paywalled notes (public, used to build bundles)
+app.get('/api/paywall/by-creator/:creatorPubkey', paywallReadLimiter, async (req, res) => {
+  try {
+    const { creatorPubkey } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(creatorPubkey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pubkey format'
+      });
+    }
+
+    const paywalls = await Paywall.getCreatorPaywalls(creatorPubkey);
+
+    res.json({
+      success: true,
+      paywalls
+    });
+
+  } catch (error) {
+    console.error('[Paywall] By-creator error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get paywalls'
+    });
+  }
+});
+
+// Create or update a creator offer (monthly pass or bundle)
+app.post('/api/paywall/offers', requireNip98(), paywallLimiter, async (req, res) => {
+  try {
+    const {
+      offer_id: offerId,
+      creator_pubkey: creatorPubkey,
+      kind,
+      title,
+      price_xmr: priceXmr,
+      payment_address: paymentAddress,
+      duration_days: durationDays,
+      note_ids: noteIds
+    } = req.body;
+
+    if (!creatorPubkey || !kind || !priceXmr || !paymentAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: creator_pubkey, kind, price_xmr, payment_address'
+      });
+    }
+
+    // NIP-98: only the creator can sell offers under their pubkey.
+    if (req.nip98.pubkey !== creatorPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match creator_pubkey'
+      });
+    }
+
+    const offer = await Paywall.saveOffer({
+      offerId,
+      creatorPubkey,
+      kind,
+      title,
+      priceXmr: parseFloat(priceXmr),
+      paymentAddress,
+      durationDays: durationDays ? parseInt(durationDays, 10) : null,
+      noteIds: Array.isArray(noteIds) ? noteIds : []
+    });
+
+    res.json({
+      success: true,
+      offer
+    });
+
+  } catch (error) {
+    console.error('[Paywall] Offer save error:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List a creator's active offers (public)
+app.get('/api/paywall/offers/:creatorPubkey', paywallReadLimiter, async (req, res) => {
+  try {
+    const { creatorPubkey } = req.params;
+
+    if (!/^[0-9a-f]{64}$/i.test(creatorPubkey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pubkey format'
+      });
+    }
+
+    const offers = await Paywall.getCreatorOffers(creatorPubkey);
+
+    res.json({
+      success: true,
+      offers
+    });
+
+  } catch (error) {
+    console.error('[Paywall] Offers list error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get offers'
+    });
+  }
+});
+
+// Stop selling an offer (creator only, existing buyers keep access)
+app.delete('/api/paywall/offers/:offerId', requireNip98(), paywallLimiter, async (req, res) => {
+  try {
+    const { offerId } = req.params;
+    const { creator_pubkey: creatorPubkey } = req.body;
+
+    if (!creatorPubkey) {
+      return res.status(400).json({
+        success: false,
+        error: 'creator_pubkey required'
+      });
+    }
+
+    if (req.nip98.pubkey !== creatorPubkey) {
+      return res.status(403).json({
+        success: false,
+        error: 'NIP-98 pubkey does not match creator_pubkey'
+      });
+    }
+
+    await Paywall.deactivateOffer(offerId, creatorPubkey);
+
+    res.json({
+      success: true,
+      deleted: true
+    });
+
+  } catch (error) {
+    console.error('[Paywall] Offer delete error:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Delete a paywall (creator only)
 app.delete('/api/paywall/:noteId', requireNip98(), paywallLimiter, async (req, res) => {
   try {
@@ -1397,7 +2304,16 @@ Rate Limit: ${config.rateLimit.maxRequests} requests per ${config.rateLimit.wind
 
 Endpoints:
   GET  /api/health                      - Health check
+  GET  /api/health/verification         - Verification node circuit state
   POST /api/verify-and-publish          - Verify transaction proof
+  GET  /api/verification-status/:txid   - Provisional / final / revoked
+  POST /api/verify-proof                - Check a payment proof (no publish)
+  POST /api/verify-disclosures          - Re-check kind 9736 tip proofs (batch)
+  GET  /api/tips/leaderboard/:board     - Top notes / creators / tippers
+  GET  /api/tips/stats                  - Network tip totals + recent tips
+  GET  /api/tips/creator/:pubkey        - One creator's tip page
+  GET  /api/search?q=<query>            - Full-text search (notes, articles)
+  GET  /api/search/status               - Search index size + relay cursors
   GET  /api/relatr/trust-score/:pubkey  - Get trust score
   GET  /api/relatr/stats                - Get Relatr statistics
   GET  /api/relatr/search?q=<query>     - Search profiles
@@ -1412,9 +2328,19 @@ Paywall Endpoints:
   POST /api/paywall/info-batch          - Get batch paywall info
   GET  /api/paywall/check-unlock/:n/:p  - Check if user unlocked
   POST /api/paywall/purchase            - Initiate purchase
+  GET  /api/paywall/purchase/:id/:p     - Poll purchase (subaddress detection)
   POST /api/paywall/verify              - Verify payment, get decryption key
   GET  /api/paywall/my-unlocks/:pubkey  - Get user's unlocks
   GET  /api/paywall/creator-stats/:pk   - Get creator stats
+  GET  /api/paywall/creator-dashboard/:pk - Creator payout dashboard
+  GET  /api/paywall/creator-export/:pk  - CSV of verified payments
+  POST /api/paywall/supporter-visibility - Opt in/out of top buyers list
+  POST /api/paywall/view-key            - Enable automatic payment detection
+  DELETE /api/paywall/view-key/:pk      - Disable automatic payment detection
+  GET  /api/paywall/by-creator/:pk      - List creator's paywalled notes
+  POST /api/paywall/offers              - Create/update pass or bundle
+  GET  /api/paywall/offers/:pk          - List creator's offers
+  DELETE /api/paywall/offers/:offerId   - Stop selling an offer
 
 Auth Endpoints:
   POST /api/auth/signup                 - Create account (email/username)
@@ -0,0 +1,72 @@
+/**
+ * Nosmero Payment Settlement
+ *
+ * Paywall unlocks, pass/bundle grants and verified tips can be accepted
+ * before they are final (see checkConfirmationPolicy in verify.js). This
+ * job re-checks those provisional payments against the daemon:
+ * - deep enough            -> final
+ * - double spend seen      -> revoked
+ * - gone from pool + chain -> revoked (after a grace period)
+ * - otherwise              -> still provisional, confirmations refreshed
+ */
+
+import { getTransactionStates } from './verify.js';
+import { config } from './config.js';
+import { listProvisionalPayments, settlePayment } from './db.js';
+
+// get_transactions is happy with batches well beyond this
+const BATCH_SIZE = 100;
+
+let reverifyRunning = false;
+
+/**
+ * Re-check every provisional payment once
+ * @returns {Promise<{ checked: number, finalized: number, revoked: number }>}
+ */
+export async function reverifyProvisionalPayments() {
+  const counts = { checked: 0, finalized: 0, revoked: 0 };
+  if (reverifyRunning) return counts;
+  reverifyRunning = true;
+
+  try {
+    const pending = listProvisionalPayments();
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      const states = await getTransactionStates(batch.map(p => p.txid));
+
+      for (const { txid, verifiedAt } of batch) {
+        const state = states.get(txid);
+        counts.checked++;
+
+        if (state.doubleSpendSeen) {
+          console.warn(`[Settlement] Double spend seen for ${txid.substring(0, 16)}... - revoking`);
+          settlePayment(txid, 'revoked', state.confirmations);
+          counts.revoked++;
+        } else if (!state.found) {
+          if (Date.now() - verifiedAt > config.verification.missingTxGraceMs) {
+            console.warn(`[Settlement] ${txid.substring(0, 16)}... no longer in pool or chain - revoking`);
+            settlePayment(txid, 'revoked', 0);
+            counts.revoked++;
+          }
+        } else if (state.confirmations >= config.verification.finalConfirmations) {
+          settlePayment(txid, 'final', state.confirmations);
+          counts.finalized++;
+        } else {
+          settlePayment(txid, 'provisional', state.confirmations);
+        }
+      }
+    }
+  } finally {
+    reverifyRunning = false;
+  }
+
+  if (counts.finalized > 0 || counts.revoked > 0) {
+    console.log(`[Settlement] Checked ${counts.checked}: ${counts.finalized} final, ${counts.revoked} revoked`);
+  }
+  return counts;
+}
+
+setInterval(() => {
+  reverifyProvisionalPayments().catch(e => console.error('[Settlement] Re-verify error:', e.message));
+}, config.verification.reverifyIntervalMs);
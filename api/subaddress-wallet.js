@@ -0,0 +1,148 @@
+/**
+ * Nosmero Paywall - view-only wallets for subaddress payment detection
+ *
+ * Creators who register their primary address and private view key get a
+ * view-only wallet on a dedicated monero-wallet-rpc instance. Each purchase
+ * is handed a fresh subaddress from that wallet, so incoming payments can be
+ * matched to purchases without the buyer pasting a txid / tx_key.
+ *
+ * wallet-rpc only has one wallet open at a time, so every call goes through
+ * a single queue that opens the right wallet first.
+ */
+
+import crypto from 'crypto';
+import { makeRpcCall } from './verify.js';
+import { config } from './config.js';
+
+const ATOMIC_PER_XMR = 1e12;
+
+let walletQueue = Promise.resolve();
+let openWalletFile = null;
+
+function rpc(method, params = {}) {
+  return makeRpcCall(config.paywallWalletRpc, {
+    jsonrpc: '2.0',
+    id: '0',
+    method,
+    params
+  });
+}
+
+/**
+ * Run a callback with a wallet open, one at a time
+ * @param {string|null} walletFile - Wallet to open first (null = none needed)
+ * @param {Function} callback - Async function run once the wallet is open
+ * @returns {Promise<*>} Result of the callback
+ */
+function withWallet(walletFile, callback) {
+  const run = walletQueue.then(async () => {
+    if (walletFile && openWalletFile !== walletFile) {
+      openWalletFile = null;
+      await rpc('open_wallet', { filename: walletFile, password: config.paywallWalletPassword });
+      openWalletFile = walletFile;
+    }
+    return callback();
+  });
+  // Keep the queue alive after a failed call
+  walletQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Wallet file name for a primary address. One wallet per address, so a
+ * creator who switches addresses and back picks up the same wallet (and
+ * its subaddress counter) instead of handing out used subaddresses again.
+ * @param {string} primaryAddress
+ * @returns {string}
+ */
+export function walletFileForAddress(primaryAddress) {
+  const hash = crypto.createHash('sha256').update(primaryAddress).digest('hex');
+  return `paywall-${hash.substring(0, 24)}`;
+}
+
+/**
+ * Create (and open) a view-only wallet from a primary address and view key.
+ * wallet-rpc rejects a view key that doesn't belong to the address. An
+ * existing wallet file for the address is opened instead.
+ * @param {Object} params
+ * @param {string} params.walletFile
+ * @param {string} params.primaryAddress
+ * @param {string} params.viewKey - Private view key (hex)
+ * @param {number} [params.restoreHeight] - Block height to start scanning from
+ */
+export function createViewOnlyWallet({ walletFile, primaryAddress, viewKey, restoreHeight = 0 }) {
+  return withWallet(null, async () => {
+    openWalletFile = null;
+    try {
+      await rpc('generate_from_keys', {
+        filename: walletFile,
+        address: primaryAddress,
+        viewkey: viewKey,
+        password: config.paywallWalletPassword,
+        restore_height: restoreHeight,
+        autosave_current: false
+      });
+      console.log(`[Subaddress] Created view-only wallet ${walletFile}`);
+    } catch (error) {
+      if (!/already exists/i.test(error.message)) throw error;
+      await rpc('open_wallet', { filename: walletFile, password: config.paywallWalletPassword });
+      const { key } = await rpc('query_key', { key_type: 'view_key' });
+      if (key !== viewKey.toLowerCase()) {
+        throw new Error('View key does not match address');
+      }
+    }
+    openWalletFile = walletFile;
+  });
+}
+
+/**
+ * Derive the next unused subaddress in account 0
+ * @param {string} walletFile
+ * @param {string} label - Stored in the wallet (the purchase ID)
+ * @returns {Promise<{ address: string, index: number }>}
+ */
+export function createSubaddress(walletFile, label) {
+  return withWallet(walletFile, async () => {
+    const result = await rpc('create_address', { account_index: 0, label });
+    // Persist the new subaddress count so a wallet-rpc restart can't hand
+    // the same index out twice
+    await rpc('store');
+    return { address: result.address, index: result.address_index };
+  });
+}
+
+/**
+ * Incoming transfers (confirmed and in the pool) to the given subaddresses
+ * @param {string} walletFile
+ * @param {number[]} subaddressIndices
+ * @returns {Promise<Object[]>} { txid, amount (XMR), confirmations, subaddressIndex, inPool }
+ */
+export function getIncomingTransfers(walletFile, subaddressIndices) {
+  return withWallet(walletFile, async () => {
+    await rpc('refresh');
+    const result = await rpc('get_transfers', {
+      in: true,
+      pool: true,
+      account_index: 0,
+      subaddr_indices: subaddressIndices
+    });
+
+    const toTransfer = (transfer, inPool) => ({
+      txid: transfer.txid,
+      amount: transfer.amount / ATOMIC_PER_XMR,
+      atomicAmount: transfer.amount,
+      confirmations: inPool ? 0 : (transfer.confirmations || 0),
+      subaddressIndex: transfer.subaddr_index?.minor,
+      inPool
+    });
+
+    // Time-locked outputs, and pool txs someone is trying to double-spend,
+    // don't count as paid
+    return [
+      ...(result.in || []).filter(t => !t.unlock_time).map(t => toTransfer(t, false)),
+      ...(result.pool || [])
+        .filter(t => !t.unlock_time && !t.double_spend_seen)
+        .map(t => toTransfer(t, true))
+    ];
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * Nosmero Tip Index
+ *
+ * Copies kind 9736 tip disclosures from the Nosmero relay into SQLite so
+ * leaderboards and creator tip pages are one query instead of every
+ * browser pulling thousands of events from the relay.
+ *
+ * Tips are attributed to a tipper only when the disclosure names one with a
+ * `P` tag matching its signer and isn't marked `['anonymous', 'true']`.
+ * Anonymous tips count toward creator and note totals, but their author is
+ * never stored, so they can't show up on the tipper board.
+ */
+
+import { SimplePool, useWebSocketImplementation } from 'nostr-tools/pool';
+import WebSocket from 'ws';
+import { config } from './config.js';
+import { saveTipEvent, getLatestTipEventTime } from './db.js';
+
+useWebSocketImplementation(WebSocket);
+
+// Leaderboard windows in seconds (null = all time)
+export const TIP_WINDOWS = {
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60,
+  all: null
+};
+
+const HEX64_REGEX = /^[0-9a-f]{64}$/;
+const AMOUNT_REGEX = /^\d+(\.\d{1,12})?$/;
+const MAX_TIP_XMR = 18_400_000; // More than the supply - a typo or a joke
+const QUERY_MAX_WAIT_MS = 15000;
+
+const pool = new SimplePool();
+let ingestRunning = false;
+
+function tagValue(event, name) {
+  return event.tags.find(tag => tag[0] === name)?.[1];
+}
+
+/**
+ * Turn a kind 9736 event into a tip row, or null if it isn't a usable tip
+ * @param {Object} event - Signed, verified event
+ * @returns {Object|null}
+ */
+export function parseTipEvent(event) {
+  if (event?.kind !== 9736 || !Array.isArray(event.tags)) return null;
+
+  const recipientPubkey = tagValue(event, 'p');
+  const txid = tagValue(event, 'txid');
+  const amountText = String(tagValue(event, 'amount') ?? '').trim();
+  if (!HEX64_REGEX.test(recipientPubkey || '') || !HEX64_REGEX.test(txid || '')) return null;
+  if (!AMOUNT_REGEX.test(amountText)) return null;
+
+  const amount = parseFloat(amountText);
+  if (!(amount > 0) || amount > MAX_TIP_XMR) return null;
+
+  const noteId = tagValue(event, 'e');
+  const streamRef = tagValue(event, 'a');
+  const namedTipper = tagValue(event, 'P');
+  const anonymous = tagValue(event, 'anonymous') === 'true' || namedTipper !== event.pubkey;
+
+  return {
+    eventId: event.id,
+    tipperPubkey: anonymous ? null : event.pubkey,
+    recipientPubkey,
+    noteId: HEX64_REGEX.test(noteId || '') ? noteId : null,
+    streamRef: typeof streamRef === 'string' && streamRef.length <= 200 ? streamRef : null,
+    amount,
+    txid,
+    proofClaimed: tagValue(event, 'verified') === 'true' && HEX64_REGEX.test(tagValue(event, 'tx_key') || ''),
+    createdAt: event.created_at
+  };
+}
+
+/**
+ * Fetch tips newer than the last stored one (minus an overlap) and store them
+ * @returns {Promise<{ seen: number, added: number }>}
+ */
+export async function ingestTipEvents() {
+  const counts = { seen: 0, added: 0 };
+  if (ingestRunning) return counts;
+  ingestRunning = true;
+
+  try {
+    const { relayUrl, overlapSeconds, pageSize } = config.tipIndex;
+    const latest = getLatestTipEventTime();
+    const since = latest ? Math.max(latest - overlapSeconds, 0) : 0;
+    const seenIds = new Set();
+    let until;
+
+    // Page backwards from now to `since`. Pages overlap by one second so
+    // tips sharing a timestamp across the page boundary aren't skipped.
+    while (true) {
+      const filter = { kinds: [9736], since, limit: pageSize };
+      if (until !== undefined) filter.until = until;
+
+      const events = await pool.querySync([relayUrl], filter, { maxWait: QUERY_MAX_WAIT_MS });
+      const fresh = events.filter(event => !seenIds.has(event.id));
+      if (fresh.length === 0) {
+        // A full page of one second we've already read - more than a page
+        // of tips in that second; step past it rather than loop forever
+        if (events.length < pageSize || until === undefined || until <= since) break;
+        until--;
+        continue;
+      }
+
+      for (const event of fresh) {
+        seenIds.add(event.id);
+        counts.seen++;
+        const tip = parseTipEvent(event);
+        if (tip && saveTipEvent(tip)) counts.added++;
+      }
+
+      until = Math.min(...events.map(event => event.created_at));
+      if (until <= since) break;
+    }
+  } finally {
+    ingestRunning = false;
+  }
+
+  if (counts.added > 0) {
+    console.log(`[TipIndex] Stored ${counts.added} new tips (${counts.seen} events read)`);
+  }
+  return counts;
+}
+
+if (config.tipIndex.enabled) {
+  const run = () => ingestTipEvents().catch(e => console.error('[TipIndex] Ingest error:', e.message));
+  run();
+  setInterval(run, config.tipIndex.pollIntervalMs);
+}
@@ -3,6 +3,7 @@ import crypto from 'crypto';
 import https from 'https';
 import http from 'http';
 import { config } from './config.js';
+import { createMockBackend } from './mock-verify-backend.js';
 
 const { MoneroDaemonRpc } = moneroTs;
 
@@ -27,6 +28,31 @@ function isValidMoneroAddress(address) {
   return false;
 }
 
+// ==================== ERRORS ====================
+
+/**
+ * Not enough nodes could answer (down, circuit open, or disagreeing).
+ * Says nothing about the proof - callers should report "try again later".
+ */
+export class VerificationUnavailableError extends Error {
+  constructor(message = 'Monero network temporarily unavailable. Please try again.') {
+    super(message);
+    this.name = 'VerificationUnavailableError';
+  }
+}
+
+/**
+ * The node answered and refused the request (bad key or address, unknown
+ * tx). A problem with the proof, not the node, so it never counts toward
+ * the node's circuit breaker.
+ */
+export class RpcRefusedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RpcRefusedError';
+  }
+}
+
 // ==================== CIRCUIT BREAKER ====================
 
 const circuitBreakers = new Map(); // nodeUrl -> { failures, lastFailure, state }
@@ -98,6 +124,89 @@ function isNodeAvailable(nodeUrl) {
   return state !== 'open';
 }
 
+// ==================== BACKENDS ====================
+
+// A backend answers check_tx_key for one node:
+//   { id, type, checkTxKey({ txid, txKey, recipientAddress, requestId }) }
+// resolving to { received (atomic units), confirmations, inPool }. It
+// rejects with RpcRefusedError when the node answered but refused the
+// proof, and with any other error when the node itself is in trouble.
+// The node URL's protocol picks the backend type.
+const backendTypes = new Map([
+  ['http:', createWalletRpcBackend],
+  ['https:', createWalletRpcBackend],
+  ['mock:', createMockBackend]
+]);
+
+if (config.verification.quorum > config.moneroRpcNodes.length) {
+  throw new Error(`VERIFY_QUORUM (${config.verification.quorum}) exceeds the number of RPC nodes (${config.moneroRpcNodes.length})`);
+}
+
+/**
+ * Register a backend type for node URLs with the given protocol
+ * @param {string} protocol - e.g. 'mock:'
+ * @param {Function} factory - nodeUrl -> backend
+ */
+export function registerVerificationBackend(protocol, factory) {
+  backendTypes.set(protocol, factory);
+}
+
+function createBackend(nodeUrl) {
+  const { protocol } = new URL(nodeUrl);
+  const factory = backendTypes.get(protocol);
+  if (!factory) {
+    throw new Error(`No verification backend for ${protocol} node ${nodeUrl}`);
+  }
+  if (protocol === 'mock:' && config.nodeEnv === 'production') {
+    throw new Error('The mock verification backend cannot be used in production');
+  }
+  return factory(nodeUrl);
+}
+
+function getBackends() {
+  return config.moneroRpcNodes.map(createBackend);
+}
+
+/**
+ * Node URL without credentials, for logs and the health endpoint
+ */
+function redactNodeUrl(nodeUrl) {
+  const url = new URL(nodeUrl);
+  url.username = '';
+  url.password = '';
+  return url.toString();
+}
+
+/**
+ * Circuit state of every verification node and whether a quorum of them
+ * is currently reachable
+ * @returns {Object} { status, quorum, available, nodes: [{ node, type, state, failures, lastFailure }] }
+ */
+export function getVerificationHealth() {
+  const nodes = getBackends().map(backend => {
+    const state = getCircuitState(backend.id);
+    const breaker = circuitBreakers.get(backend.id);
+    return {
+      node: redactNodeUrl(backend.id),
+      type: backend.type,
+      state,
+      failures: breaker?.failures || 0,
+      lastFailure: breaker ? new Date(breaker.lastFailure).toISOString() : null
+    };
+  });
+
+  const { quorum } = config.verification;
+  const available = nodes.filter(n => n.state !== 'open').length;
+  let status = 'ok';
+  if (available < quorum) {
+    status = 'down';
+  } else if (nodes.some(n => n.state !== 'closed')) {
+    status = 'degraded';
+  }
+
+  return { status, quorum, available, nodes };
+}
+
 // Retry configuration for transient failures
 const RETRY_CONFIG = {
   maxAttempts: 5,              // More attempts for tx propagation
@@ -124,6 +233,13 @@ function isTxNotFoundError(errorMessage) {
   );
 }
 
+/**
+ * Whether a backend error is about the proof rather than the node
+ */
+function isRefusal(error) {
+  return error instanceof RpcRefusedError || isTxNotFoundError(error.message);
+}
+
 /**
  * Verify a Monero transaction proof using tx_key
  * @param {Object} params - Verification parameters
@@ -131,9 +247,14 @@ function isTxNotFoundError(errorMessage) {
  * @param {string} params.txKey - Transaction private key
  * @param {string} params.recipientAddress - Expected recipient address
  * @param {number} params.expectedAmount - Expected amount in XMR
+ * @param {Object} [options]
+ * @param {boolean} [options.waitForPropagation=true] - Keep asking while the
+ *   tx isn't found yet; false answers "not yet confirmed" straight away
  * @returns {Promise<Object>} Verification result
+ * @throws {VerificationUnavailableError} When a quorum of nodes can't answer;
+ *   any other error means the proof was rejected
  */
-export async function verifyTransactionProof({ txid, txKey, recipientAddress, expectedAmount }) {
+export async function verifyTransactionProof({ txid, txKey, recipientAddress, expectedAmount }, { waitForPropagation = true } = {}) {
   const requestId = crypto.randomBytes(4).toString('hex');
   const startTime = Date.now();
 
@@ -166,57 +287,109 @@ export async function verifyTransactionProof({ txid, txKey, recipientAddress, ex
     throw new Error('Invalid expected amount: must be finite and not exceed 1 billion XMR');
   }
 
-  // Try multiple RPC nodes for reliability
+  // Ask `quorum` nodes at once; a node that fails is replaced by the next
+  // available one until enough have answered or too few are left
+  const { quorum } = config.verification;
+  const pending = getBackends().filter(backend => {
+    if (isNodeAvailable(backend.id)) return true;
+    console.log(`[Verify:${requestId}] Skipping ${backend.id} - circuit breaker OPEN`);
+    return false;
+  });
+  const answers = [];
   let lastError = null;
+  let refusal = null;
+
+  while (!refusal && answers.length < quorum && pending.length >= quorum - answers.length) {
+    const wave = pending.splice(0, quorum - answers.length);
+    const outcomes = await Promise.allSettled(wave.map(backend => {
+      console.log(`[Verify:${requestId}] Attempting verification with ${backend.type} node: ${backend.id}`);
+      return verifyWithBackendRetry(backend, { txid, txKey, recipientAddress, requestId, waitForPropagation });
+    }));
+
+    outcomes.forEach((outcome, i) => {
+      const backend = wave[i];
+      if (outcome.status === 'fulfilled') {
+        recordSuccess(backend.id); // Reset circuit breaker on success
+        answers.push({ node: backend.id, ...outcome.value });
+      } else if (isRefusal(outcome.reason)) {
+        // The node answered - the proof is what's wrong
+        console.warn(`[Verify:${requestId}] RPC node ${backend.id} refused the proof:`, outcome.reason.message);
+        recordSuccess(backend.id);
+        refusal = outcome.reason;
+      } else {
+        console.error(`[Verify:${requestId}] RPC node ${backend.id} failed:`, outcome.reason.message);
+        recordFailure(backend.id); // Record failure for circuit breaker
+        lastError = outcome.reason;
+      }
+    });
+  }
 
-  for (const rpcUrl of config.moneroRpcNodes) {
-    // Check circuit breaker before attempting
-    if (!isNodeAvailable(rpcUrl)) {
-      console.log(`[Verify:${requestId}] Skipping ${rpcUrl} - circuit breaker OPEN`);
-      continue;
+  const totalTime = Date.now() - startTime;
+
+  if (refusal) {
+    console.error(`[Verify:${requestId}] === Verification REJECTED after ${totalTime}ms: ${refusal.message} ===`);
+
+    // Provide user-friendly error message
+    if (isTxNotFoundError(refusal.message)) {
+      throw new Error('Transaction not yet confirmed on the network. Please wait a few seconds and try again.');
     }
 
-    try {
-      console.log(`[Verify:${requestId}] Attempting verification with RPC node: ${rpcUrl}`);
-
-      const result = await verifyWithRpcNodeRetry(rpcUrl, {
-        txid,
-        txKey,
-        recipientAddress,
-        expectedAmount,
-        requestId
-      });
+    // Generic error message to prevent information leakage
+    throw new Error('Transaction verification failed. Please check your transaction details and try again.');
+  }
 
-      const totalTime = Date.now() - startTime;
-      console.log(`[Verify:${requestId}] === Verification SUCCESS in ${totalTime}ms ===`);
-      recordSuccess(rpcUrl); // Reset circuit breaker on success
-      return result;
+  if (answers.length < quorum) {
+    console.error(`[Verify:${requestId}] === Verification FAILED after ${totalTime}ms (${answers.length}/${quorum} nodes answered) ===`);
+    console.error(`[Verify:${requestId}] Last error: ${lastError?.message || 'Not enough nodes available'}`);
+    throw new VerificationUnavailableError();
+  }
 
-    } catch (error) {
-      console.error(`[Verify:${requestId}] RPC node ${rpcUrl} failed:`, error.message);
-      recordFailure(rpcUrl); // Record failure for circuit breaker
-      lastError = error;
-      // Continue to next node
-    }
+  // Every answering node must report the same received amount
+  const received = String(answers[0].received);
+  if (answers.some(answer => String(answer.received) !== received)) {
+    console.error(`[Verify:${requestId}] Nodes disagree: ${answers.map(a => `${a.node}=${a.received}`).join(', ')}`);
+    throw new VerificationUnavailableError('Verification nodes disagree about this transaction. Please try again later.');
   }
 
-  const totalTime = Date.now() - startTime;
-  console.error(`[Verify:${requestId}] === Verification FAILED after ${totalTime}ms ===`);
-  console.error(`[Verify:${requestId}] Last error: ${lastError?.message || 'Unknown error'}`);
+  // Use string-based conversion to avoid floating point precision issues
+  // Convert atomic units to XMR (1 XMR = 1e12 atomic units)
+  // Convert to string with proper decimal places, then to number for comparison
+  const receivedXmrString = (BigInt(received) * BigInt(1e9) / BigInt(1e12)).toString();
+  const receivedXmr = Number(receivedXmrString) / 1e9;
+
+  // Convert expected amount to atomic units for precise comparison
+  const expectedAtomic = Math.round(expectedAmount * 1e12);
+
+  // Nodes can be a block apart - go with the most conservative answer
+  const confirmations = Math.min(...answers.map(a => a.confirmations));
+  const inTxPool = answers.some(a => a.inPool);
 
-  // Provide user-friendly error message
-  if (lastError && isTxNotFoundError(lastError.message)) {
-    throw new Error('Transaction not yet confirmed on the network. Please wait a few seconds and try again.');
+  console.log(`[Verify:${requestId}] Expected: ${expectedAmount} XMR, Received: ${receivedXmr} XMR, Confirmations: ${confirmations}`);
+
+  // Compare at atomic unit level to avoid floating point errors
+  // Allow small tolerance for rounding (1e-12 XMR = 1 atomic unit)
+  const atomicTolerance = 1;
+  if (Math.abs(Number(received) - expectedAtomic) > atomicTolerance) {
+    console.error(`[Verify:${requestId}] Amount mismatch: expected ${expectedAmount} XMR, received ${receivedXmr} XMR`);
+    throw new Error('Transaction verification failed. Please check your transaction details and try again.');
   }
 
-  // All nodes failed - generic error message to prevent information leakage
-  throw new Error('Transaction verification failed. Please check your transaction details and try again.');
+  console.log(`[Verify:${requestId}] === Verification SUCCESS in ${totalTime}ms (${answers.length}/${quorum} nodes agree) ===`);
+
+  return {
+    verified: true,
+    receivedAmount: receivedXmr,
+    confirmations,
+    inTxPool,
+    nodesAgreed: answers.length
+  };
 }
 
 /**
- * Verify with retry logic - handles both connection issues and tx propagation delays
+ * Ask one backend with retry logic - handles both connection issues and tx propagation delays.
+ * A refused proof isn't retried: asking again won't change the answer.
  */
-async function verifyWithRpcNodeRetry(rpcUrl, { txid, txKey, recipientAddress, expectedAmount, requestId }) {
+async function verifyWithBackendRetry(backend, { txid, txKey, recipientAddress, requestId, waitForPropagation }) {
   let lastError = null;
   let txNotFoundCount = 0;
 
@@ -226,7 +399,7 @@ async function verifyWithRpcNodeRetry(rpcUrl, { txid, txKey, recipientAddress, e
     try {
       console.log(`[Verify:${requestId}] Attempt ${attempt}/${RETRY_CONFIG.maxAttempts}`);
 
-      const result = await verifyWithRpcNode(rpcUrl, { txid, txKey, recipientAddress, expectedAmount, requestId });
+      const result = await backend.checkTxKey({ txid, txKey, recipientAddress, requestId });
 
       const attemptTime = Date.now() - attemptStart;
       console.log(`[Verify:${requestId}] Attempt ${attempt} succeeded in ${attemptTime}ms`);
@@ -240,6 +413,15 @@ async function verifyWithRpcNodeRetry(rpcUrl, { txid, txKey, recipientAddress, e
       // Check if this is a "transaction not found" error (propagation issue)
       const isTxNotFound = isTxNotFoundError(error.message);
 
+      if (error instanceof RpcRefusedError && !isTxNotFound) {
+        console.warn(`[Verify:${requestId}] Attempt ${attempt} refused after ${attemptTime}ms: ${error.message}`);
+        throw error;
+      }
+
+      if (isTxNotFound && !waitForPropagation) {
+        throw error;
+      }
+
       if (isTxNotFound) {
         txNotFoundCount++;
         console.warn(`[Verify:${requestId}] Attempt ${attempt} - TX NOT FOUND (${txNotFoundCount}x) after ${attemptTime}ms`);
@@ -270,7 +452,7 @@ async function verifyWithRpcNodeRetry(rpcUrl, { txid, txKey, recipientAddress, e
   // If all failures were "tx not found", provide specific error
   if (txNotFoundCount === RETRY_CONFIG.maxAttempts) {
     console.error(`[Verify:${requestId}] Transaction not found after ${RETRY_CONFIG.maxAttempts} attempts`);
-    throw new Error('Transaction not found after multiple attempts. It may still be propagating - please wait 30 seconds and try again.');
+    throw new RpcRefusedError('Transaction not found after multiple attempts. It may still be propagating - please wait 30 seconds and try again.');
   }
 
   // Log detailed error internally
@@ -279,9 +461,20 @@ async function verifyWithRpcNodeRetry(rpcUrl, { txid, txKey, recipientAddress, e
 }
 
 /**
- * Verify transaction proof with a specific RPC node using direct JSON-RPC calls
+ * Backend for a monero-wallet-rpc node, using direct JSON-RPC calls
+ */
+function createWalletRpcBackend(rpcUrl) {
+  return {
+    id: rpcUrl,
+    type: 'wallet-rpc',
+    checkTxKey: (params) => checkTxKeyWithWalletRpc(rpcUrl, params)
+  };
+}
+
+/**
+ * check_tx_key against a specific wallet RPC node
  */
-async function verifyWithRpcNode(rpcUrl, { txid, txKey, recipientAddress, expectedAmount, requestId }) {
+async function checkTxKeyWithWalletRpc(rpcUrl, { txid, txKey, recipientAddress, requestId }) {
   // Step 1: Force wallet-rpc to reconnect to daemon before check_tx_key
   // This prevents stale internal connection issues
   const setDaemonStart = Date.now();
@@ -291,7 +484,7 @@ async function verifyWithRpcNode(rpcUrl, { txid, txKey, recipientAddress, expect
       jsonrpc: '2.0',
       id: '0',
       method: 'set_daemon',
-      params: { address: 'http://127.0.0.1:18081' }
+      params: { address: config.moneroDaemonRpc }
     });
     const setDaemonTime = Date.now() - setDaemonStart;
     console.log(`[Verify:${requestId}] set_daemon completed in ${setDaemonTime}ms`);
@@ -338,7 +531,17 @@ async function verifyWithRpcNode(rpcUrl, { txid, txKey, recipientAddress, expect
     }
   };
 
-  const result = await makeRpcCall(rpcUrl, requestData);
+  let result;
+  try {
+    result = await makeRpcCall(rpcUrl, requestData);
+  } catch (error) {
+    // wallet-rpc reports losing its daemon as an RPC error too - that's the
+    // node's problem, not the proof's
+    if (error instanceof RpcRefusedError && /no connection to daemon|daemon is busy/i.test(error.message)) {
+      throw new Error(`Wallet-RPC daemon unavailable: ${error.message}`);
+    }
+    throw error;
+  }
   const checkTime = Date.now() - checkStart;
   console.log(`[Verify:${requestId}] check_tx_key completed in ${checkTime}ms`);
 
@@ -359,42 +562,18 @@ async function verifyWithRpcNode(rpcUrl, { txid, txKey, recipientAddress, expect
     throw new Error('Transaction key verification failed - no in_pool field');
   }
 
-  // Get the amount received (in atomic units)
-  const receivedAtomic = result.received;
-
-  // Use string-based conversion to avoid floating point precision issues
-  // Convert atomic units to XMR (1 XMR = 1e12 atomic units)
-  // Convert to string with proper decimal places, then to number for comparison
-  const receivedXmrString = (BigInt(receivedAtomic) * BigInt(1e9) / BigInt(1e12)).toString();
-  const receivedXmr = Number(receivedXmrString) / 1e9;
-
-  // Convert expected amount to atomic units for precise comparison
-  const expectedAtomic = Math.round(expectedAmount * 1e12);
-
-  console.log(`[Verify:${requestId}] Expected: ${expectedAmount} XMR, Received: ${receivedXmr} XMR, Confirmations: ${result.confirmations}`);
-
-  // Compare at atomic unit level to avoid floating point errors
-  // Allow small tolerance for rounding (1e-12 XMR = 1 atomic unit)
-  const atomicTolerance = 1;
-  if (Math.abs(receivedAtomic - expectedAtomic) > atomicTolerance) {
-    throw new Error(`Amount mismatch: expected ${expectedAmount} XMR, received ${receivedXmr} XMR`);
-  }
-
-  // Get confirmations
-  const confirmations = result.confirmations;
-
   return {
-    verified: true,
-    receivedAmount: receivedXmr,
-    confirmations: confirmations,
-    inTxPool: result.in_pool
+    received: result.received,
+    confirmations: result.confirmations,
+    inPool: result.in_pool
   };
 }
 
 /**
- * Make a JSON-RPC call to a Monero wallet RPC node
+ * Make a JSON-RPC call to a Monero wallet RPC node. Other endpoints (e.g. the
+ * daemon's /get_transactions) resolve with the whole response body.
  */
-function makeRpcCall(rpcUrl, requestData) {
+export function makeRpcCall(rpcUrl, requestData, endpoint = '/json_rpc') {
   return new Promise((resolve, reject) => {
     // Use settled flag to prevent race condition between timeout and response
     let isSettled = false;
@@ -421,7 +600,7 @@ function makeRpcCall(rpcUrl, requestData) {
 
     // Construct path correctly (avoid double slashes)
     const basePath = url.pathname === '/' ? '' : url.pathname;
-    const rpcPath = basePath + '/json_rpc';
+    const rpcPath = basePath + endpoint;
 
     const options = {
       hostname: url.hostname,
@@ -463,8 +642,17 @@ function makeRpcCall(rpcUrl, requestData) {
 
           const response = JSON.parse(data);
 
+          if (endpoint !== '/json_rpc') {
+            if (response.status && response.status !== 'OK') {
+              safeReject(new Error(`RPC status: ${response.status}`));
+              return;
+            }
+            safeResolve(response);
+            return;
+          }
+
           if (response.error) {
-            safeReject(new Error(response.error.message || 'RPC error'));
+            safeReject(new RpcRefusedError(response.error.message || 'RPC error'));
             return;
           }
 
@@ -494,6 +682,67 @@ function makeRpcCall(rpcUrl, requestData) {
   });
 }
 
+// ==================== CONFIRMATION POLICY ====================
+
+/**
+ * Confirmations required before a payment of this size is accepted
+ * @param {number} amountXmr
+ * @returns {number}
+ */
+export function requiredConfirmations(amountXmr) {
+  const { confirmationPolicy, minConfirmations, finalConfirmations } = config.verification;
+  const tier = confirmationPolicy.find(t => amountXmr <= t.upToXmr);
+  return Math.max(minConfirmations, tier ? tier.confirmations : finalConfirmations);
+}
+
+/**
+ * Apply the confirmation policy to a verified payment
+ * @param {number} amountXmr
+ * @param {number} confirmations
+ * @returns {{ accepted: boolean, required: number, status: string }}
+ *   status is 'provisional' until finalConfirmations deep, then 'final'
+ */
+export function checkConfirmationPolicy(amountXmr, confirmations) {
+  const required = requiredConfirmations(amountXmr);
+  return {
+    accepted: confirmations >= required,
+    required,
+    status: confirmations >= config.verification.finalConfirmations ? 'final' : 'provisional'
+  };
+}
+
+/**
+ * Look transactions up on the daemon (no tx key needed) to see whether
+ * they're still in the pool / chain and how deep they are
+ * @param {string[]} txids
+ * @returns {Promise<Map<string, Object>>} txid -> { found, inPool, doubleSpendSeen, confirmations }
+ */
+export async function getTransactionStates(txids) {
+  const states = new Map();
+  if (txids.length === 0) return states;
+
+  const daemonUrl = config.moneroDaemonRpc;
+  const [txResult, heightResult] = await Promise.all([
+    makeRpcCall(daemonUrl, { txs_hashes: txids, decode_as_json: false }, '/get_transactions'),
+    makeRpcCall(daemonUrl, {}, '/get_height')
+  ]);
+
+  for (const txid of txids) {
+    states.set(txid, { found: false, inPool: false, doubleSpendSeen: false, confirmations: 0 });
+  }
+
+  for (const tx of txResult.txs || []) {
+    states.set(tx.tx_hash, {
+      found: true,
+      inPool: !!tx.in_pool,
+      doubleSpendSeen: !!tx.double_spend_seen,
+      confirmations: tx.in_pool ? 0 : Math.max(0, heightResult.height - tx.block_height)
+    });
+  }
+
+  return states;
+}
+
 /**
  * Sleep utility
  */
@@ -8,6 +8,9 @@ import { fetchLatest, applyUpdates, nextCreatedAt, preserveUnmanagedTags, unread
 import { shouldReplaceCachedProfile } from './profile-cache-rules.js';
 import * as Crypto from './crypto.js';
 import * as Relays from './relays.js';
+import * as RelayHealth from './relay-health.js';
+import * as RelayAuth from './relay-auth.js';
+import * as PublishOutbox from './publish-outbox.js';
 import * as Nip05 from './nip05.js';
 import * as Posts from './posts.js';
 import * as Auth from './auth.js';
@@ -124,14 +127,18 @@ async function saveAppData(dTag, updates, typeTag) {
         pubkey: State.publicKey,
     });
 
-    // pool.publish returns one promise PER RELAY; awaiting the bare array waited for nothing
-    // and reported success even when the relay refused the event.
-    const results = await Promise.allSettled(State.pool.publish(NIP78_STORAGE_RELAYS, signedEvent));
-    if (!results.some(r => r.status === 'fulfilled')) {
-        results.forEach((r, i) => console.warn(`[NIP-78 ${dTag}] ${NIP78_STORAGE_RELAYS[i]} rejected:`, r.reason?.message || r.reason));
+    // Through the publish outbox: every relay's answer is recorded, and a relay that timed out
+    // gets the event again later. A newer save of the same d-tag supersedes this one there.
+    const result = await PublishOutbox.publishEvent(signedEvent, NIP78_STORAGE_RELAYS, { label: `App data (${dTag})` });
+    if (result.accepted.length === 0 && result.pending.length === 0) {
+        result.rejected.forEach(({ url, reason }) => console.warn(`[NIP-78 ${dTag}] ${url} rejected:`, reason));
         throw new Error(`No relay accepted your ${dTag} settings, so they were not saved.`);
     }
-    console.log(`✅ NIP-78 ${dTag} saved (${Object.keys(updates).join(', ')})`);
+    if (result.accepted.length === 0) {
+        console.warn(`[NIP-78 ${dTag}] No relay answered yet; queued in the outbox`);
+    } else {
+        console.log(`✅ NIP-78 ${dTag} saved (${Object.keys(updates).join(', ')})`);
+    }
     return signedEvent;
 }
 
@@ -151,6 +158,10 @@ async function initializeApp() {
         // Initialize relays
         Relays.initializeRelays();
         console.log('✓ Relays initialized');
+
+        // Resume publishing anything left in the outbox by an earlier session
+        PublishOutbox.onOutboxChange(updateOutboxBadge);
+        PublishOutbox.initPublishOutbox();
         
         // Initialize NIP-05 system
         Nip05.initializeNip05();
@@ -259,6 +270,11 @@ async function handleHashRouting() {
             clearInterval(waitForReady);
             console.log('⚠️ Timeout waiting for app to be ready');
         }, 10000);
+    } else if (hash.startsWith('#tips:')) {
+        // Creator tip page - served by the API, so no need to wait for relays
+        const pubkey = hash.substring(6); // Remove '#tips:' prefix
+        console.log('📍 Opening creator tip page:', pubkey);
+        navigateTo('tips', true);
     } else {
         // NIP-89 deep-link form: bech32 entity directly in the hash
         // (e.g. #nevent1..., #note1..., #npub1..., #nprofile1..., #naddr1...).
@@ -629,6 +645,17 @@ async function startApplication() {
             console.error('❌ Error loading feed prefs from relay:', error);
         }
 
+        // Load saved searches from NIP-78 relay, then start their alerts (live
+        // subscriptions, or a check for matches since the last one)
+        try {
+            Search.mergeSyncedSavedSearches(await loadSavedSearchesFromRelays());
+        } catch (error) {
+            console.error('❌ Error loading saved searches from relay:', error);
+        }
+        Search.startSavedSearchAlerts().catch(err => {
+            console.error('❌ Error starting saved search alerts:', err);
+        });
+
         // Fetch notifications and messages in background to populate badges
         // Add small delays to avoid competing with home feed loading
         setTimeout(() => {
@@ -750,6 +777,26 @@ async function handleNavigation(event) {
         bookmarksPage.style.display = 'none';
     }
 
+    const earningsPage = document.getElementById('earningsPage');
+    if (earningsPage) {
+        earningsPage.style.display = 'none';
+    }
+
+    const tipsPage = document.getElementById('tipsPage');
+    if (tipsPage) {
+        tipsPage.style.display = 'none';
+    }
+
+    const outboxPage = document.getElementById('outboxPage');
+    if (outboxPage) {
+        outboxPage.style.display = 'none';
+    }
+
+    const archivePage = document.getElementById('archivePage');
+    if (archivePage) {
+        archivePage.style.display = 'none';
+    }
+
     // Show main feed container
     const feed = document.getElementById('feed');
     if (feed) {
@@ -810,6 +857,18 @@ async function handleNavigation(event) {
         case 'bookmarks':
             await loadBookmarksPage();
             break;
+        case 'earnings':
+            await loadEarningsPage();
+            break;
+        case 'tips':
+            await loadTipsPage();
+            break;
+        case 'outbox':
+            await loadOutboxPage();
+            break;
+        case 'archive':
+            await loadArchivePage();
+            break;
         default:
             console.warn('Unknown navigation tab:', tab);
     }
@@ -855,6 +914,164 @@ async function loadIpfsMediaPage() {
     }
 }
 
+// Load Earnings page — creator payout dashboard for paywalled content
+async function loadEarningsPage() {
+    if (!State.publicKey) {
+        showAuthUI();
+        return;
+    }
+    State.setCurrentPage('earnings');
+
+    const feed = document.getElementById('feed');
+    if (feed) feed.style.display = 'none';
+
+    const page = document.getElementById('earningsPage');
+    if (!page) return;
+    page.style.display = 'block';
+    page.innerHTML = `
+        <div style="max-width: 800px; margin: 0 auto; padding: 20px;">
+            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 20px;">
+                <button onclick="navigateTo('home')" style="background: none; border: 1px solid #333; border-radius: 8px; color: #fff; padding: 8px 14px; cursor: pointer; font-size: 14px;">← Back</button>
+                <h1 style="margin: 0; font-size: 22px; color: #fff;">💰 Earnings</h1>
+            </div>
+            <p style="color: #aaa; font-size: 13px; margin: 0 0 16px;">Sales of your paywalled notes, articles, passes and bundles. Payments go straight to your Monero address; this page only tracks verified unlocks.</p>
+            <div id="earningsPanel"></div>
+        </div>
+    `;
+
+    try {
+        const Dashboard = await import('./paywall-dashboard.js');
+        await Dashboard.renderCreatorDashboard(document.getElementById('earningsPanel'));
+    } catch (e) {
+        console.error('[Paywall] Could not render Earnings page:', e);
+        const panel = document.getElementById('earningsPanel');
+        if (panel) panel.innerHTML = `<div style="color: #f87171;">Could not load: ${Utils.escapeHtml(e.message || 'unknown error')}</div>`;
+    }
+}
+
+// Load Tips page — tip leaderboards, or one creator's tip page when the URL
+// carries #tips:<pubkey>. Public: no login needed.
+async function loadTipsPage() {
+    State.setCurrentPage('tips');
+
+    const feed = document.getElementById('feed');
+    if (feed) feed.style.display = 'none';
+
+    const page = document.getElementById('tipsPage');
+    if (!page) return;
+
+    const creatorMatch = window.location.hash.match(/^#tips:([0-9a-f]{64})$/);
+    const creatorPubkey = creatorMatch ? creatorMatch[1] : null;
+
+    page.style.display = 'block';
+    page.innerHTML = `
+        <div style="max-width: 800px; margin: 0 auto; padding: 20px;">
+            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 20px;">
+                <button onclick="${creatorPubkey ? 'history.back()' : "navigateTo('home')"}" style="background: none; border: 1px solid #333; border-radius: 8px; color: #fff; padding: 8px 14px; cursor: pointer; font-size: 14px;">← Back</button>
+                <h1 style="margin: 0; font-size: 22px; color: #fff;">${creatorPubkey ? '💸 Creator Tips' : '🏆 Tip Leaderboard'}</h1>
+            </div>
+            <p style="color: #aaa; font-size: 13px; margin: 0 0 16px;">Monero tips disclosed on Nosmero (kind 9736). Anonymous tips count toward totals but their senders are never listed.</p>
+            <div id="tipsPanel"></div>
+        </div>
+    `;
+
+    try {
+        const TipLeaderboard = await import('./tip-leaderboard.js');
+        const panel = document.getElementById('tipsPanel');
+        if (creatorPubkey) {
+            await TipLeaderboard.renderCreatorTipPage(panel, creatorPubkey);
+        } else {
+            await TipLeaderboard.renderTipLeaderboard(panel);
+        }
+    } catch (e) {
+        console.error('[Tips] Could not render Tips page:', e);
+        const panel = document.getElementById('tipsPanel');
+        if (panel) panel.innerHTML = `<div style="color: #f87171;">Could not load: ${Utils.escapeHtml(e.message || 'unknown error')}</div>`;
+    }
+}
+
+// Load Outbox page — which relays accepted each event published from this
+// device, with retry / republish actions
+async function loadOutboxPage() {
+    if (!State.publicKey) {
+        showAuthUI();
+        return;
+    }
+    State.setCurrentPage('outbox');
+
+    const feed = document.getElementById('feed');
+    if (feed) feed.style.display = 'none';
+
+    const page = document.getElementById('outboxPage');
+    if (!page) return;
+    page.style.display = 'block';
+    page.innerHTML = `
+        <div style="max-width: 800px; margin: 0 auto; padding: 20px;">
+            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 20px;">
+                <button onclick="navigateTo('home')" style="background: none; border: 1px solid #333; border-radius: 8px; color: #fff; padding: 8px 14px; cursor: pointer; font-size: 14px;">← Back</button>
+                <h1 style="margin: 0; font-size: 22px; color: #fff;">📤 Outbox</h1>
+            </div>
+            <p style="color: #aaa; font-size: 13px; margin: 0 0 16px;">Notes, replies, articles and settings you published from this device, and which relays accepted them. Relays that couldn't be reached are retried automatically, also after you go offline or reload.</p>
+            <div id="outboxPanel"></div>
+        </div>
+    `;
+
+    try {
+        const OutboxUI = await import('./publish-outbox-ui.js');
+        OutboxUI.renderOutboxStatus(document.getElementById('outboxPanel'));
+    } catch (e) {
+        console.error('[Outbox] Could not render Outbox page:', e);
+        const panel = document.getElementById('outboxPanel');
+        if (panel) panel.innerHTML = `<div style="color: #f87171;">Could not load: ${Utils.escapeHtml(e.message || 'unknown error')}</div>`;
+    }
+}
+
+// Load Archive page — open an exported archive file and inspect it offline
+async function loadArchivePage() {
+    State.setCurrentPage('archive');
+
+    const feed = document.getElementById('feed');
+    if (feed) feed.style.display = 'none';
+
+    const page = document.getElementById('archivePage');
+    if (!page) return;
+    page.style.display = 'block';
+    page.innerHTML = `
+        <div style="max-width: 800px; margin: 0 auto; padding: 20px;">
+            <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 20px;">
+                <button onclick="navigateTo('home')" style="background: none; border: 1px solid #333; border-radius: 8px; color: #fff; padding: 8px 14px; cursor: pointer; font-size: 14px;">← Back</button>
+                <h1 style="margin: 0; font-size: 22px; color: #fff;">🗄️ Open Archive</h1>
+            </div>
+            <p style="color: #aaa; font-size: 13px; margin: 0 0 16px;">Open a file exported from search results, a thread or a profile (or any NDJSON file of Nostr events). It is read on this device only: signatures are checked, and nothing is fetched from relays or the web.</p>
+            <div id="archivePanel"></div>
+        </div>
+    `;
+
+    try {
+        const ArchiveViewer = await import('./archive-viewer.js');
+        ArchiveViewer.renderArchiveViewer(document.getElementById('archivePanel'));
+    } catch (e) {
+        console.error('[Archive] Could not render Archive page:', e);
+        const panel = document.getElementById('archivePanel');
+        if (panel) panel.innerHTML = `<div style="color: #f87171;">Could not load: ${Utils.escapeHtml(e.message || 'unknown error')}</div>`;
+    }
+}
+
+// Show how many events are still waiting for relays next to the Outbox menu item
+function updateOutboxBadge() {
+    const badge = document.getElementById('outboxPendingBadge');
+    if (!badge) return;
+    const pending = PublishOutbox.getPendingCount();
+    badge.textContent = pending > 0 ? String(pending) : '';
+    badge.style.display = pending > 0 ? 'inline-block' : 'none';
+}
+
+// Open a creator's tip page (/tips#tips:<pubkey>)
+function openCreatorTipPage(pubkey) {
+    history.pushState({ page: 'tips' }, '', `/tips#tips:${pubkey}`);
+    navigateTo('tips', true);
+}
+
 // Load Bookmarks page — list user's NIP-51 kind 10003 bookmarked notes
 async function loadBookmarksPage() {
     if (!State.publicKey) {
@@ -3204,6 +3421,49 @@ async function loadFeedPrefsFromRelays() {
     }
 }
 
+// ==================== NIP-78 SAVED SEARCHES SYNC ====================
+// Saved searches (query, type and alert mode) under their own d-tag. Alert
+// cursors and unread matches are per device and stay in localStorage.
+
+async function saveSavedSearchesToRelays(searches) {
+    if (!State.publicKey || !State.getPrivateKeyForSigning()) {
+        throw new Error('User not authenticated');
+    }
+
+    // The list is whole-state: it's every search the user now has saved
+    await saveAppData('nosmero:saved-searches', { searches }, 'saved_searches');
+}
+
+async function loadSavedSearchesFromRelays() {
+    if (!State.publicKey) return null;
+
+    try {
+        const filter = {
+            kinds: [30078],
+            authors: [State.publicKey],
+            "#d": ["nosmero:saved-searches"],
+            limit: 1
+        };
+
+        const events = await new Promise((resolve) => {
+            const found = [];
+            const sub = State.pool.subscribeMany(NIP78_STORAGE_RELAYS, [filter], {
+                onevent(event) { found.push(event); },
+                oneose() { sub.close(); resolve(found); }
+            });
+            setTimeout(() => { sub.close(); resolve(found); }, 1500);
+        });
+
+        if (events.length === 0) return null;
+
+        const latest = events.sort((a, b) => b.created_at - a.created_at)[0];
+        return JSON.parse(latest.content);
+    } catch (error) {
+        console.error('❌ Error loading saved searches from NIP-78 relay:', error);
+        return null;
+    }
+}
+
 // Get Monero address for any user (with NIP-78 support for all users)
 async function getUserMoneroAddress(pubkey) {
     console.log('🔍 getUserMoneroAddress called for:', pubkey.slice(0, 8), 'isCurrentUser:', pubkey === State.publicKey);
@@ -4046,7 +4306,7 @@ window.addEventListener('popstate', async (event) => {
 window.addEventListener('DOMContentLoaded', () => {
     // Check URL path to determine initial page
     const path = window.location.pathname.replace('/', '') || 'home';
-    const validPages = ['home', 'search', 'messages', 'notifications', 'profile', 'settings', 'ipfs'];
+    const validPages = ['home', 'search', 'messages', 'notifications', 'profile', 'settings', 'ipfs', 'earnings', 'tips', 'outbox', 'archive'];
     const initialPage = validPages.includes(path) ? path : 'home';
 
     // Preserve hash so shared note/profile links (#note:..., #nevent1...) survive
@@ -4123,6 +4383,7 @@ window.openMobileMenu = openMobileMenu;
 window.closeMobileMenu = closeMobileMenu;
 window.handleNavItemClick = handleNavItemClick;
 window.navigateTo = navigateTo;
+window.openCreatorTipPage = openCreatorTipPage;
 
 // Make compose functions globally available
 window.toggleCompose = async () => {
@@ -4650,6 +4911,7 @@ async function populateSettingsForm() {
 
         // Populate relay lists
         await populateRelayLists();
+        await populateDmRelayList();
 
         // Populate muted users list
         await populateMutedUsersList();
@@ -5071,9 +5333,23 @@ async function populateRelayLists() {
                    Announce
                </label>`
             : '';
+        const authStatus = RelayAuth.getAuthStatus(relay);
+        const authBadge = !authStatus ? ''
+            : authStatus.state === 'authenticated'
+                ? '<span title="Authenticated (NIP-42)" style="font-size: 11px; color: #4ade80;">🔓</span>'
+                : `<span title="${Utils.escapeHtml(authStatus.message || 'Authentication required')}" style="font-size: 11px; color: #ef4444;">🔒 auth required</span>`;
+        const authControl = `<label title="Let this relay authenticate you (NIP-42). Paid, private and DM inbox relays need this; it tells the relay which account is connected."
+                      style="display: flex; align-items: center; gap: 4px; font-size: 11px; color: #ccc; cursor: pointer; white-space: nowrap;">
+                   <input type="checkbox" ${RelayAuth.isAuthAllowed(relay) ? 'checked' : ''}
+                          onchange="toggleRelayAuth('${safeRelay}', this.checked)"
+                          style="cursor: pointer;">
+                   Auth
+               </label>`;
         return `
             <div style="display: flex; align-items: center; padding: 8px; background: ${accentBg}; border-radius: 6px; margin-bottom: 6px; gap: 8px;">
                 <span style="color: var(--text-primary); font-family: monospace; font-size: 12px; flex: 1; word-break: break-all;">${safeRelay}</span>
+                ${authBadge}
+                ${authControl}
                 ${announceControl}
                 <button onclick="${removeFn}('${safeRelay}')"
                         style="background: #ff4444; border: none; border-radius: 4px; color: white; padding: 4px 8px; font-size: 12px; cursor: pointer;">
@@ -5098,9 +5374,117 @@ async function populateRelayLists() {
     }
 
     updateAdvertiseHint(writeRelays);
+    populateRelayHealthPanel();
     console.log('✅ Relay lists populated');
 }
 
+// Last latency samples as a tiny bar chart; ✕ marks a failed read
+function relayLatencySparkline(url) {
+    const bars = '▁▂▃▄▅▆▇';
+    const samples = RelayHealth.getRelayHistory(url).slice(-20);
+    return samples.map(s => {
+        if (!s.ok) return '✕';
+        return bars[Math.min(bars.length - 1, Math.floor(s.ms / 300))];
+    }).join('');
+}
+
+function renderRelayHealthRow(url) {
+    const stats = RelayHealth.getRelayStats(url);
+    const info = stats.nip11;
+    const limits = info?.limitation || {};
+    const pct = (value) => value === null ? '—' : `${Math.round(value * 100)}%`;
+
+    let status = { label: 'Untested', color: '#999' };
+    if (stats.demoted) {
+        status = { label: `Demoted until ${new Date(stats.demotedUntil).toLocaleTimeString()}`, color: '#ef4444' };
+    } else if (stats.consecutiveFailures > 0 || (stats.uptime !== null && stats.uptime < 0.9)) {
+        status = { label: 'Degraded', color: '#ffc107' };
+    } else if (stats.samples > 0) {
+        status = { label: 'Healthy', color: '#4ade80' };
+    }
+
+    const requirements = [
+        limits.auth_required ? 'auth required' : null,
+        limits.payment_required ? 'paid' : null,
+        limits.restricted_writes ? 'restricted writes' : null,
+        limits.min_pow_difficulty ? `PoW ${limits.min_pow_difficulty}` : null,
+        limits.max_message_length ? `max message ${limits.max_message_length}` : null,
+        limits.max_subscriptions ? `max subs ${limits.max_subscriptions}` : null,
+        limits.max_limit ? `max limit ${limits.max_limit}` : null
+    ].filter(Boolean);
+
+    const safeUrl = Utils.escapeHtml(url);
+    return `
+        <div class="relay-health-row">
+            <div class="relay-health-head">
+                <span class="relay-health-url">${safeUrl}</span>
+                <span style="color: ${status.color};">${Utils.escapeHtml(status.label)}</span>
+                <button class="relay-health-test" data-relay="${safeUrl}">Test</button>
+            </div>
+            <div class="relay-health-stats">
+                <span>Latency: ${stats.avgLatency === null ? '—' : stats.avgLatency + ' ms'}</span>
+                <span>Uptime (24h): ${pct(stats.uptime)}</span>
+                <span>Errors: ${pct(stats.errorRate)}</span>
+                <span>Reads: ${stats.samples}</span>
+                <span class="relay-health-sparkline" title="Last reads, oldest first">${Utils.escapeHtml(relayLatencySparkline(url))}</span>
+            </div>
+            ${stats.lastError ? `<div class="relay-health-error">Last error: ${Utils.escapeHtml(stats.lastError)}</div>` : ''}
+            ${info ? `
+                <div class="relay-health-info">
+                    ${info.name ? `<strong>${Utils.escapeHtml(info.name)}</strong>` : ''}
+                    ${info.software ? `<span>${Utils.escapeHtml(info.software.replace(/^https?:\/\//, ''))}${info.version ? ' ' + Utils.escapeHtml(info.version) : ''}</span>` : ''}
+                    ${info.supported_nips.length ? `<div>NIPs: ${info.supported_nips.join(', ')}</div>` : ''}
+                    ${requirements.length ? `<div>Limits: ${Utils.escapeHtml(requirements.join(' · '))}</div>` : ''}
+                    ${limits.payment_required && info.payments_url ? `<div><a href="${Utils.escapeHtml(info.payments_url)}" target="_blank" rel="noopener noreferrer">Payment info</a></div>` : ''}
+                </div>
+            ` : `<div class="relay-health-info">No NIP-11 info${stats.nip11Error ? ` (${Utils.escapeHtml(stats.nip11Error)})` : ''}</div>`}
+        </div>
+    `;
+}
+
+// Per-relay health for the user's relays, with the search relays folded away
+function populateRelayHealthPanel() {
+    const panel = document.getElementById('relayHealthPanel');
+    if (!panel) return;
+
+    const userRelays = [...new Set([...Relays.getReadRelays(), ...Relays.getWriteRelays()])];
+    const searchRelays = Relays.SEARCH_RELAYS.filter(url => !userRelays.includes(url));
+
+    panel.innerHTML = `
+        ${userRelays.map(renderRelayHealthRow).join('')}
+        <details class="relay-health-search">
+            <summary>Search relays (${searchRelays.length})</summary>
+            ${searchRelays.map(renderRelayHealthRow).join('')}
+        </details>
+    `;
+
+    panel.querySelectorAll('.relay-health-test').forEach(btn => {
+        btn.addEventListener('click', () => testRelayHealth(btn.dataset.relay, btn));
+    });
+}
+
+async function testRelayHealth(url, button) {
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Testing…';
+    }
+    await Promise.all([RelayHealth.probeRelay(url), RelayHealth.fetchRelayInfo(url, { force: true })]);
+    populateRelayHealthPanel();
+}
+
+async function testAllRelays() {
+    const urls = [...new Set([...Relays.getReadRelays(), ...Relays.getWriteRelays()])];
+    Utils.showNotification(`Testing ${urls.length} relays…`, 'info');
+    await Promise.all(urls.map(url => Promise.all([RelayHealth.probeRelay(url), RelayHealth.fetchRelayInfo(url, { force: true })])));
+    populateRelayHealthPanel();
+}
+
+function resetRelayHealthHistory() {
+    if (!confirm('Clear the latency and error history for all relays? Demoted relays will be used again.')) return;
+    Relays.resetRelayPerformance();
+    populateRelayHealthPanel();
+}
+
 // Show NIP-65 guidance when the user announces more than 4 write relays.
 // Only write relays drive the nevent-hint bloat the Announce toggle is meant
 // to address.
@@ -5130,6 +5514,15 @@ async function toggleRelayAdvertise(url, advertise) {
     }
 }
 
+async function toggleRelayAuth(url, allowed) {
+    RelayAuth.setAuthAllowed(url, allowed);
+    // Drop the connection so the relay can challenge again with the new choice
+    if (allowed && State.pool) {
+        try { State.pool.close([url]); } catch (e) { /* not connected */ }
+    }
+    await populateRelayLists();
+}
+
 // Populate muted users list in Settings modal
 async function populateMutedUsersList() {
     console.log('🔇 Populating muted users list...');
@@ -5426,6 +5819,91 @@ async function removeWriteRelayFromModal(relayUrl) {
     }
 }
 
+// Populate the NIP-17 DM inbox relay list (kind 10050) in Settings modal
+async function populateDmRelayList() {
+    const container = document.getElementById('dmRelaysList');
+    if (!container) return;
+
+    if (!State.publicKey) {
+        container.innerHTML = '<p style="color: #999; font-size: 12px;">Log in to set up DM inbox relays.</p>';
+        return;
+    }
+
+    const dmRelays = await Relays.loadDmRelayList();
+    if (dmRelays.length === 0) {
+        container.innerHTML = '<p style="color: #FFDF00; font-size: 12px;">No DM inbox relays yet. Clients that follow NIP-17 won\'t send you messages until you add one.</p>';
+        return;
+    }
+
+    container.innerHTML = dmRelays.map(relay => {
+        const safeRelay = String(relay).replace(/"/g, '&quot;').replace(/'/g, "\\'");
+        const authStatus = RelayAuth.getAuthStatus(relay);
+        const authBadge = !authStatus ? ''
+            : authStatus.state === 'authenticated'
+                ? '<span title="Authenticated (NIP-42)" style="font-size: 11px; color: #4ade80;">🔓</span>'
+                : `<span title="${Utils.escapeHtml(authStatus.message || 'Authentication required')}" style="font-size: 11px; color: #ef4444;">🔒 auth required</span>`;
+        return `
+            <div style="display: flex; align-items: center; padding: 8px; background: rgba(255, 102, 0, 0.1); border-radius: 6px; margin-bottom: 6px; gap: 8px;">
+                <span style="color: var(--text-primary); font-family: monospace; font-size: 12px; flex: 1; word-break: break-all;">${safeRelay}</span>
+                ${authBadge}
+                <button onclick="removeDmRelayFromModal('${safeRelay}')"
+                        style="background: #ff4444; border: none; border-radius: 4px; color: white; padding: 4px 8px; font-size: 12px; cursor: pointer;">
+                    Remove
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+// Add DM inbox relay from Settings modal
+async function addDmRelay() {
+    const input = document.getElementById('newDmRelayUrl');
+    if (!input) return;
+
+    const relayUrl = input.value.trim();
+    if (!relayUrl) {
+        Utils.showNotification('Please enter a relay URL', 'error');
+        return;
+    }
+
+    try {
+        await Relays.loadDmRelayList();
+        const success = Relays.addDmRelay(relayUrl);
+        if (success) {
+            const published = await Relays.publishDmRelayList();
+            Utils.showNotification(published
+                ? 'DM relay added and published!'
+                : 'DM relay saved on this device, but no relay accepted the updated list', published ? 'success' : 'warning');
+            input.value = '';
+            await populateDmRelayList(); // Refresh the list
+        } else {
+            Utils.showNotification('Relay already exists in DM relay list', 'warning');
+        }
+    } catch (error) {
+        console.error('Error adding DM relay:', error);
+        Utils.showNotification(`Failed to add relay: ${error.message}`, 'error');
+    }
+}
+
+// Remove DM inbox relay from Settings modal
+async function removeDmRelayFromModal(relayUrl) {
+    try {
+        const success = Relays.removeDmRelay(relayUrl);
+        if (success) {
+            const published = await Relays.publishDmRelayList();
+            Utils.showNotification(published
+                ? 'DM relay removed and published!'
+                : 'DM relay removed on this device, but no relay accepted the updated list', published ? 'success' : 'warning');
+            await populateDmRelayList(); // Refresh the list
+        } else {
+            Utils.showNotification('Failed to remove relay', 'error');
+        }
+    } catch (error) {
+        console.error('Error removing DM relay:', error);
+        Utils.showNotification(`Failed to remove relay: ${error.message}`, 'error');
+    }
+}
+
 // Show primary (permanent) Monero address for external sharing
 async function showPrimaryAddress() {
     if (!window.Wallet?.getPrimaryAddress) {
@@ -5490,6 +5968,7 @@ window.showPrimaryAddress = showPrimaryAddress;
 window.saveMoneroAddressToRelays = saveMoneroAddressToRelays;
 window.loadRelayListFromRelays = loadRelayListFromRelays;
 window.saveRelayListToRelays = saveRelayListToRelays;
+window.saveSavedSearchesToRelays = saveSavedSearchesToRelays;
 
 // Override loadSettings to use modal approach
 window.loadSettings = loadSettings;
@@ -5504,8 +5983,13 @@ window.addReadRelay = addReadRelay;
 window.addWriteRelay = addWriteRelay;
 window.removeReadRelayFromModal = removeReadRelayFromModal;
 window.removeWriteRelayFromModal = removeWriteRelayFromModal;
+window.addDmRelay = addDmRelay;
+window.removeDmRelayFromModal = removeDmRelayFromModal;
 window.populateRelayLists = populateRelayLists;
 window.toggleRelayAdvertise = toggleRelayAdvertise;
+window.toggleRelayAuth = toggleRelayAuth;
+window.testAllRelays = testAllRelays;
+window.resetRelayHealthHistory = resetRelayHealthHistory;
 
 // Make edit profile functions available globally
 window.showEditProfileModal = showEditProfileModal;
@@ -0,0 +1,236 @@
+/**
+ * Nosmero Archive Viewer - open an exported archive offline
+ *
+ * Reads an archive (archive.js) or any NDJSON file of events from disk,
+ * checks every signature and lists the events, named from the profiles in
+ * the file. Nothing is fetched: images aren't loaded and no relay is asked,
+ * so an archive can be inspected without a network.
+ */
+
+import * as Utils from './utils.js';
+import * as Archive from './archive.js';
+
+const PAGE_SIZE = 100;
+const MAX_FILE_BYTES = 200 * 1024 * 1024;
+const KIND_LABELS = { 0: 'Profile', 1: 'Note', 6: 'Repost', 1111: 'Comment', 30023: 'Article' };
+const TYPE_LABELS = { search: 'Search results', thread: 'Thread', profile: 'Post history' };
+
+// The archive on screen: { fileName, manifest, events, profiles, invalid, malformed }
+let archive = null;
+let shown = PAGE_SIZE;
+
+function kindLabel(kind) {
+    return KIND_LABELS[kind] || `Kind ${kind}`;
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp * 1000).toLocaleString();
+}
+
+// pubkey -> metadata from the newest kind 0 in the archive
+function collectProfiles(events) {
+    const newest = new Map();
+    events.filter(event => event.kind === 0).forEach(event => {
+        const held = newest.get(event.pubkey);
+        if (held && held.created_at >= event.created_at) return;
+        try {
+            newest.set(event.pubkey, { ...JSON.parse(event.content), created_at: event.created_at });
+        } catch (e) {
+            // Unreadable profile, the author shows as an npub
+        }
+    });
+    return newest;
+}
+
+function displayName(pubkey) {
+    const profile = archive.profiles.get(pubkey);
+    const name = profile?.display_name || profile?.name;
+    if (typeof name === 'string' && name.trim()) return name.trim();
+    const npub = window.NostrTools.nip19.npubEncode(pubkey);
+    return `${npub.slice(0, 12)}…${npub.slice(-4)}`;
+}
+
+// The event this one replies to or comments on, if it's in the archive
+function findParent(event) {
+    const eTags = event.tags.filter(tag => (tag[0] === 'e' || tag[0] === 'E') && tag[1]);
+    const parentTag = eTags.find(tag => tag[3] === 'reply') || eTags[eTags.length - 1];
+    return parentTag ? archive.events.find(candidate => candidate.id === parentTag[1]) || null : null;
+}
+
+function eventText(event) {
+    if (event.kind === 0) {
+        try {
+            const profile = JSON.parse(event.content);
+            return [profile.name, profile.about].filter(value => typeof value === 'string' && value).join('\n\n');
+        } catch (e) {
+            return event.content;
+        }
+    }
+    if (event.kind === 6) {
+        const target = event.tags.find(tag => tag[0] === 'e')?.[1];
+        return target ? `Repost of ${target}` : 'Repost';
+    }
+    if (event.kind === 30023) {
+        const title = event.tags.find(tag => tag[0] === 'title')?.[1];
+        return title ? `${title}\n\n${event.content}` : event.content;
+    }
+    return event.content;
+}
+
+function renderEvent(event) {
+    const parent = event.kind === 0 ? null : findParent(event);
+    return `
+        <div class="archive-event">
+            <div class="archive-event-head">
+                <span class="archive-event-author" title="${Utils.escapeHtml(event.pubkey)}">${Utils.escapeHtml(displayName(event.pubkey))}</span>
+                <span class="archive-event-kind">${Utils.escapeHtml(kindLabel(event.kind))}</span>
+                <span class="archive-event-time">${Utils.escapeHtml(formatDate(event.created_at))}</span>
+            </div>
+            ${parent ? `<div class="archive-event-reply">↳ replying to ${Utils.escapeHtml(displayName(parent.pubkey))}</div>` : ''}
+            <div class="archive-event-content">${Utils.escapeHtml(eventText(event))}</div>
+            <details class="archive-event-raw">
+                <summary>Raw event</summary>
+                <pre>${Utils.escapeHtml(JSON.stringify(event, null, 2))}</pre>
+            </details>
+        </div>
+    `;
+}
+
+function filteredEvents(containerEl) {
+    const kind = containerEl.querySelector('.archive-kind-filter')?.value || 'posts';
+    const text = (containerEl.querySelector('.archive-text-filter')?.value || '').trim().toLowerCase();
+
+    const events = archive.events.filter(event => {
+        if (kind === 'posts' ? event.kind === 0 : String(event.kind) !== kind) return false;
+        if (text && !eventText(event).toLowerCase().includes(text) && !displayName(event.pubkey).toLowerCase().includes(text)) return false;
+        return true;
+    });
+
+    // A thread reads top to bottom; everything else newest first
+    return archive.manifest?.type === 'thread'
+        ? events.sort((a, b) => a.created_at - b.created_at)
+        : events.sort((a, b) => b.created_at - a.created_at);
+}
+
+function drawEvents(containerEl) {
+    const listEl = containerEl.querySelector('.archive-events');
+    if (!listEl) return;
+
+    const events = filteredEvents(containerEl);
+    listEl.innerHTML = events.length === 0
+        ? '<p class="paywall-dashboard-hint">No events match.</p>'
+        : `
+            ${events.slice(0, shown).map(renderEvent).join('')}
+            ${events.length > shown ? `<button class="archive-more">Show more (${events.length - shown} left)</button>` : ''}
+        `;
+    listEl.querySelector('.archive-more')?.addEventListener('click', () => {
+        shown += PAGE_SIZE;
+        drawEvents(containerEl);
+    });
+}
+
+function renderSummary() {
+    const { manifest, events, invalid, malformed, fileName } = archive;
+    const profiles = events.filter(event => event.kind === 0).length;
+    const rows = [
+        ['File', fileName],
+        ['Contents', manifest ? `${TYPE_LABELS[manifest.type] || manifest.type}: ${manifest.description || manifest.subject}` : 'Events (no manifest)'],
+        manifest && ['Exported', `${formatDate(manifest.exported_at)}${manifest.origin ? ` from ${manifest.origin}` : ''}`],
+        manifest?.relays?.length > 0 && ['Relays', manifest.relays.join(', ')],
+        ['Events', `${events.length - profiles} posts, ${profiles} profiles`],
+        manifest && manifest.complete === false && ['Note', 'The export stopped at its size limit; older posts are missing'],
+        invalid > 0 && ['Left out', `${invalid} event(s) with a bad id or signature`],
+        malformed > 0 && ['Unreadable', `${malformed} line(s) that aren't events`]
+    ].filter(Boolean);
+
+    return `
+        <dl class="archive-summary">
+            ${rows.map(([label, value]) => `<dt>${Utils.escapeHtml(label)}</dt><dd>${Utils.escapeHtml(String(value))}</dd>`).join('')}
+        </dl>
+    `;
+}
+
+function drawArchive(containerEl) {
+    const viewEl = containerEl.querySelector('.archive-view');
+    const kinds = [...new Set(archive.events.map(event => event.kind))].filter(kind => kind !== 0).sort((a, b) => a - b);
+    const hasProfiles = archive.events.some(event => event.kind === 0);
+
+    viewEl.innerHTML = `
+        ${renderSummary()}
+        <div class="archive-filters">
+            <select class="archive-kind-filter">
+                <option value="posts">All posts</option>
+                ${kinds.map(kind => `<option value="${kind}">${Utils.escapeHtml(kindLabel(kind))}s</option>`).join('')}
+                ${hasProfiles ? '<option value="0">Profiles</option>' : ''}
+            </select>
+            <input type="text" class="archive-text-filter" placeholder="Filter by text or name">
+        </div>
+        <div class="archive-events"></div>
+    `;
+
+    const redraw = () => {
+        shown = PAGE_SIZE;
+        drawEvents(containerEl);
+    };
+    viewEl.querySelector('.archive-kind-filter').addEventListener('change', redraw);
+    viewEl.querySelector('.archive-text-filter').addEventListener('input', redraw);
+    redraw();
+}
+
+async function openFile(containerEl, file) {
+    const viewEl = containerEl.querySelector('.archive-view');
+    if (file.size > MAX_FILE_BYTES) {
+        Utils.showNotification('That file is too large to open here', 'error');
+        return;
+    }
+
+    viewEl.innerHTML = '<p class="paywall-dashboard-hint">Reading...</p>';
+    try {
+        const { manifest, events, malformed } = Archive.parseArchive(await file.text());
+        if (events.length === 0) {
+            viewEl.innerHTML = '<p class="paywall-dashboard-hint">No Nostr events found in this file.</p>';
+            return;
+        }
+
+        const { valid, invalid } = await Archive.verifyArchiveEvents(events, checked => {
+            viewEl.innerHTML = `<p class="paywall-dashboard-hint">Checking signatures... ${checked}/${events.length}</p>`;
+        });
+
+        archive = {
+            fileName: file.name,
+            manifest,
+            events: valid,
+            profiles: collectProfiles(valid),
+            invalid: invalid.length,
+            malformed
+        };
+        drawArchive(containerEl);
+    } catch (error) {
+        console.error('[Archive] Could not open archive:', error);
+        viewEl.innerHTML = `<p class="paywall-dashboard-hint">Could not read this file: ${Utils.escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Render the archive viewer into a container: a file picker, then the
+ * chosen archive's manifest and events
+ * @param {HTMLElement} containerEl
+ */
+export function renderArchiveViewer(containerEl) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = `
+        <div class="archive-open">
+            <input type="file" class="archive-file" accept=".ndjson,.jsonl,.json,application/x-ndjson">
+        </div>
+        <div class="archive-view"></div>
+    `;
+
+    containerEl.querySelector('.archive-file').addEventListener('change', event => {
+        const file = event.target.files?.[0];
+        if (file) openFile(containerEl, file);
+    });
+
+    // Reopening the page shows the archive that was open
+    if (archive) drawArchive(containerEl);
+}
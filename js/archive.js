@@ -0,0 +1,292 @@
+/**
+ * Nosmero Archive - raw event exports for archiving and research
+ *
+ * An archive is NDJSON: the first line is a manifest saying what was
+ * exported, from where and when; every line after it is one event exactly
+ * as it was signed (the NIP-01 fields, nothing Nosmero adds). The exported
+ * notes come first, then the kind 0 profiles of everyone they reference, so
+ * `tail -n +2 file.ndjson` is a plain event file any Nostr tool can import.
+ *
+ * Search results, a thread and a user's post history can be exported; the
+ * archive viewer (archive-viewer.js) reads such a file back offline.
+ */
+
+import * as State from './state.js';
+import * as Utils from './utils.js';
+import * as Relays from './relays.js';
+
+export const ARCHIVE_FORMAT = 'nosmero-archive';
+export const ARCHIVE_VERSION = 1;
+
+const EVENT_FIELDS = ['id', 'pubkey', 'created_at', 'kind', 'tags', 'content', 'sig'];
+const HEX64_REGEX = /^[0-9a-f]{64}$/;
+const QUERY_WAIT_MS = 8000;
+const PROFILE_CHUNK = 100;
+const MAX_PROFILES = 1000;          // Authors first, then people they tag
+const HISTORY_KINDS = [1, 6, 1111, 30023];
+const HISTORY_PAGE_SIZE = 500;
+const HISTORY_MAX_EVENTS = 20000;
+const HISTORY_MAX_STALE_PAGES = 3;  // Pages in a row with nothing new before giving up
+const VERIFY_BATCH = 200;           // Signatures checked between yields to the UI
+
+// Just the signed fields: cached events carry extras (originalNoteId,
+// engagement counts) that aren't part of the event
+function toRawEvent(event) {
+    const raw = {};
+    EVENT_FIELDS.forEach(field => { raw[field] = event[field]; });
+    return raw;
+}
+
+// Well-formed and its id matches its content. Signatures are checked by the
+// viewer; the pool has already checked them for anything read from a relay.
+function isIntactEvent(event) {
+    try {
+        return window.NostrTools.validateEvent(event) && window.NostrTools.getEventHash(event) === event.id;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Authors first, then everyone p-tagged, without duplicates
+function referencedPubkeys(events) {
+    const pubkeys = new Set(events.map(event => event.pubkey));
+    events.forEach(event => {
+        event.tags.forEach(tag => {
+            if (tag[0] === 'p' && HEX64_REGEX.test(tag[1] || '')) pubkeys.add(tag[1]);
+        });
+    });
+    return [...pubkeys].slice(0, MAX_PROFILES);
+}
+
+// Newest kind 0 per pubkey, as signed events
+async function fetchProfileEvents(pubkeys) {
+    const newest = new Map();
+    const relays = [...new Set([...Relays.SOCIAL_GRAPH_RELAYS, ...Relays.getActiveRelays()])];
+
+    for (let i = 0; i < pubkeys.length; i += PROFILE_CHUNK) {
+        const chunk = pubkeys.slice(i, i + PROFILE_CHUNK);
+        try {
+            const events = await State.pool.querySync(relays, { kinds: [0], authors: chunk }, { maxWait: QUERY_WAIT_MS });
+            events.forEach(event => {
+                const held = newest.get(event.pubkey);
+                if (!held || event.created_at > held.created_at) newest.set(event.pubkey, event);
+            });
+        } catch (error) {
+            console.warn('[Archive] Profile lookup failed:', error);
+        }
+    }
+    return [...newest.values()];
+}
+
+function countKinds(events) {
+    const counts = {};
+    events.forEach(event => { counts[event.kind] = (counts[event.kind] || 0) + 1; });
+    return counts;
+}
+
+function download(filename, text) {
+    const blob = new Blob([text], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download events as an archive, with the profiles they reference
+ * @param {Object} options
+ * @param {string} options.type - 'search', 'thread' or 'profile'
+ * @param {string} options.subject - The search query, thread root id or pubkey
+ * @param {string} options.description - One line for people reading the manifest
+ * @param {Object[]} options.events
+ * @param {string[]} [options.relays] - Where the events were read from
+ * @param {boolean} [options.complete=true] - False when the export stopped at a limit
+ * @returns {Promise<{ events: number, profiles: number, skipped: number }>}
+ */
+export async function exportArchive({ type, subject, description, events, relays = [], complete = true }) {
+    const seen = new Set();
+    const raw = [];
+    let skipped = 0;
+    for (const event of events) {
+        if (!event || seen.has(event.id)) continue;
+        seen.add(event.id);
+        const candidate = toRawEvent(event);
+        if (isIntactEvent(candidate)) raw.push(candidate);
+        else skipped++;
+    }
+    if (raw.length === 0) throw new Error('Nothing to export');
+    raw.sort((a, b) => a.created_at - b.created_at);
+
+    const profiles = State.pool
+        ? (await fetchProfileEvents(referencedPubkeys(raw))).map(toRawEvent).filter(isIntactEvent)
+        : [];
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        type,
+        subject,
+        description,
+        exported_at: Math.floor(Date.now() / 1000),
+        exported_by: State.publicKey || null,
+        origin: window.location.origin,
+        relays: [...new Set(relays)],
+        complete,
+        counts: {
+            events: raw.length,
+            profiles: profiles.length,
+            kinds: countKinds(raw)
+        }
+    };
+
+    const lines = [manifest, ...raw, ...profiles].map(line => JSON.stringify(line));
+    const slug = String(subject).replace(/[^a-zA-Z0-9]/g, '-').slice(0, 40);
+    download(`nosmero-${type}-${slug}-${new Date().toISOString().slice(0, 10)}.ndjson`, lines.join('\n') + '\n');
+
+    if (skipped > 0) console.warn(`[Archive] Left out ${skipped} event(s) that don't match their id`);
+    return { events: raw.length, profiles: profiles.length, skipped };
+}
+
+/**
+ * Everything a user has posted that their relays still hold: notes,
+ * reposts, comments and articles, paged back to the first one
+ * @param {string} pubkey
+ * @param {Function} [onProgress] - Called with the number of events found so far
+ * @returns {Promise<{ events: Object[], relays: string[], complete: boolean }>}
+ */
+export async function fetchPostHistory(pubkey, onProgress = null) {
+    if (!State.pool) throw new Error('Not connected to any relays');
+
+    const relays = [...new Set([...(await Relays.getOutboxRelays(pubkey)), ...Relays.getActiveRelays()])];
+    const events = new Map();
+    let until = Math.floor(Date.now() / 1000);
+    let stalePages = 0;
+    let complete = false;
+
+    while (events.size < HISTORY_MAX_EVENTS) {
+        const page = await State.pool.querySync(relays, {
+            authors: [pubkey],
+            kinds: HISTORY_KINDS,
+            until,
+            limit: HISTORY_PAGE_SIZE
+        }, { maxWait: QUERY_WAIT_MS });
+
+        if (page.length === 0) {
+            complete = true;
+            break;
+        }
+
+        const fresh = page.filter(event => event.pubkey === pubkey && !events.has(event.id));
+        fresh.forEach(event => events.set(event.id, event));
+        onProgress?.(events.size);
+
+        // Step back to the oldest event seen, or past it when the page had
+        // nothing new (a second full of events, or a relay ignoring until)
+        stalePages = fresh.length > 0 ? 0 : stalePages + 1;
+        if (stalePages >= HISTORY_MAX_STALE_PAGES) {
+            complete = true;
+            break;
+        }
+        const oldest = Math.min(until, ...page.map(event => event.created_at));
+        until = fresh.length > 0 ? oldest : oldest - 1;
+        if (until < 0) {
+            complete = true;
+            break;
+        }
+    }
+
+    return { events: [...events.values()], relays, complete };
+}
+
+/**
+ * Export a user's whole post history (see fetchPostHistory)
+ * @param {string} pubkey
+ */
+export async function exportPostHistory(pubkey) {
+    const npub = window.NostrTools.nip19.npubEncode(pubkey);
+    Utils.showNotification('Collecting posts for the export, this can take a minute...', 'info');
+
+    try {
+        const history = await fetchPostHistory(pubkey);
+        const result = await exportArchive({
+            type: 'profile',
+            subject: npub,
+            description: `Posts by ${State.profileCache[pubkey]?.name || npub}`,
+            events: history.events,
+            relays: history.relays,
+            complete: history.complete
+        });
+        Utils.showNotification(`Exported ${result.events} posts and ${result.profiles} profiles${history.complete ? '' : ` (stopped at ${HISTORY_MAX_EVENTS})`}`, 'success');
+    } catch (error) {
+        console.error('[Archive] Post history export failed:', error);
+        Utils.showNotification(`Export failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Read an archive back. Accepts a plain NDJSON event file too (no
+ * manifest); lines that aren't events are counted, not fatal.
+ * @param {string} text
+ * @returns {{ manifest: Object|null, events: Object[], malformed: number }}
+ */
+export function parseArchive(text) {
+    let manifest = null;
+    const events = [];
+    const seen = new Set();
+    let malformed = 0;
+
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch (e) {
+            malformed++;
+            return;
+        }
+        if (index === 0 && value?.format === ARCHIVE_FORMAT) {
+            manifest = value;
+            return;
+        }
+        const event = value && typeof value === 'object' ? toRawEvent(value) : null;
+        if (!event || !window.NostrTools.validateEvent(event)) {
+            malformed++;
+            return;
+        }
+        if (seen.has(event.id)) return;
+        seen.add(event.id);
+        events.push(event);
+    });
+
+    return { manifest, events, malformed };
+}
+
+/**
+ * Check every event's id and signature, yielding to the page between
+ * batches so a large archive doesn't freeze it
+ * @param {Object[]} events
+ * @param {Function} [onProgress] - Called with the number checked so far
+ * @returns {Promise<{ valid: Object[], invalid: Object[] }>}
+ */
+export async function verifyArchiveEvents(events, onProgress = null) {
+    const valid = [];
+    const invalid = [];
+    for (let i = 0; i < events.length; i += VERIFY_BATCH) {
+        events.slice(i, i + VERIFY_BATCH).forEach(event => {
+            let ok = false;
+            try {
+                ok = window.NostrTools.verifyEvent(event);
+            } catch (e) {
+                // Counted as invalid
+            }
+            (ok ? valid : invalid).push(event);
+        });
+        onProgress?.(Math.min(i + VERIFY_BATCH, events.length));
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return { valid, invalid };
+}
@@ -0,0 +1,406 @@
+// ==================== COLLABORATIVE ARTICLE DRAFTS ====================
+//
+// Sharing a kind 30024 draft with co-authors, and their proposed revisions.
+// The composer surface lives in articles-editor.js; this module owns the wire
+// format and the crypto.
+//
+// Both directions are NIP-78 app-data events (kind 30078) addressed with a
+// `p` tag, so each side finds what's meant for it with one `#p` query:
+//
+//   share    — owner → co-author. d = nosmero:shared-draft:<key>:<co-author>
+//              One per co-author, replaced on every save of the draft.
+//   revision — co-author → owner. d = nosmero:draft-revision:<key>
+//              One per co-author per draft, replaced on every proposal.
+//
+// <key> is a hash of the draft's coordinate (30024:<owner>:<d-tag>): d-tag
+// slugs are made from the title, and the title is part of what's private.
+// The content is a JSON snapshot of the draft, NIP-44 encrypted between the
+// two parties. Unsharing replaces the share with an empty one, which relays
+// that ignore deletions still pass on.
+
+import * as State from './state.js';
+import * as Utils from './utils.js';
+import * as Relays from './relays.js';
+import * as Articles from './articles.js';
+import * as PublishOutbox from './publish-outbox.js';
+
+export const COLLAB_KIND = 30078;
+const SHARE_PREFIX = 'nosmero:shared-draft:';
+const REVISION_PREFIX = 'nosmero:draft-revision:';
+const PAYLOAD_VERSION = 1;
+const HANDLED_REVISIONS_KEY = 'nosmero:article-editor:handled-revisions';
+const HEX64_REGEX = /^[0-9a-f]{64}$/;
+const QUERY_TIMEOUT_MS = 6000;
+const MAX_DIFF_LINES = 3000;   // Per side; longer bodies diff as one replaced block
+
+// ==================== KEYS / TAGS ====================
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Opaque id of a draft, shared by both parties
+async function draftKey(ownerPubkey, identifier) {
+    return sha256Hex(`${Articles.DRAFT_KIND}:${ownerPubkey}:${identifier}`);
+}
+
+function tagValue(event, name) {
+    return event.tags.find(t => t[0] === name)?.[1];
+}
+
+// ==================== ENCRYPTION ====================
+
+// NIP-44 between us and one other pubkey, routed by login method like
+// lists.js does for encrypt-to-self. The conversation key is symmetric, so
+// the owner can read back their own shares too.
+async function encryptFor(pubkey, plaintext) {
+    const sk = State.getPrivateKeyForSigning();
+    if (sk === 'extension' || sk === 'nsec-app') {
+        if (!window.nostr?.nip44?.encrypt) throw new Error('Your signer does not support NIP-44 encryption');
+        return window.nostr.nip44.encrypt(pubkey, plaintext);
+    }
+    if (sk === 'amber') {
+        const Amber = await import('./amber.js');
+        return Amber.nip44Encrypt(pubkey, plaintext);
+    }
+    if (sk) {
+        const { nip44, utils } = window.NostrTools;
+        return nip44.v2.encrypt(plaintext, nip44.getConversationKey(utils.hexToBytes(sk), pubkey));
+    }
+    throw new Error('No encryption method available');
+}
+
+async function decryptFrom(pubkey, ciphertext) {
+    const sk = State.getPrivateKeyForSigning();
+    if (sk === 'extension' || sk === 'nsec-app') {
+        if (!window.nostr?.nip44?.decrypt) throw new Error('Your signer does not support NIP-44 decryption');
+        return window.nostr.nip44.decrypt(pubkey, ciphertext);
+    }
+    if (sk === 'amber') {
+        const Amber = await import('./amber.js');
+        return Amber.nip44Decrypt(pubkey, ciphertext);
+    }
+    if (sk) {
+        const { nip44, utils } = window.NostrTools;
+        return nip44.v2.decrypt(ciphertext, nip44.getConversationKey(utils.hexToBytes(sk), pubkey));
+    }
+    throw new Error('No decryption method available');
+}
+
+// Decrypt and sanity-check a snapshot. Fields are coerced rather than
+// trusted: the other party controls everything in here.
+async function readPayload(event, otherPubkey) {
+    const data = JSON.parse(await decryptFrom(otherPubkey, event.content));
+    if (!data || data.v !== PAYLOAD_VERSION || typeof data.identifier !== 'string' || !data.identifier) {
+        throw new Error('Not a draft this version of Nosmero understands');
+    }
+    return {
+        identifier: data.identifier,
+        title: String(data.title ?? ''),
+        summary: String(data.summary ?? ''),
+        image: String(data.image ?? ''),
+        topics: Array.isArray(data.topics) ? data.topics.map(String) : [],
+        body: String(data.body ?? ''),
+        collaborators: Array.isArray(data.collaborators) ? data.collaborators.filter(pk => HEX64_REGEX.test(pk)) : [],
+        savedAt: Number(data.saved_at) || event.created_at,
+        baseSavedAt: Number(data.base_saved_at) || null,
+        note: String(data.note ?? ''),
+    };
+}
+
+// ==================== RELAY I/O ====================
+
+// Our write relays plus the recipients' inboxes, where they'll look
+async function publishTo(template, recipients, label) {
+    const inboxes = await Promise.all(recipients.map(pk => Relays.getInboxRelays(pk).catch(() => [])));
+    const relays = [...new Set([...(Relays.getWriteRelays?.() || []), ...inboxes.flat()])];
+    if (!relays.length) throw new Error('No write relays configured');
+
+    const signed = await Utils.signEvent(template);
+    const result = await PublishOutbox.publishEvent(signed, relays, { label });
+    if (result.accepted.length === 0 && result.pending.length === 0) {
+        throw new Error(`No relay accepted the ${label.toLowerCase()}`);
+    }
+    return signed;
+}
+
+// Latest event per (author, d) matching a filter, empty ones (unshared) left out
+async function queryLatest(filter) {
+    if (!State.pool) return [];
+    const relays = [...new Set([...(Relays.getReadRelays?.() || []), ...(Relays.getWriteRelays?.() || [])])];
+    if (!relays.length) return [];
+
+    const events = await State.pool.querySync(relays, filter, { maxWait: QUERY_TIMEOUT_MS });
+    const latest = new Map();
+    for (const event of events) {
+        const key = `${event.pubkey}:${tagValue(event, 'd')}`;
+        const held = latest.get(key);
+        if (!held || event.created_at > held.created_at) latest.set(key, event);
+    }
+    return [...latest.values()].filter(event => event.content);
+}
+
+// Replaceable events published twice in one second can lose NIP-01's id tie
+const lastPublished = new Map();
+function nextStamp(dTag) {
+    const now = Math.floor(Date.now() / 1000);
+    const stamp = Math.max(now, (lastPublished.get(dTag) || 0) + 1);
+    lastPublished.set(dTag, stamp);
+    return stamp;
+}
+
+// ==================== OWNER: SHARING ====================
+
+/**
+ * Who a draft of ours is currently shared with, read from our own shares
+ * so it follows us across devices.
+ * @param {string} identifier - Draft d-tag
+ * @returns {Promise<string[]>} Co-author pubkeys
+ */
+export async function getSharedDraftCollaborators(identifier) {
+    if (!State.publicKey || !identifier) return [];
+    const prefix = `${SHARE_PREFIX}${await draftKey(State.publicKey, identifier)}:`;
+    const shares = await queryLatest({ kinds: [COLLAB_KIND], authors: [State.publicKey], '#k': [String(Articles.DRAFT_KIND)] });
+    return shares
+        .filter(event => tagValue(event, 'd')?.startsWith(prefix))
+        .map(event => tagValue(event, 'p'))
+        .filter(pk => HEX64_REGEX.test(pk || ''));
+}
+
+/**
+ * Send the current draft to each co-author, encrypted to them, and withdraw
+ * it from anyone no longer on the list.
+ * @param {Object} draft - { identifier, title, summary, image, topics, body, savedAt }
+ * @param {string[]} collaborators
+ * @param {string[]} [removed] - Co-authors to unshare from
+ * @returns {Promise<{ shared: number, failed: string[] }>}
+ */
+export async function shareDraft(draft, collaborators, removed = []) {
+    if (!State.publicKey) throw new Error('Must be logged in');
+    const key = await draftKey(State.publicKey, draft.identifier);
+    const failed = [];
+
+    const plaintext = JSON.stringify({
+        v: PAYLOAD_VERSION,
+        identifier: draft.identifier,
+        title: draft.title,
+        summary: draft.summary,
+        image: draft.image,
+        topics: draft.topics,
+        body: draft.body,
+        collaborators,
+        saved_at: draft.savedAt,
+    });
+
+    for (const pk of collaborators) {
+        try {
+            const dTag = `${SHARE_PREFIX}${key}:${pk}`;
+            await publishTo({
+                kind: COLLAB_KIND,
+                created_at: nextStamp(dTag),
+                tags: [['d', dTag], ['p', pk], ['k', String(Articles.DRAFT_KIND)], ['alt', 'Shared article draft (encrypted)']],
+                content: await encryptFor(pk, plaintext),
+            }, [pk], 'Shared draft');
+        } catch (e) {
+            console.warn('[article-collab] share failed for', pk, e);
+            failed.push(pk);
+        }
+    }
+
+    if (removed.length) await unshareDraft(draft.identifier, removed);
+    return { shared: collaborators.length - failed.length, failed };
+}
+
+/**
+ * Withdraw a draft from co-authors: their copy is replaced with an empty one.
+ * @param {string} identifier
+ * @param {string[]} collaborators
+ */
+export async function unshareDraft(identifier, collaborators) {
+    if (!State.publicKey || !collaborators.length) return;
+    const key = await draftKey(State.publicKey, identifier);
+    await Promise.all(collaborators.map(pk => {
+        const dTag = `${SHARE_PREFIX}${key}:${pk}`;
+        return publishTo({
+            kind: COLLAB_KIND,
+            created_at: nextStamp(dTag),
+            tags: [['d', dTag], ['p', pk], ['k', String(Articles.DRAFT_KIND)]],
+            content: '',
+        }, [pk], 'Unshared draft').catch(e => console.warn('[article-collab] unshare failed for', pk, e));
+    }));
+}
+
+// ==================== INCOMING ====================
+
+/**
+ * Drafts shared with us and revisions proposed to us, still encrypted.
+ * @returns {Promise<{ shared: Object[], revisions: Object[] }>} Raw events
+ */
+export async function queryCollaborationEvents() {
+    if (!State.publicKey) return { shared: [], revisions: [] };
+    const events = (await queryLatest({ kinds: [COLLAB_KIND], '#p': [State.publicKey], '#k': [String(Articles.DRAFT_KIND)] }))
+        .filter(event => event.pubkey !== State.publicKey);
+    return {
+        shared: events.filter(event => tagValue(event, 'd')?.startsWith(SHARE_PREFIX)),
+        revisions: events.filter(event => tagValue(event, 'd')?.startsWith(REVISION_PREFIX)),
+    };
+}
+
+/**
+ * Decrypt a draft someone shared with us
+ * @param {Object} event - From queryCollaborationEvents().shared
+ * @returns {Promise<Object>} The snapshot, plus `owner` and `eventId`
+ */
+export async function openSharedDraft(event) {
+    const payload = await readPayload(event, event.pubkey);
+    // The d tag commits to the owner and identifier; a payload claiming some
+    // other draft would have us proposing revisions to the wrong one
+    const key = await draftKey(event.pubkey, payload.identifier);
+    if (tagValue(event, 'd') !== `${SHARE_PREFIX}${key}:${State.publicKey}`) {
+        throw new Error('Shared draft does not match its address');
+    }
+    return { ...payload, owner: event.pubkey, eventId: event.id };
+}
+
+/**
+ * Whether a revision event is for one of our drafts
+ * @param {Object} event - From queryCollaborationEvents().revisions
+ * @param {string} identifier - Our draft's d-tag
+ * @returns {Promise<boolean>}
+ */
+export async function isRevisionOf(event, identifier) {
+    return tagValue(event, 'd') === `${REVISION_PREFIX}${await draftKey(State.publicKey, identifier)}`;
+}
+
+/**
+ * Decrypt a revision proposed to us
+ * @param {Object} event
+ * @returns {Promise<Object>} The snapshot, plus `author`, `eventId` and `proposedAt`
+ */
+export async function openRevision(event) {
+    const payload = await readPayload(event, event.pubkey);
+    return { ...payload, author: event.pubkey, eventId: event.id, proposedAt: event.created_at };
+}
+
+// ==================== CO-AUTHOR: PROPOSING ====================
+
+/**
+ * Send our version of a shared draft back to its owner, encrypted to them.
+ * Replaces any revision we proposed to this draft before.
+ * @param {Object} shared - From openSharedDraft()
+ * @param {Object} fields - { title, summary, image, topics, body }
+ * @param {string} [note] - What changed, for the owner
+ */
+export async function proposeRevision(shared, fields, note = '') {
+    if (!State.publicKey) throw new Error('Must be logged in');
+    const dTag = `${REVISION_PREFIX}${await draftKey(shared.owner, shared.identifier)}`;
+    const plaintext = JSON.stringify({
+        v: PAYLOAD_VERSION,
+        identifier: shared.identifier,
+        title: fields.title,
+        summary: fields.summary,
+        image: fields.image,
+        topics: fields.topics,
+        body: fields.body,
+        base_saved_at: shared.savedAt,
+        note,
+    });
+
+    return publishTo({
+        kind: COLLAB_KIND,
+        created_at: nextStamp(dTag),
+        tags: [['d', dTag], ['p', shared.owner], ['k', String(Articles.DRAFT_KIND)], ['alt', 'Proposed revision to a shared article draft (encrypted)']],
+        content: await encryptFor(shared.owner, plaintext),
+    }, [shared.owner], 'Draft revision');
+}
+
+// ==================== HANDLED REVISIONS ====================
+//
+// Merged or dismissed revisions, by event id. A new proposal from the same
+// co-author is a new event, so it shows up again.
+
+function handledRevisionsKey() {
+    return `${HANDLED_REVISIONS_KEY}:${State.publicKey || 'anonymous'}`;
+}
+
+export function loadHandledRevisions() {
+    try {
+        const arr = JSON.parse(localStorage.getItem(handledRevisionsKey()) || '[]');
+        return new Set(Array.isArray(arr) ? arr : []);
+    } catch (_) {
+        return new Set();
+    }
+}
+
+export function markRevisionHandled(eventId) {
+    const set = loadHandledRevisions();
+    set.add(eventId);
+    try {
+        // Oldest first in insertion order; a few hundred is plenty
+        localStorage.setItem(handledRevisionsKey(), JSON.stringify([...set].slice(-500)));
+    } catch (_) {}
+}
+
+// ==================== DIFF ====================
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same'|'add'|'del', text: string }>}
+ */
+export function diffLines(before, after) {
+    const a = String(before).split('\n');
+    const b = String(after).split('\n');
+
+    // Trim the shared head and tail so the table only covers what changed
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+    const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length > MAX_DIFF_LINES || midB.length > MAX_DIFF_LINES) {
+        return [
+            ...head,
+            ...midA.map(text => ({ type: 'del', text })),
+            ...midB.map(text => ({ type: 'add', text })),
+            ...tail,
+        ];
+    }
+
+    // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+    const lengths = Array.from({ length: midA.length + 1 }, () => new Uint16Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+            lengths[i][j] = midA[i] === midB[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+        if (midA[i] === midB[j]) {
+            middle.push({ type: 'same', text: midA[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            middle.push({ type: 'del', text: midA[i++] });
+        } else {
+            middle.push({ type: 'add', text: midB[j++] });
+        }
+    }
+    while (i < midA.length) middle.push({ type: 'del', text: midA[i++] });
+    while (j < midB.length) middle.push({ type: 'add', text: midB[j++] });
+
+    return [...head, ...middle, ...tail];
+}
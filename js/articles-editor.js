@@ -11,11 +11,18 @@
 //
 // State model is a single in-module object so save/publish handlers can read
 // the current form values without hunting through the DOM each time.
+//
+// Collaboration (article-collab.js): the owner of a draft can share it with
+// co-authors, who open it from the drafts list in 'editing-shared' mode and
+// send revisions back instead of saving. The owner reviews each revision as
+// a diff, merges or dismisses it, and publishes with co-author credit tags.
 
 import * as State from './state.js';
 import * as Utils from './utils.js';
 import * as Articles from './articles.js';
 import * as Paywall from './paywall.js';
+import * as PublishOutbox from './publish-outbox.js';
+import * as Collab from './article-collab.js';
 import { signedFetch } from './signed-fetch.js';
 
 const AUTOSAVE_INTERVAL_MS = 30_000;
@@ -52,7 +59,7 @@ function markDraftDiscarded(identifier) {
 }
 
 const editorState = {
-    mode: 'new',                  // 'new' | 'editing-draft' | 'editing-published'
+    mode: 'new',                  // 'new' | 'editing-draft' | 'editing-published' | 'editing-shared'
     identifier: null,             // d-tag slug (null until first save/publish)
     title: '',
     summary: '',
@@ -60,10 +67,16 @@ const editorState = {
     topics: [],                   // array of strings (no leading #)
     body: '',                     // markdown
     publishedAt: null,            // unix seconds — preserved across edits
+    draftSavedAt: null,           // created_at of the last saved draft version
+    collaborators: [],            // co-author pubkeys of our own draft
+    sharedWith: [],               // who the draft was last shared with (to unshare removals)
+    sharedDraft: null,            // Collab.openSharedDraft() result in 'editing-shared' mode
+    revisions: [],                // Collab.openRevision() results waiting for review
     paywall: {
         enabled: false,
         priceXmr: 0,
         paymentAddress: '',
+        accessDays: null,         // rental length; null = unlock forever
     },
     dirty: false,
     autosaveTimer: null,
@@ -83,6 +96,7 @@ function syncStateFromForm() {
     const paywallToggle = $('articlePaywallToggle');
     const paywallPrice = $('articlePaywallPrice');
     const paywallAddress = $('articlePaywallAddress');
+    const paywallAccess = $('articlePaywallAccess');
 
     if (titleEl) editorState.title = titleEl.value.trim();
     if (summaryEl) editorState.summary = summaryEl.value.trim();
@@ -96,6 +110,7 @@ function syncStateFromForm() {
     if (paywallToggle) editorState.paywall.enabled = paywallToggle.checked;
     if (paywallPrice) editorState.paywall.priceXmr = parseFloat(paywallPrice.value) || 0;
     if (paywallAddress) editorState.paywall.paymentAddress = paywallAddress.value.trim();
+    if (paywallAccess) editorState.paywall.accessDays = parseInt(paywallAccess.value, 10) || null;
 }
 
 // Write editorState back into the form. Called when opening / loading a draft.
@@ -108,6 +123,7 @@ function syncFormFromState() {
     const paywallToggle = $('articlePaywallToggle');
     const paywallPrice = $('articlePaywallPrice');
     const paywallAddress = $('articlePaywallAddress');
+    const paywallAccess = $('articlePaywallAccess');
     const paywallSection = $('articlePaywallSection');
 
     if (titleEl) titleEl.value = editorState.title;
@@ -126,9 +142,12 @@ function syncFormFromState() {
     if (paywallToggle) paywallToggle.checked = editorState.paywall.enabled;
     if (paywallPrice) paywallPrice.value = editorState.paywall.priceXmr || '';
     if (paywallAddress) paywallAddress.value = editorState.paywall.paymentAddress;
+    if (paywallAccess) paywallAccess.value = editorState.paywall.accessDays || '';
     if (paywallSection) {
         paywallSection.classList.toggle('article-paywall--enabled', editorState.paywall.enabled);
     }
+    updateCollabControls();
+    renderCollabPanel();
 }
 
 function escapeAttr(s) {
@@ -157,6 +176,9 @@ function saveScratch() {
             topics: editorState.topics,
             body: editorState.body,
             publishedAt: editorState.publishedAt,
+            draftSavedAt: editorState.draftSavedAt,
+            collaborators: editorState.collaborators,
+            sharedDraft: editorState.sharedDraft,
             paywall: { ...editorState.paywall },
             savedAt: Date.now(),
         };
@@ -217,11 +239,32 @@ export function loadFromEvent(event) {
     editorState.topics = [...meta.topics];
     editorState.body = event.content || '';
     editorState.publishedAt = meta.publishedAt;
+    editorState.draftSavedAt = event.kind === Articles.DRAFT_KIND ? event.created_at : null;
     editorState.paywall = readPaywallFromEvent(event);
+    resetCollaboration();
     editorState.dirty = false;
     return true;
 }
 
+// Populate editorState from a draft someone shared with us. Saving sends a
+// revision to the owner; the owner's draft itself is never touched.
+function loadSharedDraft(shared) {
+    editorState.mode = 'editing-shared';
+    editorState.identifier = shared.identifier;
+    editorState.title = shared.title;
+    editorState.summary = shared.summary;
+    editorState.image = shared.image;
+    editorState.topics = [...shared.topics];
+    editorState.body = shared.body;
+    editorState.publishedAt = null;
+    editorState.draftSavedAt = null;
+    editorState.paywall = { enabled: false, priceXmr: 0, paymentAddress: '', accessDays: null };
+    resetCollaboration();
+    editorState.collaborators = [...shared.collaborators];
+    editorState.sharedDraft = shared;
+    editorState.dirty = false;
+}
+
 // When editing a published paywalled article, `event.content` is only the
 // public preview + the auto-generated "🔒 Continue reading…" footer — the
 // real locked half lives encrypted in the `['encrypted', ...]` tag (or on
@@ -309,12 +352,13 @@ function readPaywallFromEvent(event) {
     const tags = event?.tags || [];
     const paywallTag = tags.find(t => t[0] === 'paywall');
     if (!paywallTag) {
-        return { enabled: false, priceXmr: 0, paymentAddress: '' };
+        return { enabled: false, priceXmr: 0, paymentAddress: '', accessDays: null };
     }
     return {
         enabled: true,
         priceXmr: parseFloat(paywallTag[1]) || 0,
         paymentAddress: paywallTag[2] || '',
+        accessDays: parseInt(tags.find(t => t[0] === 'paywall_access')?.[1], 10) || null,
     };
 }
 
@@ -328,10 +372,20 @@ function resetState() {
     editorState.topics = [];
     editorState.body = '';
     editorState.publishedAt = null;
-    editorState.paywall = { enabled: false, priceXmr: 0, paymentAddress: '' };
+    editorState.draftSavedAt = null;
+    editorState.paywall = { enabled: false, priceXmr: 0, paymentAddress: '', accessDays: null };
+    resetCollaboration();
     editorState.dirty = false;
 }
 
+function resetCollaboration() {
+    editorState.collaborators = [];
+    editorState.sharedWith = [];
+    editorState.sharedDraft = null;
+    editorState.revisions = [];
+    reviewingRevisionId = null;
+}
+
 // ==================== PUBLISH / SAVE HANDLERS ====================
 
 // Persist current form to a kind 30024 draft.
@@ -341,6 +395,9 @@ export async function saveDraft() {
         return null;
     }
     syncStateFromForm();
+    if (editorState.mode === 'editing-shared') {
+        return proposeCurrentRevision();
+    }
     if (!editorState.identifier) {
         editorState.identifier = Articles.generateSlug(editorState.title);
     }
@@ -355,8 +412,33 @@ export async function saveDraft() {
             body: editorState.body,
         });
         editorState.mode = 'editing-draft';
-        Utils.showNotification?.('Draft saved', 'success');
+        editorState.draftSavedAt = signed.created_at;
+
+        // Co-authors get every saved version; anyone taken off the list gets
+        // their copy withdrawn
+        const removed = editorState.sharedWith.filter(pk => !editorState.collaborators.includes(pk));
+        if (editorState.collaborators.length || removed.length) {
+            setBusy(true, 'Sharing with co-authors…');
+            const { shared, failed } = await Collab.shareDraft({
+                identifier: editorState.identifier,
+                title: editorState.title,
+                summary: editorState.summary,
+                image: editorState.image,
+                topics: editorState.topics,
+                body: editorState.body,
+                savedAt: signed.created_at,
+            }, editorState.collaborators, removed);
+            editorState.sharedWith = editorState.collaborators.filter(pk => !failed.includes(pk));
+            if (failed.length) {
+                Utils.showNotification?.(`Draft saved, but sharing failed for ${failed.map(personName).join(', ')}`, 'error');
+            } else {
+                Utils.showNotification?.(shared ? `Draft saved and shared with ${shared} co-author${shared === 1 ? '' : 's'}` : 'Draft saved', 'success');
+            }
+        } else {
+            Utils.showNotification?.('Draft saved', 'success');
+        }
         saveScratch();
+        updateCollabControls();
         return signed;
     } catch (e) {
         console.error('[articles-editor] saveDraft failed:', e);
@@ -377,6 +459,10 @@ export async function publishArticle() {
     }
     syncStateFromForm();
 
+    if (editorState.mode === 'editing-shared') {
+        Utils.showNotification?.("Only the draft's owner can publish it. Use Propose revision to send them your changes.", 'error');
+        return null;
+    }
     if (!editorState.title) {
         Utils.showNotification?.('Title is required', 'error');
         return null;
@@ -404,11 +490,13 @@ export async function publishArticle() {
                 topics: editorState.topics,
                 body: editorState.body,
                 publishedAt: editorState.publishedAt,
+                coAuthors: editorState.collaborators,
             });
         }
         editorState.publishedAt = editorState.publishedAt || signed.created_at;
         const publishedIdentifier = editorState.identifier;
         const wasDraft = (editorState.mode === 'editing-draft') || hadPriorDraft();
+        const sharedWith = [...new Set([...editorState.sharedWith, ...editorState.collaborators])];
         Utils.showNotification?.('Article published', 'success');
 
         // If this was previously a kind 30024 draft, request its deletion now
@@ -419,6 +507,10 @@ export async function publishArticle() {
             Articles.deleteDraft(publishedIdentifier).catch(e => {
                 console.warn('[articles-editor] post-publish draft cleanup failed:', e);
             });
+            // The article is public now; co-authors' shared copies go too
+            Collab.unshareDraft(publishedIdentifier, sharedWith).catch(e => {
+                console.warn('[articles-editor] post-publish unshare failed:', e);
+            });
         }
 
         // Reset editor + form to a blank slate so reopening the composer
@@ -450,7 +542,7 @@ function hadPriorDraft() {
 // existing paywall.js scheme, and registers under the addressable coordinate
 // so unlocks survive subsequent edits.
 async function publishWithPaywall() {
-    const { priceXmr, paymentAddress } = editorState.paywall;
+    const { priceXmr, paymentAddress, accessDays } = editorState.paywall;
 
     if (!priceXmr || priceXmr <= 0) {
         throw new Error('Set a price above 0 XMR');
@@ -485,6 +577,7 @@ async function publishWithPaywall() {
         preview: editorState.summary || publicMarkdown.slice(0, 280),
         priceXmr,
         paymentAddress,
+        accessDays,
         existingKey: editorState.mode === 'editing-published'
             ? editorState.paywall.originalDecryptionKey
             : undefined,
@@ -536,16 +629,17 @@ async function publishWithPaywall() {
         paymentAddress: paywallPayload.paymentAddress,
         preview: paywallPayload.preview,
         encryptedContent: paywallPayload.encryptedContent,
+        accessDays: paywallPayload.accessDays,
     });
 
     const template = {
         kind: Articles.ARTICLE_KIND,
         created_at: createdAt,
-        tags: preserveUnmanagedTags(
+        tags: Articles.withCreditTags(preserveUnmanagedTags(
             live.event?.tags,
             [...articleTags, ...paywallTags],
-            [...Articles.MANAGED_ARTICLE_TAGS, 'paywall', 'preview', 'encrypted']
-        ),
+            [...Articles.MANAGED_ARTICLE_TAGS, 'paywall', 'preview', 'encrypted', 'paywall_access']
+        ), State.publicKey, editorState.collaborators),
         content: publicContent,
     };
 
@@ -555,11 +649,14 @@ async function publishWithPaywall() {
     // the addressable coordinate so future edits don't break existing unlocks.
     const Relays = await import('./relays.js');
     const relays = Relays.getWriteRelays?.() || [];
-    const results = await Promise.allSettled(State.pool.publish(relays, signed));
-    const accepted = results.filter(r => r.status === 'fulfilled').length;
-    if (accepted === 0) {
+    // Queued (no relay reachable yet) still registers: the outbox sends it later
+    const result = await PublishOutbox.publishEvent(signed, relays, { label: 'Paywalled article' });
+    if (result.accepted.length === 0 && result.pending.length === 0) {
         throw new Error('No relay accepted the article event');
     }
+    if (result.accepted.length === 0) {
+        Utils.showNotification('Article saved to your outbox. It will be sent as soon as a relay can be reached.', 'info');
+    }
 
     const coord = Articles.articleCoord(State.publicKey, editorState.identifier);
     await Paywall.registerPaywall({
@@ -569,11 +666,350 @@ async function publishWithPaywall() {
         preview: paywallPayload.preview,
         priceXmr: paywallPayload.priceXmr,
         paymentAddress: paywallPayload.paymentAddress,
+        accessDays: paywallPayload.accessDays,
     });
 
     return signed;
 }
 
+// ==================== COLLABORATION ====================
+
+// Nine co-authors plus the owner is as many as a tip can be split between
+// (tip-splits.js MAX_SPLIT_RECIPIENTS)
+const MAX_COLLABORATORS = 9;
+const DIFF_CONTEXT_LINES = 3;
+
+let reviewingRevisionId = null;
+
+function personName(pubkey) {
+    const profile = State.profileCache[pubkey];
+    if (profile?.name || profile?.display_name) return profile.name || profile.display_name;
+    try {
+        const npub = window.NostrTools.nip19.npubEncode(pubkey);
+        return `${npub.slice(0, 12)}…${npub.slice(-4)}`;
+    } catch (_) {
+        return pubkey.slice(0, 12);
+    }
+}
+
+// Look up names we don't have yet, then redraw whatever shows them
+async function fetchNames(pubkeys) {
+    const missing = [...new Set(pubkeys)].filter(pk => !State.profileCache[pk]);
+    if (!missing.length) return;
+    try {
+        const Posts = await import('./posts.js');
+        await Posts.fetchProfiles(missing);
+        updateCollabControls();
+        renderCollabPanel();
+    } catch (e) {
+        console.warn('[articles-editor] fetchNames failed:', e);
+    }
+}
+
+// Header buttons follow the mode: a co-author proposes, only the owner publishes
+function updateCollabControls() {
+    const shared = editorState.mode === 'editing-shared';
+    const saveBtn = $('articleSaveDraftBtn');
+    if (saveBtn) saveBtn.textContent = shared ? 'Propose revision' : 'Save draft';
+    const publishBtn = $('articlePublishBtn');
+    if (publishBtn) publishBtn.style.display = shared ? 'none' : '';
+    const paywallSection = $('articlePaywallSection');
+    if (paywallSection) paywallSection.style.display = shared ? 'none' : '';
+    const heading = document.querySelector('#composeArticlePage .article-editor-title');
+    if (heading) heading.textContent = shared ? `Revising ${personName(editorState.sharedDraft.owner)}'s draft` : 'Write article';
+
+    const shareBtn = $('articleShareBtn');
+    if (shareBtn) {
+        const count = editorState.collaborators.length;
+        const waiting = editorState.revisions.length;
+        shareBtn.textContent = shared
+            ? '👥 Shared draft'
+            : `👥 Co-authors${count ? ` (${count})` : ''}${waiting ? ` · ${waiting} to review` : ''}`;
+    }
+}
+
+// Read who our draft is shared with and decrypt the revisions waiting on it.
+// keepCollaborators: the list in the form was edited (restored from scratch)
+// and wins over the shared one until the next save.
+async function refreshCollaboration({ keepCollaborators = false } = {}) {
+    if (editorState.mode === 'editing-shared') {
+        fetchNames([editorState.sharedDraft.owner, ...editorState.collaborators]);
+        return;
+    }
+    if (editorState.mode !== 'editing-draft' || !editorState.identifier || !State.publicKey) return;
+
+    const identifier = editorState.identifier;
+    const [sharedWith, incoming] = await Promise.all([
+        Collab.getSharedDraftCollaborators(identifier),
+        Collab.queryCollaborationEvents(),
+    ]);
+    if (editorState.identifier !== identifier) return; // Another draft was opened meanwhile
+    editorState.sharedWith = sharedWith;
+    if (!keepCollaborators) editorState.collaborators = [...sharedWith];
+
+    const handled = Collab.loadHandledRevisions();
+    const revisions = [];
+    for (const event of incoming.revisions) {
+        if (handled.has(event.id) || !editorState.collaborators.includes(event.pubkey)) continue;
+        if (!(await Collab.isRevisionOf(event, identifier))) continue;
+        try {
+            revisions.push(await Collab.openRevision(event));
+        } catch (e) {
+            console.warn('[articles-editor] could not open revision', event.id, e);
+        }
+    }
+    if (editorState.identifier !== identifier) return;
+    editorState.revisions = revisions.sort((a, b) => b.proposedAt - a.proposedAt);
+
+    updateCollabControls();
+    renderCollabPanel();
+    fetchNames([...editorState.collaborators, ...revisions.map(r => r.author)]);
+}
+
+// Save, for a co-author: send our version to the owner
+async function proposeCurrentRevision() {
+    const note = $('articleRevisionNote')?.value.trim() || '';
+    setBusy(true, 'Sending revision…');
+    try {
+        const signed = await Collab.proposeRevision(editorState.sharedDraft, {
+            title: editorState.title,
+            summary: editorState.summary,
+            image: editorState.image,
+            topics: editorState.topics,
+            body: editorState.body,
+        }, note);
+        saveScratch();
+        Utils.showNotification?.(`Revision sent to ${personName(editorState.sharedDraft.owner)}`, 'success');
+        return signed;
+    } catch (e) {
+        console.error('[articles-editor] proposeRevision failed:', e);
+        Utils.showNotification?.(`Could not send revision: ${e?.message || e}`, 'error');
+        return null;
+    } finally {
+        setBusy(false);
+    }
+}
+
+function addCollaborator() {
+    const input = $('articleCollabInput');
+    const value = input?.value.trim() || '';
+    if (!value) return;
+
+    let pubkey = null;
+    try {
+        if (/^[0-9a-f]{64}$/i.test(value)) {
+            pubkey = value.toLowerCase();
+        } else {
+            const decoded = window.NostrTools.nip19.decode(value.replace(/^nostr:/, ''));
+            if (decoded.type === 'npub') pubkey = decoded.data;
+            if (decoded.type === 'nprofile') pubkey = decoded.data.pubkey;
+        }
+    } catch (_) {}
+
+    if (!pubkey) {
+        Utils.showNotification?.('Enter an npub or hex pubkey', 'error');
+        return;
+    }
+    if (pubkey === State.publicKey) {
+        Utils.showNotification?.("That's you — you're this draft's owner", 'error');
+        return;
+    }
+    if (!editorState.collaborators.includes(pubkey)) {
+        if (editorState.collaborators.length >= MAX_COLLABORATORS) {
+            Utils.showNotification?.(`A draft can have up to ${MAX_COLLABORATORS} co-authors`, 'error');
+            return;
+        }
+        editorState.collaborators = [...editorState.collaborators, pubkey];
+        markDirty();
+    }
+    input.value = '';
+    updateCollabControls();
+    renderCollabPanel();
+    fetchNames([pubkey]);
+}
+
+function removeCollaborator(pubkey) {
+    editorState.collaborators = editorState.collaborators.filter(pk => pk !== pubkey);
+    markDirty();
+    updateCollabControls();
+    renderCollabPanel();
+}
+
+// Diff lines as HTML; long unchanged stretches fold to a one-line marker
+function renderDiffLines(lines) {
+    const near = (i) => lines
+        .slice(Math.max(0, i - DIFF_CONTEXT_LINES), i + DIFF_CONTEXT_LINES + 1)
+        .some(line => line.type !== 'same');
+    const out = [];
+    let folded = 0;
+    const flushFold = () => {
+        if (!folded) return;
+        out.push(`<div class="article-diff-fold">⋯ ${folded} unchanged line${folded === 1 ? '' : 's'}</div>`);
+        folded = 0;
+    };
+    lines.forEach((line, i) => {
+        if (!near(i)) {
+            folded++;
+            return;
+        }
+        flushFold();
+        const sign = line.type === 'add' ? '+' : line.type === 'del' ? '−' : ' ';
+        out.push(`<div class="article-diff-line article-diff-${line.type}"><span class="article-diff-sign">${sign}</span>${escapeAttr(line.text)}</div>`);
+    });
+    flushFold();
+    return out.join('');
+}
+
+// What merging a revision would change, compared with the form as it is now
+function renderRevisionReview(revision) {
+    syncStateFromForm();
+    const fields = [
+        ['Title', editorState.title, revision.title],
+        ['Summary', editorState.summary, revision.summary],
+        ['Topics', editorState.topics.map(t => `#${t}`).join(' '), revision.topics.map(t => `#${t}`).join(' ')],
+        ['Cover', editorState.image, revision.image],
+    ].filter(([, before, after]) => before !== after);
+    const bodyChanged = editorState.body !== revision.body;
+    // Made from an older save than the one we have: our later edits show as removed
+    const stale = revision.baseSavedAt && editorState.draftSavedAt && revision.baseSavedAt < editorState.draftSavedAt;
+
+    return `
+        <div class="article-revision-review">
+            ${stale ? '<p class="article-collab-warning">This revision was made from an earlier save of the draft. Changes you made since show as removed, and merging replaces them with this version.</p>' : ''}
+            ${fields.map(([label, before, after]) => `
+                <div class="article-diff-field">
+                    <span class="article-diff-field-label">${label}</span>
+                    <del>${escapeAttr(before) || '—'}</del>
+                    <ins>${escapeAttr(after) || '—'}</ins>
+                </div>
+            `).join('')}
+            ${bodyChanged
+                ? `<div class="article-diff">${renderDiffLines(Collab.diffLines(editorState.body, revision.body))}</div>`
+                : '<p class="article-collab-hint">The body is unchanged.</p>'}
+            <div class="article-revision-actions">
+                <button class="btn-primary" type="button" data-action="merge-revision" data-revision-id="${escapeAttr(revision.eventId)}">Merge</button>
+                <button class="btn-secondary" type="button" data-action="dismiss-revision" data-revision-id="${escapeAttr(revision.eventId)}">Dismiss</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderOwnerPanel() {
+    const pendingShare = editorState.collaborators.length !== editorState.sharedWith.length
+        || editorState.collaborators.some(pk => !editorState.sharedWith.includes(pk));
+    const collaboratorsHtml = editorState.collaborators.length
+        ? `<ul class="article-collab-list">${editorState.collaborators.map(pk => `
+            <li>
+                <span title="${escapeAttr(pk)}">${escapeAttr(personName(pk))}</span>
+                ${editorState.sharedWith.includes(pk) ? '' : '<span class="article-collab-tag">not shared yet</span>'}
+                <button class="article-collab-remove" type="button" data-action="remove-collaborator" data-pubkey="${escapeAttr(pk)}">Remove</button>
+            </li>
+        `).join('')}</ul>`
+        : '';
+    const revisionsHtml = editorState.revisions.length
+        ? editorState.revisions.map(r => `
+            <div class="article-revision${r.eventId === reviewingRevisionId ? ' article-revision--open' : ''}">
+                <div class="article-revision-head">
+                    <strong>${escapeAttr(personName(r.author))}</strong>
+                    <span class="article-draft-meta">${escapeAttr(new Date(r.proposedAt * 1000).toLocaleString())}</span>
+                    <button class="btn-secondary" type="button" data-action="review-revision" data-revision-id="${escapeAttr(r.eventId)}">${r.eventId === reviewingRevisionId ? 'Hide changes' : 'Review changes'}</button>
+                </div>
+                ${r.note ? `<div class="article-revision-note">${escapeAttr(r.note)}</div>` : ''}
+                ${r.eventId === reviewingRevisionId ? renderRevisionReview(r) : ''}
+            </div>
+        `).join('')
+        : '<p class="article-collab-hint">No revisions waiting.</p>';
+
+    return `
+        <div class="article-collab-section">
+            <div class="article-collab-heading">Co-authors</div>
+            <p class="article-collab-hint">Every time you save, the draft is sent to your co-authors encrypted to each of them (NIP-44). They can send you revisions to review here. Publishing credits them with <code>p</code> tags and an equal tip split.</p>
+            ${collaboratorsHtml}
+            <div class="article-collab-add">
+                <input id="articleCollabInput" type="text" placeholder="npub1… or hex pubkey" />
+                <button class="btn-secondary" type="button" data-action="add-collaborator">Add</button>
+            </div>
+            ${pendingShare ? '<p class="article-collab-hint">Save the draft to apply changes to this list.</p>' : ''}
+        </div>
+        <div class="article-collab-section">
+            <div class="article-collab-heading">Revisions</div>
+            ${revisionsHtml}
+        </div>
+    `;
+}
+
+function renderCoAuthorPanel() {
+    const shared = editorState.sharedDraft;
+    const owner = escapeAttr(personName(shared.owner));
+    const others = shared.collaborators.filter(pk => pk !== State.publicKey);
+    return `
+        <div class="article-collab-section">
+            <div class="article-collab-heading">Shared by ${owner}</div>
+            <p class="article-collab-hint">You're editing a copy of ${owner}'s draft as of ${escapeAttr(new Date(shared.savedAt * 1000).toLocaleString())}. Propose revision sends your version to ${owner}, encrypted; they see what you changed and decide whether to merge it. Open the draft again from 📁 Drafts to get their latest save.</p>
+            ${others.length ? `<p class="article-collab-hint">Also shared with ${others.map(pk => escapeAttr(personName(pk))).join(', ')}.</p>` : ''}
+            <label class="article-collab-note">
+                <span>Note for ${owner}</span>
+                <input id="articleRevisionNote" type="text" maxlength="500" placeholder="What did you change?" />
+            </label>
+        </div>
+    `;
+}
+
+function renderCollabPanel() {
+    const panel = $('articleCollabPanel');
+    if (!panel || panel.style.display === 'none') return;
+
+    // Redraws happen on every form sync; keep whatever is being typed
+    const typed = {};
+    for (const id of ['articleCollabInput', 'articleRevisionNote']) {
+        const el = $(id);
+        if (el) typed[id] = el.value;
+    }
+    panel.innerHTML = editorState.mode === 'editing-shared' ? renderCoAuthorPanel() : renderOwnerPanel();
+    for (const [id, value] of Object.entries(typed)) {
+        const el = $(id);
+        if (el) el.value = value;
+    }
+}
+
+function handleCollabAction(ev) {
+    const btn = ev.target.closest('[data-action]');
+    if (!btn) return;
+    const action = btn.dataset.action;
+    const revision = editorState.revisions.find(r => r.eventId === btn.dataset.revisionId);
+
+    if (action === 'add-collaborator') {
+        addCollaborator();
+    } else if (action === 'remove-collaborator') {
+        removeCollaborator(btn.dataset.pubkey);
+    } else if (action === 'review-revision') {
+        reviewingRevisionId = reviewingRevisionId === btn.dataset.revisionId ? null : btn.dataset.revisionId;
+        renderCollabPanel();
+    } else if (action === 'merge-revision' && revision) {
+        syncStateFromForm();
+        editorState.title = revision.title;
+        editorState.summary = revision.summary;
+        editorState.image = revision.image;
+        editorState.topics = [...revision.topics];
+        editorState.body = revision.body;
+        finishRevision(revision);
+        syncFormFromState();
+        markDirty();
+        saveScratch();
+        Utils.showNotification?.(`Merged ${personName(revision.author)}'s revision. Save the draft to share it, or publish.`, 'success');
+    } else if (action === 'dismiss-revision' && revision) {
+        finishRevision(revision);
+        updateCollabControls();
+        renderCollabPanel();
+    }
+}
+
+function finishRevision(revision) {
+    Collab.markRevisionHandled(revision.eventId);
+    editorState.revisions = editorState.revisions.filter(r => r.eventId !== revision.eventId);
+    reviewingRevisionId = null;
+}
+
 // ==================== COVER IMAGE ====================
 
 // Called from the Upload cover button. Reuses the existing IPFS-pins upload
@@ -633,6 +1069,7 @@ export function openComposer({ draftEvent = null, restoreScratch = true } = {})
     }
 
     let needsPaywallHydration = null;
+    let keepCollaborators = false;
     if (draftEvent) {
         loadFromEvent(draftEvent);
         // Paywalled article being edited: stash a "loading" placeholder so
@@ -664,8 +1101,17 @@ export function openComposer({ draftEvent = null, restoreScratch = true } = {})
                     topics: scratch.topics || [],
                     body: scratch.body || '',
                     publishedAt: scratch.publishedAt || null,
-                    paywall: scratch.paywall || { enabled: false, priceXmr: 0, paymentAddress: '' },
+                    draftSavedAt: scratch.draftSavedAt || null,
+                    collaborators: scratch.collaborators || [],
+                    sharedDraft: scratch.sharedDraft || null,
+                    paywall: scratch.paywall || { enabled: false, priceXmr: 0, paymentAddress: '', accessDays: null },
                 });
+                // A shared draft restores only with the snapshot it came from
+                if (editorState.mode === 'editing-shared' && !editorState.sharedDraft) {
+                    editorState.mode = 'new';
+                    editorState.identifier = null;
+                }
+                keepCollaborators = true;
             } else if (scratch && scratch.mode === 'editing-published') {
                 // Stale publish-mode scratch — clear it so it doesn't keep
                 // tripping us on every open.
@@ -682,6 +1128,9 @@ export function openComposer({ draftEvent = null, restoreScratch = true } = {})
     if (needsPaywallHydration) {
         hydratePaywalledBodyForEdit(needsPaywallHydration);
     }
+    // Co-author list and waiting revisions live on relays; an edit to the
+    // list restored from scratch is kept over what was last shared
+    refreshCollaboration({ keepCollaborators }).catch(e => console.warn('[articles-editor] collaboration refresh failed:', e));
 }
 
 // If the user has a default Monero address configured in Settings (kind 0
@@ -746,6 +1195,24 @@ function bindEvents() {
     const publishBtn = $('articlePublishBtn');
     if (publishBtn) publishBtn.addEventListener('click', () => publishArticle());
 
+    const shareBtn = $('articleShareBtn');
+    const collabPanel = $('articleCollabPanel');
+    if (shareBtn && collabPanel) {
+        shareBtn.addEventListener('click', () => {
+            const isOpen = collabPanel.style.display !== 'none';
+            collabPanel.style.display = isOpen ? 'none' : 'block';
+            shareBtn.setAttribute('aria-expanded', String(!isOpen));
+            renderCollabPanel();
+        });
+        collabPanel.addEventListener('click', handleCollabAction);
+        collabPanel.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Enter' && ev.target.id === 'articleCollabInput') {
+                ev.preventDefault();
+                addCollaborator();
+            }
+        });
+    }
+
     const clearBtn = $('articleClearBtn');
     if (clearBtn) clearBtn.addEventListener('click', () => {
         const hasContent = editorState.title || editorState.body || editorState.summary;
@@ -867,7 +1334,7 @@ function bindEvents() {
     });
 
     // Mark dirty on any input change so autosave knows when to write.
-    for (const id of ['articleTitle', 'articleSummary', 'articleTopics', 'articleBody', 'articlePaywallPrice', 'articlePaywallAddress']) {
+    for (const id of ['articleTitle', 'articleSummary', 'articleTopics', 'articleBody', 'articlePaywallPrice', 'articlePaywallAddress', 'articlePaywallAccess']) {
         const el = $(id);
         if (el) el.addEventListener('input', markDirty);
     }
@@ -986,7 +1453,13 @@ export async function refreshDraftsList() {
     if (!list) return;
     list.innerHTML = '<div class="article-drafts-loading">Loading drafts…</div>';
     try {
-        const rawDrafts = await Articles.queryDrafts();
+        const [rawDrafts, incoming] = await Promise.all([
+            Articles.queryDrafts(),
+            Collab.queryCollaborationEvents().catch(e => {
+                console.warn('[articles-editor] shared drafts query failed:', e);
+                return { shared: [], revisions: [] };
+            }),
+        ]);
         // Hide anything the user has discarded locally — relays may have
         // ignored our kind-5 deletion request and kept serving the event.
         const discarded = loadDiscardedDrafts();
@@ -994,21 +1467,45 @@ export async function refreshDraftsList() {
             const meta = Articles.parseArticleMetadata(d);
             return !discarded.has(meta.identifier);
         });
-        if (!drafts.length) {
+
+        // Revisions waiting on each of our drafts (counted without decrypting),
+        // and drafts other people shared with us
+        const handled = Collab.loadHandledRevisions();
+        const waiting = incoming.revisions.filter(e => !handled.has(e.id));
+        const revisionCounts = new Map(await Promise.all(drafts.map(async d => {
+            const identifier = Articles.parseArticleMetadata(d).identifier;
+            const matches = await Promise.all(waiting.map(e => Collab.isRevisionOf(e, identifier)));
+            return [d.id, matches.filter(Boolean).length];
+        })));
+        const shared = (await Promise.all(incoming.shared.map(e => Collab.openSharedDraft(e).catch(err => {
+            console.warn('[articles-editor] could not open shared draft', e.id, err);
+            return null;
+        })))).filter(Boolean).sort((a, b) => b.savedAt - a.savedAt);
+
+        if (!drafts.length && !shared.length) {
             list.innerHTML = '<div class="article-drafts-empty">No drafts yet.</div>';
             return;
         }
         list.innerHTML = drafts.map(d => {
             const meta = Articles.parseArticleMetadata(d);
             const when = new Date(d.created_at * 1000).toLocaleString();
+            const revisions = revisionCounts.get(d.id) || 0;
             return `
                 <div class="article-draft-item" data-action="load-draft" data-draft-id="${escapeAttr(d.id)}">
                     <div class="article-draft-title">${escapeAttr(meta.title || 'Untitled')}</div>
-                    <div class="article-draft-meta">${escapeAttr(when)}</div>
+                    <div class="article-draft-meta">${escapeAttr(when)}${revisions ? ` · <span class="article-draft-badge">${revisions} revision${revisions === 1 ? '' : 's'} to review</span>` : ''}</div>
                     <button class="article-draft-discard" data-action="discard-draft" data-draft-d="${escapeAttr(meta.identifier)}">Discard</button>
                 </div>
             `;
-        }).join('');
+        }).join('') + (shared.length ? `
+            <div class="article-drafts-menu-heading">Shared with you</div>
+            ${shared.map(sh => `
+                <div class="article-draft-item" data-action="load-shared" data-shared-id="${escapeAttr(sh.eventId)}">
+                    <div class="article-draft-title">${escapeAttr(sh.title || 'Untitled')}</div>
+                    <div class="article-draft-meta">${escapeAttr(personName(sh.owner))} · ${escapeAttr(new Date(sh.savedAt * 1000).toLocaleString())}</div>
+                </div>
+            `).join('')}
+        ` : '');
 
         list.addEventListener('click', (ev) => {
             const discardBtn = ev.target.closest('[data-action="discard-draft"]');
@@ -1024,6 +1521,10 @@ export async function refreshDraftsList() {
                 const row = discardBtn.closest('.article-draft-item');
                 if (row) row.remove();
                 markDraftDiscarded(d);
+                // Co-authors lose their copy along with ours
+                Collab.getSharedDraftCollaborators(d)
+                    .then(pks => Collab.unshareDraft(d, pks))
+                    .catch(e => console.warn('[articles-editor] unshare of discarded draft failed:', e));
                 // If list is now empty, show the empty message.
                 if (!list.querySelector('.article-draft-item')) {
                     list.innerHTML = '<div class="article-drafts-empty">No drafts yet.</div>';
@@ -1035,6 +1536,21 @@ export async function refreshDraftsList() {
                 });
                 return;
             }
+            const sharedItem = ev.target.closest('[data-action="load-shared"]');
+            if (sharedItem) {
+                const sh = shared.find(x => x.eventId === sharedItem.dataset.sharedId);
+                if (sh) {
+                    loadSharedDraft(sh);
+                    syncFormFromState();
+                    saveScratch();
+                    refreshCollaboration().catch(e => console.warn('[articles-editor] collaboration refresh failed:', e));
+                    const menu = $('articleDraftsMenu');
+                    const btn = $('articleDraftsBtn');
+                    if (menu) menu.style.display = 'none';
+                    if (btn) btn.setAttribute('aria-expanded', 'false');
+                }
+                return;
+            }
             const item = ev.target.closest('[data-action="load-draft"]');
             if (item) {
                 const id = item.dataset.draftId;
@@ -1042,6 +1558,7 @@ export async function refreshDraftsList() {
                 if (draft) {
                     loadFromEvent(draft);
                     syncFormFromState();
+                    refreshCollaboration().catch(e => console.warn('[articles-editor] collaboration refresh failed:', e));
                     // Close the drafts dropdown after loading.
                     const menu = $('articleDraftsMenu');
                     const btn = $('articleDraftsBtn');
@@ -28,6 +28,8 @@ import * as State from './state.js';
 import * as Utils from './utils.js';
 import * as Relays from './relays.js';
 import * as Lists from './lists.js';
+import * as TipSplits from './tip-splits.js';
+import * as PublishOutbox from './publish-outbox.js';
 
 export const ARTICLE_KIND = 30023;
 export const DRAFT_KIND = 30024;
@@ -388,6 +390,9 @@ export function renderArticleReader(event) {
                             data-article-pubkey="${escapeAttr(event.pubkey)}"
                             data-article-d="${escapeAttr(meta.identifier)}">${isBookmarked ? '★ Bookmarked' : '☆ Bookmark'}</button>
                     ${naddr ? `<button class="article-action-btn" data-action="copy-naddr" data-naddr="${escapeAttr(naddr)}">Copy link</button>` : ''}
+                    ${event.pubkey !== State.publicKey ? `<button class="article-action-btn" data-action="tip-article"
+                            data-article-pubkey="${escapeAttr(event.pubkey)}"
+                            data-article-d="${escapeAttr(meta.identifier)}">💰 Tip</button>` : ''}
                     ${event.pubkey === State.publicKey ? `<button class="article-action-btn" data-action="edit-article"
                             data-article-pubkey="${escapeAttr(event.pubkey)}"
                             data-article-d="${escapeAttr(meta.identifier)}">✏️ Edit</button>` : ''}
@@ -528,6 +533,20 @@ export function wireArticleHandlers(container) {
             return;
         }
 
+        const tipBtn = ev.target.closest('[data-action="tip-article"]');
+        if (tipBtn) {
+            ev.preventDefault();
+            ev.stopPropagation();
+            ev.stopImmediatePropagation();
+            const cached = getCachedArticle(tipBtn.dataset.articlePubkey, tipBtn.dataset.articleD);
+            if (!cached) {
+                Utils.showNotification?.('Article not loaded yet — try again in a moment', 'error');
+                return;
+            }
+            await tipArticle(cached);
+            return;
+        }
+
         const editBtn = ev.target.closest('[data-action="edit-article"]');
         if (editBtn) {
             ev.preventDefault();
@@ -638,6 +657,28 @@ function toggleArticleBookmark({ pubkey, identifier, button }) {
     });
 }
 
+// Open the XMR tip modal for an article. The article isn't in the note
+// cache, so hand it to tip-splits.js for the modal to read its zap tags;
+// an author without an address can still be tipped through those splits.
+async function tipArticle(event) {
+    let address = null;
+    try {
+        address = await window.getUserMoneroAddress?.(event.pubkey);
+    } catch (e) {
+        console.warn('[articles] monero address lookup failed:', e);
+    }
+
+    if (!address && TipSplits.parseZapSplits(event).length === 0) {
+        Utils.showNotification?.('This author has no Monero address', 'error');
+        return;
+    }
+
+    TipSplits.rememberTippableEvent(event);
+    const profile = State.profileCache[event.pubkey];
+    const name = profile?.name || profile?.display_name || 'this author';
+    window.openZapModal?.(event.id, name, address || '', 'choose', null, event.pubkey);
+}
+
 // ==================== FEED LOADER ====================
 
 // "Write an Article" CTA — only shown to logged-in users; clicking opens the
@@ -775,6 +816,23 @@ function buildArticleTags({ identifier, title, summary, image, topics, published
 // labels, a `r` source link — was put there by whoever wrote it and has to survive an edit.
 export const MANAGED_ARTICLE_TAGS = ['d', 'title', 'summary', 'image', 'published_at', 't', 'client'];
 
+// Credit for a collaborative article: a `p` tag per co-author and NIP-57
+// `zap` split tags sharing tips equally between the owner and co-authors
+// (tip-splits.js reads the same tags for Monero tips). Without co-authors
+// the tags are left alone, so splits set up elsewhere survive an edit.
+export function withCreditTags(tags, ownerPubkey, coAuthors = []) {
+    if (!coAuthors.length) return tags;
+    const credited = tags.filter(t => t[0] !== 'zap');
+    const tagged = new Set(credited.filter(t => t[0] === 'p').map(t => t[1]));
+    for (const pk of coAuthors) {
+        if (!tagged.has(pk)) credited.push(['p', pk]);
+    }
+    for (const pk of [ownerPubkey, ...coAuthors]) {
+        credited.push(['zap', pk, '', '1']);
+    }
+    return credited;
+}
+
 /**
  * Read the live version of an addressable event before replacing it.
  *
@@ -796,25 +854,22 @@ async function fetchLiveAddressable(kind, identifier) {
     });
 }
 
-// Internal: sign + publish to write relays, awaiting all relays so silent
-// rejections surface. Throws if zero relays accept.
+// Internal: sign + publish to write relays through the publish outbox, so
+// relays that are down get it later and rejections surface. Throws if every
+// relay refused it; an article no relay could be reached for stays queued.
 async function signAndPublish(template) {
     const signed = await Utils.signEvent(template);
     const relays = Relays.getWriteRelays?.() || [];
     if (!relays.length) throw new Error('No write relays configured');
-    const pubPromises = State.pool.publish(relays, signed);
-    const results = await Promise.allSettled(pubPromises);
-    const accepted = results.filter(r => r.status === 'fulfilled').length;
-    const rejected = results.length - accepted;
-    if (rejected > 0) {
-        results.forEach((r, i) => {
-            if (r.status === 'rejected') {
-                console.warn(`[articles] relay ${relays[i]} rejected:`, r.reason?.message || r.reason);
-            }
-        });
+    const result = await PublishOutbox.publishEvent(signed, relays, { label: 'Article' });
+    result.rejected.forEach(({ url, reason }) => {
+        console.warn(`[articles] relay ${url} rejected:`, reason);
+    });
+    if (result.accepted.length === 0 && result.pending.length === 0) {
+        throw new Error(`No relay accepted the article event (${result.rejected.length} rejections)`);
     }
-    if (accepted === 0) {
-        throw new Error(`No relay accepted the article event (${rejected} rejections)`);
+    if (result.accepted.length === 0) {
+        Utils.showNotification('Article saved to your outbox. It will be sent as soon as a relay can be reached.', 'info');
     }
     return signed;
 }
@@ -824,6 +879,7 @@ async function signAndPublish(template) {
 //   title, summary, image, topics, body: NIP-23 fields.
 //   publishedAt: unix seconds — pass the original published_at on edits so
 //     it stays stable; pass null for first publish (we set it to created_at).
+//   coAuthors: pubkeys credited with p and zap split tags (withCreditTags).
 export async function publishArticle({
     identifier,
     title,
@@ -832,6 +888,7 @@ export async function publishArticle({
     topics = [],
     body = '',
     publishedAt = null,
+    coAuthors = [],
 }) {
     if (!State.publicKey) throw new Error('Must be logged in to publish');
     if (!body || !body.trim()) throw new Error('Article body is required');
@@ -855,11 +912,11 @@ export async function publishArticle({
         // Strictly newer than the version being replaced, so an edit made in the same second
         // as the original cannot lose the id tie and silently not take.
         created_at: nextCreatedAt(live.event?.created_at),
-        tags: preserveUnmanagedTags(
+        tags: withCreditTags(preserveUnmanagedTags(
             live.event?.tags,
             buildArticleTags({ identifier: slug, title, summary, image, topics, publishedAt: pubAt }),
             MANAGED_ARTICLE_TAGS
-        ),
+        ), State.publicKey, coAuthors),
         content: body,
     };
 
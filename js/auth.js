@@ -117,6 +117,9 @@ function clearUserSettings() {
     localStorage.removeItem('repostedPosts');
     localStorage.removeItem('followingUsers');
 
+    // Clear saved searches (they belong to the account, see nosmero:saved-searches)
+    localStorage.removeItem('savedSearches');
+
     // Clear cached profile and feed data
     localStorage.removeItem('profileCache');
     localStorage.removeItem('homeFeedCache');
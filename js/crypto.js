@@ -296,25 +296,63 @@ export function wrapGiftMessageWithRecipient(content, senderPrivateKey, wrapReci
     }
 }
 
-// Unwrap a NIP-17 gift-wrapped message
-export function unwrapGiftMessage(wrappedEvent, recipientPrivateKey) {
+// Gift-wrap one NIP-17 group chat message for every member of the room plus a
+// copy for the sender. Every wrap carries the same rumor (same id, p tags and
+// subject), which is what identifies the room and de-duplicates the message.
+// Returns [senderCopy, ...one wrap per member]
+export function wrapGroupMessage(content, senderPrivateKey, memberPubkeys, subject = null) {
     try {
-        const { nip17 } = window.NostrTools;
+        const { nip59 } = window.NostrTools;
 
-        // unwrapEvent returns the original message
-        const unwrapped = nip17.unwrapEvent(wrappedEvent, recipientPrivateKey);
-        return unwrapped;
+        const rumor = {
+            kind: 14,
+            created_at: Math.floor(Date.now() / 1000),
+            tags: memberPubkeys.map(pubkey => ['p', pubkey]),
+            content: content
+        };
+        if (subject) {
+            rumor.tags.push(['subject', subject]);
+        }
+
+        return nip59.wrapManyEvents(rumor, senderPrivateKey, memberPubkeys);
     } catch (error) {
-        // Silently fail - this is expected when message isn't for us
+        console.error('Failed to wrap group message:', error);
         throw error;
     }
 }
 
-// Unwrap many NIP-17 gift-wrapped messages
+// Open one layer of a NIP-59 gift wrap (wrap -> seal, seal -> rumor)
+function openGiftLayer(event, recipientPrivateKey) {
+    const { nip44 } = window.NostrTools;
+    const conversationKey = nip44.getConversationKey(recipientPrivateKey, event.pubkey);
+    return JSON.parse(nip44.decrypt(event.content, conversationKey));
+}
+
+// Unwrap a NIP-17 gift-wrapped message. The rumor inside is unsigned, so its
+// pubkey is only trusted when it matches the key that signed the seal -
+// otherwise anyone could wrap a message that claims to be from someone else.
+// Throws when the wrap isn't for us or doesn't hold a valid seal.
+export function unwrapGiftMessage(wrappedEvent, recipientPrivateKey) {
+    const { verifyEvent } = window.NostrTools;
+
+    const seal = openGiftLayer(wrappedEvent, recipientPrivateKey);
+    if (seal.kind !== 13 || !verifyEvent(seal)) {
+        throw new Error('Gift wrap does not contain a valid seal');
+    }
+
+    const rumor = openGiftLayer(seal, recipientPrivateKey);
+    if (rumor.pubkey !== seal.pubkey) {
+        throw new Error('Rumor author does not match seal signer');
+    }
+    return rumor;
+}
+
+// Unwrap many NIP-17 gift-wrapped messages, oldest first
 export function unwrapManyGiftMessages(wrappedEvents, recipientPrivateKey) {
     try {
-        const { nip17 } = window.NostrTools;
-        return nip17.unwrapManyEvents(wrappedEvents, recipientPrivateKey);
+        return wrappedEvents
+            .map(event => unwrapGiftMessage(event, recipientPrivateKey))
+            .sort((a, b) => a.created_at - b.created_at);
     } catch (error) {
         console.error('Failed to unwrap multiple gift messages:', error);
         throw error;
@@ -14,13 +14,16 @@
 import { isNewerVersion } from './replaceable.js';
 
 const DB_NAME = 'nosmero-cache';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 
 const STORES = {
     FOLLOWS: 'follows',     // User's follow list keyed by owner pubkey
     PROFILES: 'profiles',   // Profile metadata (kind 0) keyed by pubkey
     EVENTS: 'events',       // Feed events (kind 1, 6) keyed by event id
-    META: 'meta'            // Per-user cache metadata
+    META: 'meta',           // Per-user cache metadata
+    TIP_VERIFICATIONS: 'tip_verifications', // API checks of kind 9736 disclosures keyed by event id
+    RELAY_HEALTH: 'relay_health', // Latency/error history and NIP-11 info keyed by relay url
+    PUBLISH_OUTBOX: 'publish_outbox' // Signed events being published, with per-relay acks, keyed by event id
 };
 
 const MAX_TOTAL_EVENTS = 10000;
@@ -59,6 +62,18 @@ function openDB() {
             if (!database.objectStoreNames.contains(STORES.META)) {
                 database.createObjectStore(STORES.META, { keyPath: 'owner_pubkey' });
             }
+
+            if (!database.objectStoreNames.contains(STORES.TIP_VERIFICATIONS)) {
+                database.createObjectStore(STORES.TIP_VERIFICATIONS, { keyPath: 'event_id' });
+            }
+
+            if (!database.objectStoreNames.contains(STORES.RELAY_HEALTH)) {
+                database.createObjectStore(STORES.RELAY_HEALTH, { keyPath: 'url' });
+            }
+
+            if (!database.objectStoreNames.contains(STORES.PUBLISH_OUTBOX)) {
+                database.createObjectStore(STORES.PUBLISH_OUTBOX, { keyPath: 'id' });
+            }
         };
     });
 }
@@ -332,6 +347,182 @@ export async function pruneOldEventsIfNeeded() {
     }
 }
 
+// ==================== TIP VERIFICATIONS ====================
+
+/**
+ * Bulk-read cached verification results for kind 9736 disclosures.
+ * @param {string[]} eventIds
+ * @returns {Promise<Object>} Map of event id -> {event_id, txid, status, confirmations, ..., checked_at}
+ */
+export async function getCachedTipVerifications(eventIds) {
+    if (!Array.isArray(eventIds) || eventIds.length === 0) return {};
+    try {
+        const db = await initCacheDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.TIP_VERIFICATIONS, 'readonly');
+            const store = tx.objectStore(STORES.TIP_VERIFICATIONS);
+            const result = {};
+            let pending = eventIds.length;
+
+            for (const eventId of eventIds) {
+                const req = store.get(eventId);
+                req.onsuccess = () => {
+                    if (req.result) result[eventId] = req.result;
+                    if (--pending === 0) resolve(result);
+                };
+                req.onerror = () => {
+                    if (--pending === 0) resolve(result);
+                };
+            }
+
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (e) {
+        console.warn('[FeedCache] getCachedTipVerifications failed:', e);
+        return {};
+    }
+}
+
+/**
+ * Bulk-save verification results. Each entry needs an event_id; checked_at is stamped here.
+ * @param {Array} records
+ * @returns {Promise<number>} Number of records written
+ */
+export async function saveCachedTipVerifications(records) {
+    if (!Array.isArray(records) || records.length === 0) return 0;
+    try {
+        const db = await initCacheDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.TIP_VERIFICATIONS, 'readwrite');
+            const store = tx.objectStore(STORES.TIP_VERIFICATIONS);
+            const now = Date.now();
+            let written = 0;
+            for (const record of records) {
+                if (!record || !record.event_id) continue;
+                store.put({ ...record, checked_at: now });
+                written++;
+            }
+            tx.oncomplete = () => resolve(written);
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (e) {
+        console.warn('[FeedCache] saveCachedTipVerifications failed:', e);
+        return 0;
+    }
+}
+
+// ==================== RELAY HEALTH ====================
+
+/**
+ * Read every stored relay health record.
+ * @returns {Promise<Array>} [{url, samples, nip11, nip11_fetched_at, demoted_until, ...}]
+ */
+export async function getAllRelayHealth() {
+    try {
+        const db = await initCacheDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.RELAY_HEALTH, 'readonly');
+            const req = tx.objectStore(STORES.RELAY_HEALTH).getAll();
+            req.onsuccess = () => resolve(req.result || []);
+            req.onerror = () => reject(req.error);
+        });
+    } catch (e) {
+        console.warn('[FeedCache] getAllRelayHealth failed:', e);
+        return [];
+    }
+}
+
+/**
+ * Bulk-save relay health records (whole records, keyed by url).
+ * @param {Array} records
+ * @returns {Promise<number>} Number of records written
+ */
+export async function saveRelayHealth(records) {
+    if (!Array.isArray(records) || records.length === 0) return 0;
+    try {
+        const db = await initCacheDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.RELAY_HEALTH, 'readwrite');
+            const store = tx.objectStore(STORES.RELAY_HEALTH);
+            let written = 0;
+            for (const record of records) {
+                if (!record || !record.url) continue;
+                store.put(record);
+                written++;
+            }
+            tx.oncomplete = () => resolve(written);
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (e) {
+        console.warn('[FeedCache] saveRelayHealth failed:', e);
+        return 0;
+    }
+}
+
+// ==================== PUBLISH OUTBOX ====================
+
+/**
+ * Read every publish outbox entry.
+ * @returns {Promise<Array>} [{id, event, label, created_at, relays}]
+ */
+export async function getOutboxEntries() {
+    try {
+        const db = await initCacheDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.PUBLISH_OUTBOX, 'readonly');
+            const req = tx.objectStore(STORES.PUBLISH_OUTBOX).getAll();
+            req.onsuccess = () => resolve(req.result || []);
+            req.onerror = () => reject(req.error);
+        });
+    } catch (e) {
+        console.warn('[FeedCache] getOutboxEntries failed:', e);
+        return [];
+    }
+}
+
+/**
+ * Save (insert or replace) a publish outbox entry.
+ * @param {Object} entry - Keyed by event id
+ * @returns {Promise<boolean>} Whether it was written
+ */
+export async function saveOutboxEntry(entry) {
+    if (!entry || !entry.id) return false;
+    try {
+        const db = await initCacheDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.PUBLISH_OUTBOX, 'readwrite');
+            tx.objectStore(STORES.PUBLISH_OUTBOX).put(entry);
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (e) {
+        console.warn('[FeedCache] saveOutboxEntry failed:', e);
+        return false;
+    }
+}
+
+/**
+ * Delete publish outbox entries.
+ * @param {string[]} ids - Event ids
+ * @returns {Promise<number>} Number of deletes issued
+ */
+export async function deleteOutboxEntries(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) return 0;
+    try {
+        const db = await initCacheDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORES.PUBLISH_OUTBOX, 'readwrite');
+            const store = tx.objectStore(STORES.PUBLISH_OUTBOX);
+            ids.forEach(id => store.delete(id));
+            tx.oncomplete = () => resolve(ids.length);
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (e) {
+        console.warn('[FeedCache] deleteOutboxEntries failed:', e);
+        return 0;
+    }
+}
+
 // ==================== META ====================
 
 export async function getCacheMeta(ownerPubkey) {
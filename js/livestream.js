@@ -5,6 +5,7 @@
 import * as State from './state.js';
 import * as Relays from './relays.js';
 import * as Utils from './utils.js';
+import { recordTipProof } from './tip-verification.js';
 
 // Livestream-specific relays (known to have NIP-53 events)
 // NOTE: relay.nostr.band removed Dec 28, 2025 - SSL cert expired Dec 22
@@ -1330,6 +1331,12 @@ export async function sendTip() {
             isAnonymous
         });
 
+        // Named tips go to the API too, so they count on the verified
+        // leaderboards; anonymous ones aren't tied to our pubkey there
+        if (!isAnonymous) {
+            recordTipProof({ txid: result.txHash, txKey: result.txKey, recipientAddress: streamerAddress, amount, recipientPubkey: streamerPubkey });
+        }
+
         // Success!
         statusDiv.textContent = `Tip sent! TX: ${result.txHash.slice(0, 8)}...`;
         statusDiv.className = 'tip-status success';
@@ -1373,6 +1380,14 @@ async function publishStreamTip({ streamerPubkey, streamEventRef, amount, messag
         event.tags.push(['tx_key', txKey]);
     }
 
+    // Name the tipper (capital P) unless anonymous - the tip index keeps
+    // anonymous tips out of the tipper leaderboard
+    if (isAnonymous) {
+        event.tags.push(['anonymous', 'true']);
+    } else if (State.publicKey) {
+        event.tags.push(['P', State.publicKey]);
+    }
+
     // Sign and publish
     const signedEvent = await Utils.signEvent(event);
 
@@ -3,7 +3,7 @@
 // Functions for direct messages, conversations, notifications, and real-time subscriptions
 
 import { showNotification, escapeHtml, parseContent, signEvent, renderLoginRequired } from './utils.js';
-import { encryptMessage, decryptMessage, wrapGiftMessage, wrapGiftMessageWithRecipient, unwrapGiftMessage } from './crypto.js';
+import { encryptMessage, decryptMessage, wrapGiftMessage, wrapGiftMessageWithRecipient, wrapGroupMessage, unwrapGiftMessage } from './crypto.js';
 import * as State from './state.js';
 import * as Relays from './relays.js';
 import * as FollowerBaseline from './follower-baseline.js';
@@ -21,9 +21,22 @@ const {
 
 export let conversations = {};
 export let currentConversation = null;
+// NIP-17 group chats, keyed by room id (see roomIdFor)
+export let rooms = {};
+export let currentRoom = null;
 export let messagesSubscription = null;
 export let notificationType = 'all';
 
+// Gift wraps seen by the current messages subscription, and the oldest one's
+// created_at, for paging further back (loadOlderMessages)
+let giftWrapIds = new Set();
+let oldestGiftWrapAt = null;
+let olderMessagesExhausted = false;
+
+// Saved searches with new matches (see Search.startSavedSearchAlerts), shown
+// alongside the relay notifications
+let searchAlertNotifications = [];
+
 // ==================== TIMEOUT CONSTANTS ====================
 const TIMEOUTS = {
     MESSAGE_PROCESS: 3000,      // Processing single messages
@@ -33,18 +46,116 @@ const TIMEOUTS = {
     PROFILE_FETCH: 12000        // Profile fetching
 };
 
+const DM_LIMIT = 500;           // Per filter on the first load
+const DM_PAGE_SIZE = 200;       // Per filter for each "Load older messages"
+
 // ==================== DEBUG LOGGING ====================
 const DEBUG = localStorage.getItem('debug-messages') === 'true';
 function debugLog(...args) {
     if (DEBUG) console.log('[Messages]', ...args);
 }
 
+// ==================== DM SUBSCRIPTION HELPERS ====================
+
+/**
+ * Per-relay requests for the messages subscription: NIP-04 DMs from our read
+ * relays, NIP-17 gift wraps only from our DM inbox relays (getOwnDmRelays)
+ * @param {Object} [options]
+ * @param {number} [options.until] - Only gift wraps at or before this time (paging)
+ * @returns {Promise<Array<{ url: string, filter: Object }>>}
+ */
+async function getDmSubscriptionRequests({ until = null } = {}) {
+    await Relays.loadDmRelayList();
+
+    const me = State.publicKey;
+    const wrapFilters = until
+        ? [{ kinds: [1059], '#p': [me], until, limit: DM_PAGE_SIZE }, { kinds: [1059], authors: [me], until, limit: DM_PAGE_SIZE }]
+        : [{ kinds: [1059], '#p': [me], limit: DM_LIMIT }, { kinds: [1059], authors: [me], limit: DM_LIMIT }];
+    const dmFilters = until ? [] : [
+        { kinds: [4], authors: [me], limit: DM_LIMIT },  // Sent NIP-04
+        { kinds: [4], '#p': [me], limit: DM_LIMIT }       // Received NIP-04
+    ];
+
+    // Wraps addressed to us carry our p tag on the outside (other clients' messages, and
+    // group chats, where even our own copy is signed by a throwaway key); Nosmero's own
+    // sender copies (wrapGiftMessageWithRecipient) are signed by us
+    return [
+        ...getDmReadRelays().flatMap(url => dmFilters.map(filter => ({ url, filter }))),
+        ...getOwnDmRelays().flatMap(url => wrapFilters.map(filter => ({ url, filter })))
+    ];
+}
+
+function resetGiftWrapPaging() {
+    giftWrapIds = new Set();
+    oldestGiftWrapAt = null;
+    olderMessagesExhausted = false;
+}
+
+// Remember a gift wrap for paging; returns false if it was already seen
+function trackGiftWrap(event) {
+    if (event.kind !== 1059 || giftWrapIds.has(event.id)) return false;
+    giftWrapIds.add(event.id);
+    if (oldestGiftWrapAt === null || event.created_at < oldestGiftWrapAt) {
+        oldestGiftWrapAt = event.created_at;
+    }
+    return true;
+}
+
+/**
+ * Fetch the next page of older gift wraps from our DM inbox relays
+ */
+export async function loadOlderMessages() {
+    if (!State.publicKey || !State.pool || oldestGiftWrapAt === null) return;
+
+    const button = document.getElementById('loadOlderMessagesBtn');
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Loading...';
+    }
+
+    try {
+        const requests = await getDmSubscriptionRequests({ until: oldestGiftWrapAt });
+        const events = await new Promise(resolve => {
+            const found = [];
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                sub.close();
+                resolve(found);
+            };
+            const sub = State.pool.subscribeMap(requests, {
+                onevent(event) { found.push(event); },
+                oneose: done
+            });
+            timer = setTimeout(done, TIMEOUTS.SUBSCRIPTION_LONG);
+        });
+
+        // `until` is inclusive, so the page starts with wraps we already have
+        const fresh = events.filter(trackGiftWrap);
+        debugLog('Loaded', fresh.length, 'older gift wraps');
+        if (fresh.length === 0) {
+            olderMessagesExhausted = true;
+            showNotification('No older messages on your DM relays', 'info');
+        }
+        for (const event of fresh) {
+            await processSingleMessage(event);
+        }
+    } catch (error) {
+        console.error('Error loading older messages:', error);
+        showNotification('Could not load older messages', 'error');
+    } finally {
+        renderConversations();
+    }
+}
+
 // ==================== DM DECRYPTION HELPER ====================
 
 /**
  * Decrypt a DM event (NIP-04 or NIP-17)
  * @param {Object} event - The Nostr event to decrypt
- * @returns {Promise<Object|null>} Decrypted message data or null if not for us/failed
+ * @returns {Promise<Object|null>} Decrypted message data or null if not for us/failed.
+ *   NIP-17 messages with more than one other participant also carry
+ *   `room: { members, subject, rumorId, sender }`
  */
 async function decryptDmEvent(event) {
     try {
@@ -62,6 +173,22 @@ async function decryptDmEvent(event) {
             method = 'NIP-17';
             timestamp = unwrapped.created_at;
 
+            // A group chat: the room is everyone in the rumor (author + p tags) but us
+            const members = [...new Set([
+                unwrapped.pubkey,
+                ...(unwrapped.tags || []).filter(t => t[0] === 'p' && /^[0-9a-f]{64}$/.test(t[1] || '')).map(t => t[1])
+            ])].filter(pubkey => pubkey !== State.publicKey);
+
+            if (members.length > 1 && /^[0-9a-f]{64}$/.test(unwrapped.pubkey || '')) {
+                const room = {
+                    members: members.sort(),
+                    subject: unwrapped.tags.find(t => t[0] === 'subject')?.[1] || null,
+                    rumorId: unwrapped.id,
+                    sender: unwrapped.pubkey
+                };
+                return { room, content, timestamp, sent: unwrapped.pubkey === State.publicKey, method };
+            }
+
             // Determine conversation partner
             if (unwrapped.pubkey === State.publicKey) {
                 // My sent message backup - get recipient from 'p' tag
@@ -225,30 +352,13 @@ export async function fetchMessagesInBackground() {
         }
 
         // Subscribe to encrypted DMs (both NIP-04 and NIP-17)
-        const readRelays = Relays.getReadRelays();
-        let relaysToUse = readRelays.length > 0 ? readRelays : State.relays;
-
-        // Always include Nosmero relay for NIP-17 DMs
-        const nosmeroRelay = Relays.getNosmeroRelay();
-        if (!relaysToUse.includes(nosmeroRelay)) {
-            relaysToUse = [...relaysToUse, nosmeroRelay];
-        }
-
-        // Get timestamp for messages from last 30 days
-        const thirtyDaysAgo = Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60);
-
-        messagesSubscription = State.pool.subscribeMany(relaysToUse, [
-            // NIP-04 (legacy encrypted DMs)
-            { kinds: [4], authors: [State.publicKey], limit: 500 },  // Sent NIP-04
-            { kinds: [4], '#p': [State.publicKey], limit: 500 },      // Received NIP-04
-            // NIP-17 (modern gift-wrapped DMs) - Hybrid approach:
-            { kinds: [1059], authors: [State.publicKey], limit: 500 }, // All sent NIP-17 (efficient)
-            { kinds: [1059], since: thirtyDaysAgo, limit: 100 }        // Recent received NIP-17
-        ], {
+        resetGiftWrapPaging();
+        messagesSubscription = State.pool.subscribeMap(await getDmSubscriptionRequests(), {
             onevent(event) {
                 if (!processedIds.has(event.id)) {
                     dmEvents.push(event);
                     processedIds.add(event.id);
+                    trackGiftWrap(event);
 
                     if (hasProcessed) {
                         processSingleMessage(event);
@@ -308,42 +418,18 @@ export async function loadMessages() {
         }
         
         // Subscribe to encrypted DMs (both NIP-04 and NIP-17)
-        // Use read relays for receiving messages
-        const readRelays = Relays.getReadRelays();
-        let relaysToUse = readRelays.length > 0 ? readRelays : State.relays;
-
-        // Always include Nosmero relay for NIP-17 DMs
-        const nosmeroRelay = Relays.getNosmeroRelay();
-        if (!relaysToUse.includes(nosmeroRelay)) {
-            relaysToUse = [...relaysToUse, nosmeroRelay];
-            debugLog('📨 Added Nosmero relay for receiving NIP-17 DMs');
-        }
-
-        debugLog('Subscribing to DMs on relays:', relaysToUse);
-        debugLog('Read relays:', readRelays);
-        debugLog('State.relays:', State.relays);
+        resetGiftWrapPaging();
+        const requests = await getDmSubscriptionRequests();
+        debugLog('Subscribing to DMs:', requests.map(r => `${r.url} kinds:${r.filter.kinds}`));
         debugLog('User pubkey:', State.publicKey);
 
-        // Get timestamp for messages from last 30 days
-        const thirtyDaysAgo = Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60);
-
-        messagesSubscription = State.pool.subscribeMany(relaysToUse, [
-            // NIP-04 (legacy encrypted DMs)
-            { kinds: [4], authors: [State.publicKey], limit: 500 }, // Sent NIP-04 messages
-            { kinds: [4], '#p': [State.publicKey], limit: 500 },     // Received NIP-04 messages
-            // NIP-17 (modern gift-wrapped DMs) - Hybrid approach:
-            // 1. Fetch ALL our sent messages (sender backup copies) by authors filter
-            { kinds: [1059], authors: [State.publicKey], limit: 500 }, // All sent NIP-17 messages (efficient)
-            // 2. Fetch recent messages from anyone (includes received messages for us)
-            // NOTE: NIP-17 gift wraps don't have #p tags (recipient is hidden for privacy)
-            // We must fetch recent kind 1059 and try unwrapping each one (silently ignore failures)
-            { kinds: [1059], since: thirtyDaysAgo, limit: 100 }   // Recent NIP-17 received messages
-        ], {
+        messagesSubscription = State.pool.subscribeMap(requests, {
             onevent(event) {
                 if (!processedIds.has(event.id)) {
                     debugLog('📨 Received DM event:', event.id, 'kind:', event.kind, 'from:', event.pubkey);
                     dmEvents.push(event);
                     processedIds.add(event.id);
+                    trackGiftWrap(event);
                     
                     // Handle real-time messages
                     if (hasProcessed) {
@@ -381,6 +467,7 @@ export async function processMessages(events) {
 
     // Reset conversations - we'll recalculate unread counts from timestamps
     conversations = {};
+    rooms = {};
     const participantPubkeys = new Set();
 
     for (const event of events) {
@@ -391,6 +478,13 @@ export async function processMessages(events) {
             const decrypted = await decryptDmEvent(event);
             if (!decrypted) continue; // Not for us or decryption failed
 
+            if (decrypted.room) {
+                if (addRoomMessage(decrypted, event)) {
+                    decrypted.room.members.forEach(pubkey => participantPubkeys.add(pubkey));
+                }
+                continue;
+            }
+
             const { otherPubkey, content: decryptedContent, timestamp: realTimestamp, sent: messageSent, method: encryptionMethod } = decrypted;
 
             // Collect participant pubkeys for profile fetching
@@ -435,7 +529,7 @@ export async function processMessages(events) {
     }
     
     // Sort messages in each conversation by timestamp
-    Object.values(conversations).forEach(conv => {
+    [...Object.values(conversations), ...Object.values(rooms)].forEach(conv => {
         conv.messages.sort((a, b) => a.timestamp - b.timestamp);
     });
     
@@ -458,6 +552,18 @@ export async function processSingleMessage(event) {
         const decrypted = await decryptDmEvent(event);
         if (!decrypted) return; // Not for us or decryption failed
 
+        if (decrypted.room) {
+            const room = addRoomMessage(decrypted, event);
+            if (!room) return;
+
+            const unknown = room.members.filter(pubkey => !State.profileCache[pubkey]);
+            if (unknown.length > 0) await fetchConversationProfiles(unknown);
+
+            if (currentRoom === room.id) selectRoom(room.id);
+            renderConversations();
+            return;
+        }
+
         const { otherPubkey, content: decryptedContent, timestamp: realTimestamp, sent: messageSent, method: encryptionMethod } = decrypted;
 
         // Initialize conversation if needed
@@ -490,7 +596,11 @@ export async function processSingleMessage(event) {
 
         conversations[otherPubkey].messages.push(message);
         conversations[otherPubkey].messages.sort((a, b) => a.timestamp - b.timestamp);
-        conversations[otherPubkey].lastMessage = message;
+        // Older pages (loadOlderMessages) come through here too
+        if (!conversations[otherPubkey].lastMessage ||
+            message.timestamp > conversations[otherPubkey].lastMessage.timestamp) {
+            conversations[otherPubkey].lastMessage = message;
+        }
 
         // Increment unread count if it's a received message, newer than last viewed time, and not currently viewing this conversation
         if (!message.sent && message.timestamp > lastViewedMessagesTime && currentConversation !== otherPubkey) {
@@ -522,7 +632,7 @@ export function renderConversations() {
     const conversationsList = document.getElementById('conversationsList');
     if (!conversationsList) return;
 
-    if (Object.keys(conversations).length === 0) {
+    if (Object.keys(conversations).length === 0 && Object.keys(rooms).length === 0) {
         conversationsList.innerHTML = `
             <div style="padding: 20px; color: #666; text-align: center;">
                 <p>No messages yet.</p>
@@ -532,8 +642,8 @@ export function renderConversations() {
         return;
     }
     
-    // Sort conversations by last message timestamp
-    const sortedConversations = Object.entries(conversations)
+    // Sort conversations and group chats together by last message timestamp
+    const sortedConversations = [...Object.entries(conversations), ...Object.entries(rooms)]
         .sort(([,a], [,b]) => {
             const timeA = a.lastMessage?.timestamp || 0;
             const timeB = b.lastMessage?.timestamp || 0;
@@ -541,6 +651,8 @@ export function renderConversations() {
         });
     
     conversationsList.innerHTML = sortedConversations.map(([pubkey, conv]) => {
+        if (conv.isRoom) return renderRoomItem(conv);
+
         const profile = conv.profile || State.profileCache[pubkey] || { name: 'Loading...', picture: null };
         const lastMsg = conv.lastMessage;
         const time = lastMsg ? formatTime(lastMsg.timestamp) : '';
@@ -567,12 +679,15 @@ export function renderConversations() {
                 </div>
             </div>
         `;
-    }).join('');
+    }).join('') + (oldestGiftWrapAt !== null && !olderMessagesExhausted
+        ? '<button id="loadOlderMessagesBtn" class="load-older-messages" onclick="loadOlderMessages()">Load older messages</button>'
+        : '');
 }
 
 // Select and display a conversation
 export function selectConversation(pubkey, clickedElement = null) {
     currentConversation = pubkey;
+    currentRoom = null;
 
     // Clear unread count when opening conversation (but don't update global lastViewedMessagesTime)
     if (conversations[pubkey]) {
@@ -676,12 +791,57 @@ export function startNewMessage() {
     }
 }
 
+// Whether we hold the private key ourselves (NIP-17 wrapping needs it; extension,
+// nsec.app and Amber logins can't gift-wrap here)
+function hasLocalSigningKey() {
+    const key = State.getPrivateKeyForSigning();
+    return !!key && key !== 'extension' && key !== 'nsec-app' && key !== 'amber';
+}
+
+// Relays NIP-04 DMs are published to: our write relays (or all active ones)
+function getDmWriteRelays() {
+    const writeRelays = Relays.getWriteRelays();
+    return writeRelays.length > 0 ? writeRelays : State.relays;
+}
+
+// Relays NIP-04 DMs are read from: our read relays (or all active ones)
+function getDmReadRelays() {
+    const readRelays = Relays.getReadRelays();
+    return readRelays.length > 0 ? readRelays : State.relays;
+}
+
+function withNosmeroRelay(relays) {
+    const nosmeroRelay = Relays.getNosmeroRelay();
+    return relays.includes(nosmeroRelay) ? relays : [nosmeroRelay, ...relays];
+}
+
+// Where NIP-17 gift wraps to us are read from, and our own copies go: our DM
+// inbox relays (kind 10050). Until we've set some, our general relays plus
+// the Nosmero relay, which is where Nosmero has always delivered NIP-17
+function getOwnDmRelays() {
+    const dmRelays = Relays.getDmRelays();
+    if (dmRelays.length > 0) return dmRelays;
+    return withNosmeroRelay([...new Set([...getDmReadRelays(), ...getDmWriteRelays()])]);
+}
+
+// Where a gift wrap for someone else goes: their DM inbox relays, or their
+// NIP-65 inbox plus the Nosmero relay if they haven't published a kind 10050
+async function getRecipientDmRelays(pubkey) {
+    const dmRelays = await Relays.getDmInboxRelays(pubkey);
+    if (dmRelays.length > 0) return dmRelays;
+    return withNosmeroRelay(await Relays.getInboxRelays(pubkey));
+}
+
 // Send encrypted message (using NIP-17 by default)
 // TODO: Refactor - this function is ~200 lines. Consider extracting:
 // - createNip17Message() for NIP-17 gift wrapping logic
 // - createNip04Message() for NIP-04 encryption logic
 // - publishDmToRelays() for relay publishing logic
 export async function sendMessage() {
+    if (currentRoom) {
+        await sendGroupMessage();
+        return;
+    }
     if (!currentConversation) return;
 
     const input = document.getElementById('messageInput');
@@ -704,10 +864,7 @@ export async function sendMessage() {
         const useNip17 = localStorage.getItem('use-nip17-dms') === 'true';
 
         // Determine if we have a local private key (hex) vs external signer
-        const hasLocalPrivateKey = State.getPrivateKeyForSigning() &&
-            State.getPrivateKeyForSigning() !== 'extension' &&
-            State.getPrivateKeyForSigning() !== 'nsec-app' &&
-            State.getPrivateKeyForSigning() !== 'amber';
+        const hasLocalPrivateKey = hasLocalSigningKey();
 
         // Use NIP-17 if enabled and we have a local private key
         if (useNip17 && hasLocalPrivateKey) {
@@ -817,28 +974,20 @@ export async function sendMessage() {
             return;
         }
 
-        // Publish to relays (use write relays)
-        const writeRelays = Relays.getWriteRelays();
-        let relaysToUse = writeRelays.length > 0 ? writeRelays : State.relays;
-
-        // If using NIP-17, add Nosmero relay for better delivery
-        if (encryptionMethod === 'NIP-17') {
-            const nosmeroRelay = Relays.getNosmeroRelay();
-            if (!relaysToUse.includes(nosmeroRelay)) {
-                relaysToUse = [nosmeroRelay, ...relaysToUse];
-                debugLog('📨 Added Nosmero relay for NIP-17 DM:', nosmeroRelay);
-            }
-        }
+        // NIP-04 goes to our write relays; NIP-17 gift wraps to each side's DM inbox relays
+        const relaysToUse = getDmWriteRelays();
 
         try {
             // For NIP-17, publish BOTH gift wraps (recipient + sender backup)
             if (encryptionMethod === 'NIP-17' && recipientWrap && senderWrap) {
-                debugLog('Publishing dual NIP-17 gift-wraps to relays:', relaysToUse);
+                const recipientRelays = await getRecipientDmRelays(currentConversation);
+                const ownRelays = getOwnDmRelays();
+                debugLog('Publishing NIP-17 gift-wraps, recipient copy to:', recipientRelays, 'our copy to:', ownRelays);
 
                 // Publish recipient wrap
-                const recipientPromises = State.pool.publish(relaysToUse, recipientWrap);
+                const recipientPromises = State.pool.publish(recipientRelays, recipientWrap);
                 // Publish sender backup wrap
-                const senderPromises = State.pool.publish(relaysToUse, senderWrap);
+                const senderPromises = State.pool.publish(ownRelays, senderWrap);
 
                 // Wait for at least one of each to succeed
                 await Promise.all([
@@ -935,6 +1084,388 @@ export async function sendMessage() {
     }
 }
 
+// ==================== GROUP CHATS (NIP-17) ====================
+// A NIP-17 room is its participant set: everyone in a message's p tags plus
+// its author. Adding someone therefore starts a new room, and nobody can be
+// removed, so leaving hides the room on this device after saying goodbye.
+// The newest `subject` tag names the room.
+
+const LEFT_ROOMS_KEY = 'nip17-left-rooms';
+const HEX_PUBKEY_REGEX = /^[0-9a-f]{64}$/;
+const MAX_ROOM_MEMBERS = 20; // Every message is wrapped once per member
+
+// Room id: the other members (never us), sorted, so the same set always maps to the same room
+function roomIdFor(members) {
+    return [...new Set(members)].filter(pubkey => pubkey !== State.publicKey).sort().join(',');
+}
+
+function getLeftRooms() {
+    try {
+        return JSON.parse(localStorage.getItem(LEFT_ROOMS_KEY) || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+function createRoom(members, subject = null) {
+    const id = roomIdFor(members);
+    if (!rooms[id]) {
+        rooms[id] = {
+            id,
+            isRoom: true,
+            members: id.split(','),
+            subject,
+            subjectAt: 0,
+            messages: [],
+            lastMessage: null,
+            unread: 0
+        };
+    }
+    return rooms[id];
+}
+
+/**
+ * File a decrypted group message into its room
+ * @param {Object} decrypted - From decryptDmEvent, with `room`
+ * @param {Object} event - The gift wrap
+ * @returns {Object|null} The room, or null if it was left or already had the message
+ */
+function addRoomMessage(decrypted, event) {
+    const { room: info, content, timestamp, sent } = decrypted;
+    const id = roomIdFor(info.members);
+    if (getLeftRooms()[id]) return null;
+
+    const room = createRoom(info.members);
+    // Our own copy and a relay's duplicate share the rumor id
+    if (room.messages.some(m => m.rumorId === info.rumorId)) return null;
+
+    const message = {
+        id: event.id,
+        rumorId: info.rumorId,
+        sender: info.sender,
+        content,
+        timestamp,
+        sent,
+        encryptionMethod: 'NIP-17',
+        event
+    };
+
+    room.messages.push(message);
+    room.messages.sort((a, b) => a.timestamp - b.timestamp);
+    if (!room.lastMessage || message.timestamp >= room.lastMessage.timestamp) {
+        room.lastMessage = message;
+    }
+    if (info.subject && timestamp >= room.subjectAt) {
+        room.subject = info.subject;
+        room.subjectAt = timestamp;
+    }
+    if (!sent && timestamp > lastViewedMessagesTime && currentRoom !== id) {
+        room.unread = (room.unread || 0) + 1;
+    }
+    return room;
+}
+
+function memberName(pubkey) {
+    const profile = State.profileCache[pubkey];
+    return profile?.name || profile?.display_name || pubkey.substring(0, 8) + '…';
+}
+
+function roomName(room) {
+    if (room.subject) return room.subject;
+    const names = room.members.slice(0, 3).map(memberName);
+    return room.members.length > 3 ? `${names.join(', ')} +${room.members.length - 3}` : names.join(', ');
+}
+
+function renderAvatarStack(members, size = 3) {
+    return `
+        <div class="room-avatar-stack">
+            ${members.slice(0, size).map(pubkey => {
+                const profile = State.profileCache[pubkey];
+                const initial = escapeHtml(memberName(pubkey).charAt(0).toUpperCase());
+                const name = escapeHtml(memberName(pubkey));
+                return profile?.picture
+                    ? `<img src="${escapeHtml(profile.picture)}" class="room-avatar" title="${name}" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
+                       <div class="room-avatar room-avatar-placeholder" title="${name}" style="display: none;">${initial}</div>`
+                    : `<div class="room-avatar room-avatar-placeholder" title="${name}">${initial}</div>`;
+            }).join('')}
+        </div>
+    `;
+}
+
+// Sidebar entry for a room (renderConversations)
+function renderRoomItem(room) {
+    const lastMsg = room.lastMessage;
+    const time = lastMsg ? formatTime(lastMsg.timestamp) : '';
+    let preview = '';
+    if (lastMsg) {
+        const who = lastMsg.sent ? 'You' : memberName(lastMsg.sender);
+        preview = `${who}: ${lastMsg.content.length > 50 ? lastMsg.content.substring(0, 50) + '...' : lastMsg.content}`;
+    }
+    const unreadBadge = (room.unread && room.unread > 0) ?
+        `<div style="position: absolute; top: 12px; right: 12px; width: 10px; height: 10px; background: #FF6600; border-radius: 50%; box-shadow: 0 0 4px #FF6600;"></div>` : '';
+
+    return `
+        <div class="conversation-item ${currentRoom === room.id ? 'active' : ''}" data-room="${escapeHtml(room.id)}" onclick="selectRoom(this.dataset.room, this)" style="position: relative;">
+            ${unreadBadge}
+            <div class="conversation-time">${time}</div>
+            ${renderAvatarStack(room.members)}
+            <div class="conversation-info">
+                <div class="conversation-name">👥 ${escapeHtml(roomName(room))}</div>
+                <div class="conversation-preview">${escapeHtml(preview)}</div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Open a group chat
+ * @param {string} roomId
+ * @param {HTMLElement} [clickedElement]
+ */
+export function selectRoom(roomId, clickedElement = null) {
+    const room = rooms[roomId];
+    if (!room) return;
+
+    currentRoom = roomId;
+    currentConversation = null;
+    room.unread = 0;
+    updateMessagesBadge();
+
+    document.querySelectorAll('.conversation-item').forEach(item => {
+        item.classList.remove('active');
+    });
+    if (clickedElement) {
+        clickedElement.classList.add('active');
+    }
+
+    const messageThread = document.getElementById('messageThread');
+    const messageHeader = document.getElementById('messageHeader');
+    const messageComposer = document.getElementById('messageComposer');
+    if (!messageThread || !messageHeader || !messageComposer) return;
+
+    messageHeader.innerHTML = `
+        <div class="room-header">
+            ${renderAvatarStack(room.members, 6)}
+            <div class="room-header-info">
+                <span>👥 ${escapeHtml(roomName(room))}</span>
+                <span class="room-members" title="${escapeHtml(room.members.map(memberName).join('\n'))}">${room.members.length + 1} people: you, ${escapeHtml(room.members.map(memberName).join(', '))}</span>
+            </div>
+            <div class="room-actions">
+                <button onclick="renameRoom()">Rename</button>
+                <button onclick="addRoomMembers()">Add people</button>
+                <button onclick="leaveRoom()">Leave</button>
+            </div>
+        </div>
+    `;
+
+    messageThread.innerHTML = room.messages.map(msg => `
+        <div class="message-bubble ${msg.sent ? 'sent' : 'received'}">
+            ${msg.sent ? '' : `<div class="message-sender" onclick="viewUserProfilePage('${msg.sender}')">${escapeHtml(memberName(msg.sender))}</div>`}
+            <div class="message-content">${escapeHtml(msg.content)}</div>
+            <div class="message-time">${formatTime(msg.timestamp)}<span style="font-size: 10px; background: linear-gradient(135deg, #00ff00, #00aa00); color: #000; padding: 2px 6px; border-radius: 4px; margin-left: 8px; font-weight: bold;">🔒 NIP-17</span></div>
+        </div>
+    `).join('');
+
+    messageComposer.style.display = 'flex';
+    messageThread.scrollTop = messageThread.scrollHeight;
+
+    renderConversations();
+}
+
+// Turn "npub1..., hex ..." into hex pubkeys; throws on anything else
+function parsePubkeys(input) {
+    return input.split(/[\s,]+/).filter(Boolean).map(value => {
+        if (value.startsWith('npub1')) {
+            const decoded = window.NostrTools.nip19.decode(value);
+            if (decoded.type !== 'npub') throw new Error(`Invalid npub: ${value}`);
+            return decoded.data;
+        }
+        if (HEX_PUBKEY_REGEX.test(value.toLowerCase())) return value.toLowerCase();
+        throw new Error(`Not an npub or hex pubkey: ${value}`);
+    });
+}
+
+/**
+ * Gift-wrap a message to every member of a room (and a copy to ourselves)
+ * and publish it
+ * @param {Object} room
+ * @param {string} content
+ * @param {Object} [options]
+ * @param {string} [options.subject] - Names (or renames) the room
+ */
+async function publishRoomMessage(room, content, { subject = null } = {}) {
+    if (!hasLocalSigningKey()) {
+        throw new Error('Group chats use NIP-17 encryption, which needs you to be logged in with your private key.');
+    }
+    if (!State.pool) {
+        throw new Error('Connection error: Pool not ready');
+    }
+
+    const privateKey = State.getPrivateKeyForSigning();
+    const wraps = wrapGroupMessage(content, privateKey, room.members, subject);
+    // wraps[0] is our copy, then one per member in room.members order
+    const relays = [getOwnDmRelays(), ...await Promise.all(room.members.map(getRecipientDmRelays))];
+
+    debugLog('Publishing group message to', room.members.length, 'members via', relays);
+    // Every member needs their own wrap on at least one of their relays
+    await Promise.all(wraps.map((wrap, i) => Promise.any(State.pool.publish(relays[i], wrap))));
+
+    // Our copy is wraps[0]; unwrap it to file the message like one we received
+    const rumor = unwrapGiftMessage(wraps[0], privateKey);
+    addRoomMessage({
+        room: { members: room.members, subject, rumorId: rumor.id, sender: State.publicKey },
+        content,
+        timestamp: rumor.created_at,
+        sent: true,
+        method: 'NIP-17'
+    }, wraps[0]);
+}
+
+// Send what's in the composer to the open room (sendMessage)
+async function sendGroupMessage() {
+    const room = rooms[currentRoom];
+    const input = document.getElementById('messageInput');
+    if (!room || !input) return;
+
+    const content = input.value.trim();
+    if (!content) return;
+
+    try {
+        // A room named before its first message carries the name on that message
+        const subject = room.messages.length === 0 ? room.subject : null;
+        await publishRoomMessage(room, content, { subject });
+        input.value = '';
+        selectRoom(room.id);
+        showNotification('Message sent to the group (NIP-17)!', 'success');
+    } catch (error) {
+        console.error('Error sending group message:', error);
+        const message = error instanceof AggregateError
+            ? `All relays failed: ${error.errors[0]?.message || 'connection refused'}`
+            : error.message;
+        alert('Failed to send message: ' + message);
+    }
+}
+
+/**
+ * Start a group chat: ask for members and an optional name
+ */
+export function startNewGroup() {
+    if (!hasLocalSigningKey()) {
+        alert('Group chats use NIP-17 encryption, which needs you to be logged in with your private key.');
+        return;
+    }
+
+    const input = prompt('Enter the npubs or hex pubkeys of the people to chat with, separated by spaces or commas:');
+    if (!input) return;
+
+    try {
+        const members = [...new Set(parsePubkeys(input))].filter(pubkey => pubkey !== State.publicKey);
+        if (members.length < 2) {
+            alert('A group needs at least two other people. Use ✉️ New for a one-to-one conversation.');
+            return;
+        }
+        if (members.length > MAX_ROOM_MEMBERS) {
+            alert(`Groups are limited to ${MAX_ROOM_MEMBERS} people.`);
+            return;
+        }
+
+        const subject = prompt('Group name (optional):')?.trim() || null;
+
+        const leftRooms = getLeftRooms();
+        const id = roomIdFor(members);
+        if (leftRooms[id]) {
+            delete leftRooms[id];
+            localStorage.setItem(LEFT_ROOMS_KEY, JSON.stringify(leftRooms));
+        }
+
+        const room = createRoom(members, subject);
+        fetchConversationProfiles(room.members);
+        selectRoom(room.id);
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
+}
+
+/**
+ * Rename the open room (a message carrying the new subject)
+ */
+export async function renameRoom() {
+    const room = rooms[currentRoom];
+    if (!room) return;
+
+    const subject = prompt('New group name:', room.subject || '')?.trim();
+    if (!subject || subject === room.subject) return;
+
+    try {
+        await publishRoomMessage(room, `Renamed the group to "${subject}"`, { subject });
+        selectRoom(room.id);
+    } catch (error) {
+        console.error('Error renaming group:', error);
+        alert('Failed to rename group: ' + error.message);
+    }
+}
+
+/**
+ * Add people to the open room. NIP-17 rooms are defined by their members,
+ * so this opens a new room with everyone; the old one keeps its history.
+ */
+export async function addRoomMembers() {
+    const room = rooms[currentRoom];
+    if (!room) return;
+
+    const input = prompt('Enter the npubs or hex pubkeys to add, separated by spaces or commas:');
+    if (!input) return;
+
+    try {
+        const added = parsePubkeys(input).filter(pubkey => pubkey !== State.publicKey && !room.members.includes(pubkey));
+        if (added.length === 0) return;
+        if (room.members.length + added.length > MAX_ROOM_MEMBERS) {
+            alert(`Groups are limited to ${MAX_ROOM_MEMBERS} people.`);
+            return;
+        }
+
+        await fetchConversationProfiles(added);
+        const newRoom = createRoom([...room.members, ...added], room.subject);
+        await publishRoomMessage(newRoom, `Added ${added.map(memberName).join(', ')} to the group`, { subject: room.subject });
+        selectRoom(newRoom.id);
+        showNotification('Started a new group with everyone. Earlier messages stay in the old group.', 'info');
+    } catch (error) {
+        console.error('Error adding group members:', error);
+        alert('Failed to add people: ' + error.message);
+    }
+}
+
+/**
+ * Leave the open room: tell the others, then hide it on this device
+ */
+export async function leaveRoom() {
+    const room = rooms[currentRoom];
+    if (!room) return;
+    if (!confirm(`Leave "${roomName(room)}"? Members can still see what you sent, and NIP-17 can't remove you from their copies of the group.`)) return;
+
+    try {
+        await publishRoomMessage(room, 'Left the group');
+    } catch (error) {
+        console.warn('Could not send leave message:', error);
+    }
+
+    const leftRooms = getLeftRooms();
+    leftRooms[room.id] = Math.floor(Date.now() / 1000);
+    localStorage.setItem(LEFT_ROOMS_KEY, JSON.stringify(leftRooms));
+
+    delete rooms[room.id];
+    currentRoom = null;
+
+    const messageHeader = document.getElementById('messageHeader');
+    const messageThread = document.getElementById('messageThread');
+    const messageComposer = document.getElementById('messageComposer');
+    if (messageHeader) messageHeader.innerHTML = '<span>Select a conversation</span>';
+    if (messageThread) messageThread.innerHTML = '';
+    if (messageComposer) messageComposer.style.display = 'none';
+
+    renderConversations();
+}
+
 // ==================== NOTIFICATIONS ====================
 
 // Load the notifications interface
@@ -981,6 +1512,9 @@ export async function loadNotifications() {
                         <button id="notifTypeFollows" class="notif-type-btn" onclick="setNotificationType('follows')">
                             Follows
                         </button>
+                        <button id="notifTypeSearches" class="notif-type-btn" onclick="setNotificationType('searches')">
+                            Saved searches
+                        </button>
                     </div>
                     
                     <!-- Refresh Button -->
@@ -1370,8 +1904,21 @@ async function processNotifications(events) {
     debugLog('Final processed notifications:', notifications.length);
 
     // Store notifications globally for filtering
-    window.currentNotifications = notifications;
-    renderNotifications(notifications);
+    window.currentNotifications = [...notifications, ...searchAlertNotifications];
+    renderNotifications(window.currentNotifications);
+}
+
+/**
+ * Show saved searches with new matches in the notifications list. Replaces
+ * the previous set; a search whose matches have been read is left out.
+ * @param {Array<Object>} items - { id, type: 'search', timestamp, content (the query),
+ *   count (unread matches), savedSearchId }
+ */
+export function setSearchAlertNotifications(items) {
+    searchAlertNotifications = items;
+    const others = (window.currentNotifications || []).filter(notification => notification.type !== 'search');
+    window.currentNotifications = [...others, ...items];
+    renderNotifications(window.currentNotifications);
 }
 // Fetch profiles for notification authors (individual notifications version)
 async function fetchNotificationProfilesIndividual(pubkeys, notifications) {
@@ -1504,8 +2051,8 @@ export function updateMessagesBadge() {
     const badge = document.getElementById('messagesBadge');
     if (!badge) return;
 
-    // Calculate total unread messages across all conversations
-    const totalUnread = Object.values(conversations).reduce((sum, conv) => {
+    // Calculate total unread messages across all conversations and group chats
+    const totalUnread = [...Object.values(conversations), ...Object.values(rooms)].reduce((sum, conv) => {
         return sum + (conv.unread || 0);
     }, 0);
 
@@ -1570,6 +2117,7 @@ export function renderNotifications(notificationItems = []) {
                 case 'likes': return notification.type === 'like';
                 case 'reposts': return notification.type === 'repost';
                 case 'follows': return notification.type === 'follow';
+                case 'searches': return notification.type === 'search';
                 default: return true;
             }
         });
@@ -1589,6 +2137,10 @@ export function renderNotifications(notificationItems = []) {
     }
 
     notificationsList.innerHTML = sortedNotifications.map(notification => {
+        if (notification.type === 'search') {
+            return renderSearchAlertNotification(notification);
+        }
+
         const profile = notification.profile || {};
         const displayName = escapeHtml(profile.name || profile.display_name || `User ${notification.pubkey.substring(0, 8)}...`);
         // Default profile picture - fully URL-encoded SVG to prevent HTML parsing issues
@@ -1715,6 +2267,29 @@ export function renderNotifications(notificationItems = []) {
     }).join('');
 }
 
+// A saved search with new matches; opens the search (and marks them read)
+function renderSearchAlertNotification(notification) {
+    const time = formatTime(notification.timestamp);
+    const count = notification.count === 1 ? '1 new match' : `${notification.count} new matches`;
+
+    return `
+        <div class="notification-item" data-type="search" style="background: var(--card-bg); border: 1px solid var(--border-primary); border-radius: 12px; padding: 16px; margin-bottom: 12px; cursor: pointer;"
+             onclick="openSavedSearch('${notification.savedSearchId}')"
+             onmouseover="this.style.background='var(--card-hover)'"
+             onmouseout="this.style.background='var(--card-bg)'">
+            <div style="display: flex; align-items: center; gap: 12px;">
+                <span style="font-size: 18px;">🔎</span>
+                <div style="flex: 1; min-width: 0; color: var(--text-secondary); font-size: 14px;">
+                    <span style="color: #FF6600; font-weight: bold;">${count}</span>
+                    for your saved search
+                    <span style="color: var(--text-primary); font-weight: bold; word-break: break-word;">${escapeHtml(notification.content)}</span>
+                </div>
+                ${time ? `<div style="color: var(--text-muted); font-size: 12px; white-space: nowrap;">${time}</div>` : ''}
+            </div>
+        </div>
+    `;
+}
+
 // Refresh notifications
 export async function refreshNotifications() {
     showNotification('Refreshing notifications...', 'info');
@@ -1744,6 +2319,12 @@ window.loadMessages = loadMessages;
 window.selectConversation = selectConversation;
 window.startNewMessage = startNewMessage;
 window.sendMessage = sendMessage;
+window.loadOlderMessages = loadOlderMessages;
+window.selectRoom = selectRoom;
+window.startNewGroup = startNewGroup;
+window.renameRoom = renameRoom;
+window.addRoomMembers = addRoomMembers;
+window.leaveRoom = leaveRoom;
 window.loadNotifications = loadNotifications;
 window.setNotificationType = setNotificationType;
 window.refreshNotifications = refreshNotifications;
\ No newline at end of file
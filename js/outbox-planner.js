@@ -0,0 +1,225 @@
+/**
+ * Nosmero Outbox Planner - read each author from the relays they write to
+ *
+ * NIP-65 outbox model: an author's notes live on their write relays, and
+ * replies to them land on their read (inbox) relays. Sending one big
+ * `authors` filter to our own relays misses everyone who publishes
+ * elsewhere, so the home feed asks each relay only for the authors that
+ * write there.
+ *
+ * The planner picks a small set of relays that covers every author, greedily
+ * taking the relay that serves the most still-uncovered authors (healthier
+ * relays win ties), until each author is covered `redundancy` times or the
+ * connection budget is spent. The user's own read relays are always queried
+ * and take everyone without a known relay list or left uncovered.
+ */
+
+import * as State from './state.js';
+import * as Relays from './relays.js';
+import * as RelayHealth from './relay-health.js';
+
+const FEED_RELAY_BUDGET = 12;   // Outbox relays on top of the user's own
+const FEED_REDUNDANCY = 2;      // Relays per author, in case one is down or pruned
+const THREAD_RELAY_BUDGET = 10;
+const MAX_HINTS_PER_EVENT = 4;
+const MAX_REPLY_RECIPIENTS = 5; // p-tagged users whose inboxes are searched for replies
+const RELAY_LIST_WAIT_MS = 3000;
+
+function normalize(url) {
+    try {
+        return window.NostrTools.utils.normalizeURL(url);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Only secure websocket relays; lists and hints are full of localhost,
+// onion and typo entries
+function usableRelays(urls) {
+    return [...new Set((urls || [])
+        .filter(url => typeof url === 'string' && /^wss:\/\/[^\s/]+/i.test(url))
+        .map(normalize)
+        .filter(Boolean))];
+}
+
+/**
+ * Choose relays for a set of authors
+ * @param {string[]} authors - Hex pubkeys
+ * @param {Object} [options]
+ * @param {number} [options.budget=12] - Max outbox relays beyond the fallback relays
+ * @param {number} [options.redundancy=2] - Relays wanted per author
+ * @param {string[]} [options.fallbackRelays] - Always queried (defaults to the user's read relays)
+ * @returns {{ relays: Map<string, string[]>, covered: number, fallback: number }}
+ *   relays maps relay url -> authors to ask it for; covered counts authors
+ *   reached through their own write relays, fallback those that weren't
+ */
+export function planAuthorRelays(authors, {
+    budget = FEED_RELAY_BUDGET,
+    redundancy = FEED_REDUNDANCY,
+    fallbackRelays = Relays.getUserDataRelays()
+} = {}) {
+    const fallback = usableRelays(fallbackRelays);
+    const assigned = new Map(fallback.map(url => [url, new Set()]));
+    const needed = new Map();    // author -> coverage still wanted
+    const candidates = new Map(); // relay -> authors who write there
+    const unlisted = [];
+
+    for (const author of new Set(authors)) {
+        const write = usableRelays(Relays.getCachedRelayList(author)?.write)
+            .filter(url => !RelayHealth.isDemoted(url));
+        if (write.length === 0) {
+            unlisted.push(author);
+            continue;
+        }
+
+        needed.set(author, Math.min(redundancy, write.length));
+        for (const url of write) {
+            if (!candidates.has(url)) candidates.set(url, new Set());
+            candidates.get(url).add(author);
+        }
+    }
+
+    const assign = (url, author) => {
+        if (!assigned.has(url)) assigned.set(url, new Set());
+        if (assigned.get(url).has(author)) return;
+        assigned.get(url).add(author);
+        needed.set(author, needed.get(author) - 1);
+    };
+
+    // Fallback relays are queried anyway, so authors who write there are free
+    for (const url of fallback) {
+        for (const author of candidates.get(url) || []) {
+            if (needed.get(author) > 0) assign(url, author);
+        }
+        candidates.delete(url);
+    }
+
+    // Greedy set cover, healthiest first among equals
+    const ranked = RelayHealth.rankRelays([...candidates.keys()], { minRelays: 0 });
+    let spent = 0;
+    while (spent < budget) {
+        let best = null;
+        let bestCount = 0;
+        for (const url of ranked) {
+            if (assigned.has(url)) continue;
+            let count = 0;
+            for (const author of candidates.get(url)) {
+                if (needed.get(author) > 0) count++;
+            }
+            if (count > bestCount) {
+                best = url;
+                bestCount = count;
+            }
+        }
+        if (!best) break;
+
+        for (const author of candidates.get(best)) {
+            if (needed.get(author) > 0) assign(best, author);
+        }
+        spent++;
+    }
+
+    // Anyone the chosen relays don't reach at all falls back to our own relays
+    const reached = new Set([...assigned.values()].flatMap(set => [...set]));
+    const leftOver = [...unlisted, ...[...needed.keys()].filter(author => !reached.has(author))];
+    for (const url of fallback) {
+        leftOver.forEach(author => assigned.get(url).add(author));
+    }
+
+    const relays = new Map();
+    for (const [url, set] of assigned) {
+        if (set.size > 0) relays.set(url, [...set]);
+    }
+
+    return {
+        relays,
+        covered: needed.size - leftOver.length + unlisted.length,
+        fallback: leftOver.length
+    };
+}
+
+/**
+ * Subscribe to authors through their outbox relays, one `authors` filter per
+ * relay. Relay lists are fetched first (waiting up to a few seconds); the
+ * pool merges the per-relay results and drops duplicates.
+ * @param {string[]} authors
+ * @param {Object} filter - Filter without `authors`, e.g. { kinds: [1, 6], limit: 200 }
+ * @param {Object} params - subscribeMany params (onevent, oneose, ...)
+ * @param {Object} [planOptions] - See planAuthorRelays
+ * @returns {Promise<{ close: Function, plan: Object }>}
+ */
+export async function subscribeOutbox(authors, filter, params, planOptions = {}) {
+    await Promise.race([
+        Relays.prefetchRelayLists(authors),
+        new Promise(resolve => setTimeout(resolve, RELAY_LIST_WAIT_MS))
+    ]);
+
+    const plan = planAuthorRelays(authors, planOptions);
+    const requests = [...plan.relays].map(([url, relayAuthors]) => ({
+        url,
+        filter: { ...filter, authors: relayAuthors }
+    }));
+
+    console.log(`[Outbox] ${authors.length} authors across ${plan.relays.size} relays (${plan.fallback} via fallback relays)`);
+
+    const sub = State.pool.subscribeMap(requests, params);
+    return { close: () => sub.close(), plan };
+}
+
+/**
+ * Relay hints an event carries in its e/p/q/a tags
+ * @param {Object} event
+ * @returns {string[]}
+ */
+export function getEventRelayHints(event) {
+    const hints = (event?.tags || [])
+        .filter(tag => ['e', 'p', 'q', 'a'].includes(tag[0]) && tag[2])
+        .map(tag => tag[2]);
+    return usableRelays(hints).slice(0, MAX_HINTS_PER_EVENT);
+}
+
+// Our own relays plus up to `budget` others, in the order given (most
+// relevant first), skipping demoted ones
+function capRelays(urls, budget) {
+    const own = usableRelays(Relays.getActiveRelays());
+    const extra = usableRelays(urls).filter(url => !own.includes(url) && !RelayHealth.isDemoted(url));
+    return [...own, ...extra.slice(0, budget)];
+}
+
+/**
+ * Relays to look an event up on: our own, the hints we were given and its
+ * author's write relays
+ * @param {Object} [options]
+ * @param {string[]} [options.hints] - e.g. from an e tag or nevent
+ * @param {string} [options.author] - Author pubkey, if known
+ * @param {number} [options.budget=10]
+ * @returns {Promise<string[]>}
+ */
+export async function planEventRelays({ hints = [], author = null, budget = THREAD_RELAY_BUDGET } = {}) {
+    const outbox = author ? await Relays.getOutboxRelays(author) : [];
+    return capRelays([...hints, ...outbox], budget);
+}
+
+/**
+ * Relays to look for replies to an event on: its author's inbox (where
+ * NIP-65 says replies go), the inboxes of the people it's addressed to, and
+ * its own relay hints
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {number} [options.budget=10]
+ * @returns {Promise<string[]>}
+ */
+export async function planReplyRelays(event, { budget = THREAD_RELAY_BUDGET } = {}) {
+    const recipients = (event.tags || [])
+        .filter(tag => tag[0] === 'p' && /^[0-9a-f]{64}$/.test(tag[1] || ''))
+        .map(tag => tag[1])
+        .filter(pubkey => pubkey !== event.pubkey)
+        .slice(0, MAX_REPLY_RECIPIENTS);
+
+    const inboxes = await Promise.all([event.pubkey, ...recipients].map(pubkey =>
+        Relays.getInboxRelays(pubkey).catch(() => [])
+    ));
+
+    // The author's inbox matters most, so it goes first into the budget
+    return capRelays([...inboxes.flat(), ...getEventRelayHints(event)], budget);
+}
@@ -0,0 +1,256 @@
+/**
+ * Nosmero Paywall - Creator Earnings Dashboard
+ *
+ * Renders the creator payout dashboard: totals, revenue per note/article
+ * and per pass/bundle, unlocks over time, purchase conversion, top buyers
+ * (only those who opted in to being listed), the CSV export and the
+ * automatic payment detection (view key) setting.
+ */
+
+import * as State from './state.js';
+import * as Paywall from './paywall.js';
+import * as Utils from './utils.js';
+
+const DAY_OPTIONS = [7, 30, 90, 365];
+
+/**
+ * Format a conversion rate (0..1 or null) as a percentage
+ * @param {number|null} rate
+ * @returns {string}
+ */
+function formatRate(rate) {
+    return rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Short label for a paywalled item in the revenue table
+ */
+function itemLabel(item) {
+    const text = (item.preview || item.title || '').trim() || 'Untitled';
+    return text.length > 60 ? text.substring(0, 60) + '…' : text;
+}
+
+function renderTotals(dashboard) {
+    const { totals, conversion, buyers } = dashboard;
+    const rows = [
+        ['Paywalled notes & articles', totals.totalPaywalls],
+        ['Single unlocks sold', totals.totalSales],
+        ['Single unlock revenue', Paywall.formatPrice(totals.totalRevenue)],
+        ['Passes & bundles sold', totals.offerSales],
+        ['Pass & bundle revenue', Paywall.formatPrice(totals.offerRevenue)],
+        ['Total revenue', Paywall.formatPrice(totals.totalRevenue + totals.offerRevenue)],
+        [`Conversion (last ${dashboard.days} days)`, `${formatRate(conversion.rate)} · ${conversion.completed}/${conversion.initiated} purchases`],
+        ['Buyers', `${buyers.buyers} (${buyers.publicBuyers} public)`]
+    ];
+
+    return `
+        <div class="paywall-creator-stats">
+            ${rows.map(([label, value]) => `
+                <div class="paywall-stat-row">
+                    <span class="paywall-stat-label">${Utils.escapeHtml(label)}</span>
+                    <span class="paywall-stat-value">${Utils.escapeHtml(String(value))}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderTimeline(dashboard) {
+    const max = Math.max(...dashboard.timeline.map(d => d.unlocks), 1);
+
+    return `
+        <div class="paywall-dashboard-section">
+            <h3>Unlocks over time</h3>
+            <div class="paywall-timeline">
+                ${dashboard.timeline.map(d => {
+                    const date = new Date(d.day).toISOString().slice(0, 10);
+                    const title = `${date}: ${d.unlocks} unlocks, ${Paywall.formatPrice(d.revenue)}`;
+                    return `<div class="paywall-timeline-bar" style="height: ${Math.round((d.unlocks / max) * 100)}%;" title="${Utils.escapeHtml(title)}"></div>`;
+                }).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function renderRevenueTable(title, items, describe) {
+    if (items.length === 0) return '';
+
+    return `
+        <div class="paywall-dashboard-section">
+            <h3>${Utils.escapeHtml(title)}</h3>
+            <table class="paywall-dashboard-table">
+                <thead>
+                    <tr><th>Item</th><th>Price</th><th>Sales</th><th>Revenue</th><th>Conversion</th></tr>
+                </thead>
+                <tbody>
+                    ${items.map(item => `
+                        <tr>
+                            <td>
+                                <span class="paywall-dashboard-item">${Utils.escapeHtml(itemLabel(item))}</span>
+                                <span class="paywall-dashboard-kind">${Utils.escapeHtml(describe(item))}</span>
+                            </td>
+                            <td>${Utils.escapeHtml(Paywall.formatPrice(item.priceXmr))}</td>
+                            <td>${item.sales}</td>
+                            <td>${Utils.escapeHtml(Paywall.formatPrice(item.revenue))}</td>
+                            <td>${formatRate(item.conversionRate)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderTopBuyers(dashboard) {
+    const { top } = dashboard.buyers;
+
+    return `
+        <div class="paywall-dashboard-section">
+            <h3>Top buyers</h3>
+            ${top.length === 0 ? `
+                <p class="paywall-dashboard-hint">No buyers have chosen to be listed publicly yet.</p>
+            ` : `
+                <ol class="paywall-top-buyers">
+                    ${top.map(buyer => {
+                        const profile = State.profileCache[buyer.buyerPubkey];
+                        const name = profile?.name || profile?.display_name || buyer.buyerPubkey.substring(0, 12) + '…';
+                        return `
+                            <li onclick="viewUserProfilePage('${Utils.escapeHtml(buyer.buyerPubkey)}')">
+                                <span>${Utils.escapeHtml(name)}</span>
+                                <span class="paywall-stat-value">${Utils.escapeHtml(Paywall.formatPrice(buyer.total))} · ${buyer.purchases}×</span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ol>
+            `}
+        </div>
+    `;
+}
+
+function renderDetectionSettings(detection) {
+    return `
+        <div class="paywall-dashboard-section">
+            <h3>Automatic payment detection</h3>
+            ${detection.enabled ? `
+                <p class="paywall-dashboard-hint">
+                    On for ${Utils.escapeHtml(detection.primaryAddress.substring(0, 12) + '…' + detection.primaryAddress.slice(-8))}.
+                    Buyers paying this address get their own subaddress and are unlocked as soon as the payment arrives - no tx_key needed.
+                </p>
+                <button id="paywallDetectionDisable" class="paywall-modal-btn cancel">Turn off</button>
+            ` : `
+                <p class="paywall-dashboard-hint">
+                    Register your private view key so each purchase gets its own subaddress and unlocks automatically.
+                    A view key can see incoming payments but can never spend them. Only works when your paywalls and offers are paid to this primary address.
+                </p>
+                <div class="paywall-detection-form">
+                    <input type="text" id="paywallDetectionAddress" placeholder="Primary address (4...)">
+                    <input type="password" id="paywallDetectionViewKey" placeholder="Private view key" autocomplete="off">
+                    <input type="number" id="paywallDetectionHeight" placeholder="Restore height (optional)" min="0">
+                    <button id="paywallDetectionEnable" class="paywall-modal-btn confirm">Turn on</button>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+function bindDetectionSettings(containerEl, days) {
+    containerEl.querySelector('#paywallDetectionDisable')?.addEventListener('click', async (e) => {
+        e.currentTarget.disabled = true;
+        try {
+            await Paywall.removeViewKey();
+            Utils.showNotification('Automatic payment detection turned off');
+        } catch (error) {
+            Utils.showNotification(error.message, 'error');
+        }
+        renderCreatorDashboard(containerEl, days);
+    });
+
+    containerEl.querySelector('#paywallDetectionEnable')?.addEventListener('click', async (e) => {
+        const btn = e.currentTarget;
+        const address = containerEl.querySelector('#paywallDetectionAddress').value.trim();
+        const viewKey = containerEl.querySelector('#paywallDetectionViewKey').value.trim();
+        const height = parseInt(containerEl.querySelector('#paywallDetectionHeight').value, 10) || 0;
+
+        if (!/^4[1-9A-HJ-NP-Za-km-z]{94}$/.test(address)) {
+            Utils.showNotification('Please enter your primary address (starts with 4)', 'error');
+            return;
+        }
+        if (!/^[0-9a-fA-F]{64}$/.test(viewKey)) {
+            Utils.showNotification('The private view key is 64 hex characters', 'error');
+            return;
+        }
+
+        btn.disabled = true;
+        try {
+            await Paywall.registerViewKey(address, viewKey, height);
+            Utils.showNotification('Automatic payment detection turned on');
+            renderCreatorDashboard(containerEl, days);
+        } catch (error) {
+            Utils.showNotification(error.message, 'error');
+            btn.disabled = false;
+        }
+    });
+}
+
+/**
+ * Render the dashboard into a container
+ * @param {HTMLElement} containerEl
+ * @param {number} [days=30] - Timeline / conversion window
+ */
+export async function renderCreatorDashboard(containerEl, days = 30) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = '<div class="paywall-dashboard-hint">Loading earnings…</div>';
+
+    let dashboard, detection;
+    try {
+        [dashboard, detection] = await Promise.all([
+            Paywall.getCreatorDashboard(days),
+            Paywall.getViewKeyStatus()
+        ]);
+    } catch (error) {
+        containerEl.innerHTML = `<div class="paywall-error-message">Could not load earnings: ${Utils.escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    // Resolve names for public top buyers (best effort)
+    const buyerPubkeys = dashboard.buyers.top.map(b => b.buyerPubkey).filter(pk => !State.profileCache[pk]);
+    if (buyerPubkeys.length > 0 && window.NostrPosts?.fetchProfiles) {
+        try { await window.NostrPosts.fetchProfiles(buyerPubkeys); } catch (e) {}
+    }
+
+    containerEl.innerHTML = `
+        <div class="paywall-dashboard-toolbar">
+            <select id="paywallDashboardDays">
+                ${DAY_OPTIONS.map(d => `<option value="${d}"${d === dashboard.days ? ' selected' : ''}>Last ${d} days</option>`).join('')}
+            </select>
+            <button id="paywallDashboardExport" class="paywall-modal-btn">Export CSV</button>
+        </div>
+        ${renderTotals(dashboard)}
+        ${renderTimeline(dashboard)}
+        ${renderRevenueTable('Revenue per note & article', dashboard.notes, item =>
+            `${item.kind === 'article' ? 'Article' : 'Note'} · ${Paywall.formatAccessDays(item.accessDays)}`)}
+        ${renderRevenueTable('Passes & bundles', dashboard.offers, item =>
+            `${item.kind === 'pass' ? 'Pass' : 'Bundle'} · ${Paywall.formatAccessDays(item.durationDays)}${item.active ? '' : ' · retired'}`)}
+        ${renderTopBuyers(dashboard)}
+        ${renderDetectionSettings(detection)}
+    `;
+
+    bindDetectionSettings(containerEl, dashboard.days);
+
+    containerEl.querySelector('#paywallDashboardDays').addEventListener('change', (e) => {
+        renderCreatorDashboard(containerEl, parseInt(e.target.value, 10));
+    });
+
+    containerEl.querySelector('#paywallDashboardExport').addEventListener('click', async (e) => {
+        const btn = e.currentTarget;
+        btn.disabled = true;
+        try {
+            await Paywall.downloadPaymentsCsv();
+        } catch (error) {
+            Utils.showNotification(error.message, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    });
+}
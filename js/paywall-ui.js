@@ -2,8 +2,9 @@
  * Nosmero Paywall UI Handler
  *
  * Manages:
- * - Unlock modal display and interaction
+ * - Unlock modal display and interaction (single note, bundle or pass)
  * - Creator paywall toggle in compose
+ * - Creator pass / bundle manager
  * - Rendering paywalled notes in feeds
  */
 
@@ -15,7 +16,10 @@ import { signedFetch } from './signed-fetch.js';
 // Current unlock state
 let currentUnlockNoteId = null;
 let currentPaywall = null;
+let currentOffer = null; // Pass/bundle chosen instead of the single note
+let currentPurchase = null; // Backend purchase record for the current attempt
 let currentTxPreview = null;
+let supporterVisibility = null; // Cached opt-in for public top buyers lists
 let confirmationPollInterval = null;
 
 // Pending payments storage key
@@ -38,6 +42,20 @@ function isValidMoneroAddress(address) {
     return addressRegex.test(address);
 }
 
+/**
+ * What the buyer is currently paying for: the selected offer, or the note.
+ * If the creator has automatic detection on, the purchase's own
+ * subaddress replaces the creator's address.
+ * @returns {{ priceXmr: number, paymentAddress: string }}
+ */
+function currentPaymentTarget() {
+    const target = currentOffer || currentPaywall;
+    if (currentPurchase?.autoDetect && (currentPurchase.offerId || null) === (currentOffer?.offerId || null)) {
+        return { ...target, paymentAddress: currentPurchase.paymentAddress };
+    }
+    return target;
+}
+
 // ==================== MODAL MANAGEMENT ====================
 
 /**
@@ -52,7 +70,7 @@ function ensureModalExists() {
         <div id="paywallModalOverlay" class="paywall-modal-overlay" onclick="NostrPaywall.closeModal(event)">
             <div class="paywall-modal" onclick="event.stopPropagation()">
                 <div class="paywall-modal-header">
-                    <h3>Unlock Content</h3>
+                    <h3 id="paywallModalTitle">Unlock Content</h3>
                     <button class="paywall-modal-close" onclick="NostrPaywall.closeModal()">&times;</button>
                 </div>
                 <div id="paywallModalContent">
@@ -75,6 +93,7 @@ export async function showUnlockModal(noteId) {
     currentUnlockNoteId = noteId;
     const modal = document.getElementById('paywallModalOverlay');
     const content = document.getElementById('paywallModalContent');
+    document.getElementById('paywallModalTitle').textContent = 'Unlock Content';
 
     // Show loading state
     content.innerHTML = `
@@ -115,7 +134,12 @@ export async function showUnlockModal(noteId) {
         if (pendingPayment) {
             // Show pending status and start polling
             currentPaywall = await Paywall.getPaywallInfo(noteId);
-            showPendingConfirmation(pendingPayment);
+            currentOffer = currentPaywall?.offers?.find(o => o.offerId === pendingPayment.offerId) || null;
+            if (pendingPayment.autoDetect) {
+                await resumeDetectedPayment(pendingPayment);
+            } else {
+                showPendingConfirmation(pendingPayment);
+            }
             return;
         }
 
@@ -126,6 +150,8 @@ export async function showUnlockModal(noteId) {
             return;
         }
         currentPaywall = paywall;
+        currentOffer = null;
+        currentPurchase = null;
 
         // Check wallet status
         const MoneroClient = await import('./wallet/monero-client.js');
@@ -172,13 +198,19 @@ function renderPaymentMethodSelection(paywall, hasWallet, isUnlocked) {
         return;
     }
 
-    const priceStr = Utils.escapeHtml(paywall.priceXmr.toFixed(12).replace(/\.?0+$/, ''));
+    const target = currentPaymentTarget();
+    const priceStr = Utils.escapeHtml(target.priceXmr.toFixed(12).replace(/\.?0+$/, ''));
+    const offers = (paywall.offers || []).filter(o => typeof o.priceXmr === 'number' && o.priceXmr > 0);
 
     content.innerHTML = `
         <div class="paywall-modal-body">
+            ${offers.length > 0 ? renderTierOptions(paywall, offers) : ''}
             <div class="paywall-price-display">
-                <span class="paywall-price-label">Unlock Price</span>
+                <span class="paywall-price-label">${currentOffer ? Utils.escapeHtml(currentOffer.title) : 'Unlock Price'}</span>
                 <span class="paywall-price-amount">${priceStr} XMR</span>
+                ${paywall.accessDays || currentOffer?.durationDays || currentOffer?.kind === 'pass' ? `
+                    <span class="paywall-price-label">${Utils.escapeHtml(Paywall.formatAccessDays(currentOffer ? currentOffer.durationDays : paywall.accessDays))} access</span>
+                ` : ''}
             </div>
 
             <div class="paywall-method-options">
@@ -210,17 +242,103 @@ function renderPaymentMethodSelection(paywall, hasWallet, isUnlocked) {
                     <span class="method-badge delay">~2 min</span>
                 </button>
             </div>
+
+            <label class="paywall-supporter-toggle">
+                <input type="checkbox" id="paywallSupporterPublic"${supporterVisibility ? ' checked' : ''}
+                    onchange="NostrPaywall.toggleSupporterVisibility(this.checked)">
+                <span>List me publicly among creators' top buyers</span>
+            </label>
         </div>
         <div class="paywall-modal-footer">
             <button class="paywall-modal-btn cancel" onclick="NostrPaywall.closeModal()">Cancel</button>
         </div>
     `;
+
+    loadSupporterVisibility();
+}
+
+/**
+ * Opt in/out of public top buyers lists (applies to all creators)
+ */
+export async function toggleSupporterVisibility(showPublicly) {
+    try {
+        await Paywall.setSupporterVisibility(showPublicly);
+        supporterVisibility = showPublicly;
+    } catch (error) {
+        console.warn('[PaywallUI] Failed to update supporter visibility:', error);
+        const checkbox = document.getElementById('paywallSupporterPublic');
+        if (checkbox) checkbox.checked = !showPublicly;
+    }
+}
+
+/**
+ * Make sure the backend has a purchase record for what the buyer is about
+ * to pay for (note or offer). Used for conversion stats; failures are ignored.
+ */
+async function ensurePurchase() {
+    const offerId = currentOffer?.offerId || null;
+    if (currentPurchase && (currentPurchase.offerId || null) === offerId) {
+        return currentPurchase;
+    }
+    currentPurchase = await Paywall.initiatePurchase(currentUnlockNoteId, currentOffer);
+    return currentPurchase;
+}
+
+/**
+ * Render the "what to buy" choices: this note, bundles containing it, and
+ * the creator's passes
+ */
+function renderTierOptions(paywall, offers) {
+    const option = (id, title, priceXmr, detail) => `
+        <button class="paywall-tier-option${(currentOffer?.offerId || '') === id ? ' selected' : ''}"
+            onclick="NostrPaywall.selectTier('${Utils.escapeHtml(id)}')">
+            <span class="tier-title">${Utils.escapeHtml(title)}</span>
+            <span class="tier-detail">${Utils.escapeHtml(detail)}</span>
+            <span class="tier-price">${Utils.escapeHtml(Paywall.formatPrice(priceXmr))}</span>
+        </button>
+    `;
+
+    return `
+        <div class="paywall-tier-options">
+            ${option('', 'This note', paywall.priceXmr, `${Paywall.formatAccessDays(paywall.accessDays)} access`)}
+            ${offers.map(o => option(
+                o.offerId,
+                o.title,
+                o.priceXmr,
+                o.kind === 'pass'
+                    ? `All content by this creator · ${Paywall.formatAccessDays(o.durationDays)}`
+                    : `Bundle of ${o.noteIds?.length || 'several'} notes · ${Paywall.formatAccessDays(o.durationDays)}`
+            )).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Switch between buying the note and one of its offers
+ * @param {string} offerId - Empty string for the single note
+ */
+export async function selectTier(offerId) {
+    if (!currentPaywall) return;
+    currentOffer = (currentPaywall.offers || []).find(o => o.offerId === offerId) || null;
+    await goBackToMethodSelection();
+}
+
+/**
+ * Fill in the supporter checkbox once the saved preference is known
+ */
+async function loadSupporterVisibility() {
+    if (supporterVisibility !== null) return;
+    supporterVisibility = await Paywall.getSupporterVisibility();
+    const checkbox = document.getElementById('paywallSupporterPublic');
+    if (checkbox) checkbox.checked = supporterVisibility;
 }
 
 /**
  * Handle payment method selection
  */
 export async function selectPaymentMethod(method) {
+    await ensurePurchase();
+
     if (method === 'nosmero') {
         await startNosmeroPayment();
     } else if (method === 'external') {
@@ -251,14 +369,15 @@ async function startNosmeroPayment() {
     `;
 
     try {
-        const priceAtomic = MoneroClient.parseXMR(currentPaywall.priceXmr.toString());
+        const target = currentPaymentTarget();
+        const priceAtomic = MoneroClient.parseXMR(target.priceXmr.toString());
         const txPreview = await MoneroClient.createTransaction(
-            currentPaywall.paymentAddress,
+            target.paymentAddress,
             priceAtomic,
             'low'
         );
         currentTxPreview = { fee: txPreview.fee, amount: priceAtomic };
-        showConfirmation(currentPaywall, currentTxPreview);
+        showConfirmation(target, currentTxPreview);
     } catch (error) {
         showError(error.message);
     }
@@ -330,8 +449,9 @@ export async function goBackToMethodSelection() {
  */
 function showExternalWalletPayment() {
     const content = document.getElementById('paywallModalContent');
-    const priceStr = currentPaywall.priceXmr.toFixed(12).replace(/\.?0+$/, '');
-    const address = currentPaywall.paymentAddress;
+    const target = currentPaymentTarget();
+    const priceStr = target.priceXmr.toFixed(12).replace(/\.?0+$/, '');
+    const address = target.paymentAddress;
 
     // Validate Monero address before displaying
     if (!isValidMoneroAddress(address)) {
@@ -345,6 +465,17 @@ function showExternalWalletPayment() {
     // Escape data for safe display
     const addressShort = Utils.escapeHtml(address.substring(0, 20) + '...' + address.substring(address.length - 10));
     const priceStrEscaped = Utils.escapeHtml(priceStr);
+    const autoDetect = !!currentPurchase?.autoDetect;
+
+    const txEntry = `
+                <input type="text" id="externalTxid" placeholder="Transaction ID (txid)"
+                    style="width: 100%; padding: 10px; margin-bottom: 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary); font-family: monospace; font-size: 13px;">
+                <input type="text" id="externalTxKey" placeholder="Transaction Key (tx_key)"
+                    style="width: 100%; padding: 10px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary); font-family: monospace; font-size: 13px;">
+                <p style="font-size: 11px; color: var(--text-muted); margin-top: 6px;">
+                    Find tx_key in your wallet's transaction details or use: <code>get_tx_key &lt;txid&gt;</code>
+                </p>
+    `;
 
     content.innerHTML = `
         <div class="paywall-modal-body">
@@ -375,24 +506,39 @@ function showExternalWalletPayment() {
                 </div>
             </div>
 
+            ${autoDetect ? `
+            <div class="paywall-pending-progress">
+                <div class="pending-spinner"></div>
+                <span id="pendingStatusText">Waiting for your payment...</span>
+            </div>
+            <p style="font-size: 12px; color: var(--text-muted); text-align: center; margin-top: 8px;">
+                This address is unique to this purchase - the content unlocks automatically once the payment arrives. You can close this window.
+            </p>
+            <details class="paywall-tx-entry">
+                <summary style="font-size: 12px; color: var(--text-secondary); cursor: pointer;">Prove payment manually instead</summary>
+                ${txEntry}
+                <button class="paywall-modal-btn" onclick="NostrPaywall.submitExternalPayment()">Verify Payment</button>
+            </details>
+            ` : `
             <div class="paywall-tx-entry">
                 <p style="font-size: 13px; color: var(--text-secondary); margin-bottom: 12px;">
                     After sending payment, enter the transaction details:
                 </p>
-                <input type="text" id="externalTxid" placeholder="Transaction ID (txid)"
-                    style="width: 100%; padding: 10px; margin-bottom: 8px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary); font-family: monospace; font-size: 13px;">
-                <input type="text" id="externalTxKey" placeholder="Transaction Key (tx_key)"
-                    style="width: 100%; padding: 10px; border: 1px solid var(--border-color); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary); font-family: monospace; font-size: 13px;">
-                <p style="font-size: 11px; color: var(--text-muted); margin-top: 6px;">
-                    Find tx_key in your wallet's transaction details or use: <code>get_tx_key &lt;txid&gt;</code>
-                </p>
+                ${txEntry}
             </div>
+            `}
         </div>
         <div class="paywall-modal-footer">
             <button class="paywall-modal-btn cancel" onclick="NostrPaywall.backToMethodSelection()">Back</button>
+            ${autoDetect ? `
+            <button class="paywall-modal-btn" onclick="NostrPaywall.checkPendingPayment()" id="checkAgainBtn">
+                Check Now
+            </button>
+            ` : `
             <button class="paywall-modal-btn confirm" onclick="NostrPaywall.submitExternalPayment()">
                 Verify Payment
             </button>
+            `}
         </div>
     `;
 
@@ -410,12 +556,32 @@ function showExternalWalletPayment() {
 
     // Generate QR code
     generateQrCode('paywallQrCode', moneroUri);
+
+    // Subaddress purchases: remember the purchase and wait for the server
+    // to spot the payment
+    if (autoDetect) {
+        const payment = {
+            offerId: currentPurchase.offerId || null,
+            purchaseId: currentPurchase.purchaseId,
+            autoDetect: true,
+            expiresAt: currentPurchase.expiresAt,
+            savedAt: Date.now()
+        };
+        savePendingPayment(currentUnlockNoteId, null, null, payment.offerId, payment.purchaseId, payment);
+        startConfirmationPolling(payment);
+    }
 }
 
 /**
  * Go back to method selection
  */
 export async function backToMethodSelection() {
+    // Stop waiting for a detected payment (it stays saved as pending)
+    if (confirmationPollInterval) {
+        clearInterval(confirmationPollInterval);
+        confirmationPollInterval = null;
+    }
+
     // Cancel any pending transaction
     try {
         const MoneroClient = await import('./wallet/monero-client.js');
@@ -510,7 +676,9 @@ export async function submitExternalPayment() {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
+                purchase_id: currentPurchase?.purchaseId || undefined,
                 note_id: currentUnlockNoteId,
+                offer_id: currentOffer?.offerId || undefined,
                 buyer_pubkey: State.publicKey,
                 txid: txid,
                 tx_key: txKey
@@ -525,7 +693,8 @@ export async function submitExternalPayment() {
             localStorage.setItem(localKey, JSON.stringify({
                 decryptionKey: data.decryption_key,
                 txid: txid,
-                unlockedAt: Date.now()
+                unlockedAt: Date.now(),
+                expiresAt: data.expires_at || null
             }));
 
             // Remove from pending if it was there
@@ -538,8 +707,14 @@ export async function submitExternalPayment() {
             }, 1500);
         } else if (data.error?.includes('not confirmed') || data.error?.includes('pending') || data.error?.includes('not found')) {
             // Payment pending confirmation - save and poll
-            savePendingPayment(currentUnlockNoteId, txid, txKey);
-            showPendingConfirmation({ txid, txKey, savedAt: Date.now() });
+            savePendingPayment(currentUnlockNoteId, txid, txKey, currentOffer?.offerId, currentPurchase?.purchaseId);
+            showPendingConfirmation({
+                txid,
+                txKey,
+                offerId: currentOffer?.offerId || null,
+                purchaseId: currentPurchase?.purchaseId || null,
+                savedAt: Date.now()
+            });
         } else {
             throw new Error(data.error || 'Payment verification failed');
         }
@@ -551,18 +726,33 @@ export async function submitExternalPayment() {
 /**
  * Save pending payment to localStorage
  */
-function savePendingPayment(noteId, txid, txKey) {
+function savePendingPayment(noteId, txid, txKey, offerId = null, purchaseId = null, { autoDetect = false, expiresAt = null } = {}) {
     const pending = JSON.parse(localStorage.getItem(PENDING_PAYMENTS_KEY) || '{}');
     pending[noteId] = {
         noteId,
+        offerId: offerId || null,
+        purchaseId: purchaseId || null,
         txid,
         txKey,
+        autoDetect,
+        expiresAt,
         buyerPubkey: State.publicKey,
         savedAt: Date.now()
     };
     localStorage.setItem(PENDING_PAYMENTS_KEY, JSON.stringify(pending));
 }
 
+/**
+ * Whether a saved pending payment is past its window: 1 hour for tx proofs,
+ * the purchase's own expiry for automatically detected payments
+ */
+function isPendingPaymentExpired(payment) {
+    if (payment.autoDetect && payment.expiresAt) {
+        return Date.now() > payment.expiresAt;
+    }
+    return Date.now() - payment.savedAt > 3600000; // 1 hour
+}
+
 /**
  * Get pending payment for a note
  */
@@ -570,10 +760,9 @@ function getPendingPayment(noteId) {
     const pending = JSON.parse(localStorage.getItem(PENDING_PAYMENTS_KEY) || '{}');
     const payment = pending[noteId];
 
-    // Only return if it belongs to current user and is less than 1 hour old
+    // Only return if it belongs to current user and hasn't expired
     if (payment && payment.buyerPubkey === State.publicKey) {
-        const ageMs = Date.now() - payment.savedAt;
-        if (ageMs < 3600000) { // 1 hour
+        if (!isPendingPaymentExpired(payment)) {
             return payment;
         } else {
             // Expired, remove it
@@ -636,6 +825,66 @@ function showPendingConfirmation(payment) {
     startConfirmationPolling(payment);
 }
 
+/**
+ * Reopen the payment screen for a subaddress purchase the buyer hasn't
+ * paid yet (or that the server hasn't spotted yet)
+ */
+async function resumeDetectedPayment(payment) {
+    const status = await Paywall.getPurchaseStatus(payment.purchaseId);
+    currentPurchase = status;
+    if (status.status === 'pending') {
+        showExternalWalletPayment();
+    } else {
+        // Completed or expired - let the status check finish it off
+        await checkDetectedPayment(payment);
+    }
+}
+
+/**
+ * Check whether the server has detected the payment for a subaddress purchase
+ */
+async function checkDetectedPayment(payment) {
+    const noteId = currentUnlockNoteId;
+    const statusText = document.getElementById('pendingStatusText');
+    const checkBtn = document.getElementById('checkAgainBtn');
+    const stopPolling = () => {
+        clearInterval(confirmationPollInterval);
+        confirmationPollInterval = null;
+        removePendingPayment(noteId);
+    };
+
+    if (checkBtn) checkBtn.disabled = true;
+
+    try {
+        const status = await Paywall.getPurchaseStatus(payment.purchaseId);
+
+        if (status.unlocked) {
+            stopPolling();
+            showUnlockSuccess();
+            setTimeout(() => {
+                closeModal();
+                revealContent(noteId, status.decryptionKey);
+            }, 1500);
+        } else if (status.status === 'expired') {
+            stopPolling();
+            showError('No payment arrived before this purchase expired. If you did pay, prove it with your txid and tx_key.');
+        } else if (status.status === 'completed') {
+            stopPolling();
+            showError('Payment received, but it no longer unlocks this content. Please contact the creator.');
+        } else {
+            if (statusText) {
+                statusText.textContent = status.receivedXmr > 0
+                    ? `Received ${Paywall.formatPrice(status.receivedXmr)} of ${Paywall.formatPrice(status.priceXmr)} - waiting for the rest...`
+                    : 'Waiting for your payment...';
+            }
+            if (checkBtn) checkBtn.disabled = false;
+        }
+    } catch (error) {
+        if (statusText) statusText.textContent = 'Error checking status. Will retry...';
+        if (checkBtn) checkBtn.disabled = false;
+    }
+}
+
 /**
  * Start polling for payment confirmation
  */
@@ -658,6 +907,10 @@ function startConfirmationPolling(payment) {
  * Check if payment is confirmed
  */
 async function checkPaymentConfirmation(payment) {
+    if (payment.autoDetect) {
+        return checkDetectedPayment(payment);
+    }
+
     const statusText = document.getElementById('pendingStatusText');
     const checkBtn = document.getElementById('checkAgainBtn');
 
@@ -669,7 +922,9 @@ async function checkPaymentConfirmation(payment) {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
+                purchase_id: payment.purchaseId || undefined,
                 note_id: currentUnlockNoteId,
+                offer_id: payment.offerId || undefined,
                 buyer_pubkey: State.publicKey,
                 txid: payment.txid,
                 tx_key: payment.txKey
@@ -688,7 +943,8 @@ async function checkPaymentConfirmation(payment) {
             localStorage.setItem(localKey, JSON.stringify({
                 decryptionKey: data.decryption_key,
                 txid: payment.txid,
-                unlockedAt: Date.now()
+                unlockedAt: Date.now(),
+                expiresAt: data.expires_at || null
             }));
 
             removePendingPayment(currentUnlockNoteId);
@@ -728,18 +984,40 @@ export async function checkAllPendingPayments() {
         // Only check if belongs to current user
         if (payment.buyerPubkey !== State.publicKey) continue;
 
-        // Check if expired (1 hour)
-        if (Date.now() - payment.savedAt > 3600000) {
+        // Check if expired
+        if (isPendingPaymentExpired(payment)) {
             removePendingPayment(noteId);
             continue;
         }
 
+        // Subaddress purchase: the server detects the payment by itself
+        if (payment.autoDetect) {
+            try {
+                const status = await Paywall.getPurchaseStatus(payment.purchaseId);
+                if (status.unlocked) {
+                    removePendingPayment(noteId);
+                    try {
+                        await revealContent(noteId, status.decryptionKey);
+                    } catch (e) {
+                        // Content might not be visible, that's ok
+                    }
+                } else if (status.status !== 'pending') {
+                    removePendingPayment(noteId);
+                }
+            } catch (e) {
+                // Silent fail for background checks
+            }
+            continue;
+        }
+
         try {
             const response = await signedFetch('/api/paywall/verify', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
+                    purchase_id: payment.purchaseId || undefined,
                     note_id: noteId,
+                    offer_id: payment.offerId || undefined,
                     buyer_pubkey: State.publicKey,
                     txid: payment.txid,
                     tx_key: payment.txKey
@@ -754,7 +1032,8 @@ export async function checkAllPendingPayments() {
                 localStorage.setItem(localKey, JSON.stringify({
                     decryptionKey: data.decryption_key,
                     txid: payment.txid,
-                    unlockedAt: Date.now()
+                    unlockedAt: Date.now(),
+                    expiresAt: data.expires_at || null
                 }));
 
                 removePendingPayment(noteId);
@@ -793,7 +1072,7 @@ async function showConfirmation(paywall, txPreview) {
     content.innerHTML = `
         <div class="paywall-modal-body">
             <div class="paywall-modal-row">
-                <span class="paywall-modal-label">Content Price</span>
+                <span class="paywall-modal-label">${currentOffer ? Utils.escapeHtml(currentOffer.title) : 'Content Price'}</span>
                 <span class="paywall-modal-value highlight">${priceXmr} XMR</span>
             </div>
             <div class="paywall-modal-row">
@@ -841,7 +1120,16 @@ export async function confirmUnlock() {
             if (msgEl) {
                 msgEl.textContent = progress.message;
             }
-        });
+        }, { offer: currentOffer, purchaseId: currentPurchase?.purchaseId });
+
+        if (result.pending) {
+            // Sent, but this price needs block confirmations first
+            const offerId = currentOffer?.offerId || null;
+            const purchaseId = currentPurchase?.purchaseId || null;
+            savePendingPayment(currentUnlockNoteId, result.txid, result.txKey, offerId, purchaseId);
+            showPendingConfirmation({ txid: result.txid, txKey: result.txKey, offerId, purchaseId, savedAt: Date.now() });
+            return;
+        }
 
         if (result.success) {
             showUnlockSuccess();
@@ -928,6 +1216,8 @@ export function closeModal(event) {
     // Reset state
     currentUnlockNoteId = null;
     currentPaywall = null;
+    currentOffer = null;
+    currentPurchase = null;
     currentTxPreview = null;
 }
 
@@ -1185,6 +1475,13 @@ export function addPaywallToggle(composeContainer) {
                 <div id="paywallPriceInput" class="paywall-price-input">
                     <input type="number" id="paywallPrice" placeholder="0.00015" step="0.00001" min="0.00001" value="0.00015">
                     <span>XMR</span>
+                    <select id="paywallAccessDays" title="How long a purchase unlocks this post">
+                        <option value="">forever</option>
+                        <option value="1">for 1 day</option>
+                        <option value="7">for 7 days</option>
+                        <option value="30">for 30 days</option>
+                        <option value="365">for 1 year</option>
+                    </select>
                 </div>
             </div>
             <div id="paywallPreviewSection" class="paywall-preview-section">
@@ -1197,6 +1494,7 @@ export function addPaywallToggle(composeContainer) {
                     <textarea id="paywallPreviewText" placeholder="Auto-generated from first paragraph..." rows="3" spellcheck="true"></textarea>
                     <div class="paywall-preview-hint">Leave empty to auto-generate from your post's first paragraph</div>
                 </div>
+                <button type="button" class="paywall-offers-link" onclick="NostrPaywall.showOffersManager()">Sell passes &amp; bundles…</button>
             </div>
         </div>
     `;
@@ -1356,12 +1654,13 @@ export function updateAutoPreview() {
 
 /**
  * Get paywall settings from compose UI
- * @returns {Object|null} { enabled, priceXmr, preview } or null
+ * @returns {Object|null} { enabled, priceXmr, preview, accessDays } or null
  */
 export function getPaywallSettings() {
     const checkbox = document.getElementById('paywallEnabled');
     const priceInput = document.getElementById('paywallPrice');
     const previewInput = document.getElementById('paywallPreviewText');
+    const accessInput = document.getElementById('paywallAccessDays');
 
     if (!checkbox?.checked) {
         return null;
@@ -1378,7 +1677,8 @@ export function getPaywallSettings() {
     return {
         enabled: true,
         priceXmr: price,
-        preview: customPreview
+        preview: customPreview,
+        accessDays: parseInt(accessInput?.value, 10) || null
     };
 }
 
@@ -1392,15 +1692,153 @@ export function resetPaywallUI() {
     const previewSection = document.getElementById('paywallPreviewSection');
     const previewText = document.getElementById('paywallPreviewText');
     const previewEdit = document.getElementById('paywallPreviewEdit');
+    const accessInput = document.getElementById('paywallAccessDays');
 
     if (checkbox) checkbox.checked = false;
     if (priceInput) priceInput.value = '0.00015';
+    if (accessInput) accessInput.value = '';
     if (priceContainer) priceContainer.classList.remove('visible');
     if (previewSection) previewSection.classList.remove('visible');
     if (previewText) previewText.value = '';
     if (previewEdit) previewEdit.classList.remove('visible');
 }
 
+// ==================== PASSES & BUNDLES (CREATOR) ====================
+
+/**
+ * Open the pass / bundle manager in the paywall modal
+ */
+export async function showOffersManager() {
+    ensureModalExists();
+
+    const modal = document.getElementById('paywallModalOverlay');
+    const content = document.getElementById('paywallModalContent');
+    document.getElementById('paywallModalTitle').textContent = 'Passes & Bundles';
+
+    if (!State.publicKey) {
+        showError('You must be logged in to sell passes or bundles');
+        modal.classList.add('visible');
+        return;
+    }
+
+    content.innerHTML = `
+        <div class="paywall-progress">
+            <div class="paywall-progress-spinner"></div>
+            <div class="paywall-progress-message">Loading...</div>
+        </div>
+    `;
+    modal.classList.add('visible');
+
+    const [offers, paywalls] = await Promise.all([
+        Paywall.getCreatorOffers(State.publicKey),
+        Paywall.getMyPaywalls()
+    ]);
+    const defaultAddress = document.getElementById('composeMoneroAddress')?.value?.trim() ||
+        localStorage.getItem('user-monero-address') || '';
+
+    content.innerHTML = `
+        <div class="paywall-modal-body">
+            <div class="paywall-offer-list">
+                ${offers.length === 0 ? '<p class="paywall-offer-empty">No passes or bundles yet.</p>' : offers.map(o => `
+                    <div class="paywall-offer-item">
+                        <span class="tier-title">${Utils.escapeHtml(o.title)}</span>
+                        <span class="tier-detail">${o.kind === 'pass' ? 'Pass' : `Bundle · ${o.noteIds?.length || 0} notes`} · ${Utils.escapeHtml(Paywall.formatAccessDays(o.durationDays))}</span>
+                        <span class="tier-price">${Utils.escapeHtml(Paywall.formatPrice(o.priceXmr))}</span>
+                        <button class="paywall-offer-delete" data-offer-id="${Utils.escapeHtml(o.offerId)}" title="Stop selling">✕</button>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="paywall-offer-form">
+                <select id="paywallOfferKind">
+                    <option value="pass">Creator pass (all my paywalled content)</option>
+                    <option value="bundle">Bundle (selected notes)</option>
+                </select>
+                <input type="text" id="paywallOfferTitle" placeholder="Title, e.g. Monthly pass" maxlength="100">
+                <div class="paywall-offer-row">
+                    <input type="number" id="paywallOfferPrice" placeholder="0.01" step="0.00001" min="0.00001">
+                    <span>XMR</span>
+                    <select id="paywallOfferDuration">
+                        <option value="30">for 30 days</option>
+                        <option value="7">for 7 days</option>
+                        <option value="365">for 1 year</option>
+                        <option value="">forever</option>
+                    </select>
+                </div>
+                <input type="text" id="paywallOfferAddress" placeholder="Your Monero address (4… or 8…)">
+                <div id="paywallOfferNotes" class="paywall-offer-notes" style="display: none;">
+                    ${paywalls.length === 0 ? '<p class="paywall-offer-empty">You have no paywalled notes yet.</p>' : paywalls.map(p => `
+                        <label>
+                            <input type="checkbox" value="${Utils.escapeHtml(p.noteId)}">
+                            ${Utils.escapeHtml((p.preview || 'Untitled').substring(0, 60))} · ${Utils.escapeHtml(Paywall.formatPrice(p.priceXmr))}
+                        </label>
+                    `).join('')}
+                </div>
+                <div id="paywallOfferError" class="paywall-offer-error" style="display: none;"></div>
+            </div>
+        </div>
+        <div class="paywall-modal-footer">
+            <button class="paywall-modal-btn cancel" onclick="NostrPaywall.closeModal()">Close</button>
+            <button class="paywall-modal-btn confirm" id="paywallOfferSave">Add Offer</button>
+        </div>
+    `;
+
+    // Address goes in via .value so it never touches the HTML
+    document.getElementById('paywallOfferAddress').value = defaultAddress;
+
+    document.getElementById('paywallOfferKind').addEventListener('change', (e) => {
+        document.getElementById('paywallOfferNotes').style.display = e.target.value === 'bundle' ? 'block' : 'none';
+        document.getElementById('paywallOfferDuration').value = e.target.value === 'bundle' ? '' : '30';
+    });
+
+    content.querySelectorAll('.paywall-offer-delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm('Stop selling this offer? Existing buyers keep their access.')) return;
+            try {
+                await Paywall.deleteOffer(btn.dataset.offerId);
+                await showOffersManager();
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    });
+
+    document.getElementById('paywallOfferSave').addEventListener('click', saveOfferFromForm);
+}
+
+/**
+ * Validate the offer form and save it
+ */
+async function saveOfferFromForm() {
+    const errorEl = document.getElementById('paywallOfferError');
+    const kind = document.getElementById('paywallOfferKind').value;
+    const title = document.getElementById('paywallOfferTitle').value.trim();
+    const priceXmr = parseFloat(document.getElementById('paywallOfferPrice').value);
+    const durationDays = parseInt(document.getElementById('paywallOfferDuration').value, 10) || null;
+    const paymentAddress = document.getElementById('paywallOfferAddress').value.trim();
+    const noteIds = [...document.querySelectorAll('#paywallOfferNotes input:checked')].map(el => el.value);
+
+    let error = null;
+    if (!title) error = 'Please enter a title';
+    else if (isNaN(priceXmr) || priceXmr <= 0) error = 'Please enter a valid price';
+    else if (!isValidMoneroAddress(paymentAddress)) error = 'Please enter a valid Monero address';
+    else if (kind === 'bundle' && noteIds.length < 2) error = 'Pick at least two notes for a bundle';
+
+    if (error) {
+        errorEl.textContent = error;
+        errorEl.style.display = 'block';
+        return;
+    }
+
+    try {
+        await Paywall.saveOffer({ kind, title, priceXmr, paymentAddress, durationDays, noteIds });
+        await showOffersManager();
+    } catch (err) {
+        errorEl.textContent = err.message;
+        errorEl.style.display = 'block';
+    }
+}
+
 // ==================== GLOBAL EXPORTS ====================
 
 // Note: window.NostrPaywall is set in app.js by merging Paywall and PaywallUI modules
@@ -1418,7 +1856,9 @@ if (typeof window !== 'undefined') {
         processPaywalledNotes,
         addPaywallToggle,
         getPaywallSettings,
-        resetPaywallUI
+        resetPaywallUI,
+        selectTier,
+        showOffersManager
     };
 
     if (window.NostrPaywall) {
@@ -2,8 +2,10 @@
  * Nosmero Paywall Module - Frontend
  *
  * Handles:
- * - Creator: Encrypt content, set price, publish paywalled note
- * - Buyer: Unlock content by paying with Nosmero wallet
+ * - Creator: Encrypt content, set price (optionally as an N-day rental),
+ *   publish paywalled note, sell passes and bundles
+ * - Buyer: Unlock content by paying with Nosmero wallet, per note or through
+ *   a creator pass / bundle
  *
  * Key design: Instant unlock when using Nosmero wallet (tx_key auto-captured)
  */
@@ -20,6 +22,7 @@ const paywallCache = {};
 
 // Cache for user's unlocks
 let userUnlocksCache = null;
+let userGrantsCache = null;
 let userUnlocksCacheTime = 0;
 const UNLOCKS_CACHE_TTL = 60000; // 1 minute
 
@@ -168,10 +171,13 @@ export function generateAutoPreview(content, maxLength = 280) {
  * @param {string} noteId - Note ID (optional, filled after publish)
  * @returns {string} Formatted content for Nostr event
  */
-export function formatNoteContentForOtherClients(preview, priceXmr, noteId = null) {
+export function formatNoteContentForOtherClients(preview, priceXmr, noteId = null, accessDays = null) {
     const priceStr = priceXmr.toFixed(12).replace(/\.?0+$/, '');
 
     let content = `🔒 Premium Content\n\n${preview}\n\n---\n💰 Unlock for ${priceStr} XMR`;
+    if (accessDays) {
+        content += ` (${formatAccessDays(accessDays)} access)`;
+    }
 
     if (noteId) {
         content += `\n🔗 https://nosmero.com/note/${noteId}`;
@@ -193,9 +199,10 @@ export function formatNoteContentForOtherClients(preview, priceXmr, noteId = nul
  * @param {string} params.preview - Preview text (shown before unlock) - optional, auto-generated if not provided
  * @param {number} params.priceXmr - Price in XMR
  * @param {string} params.paymentAddress - Creator's XMR address
- * @returns {Promise<Object>} { encryptedContent, decryptionKey, preview, publicContent, priceXmr, paymentAddress }
+ * @param {number|null} params.accessDays - Rental length in days (null = unlock forever)
+ * @returns {Promise<Object>} { encryptedContent, decryptionKey, preview, publicContent, priceXmr, paymentAddress, accessDays }
  */
-export async function createPaywalledContent({ content, preview, priceXmr, paymentAddress, existingKey }) {
+export async function createPaywalledContent({ content, preview, priceXmr, paymentAddress, existingKey, accessDays = null }) {
     // Validate inputs
     if (!content || content.trim().length === 0) {
         throw new Error('Content is required');
@@ -228,7 +235,7 @@ export async function createPaywalledContent({ content, preview, priceXmr, payme
     const encryptedContent = await encryptContent(content, key);
 
     // Format public content for other clients
-    const publicContent = formatNoteContentForOtherClients(finalPreview, priceXmr);
+    const publicContent = formatNoteContentForOtherClients(finalPreview, priceXmr, null, accessDays);
 
     return {
         encryptedContent,
@@ -236,7 +243,8 @@ export async function createPaywalledContent({ content, preview, priceXmr, payme
         preview: finalPreview,
         publicContent, // This goes in the Nostr event 'content' field
         priceXmr,
-        paymentAddress
+        paymentAddress,
+        accessDays: accessDays || null
     };
 }
 
@@ -249,9 +257,10 @@ export async function createPaywalledContent({ content, preview, priceXmr, payme
  * @param {string} params.preview - Preview text
  * @param {number} params.priceXmr - Price
  * @param {string} params.paymentAddress - Creator's XMR address
+ * @param {number|null} params.accessDays - Rental length in days (null = forever)
  * @returns {Promise<Object>}
  */
-export async function registerPaywall({ noteId, encryptedContent, decryptionKey, preview, priceXmr, paymentAddress }) {
+export async function registerPaywall({ noteId, encryptedContent, decryptionKey, preview, priceXmr, paymentAddress, accessDays = null }) {
     const creatorPubkey = State.publicKey;
     if (!creatorPubkey) {
         throw new Error('Must be logged in to create paywall');
@@ -267,7 +276,8 @@ export async function registerPaywall({ noteId, encryptedContent, decryptionKey,
             price_xmr: priceXmr,
             decryption_key: decryptionKey,
             preview,
-            encrypted_content: encryptedContent
+            encrypted_content: encryptedContent,
+            access_days: accessDays || null
         })
     });
 
@@ -379,8 +389,10 @@ export async function checkUnlocked(noteId, { forceBackend = false } = {}) {
         if (localData) {
             try {
                 const parsed = JSON.parse(localData);
-                if (parsed.decryptionKey) {
-                    return { unlocked: true, decryptionKey: parsed.decryptionKey };
+                // Rentals and passes carry an expiry; once it passes, ask
+                // the backend again (the buyer may have renewed)
+                if (parsed.decryptionKey && (!parsed.expiresAt || parsed.expiresAt > Date.now())) {
+                    return { unlocked: true, decryptionKey: parsed.decryptionKey, expiresAt: parsed.expiresAt || null };
                 }
             } catch (e) {}
         }
@@ -396,9 +408,13 @@ export async function checkUnlocked(noteId, { forceBackend = false } = {}) {
             // Cache locally
             localStorage.setItem(localKey, JSON.stringify({
                 decryptionKey: data.decryption_key,
-                unlockedAt: Date.now()
+                unlockedAt: Date.now(),
+                expiresAt: data.expires_at || null
             }));
-            return { unlocked: true, decryptionKey: data.decryption_key };
+            return { unlocked: true, decryptionKey: data.decryption_key, expiresAt: data.expires_at || null };
+        }
+        if (data.success) {
+            localStorage.removeItem(localKey);
         }
     } catch (e) {
         console.warn('[Paywall] Check unlock failed:', e);
@@ -428,6 +444,7 @@ export async function getMyUnlocks() {
 
         if (data.success) {
             userUnlocksCache = data.unlocks || [];
+            userGrantsCache = data.grants || [];
             userUnlocksCacheTime = Date.now();
             return userUnlocksCache;
         }
@@ -438,6 +455,49 @@ export async function getMyUnlocks() {
     return [];
 }
 
+/**
+ * Get the passes and bundles the current user has bought
+ * @returns {Promise<Object[]>} Grants, newest first ({ offerId, kind, title, expiresAt, ... })
+ */
+export async function getMyGrants() {
+    await getMyUnlocks();
+    return userGrantsCache || [];
+}
+
+/**
+ * Register a purchase attempt with the backend before the buyer pays.
+ * Lets the creator dashboard measure conversion; the unlock itself still
+ * works without it, so failures are non-fatal.
+ * @param {string} noteId
+ * @param {Object|null} offer - Pass/bundle being bought instead of the note
+ * @returns {Promise<Object|null>} Purchase ({ purchaseId, priceXmr, ... }) or null
+ */
+export async function initiatePurchase(noteId, offer = null) {
+    const buyerPubkey = State.publicKey;
+    if (!buyerPubkey) {
+        return null;
+    }
+
+    try {
+        const response = await signedFetch(`${API_BASE}/purchase`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                note_id: noteId,
+                offer_id: offer?.offerId || undefined,
+                buyer_pubkey: buyerPubkey
+            })
+        });
+        const data = await response.json();
+        if (data.success && data.purchase) {
+            return data.purchase;
+        }
+    } catch (e) {
+        console.warn('[Paywall] Initiate purchase failed:', e);
+    }
+    return null;
+}
+
 /**
  * Unlock paywalled content by paying with Nosmero wallet
  * This is the main unlock flow
@@ -526,9 +586,13 @@ export async function unlockContent(noteId, onProgress = () => {}) {
  * @param {string} noteId
  * @param {Object} paywall - Paywall info
  * @param {Function} onProgress
- * @returns {Promise<{success: boolean, decryptionKey: string}>}
+ * @param {Object} [options]
+ * @param {Object|null} [options.offer] - Pass/bundle being bought instead of the single note
+ * @param {string|null} [options.purchaseId] - Purchase from initiatePurchase()
+ * @returns {Promise<{success: boolean, decryptionKey: string, expiresAt: number|null}>}
+ *   or { success: false, pending: true, txid, txKey } while confirmations are still needed
  */
-export async function completeUnlock(noteId, paywall, onProgress = () => {}) {
+export async function completeUnlock(noteId, paywall, onProgress = () => {}, { offer = null, purchaseId = null } = {}) {
     const buyerPubkey = State.publicKey;
     const MoneroClient = await import('./wallet/monero-client.js');
 
@@ -543,7 +607,9 @@ export async function completeUnlock(noteId, paywall, onProgress = () => {}) {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
+            purchase_id: purchaseId || undefined,
             note_id: noteId,
+            offer_id: offer?.offerId || undefined,
             buyer_pubkey: buyerPubkey,
             txid: txHash,
             tx_key: txKey
@@ -552,6 +618,13 @@ export async function completeUnlock(noteId, paywall, onProgress = () => {}) {
 
     const data = await response.json();
 
+    // Larger prices need block confirmations before they unlock; the payment
+    // is sent, so hand the proof back for the caller to keep polling with
+    if (!data.success && data.error?.includes('not confirmed')) {
+        onProgress({ step: 'pending', message: 'Waiting for confirmations...' });
+        return { success: false, pending: true, txid: txHash, txKey };
+    }
+
     if (!data.success) {
         throw new Error(data.error || 'Payment verification failed');
     }
@@ -561,7 +634,8 @@ export async function completeUnlock(noteId, paywall, onProgress = () => {}) {
     localStorage.setItem(localKey, JSON.stringify({
         decryptionKey: data.decryption_key,
         txid: txHash,
-        unlockedAt: Date.now()
+        unlockedAt: Date.now(),
+        expiresAt: data.expires_at || null
     }));
 
     // Clear unlocks cache to force refresh
@@ -572,10 +646,318 @@ export async function completeUnlock(noteId, paywall, onProgress = () => {}) {
     return {
         success: true,
         decryptionKey: data.decryption_key,
-        txid: txHash
+        txid: txHash,
+        expiresAt: data.expires_at || null
     };
 }
 
+// ==================== OFFERS (PASSES & BUNDLES) ====================
+
+/**
+ * Get a creator's active passes and bundles
+ * @param {string} creatorPubkey
+ * @returns {Promise<Object[]>}
+ */
+export async function getCreatorOffers(creatorPubkey) {
+    try {
+        const response = await fetch(`${API_BASE}/offers/${creatorPubkey}`);
+        const data = await response.json();
+        if (data.success) {
+            return data.offers || [];
+        }
+    } catch (e) {
+        console.warn('[Paywall] Failed to get offers:', e);
+    }
+    return [];
+}
+
+/**
+ * Get the current user's paywalled notes (for picking bundle contents)
+ * @returns {Promise<Object[]>}
+ */
+export async function getMyPaywalls() {
+    const creatorPubkey = State.publicKey;
+    if (!creatorPubkey) {
+        return [];
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/by-creator/${creatorPubkey}`);
+        const data = await response.json();
+        if (data.success) {
+            return data.paywalls || [];
+        }
+    } catch (e) {
+        console.warn('[Paywall] Failed to get own paywalls:', e);
+    }
+    return [];
+}
+
+/**
+ * Create or update a pass / bundle for the current user
+ * @param {Object} params
+ * @param {string} [params.offerId] - Existing offer to update
+ * @param {string} params.kind - 'pass' or 'bundle'
+ * @param {string} params.title
+ * @param {number} params.priceXmr
+ * @param {string} params.paymentAddress
+ * @param {number|null} params.durationDays - null = never expires
+ * @param {string[]} [params.noteIds] - Bundle contents
+ * @returns {Promise<Object>} Saved offer
+ */
+export async function saveOffer({ offerId, kind, title, priceXmr, paymentAddress, durationDays = null, noteIds = [] }) {
+    const creatorPubkey = State.publicKey;
+    if (!creatorPubkey) {
+        throw new Error('Must be logged in to sell passes or bundles');
+    }
+
+    const response = await signedFetch(`${API_BASE}/offers`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            offer_id: offerId || undefined,
+            creator_pubkey: creatorPubkey,
+            kind,
+            title,
+            price_xmr: priceXmr,
+            payment_address: paymentAddress,
+            duration_days: durationDays || null,
+            note_ids: noteIds
+        })
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to save offer');
+    }
+
+    clearPaywallInfoCache();
+    return data.offer;
+}
+
+/**
+ * Stop selling a pass / bundle. Buyers keep what they already paid for.
+ * @param {string} offerId
+ */
+export async function deleteOffer(offerId) {
+    const response = await signedFetch(`${API_BASE}/offers/${offerId}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ creator_pubkey: State.publicKey })
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to delete offer');
+    }
+
+    clearPaywallInfoCache();
+}
+
+// Cached paywall info embeds the offer list, so drop it when offers change
+function clearPaywallInfoCache() {
+    for (const id of Object.keys(paywallCache)) {
+        delete paywallCache[id];
+    }
+}
+
+// ==================== CREATOR DASHBOARD ====================
+
+/**
+ * Get the current user's creator dashboard
+ * @param {number} days - Timeline / conversion window
+ * @returns {Promise<Object>} { totals, notes, offers, timeline, conversion, buyers }
+ */
+export async function getCreatorDashboard(days = 30) {
+    const creatorPubkey = State.publicKey;
+    if (!creatorPubkey) {
+        throw new Error('Must be logged in to view earnings');
+    }
+
+    const response = await signedFetch(`${API_BASE}/creator-dashboard/${creatorPubkey}?days=${encodeURIComponent(days)}`);
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to load dashboard');
+    }
+    return data.dashboard;
+}
+
+/**
+ * Download the current user's verified payments as CSV
+ */
+export async function downloadPaymentsCsv() {
+    const creatorPubkey = State.publicKey;
+    if (!creatorPubkey) {
+        throw new Error('Must be logged in to export payments');
+    }
+
+    const response = await signedFetch(`${API_BASE}/creator-export/${creatorPubkey}`);
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to export payments');
+    }
+
+    const blob = await response.blob();
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'nosmero-paywall-payments.csv';
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Whether the current user is listed in creators' public top buyers
+ * @returns {Promise<boolean>}
+ */
+export async function getSupporterVisibility() {
+    const buyerPubkey = State.publicKey;
+    if (!buyerPubkey) return false;
+
+    try {
+        const response = await signedFetch(`${API_BASE}/supporter-visibility/${buyerPubkey}`);
+        const data = await response.json();
+        return !!data.show_publicly;
+    } catch (e) {
+        console.warn('[Paywall] Get supporter visibility failed:', e);
+        return false;
+    }
+}
+
+/**
+ * Opt in or out of creators' public top buyers lists
+ * @param {boolean} showPublicly
+ */
+export async function setSupporterVisibility(showPublicly) {
+    const response = await signedFetch(`${API_BASE}/supporter-visibility`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            buyer_pubkey: State.publicKey,
+            show_publicly: !!showPublicly
+        })
+    });
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to update visibility');
+    }
+}
+
+// ==================== AUTOMATIC PAYMENT DETECTION ====================
+
+/**
+ * Poll a purchase. For subaddress purchases (autoDetect) the server spots
+ * the payment on its own; once it has, the decryption key comes back here.
+ * @param {string} purchaseId
+ * @returns {Promise<Object|null>} { status, paymentAddress, priceXmr, receivedXmr, expiresAt, unlocked, decryptionKey, accessExpiresAt } or null
+ */
+export async function getPurchaseStatus(purchaseId) {
+    const buyerPubkey = State.publicKey;
+    if (!buyerPubkey || !purchaseId) {
+        return null;
+    }
+
+    const response = await signedFetch(`${API_BASE}/purchase/${purchaseId}/${buyerPubkey}`);
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to get purchase status');
+    }
+
+    if (data.unlocked) {
+        const localKey = `paywall_unlocked_${data.note_id}_${buyerPubkey}`;
+        localStorage.setItem(localKey, JSON.stringify({
+            decryptionKey: data.decryption_key,
+            unlockedAt: Date.now(),
+            expiresAt: data.access_expires_at || null
+        }));
+        userUnlocksCache = null;
+    }
+
+    return {
+        purchaseId,
+        offerId: data.offer_id || null,
+        status: data.status,
+        autoDetect: !!data.auto_detect,
+        paymentAddress: data.payment_address,
+        priceXmr: data.price_xmr,
+        receivedXmr: data.received_xmr || 0,
+        expiresAt: data.expires_at,
+        unlocked: !!data.unlocked,
+        decryptionKey: data.decryption_key || null,
+        accessExpiresAt: data.access_expires_at || null
+    };
+}
+
+/**
+ * Whether the current user (as a creator) has automatic payment detection on
+ * @returns {Promise<{ enabled: boolean, primaryAddress?: string, restoreHeight?: number }>}
+ */
+export async function getViewKeyStatus() {
+    const creatorPubkey = State.publicKey;
+    if (!creatorPubkey) {
+        return { enabled: false };
+    }
+
+    try {
+        const response = await signedFetch(`${API_BASE}/view-key/${creatorPubkey}`);
+        const data = await response.json();
+        if (data.success) {
+            return {
+                enabled: !!data.enabled,
+                primaryAddress: data.primary_address || null,
+                restoreHeight: data.restore_height ?? null
+            };
+        }
+    } catch (e) {
+        console.warn('[Paywall] Get view key status failed:', e);
+    }
+    return { enabled: false };
+}
+
+/**
+ * Register the creator's private view key. Only payments to this primary
+ * address get per-purchase subaddresses. A view key can see incoming
+ * payments but cannot spend.
+ * @param {string} primaryAddress
+ * @param {string} viewKey - Private view key (64 hex)
+ * @param {number} [restoreHeight] - Wallet creation height (speeds up scanning)
+ */
+export async function registerViewKey(primaryAddress, viewKey, restoreHeight = 0) {
+    const response = await signedFetch(`${API_BASE}/view-key`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            creator_pubkey: State.publicKey,
+            primary_address: primaryAddress,
+            view_key: viewKey,
+            restore_height: restoreHeight
+        })
+    });
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to register view key');
+    }
+    return data;
+}
+
+/**
+ * Turn automatic payment detection off again
+ */
+export async function removeViewKey() {
+    const response = await signedFetch(`${API_BASE}/view-key/${State.publicKey}`, {
+        method: 'DELETE'
+    });
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to remove view key');
+    }
+}
+
 /**
  * Decrypt content with key
  * @param {string} encryptedContent - Base64 encrypted blob
@@ -599,6 +981,30 @@ export function formatPrice(priceXmr) {
     return priceXmr.toFixed(12).replace(/\.?0+$/, '') + ' XMR';
 }
 
+/**
+ * Format an access duration for display
+ * @param {number|null} days - null = forever
+ * @returns {string} e.g. "30-day", "1-year", "lifetime"
+ */
+export function formatAccessDays(days) {
+    if (!days) return 'lifetime';
+    if (days % 365 === 0) return `${days / 365}-year`;
+    return `${days}-day`;
+}
+
+/**
+ * Format an access expiry timestamp for display
+ * @param {number|null} expiresAt - ms timestamp, null = never
+ * @returns {string}
+ */
+export function formatExpiry(expiresAt) {
+    if (!expiresAt) return 'never expires';
+    const days = Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+    if (days <= 0) return 'expired';
+    if (days === 1) return 'expires in 1 day';
+    return `expires in ${days} days`;
+}
+
 /**
  * Check if a note has paywall (from tags or content pattern)
  * @param {Object} event - Nostr event
@@ -629,7 +1035,7 @@ export function isPaywalled(event) {
 /**
  * Get paywall metadata from note tags or content
  * @param {Object} event - Nostr event
- * @returns {Object|null} { priceXmr, paymentAddress, preview }
+ * @returns {Object|null} { priceXmr, paymentAddress, preview, accessDays }
  */
 export function getPaywallMetadata(event) {
     if (!event) return null;
@@ -641,7 +1047,8 @@ export function getPaywallMetadata(event) {
             return {
                 priceXmr: parseFloat(paywallTag[1]) || 0,
                 paymentAddress: paywallTag[2] || '',
-                preview: event.tags.find(t => t[0] === 'preview')?.[1] || ''
+                preview: event.tags.find(t => t[0] === 'preview')?.[1] || '',
+                accessDays: parseInt(event.tags.find(t => t[0] === 'paywall_access')?.[1], 10) || null
             };
         }
     }
@@ -677,14 +1084,19 @@ export function getPaywallMetadata(event) {
  * @param {string} params.paymentAddress
  * @param {string} params.preview
  * @param {string} params.encryptedContent
+ * @param {number|null} params.accessDays - Adds a paywall_access tag for rentals
  * @returns {string[][]} Tags array
  */
-export function createPaywallTags({ priceXmr, paymentAddress, preview, encryptedContent }) {
-    return [
+export function createPaywallTags({ priceXmr, paymentAddress, preview, encryptedContent, accessDays = null }) {
+    const tags = [
         ['paywall', priceXmr.toString(), paymentAddress],
         ['preview', preview],
         ['encrypted', encryptedContent]
     ];
+    if (accessDays) {
+        tags.push(['paywall_access', String(accessDays)]);
+    }
+    return tags;
 }
 
 /**
@@ -695,7 +1107,8 @@ export function createPaywallTags({ priceXmr, paymentAddress, preview, encrypted
  */
 export function renderLockedPreview(event, paywall) {
     const preview = paywall.preview || 'Premium content';
-    const price = formatPrice(paywall.priceXmr);
+    const price = formatPrice(paywall.priceXmr) +
+        (paywall.accessDays ? ` / ${formatAccessDays(paywall.accessDays)}` : '');
 
     return `
         <div class="paywall-locked" data-note-id="${event.id}">
@@ -7,7 +7,11 @@ import * as Relays from './relays.js';
 import * as UI from './ui/index.js';
 import * as PaywallUI from './paywall-ui.js';
 import * as FeedCache from './feed-cache.js';
+import * as TipVerification from './tip-verification.js';
+import * as TipSplits from './tip-splits.js';
 import * as IpfsPins from './ipfs-pins.js';
+import * as Outbox from './outbox-planner.js';
+import * as PublishOutbox from './publish-outbox.js';
 import { isNewerVersion } from './replaceable.js';
 
 // Constants for feed management
@@ -424,7 +428,7 @@ export async function loadTrendingFeed(forceRefresh = false) {
         }
 
         // Import search module to use its hashtag search
-        const Search = await import('./search.js');
+        const Search = await import('./search.js?v=2.0.1');
         const Relays = await import('./relays.js');
 
         const pool = State.pool;
@@ -673,7 +677,7 @@ async function loadTrendingFeedForAnonymous(forceRefresh = false) {
         console.log('🔍 Loading trending feed from relays...');
 
         // Import search module to use its hashtag search
-        const Search = await import('./search.js');
+        const Search = await import('./search.js?v=2.0.1');
         const Relays = await import('./relays.js');
 
         const pool = State.pool;
@@ -1237,7 +1241,7 @@ async function loadTrendingFeedForNewUser() {
         // If no cache, fall back to live search
         if (trendingNotes.length === 0) {
             console.log('🔍 Loading trending from relays...');
-            const Search = await import('./search.js');
+            const Search = await import('./search.js?v=2.0.1');
 
             const allNotes = [];
             const noteIds = new Set();
@@ -2374,7 +2378,6 @@ async function streamRelayPosts() {
     }
 
     const followingArray = appendOwnPubkeyIfEnabled(Array.from(currentFollowingList));
-    const readRelays = Relays.getUserDataRelays();
     const INITIAL_LIMIT = 200; // Generous limit to catch multiple users
 
     console.log(`📡 Loading initial ${INITIAL_LIMIT} posts from ${followingArray.length} followed users...`);
@@ -2390,13 +2393,11 @@ async function streamRelayPosts() {
     const freshEventsForCache = []; // Batched IndexedDB writes at end of stream
 
     try {
-        feedSub = State.pool.subscribeMany(readRelays, [
-            {
-                kinds: [1, 6], // Text notes and reposts
-                authors: followingArray,
-                limit: INITIAL_LIMIT
-            }
-        ], {
+        // Each followed user is read from their own NIP-65 write relays
+        feedSub = await Outbox.subscribeOutbox(followingArray, {
+            kinds: [1, 6], // Text notes and reposts
+            limit: INITIAL_LIMIT
+        }, {
             onevent(event) {
                 // Check if aborted during event processing
                 if (State.homeFeedAbortController?.signal.aborted) {
@@ -2428,6 +2429,13 @@ async function streamRelayPosts() {
             }
         });
 
+        // Relay lists may have taken a moment; don't keep going if the user left
+        if (State.homeFeedAbortController?.signal.aborted) {
+            feedSub.close();
+            console.log('🛑 Feed loading aborted while planning relays');
+            return;
+        }
+
         // Let subscription run for 6 seconds to collect posts
         await new Promise((resolve, reject) => {
             timeoutId = setTimeout(resolve, 6000);
@@ -3052,34 +3060,7 @@ export async function renderFeed(loadMore = false) {
                     }
                     <button class="action-btn" onclick="showNoteMenu('${post.id}', event)">⋯</button>
                 </div>
-                ${(disclosedTips.disclosed.count > 0 || disclosedTips.verified.count > 0 || disclosedTips.mutedCount > 0) ? `
-                <div style="padding: 8px 12px; margin-top: 8px; background: linear-gradient(135deg, rgba(255, 102, 0, 0.1), rgba(139, 92, 246, 0.1)); border-radius: 8px; border: 1px solid rgba(255, 102, 0, 0.2);">
-                    ${disclosedTips.verified.count > 0 ? `
-                    <div style="display: flex; align-items: center; justify-content: space-between; font-size: 13px; margin-bottom: ${disclosedTips.disclosed.count > 0 ? '6px' : '0'};">
-                        <div style="color: #10B981; font-weight: bold;">
-                            ✓ Verified Tips: ${disclosedTips.verified.totalXMR.toFixed(4)} XMR (${disclosedTips.verified.count})
-                        </div>
-                    </div>
-                    ` : ''}
-                    ${disclosedTips.disclosed.count > 0 ? `
-                    <div style="display: flex; align-items: center; justify-content: space-between; font-size: 13px;">
-                        <div style="color: #FF6600; font-weight: bold;">
-                            💰 Disclosed Tips: ${disclosedTips.disclosed.totalXMR.toFixed(4)} XMR (${disclosedTips.disclosed.count})
-                        </div>
-                    </div>
-                    ` : ''}
-                    ${disclosedTips.mutedCount > 0 ? `
-                    <div style="font-size: 12px; color: #999; margin-top: 4px;">
-                        [${disclosedTips.mutedCount} muted by author]
-                    </div>
-                    ` : ''}
-                    ${(disclosedTips.disclosed.count > 0 || disclosedTips.verified.count > 0) ? `
-                    <div style="margin-top: 6px;">
-                        <button onclick="showDisclosedTipDetails('${post.id}', event)" style="background: none; border: 1px solid #FF6600; color: #FF6600; padding: 4px 8px; border-radius: 4px; font-size: 11px; cursor: pointer;">View Details</button>
-                    </div>
-                    ` : ''}
-                </div>
-                ` : ''}
+                ${renderTipSummary(post.id, disclosedTips)}
                 </div>
             </div>
         `;
@@ -3188,18 +3169,16 @@ async function fetchMorePostsInBackground() {
     console.log('🔄 Starting background fetch for more posts...');
 
     const followingArray = appendOwnPubkeyIfEnabled(Array.from(currentFollowingList));
-    const readRelays = Relays.getUserDataRelays();
     const FETCH_LIMIT = 200;
 
+    let feedSub = null;
+
     try {
-        const feedSub = State.pool.subscribeMany(readRelays, [
-            {
-                kinds: [1, 6], // Text notes and reposts
-                authors: followingArray,
-                until: oldestCachedTimestamp, // Older than what we have
-                limit: FETCH_LIMIT
-            }
-        ], {
+        feedSub = await Outbox.subscribeOutbox(followingArray, {
+            kinds: [1, 6], // Text notes and reposts
+            until: oldestCachedTimestamp, // Older than what we have
+            limit: FETCH_LIMIT
+        }, {
             onevent(event) {
                 // Add to cache, avoiding duplicates
                 if (!cachedHomeFeedPosts.find(p => p.id === event.id)) {
@@ -3217,7 +3196,7 @@ async function fetchMorePostsInBackground() {
                 }
             },
             oneose() {
-                feedSub.close();
+                if (feedSub) feedSub.close();
             }
         });
 
@@ -3247,6 +3226,27 @@ async function fetchMorePostsInBackground() {
 
 // ==================== POST UTILITIES ====================
 
+/**
+ * Publish a signed note through the publish outbox, which keeps it and
+ * retries relays that don't answer. When no relay has it yet (offline, or
+ * every relay timed out) the user is told it's queued; when every relay
+ * refused it, that's an error.
+ * @param {Object} signedEvent
+ * @param {string[]} relays
+ * @param {string} label - What it is, e.g. 'Note' or 'Reply'
+ * @returns {Promise<boolean>} True if at least one relay accepted it
+ */
+async function publishWithOutbox(signedEvent, relays, label) {
+    const result = await PublishOutbox.publishEvent(signedEvent, relays, { label });
+    if (result.accepted.length > 0) return true;
+
+    if (result.pending.length === 0) {
+        throw new Error(`No relay accepted the ${label.toLowerCase()} (${result.rejected[0]?.reason || 'rejected'})`);
+    }
+    Utils.showNotification(`${label} saved to your outbox. It will be sent as soon as a relay can be reached.`, 'info');
+    return false;
+}
+
 // ==================== REPOST UTILITIES ====================
 
 /**
@@ -3607,11 +3607,11 @@ async function doQuickRepost() {
     // Publish to your write relays + original author's read relays (inbox)
     const authorInbox = await Relays.getInboxRelays(currentRepostPost.pubkey);
     const publishRelays = [...new Set([...Relays.getWriteRelays(), ...authorInbox])];
-    await State.pool.publish(publishRelays, signedEvent);
+    const published = await publishWithOutbox(signedEvent, publishRelays, 'Repost');
 
     State.repostedPosts.add(currentRepostPost.id);
     updateRepostButton(currentRepostPost.id, true);
-    Utils.showNotification('Note reposted!', 'success');
+    if (published) Utils.showNotification('Note reposted!', 'success');
 }
 
 // Perform quote repost (kind 1 with embedded note)
@@ -3643,7 +3643,7 @@ async function doQuoteRepost() {
         tags: [
             ['e', currentRepostPost.id, relayHint, 'mention'],
             ['p', currentRepostPost.pubkey, relayHint],
-            ['q', currentRepostPost.id], // Quote tag
+            ['q', currentRepostPost.id, relayHint, currentRepostPost.pubkey], // Quote tag (NIP-18)
             ['client', 'nosmero']
         ],
         content: noteContent
@@ -3655,9 +3655,9 @@ async function doQuoteRepost() {
     // Publish to your write relays + original author's read relays (inbox)
     const authorInbox = await Relays.getInboxRelays(currentRepostPost.pubkey);
     const publishRelays = [...new Set([...Relays.getWriteRelays(), ...authorInbox])];
-    await State.pool.publish(publishRelays, signedEvent);
-
-    Utils.showNotification('Quote note published!', 'success');
+    if (await publishWithOutbox(signedEvent, publishRelays, 'Quote note')) {
+        Utils.showNotification('Quote note published!', 'success');
+    }
 
     // Refresh feed to show new post (force fresh to bypass cache)
     setTimeout(async () => await loadFeedRealtime(), 1000);
@@ -3796,9 +3796,9 @@ export async function sendReply(replyToId) {
         console.log('  Your write relays:', myWriteRelays.length);
         console.log('  Recipient inbox relays:', recipientInbox);
         console.log('  Combined publish relays:', publishRelays.length, publishRelays);
-        await State.pool.publish(publishRelays, signedEvent);
-
-        Utils.showNotification('Reply published!', 'success');
+        if (await publishWithOutbox(signedEvent, publishRelays, 'Reply')) {
+            Utils.showNotification('Reply published!', 'success');
+        }
         document.getElementById('replyModal').style.display = 'none';
         document.getElementById('replyContent').value = '';
         removeMedia('reply');
@@ -4074,11 +4074,13 @@ export async function fetchDisclosedTips(postsOrIds) {
 
         // Handle both postIds array and posts array
         let postIds, authorMuteLists;
+        const postsById = {}; // For the recipient address proofs are checked against
 
         if (postsOrIds.length > 0 && typeof postsOrIds[0] === 'object' && postsOrIds[0].id) {
             // Array of post objects - extract IDs and fetch author mute lists
             const posts = postsOrIds;
             postIds = posts.map(p => p.id);
+            posts.forEach(post => { postsById[post.id] = post; });
 
             // Fetch mute lists for all unique post authors
             const uniqueAuthors = [...new Set(posts.map(p => p.pubkey))];
@@ -4113,10 +4115,11 @@ export async function fetchDisclosedTips(postsOrIds) {
 
         const disclosures = {};
 
-        // Initialize disclosures for all post IDs with separate verified/disclosed tracking
+        // Initialize disclosures for all post IDs with separate verified/pending/disclosed tracking
         postIds.forEach(id => {
             disclosures[id] = {
                 disclosed: { totalXMR: 0, count: 0, tips: [] },  // Unverified tips
+                pending: { totalXMR: 0, count: 0, tips: [] },    // Proof not checked/confirmed yet
                 verified: { totalXMR: 0, count: 0, tips: [] },    // Verified tips
                 mutedCount: 0,
                 tips: []  // All tips (for backward compatibility)
@@ -4124,9 +4127,16 @@ export async function fetchDisclosedTips(postsOrIds) {
         });
 
         return new Promise((resolve) => {
+            let settled = false;
+            const finish = () => {
+                if (settled) return;
+                settled = true;
+                verifyDisclosedTips(disclosures).then(() => resolve(disclosures));
+            };
+
             const timeout = setTimeout(() => {
                 console.log('⏱️ Disclosure fetch timeout (2s), returning current data');
-                resolve(disclosures);
+                finish();
             }, 2000);
 
             const sub = State.pool.subscribeMany([nosmeroRelay], [
@@ -4159,7 +4169,7 @@ export async function fetchDisclosedTips(postsOrIds) {
                         const tipperTag = event.tags.find(tag => tag[0] === 'P');
                         const tipperPubkey = tipperTag ? tipperTag[1] : null;
 
-                        // Check if tip is verified
+                        // Check if tip claims to be verified (checked against the chain below)
                         const verifiedTag = event.tags.find(tag => tag[0] === 'verified');
                         const isVerified = verifiedTag && verifiedTag[1] === 'true';
 
@@ -4177,40 +4187,38 @@ export async function fetchDisclosedTips(postsOrIds) {
                         }
 
                         if (isVerified) {
-                            console.log('  ✓ Verified tip:', amount, 'XMR', txidTag ? `(TXID: ${txidTag[1].substring(0, 16)}...)` : '');
+                            console.log('  ✓ Claimed verified tip:', amount, 'XMR', txidTag ? `(TXID: ${txidTag[1].substring(0, 16)}...)` : '');
                         }
 
                         if (amount > 0) {
+                            const hasProof = isVerified && txidTag?.[1] && txKeyTag?.[1];
+                            const recipientPubkey = event.tags.find(tag => tag[0] === 'p')?.[1] || null;
+                            const post = postsById[referencedPostId];
+
                             const tipData = {
+                                eventId: event.id,
                                 amount,
                                 tipper: tipperPubkey,
                                 message: event.content,
                                 timestamp: event.created_at,
                                 mutedByAuthor: mutedByAuthor,
-                                verified: isVerified,
+                                claimedVerified: !!hasProof,
+                                status: hasProof ? 'pending' : 'unverified',
+                                verified: false, // Set once the API has checked the proof
+                                verification: null,
                                 txid: txidTag ? txidTag[1] : null,
                                 txKey: txKeyTag ? txKeyTag[1] : null,
-                                verifiedBy: verifiedByTag ? verifiedByTag[1] : null
+                                verifiedBy: verifiedByTag ? verifiedByTag[1] : null,
+                                recipientPubkey,
+                                recipientAddress: tipRecipientAddress(post, recipientPubkey)
                             };
 
                             // Add to all tips list (backward compatibility)
                             disclosures[referencedPostId].tips.push(tipData);
 
-                            // Only include non-muted tips in totals
-                            if (!mutedByAuthor) {
-                                if (isVerified) {
-                                    // Add to verified category
-                                    disclosures[referencedPostId].verified.totalXMR += amount;
-                                    disclosures[referencedPostId].verified.count++;
-                                    disclosures[referencedPostId].verified.tips.push(tipData);
-                                } else {
-                                    // Add to unverified (disclosed) category
-                                    disclosures[referencedPostId].disclosed.totalXMR += amount;
-                                    disclosures[referencedPostId].disclosed.count++;
-                                    disclosures[referencedPostId].disclosed.tips.push(tipData);
-                                }
-                            } else {
-                                disclosures[referencedPostId].mutedCount++;
+                            // Tips arriving after the fetch resolved still count, unchecked
+                            if (settled) {
+                                bucketDisclosedTips(disclosures[referencedPostId]);
                             }
                         }
                     } catch (error) {
@@ -4221,7 +4229,7 @@ export async function fetchDisclosedTips(postsOrIds) {
                     clearTimeout(timeout);
                     sub.close();
                     console.log('✅ Disclosed tips fetch complete:', disclosures);
-                    resolve(disclosures);
+                    finish();
                 }
             });
         });
@@ -4232,6 +4240,7 @@ export async function fetchDisclosedTips(postsOrIds) {
         postIds.forEach(id => {
             disclosures[id] = {
                 disclosed: { totalXMR: 0, count: 0, tips: [] },
+                pending: { totalXMR: 0, count: 0, tips: [] },
                 verified: { totalXMR: 0, count: 0, tips: [] },
                 mutedCount: 0,
                 tips: []
@@ -4241,6 +4250,174 @@ export async function fetchDisclosedTips(postsOrIds) {
     }
 }
 
+// Sort a note's tips into verified / pending / disclosed totals. Rebuilt in
+// place so disclosedTipsCache (which holds the same objects) sees updates.
+// Tips whose proof failed are listed but left out of every total.
+function bucketDisclosedTips(disclosure) {
+    disclosure.disclosed = { totalXMR: 0, count: 0, tips: [] };
+    disclosure.pending = { totalXMR: 0, count: 0, tips: [] };
+    disclosure.verified = { totalXMR: 0, count: 0, tips: [] };
+    disclosure.mutedCount = 0;
+
+    for (const tip of disclosure.tips) {
+        // Only include non-muted tips in totals
+        if (tip.mutedByAuthor) {
+            disclosure.mutedCount++;
+            continue;
+        }
+        if (tip.verification?.invalid) continue;
+        const bucket = tip.status === 'verified' ? disclosure.verified
+            : tip.status === 'pending' ? disclosure.pending
+            : disclosure.disclosed;
+        bucket.totalXMR += tip.amount;
+        bucket.count++;
+        bucket.tips.push(tip);
+    }
+}
+
+// The address a tip's proof is checked against. A split tip has one
+// disclosure per recipient, so this is the note's own address only for its
+// author; co-recipients are checked against the address the note's zap tag
+// names for them, or else the one they publish. The disclosure itself isn't
+// trusted to say where the money went.
+function tipRecipientAddress(post, recipientPubkey) {
+    if (post && recipientPubkey === post.pubkey) {
+        // The note's own subaddress if it has one, else the author's profile address
+        return getMoneroAddress(post);
+    }
+    const split = post ? TipSplits.parseZapSplits(post).find(s => s.pubkey === recipientPubkey) : null;
+    return split?.address || State.profileCache[recipientPubkey]?.monero_address || null;
+}
+
+// Check the proofs of tips that claim to be verified through the API
+// instead of trusting their `verified` tag. Cached answers apply at once;
+// checks still running when this returns update the widgets when they finish.
+async function verifyDisclosedTips(disclosures) {
+    const claimedTips = Object.values(disclosures)
+        .flatMap(disclosure => disclosure.tips)
+        .filter(tip => tip.claimedVerified);
+
+    // Recipients whose profile isn't loaded yet
+    const unresolved = claimedTips.filter(tip => !tip.recipientAddress && tip.recipientPubkey);
+    if (unresolved.length > 0) {
+        const resolved = await TipSplits.resolveSplitAddresses(
+            [...new Set(unresolved.map(tip => tip.recipientPubkey))].map(pubkey => ({ pubkey, weight: 1, address: null }))
+        );
+        const addresses = new Map(resolved.map(split => [split.pubkey, split.address]));
+        unresolved.forEach(tip => { tip.recipientAddress = addresses.get(tip.recipientPubkey) || null; });
+    }
+
+    const applyResults = (results) => {
+        for (const tip of claimedTips) {
+            const result = results.get(tip.eventId);
+            if (!result) continue;
+            tip.status = result.status;
+            tip.verified = result.status === 'verified';
+            tip.verification = result;
+        }
+        Object.values(disclosures).forEach(bucketDisclosedTips);
+    };
+
+    try {
+        const { results, done } = await TipVerification.verifyDisclosures(claimedTips.map(tip => ({
+            eventId: tip.eventId,
+            txid: tip.txid,
+            txKey: tip.txKey,
+            amount: tip.amount,
+            recipientAddress: tip.recipientAddress,
+            createdAt: tip.timestamp
+        })));
+        applyResults(results);
+
+        done.then(finalResults => {
+            applyResults(finalResults);
+            refreshTipSummaries(disclosures);
+        }).catch(error => console.warn('Tip verification failed:', error));
+    } catch (error) {
+        console.error('Error verifying disclosed tips:', error);
+        Object.values(disclosures).forEach(bucketDisclosedTips);
+    }
+}
+
+// Tip totals shown under a note
+function renderTipSummary(postId, disclosedTips) {
+    const pending = disclosedTips.pending || { totalXMR: 0, count: 0 };
+    const lines = [
+        { bucket: disclosedTips.verified, color: '#10B981', label: '✓ Verified Tips' },
+        { bucket: pending, color: '#F59E0B', label: '⏳ Pending Tips' },
+        { bucket: disclosedTips.disclosed, color: '#FF6600', label: '💰 Disclosed Tips' }
+    ].filter(line => line.bucket.count > 0);
+
+    return `
+                <div data-tip-summary="${postId}">
+                ${(lines.length > 0 || disclosedTips.mutedCount > 0) ? `
+                <div style="padding: 8px 12px; margin-top: 8px; background: linear-gradient(135deg, rgba(255, 102, 0, 0.1), rgba(139, 92, 246, 0.1)); border-radius: 8px; border: 1px solid rgba(255, 102, 0, 0.2);">
+                    ${lines.map((line, i) => `
+                    <div style="display: flex; align-items: center; justify-content: space-between; font-size: 13px; margin-bottom: ${i < lines.length - 1 ? '6px' : '0'};">
+                        <div style="color: ${line.color}; font-weight: bold;">
+                            ${line.label}: ${line.bucket.totalXMR.toFixed(4)} XMR (${line.bucket.count})
+                        </div>
+                    </div>
+                    `).join('')}
+                    ${disclosedTips.mutedCount > 0 ? `
+                    <div style="font-size: 12px; color: #999; margin-top: 4px;">
+                        [${disclosedTips.mutedCount} muted by author]
+                    </div>
+                    ` : ''}
+                    ${lines.length > 0 ? `
+                    <div style="margin-top: 6px;">
+                        <button onclick="showDisclosedTipDetails('${postId}', event)" style="background: none; border: 1px solid #FF6600; color: #FF6600; padding: 4px 8px; border-radius: 4px; font-size: 11px; cursor: pointer;">View Details</button>
+                    </div>
+                    ` : ''}
+                </div>
+                ` : ''}
+                </div>`;
+}
+
+// Re-render tip totals already on the page after late verification results
+function refreshTipSummaries(disclosures) {
+    for (const [postId, disclosedTips] of Object.entries(disclosures)) {
+        if (!disclosedTips.tips.some(tip => tip.claimedVerified)) continue;
+        document.querySelectorAll(`[data-tip-summary="${postId}"]`).forEach(el => {
+            el.outerHTML = renderTipSummary(postId, disclosedTips);
+        });
+    }
+}
+
+// Badge and detail line for a tip's verification state in the details modal
+function renderTipVerification(tip) {
+    const result = tip.verification || {};
+
+    if (tip.status === 'verified') {
+        return {
+            badge: `<span style="background: rgba(16, 185, 129, 0.2); border: 1px solid #10B981; color: #10B981; padding: 2px 6px; border-radius: 3px; font-size: 10px; font-weight: bold;" title="Proof checked on-chain by Nosmero">✓ VERIFIED</span>`,
+            detail: `<div style="margin-top: 6px; font-size: 11px; color: #10B981; font-style: italic;">🔐 Proof checked on-chain${result.confirmations != null ? ` (${result.confirmations} confirmations)` : ''}</div>`
+        };
+    }
+
+    if (tip.status === 'pending') {
+        const waiting = result.requiredConfirmations
+            ? `Waiting for confirmations (${result.confirmations || 0}/${result.requiredConfirmations})`
+            : 'Checking proof...';
+        return {
+            badge: `<span style="background: rgba(245, 158, 11, 0.2); border: 1px solid #F59E0B; color: #F59E0B; padding: 2px 6px; border-radius: 3px; font-size: 10px; font-weight: bold;" title="Proof not confirmed yet">⏳ PENDING</span>`,
+            detail: `<div style="margin-top: 6px; font-size: 11px; color: #F59E0B; font-style: italic;">⏳ ${waiting}</div>`
+        };
+    }
+
+    if (tip.claimedVerified) {
+        return {
+            badge: `<span style="background: rgba(255, 68, 68, 0.2); border: 1px solid #ff4444; color: #ff4444; padding: 2px 6px; border-radius: 3px; font-size: 10px; font-weight: bold;" title="The tipper marked this verified, but the proof did not check out">✗ UNVERIFIED</span>`,
+            detail: `<div style="margin-top: 6px; font-size: 11px; color: #ff4444; font-style: italic;">✗ Proof did not check out${result.error ? `: ${Utils.escapeHtml(result.error)}` : ''}</div>`
+        };
+    }
+
+    return {
+        badge: '',
+        detail: '<div style="margin-top: 6px; font-size: 11px; color: #888; font-style: italic;">Disclosed without a proof</div>'
+    };
+}
+
 // Fetch profiles from major public relays (fast, non-blocking)
 export async function fetchProfiles(pubkeys) {
     if (!pubkeys || pubkeys.length === 0) return;
@@ -4659,34 +4836,7 @@ export async function renderSinglePost(post, context = 'feed', engagementData =
                     }
                     <button class="action-btn" onclick="showNoteMenu('${post.id}', event)">⋯</button>
                 </div>
-                ${(disclosedTips.disclosed.count > 0 || disclosedTips.verified.count > 0 || disclosedTips.mutedCount > 0) ? `
-                <div style="padding: 8px 12px; margin-top: 8px; background: linear-gradient(135deg, rgba(255, 102, 0, 0.1), rgba(139, 92, 246, 0.1)); border-radius: 8px; border: 1px solid rgba(255, 102, 0, 0.2);">
-                    ${disclosedTips.verified.count > 0 ? `
-                    <div style="display: flex; align-items: center; justify-content: space-between; font-size: 13px; margin-bottom: ${disclosedTips.disclosed.count > 0 ? '6px' : '0'};">
-                        <div style="color: #10B981; font-weight: bold;">
-                            ✓ Verified Tips: ${disclosedTips.verified.totalXMR.toFixed(4)} XMR (${disclosedTips.verified.count})
-                        </div>
-                    </div>
-                    ` : ''}
-                    ${disclosedTips.disclosed.count > 0 ? `
-                    <div style="display: flex; align-items: center; justify-content: space-between; font-size: 13px;">
-                        <div style="color: #FF6600; font-weight: bold;">
-                            💰 Disclosed Tips: ${disclosedTips.disclosed.totalXMR.toFixed(4)} XMR (${disclosedTips.disclosed.count})
-                        </div>
-                    </div>
-                    ` : ''}
-                    ${disclosedTips.mutedCount > 0 ? `
-                    <div style="font-size: 12px; color: #999; margin-top: 4px;">
-                        [${disclosedTips.mutedCount} muted by author]
-                    </div>
-                    ` : ''}
-                    ${(disclosedTips.disclosed.count > 0 || disclosedTips.verified.count > 0) ? `
-                    <div style="margin-top: 6px;">
-                        <button onclick="showDisclosedTipDetails('${post.id}', event)" style="background: none; border: 1px solid #FF6600; color: #FF6600; padding: 4px 8px; border-radius: 4px; font-size: 11px; cursor: pointer;">View Details</button>
-                    </div>
-                    ` : ''}
-                </div>
-                ` : ''}
+                ${renderTipSummary(post.id, disclosedTips)}
                 </div>
             </div>
         `;
@@ -5016,7 +5166,8 @@ export async function sendPost() {
                     content: content,
                     preview: paywallSettings.preview || null,
                     priceXmr: paywallSettings.priceXmr,
-                    paymentAddress: postMoneroAddress
+                    paymentAddress: postMoneroAddress,
+                    accessDays: paywallSettings.accessDays
                 });
                 console.log('Paywall data created:', {
                     hasEncrypted: !!paywallData.encryptedContent,
@@ -5051,7 +5202,8 @@ export async function sendPost() {
                 priceXmr: paywallData.priceXmr,
                 paymentAddress: paywallData.paymentAddress,
                 preview: paywallData.preview,
-                encryptedContent: paywallData.encryptedContent
+                encryptedContent: paywallData.encryptedContent,
+                accessDays: paywallData.accessDays
             });
             event.tags.push(...paywallTags);
         }
@@ -5070,7 +5222,8 @@ export async function sendPost() {
                     decryptionKey: paywallData.decryptionKey,
                     preview: paywallData.preview,
                     priceXmr: paywallData.priceXmr,
-                    paymentAddress: paywallData.paymentAddress
+                    paymentAddress: paywallData.paymentAddress,
+                    accessDays: paywallData.accessDays
                 });
                 console.log('Paywall registered successfully');
             } catch (error) {
@@ -5083,11 +5236,10 @@ export async function sendPost() {
         // Publish to write relays only (NIP-65 compliant)
         const writeRelays = Relays.getWriteRelays();
         console.log('Publishing to write relays:', writeRelays);
-        if (State.pool && writeRelays.length > 0) {
-            State.pool.publish(writeRelays, signedEvent);
-        } else {
+        if (!State.pool || writeRelays.length === 0) {
             throw new Error('No write relays configured. Please check your relay settings.');
         }
+        const published = await publishWithOutbox(signedEvent, writeRelays, 'Note');
 
         // Add to local posts array and update feed
         State.posts.unshift(signedEvent);
@@ -5114,9 +5266,11 @@ export async function sendPost() {
         // Hide compose area
         hideCompose();
 
-        // Show success toast
-        const successMsg = paywallData ? 'Paywalled note published!' : 'Note published successfully!';
-        UI.showSuccessToast(successMsg, 'Posted');
+        // Show success toast (a queued note already said so)
+        if (published) {
+            const successMsg = paywallData ? 'Paywalled note published!' : 'Note published successfully!';
+            UI.showSuccessToast(successMsg, 'Posted');
+        }
 
         console.log('Post sent!', signedEvent);
 
@@ -6093,9 +6247,9 @@ export async function publishNewPost() {
         // Sign and publish event
         Utils.addMentionTags(eventTemplate, eventTemplate.content);
         const signedEvent = await Utils.signEvent(eventTemplate);
-        await State.pool.publish(Relays.getWriteRelays(), signedEvent);
-
-        Utils.showNotification('Note published!', 'success');
+        if (await publishWithOutbox(signedEvent, Relays.getWriteRelays(), 'Note')) {
+            Utils.showNotification('Note published!', 'success');
+        }
 
         // Clear form and close modal
         document.getElementById('newPostContent').value = '';
@@ -6167,7 +6321,8 @@ export async function showDisclosedTipDetails(postId, event) {
         // Different styling for muted tips
         const bgColor = isMuted ? 'rgba(100, 100, 100, 0.1)' : 'rgba(0, 0, 0, 0.2)';
         const textColor = isMuted ? '#666' : '#fff';
-        const amountColor = isMuted ? '#999' : (tip.verified ? '#10B981' : '#FF6600');
+        const amountColor = isMuted ? '#999' : (tip.status === 'verified' ? '#10B981' : tip.status === 'pending' ? '#F59E0B' : '#FF6600');
+        const verification = renderTipVerification(tip);
 
         return `
             <div style="padding: 12px; border-bottom: 1px solid var(--border-primary); background: ${bgColor}; ${isMuted ? 'opacity: 0.6;' : ''}">
@@ -6175,11 +6330,7 @@ export async function showDisclosedTipDetails(postId, event) {
                     <div style="display: flex; align-items: center; gap: 8px; flex: 1; flex-wrap: wrap;">
                         <div onclick="closeDisclosedTipsModal(); showUserProfile('${tip.tipper}');" style="font-weight: bold; color: ${textColor}; cursor: pointer; text-decoration: underline;">${tipperName}</div>
                         <div style="font-size: 12px; color: #999;">${tipperHandle}</div>
-                        ${tip.verified ? `
-                            <span style="background: rgba(16, 185, 129, 0.2); border: 1px solid #10B981; color: #10B981; padding: 2px 6px; border-radius: 3px; font-size: 10px; font-weight: bold;" title="Verified by Nosmero">
-                                ✓ VERIFIED
-                            </span>
-                        ` : ''}
+                        ${verification.badge}
                         ${isMuted ? `
                             <span style="background: rgba(255, 68, 68, 0.2); border: 1px solid #ff4444; color: #ff4444; padding: 2px 6px; border-radius: 3px; font-size: 10px; font-weight: bold;">
                                 MUTED BY AUTHOR
@@ -6194,11 +6345,7 @@ export async function showDisclosedTipDetails(postId, event) {
                     <div style="color: ${amountColor}; font-weight: bold; white-space: nowrap; margin-left: 12px;">${tip.amount} XMR</div>
                 </div>
                 ${tip.message ? `<div style="color: ${isMuted ? '#555' : '#ccc'}; font-size: 13px; margin-bottom: 4px;">${tip.message}</div>` : ''}
-                ${tip.verified ? `
-                    <div style="margin-top: 6px; font-size: 11px; color: #10B981; font-style: italic;">
-                        🔐 Cryptographically verified
-                    </div>
-                ` : ''}
+                ${verification.detail}
                 <div style="color: #666; font-size: 11px; margin-top: 4px;">${timeAgo}</div>
             </div>
         `;
@@ -6207,9 +6354,11 @@ export async function showDisclosedTipDetails(postId, event) {
     // Calculate totals for header
     const verifiedTotal = disclosedTips.verified.totalXMR || 0;
     const verifiedCount = disclosedTips.verified.count || 0;
+    const pendingTotal = disclosedTips.pending?.totalXMR || 0;
+    const pendingCount = disclosedTips.pending?.count || 0;
     const disclosedTotal = disclosedTips.disclosed.totalXMR || 0;
     const disclosedCount = disclosedTips.disclosed.count || 0;
-    const totalCount = verifiedCount + disclosedCount;
+    const totalCount = verifiedCount + pendingCount + disclosedCount;
 
     // Create modal
     const modalHtml = `
@@ -6220,6 +6369,7 @@ export async function showDisclosedTipDetails(postId, event) {
                         <h2 style="margin: 0; color: #FF6600;">💰 Tips for this Note</h2>
                         <div style="font-size: 14px; color: #999; margin-top: 8px;">
                             ${verifiedCount > 0 ? `<div style="color: #10B981; margin-bottom: 4px;">✓ Verified: ${verifiedTotal.toFixed(4)} XMR (${verifiedCount})</div>` : ''}
+                            ${pendingCount > 0 ? `<div style="color: #F59E0B; margin-bottom: 4px;">⏳ Pending: ${pendingTotal.toFixed(4)} XMR (${pendingCount})</div>` : ''}
                             ${disclosedCount > 0 ? `<div style="color: #FF6600;">💰 Disclosed: ${disclosedTotal.toFixed(4)} XMR (${disclosedCount})</div>` : ''}
                             <div style="margin-top: 4px; font-size: 12px; color: #666;">Total: ${totalCount} ${totalCount === 1 ? 'tip' : 'tips'}</div>
                         </div>
@@ -6364,8 +6514,29 @@ window.refreshDisclosedTipsWidget = async function(event) {
     }
 }
 
-// Fetch network-wide stats (all-time)
+// Fetch network-wide stats (all-time). The API keeps an index of every
+// disclosure; the relay query below is the fallback when it's unreachable.
 export async function fetchWidgetNetworkStats() {
+    try {
+        const TipLeaderboard = await import('./tip-leaderboard.js');
+        const stats = await TipLeaderboard.getTipStats({ range: 'all', limit: 10 });
+
+        widgetNetworkStats = {
+            totalXMR: stats.total,
+            count: stats.count,
+            tips: stats.recent.map(tip => ({
+                amount: tip.amount,
+                tipper: tip.tipperPubkey, // null for anonymous tips
+                timestamp: tip.createdAt,
+                verified: tip.proofClaimed
+            }))
+        };
+
+        return widgetNetworkStats;
+    } catch (error) {
+        console.warn('Tip stats API unavailable, querying relay:', error.message);
+    }
+
     try {
         // Query from Nosmero relay where tips are published
         const nosmeroRelay = window.location.port === '8080'
@@ -6907,9 +7078,9 @@ export async function sendReplyDirect(replyToId, content) {
         console.log('  Your write relays:', myWriteRelays.length);
         console.log('  Recipient inbox relays:', recipientInbox);
         console.log('  Combined publish relays:', publishRelays.length, publishRelays);
-        await State.pool.publish(publishRelays, signedEvent);
-
-        Utils.showNotification('Reply published!', 'success');
+        if (await publishWithOutbox(signedEvent, publishRelays, 'Reply')) {
+            Utils.showNotification('Reply published!', 'success');
+        }
 
         // Refresh feed to show new reply
         setTimeout(async () => await loadFeedRealtime(), 1000);
@@ -6975,9 +7146,9 @@ export async function sendPostDirect(content) {
 
         Utils.addMentionTags(eventTemplate, eventTemplate.content);
         const signedEvent = await Utils.signEvent(eventTemplate);
-        await State.pool.publish(Relays.getWriteRelays(), signedEvent);
-
-        Utils.showNotification('Note published!', 'success');
+        if (await publishWithOutbox(signedEvent, Relays.getWriteRelays(), 'Note')) {
+            Utils.showNotification('Note published!', 'success');
+        }
 
         // Refresh feed to show new post
         setTimeout(async () => await loadFeedRealtime(), 1000);
@@ -7069,6 +7240,7 @@ function renderTipActivityWidget() {
                     <div style="font-size: 14px; color: var(--text-secondary);">Tips:</div>
                     <div style="font-size: 14px; color: #FF6600; font-weight: bold;">${widgetNetworkStats.count}</div>
                 </div>
+                <div onclick="navigateTo('tips')" style="cursor: pointer; font-size: 13px; color: #FF6600; margin-bottom: 12px;">🏆 View tip leaderboard →</div>
 
                 <!-- Personal Stats (shown when logged in) -->
                 ${State.publicKey ? `
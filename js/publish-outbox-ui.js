@@ -0,0 +1,165 @@
+/**
+ * Nosmero Publish Outbox UI - where did my notes land?
+ *
+ * Renders the publish outbox (publish-outbox.js) for the logged-in user:
+ * each event with every relay's answer (accepted, refused with a reason,
+ * still retrying, gave up), and actions to retry now, republish to more
+ * relays or stop tracking an event. Re-renders itself as answers come in.
+ */
+
+import * as State from './state.js';
+import * as Utils from './utils.js';
+import * as PublishOutbox from './publish-outbox.js';
+
+const STATUS_LABELS = {
+    pending: { icon: '⏳', text: 'Waiting to retry' },
+    sending: { icon: '📤', text: 'Sending' },
+    accepted: { icon: '✅', text: 'Accepted' },
+    rejected: { icon: '⛔', text: 'Refused' },
+    failed: { icon: '⚠️', text: 'Gave up' },
+    superseded: { icon: '↪️', text: 'Replaced by a newer version' }
+};
+
+const PREVIEW_LENGTH = 140;
+
+// One status view at a time; rendering again replaces the subscription
+let unsubscribe = null;
+let renderTimer = null;
+
+function preview(event) {
+    if (event.kind === 30078) {
+        const d = event.tags.find(tag => tag[0] === 'd')?.[1] || '';
+        return `Settings: ${d}`;
+    }
+    if (event.kind === 30023) {
+        return event.tags.find(tag => tag[0] === 'title')?.[1] || 'Untitled article';
+    }
+    if (event.kind === 6) {
+        return 'Repost';
+    }
+    const content = (event.content || '').replace(/\s+/g, ' ').trim();
+    return content.length > PREVIEW_LENGTH ? content.slice(0, PREVIEW_LENGTH) + '…' : content;
+}
+
+function formatRetry(relay) {
+    if (relay.status !== 'pending' || !relay.next_attempt_at) return '';
+    const seconds = Math.max(0, Math.round((relay.next_attempt_at - Date.now()) / 1000));
+    return seconds < 60 ? ` · retry in ${seconds}s` : ` · retry in ${Math.round(seconds / 60)}m`;
+}
+
+function renderRelayRow(url, relay) {
+    const label = STATUS_LABELS[relay.status] || { icon: '•', text: relay.status };
+    const attempts = relay.attempts > 1 ? ` · ${relay.attempts} tries` : '';
+    return `
+        <li class="outbox-relay outbox-relay-${Utils.escapeHtml(relay.status)}">
+            <span class="outbox-relay-status" title="${Utils.escapeHtml(label.text)}">${label.icon}</span>
+            <span class="outbox-relay-url">${Utils.escapeHtml(url)}</span>
+            <span class="outbox-relay-detail">${Utils.escapeHtml(label.text + attempts + formatRetry(relay))}</span>
+            ${relay.message && relay.status !== 'accepted' ? `<span class="outbox-relay-message">${Utils.escapeHtml(relay.message)}</span>` : ''}
+        </li>
+    `;
+}
+
+function renderEntry(entry) {
+    const relays = Object.entries(entry.relays);
+    const accepted = relays.filter(([, relay]) => relay.status === 'accepted').length;
+    const waiting = relays.some(([, relay]) => ['pending', 'failed'].includes(relay.status));
+    const candidates = PublishOutbox.getRepublishCandidates(entry.id);
+    const openable = entry.event.kind === 1 || entry.event.kind === 6;
+
+    return `
+        <div class="outbox-entry" data-id="${Utils.escapeHtml(entry.id)}">
+            <div class="outbox-entry-head">
+                <span class="outbox-entry-label">${Utils.escapeHtml(entry.label)}</span>
+                <span class="outbox-entry-count">${accepted}/${relays.length} relays</span>
+                <span class="outbox-entry-time">${Utils.formatTime(Math.floor(entry.created_at / 1000))}</span>
+            </div>
+            <div class="outbox-entry-preview${openable ? ' outbox-entry-link' : ''}"${openable ? ` data-action="open"` : ''}>${Utils.escapeHtml(preview(entry.event))}</div>
+            <ul class="outbox-relays">
+                ${relays.map(([url, relay]) => renderRelayRow(url, relay)).join('')}
+            </ul>
+            <div class="outbox-actions">
+                ${waiting ? '<button data-action="retry">Retry now</button>' : ''}
+                ${candidates.length > 0 ? `<button data-action="republish" title="${Utils.escapeHtml(candidates.join('\n'))}">Republish to ${candidates.length} more relays</button>` : ''}
+                <input type="text" class="outbox-custom-relay" placeholder="wss://relay.example.com">
+                <button data-action="custom">Send</button>
+                <button data-action="remove" title="Stop retrying and forget this entry. Relays that have it keep it.">Remove</button>
+            </div>
+        </div>
+    `;
+}
+
+async function handleAction(entryEl, action) {
+    const id = entryEl.dataset.id;
+    try {
+        if (action === 'open') {
+            window.openThreadView?.(id);
+        } else if (action === 'retry') {
+            PublishOutbox.retryEvent(id);
+        } else if (action === 'republish') {
+            const result = await PublishOutbox.republishEvent(id, PublishOutbox.getRepublishCandidates(id));
+            Utils.showNotification(`Accepted by ${result.accepted.length} relays so far`, 'success');
+        } else if (action === 'custom') {
+            const url = entryEl.querySelector('.outbox-custom-relay')?.value.trim() || '';
+            if (!/^wss:\/\/[^\s/]+/i.test(url)) {
+                Utils.showNotification('Enter a relay address starting with wss://', 'error');
+                return;
+            }
+            await PublishOutbox.republishEvent(id, [url]);
+        } else if (action === 'remove') {
+            PublishOutbox.removeEvent(id);
+        }
+    } catch (error) {
+        Utils.showNotification(error.message, 'error');
+    }
+}
+
+function draw(containerEl) {
+    const entries = State.publicKey ? PublishOutbox.getOutboxEntries({ pubkey: State.publicKey }) : [];
+    const pending = entries.filter(entry =>
+        Object.values(entry.relays).some(relay => relay.status === 'pending' || relay.status === 'sending')
+    ).length;
+
+    if (entries.length === 0) {
+        containerEl.innerHTML = '<p class="paywall-dashboard-hint">Nothing published from this device in the last week.</p>';
+        return;
+    }
+
+    containerEl.innerHTML = `
+        <p class="paywall-dashboard-hint">
+            ${navigator.onLine === false ? 'You are offline. Waiting events will be sent when you reconnect. ' : ''}
+            ${pending > 0 ? `${pending} waiting for relays.` : 'Everything has been answered.'}
+        </p>
+        ${entries.map(renderEntry).join('')}
+    `;
+
+    containerEl.querySelectorAll('.outbox-entry [data-action]').forEach(el => {
+        el.addEventListener('click', () => handleAction(el.closest('.outbox-entry'), el.dataset.action));
+    });
+}
+
+/**
+ * Render the logged-in user's publish outbox into a container, and keep it
+ * up to date until the container leaves the page
+ * @param {HTMLElement} containerEl
+ */
+export function renderOutboxStatus(containerEl) {
+    if (!containerEl) return;
+
+    if (unsubscribe) unsubscribe();
+    unsubscribe = PublishOutbox.onOutboxChange(() => {
+        if (!containerEl.isConnected) {
+            unsubscribe();
+            unsubscribe = null;
+            return;
+        }
+        // Answers arrive in bursts; redraw once per burst (and never while typing a relay)
+        clearTimeout(renderTimer);
+        renderTimer = setTimeout(() => {
+            if (containerEl.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+            draw(containerEl);
+        }, 300);
+    });
+
+    draw(containerEl);
+}
@@ -0,0 +1,397 @@
+/**
+ * Nosmero Publish Outbox - durable publishing with per-relay acknowledgements
+ *
+ * Every signed event Nosmero publishes (notes, replies, articles, NIP-78 app
+ * data) is written to IndexedDB (feed-cache.js) before it goes out, then
+ * sent to each relay separately. Each relay's answer is recorded: the OK
+ * message when it accepts, the reason when it refuses. Relays that can't be
+ * reached, time out or ask us to slow down are retried with a backoff that
+ * doubles each time; relays that refuse the event outright (blocked:,
+ * invalid:, pow:, restricted:) are not asked again. auth-required: is
+ * retried too, since it goes through once the relay is allowed to
+ * authenticate (see relay-auth.js).
+ *
+ * While the browser is offline nothing is sent; everything pending goes out
+ * when it comes back online, including after a reload. Entries stay for a
+ * week so the status view can show where each note landed.
+ */
+
+import * as State from './state.js';
+import * as Relays from './relays.js';
+import * as FeedCache from './feed-cache.js';
+
+const RETRY_BASE_MS = 10 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 10;                        // Per relay, then it's marked failed
+const ENTRY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 200;
+
+// Refusals that won't change on a retry
+const PERMANENT_PREFIXES = ['blocked:', 'invalid:', 'pow:', 'restricted:'];
+
+// id -> { id, event, label, created_at, relays: { url: RelayStatus } }
+// RelayStatus: { status: 'pending'|'sending'|'accepted'|'rejected'|'failed'|'superseded',
+//                message, attempts, next_attempt_at, updated_at }
+const entries = new Map();
+const listeners = new Set();
+let retryTimer = null;
+let initPromise = null;
+
+function normalize(url) {
+    try {
+        return window.NostrTools.utils.normalizeURL(url);
+    } catch (e) {
+        return url;
+    }
+}
+
+function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+function notify() {
+    listeners.forEach(listener => {
+        try { listener(); } catch (e) { console.error('[Outbox] Listener error:', e); }
+    });
+}
+
+function persist(entry) {
+    // A send that finishes after the entry was removed mustn't bring it back
+    if (entries.get(entry.id) === entry) FeedCache.saveOutboxEntry(entry);
+    notify();
+}
+
+function isPermanent(message) {
+    return PERMANENT_PREFIXES.some(prefix => message.startsWith(prefix));
+}
+
+// Relays worth asking again: ones that gave up, and ones stored as rejected
+// for a reason that's no longer treated as permanent (auth-required:)
+function canRetry(relay) {
+    return relay.status === 'failed' || (relay.status === 'rejected' && !isPermanent(relay.message || ''));
+}
+
+// Replaceable (0, 3, 10000-19999) and addressable (30000-39999) events are
+// identified by kind + author (+ d tag): a newer one makes older ones moot
+function replaceableKey(event) {
+    const { kind } = event;
+    if (kind >= 30000 && kind < 40000) {
+        const d = event.tags.find(tag => tag[0] === 'd')?.[1] || '';
+        return `${kind}:${event.pubkey}:${d}`;
+    }
+    if (kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000)) {
+        return `${kind}:${event.pubkey}`;
+    }
+    return null;
+}
+
+// Stop retrying older versions of a replaceable event: if one got through
+// late it would only be ignored, and if it went out first it'd be noise
+function supersedeOlderVersions(event) {
+    const key = replaceableKey(event);
+    if (!key) return;
+
+    for (const entry of entries.values()) {
+        if (entry.id === event.id || replaceableKey(entry.event) !== key) continue;
+        if (entry.event.created_at > event.created_at) continue;
+
+        let changed = false;
+        for (const relay of Object.values(entry.relays)) {
+            if (relay.status === 'pending') {
+                relay.status = 'superseded';
+                relay.message = 'A newer version was published';
+                relay.updated_at = Date.now();
+                changed = true;
+            }
+        }
+        if (changed) persist(entry);
+    }
+}
+
+/**
+ * Send an entry to one relay and record the answer
+ * @returns {Promise<boolean>} Whether the relay accepted it (never rejects)
+ */
+async function attemptRelay(entry, url) {
+    const relay = entry.relays[url];
+    if (!relay || relay.status === 'sending' || !State.pool) return false;
+
+    relay.status = 'sending';
+    relay.attempts++;
+    notify();
+
+    let accepted = false;
+    try {
+        const [promise] = State.pool.publish([url], entry.event);
+        const reason = await promise;
+        relay.status = 'accepted';
+        relay.message = reason || null;
+        relay.next_attempt_at = 0;
+        accepted = true;
+    } catch (error) {
+        const message = error?.message || String(error);
+        relay.message = message.slice(0, 300);
+        if (isPermanent(message)) {
+            relay.status = 'rejected';
+        } else if (relay.attempts >= MAX_ATTEMPTS) {
+            relay.status = 'failed';
+        } else {
+            relay.status = 'pending';
+            relay.next_attempt_at = Date.now() + Math.min(RETRY_BASE_MS * 2 ** (relay.attempts - 1), RETRY_MAX_MS);
+        }
+    }
+
+    relay.updated_at = Date.now();
+    persist(entry);
+    scheduleRetry();
+    return accepted;
+}
+
+function scheduleRetry() {
+    if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+    }
+    if (!isOnline()) return; // The 'online' listener picks things up again
+
+    let next = Infinity;
+    for (const entry of entries.values()) {
+        for (const relay of Object.values(entry.relays)) {
+            if (relay.status === 'pending') next = Math.min(next, relay.next_attempt_at || 0);
+        }
+    }
+    if (next === Infinity) return;
+
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        retryDue();
+    }, Math.max(0, next - Date.now()));
+}
+
+function retryDue({ all = false } = {}) {
+    if (!isOnline()) return;
+    const now = Date.now();
+    for (const entry of entries.values()) {
+        for (const [url, relay] of Object.entries(entry.relays)) {
+            if (relay.status === 'pending' && (all || (relay.next_attempt_at || 0) <= now)) {
+                attemptRelay(entry, url);
+            }
+        }
+    }
+    scheduleRetry();
+}
+
+function isSettled(entry) {
+    return Object.values(entry.relays).every(relay => relay.status !== 'pending' && relay.status !== 'sending');
+}
+
+function prune() {
+    const cutoff = Date.now() - ENTRY_MAX_AGE_MS;
+    const settled = [...entries.values()]
+        .filter(isSettled)
+        .sort((a, b) => b.created_at - a.created_at);
+    const overflow = Math.max(0, entries.size - MAX_ENTRIES);
+
+    const stale = settled.filter((entry, i) => entry.created_at < cutoff || i >= settled.length - overflow);
+    if (stale.length === 0) return;
+
+    stale.forEach(entry => entries.delete(entry.id));
+    FeedCache.deleteOutboxEntries(stale.map(entry => entry.id));
+}
+
+/**
+ * Load stored entries and start retrying what's still pending. Safe to call
+ * more than once.
+ * @returns {Promise<void>}
+ */
+export function initPublishOutbox() {
+    if (!initPromise) {
+        initPromise = FeedCache.getOutboxEntries().then(stored => {
+            for (const entry of stored) {
+                if (entries.has(entry.id)) continue;
+                // A send cut short by closing the tab never got its answer
+                for (const relay of Object.values(entry.relays)) {
+                    if (relay.status === 'sending') relay.status = 'pending';
+                }
+                entries.set(entry.id, entry);
+            }
+            prune();
+
+            const pending = [...entries.values()].filter(entry => !isSettled(entry)).length;
+            if (pending > 0) console.log(`[Outbox] ${pending} event(s) still waiting for relays`);
+
+            window.addEventListener('online', () => {
+                console.log('[Outbox] Back online, sending pending events');
+                retryDue({ all: true });
+            });
+            window.addEventListener('offline', scheduleRetry);
+
+            retryDue();
+            notify();
+        }).catch(e => console.warn('[Outbox] Could not load stored outbox:', e));
+    }
+    return initPromise;
+}
+
+function summarize(entry) {
+    const summary = { id: entry.id, accepted: [], rejected: [], pending: [] };
+    for (const [url, relay] of Object.entries(entry.relays)) {
+        if (relay.status === 'accepted') {
+            summary.accepted.push(url);
+        } else if (relay.status === 'pending' || relay.status === 'sending') {
+            summary.pending.push(url);
+        } else {
+            summary.rejected.push({ url, reason: relay.message });
+        }
+    }
+    return summary;
+}
+
+/**
+ * Publish a signed event through the outbox. It's stored first, so it
+ * survives going offline or closing the tab, and relays that don't answer
+ * are retried in the background.
+ * @param {Object} event - Signed event
+ * @param {string[]} relays
+ * @param {Object} [options]
+ * @param {string} [options.label] - What it is, for the status view (e.g. 'Note', 'Article')
+ * @returns {Promise<{ id: string, accepted: string[], rejected: Array<{url, reason}>, pending: string[] }>}
+ *   Resolves as soon as one relay accepts, or once every relay has answered
+ *   its first attempt; straight away while offline
+ */
+export async function publishEvent(event, relays, { label = null } = {}) {
+    const urls = [...new Set((relays || []).filter(Boolean).map(normalize))];
+    if (urls.length === 0) throw new Error('No relays to publish to');
+
+    let entry = entries.get(event.id);
+    if (!entry) {
+        entry = {
+            id: event.id,
+            event,
+            label: label || `Kind ${event.kind}`,
+            created_at: Date.now(),
+            relays: {}
+        };
+        entries.set(entry.id, entry);
+    }
+    const fresh = urls.filter(url => !entry.relays[url] || entry.relays[url].status === 'superseded' || canRetry(entry.relays[url]));
+    for (const url of fresh) {
+        entry.relays[url] = { status: 'pending', message: null, attempts: 0, next_attempt_at: 0, updated_at: Date.now() };
+    }
+
+    supersedeOlderVersions(event);
+    await FeedCache.saveOutboxEntry(entry);
+    notify();
+    prune();
+
+    if (!isOnline()) {
+        console.log(`[Outbox] Offline, ${entry.label} queued for ${fresh.length} relay(s)`);
+        return summarize(entry);
+    }
+
+    const attempts = fresh.map(url => attemptRelay(entry, url));
+    await new Promise(resolve => {
+        attempts.forEach(attempt => attempt.then(accepted => { if (accepted) resolve(); }));
+        Promise.all(attempts).then(resolve);
+    });
+    return summarize(entry);
+}
+
+/**
+ * Send an event already in the outbox to more relays
+ * @param {string} id - Event id
+ * @param {string[]} relays
+ * @returns {Promise<Object>} See publishEvent
+ */
+export async function republishEvent(id, relays) {
+    const entry = entries.get(id);
+    if (!entry) throw new Error('That event is no longer in the outbox');
+    return publishEvent(entry.event, relays, { label: entry.label });
+}
+
+/**
+ * Retry every relay still waiting on an event, now, or as soon as the
+ * browser is back online
+ * @param {string} id
+ */
+export function retryEvent(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    let reset = false;
+    for (const relay of Object.values(entry.relays)) {
+        if (canRetry(relay)) {
+            relay.status = 'pending';
+            relay.attempts = 0;
+            relay.next_attempt_at = 0;
+            relay.updated_at = Date.now();
+            reset = true;
+        }
+    }
+    // Stored first so a retry asked for while offline survives a reload
+    if (reset) persist(entry);
+
+    if (!isOnline()) {
+        scheduleRetry(); // The 'online' listener sends them
+        return;
+    }
+    for (const [url, relay] of Object.entries(entry.relays)) {
+        if (relay.status === 'pending') attemptRelay(entry, url);
+    }
+}
+
+/**
+ * Stop retrying an event and forget it (relays that already have it keep it)
+ * @param {string} id
+ */
+export function removeEvent(id) {
+    if (!entries.delete(id)) return;
+    FeedCache.deleteOutboxEntries([id]);
+    scheduleRetry();
+    notify();
+}
+
+/**
+ * Outbox entries, newest first
+ * @param {Object} [options]
+ * @param {string} [options.pubkey] - Only events by this author
+ * @returns {Array<{ id, event, label, created_at, relays: Object }>}
+ */
+export function getOutboxEntries({ pubkey = null } = {}) {
+    return [...entries.values()]
+        .filter(entry => !pubkey || entry.event.pubkey === pubkey)
+        .sort((a, b) => b.created_at - a.created_at);
+}
+
+/**
+ * Relays an event could still be sent to: the user's write relays and the
+ * defaults it hasn't been accepted by or refused from yet
+ * @param {string} id
+ * @returns {string[]}
+ */
+export function getRepublishCandidates(id) {
+    const entry = entries.get(id);
+    if (!entry) return [];
+    const done = new Set(Object.entries(entry.relays)
+        .filter(([, relay]) => relay.status !== 'superseded' && !canRetry(relay))
+        .map(([url]) => url));
+    return [...new Set([...Relays.getWriteRelays(), ...Relays.DEFAULT_RELAYS].map(normalize))]
+        .filter(url => !done.has(url));
+}
+
+/**
+ * Number of events with relays still waiting
+ * @returns {number}
+ */
+export function getPendingCount() {
+    return [...entries.values()].filter(entry => !isSettled(entry)).length;
+}
+
+/**
+ * Be told when anything in the outbox changes
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function onOutboxChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,198 @@
+/**
+ * Nosmero Relay Auth - NIP-42 AUTH for the relay pool
+ *
+ * Relays that require authentication (paid relays, private team relays,
+ * DM inbox relays) send an AUTH challenge and refuse reads or writes with
+ * `auth-required:` until the client answers with a signed kind 22242 event.
+ * installRelayAuth() makes a SimplePool answer those challenges for every
+ * subscription and publish, signing through Utils.signEvent so it works
+ * with the extension, Amber (NIP-46) and a local nsec alike.
+ *
+ * Authenticating tells the relay who you are, so it's a per-relay choice:
+ * relays in your own read/write lists are allowed by default, others only
+ * once you allow them in Settings. A relay that asks and isn't allowed (or
+ * whose AUTH fails) is flagged so the UI can say why it refused.
+ */
+
+import * as State from './state.js';
+import * as Utils from './utils.js';
+
+const PREFS_KEY = 'relay-auth-prefs';
+
+// url -> { state: 'authenticated'|'required'|'failed', message, at }
+const authStatus = new Map();
+const listeners = new Set();
+// The user's NIP-17 DM inbox relays (kind 10050, see Relays.getDmRelays)
+let inboxRelays = new Set();
+
+function normalize(url) {
+    try {
+        return window.NostrTools.utils.normalizeURL(url);
+    } catch (e) {
+        return url;
+    }
+}
+
+function loadPrefs() {
+    try {
+        return JSON.parse(localStorage.getItem(PREFS_KEY) || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+function setStatus(url, state, message = null) {
+    authStatus.set(normalize(url), { state, message, at: Date.now() });
+    listeners.forEach(listener => {
+        try { listener(); } catch (e) { console.error('[RelayAuth] Listener error:', e); }
+    });
+}
+
+// The user's own relays (read + write, see Relays.updateActiveRelays, and
+// DM inbox relays) answer AUTH unless they've said otherwise
+function isOwnRelay(url) {
+    return inboxRelays.has(url) || (State.relays || []).some(relay => normalize(relay) === url);
+}
+
+/**
+ * Tell auth which relays are the user's DM inboxes. Inbox relays only hand
+ * gift wraps to the account they're addressed to, so they all ask for AUTH.
+ * @param {string[]} urls
+ */
+export function setInboxRelays(urls) {
+    inboxRelays = new Set((urls || []).map(normalize));
+}
+
+/**
+ * Whether Nosmero may authenticate to this relay
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isAuthAllowed(url) {
+    const key = normalize(url);
+    const pref = loadPrefs()[key];
+    if (pref !== undefined) return pref;
+    return isOwnRelay(key);
+}
+
+/**
+ * Allow or refuse authenticating to a relay
+ * @param {string} url
+ * @param {boolean} allowed
+ */
+export function setAuthAllowed(url, allowed) {
+    const prefs = loadPrefs();
+    prefs[normalize(url)] = !!allowed;
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+}
+
+/**
+ * Latest AUTH outcome for a relay
+ * @param {string} url
+ * @returns {{ state: string, message: string|null, at: number }|null}
+ *   state is 'authenticated', 'required' (asked, not allowed) or 'failed'
+ */
+export function getAuthStatus(url) {
+    return authStatus.get(normalize(url)) || null;
+}
+
+/**
+ * Relays that refused us for want of AUTH
+ * @returns {string[]}
+ */
+export function getAuthBlockedRelays() {
+    return [...authStatus.entries()]
+        .filter(([, status]) => status.state !== 'authenticated')
+        .map(([url]) => url);
+}
+
+/**
+ * Be told when an AUTH status changes
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe
+ */
+export function onAuthStatusChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Default onauth handler: sign the kind 22242 template nostr-tools builds
+async function signAuthEvent(template) {
+    const signed = await Utils.signEvent(template);
+    if (!signed) throw new Error('Signer returned nothing');
+    return signed;
+}
+
+function wrapRelay(relay) {
+    if (relay._nosmeroAuth) return relay;
+    relay._nosmeroAuth = true;
+
+    const originalAuth = relay.auth.bind(relay);
+    relay.auth = async (signer) => {
+        if (!isAuthAllowed(relay.url)) {
+            setStatus(relay.url, 'required', 'Authentication is turned off for this relay');
+            throw new Error(`auth-required: authentication not allowed for ${relay.url}`);
+        }
+        if (!relay.challenge) {
+            throw new Error("can't perform auth, no challenge was received");
+        }
+        if (relay.authPromise) {
+            return relay.authPromise; // Already answered this connection's challenge
+        }
+
+        // Sign before handing over: nostr-tools swallows signer errors and
+        // leaves the AUTH pending forever, which would hang the request
+        let signed;
+        try {
+            signed = await signer(window.NostrTools.nip42.makeAuthEvent(relay.url, relay.challenge));
+        } catch (error) {
+            setStatus(relay.url, 'failed', `Could not sign AUTH: ${error.message}`);
+            throw error;
+        }
+
+        try {
+            const result = await originalAuth(async () => signed);
+            setStatus(relay.url, 'authenticated');
+            console.log('[RelayAuth] Authenticated to', relay.url);
+            return result;
+        } catch (error) {
+            setStatus(relay.url, 'failed', error?.message || String(error));
+            throw error;
+        }
+    };
+    return relay;
+}
+
+/**
+ * Make a SimplePool answer NIP-42 AUTH challenges on every subscription
+ * and publish, and record relays that refuse a publish with auth-required
+ * @param {Object} pool - nostr-tools SimplePool
+ * @returns {Object} The same pool
+ */
+export function installRelayAuth(pool) {
+    if (!pool || pool._nosmeroAuth) return pool;
+    pool._nosmeroAuth = true;
+
+    const ensureRelay = pool.ensureRelay.bind(pool);
+    pool.ensureRelay = async (...args) => wrapRelay(await ensureRelay(...args));
+
+    // subscribe, subscribeMany, querySync and get all go through subscribeMap
+    const subscribeMap = pool.subscribeMap.bind(pool);
+    pool.subscribeMap = (requests, params = {}) => subscribeMap(requests, { ...params, onauth: params.onauth || signAuthEvent });
+
+    const publish = pool.publish.bind(pool);
+    pool.publish = (relays, event, options = {}) => {
+        const promises = publish(relays, event, { ...options, onauth: options.onauth || signAuthEvent });
+        promises.forEach((promise, i) => {
+            promise.catch(error => {
+                const message = error?.message || String(error);
+                if (message.startsWith('auth-required:') && getAuthStatus(relays[i])?.state !== 'failed') {
+                    setStatus(relays[i], 'required', message);
+                }
+            });
+        });
+        return promises;
+    };
+
+    return pool;
+}
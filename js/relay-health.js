@@ -0,0 +1,319 @@
+/**
+ * Nosmero Relay Health - latency, error and uptime history per relay
+ *
+ * Every timed read (queryRelaysFast, probes from the settings panel) is
+ * recorded as a sample. Samples are kept in memory and written to the
+ * IndexedDB cache (feed-cache.js) a few seconds later, so the history
+ * survives reloads. Each relay's NIP-11 document (supported NIPs, limits,
+ * payment requirements) is fetched once a day.
+ *
+ * Relays that fail DEMOTE_AFTER_FAILURES reads in a row are demoted: left
+ * out of reads (while other relays are available) for a backoff that
+ * doubles each time, up to DEMOTE_MAX_MS. When the backoff runs out the
+ * relay is read again; one success clears the demotion.
+ */
+
+import * as State from './state.js';
+import * as FeedCache from './feed-cache.js';
+
+const MAX_SAMPLES = 200;                        // Per relay
+const SAMPLE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const UPTIME_WINDOW_MS = 24 * 60 * 60 * 1000;   // Uptime is over the last day
+const LATENCY_SAMPLES = 20;                     // Average latency over the last N successes
+const NIP11_TTL_MS = 24 * 60 * 60 * 1000;
+const NIP11_TIMEOUT_MS = 5000;
+const PROBE_TIMEOUT_MS = 5000;
+const SAVE_DELAY_MS = 5000;
+
+const DEMOTE_AFTER_FAILURES = 3;
+const DEMOTE_BASE_MS = 5 * 60 * 1000;
+const DEMOTE_MAX_MS = 6 * 60 * 60 * 1000;
+
+const UNKNOWN_LATENCY = 1500; // Rank relays we haven't timed yet in the middle
+
+// url -> { url, samples: [{ at, ms, ok, error }], consecutive_failures,
+//          demotions, demoted_until, nip11, nip11_fetched_at, nip11_error }
+const health = new Map();
+const dirty = new Set();
+const nip11InFlight = new Map();
+let saveTimer = null;
+let loadPromise = null;
+
+function getRecord(url) {
+    let record = health.get(url);
+    if (!record) {
+        record = {
+            url,
+            samples: [],
+            consecutive_failures: 0,
+            demotions: 0,
+            demoted_until: 0,
+            nip11: null,
+            nip11_fetched_at: 0,
+            nip11_error: null
+        };
+        health.set(url, record);
+    }
+    return record;
+}
+
+function scheduleSave(url) {
+    dirty.add(url);
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        const records = [...dirty].map(u => health.get(u)).filter(Boolean);
+        dirty.clear();
+        FeedCache.saveRelayHealth(records);
+    }, SAVE_DELAY_MS);
+}
+
+/**
+ * Load stored history from IndexedDB. Safe to call more than once.
+ * @returns {Promise<void>}
+ */
+export function loadRelayHealth() {
+    if (!loadPromise) {
+        loadPromise = FeedCache.getAllRelayHealth().then(records => {
+            const cutoff = Date.now() - SAMPLE_MAX_AGE_MS;
+            for (const { samples = [], ...stored } of records) {
+                // Anything recorded before the load finished is newer than the stored copy
+                const record = getRecord(stored.url);
+                if (record.nip11_fetched_at > (stored.nip11_fetched_at || 0)) {
+                    delete stored.nip11;
+                    delete stored.nip11_fetched_at;
+                    delete stored.nip11_error;
+                }
+                if (record.samples.length > 0) {
+                    delete stored.consecutive_failures;
+                    delete stored.demotions;
+                    delete stored.demoted_until;
+                }
+                Object.assign(record, stored);
+                record.samples = [...samples, ...record.samples]
+                    .filter(s => s.at >= cutoff)
+                    .slice(-MAX_SAMPLES);
+            }
+        });
+    }
+    return loadPromise;
+}
+
+/**
+ * Record the outcome of a read from a relay
+ * @param {string} url
+ * @param {Object} result
+ * @param {boolean} result.ok
+ * @param {number} [result.ms] - Round trip time (successes only)
+ * @param {string} [result.error]
+ */
+export function recordRelayResult(url, { ok, ms = null, error = null }) {
+    if (!url) return;
+    const record = getRecord(url);
+    const now = Date.now();
+
+    record.samples.push({ at: now, ms: ok ? Math.round(ms) : null, ok, error: ok ? null : String(error || 'failed').slice(0, 200) });
+    const cutoff = now - SAMPLE_MAX_AGE_MS;
+    record.samples = record.samples.filter(s => s.at >= cutoff).slice(-MAX_SAMPLES);
+
+    if (ok) {
+        if (record.demoted_until) {
+            console.log(`[RelayHealth] ${url} recovered`);
+        }
+        record.consecutive_failures = 0;
+        record.demotions = 0;
+        record.demoted_until = 0;
+    } else {
+        record.consecutive_failures++;
+        if (record.consecutive_failures >= DEMOTE_AFTER_FAILURES && record.demoted_until <= now) {
+            const backoff = Math.min(DEMOTE_BASE_MS * 2 ** record.demotions, DEMOTE_MAX_MS);
+            record.demotions++;
+            record.demoted_until = now + backoff;
+            console.warn(`[RelayHealth] Demoted ${url} for ${Math.round(backoff / 60000)} min after ${record.consecutive_failures} failures`);
+        }
+    }
+
+    scheduleSave(url);
+}
+
+/**
+ * Whether a relay is currently demoted for reads
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isDemoted(url) {
+    return (health.get(url)?.demoted_until || 0) > Date.now();
+}
+
+/**
+ * A relay's recorded reads, oldest first
+ * @param {string} url
+ * @returns {Array<{ at: number, ms: number|null, ok: boolean, error: string|null }>}
+ */
+export function getRelayHistory(url) {
+    return [...(health.get(url)?.samples || [])];
+}
+
+/**
+ * Summary of a relay's history
+ * @param {string} url
+ * @returns {{ url, avgLatency: number|null, lastLatency: number|null, errorRate: number|null,
+ *             uptime: number|null, samples: number, lastError: string|null, lastSeen: number|null,
+ *             consecutiveFailures: number, demoted: boolean, demotedUntil: number|null,
+ *             nip11: Object|null, nip11Error: string|null }}
+ */
+export function getRelayStats(url) {
+    const record = health.get(url);
+    const samples = record?.samples || [];
+    const now = Date.now();
+
+    const successes = samples.filter(s => s.ok);
+    const recent = successes.slice(-LATENCY_SAMPLES);
+    const lastDay = samples.filter(s => s.at >= now - UPTIME_WINDOW_MS);
+    const lastFailure = [...samples].reverse().find(s => !s.ok);
+
+    return {
+        url,
+        avgLatency: recent.length ? Math.round(recent.reduce((sum, s) => sum + s.ms, 0) / recent.length) : null,
+        lastLatency: successes.length ? successes[successes.length - 1].ms : null,
+        errorRate: samples.length ? (samples.length - successes.length) / samples.length : null,
+        uptime: lastDay.length ? lastDay.filter(s => s.ok).length / lastDay.length : null,
+        samples: samples.length,
+        lastError: lastFailure?.error || null,
+        lastSeen: successes.length ? successes[successes.length - 1].at : null,
+        consecutiveFailures: record?.consecutive_failures || 0,
+        demoted: isDemoted(url),
+        demotedUntil: isDemoted(url) ? record.demoted_until : null,
+        nip11: record?.nip11 || null,
+        nip11Error: record?.nip11_error || null
+    };
+}
+
+// Lower is better: average latency, inflated by the error rate
+function score(url) {
+    const stats = getRelayStats(url);
+    const latency = stats.avgLatency ?? UNKNOWN_LATENCY;
+    return latency * (1 + 4 * (stats.errorRate ?? 0));
+}
+
+/**
+ * Order relays best first. Demoted relays are dropped unless that would
+ * leave fewer than `minRelays`, in which case they go last.
+ * @param {string[]} urls
+ * @param {Object} [options]
+ * @param {number} [options.minRelays=1]
+ * @param {number} [options.preferNip] - Rank relays whose NIP-11 lists this NIP first
+ * @returns {string[]}
+ */
+export function rankRelays(urls, { minRelays = 1, preferNip = null } = {}) {
+    const supports = (url) => preferNip !== null && (health.get(url)?.nip11?.supported_nips || []).includes(preferNip);
+    const sorted = [...new Set(urls)].sort((a, b) => {
+        if (supports(a) !== supports(b)) return supports(a) ? -1 : 1;
+        return score(a) - score(b);
+    });
+
+    const healthy = sorted.filter(url => !isDemoted(url));
+    if (healthy.length >= minRelays) return healthy;
+    return [...healthy, ...sorted.filter(url => isDemoted(url))];
+}
+
+/**
+ * Convert a relay websocket url to its NIP-11 http(s) url
+ * @param {string} url
+ * @returns {string}
+ */
+function infoUrl(url) {
+    return url.replace(/^ws(s?):\/\//i, 'http$1://');
+}
+
+/**
+ * Fetch a relay's NIP-11 information document (cached for a day)
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore the cached copy
+ * @returns {Promise<Object|null>} The document, or null if the relay doesn't serve one
+ */
+export async function fetchRelayInfo(url, { force = false } = {}) {
+    const record = getRecord(url);
+    if (!force && record.nip11_fetched_at && Date.now() - record.nip11_fetched_at < NIP11_TTL_MS) {
+        return record.nip11;
+    }
+    if (nip11InFlight.has(url)) return nip11InFlight.get(url);
+
+    const promise = (async () => {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), NIP11_TIMEOUT_MS);
+        try {
+            const response = await fetch(infoUrl(url), {
+                headers: { Accept: 'application/nostr+json' },
+                signal: controller.signal
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const info = await response.json();
+            if (!info || typeof info !== 'object') throw new Error('Not a NIP-11 document');
+
+            record.nip11 = {
+                name: typeof info.name === 'string' ? info.name.slice(0, 100) : null,
+                description: typeof info.description === 'string' ? info.description.slice(0, 500) : null,
+                software: typeof info.software === 'string' ? info.software.slice(0, 200) : null,
+                version: typeof info.version === 'string' ? info.version.slice(0, 50) : null,
+                supported_nips: Array.isArray(info.supported_nips) ? info.supported_nips.filter(Number.isInteger) : [],
+                limitation: info.limitation && typeof info.limitation === 'object' ? info.limitation : {},
+                payments_url: /^https?:\/\//i.test(info.payments_url || '') ? info.payments_url : null,
+                fees: info.fees && typeof info.fees === 'object' ? info.fees : null
+            };
+            record.nip11_error = null;
+        } catch (error) {
+            record.nip11_error = error.name === 'AbortError' ? 'Timed out' : error.message;
+        } finally {
+            clearTimeout(timeoutId);
+            record.nip11_fetched_at = Date.now();
+            nip11InFlight.delete(url);
+            scheduleSave(url);
+        }
+        return record.nip11;
+    })();
+
+    nip11InFlight.set(url, promise);
+    return promise;
+}
+
+/**
+ * Time a small read from one relay and record the result
+ * @param {string} url
+ * @returns {Promise<{ ok: boolean, ms?: number, error?: string }>}
+ */
+export async function probeRelay(url) {
+    if (!State.pool) return { ok: false, error: 'No relay pool' };
+
+    const start = Date.now();
+    let result;
+    try {
+        await Promise.race([
+            (async () => {
+                await State.pool.ensureRelay(url); // Rejects when the socket won't open
+                await State.pool.querySync([url], { kinds: [0], limit: 1 }, { maxWait: PROBE_TIMEOUT_MS });
+            })(),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Timed out')), PROBE_TIMEOUT_MS))
+        ]);
+        result = { ok: true, ms: Date.now() - start };
+    } catch (error) {
+        result = { ok: false, error: error?.message || String(error) };
+    }
+
+    recordRelayResult(url, result);
+    return result;
+}
+
+/**
+ * Forget all history (NIP-11 documents are kept)
+ */
+export function resetRelayHealth() {
+    for (const record of health.values()) {
+        record.samples = [];
+        record.consecutive_failures = 0;
+        record.demotions = 0;
+        record.demoted_until = 0;
+        scheduleSave(record.url);
+    }
+}
@@ -1,7 +1,10 @@
 // ==================== RELAY MANAGEMENT MODULE ====================
-// Handles Nostr relay connections, subscriptions, and NIP-65 relay lists
+// Handles Nostr relay connections, subscriptions, NIP-65 relay lists and
+// NIP-17 DM inbox relay lists (kind 10050)
 
 import * as State from './state.js';
+import * as RelayHealth from './relay-health.js';
+import * as RelayAuth from './relay-auth.js';
 
 // Default relays configuration
 // NOTE: relay.nostr.band removed Dec 28, 2025 - SSL cert expired Dec 22
@@ -128,14 +131,12 @@ export function isRelayListConfirmed() {
     return !!State.publicKey && relayListConfirmedFor === State.publicKey;
 }
 
-// Performance tracking for relays
-let relayPerformance = {};
-
 // ==================== OUTBOX MODEL (NIP-65) ====================
 // Cache for other users' relay lists (pubkey -> {read: [], write: [], timestamp})
 const otherUsersRelayCache = new Map();
 const RELAY_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
 const MAX_OUTBOX_RELAYS = 5; // Limit relays per user to avoid too many connections
+const RELAY_LIST_BATCH_SIZE = 100; // Authors per kind 10002 prefetch query
 
 // Major relays for discovering NIP-65 relay lists
 // NOTE: relay.nostr.band removed Dec 28, 2025 - SSL cert expired Dec 22
@@ -277,10 +278,14 @@ export async function prefetchRelayLists(pubkeys) {
     console.log(`Prefetching relay lists for ${uncached.length} users...`);
 
     try {
-        const events = await State.pool.querySync(DISCOVERY_RELAYS, {
-            kinds: [10002],
-            authors: uncached.slice(0, 50) // Limit batch size
-        });
+        // Batches keep each REQ under relays' filter size limits
+        const batches = [];
+        for (let i = 0; i < uncached.length; i += RELAY_LIST_BATCH_SIZE) {
+            batches.push(uncached.slice(i, i + RELAY_LIST_BATCH_SIZE));
+        }
+        const events = (await Promise.all(batches.map(authors =>
+            State.pool.querySync(DISCOVERY_RELAYS, { kinds: [10002], authors }, { maxWait: 4000 })
+        ))).flat();
 
         // Group by pubkey and take most recent
         const { isNewerVersion } = await import('./replaceable.js');
@@ -306,37 +311,262 @@ export async function prefetchRelayLists(pubkeys) {
     }
 }
 
+/**
+ * Another user's cached NIP-65 relay list, without going to the network
+ * @param {string} pubkey
+ * @returns {{read: string[], write: string[]} | null} null if not cached or expired
+ */
+export function getCachedRelayList(pubkey) {
+    const cached = otherUsersRelayCache.get(pubkey);
+    if (!cached || (Date.now() - cached.timestamp) >= RELAY_CACHE_TTL) return null;
+    return { read: cached.read || [], write: cached.write || [] };
+}
+
 /**
  * Clear the relay cache (useful for testing or memory management)
  */
 export function clearRelayCache() {
     otherUsersRelayCache.clear();
+    otherUsersDmRelayCache.clear();
     console.log('Relay cache cleared');
 }
 
+// ==================== DM INBOX RELAYS (NIP-17) ====================
+// Kind 10050 lists the relays a user reads gift-wrapped DMs from. Wraps for
+// them are sent there, and they read wraps only from there, so their messages
+// don't depend on which general relays happen to carry kind 1059 and those
+// relays never see anyone asking for them.
+const otherUsersDmRelayCache = new Map(); // pubkey -> { relays: [], timestamp }
+const MAX_DM_RELAYS = 5;
+const DM_RELAY_LIST_WAIT_MS = 4000;
+
+// The logged-in user's own kind 10050 list, and when this copy was written
+// (unix seconds, 0 = unknown so a published list wins)
+let dmRelayList = [];
+let dmRelayListUpdatedAt = 0;
+let dmRelayListLoadedFor = null;
+let dmRelayListPromise = null;
+
+function dmRelayStorageKey() {
+    return `dm-relay-list:${State.publicKey}`;
+}
+
+/**
+ * Relay URLs from a kind 10050 event's `relay` tags
+ * @param {Object} event
+ * @returns {string[]}
+ */
+export function parseDmRelayList(event) {
+    return [...new Set((event?.tags || [])
+        .filter(tag => tag[0] === 'relay' && /^wss?:\/\//i.test(tag[1] || ''))
+        .map(tag => tag[1]))];
+}
+
+function hydrateDmRelaysFromStorage() {
+    dmRelayList = [];
+    dmRelayListUpdatedAt = 0;
+    try {
+        const stored = JSON.parse(localStorage.getItem(dmRelayStorageKey()) || 'null');
+        if (stored && Array.isArray(stored.relays)) {
+            dmRelayList = stored.relays;
+            dmRelayListUpdatedAt = Number(stored.updatedAt) || 0;
+        }
+    } catch (error) {
+        console.error('Error parsing stored DM relay list:', error);
+    }
+    RelayAuth.setInboxRelays(dmRelayList);
+}
+
+function saveDmRelayList(updatedAt = Math.floor(Date.now() / 1000)) {
+    dmRelayListUpdatedAt = updatedAt;
+    localStorage.setItem(dmRelayStorageKey(), JSON.stringify({ relays: dmRelayList, updatedAt }));
+    RelayAuth.setInboxRelays(dmRelayList);
+}
+
+/**
+ * The logged-in user's DM inbox relays (empty until loadDmRelayList has run
+ * for this account, or if they haven't set any)
+ * @returns {string[]}
+ */
+export function getDmRelays() {
+    if (!State.publicKey || dmRelayListLoadedFor !== State.publicKey) return [];
+    return [...dmRelayList];
+}
+
+/**
+ * Load the logged-in user's kind 10050 list: the copy on this device, replaced
+ * by the published one if that's newer. Runs once per account.
+ * @returns {Promise<string[]>}
+ */
+export function loadDmRelayList() {
+    if (!State.publicKey) return Promise.resolve([]);
+    if (dmRelayListLoadedFor === State.publicKey && dmRelayListPromise) return dmRelayListPromise;
+
+    const pubkey = State.publicKey;
+    dmRelayListLoadedFor = pubkey;
+    hydrateDmRelaysFromStorage();
+
+    dmRelayListPromise = (async () => {
+        if (!State.pool) return getDmRelays();
+        const { pickNewest } = await import('./replaceable.js');
+        const events = await State.pool.querySync(
+            [...new Set([...getWriteRelays(), ...DISCOVERY_RELAYS])],
+            { kinds: [10050], authors: [pubkey], limit: 1 },
+            { maxWait: DM_RELAY_LIST_WAIT_MS }
+        );
+        const event = pickNewest(events);
+        if (State.publicKey !== pubkey) return [];
+
+        if (event && event.created_at > dmRelayListUpdatedAt) {
+            dmRelayList = parseDmRelayList(event);
+            saveDmRelayList(event.created_at);
+            console.log(`📨 DM inbox relays adopted from kind 10050 (created_at ${event.created_at}):`, dmRelayList);
+        }
+        return getDmRelays();
+    })().catch(error => {
+        console.error('Error loading DM relay list:', error);
+        return getDmRelays();
+    });
+
+    return dmRelayListPromise;
+}
+
+// Add relay to the DM inbox list (saved locally; publishDmRelayList announces it)
+export function addDmRelay(url) {
+    if (!url || (!url.startsWith('wss://') && !url.startsWith('ws://'))) {
+        throw new Error('Relay URL must start with wss:// or ws://');
+    }
+    if (dmRelayList.includes(url)) return false; // Already exists
+
+    dmRelayList = [...dmRelayList, url];
+    saveDmRelayList();
+    return true;
+}
+
+// Remove relay from the DM inbox list
+export function removeDmRelay(url) {
+    if (!dmRelayList.includes(url)) return false; // Not found
+
+    dmRelayList = dmRelayList.filter(relay => relay !== url);
+    saveDmRelayList();
+    return true;
+}
+
+/**
+ * Publish the user's DM inbox relays as kind 10050, to their write relays and
+ * the discovery relays senders look it up on
+ * @returns {Promise<boolean>} Whether any relay accepted it
+ */
+export async function publishDmRelayList() {
+    if (!State.publicKey || !State.pool) return false;
+
+    try {
+        const { fetchLatest, nextCreatedAt, preserveUnmanagedTags, unreadNotice } = await import('./replaceable.js');
+        const publishRelays = [...new Set([...getWriteRelays(), ...DISCOVERY_RELAYS, ...dmRelayList])];
+
+        // Same rule as kind 10002: never replace a list we couldn't read first
+        const live = await fetchLatest({
+            pool: State.pool,
+            relays: publishRelays,
+            filter: { kinds: [10050], authors: [State.publicKey], limit: 1 },
+            timeoutMs: 8000,
+        });
+        if (!live.confirmed) {
+            console.warn('❌ No relay answered for the live DM relay list — not publishing');
+            return false;
+        }
+        const notice = unreadNotice(live);
+        if (notice) console.warn(`[NIP-17] ${notice}`);
+
+        const Utils = await import('./utils.js');
+        const signedEvent = await Utils.signEvent({
+            kind: 10050,
+            created_at: nextCreatedAt(live.event?.created_at),
+            tags: preserveUnmanagedTags(live.event?.tags, dmRelayList.map(url => ['relay', url]), ['relay']),
+            content: ''
+        });
+
+        // Through the outbox, so relays that don't answer are retried later
+        const PublishOutbox = await import('./publish-outbox.js');
+        const result = await PublishOutbox.publishEvent(signedEvent, publishRelays, { label: 'DM relay list' });
+        if (!result.accepted.length) {
+            result.rejected.forEach(r => console.warn(`[NIP-17] ${r.url} rejected:`, r.reason));
+            if (!result.pending.length) {
+                console.error('❌ No relay accepted the DM relay list');
+                return false;
+            }
+            // Queued: it goes out once a relay answers
+            saveDmRelayList(signedEvent.created_at);
+            console.warn('[NIP-17] DM relay list saved to the outbox until a relay can be reached');
+            return false;
+        }
+
+        saveDmRelayList(signedEvent.created_at);
+        console.log(`✅ DM relay list published to ${result.accepted.length}/${publishRelays.length} relays`);
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to publish DM relay list:', error);
+        return false;
+    }
+}
+
+/**
+ * Another user's DM inbox relays (kind 10050), looked up on the discovery
+ * relays and their own write relays
+ * @param {string} pubkey
+ * @returns {Promise<string[]>} Empty if they haven't published one
+ */
+export async function getDmInboxRelays(pubkey) {
+    if (pubkey === State.publicKey) {
+        await loadDmRelayList();
+        return getDmRelays().slice(0, MAX_DM_RELAYS);
+    }
+
+    const cached = otherUsersDmRelayCache.get(pubkey);
+    if (cached && (Date.now() - cached.timestamp) < RELAY_CACHE_TTL) {
+        return cached.relays;
+    }
+    if (!State.pool) return [];
+
+    try {
+        const outbox = await getOutboxRelays(pubkey);
+        const events = await State.pool.querySync(
+            [...new Set([...DISCOVERY_RELAYS, ...outbox])],
+            { kinds: [10050], authors: [pubkey], limit: 1 },
+            { maxWait: DM_RELAY_LIST_WAIT_MS }
+        );
+        const { pickNewest } = await import('./replaceable.js');
+        const event = pickNewest(events);
+        const relays = event ? parseDmRelayList(event).slice(0, MAX_DM_RELAYS) : [];
+        // Cached even when empty so a user without a list isn't looked up per message
+        otherUsersDmRelayCache.set(pubkey, { relays, timestamp: Date.now() });
+        return relays;
+    } catch (error) {
+        console.warn(`Failed to fetch DM relays for ${pubkey.slice(0, 8)}:`, error.message);
+        return [];
+    }
+}
+
 // Query relays with performance tracking and fast responses using Promise.race
 export async function queryRelaysFast(filters, options = {}) {
     const { limit = 50, timeout = State.RELAY_TIMEOUT, useCache = true } = options;
     
-    // Sort relays by performance (fastest first)
-    const sortedRelays = [...getActiveRelays()].sort((a, b) => {
-        const aPerf = relayPerformance[a] || 999999;
-        const bPerf = relayPerformance[b] || 999999;
-        return aPerf - bPerf;
-    });
+    // Healthiest relays first; demoted relays sit out until their backoff ends
+    const sortedRelays = RelayHealth.rankRelays(getActiveRelays());
     
     const results = [];
     const promises = sortedRelays.map(async (relayUrl) => {
         const startTime = Date.now();
         try {
+            await State.pool.ensureRelay(relayUrl); // Rejects when the socket won't open
             const events = await State.pool.querySync([relayUrl], filters);
             const endTime = Date.now();
-            relayPerformance[relayUrl] = endTime - startTime;
+            RelayHealth.recordRelayResult(relayUrl, { ok: true, ms: endTime - startTime });
             
             return { relayUrl, events, performance: endTime - startTime };
         } catch (error) {
             console.error(`Relay ${relayUrl} failed:`, error);
-            relayPerformance[relayUrl] = 999999; // Mark as slow
+            RelayHealth.recordRelayResult(relayUrl, { ok: false, error: error?.message || String(error) });
             return { relayUrl, events: [], error };
         }
     });
@@ -794,6 +1024,12 @@ export function forceResetToDefaultRelays() {
     localStorage.removeItem('user-relay-list-read');
     localStorage.removeItem('user-relay-list-write');
 
+    // The DM inbox list is loaded again for whoever logs in next
+    dmRelayList = [];
+    dmRelayListLoadedFor = null;
+    dmRelayListPromise = null;
+    RelayAuth.setInboxRelays([]);
+
     // Reset relay configuration to defaults
     userRelayList.read = [...DEFAULT_RELAYS];
     userRelayList.write = [...DEFAULT_RELAYS];
@@ -826,14 +1062,24 @@ export async function importRelayList() {
     return false; // No relay list found
 }
 
-// Get relay performance stats
+// Get relay performance stats (average latency in ms, null if never timed)
 export function getRelayPerformance() {
-    return { ...relayPerformance };
+    const performance = {};
+    for (const url of getActiveRelays()) {
+        performance[url] = RelayHealth.getRelayStats(url).avgLatency;
+    }
+    return performance;
 }
 
 // Reset relay performance tracking
 export function resetRelayPerformance() {
-    relayPerformance = {};
+    RelayHealth.resetRelayHealth();
+}
+
+// Search relays, NIP-50 relays first, then by health; demoted ones are left
+// out while enough others remain
+export function getSearchRelays() {
+    return RelayHealth.rankRelays(SEARCH_RELAYS, { minRelays: 5, preferNip: 50 });
 }
 
 // Get the Nosmero relay URL based on current protocol
@@ -848,8 +1094,15 @@ export function initializeRelays() {
     // Initialize the relay pool
     if (window.NostrTools && window.NostrTools.SimplePool && !State.pool) {
         const pool = new window.NostrTools.SimplePool();
+        RelayAuth.installRelayAuth(pool);
         State.setPool(pool);
         console.log('✓ Relay pool initialized');
+
+        RelayAuth.onAuthStatusChange(() => {
+            if (typeof window.updateRelayIndicator === 'function') {
+                window.updateRelayIndicator(State.relays.length);
+            }
+        });
     }
 
     // Load user relay list from localStorage or use defaults
@@ -860,6 +1113,11 @@ export function initializeRelays() {
         State.setRelays([...DEFAULT_RELAYS]);
     }
 
+    // Latency/error history from earlier sessions, then NIP-11 info (cached a day)
+    RelayHealth.loadRelayHealth()
+        .then(() => [...new Set([...State.relays, ...SEARCH_RELAYS])].forEach(url => RelayHealth.fetchRelayInfo(url)))
+        .catch(e => console.warn('Relay health history unavailable:', e));
+
     console.log('✓ Relays module initialized');
     console.log('Default relays:', DEFAULT_RELAYS);
     console.log('Current user relay list:', userRelayList);
@@ -2389,6 +2389,13 @@ const RightPanel = {
                     <div id="panelPaywallPrice" style="display: none; align-items: center; gap: 4px;">
                         <input type="number" id="panelPaywallPriceInput" placeholder="0.00015" step="0.00001" min="0.00001" value="0.00015" style="width: 80px; padding: 4px 8px; border-radius: 4px; border: 1px solid var(--border-color); background: var(--bg-primary); color: var(--text-primary); font-size: 12px;">
                         <span style="font-size: 12px; color: var(--text-secondary);">XMR</span>
+                        <select id="panelPaywallAccessInput" title="How long a purchase unlocks this note" style="padding: 4px; border-radius: 4px; border: 1px solid var(--border-color); background: var(--bg-primary); color: var(--text-primary); font-size: 12px;">
+                            <option value="">forever</option>
+                            <option value="1">for 1 day</option>
+                            <option value="7">for 7 days</option>
+                            <option value="30">for 30 days</option>
+                            <option value="365">for 1 year</option>
+                        </select>
                     </div>
                 </div>
                 <div id="panelPaywallAddress" style="display: none; margin-top: 10px;">
@@ -2829,8 +2836,10 @@ const RightPanel = {
         const priceInput = document.getElementById('panelPaywallPriceInput');
         const previewInput = document.getElementById('panelPaywallPreviewText');
         const addressInput = document.getElementById('panelPaywallAddressInput');
+        const accessInput = document.getElementById('panelPaywallAccessInput');
 
         const priceXmr = parseFloat(priceInput?.value) || 0.00015;
+        const accessDays = parseInt(accessInput?.value, 10) || null;
         const customPreview = previewInput?.value?.trim() || null;
         let paymentAddress = addressInput?.value?.trim();
 
@@ -2866,7 +2875,8 @@ const RightPanel = {
             content: content,
             preview: customPreview,
             priceXmr: priceXmr,
-            paymentAddress: paymentAddress
+            paymentAddress: paymentAddress,
+            accessDays
         });
 
         // Create event with paywall tags
@@ -2885,7 +2895,8 @@ const RightPanel = {
             priceXmr: paywallData.priceXmr,
             paymentAddress: paywallData.paymentAddress,
             preview: paywallData.preview,
-            encryptedContent: paywallData.encryptedContent
+            encryptedContent: paywallData.encryptedContent,
+            accessDays: paywallData.accessDays
         });
         event.tags.push(...paywallTags);
 
@@ -2903,7 +2914,8 @@ const RightPanel = {
             decryptionKey: paywallData.decryptionKey,
             preview: paywallData.preview,
             priceXmr: paywallData.priceXmr,
-            paymentAddress: paywallData.paymentAddress
+            paymentAddress: paywallData.paymentAddress,
+            accessDays: paywallData.accessDays
         });
 
         // Publish to relays
@@ -3,7 +3,7 @@
 // Functions for user search, hashtag search, content discovery, and search results
 
 import { showNotification, escapeHtml, parseContent as utilsParseContent } from './utils.js';
-import { SEARCH_RELAYS } from './relays.js';
+import { SEARCH_RELAYS, getSearchRelays, getNosmeroRelay } from './relays.js';
 import { showSkeletonLoader, hideSkeletonLoader } from './ui/index.js';
 import {
     pool,
@@ -11,24 +11,21 @@ import {
     posts,
     profileCache,
     eventCache,
+    publicKey,
     setCurrentPage
 } from './state.js';
+import { getRelayStats } from './relay-health.js';
 import * as PaywallUI from './paywall-ui.js';
+import * as Messages from './messages.js';
 
 // ==================== GLOBAL VARIABLES ====================
 
 export let searchType = 'all';
 export let recentSearches = JSON.parse(localStorage.getItem('recentSearches') || '[]');
-export let savedSearches = JSON.parse(localStorage.getItem('savedSearches') || '[]');
+export let savedSearches = []; // Mirrors localStorage, see readSavedSearches
 export let searchResultsCache = {};
 export const SEARCH_CACHE_DURATION = 3 * 60 * 1000; // 3 minutes
 
-// Search relay health tracking
-const searchRelayHealth = {};
-let searchRelayHealthLastReset = Date.now();
-const RELAY_HEALTH_RESET_INTERVAL = 5 * 60 * 1000; // Reset health data every 5 minutes
-const SEARCH_RELAY_SLOW_THRESHOLD = 5000; // 5 seconds = considered slow
-
 // Dedicated search pool - recreated per search for consistent results
 let searchPool = null;
 
@@ -161,6 +158,9 @@ export async function loadSearch() {
                         <div style="font-size: 12px; color: #666;">
                             Use quotes for "exact phrases", minus for -excluded words, # for hashtags, @ for users
                         </div>
+                        <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                            Filters: from:npub… kind:30023 since:2026-01-01 until:7d has:image|video|magnet lang:en tipped:xmr min-trust:50
+                        </div>
                     </div>
                 </div>
                 
@@ -172,6 +172,19 @@ export async function loadSearch() {
                     </div>
                 </div>
                 
+                <!-- Saved Searches -->
+                <div id="savedSearchesContainer" style="margin-bottom: 30px;">
+                    <div style="display: flex; align-items: center; justify-content: space-between; gap: 12px; margin-bottom: 15px;">
+                        <h3 style="color: #ccc; margin: 0;">Saved Searches</h3>
+                        <button onclick="saveCurrentSearch()" style="background: none; border: 1px solid #333; color: #ccc; padding: 6px 12px; border-radius: 16px; cursor: pointer; font-size: 13px;">
+                            ⭐ Save this search
+                        </button>
+                    </div>
+                    <div id="savedSearchList" style="display: flex; flex-wrap: wrap; gap: 8px;">
+                        <!-- Saved searches will be loaded here -->
+                    </div>
+                </div>
+
                 <!-- Search Results -->
                 <div id="searchResults">
                     <div style="text-align: center; color: #666; padding: 40px;">
@@ -281,6 +294,13 @@ export async function performSearch() {
     // Log search term to trending API (don't await, fire and forget)
     logSearchTerm(query);
 
+    // Filter operators (from:, kind:, since: ...) apply to every search type
+    const parsedQuery = parseAdvancedQuery(query);
+    const text = parsedQuery.text;
+    if (parsedQuery.errors.length > 0) {
+        showNotification(`Ignored ${parsedQuery.errors.join('; ')}`, 'warning');
+    }
+
     // Initialize streaming search results
     initializeSearchResults(query);
     updateSearchStatus('Searching cached posts...');
@@ -298,41 +318,53 @@ export async function performSearch() {
     console.log('[Search] Created fresh search pool');
 
     try {
+        // The server-side index answers first; relay results merge in after
+        const indexType = text.startsWith('#') ? 'hashtags'
+            : (text.startsWith('@') || text.startsWith('npub')) ? 'users'
+            : searchType;
+        const indexRequest = getIndexRequest(parsedQuery, indexType);
+        if (indexRequest) {
+            await performIndexSearch(indexRequest.query, indexRequest.kinds, parsedQuery);
+        }
+
         // Determine search type and perform streaming search
-        if (query.startsWith('#')) {
+        if (text.startsWith('#')) {
             // Hashtag search
-            await performStreamingHashtagSearch(query.slice(1));
-        } else if (query.startsWith('@') || query.startsWith('npub')) {
+            await performStreamingHashtagSearch(text.slice(1), parsedQuery);
+        } else if (text.startsWith('@') || text.startsWith('npub')) {
             // User search
-            await performStreamingUserSearch(query);
+            await performStreamingUserSearch(text, parsedQuery);
         } else {
-            // Based on selected search type
+            // Based on selected search type. Filters alone (no words) can't
+            // name a hashtag or user, so those fall back to a notes search.
             switch (searchType) {
                 case 'hashtags':
-                    await performStreamingHashtagSearch(query);
+                    await (text ? performStreamingHashtagSearch(text, parsedQuery) : performStreamingContentSearch(text, parsedQuery));
                     break;
                 case 'users':
-                    await performStreamingUserSearch(query);
+                    await (text ? performStreamingUserSearch(text, parsedQuery) : performStreamingContentSearch(text, parsedQuery));
                     break;
                 case 'content':
-                    await performStreamingContentSearch(query);
+                    await performStreamingContentSearch(text, parsedQuery);
                     break;
                 case 'threads':
-                    await performStreamingThreadsSearch(query);
+                    await performStreamingThreadsSearch(text, parsedQuery);
                     break;
                 case 'media':
-                    await performStreamingMediaSearch(query);
+                    await performStreamingMediaSearch(text, parsedQuery);
                     break;
                 case 'articles':
-                    await performStreamingArticlesSearch(query);
+                    await performStreamingArticlesSearch(text, parsedQuery);
                     break;
                 case 'all':
                 default:
-                    await performStreamingAllSearch(query);
+                    await performStreamingAllSearch(text, parsedQuery);
                     break;
             }
         }
 
+        await applyDeferredFilters(parsedQuery);
+
         // Close search pool after search completes
         if (searchPool) {
             try {
@@ -398,8 +430,8 @@ async function fetchEngagementForRange(startIdx, endIdx) {
         console.log(`[Search] Fetching engagement for ${idsToFetch.length} posts (range ${startIdx}-${endIdx})...`);
         const Posts = await import('./posts.js');
 
-        // Use SEARCH_RELAYS for engagement data (same relays that returned the posts)
-        const newEngagementData = await Posts.fetchEngagementCounts(idsToFetch, SEARCH_RELAYS);
+        // Use the search relays for engagement data (same relays that returned the posts)
+        const newEngagementData = await Posts.fetchEngagementCounts(idsToFetch, getHealthySearchRelays());
 
         // Merge new data into existing
         Object.assign(searchEngagementData, newEngagementData);
@@ -516,9 +548,9 @@ function getFilteredSuggestions(query) {
         });
 
         // Add saved searches (max 3)
-        savedSearches.slice(0, 3).forEach(search => {
-            if (!suggestions.find(s => s.text === search)) {
-                suggestions.push({ text: search, type: 'Saved', icon: '⭐' });
+        readSavedSearches().slice(0, 3).forEach(({ query }) => {
+            if (!suggestions.find(s => s.text === query)) {
+                suggestions.push({ text: query, type: 'Saved', icon: '⭐' });
             }
         });
 
@@ -541,9 +573,9 @@ function getFilteredSuggestions(query) {
     });
 
     // Filter saved searches that match
-    savedSearches.forEach(search => {
-        if (search.toLowerCase().includes(lowerQuery) && !suggestions.find(s => s.text === search)) {
-            suggestions.push({ text: search, type: 'Saved', icon: '⭐' });
+    readSavedSearches().forEach(({ query }) => {
+        if (query.toLowerCase().includes(lowerQuery) && !suggestions.find(s => s.text === query)) {
+            suggestions.push({ text: query, type: 'Saved', icon: '⭐' });
         }
     });
 
@@ -600,6 +632,256 @@ document.addEventListener('click', (e) => {
     }
 });
 
+// ==================== QUERY LANGUAGE ====================
+// Filters typed into the search box alongside the words:
+//   from:npub1…|hex|name   kind:1,30023   since:2026-01-01|7d   until:2026-02-01
+//   has:image|video|magnet|media   lang:en   tipped:xmr   min-trust:50
+// They narrow the relay filters (applyQueryToFilter) and the client-side
+// checks (matchesQueryFilters) alike; tipped: and min-trust: need network
+// lookups and are applied once the results are in (applyDeferredFilters).
+
+const QUERY_OPERATOR_REGEX = /(^|\s)(from|kind|since|until|has|lang|tipped|min-trust):(\S+)/gi;
+const HAS_VALUES = ['image', 'video', 'magnet', 'media'];
+const IMAGE_REGEX = /\.(jpg|jpeg|png|gif|webp|svg)(\?[^\s]*)?/i;
+const VIDEO_REGEX = /\.(mp4|webm|ogg|mov)(\?[^\s]*)?/i;
+const MAGNET_REGEX = /magnet:\?xt=/i;
+const TIP_LOOKUP_CHUNK = 100;
+const TIP_LOOKUP_WAIT_MS = 4000;
+
+// Non-Latin scripts that give the language away
+const SCRIPT_LANGUAGES = [
+    ['ja', /[\u3040-\u30ff]/],          // Hiragana, katakana
+    ['ko', /[\uac00-\ud7af]/],          // Hangul
+    ['zh', /[\u4e00-\u9fff]/],          // CJK ideographs without kana
+    ['uk', /[\u0454\u0456\u0457\u0491]/], // Cyrillic letters Russian doesn't use
+    ['ru', /[\u0400-\u04ff]/],
+    ['ar', /[\u0600-\u06ff]/],
+    ['he', /[\u0590-\u05ff]/],
+    ['el', /[\u0370-\u03ff]/],
+    ['th', /[\u0e00-\u0e7f]/],
+    ['hi', /[\u0900-\u097f]/]
+];
+
+// Common words of Latin-script languages
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'are', 'you', 'that', 'this', 'with', 'for', 'have', 'not', 'it'],
+    es: ['el', 'los', 'las', 'que', 'y', 'es', 'por', 'para', 'con', 'una', 'pero', 'muy'],
+    fr: ['le', 'les', 'des', 'est', 'et', 'une', 'pour', 'pas', 'avec', 'je', 'vous', 'sur'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'mit', 'ein', 'eine', 'zu', 'auch'],
+    pt: ['os', 'que', 'não', 'um', 'uma', 'para', 'com', 'é', 'mas', 'você', 'isso', 'muito'],
+    it: ['il', 'gli', 'che', 'di', 'non', 'una', 'per', 'con', 'è', 'sono', 'questo', 'anche'],
+    nl: ['het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'ik', 'met', 'zijn', 'ook', 'maar']
+};
+
+// Resolve from: to a hex pubkey: npub, nprofile, hex, "me", or a name or
+// NIP-05 we already have a profile for
+function resolveQueryAuthor(value) {
+    if (/^[0-9a-f]{64}$/i.test(value)) return value.toLowerCase();
+    if (value === 'me') return publicKey || null;
+    if (/^(npub|nprofile)1/.test(value)) {
+        try {
+            const decoded = window.NostrTools.nip19.decode(value);
+            return decoded.type === 'npub' ? decoded.data : decoded.data.pubkey;
+        } catch (e) {
+            return null;
+        }
+    }
+    const name = value.replace(/^@/, '').toLowerCase();
+    const match = Object.entries(profileCache).find(([, profile]) =>
+        [profile?.name, profile?.display_name, profile?.nip05].some(field => (field || '').toLowerCase() === name)
+    );
+    return match ? match[0] : null;
+}
+
+// since:/until: accept a date (2026-01-01), a unix timestamp or a relative
+// age (12h, 7d, 2w, 3m). until: a date means the end of that day.
+function parseQueryTime(value, endOfDay) {
+    const date = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (date) {
+        const ms = Date.UTC(+date[1], +date[2] - 1, +date[3]);
+        if (isNaN(ms)) return null;
+        return Math.floor(ms / 1000) + (endOfDay ? 24 * 60 * 60 - 1 : 0);
+    }
+    if (/^\d{9,10}$/.test(value)) return parseInt(value, 10);
+
+    const relative = value.match(/^(\d+)([hdwm])$/);
+    if (relative) {
+        const unit = { h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60, m: 30 * 24 * 60 * 60 }[relative[2]];
+        return Math.floor(Date.now() / 1000) - parseInt(relative[1], 10) * unit;
+    }
+    return null;
+}
+
+// Pull filter operators out of a query into `parsed`; returns the rest
+function extractQueryOperators(query, parsed) {
+    return query.replace(QUERY_OPERATOR_REGEX, (match, space, key, value) => {
+        key = key.toLowerCase();
+        const fail = (reason) => parsed.errors.push(`${key}:${value} - ${reason}`);
+
+        if (key === 'from') {
+            const pubkey = resolveQueryAuthor(value);
+            if (pubkey) parsed.authors = [...new Set([...parsed.authors, pubkey])];
+            else fail('unknown user (use an npub)');
+        } else if (key === 'kind') {
+            const kinds = value.split(',').map(kind => parseInt(kind, 10));
+            if (kinds.every(kind => Number.isInteger(kind) && kind >= 0 && kind <= 65535)) parsed.kinds.push(...kinds);
+            else fail('not an event kind');
+        } else if (key === 'since' || key === 'until') {
+            const time = parseQueryTime(value, key === 'until');
+            if (time === null) fail('use a date like 2026-01-01 or an age like 7d');
+            else parsed[key] = time;
+        } else if (key === 'has') {
+            if (HAS_VALUES.includes(value.toLowerCase())) parsed.has.push(value.toLowerCase());
+            else fail(`use ${HAS_VALUES.join(', ')}`);
+        } else if (key === 'lang') {
+            if (/^[a-z]{2}$/i.test(value)) parsed.lang = value.toLowerCase();
+            else fail('use a two-letter language code');
+        } else if (key === 'tipped') {
+            if (['xmr', 'monero'].includes(value.toLowerCase())) parsed.tipped = 'xmr';
+            else fail('only xmr is supported');
+        } else if (key === 'min-trust') {
+            const score = parseInt(value, 10);
+            if (score >= 0 && score <= 100) parsed.minTrust = score;
+            else fail('use a score from 0 to 100');
+        }
+        return space;
+    }).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Best guess at a note's language: its NIP-32 ISO-639-1 label if it has
+ * one, else its script, else the language whose common words it uses most
+ * @param {Object} event
+ * @returns {string|null} Two-letter code, or null if there's no telling
+ */
+export function detectLanguage(event) {
+    const label = event.tags?.find(tag => tag[0] === 'l' && tag[2] === 'ISO-639-1')?.[1];
+    if (label) return label.toLowerCase();
+
+    const text = (event.content || '')
+        .replace(/https?:\/\/\S+|nostr:\S+|#\S+/g, ' ')
+        .toLowerCase();
+    for (const [lang, regex] of SCRIPT_LANGUAGES) {
+        if (regex.test(text)) return lang;
+    }
+
+    const words = text.split(/[^\p{L}]+/u).filter(Boolean);
+    let best = null;
+    let bestHits = 1; // Two common words at least, or it's a guess
+    for (const [lang, stopwords] of Object.entries(STOPWORDS)) {
+        const hits = words.filter(word => stopwords.includes(word)).length;
+        if (hits > bestHits) {
+            best = lang;
+            bestHits = hits;
+        }
+    }
+    return best;
+}
+
+function hasMedia(event, type) {
+    const content = event.content || '';
+    const imetaTypes = (event.tags || [])
+        .filter(tag => tag[0] === 'imeta')
+        .flatMap(tag => tag.filter(part => part.startsWith('m ')).map(part => part.slice(2)));
+
+    const image = () => IMAGE_REGEX.test(content) || imetaTypes.some(mime => mime.startsWith('image/'));
+    const video = () => VIDEO_REGEX.test(content) || imetaTypes.some(mime => mime.startsWith('video/'));
+
+    if (type === 'image') return image();
+    if (type === 'video') return video();
+    if (type === 'media') return image() || video();
+    if (type === 'magnet') return MAGNET_REGEX.test(content);
+    return false;
+}
+
+/**
+ * Narrow a relay filter with the query's kind:, from:, since: and until:
+ * operators. A filter that already names its authors (user search) keeps
+ * them.
+ * @param {Object} filter
+ * @param {Object} parsedQuery - From parseAdvancedQuery()
+ * @returns {Object} New filter
+ */
+export function applyQueryToFilter(filter, parsedQuery) {
+    const result = { ...filter };
+    if (parsedQuery.kinds?.length > 0) result.kinds = parsedQuery.kinds;
+    if (parsedQuery.authors?.length > 0 && !result.authors) result.authors = parsedQuery.authors;
+    if (parsedQuery.since) result.since = Math.max(result.since || 0, parsedQuery.since);
+    if (parsedQuery.until) result.until = result.until ? Math.min(result.until, parsedQuery.until) : parsedQuery.until;
+    return result;
+}
+
+/**
+ * Client-side check of the query's filter operators (everything except the
+ * words, and except tipped:/min-trust:, see applyDeferredFilters)
+ * @param {Object} event
+ * @param {Object} parsedQuery - From parseAdvancedQuery()
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreAuthors=false] - For user search, which picks its own authors
+ * @returns {boolean}
+ */
+export function matchesQueryFilters(event, parsedQuery, { ignoreAuthors = false } = {}) {
+    if (!parsedQuery) return true;
+    if (parsedQuery.kinds?.length > 0 && !parsedQuery.kinds.includes(event.kind)) return false;
+    if (!ignoreAuthors && parsedQuery.authors?.length > 0 && !parsedQuery.authors.includes(event.pubkey)) return false;
+    if (parsedQuery.since && event.created_at < parsedQuery.since) return false;
+    if (parsedQuery.until && event.created_at > parsedQuery.until) return false;
+    if (parsedQuery.has?.some(type => !hasMedia(event, type))) return false;
+    if (parsedQuery.lang && detectLanguage(event) !== parsedQuery.lang) return false;
+    return true;
+}
+
+// Ids of the given notes that have kind 9736 Monero tip disclosures on the
+// Nosmero relay
+async function fetchTippedNoteIds(noteIds) {
+    const tipped = new Set();
+    for (let i = 0; i < noteIds.length; i += TIP_LOOKUP_CHUNK) {
+        const chunk = noteIds.slice(i, i + TIP_LOOKUP_CHUNK);
+        const disclosures = await pool.querySync([getNosmeroRelay()], {
+            kinds: [9736],
+            '#e': chunk
+        }, { maxWait: TIP_LOOKUP_WAIT_MS });
+
+        for (const event of disclosures) {
+            event.tags.forEach(tag => {
+                if (tag[0] === 'e' && chunk.includes(tag[1])) tipped.add(tag[1]);
+            });
+        }
+    }
+    return tipped;
+}
+
+/**
+ * Apply the filters that need a lookup per result - tipped:xmr (tip
+ * disclosures on the Nosmero relay) and min-trust: (Relatr scores) - to
+ * the finished result list
+ * @param {Object} parsedQuery - From parseAdvancedQuery()
+ */
+async function applyDeferredFilters(parsedQuery) {
+    if (parsedQuery.tipped && currentSearchResults.length > 0) {
+        updateSearchStatus('Checking for Monero tips...');
+        try {
+            const tipped = await fetchTippedNoteIds(currentSearchResults.map(post => post.id));
+            currentSearchResults = currentSearchResults.filter(post => tipped.has(post.id));
+        } catch (error) {
+            console.warn('[Search] Tip lookup failed:', error);
+            showNotification('Could not check tips, showing all results', 'warning');
+        }
+    }
+
+    if (parsedQuery.minTrust !== null && currentSearchResults.length > 0) {
+        if (localStorage.getItem('webOfTrustEnabled') === 'false') {
+            showNotification('min-trust: ignored - Web of Trust is turned off in Settings', 'warning');
+            return;
+        }
+        updateSearchStatus('Checking trust scores...');
+        const Relatr = await import('./relatr.js');
+        const authors = [...new Set(currentSearchResults.map(post => post.pubkey))];
+        const trusted = new Set(await Relatr.filterByTrustScore(authors, parsedQuery.minTrust, publicKey));
+        currentSearchResults = currentSearchResults.filter(post => trusted.has(post.pubkey));
+    }
+}
+
 // ==================== SEARCH FUNCTIONS ====================
 
 // Advanced query parser
@@ -609,9 +891,23 @@ export function parseAdvancedQuery(query) {
         excludeTerms: [],
         exactPhrases: [],
         isHashtag: false,
-        isUser: false
+        isUser: false,
+        // Filter operators (see QUERY LANGUAGE above)
+        authors: [],
+        kinds: [],
+        since: null,
+        until: null,
+        has: [],
+        lang: null,
+        tipped: null,
+        minTrust: null,
+        errors: [],
+        text: '' // The query without its operators
     };
-    
+
+    query = extractQueryOperators(query, parsed);
+    parsed.text = query;
+
     // Check for hashtag or user queries
     if (query.startsWith('#')) {
         parsed.isHashtag = true;
@@ -723,8 +1019,8 @@ export async function searchContent(query) {
         const searchPromises = searchFilters.map(filter => {
             return new Promise((resolve) => {
                 const tempResults = [];
-                // Use all SEARCH_RELAYS for comprehensive network-wide results
-                const searchSub = searchPool.subscribeMany(SEARCH_RELAYS, [filter], {
+                // Use the search relays for comprehensive network-wide results
+                const searchSub = searchPool.subscribeMany(getHealthySearchRelays(), [filter], {
                         onevent(event) {
                             // Apply advanced filtering to relay results
                             const content = event.content.toLowerCase();
@@ -827,7 +1123,7 @@ export async function searchThreads(query) {
     // Try to find more thread posts from network-wide search relays
     try {
         const threadResults = [];
-        const searchSub = searchPool.subscribeMany(SEARCH_RELAYS, [
+        const searchSub = searchPool.subscribeMany(getHealthySearchRelays(), [
             {
                 kinds: [1],
                 limit: 50,
@@ -940,7 +1236,7 @@ export async function searchArticles(query) {
         const articles = [];
 
         // Search for NIP-23 long-form articles (kind 30023) across network
-        const articleSub = searchPool.subscribeMany(SEARCH_RELAYS, [
+        const articleSub = searchPool.subscribeMany(getHealthySearchRelays(), [
             {
                 kinds: [30023], // NIP-23 long-form articles
                 limit: 20,
@@ -1022,7 +1318,7 @@ export async function searchHashtag(hashtag) {
         }
 
         // Search for posts with this hashtag across network-wide relays
-        const hashtagSub = searchPool.subscribeMany(SEARCH_RELAYS, [
+        const hashtagSub = searchPool.subscribeMany(getHealthySearchRelays(), [
             {
                 kinds: [1],
                 '#t': [cleanTag],
@@ -1092,7 +1388,7 @@ export async function searchUser(query) {
         try {
             const results = [];
 
-            const userSub = searchPool.subscribeMany(SEARCH_RELAYS, [
+            const userSub = searchPool.subscribeMany(getHealthySearchRelays(), [
                 {
                     kinds: [1],
                     authors: [searchPubkey],
@@ -1204,56 +1500,107 @@ function getTimeLimit(timeRange) {
 
 // ==================== STREAMING SEARCH FUNCTIONS ====================
 
-// Get healthy relays sorted by response time (fastest first)
+// Search relays ordered by the relay health monitor (NIP-50 relays first,
+// then fastest and most reliable; demoted relays left out)
 function getHealthySearchRelays() {
-    return [...SEARCH_RELAYS].sort((a, b) => {
-        const healthA = searchRelayHealth[a] || { avgTime: 1000, failures: 0 };
-        const healthB = searchRelayHealth[b] || { avgTime: 1000, failures: 0 };
+    return getSearchRelays();
+}
 
-        // Deprioritize relays with many failures
-        if (healthA.failures > 3 && healthB.failures <= 3) return 1;
-        if (healthB.failures > 3 && healthA.failures <= 3) return -1;
+// Kinds the server-side search index holds for each search type. Threads
+// and media are picked out client-side from relay results, so they skip it.
+const INDEX_SEARCH_KINDS = {
+    all: [1, 1111, 30023],
+    content: [1, 1111],
+    hashtags: [1, 1111, 30023],
+    users: [1, 1111, 30023],
+    articles: [30023]
+};
+const INDEX_SEARCH_LIMIT = 100;
+const INDEX_SEARCH_TIMEOUT_MS = 5000;
 
-        // Sort by average response time
-        return healthA.avgTime - healthB.avgTime;
-    });
-}
+/**
+ * Search the API's full-text index (notes, comments and articles it copies
+ * from relays) and stream its results. Runs before the relay searches, which
+ * merge in after it; if the index is down the relays still answer.
+ * @param {string} query - Query in index syntax ("phrase", -word, #tag, @npub)
+ * @param {number[]} kinds
+ * @param {Object} [parsedQuery] - Filters the index can't apply itself are checked here
+ * @returns {Promise<number>} Results added
+ */
+export async function performIndexSearch(query, kinds, parsedQuery = null) {
+    const searchOptions = getSearchOptions();
+    const since = Math.max(getTimeLimit(searchOptions.timeRange), parsedQuery?.since || 0);
+    const params = new URLSearchParams({ q: query, kinds: kinds.join(','), limit: INDEX_SEARCH_LIMIT });
+    if (since > 0) params.set('since', since);
+    if (parsedQuery?.until) params.set('until', parsedQuery.until);
 
-// Update relay health after a search
-function updateSearchRelayHealth(relayUrl, responseTime, success) {
-    // Reset all health data periodically to prevent stale data
-    if (Date.now() - searchRelayHealthLastReset > RELAY_HEALTH_RESET_INTERVAL) {
-        Object.keys(searchRelayHealth).forEach(key => delete searchRelayHealth[key]);
-        searchRelayHealthLastReset = Date.now();
-        console.log('[Search] Reset relay health data (periodic reset)');
-    }
+    updateSearchStatus('Searching index...');
+    const startTime = Date.now();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), INDEX_SEARCH_TIMEOUT_MS);
 
-    if (!searchRelayHealth[relayUrl]) {
-        searchRelayHealth[relayUrl] = { avgTime: responseTime, failures: 0, successes: 0 };
-    }
+    let added = 0;
+    try {
+        const response = await fetch(`/api/search?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        if (!data.success) {
+            console.log('[Search] Index declined query:', data.error);
+            return 0;
+        }
 
-    const health = searchRelayHealth[relayUrl];
-    if (success) {
-        health.successes++;
-        // Decay failures on success (relay recovered)
-        if (health.failures > 0) {
-            health.failures = Math.max(0, health.failures - 1);
+        for (const event of data.events || []) {
+            if (searchOptions.hideNsfw && isNsfwContent(event)) continue;
+            if (!matchesQueryFilters(event, parsedQuery)) continue;
+            if (!window.NostrTools.verifyEvent(event)) continue;
+            added++;
+            addSearchResult(event);
         }
-        // Rolling average of response times
-        health.avgTime = Math.round((health.avgTime * 0.7) + (responseTime * 0.3));
+        console.log(`[Search] Index: ${added} results in ${Date.now() - startTime}ms`);
+    } catch (error) {
+        console.warn('[Search] Index search unavailable:', error.message);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+    return added;
+}
+
+// Translate a parsed query into an index query for a search type, or null
+// when the index can't answer it (users by name are only found through
+// relays, and kind: may rule out everything the index holds)
+function getIndexRequest(parsedQuery, type) {
+    const kindsForType = INDEX_SEARCH_KINDS[type];
+    if (!kindsForType) return null;
+    const kinds = parsedQuery.kinds.length > 0
+        ? kindsForType.filter(kind => parsedQuery.kinds.includes(kind))
+        : kindsForType;
+    if (kinds.length === 0) return null;
+
+    const text = parsedQuery.text;
+    const authors = parsedQuery.authors.map(pubkey => `@${pubkey}`);
+    let query;
+
+    if (text.startsWith('#') || (type === 'hashtags' && text)) {
+        const tag = text.replace(/^#/, '').trim();
+        if (!/^\S+$/.test(tag)) return null;
+        query = [`#${tag}`, ...authors].join(' ');
+    } else if (text.startsWith('@') || text.startsWith('npub') || (type === 'users' && text)) {
+        const user = text.replace(/^@/, '').trim();
+        if (!/^(npub1|nprofile1)[0-9a-z]+$/.test(user) && !/^[0-9a-f]{64}$/.test(user)) return null;
+        query = `@${user}`;
     } else {
-        // Only count as failure if it's a timeout, not just 0 results
-        if (responseTime >= SEARCH_RELAY_SLOW_THRESHOLD) {
-            health.failures++;
-            health.avgTime = SEARCH_RELAY_SLOW_THRESHOLD;
-        }
-        // Don't penalize relays that respond quickly but have no results
+        query = [
+            ...parsedQuery.terms,
+            ...parsedQuery.exactPhrases.map(phrase => `"${phrase}"`),
+            ...parsedQuery.excludeTerms.map(term => `-${term}`),
+            ...authors
+        ].join(' ');
     }
+
+    return query ? { query, kinds } : null;
 }
 
 // Streaming content search
-export async function performStreamingContentSearch(query) {
-    const parsedQuery = parseAdvancedQuery(query);
+export async function performStreamingContentSearch(query, parsedQuery = parseAdvancedQuery(query)) {
     const searchOptions = getSearchOptions();
 
     // Get time limit for filtering
@@ -1283,19 +1630,21 @@ export async function performStreamingContentSearch(query) {
 
     // Build NIP-50 search query (works for any query, relays that don't support it will ignore)
     const searchTerms = [...parsedQuery.terms, ...parsedQuery.exactPhrases].join(' ');
-    const nip50Query = buildNip50SearchString(searchTerms || query, searchOptions);
+    const nip50Query = buildNip50SearchString(searchTerms, searchOptions);
 
-    // Single efficient NIP-50 search filter with increased limit
-    const searchFilter = {
+    // Single efficient NIP-50 search filter with increased limit. A query of
+    // filters alone (from:, kind: ...) has nothing to search for.
+    const searchFilter = applyQueryToFilter({
         kinds: [1],
-        search: nip50Query,
         limit: 500, // Increased limit - NIP-50 is server-side efficient
         since: sinceTimestamp
-    };
+    }, parsedQuery);
+    if (nip50Query) searchFilter.search = nip50Query;
 
-    // Use all SEARCH_RELAYS with single subscribeMany call
+    // Use the search relays with single subscribeMany call
     // NOTE: Per-relay subscriptions break nostr-tools pool connection handling
-    console.log('[Search] Querying', SEARCH_RELAYS.length, 'relays with filter:', JSON.stringify(searchFilter));
+    const searchRelays = getHealthySearchRelays();
+    console.log('[Search] Querying', searchRelays.length, 'relays with filter:', JSON.stringify(searchFilter));
 
     // Single subscription to all relays at once (correct pattern for nostr-tools)
     const nip50StartTime = Date.now();
@@ -1303,7 +1652,7 @@ export async function performStreamingContentSearch(query) {
     let nip50ReceivedCount = 0;
 
     await new Promise((resolve) => {
-        const searchSub = searchPool.subscribeMany(SEARCH_RELAYS, [searchFilter], {
+        const searchSub = searchPool.subscribeMany(searchRelays, [searchFilter], {
             onerror(err) {
                 console.error('[Search] NIP-50 subscription error:', err);
             },
@@ -1345,17 +1694,17 @@ export async function performStreamingContentSearch(query) {
 
     // Fallback: Broad content search for relays that don't support NIP-50
     // This fetches recent posts and filters client-side
-    const broadFilter = {
+    const broadFilter = applyQueryToFilter({
         kinds: [1],
         limit: 100,
         since: sinceTimestamp || Math.floor(Date.now() / 1000) - (30 * 24 * 60 * 60) // Last 30 days if no time filter
-    };
+    }, parsedQuery);
 
     const broadStartTime = Date.now();
     let broadResultCount = 0;
 
     await new Promise((resolve) => {
-        const broadSub = searchPool.subscribeMany(SEARCH_RELAYS, [broadFilter], {
+        const broadSub = searchPool.subscribeMany(getHealthySearchRelays(), [broadFilter], {
             onevent(event) {
                 // Client-side NSFW filter
                 if (searchOptions.hideNsfw && isNsfwContent(event)) {
@@ -1393,7 +1742,7 @@ export async function performStreamingContentSearch(query) {
 }
 
 // Streaming hashtag search
-export async function performStreamingHashtagSearch(hashtag) {
+export async function performStreamingHashtagSearch(hashtag, parsedQuery = parseAdvancedQuery(`#${hashtag}`)) {
     const cleanTag = hashtag.replace('#', '').toLowerCase();
     const searchOptions = getSearchOptions();
     const timeLimit = getTimeLimit(searchOptions.timeRange);
@@ -1406,6 +1755,9 @@ export async function performStreamingHashtagSearch(hashtag) {
         if (timeLimit > 0 && post.created_at < timeLimit) {
             return;
         }
+        if (!matchesQueryFilters(post, parsedQuery)) {
+            return;
+        }
         const tags = post.tags.filter(tag => tag[0] === 't');
         if (tags.some(tag => tag[1] && tag[1].toLowerCase() === cleanTag)) {
             addSearchResult(post);
@@ -1424,26 +1776,30 @@ export async function performStreamingHashtagSearch(hashtag) {
     const sinceTimestamp = timeLimit > 0 ? timeLimit : 0;
 
     // Hashtag filter
-    const hashtagFilter = {
+    const hashtagFilter = applyQueryToFilter({
         kinds: [1],
         '#t': [cleanTag],
         limit: 200,
         since: sinceTimestamp
-    };
+    }, parsedQuery);
 
-    console.log('[Search] Querying', SEARCH_RELAYS.length, 'relays for hashtag:', cleanTag);
+    const searchRelays = getHealthySearchRelays();
+    console.log('[Search] Querying', searchRelays.length, 'relays for hashtag:', cleanTag);
 
     // Single subscription to all relays (correct pattern for nostr-tools)
     const hashtagStartTime = Date.now();
     let hashtagResultCount = 0;
 
     await new Promise((resolve) => {
-        const hashtagSub = searchPool.subscribeMany(SEARCH_RELAYS, [hashtagFilter], {
+        const hashtagSub = searchPool.subscribeMany(searchRelays, [hashtagFilter], {
             onevent(event) {
                 // Client-side time filter
                 if (timeLimit > 0 && event.created_at < timeLimit) {
                     return;
                 }
+                if (!matchesQueryFilters(event, parsedQuery)) {
+                    return;
+                }
 
                 hashtagResultCount++;
                 addSearchResult(event);
@@ -1467,12 +1823,13 @@ export async function performStreamingHashtagSearch(hashtag) {
 }
 
 // Streaming user search
-export async function performStreamingUserSearch(query) {
+export async function performStreamingUserSearch(query, parsedQuery = parseAdvancedQuery(query)) {
     let searchPubkey = null;
     const cleanQuery = query.replace('@', '').trim();
     const searchOptions = getSearchOptions();
     const timeLimit = getTimeLimit(searchOptions.timeRange);
     const sinceTimestamp = timeLimit > 0 ? timeLimit : 0;
+    const matchesFilters = (event) => matchesQueryFilters(event, parsedQuery, { ignoreAuthors: true });
 
     // Check if it's an npub or hex pubkey
     if (cleanQuery.startsWith('npub')) {
@@ -1495,27 +1852,28 @@ export async function performStreamingUserSearch(query) {
         // Search cached posts first
         posts.forEach(post => {
             if (timeLimit > 0 && post.created_at < timeLimit) return;
-            if (post.pubkey === searchPubkey) {
+            if (post.pubkey === searchPubkey && matchesFilters(post)) {
                 addSearchResult(post);
             }
         });
 
         // User filter with increased limit
-        const userFilter = {
+        const userFilter = applyQueryToFilter({
             kinds: [1],
             authors: [searchPubkey],
             limit: 100, // Increased from 20
             since: sinceTimestamp
-        };
+        }, parsedQuery);
 
         // Single subscription to all relays (correct pattern for nostr-tools)
         const userStartTime = Date.now();
         let userResultCount = 0;
 
         await new Promise((resolve) => {
-            const userSub = searchPool.subscribeMany(SEARCH_RELAYS, [userFilter], {
+            const userSub = searchPool.subscribeMany(getHealthySearchRelays(), [userFilter], {
                 onevent(event) {
                     if (timeLimit > 0 && event.created_at < timeLimit) return;
+                    if (!matchesFilters(event)) return;
                     userResultCount++;
                     addSearchResult(event);
                 },
@@ -1550,7 +1908,7 @@ export async function performStreamingUserSearch(query) {
                 matchedPubkeys.add(pubkey);
                 posts.forEach(post => {
                     if (timeLimit > 0 && post.created_at < timeLimit) return;
-                    if (post.pubkey === pubkey) {
+                    if (post.pubkey === pubkey && matchesFilters(post)) {
                         addSearchResult(post);
                     }
                 });
@@ -1572,7 +1930,7 @@ export async function performStreamingUserSearch(query) {
         let profileResultCount = 0;
 
         await new Promise((resolve) => {
-            const profileSub = searchPool.subscribeMany(SEARCH_RELAYS, [profileFilter], {
+            const profileSub = searchPool.subscribeMany(getHealthySearchRelays(), [profileFilter], {
                 onevent(event) {
                     try {
                         const profile = JSON.parse(event.content);
@@ -1613,20 +1971,21 @@ export async function performStreamingUserSearch(query) {
             updateSearchStatus(`Found ${profileResults.length} users, fetching posts...`);
 
             const newPubkeys = profileResults.map(r => r.pubkey);
-            const postsFilter = {
+            const postsFilter = applyQueryToFilter({
                 kinds: [1],
                 authors: newPubkeys,
                 limit: 100, // Increased from 50
                 since: sinceTimestamp
-            };
+            }, parsedQuery);
 
             const postsStartTime = Date.now();
             let postsResultCount = 0;
 
             await new Promise((resolve) => {
-                const postsSub = searchPool.subscribeMany(SEARCH_RELAYS, [postsFilter], {
+                const postsSub = searchPool.subscribeMany(getHealthySearchRelays(), [postsFilter], {
                     onevent(event) {
                         if (timeLimit > 0 && event.created_at < timeLimit) return;
+                        if (!matchesFilters(event)) return;
                         postsResultCount++;
                         addSearchResult(event);
                     },
@@ -1650,8 +2009,7 @@ export async function performStreamingUserSearch(query) {
 }
 
 // Streaming threads search
-export async function performStreamingThreadsSearch(query) {
-    const parsedQuery = parseAdvancedQuery(query);
+export async function performStreamingThreadsSearch(query, parsedQuery = parseAdvancedQuery(query)) {
     const searchOptions = getSearchOptions();
     const timeLimit = getTimeLimit(searchOptions.timeRange);
     const sinceTimestamp = timeLimit > 0 ? timeLimit : 0;
@@ -1670,12 +2028,12 @@ export async function performStreamingThreadsSearch(query) {
     });
 
     // Search network-wide relays for threads
-    const threadSub = searchPool.subscribeMany(SEARCH_RELAYS, [
-        {
+    const threadSub = searchPool.subscribeMany(getHealthySearchRelays(), [
+        applyQueryToFilter({
             kinds: [1],
             limit: 50,
             since: sinceTimestamp
-        }
+        }, parsedQuery)
     ], {
         onevent(event) {
             // Client-side time filter (fallback for relays that ignore since parameter)
@@ -1696,8 +2054,7 @@ export async function performStreamingThreadsSearch(query) {
 }
 
 // Streaming media search
-export async function performStreamingMediaSearch(query) {
-    const parsedQuery = parseAdvancedQuery(query);
+export async function performStreamingMediaSearch(query, parsedQuery = parseAdvancedQuery(query)) {
     const searchOptions = getSearchOptions();
     const timeLimit = getTimeLimit(searchOptions.timeRange);
 
@@ -1708,31 +2065,26 @@ export async function performStreamingMediaSearch(query) {
         if (timeLimit > 0 && post.created_at < timeLimit) {
             return;
         }
-        const content = post.content;
-        const hasImage = /\.(jpg|jpeg|png|gif|webp|svg)(\?[^\s]*)?/i.test(content);
-        const hasVideo = /\.(mp4|webm|ogg)(\?[^\s]*)?/i.test(content);
-
-        if ((hasImage || hasVideo) && matchesQuery(post, parsedQuery)) {
+        if (hasMedia(post, 'media') && matchesQuery(post, parsedQuery)) {
             addSearchResult(post);
         }
     });
 }
 
 // Streaming articles search
-export async function performStreamingArticlesSearch(query) {
-    const parsedQuery = parseAdvancedQuery(query);
+export async function performStreamingArticlesSearch(query, parsedQuery = parseAdvancedQuery(query)) {
     const searchOptions = getSearchOptions();
     const timeLimit = getTimeLimit(searchOptions.timeRange);
     const sinceTimestamp = timeLimit > 0 ? timeLimit : 0;
 
     updateSearchStatus('Searching articles...');
 
-    const articleSub = searchPool.subscribeMany(SEARCH_RELAYS, [
-        {
+    const articleSub = searchPool.subscribeMany(getHealthySearchRelays(), [
+        applyQueryToFilter({
             kinds: [30023], // NIP-23 long-form articles
             limit: 20,
             since: sinceTimestamp
-        }
+        }, parsedQuery)
     ], {
         onevent(event) {
             // Client-side time filter (fallback for relays that ignore since parameter)
@@ -1753,18 +2105,19 @@ export async function performStreamingArticlesSearch(query) {
 }
 
 // Streaming search for "all" type
-export async function performStreamingAllSearch(query) {
+export async function performStreamingAllSearch(query, parsedQuery = parseAdvancedQuery(query)) {
     updateSearchStatus('Searching all content types...');
 
-    // Run multiple search types concurrently
-    const searchPromises = [
-        performStreamingContentSearch(query),
-        performStreamingHashtagSearch(query)
-    ];
+    // Run multiple search types concurrently (a query of filters alone has
+    // no hashtag to look for)
+    const searchPromises = [performStreamingContentSearch(query, parsedQuery)];
+    if (query) {
+        searchPromises.push(performStreamingHashtagSearch(query, parsedQuery));
+    }
 
     const searchOptions = getSearchOptions();
     if (searchOptions.includeMedia) {
-        searchPromises.push(performStreamingMediaSearch(query));
+        searchPromises.push(performStreamingMediaSearch(query, parsedQuery));
     }
 
     await Promise.all(searchPromises);
@@ -1897,6 +2250,10 @@ function getSpellingSuggestion(query) {
 
 // Helper function to check if a post matches the parsed query
 function matchesQuery(post, parsedQuery, useFuzzy = false) {
+    if (!matchesQueryFilters(post, parsedQuery)) {
+        return false;
+    }
+
     const content = post.content.toLowerCase();
 
     // Check exclude terms first
@@ -1978,6 +2335,7 @@ export function initializeSearchResults(query) {
                     <button id="sortDate" onclick="setSortMode('date')" style="background: linear-gradient(135deg, #FF6600, #8B5CF6); border: none; color: #000; padding: 6px 12px; border-radius: 4px; margin-right: 4px; cursor: pointer; font-size: 12px;">By Date</button>
                     <button id="sortEngagement" onclick="setSortMode('engagement')" style="background: transparent; border: 1px solid #333; color: #fff; padding: 6px 12px; border-radius: 4px; margin-right: 4px; cursor: pointer; font-size: 12px;">By Engagement</button>
                     <button id="sortStream" onclick="setSortMode('stream')" style="background: transparent; border: 1px solid #333; color: #fff; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 12px;">As Found</button>
+                    <button onclick="exportSearchResults()" title="Download the signed events as NDJSON" style="background: transparent; border: 1px solid #333; color: #fff; padding: 6px 12px; border-radius: 4px; margin-left: 8px; cursor: pointer; font-size: 12px;">⬇️ Export</button>
                 </div>
             </div>
             ${suggestionHtml}
@@ -2076,7 +2434,7 @@ export async function setSortMode(mode) {
                 updateSearchStatus(`Fetching engagement data (batch ${batchNum}/${totalBatches})...`);
 
                 try {
-                    const batchData = await Posts.fetchEngagementCounts(batch, SEARCH_RELAYS);
+                    const batchData = await Posts.fetchEngagementCounts(batch, getHealthySearchRelays());
                     Object.assign(searchEngagementData, batchData);
                     batch.forEach(id => engagementFetchedIds.add(id));
                 } catch (error) {
@@ -2440,7 +2798,7 @@ async function fetchSearchProfiles(pubkeys) {
             let profilesReceived = 0;
             const foundPubkeys = new Set();
 
-            const sub = pool.subscribeMany(SEARCH_RELAYS, [
+            const sub = pool.subscribeMany(getHealthySearchRelays(), [
                 {
                     kinds: [0], // User metadata
                     authors: unknownPubkeys
@@ -2585,34 +2943,350 @@ function updateLikeButtonState(postId) {
 
 // ==================== SAVED SEARCHES & EXPORT ====================
 
+// Saved searches live in localStorage ('savedSearches') and follow the user
+// to other devices through a NIP-78 blob (saveSavedSearchesToRelays in
+// app.js). Each can alert on new matches: 'start' re-runs it on app start
+// from where the last check stopped, 'live' keeps a subscription open.
+// Matches found that way count as unread until the search is opened.
+const MAX_SAVED_SEARCHES = 20;
+const SAVED_SEARCH_TYPES = ['all', 'content', 'threads', 'media', 'articles', 'hashtags', 'users'];
+const ALERT_MODES = {
+    off: 'No alerts',
+    start: 'Check on start',
+    live: 'Live'
+};
+const ALERT_MAX_MATCH_IDS = 100;    // Remembered per search so a match is only counted once
+const ALERT_QUERY_LIMIT = 100;
+const ALERT_QUERY_WAIT_MS = 6000;
+const ALERT_CURSOR_OVERLAP = 10 * 60; // Seconds re-checked before the cursor, for events that arrive late
+const ALERT_RELAY_COUNT = 6;
+const ALERT_FLUSH_MS = 1000;
+
+// Saved search id -> { close } for live alerts
+const alertSubscriptions = new Map();
+let alertsStarted = false;
+
+function normalizeSavedSearch(search) {
+    if (!search || typeof search.query !== 'string' || !search.query.trim()) return null;
+    const timestamp = Number.isFinite(search.timestamp) ? search.timestamp : Date.now();
+    return {
+        id: /^[\w-]{1,40}$/.test(search.id || '') ? search.id : String(timestamp),
+        query: search.query.trim().slice(0, 500),
+        type: SAVED_SEARCH_TYPES.includes(search.type) ? search.type : 'all',
+        timestamp,
+        alert: ALERT_MODES[search.alert] ? search.alert : 'off',
+        // Per device: where the next alert check starts, and what it found
+        cursor: Number.isFinite(search.cursor) ? search.cursor : Math.floor(timestamp / 1000),
+        unread: Number.isInteger(search.unread) && search.unread > 0 ? search.unread : 0,
+        matchIds: Array.isArray(search.matchIds)
+            ? search.matchIds.filter(id => typeof id === 'string').slice(0, ALERT_MAX_MATCH_IDS)
+            : [],
+        lastMatchAt: Number.isFinite(search.lastMatchAt) ? search.lastMatchAt : 0
+    };
+}
+
+function normalizeSavedSearches(list) {
+    const seen = new Set();
+    return (Array.isArray(list) ? list : [])
+        .map(normalizeSavedSearch)
+        .filter(search => search && !seen.has(search.id) && seen.add(search.id))
+        .slice(-MAX_SAVED_SEARCHES);
+}
+
+// Saved searches are read from localStorage every time and written straight
+// back, so another tab's changes (or an alert's) aren't overwritten
+function readSavedSearches() {
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem('savedSearches') || '[]');
+    } catch (e) {
+        console.warn('[Search] Ignoring unreadable saved searches');
+    }
+    savedSearches = normalizeSavedSearches(stored);
+    return savedSearches;
+}
+
+function writeSavedSearches(list) {
+    savedSearches = normalizeSavedSearches(list);
+    localStorage.setItem('savedSearches', JSON.stringify(savedSearches));
+}
+
+// The fields that sync; the alert cursor and unread matches stay with the
+// device that found them
+function toSyncedSearch({ id, query, type, timestamp, alert }) {
+    return { id, query, type, timestamp, alert };
+}
+
+function syncSavedSearches() {
+    if (!publicKey || !window.saveSavedSearchesToRelays) return;
+    window.saveSavedSearchesToRelays(readSavedSearches().map(toSyncedSearch)).catch(error => {
+        console.error('❌ Error syncing saved searches:', error);
+        showNotification(`Saved searches not synced: ${error.message}`, 'warning');
+    });
+}
+
+/**
+ * Take in the saved searches synced from other devices (the
+ * nosmero:saved-searches NIP-78 blob). The synced list wins; searches saved
+ * here since it was published are kept and synced back.
+ * @param {Object|null} data - Blob content from loadSavedSearchesFromRelays, null if there's none
+ */
+export function mergeSyncedSavedSearches(data) {
+    if (!data || !Array.isArray(data.searches)) return;
+
+    const local = readSavedSearches();
+    const localById = new Map(local.map(search => [search.id, search]));
+    const now = Math.floor(Date.now() / 1000);
+
+    const merged = normalizeSavedSearches(data.searches).map(remote => {
+        const mine = localById.get(remote.id);
+        if (mine) return { ...mine, query: remote.query, type: remote.type, alert: remote.alert };
+        // New to this device: alert on what's posted from now on, not its backlog
+        return { ...remote, cursor: now };
+    });
+    const remoteIds = new Set(merged.map(search => search.id));
+    const syncedAt = (data.updated_at || 0) * 1000;
+    const unsynced = local.filter(search => !remoteIds.has(search.id) && search.timestamp > syncedAt);
+
+    writeSavedSearches([...merged, ...unsynced]);
+    loadSavedSearches();
+    publishAlertNotifications();
+    if (unsynced.length > 0) syncSavedSearches();
+}
+
+// Relay filter and client-side match for a saved search's alert, or null
+// when it can't alert (an unknown user, or filters alone with no author,
+// which would match every new note)
+function getAlertRequest(search) {
+    const parsedQuery = parseAdvancedQuery(search.query);
+    const text = parsedQuery.text;
+    const type = text.startsWith('#') ? 'hashtags'
+        : (text.startsWith('@') || text.startsWith('npub')) ? 'users'
+        : search.type;
+
+    const filter = { kinds: [type === 'articles' ? 30023 : 1] };
+    let match = event => matchesQuery(event, parsedQuery);
+
+    if (type === 'hashtags' && text) {
+        filter['#t'] = [text.replace(/^#/, '').toLowerCase()];
+        match = event => matchesQueryFilters(event, parsedQuery);
+    } else if (type === 'users' && text) {
+        // A user search alerts on that user's new notes
+        const pubkey = resolveQueryAuthor(text.replace(/^@/, ''));
+        if (!pubkey) return null;
+        filter.authors = [pubkey];
+        match = event => matchesQueryFilters(event, parsedQuery, { ignoreAuthors: true });
+    } else {
+        const words = [...parsedQuery.terms, ...parsedQuery.exactPhrases].join(' ');
+        if (words) {
+            filter.search = words;
+        } else if (parsedQuery.authors.length === 0) {
+            return null;
+        }
+        if (type === 'threads') match = event => isThread(event) && matchesQuery(event, parsedQuery);
+        if (type === 'media') match = event => hasMedia(event, 'media') && matchesQuery(event, parsedQuery);
+    }
+
+    return {
+        filter: applyQueryToFilter(filter, parsedQuery),
+        parsedQuery,
+        match: event => event.pubkey !== publicKey && !isNsfwContent(event) && match(event)
+    };
+}
+
+// Word alerts go to NIP-50 relays only: a relay that ignores `search` would
+// stream every new note into a live alert
+function getAlertRelays(filter) {
+    const ranked = getSearchRelays();
+    if (!filter.search) {
+        return [...new Set([...relays, ...ranked.slice(0, ALERT_RELAY_COUNT)])];
+    }
+    const nip50 = ranked.filter(url => getRelayStats(url).nip11?.supported_nips?.includes(50));
+    return (nip50.length > 0 ? nip50 : ranked).slice(0, ALERT_RELAY_COUNT);
+}
+
+// tipped: and min-trust: for alert matches, as applyDeferredFilters does for
+// a search. A note is rarely tipped yet when it's new, so tipped:xmr alerts
+// mostly catch up at start.
+async function filterAlertMatches(events, parsedQuery) {
+    let matches = events;
+    if (parsedQuery.tipped && matches.length > 0) {
+        const tipped = await fetchTippedNoteIds(matches.map(event => event.id));
+        matches = matches.filter(event => tipped.has(event.id));
+    }
+    if (parsedQuery.minTrust !== null && matches.length > 0 && localStorage.getItem('webOfTrustEnabled') !== 'false') {
+        const Relatr = await import('./relatr.js');
+        const authors = [...new Set(matches.map(event => event.pubkey))];
+        const trusted = new Set(await Relatr.filterByTrustScore(authors, parsedQuery.minTrust, publicKey));
+        matches = matches.filter(event => trusted.has(event.pubkey));
+    }
+    return matches;
+}
+
+// Count new matches as unread and move the search's cursor to `checkedAt`
+async function recordAlertMatches(id, events, parsedQuery, checkedAt) {
+    let matches = events;
+    try {
+        matches = await filterAlertMatches(events, parsedQuery);
+    } catch (error) {
+        console.warn('[Search] Could not check alert matches for tips/trust:', error);
+    }
+
+    const list = readSavedSearches();
+    const search = list.find(s => s.id === id);
+    if (!search) return; // Removed while checking
+
+    const known = new Set(search.matchIds);
+    const fresh = [...new Set(matches.map(event => event.id))].filter(eventId => !known.has(eventId));
+    search.cursor = Math.max(search.cursor, checkedAt);
+    if (fresh.length > 0) {
+        search.matchIds = [...fresh, ...search.matchIds].slice(0, ALERT_MAX_MATCH_IDS);
+        search.unread += fresh.length;
+        search.lastMatchAt = checkedAt;
+    }
+    writeSavedSearches(list);
+
+    if (fresh.length > 0) {
+        console.log(`[Search] ${fresh.length} new match(es) for saved search "${search.query}"`);
+        loadSavedSearches();
+        publishAlertNotifications();
+    }
+}
+
+// Re-run a saved search from its cursor ('start' alerts)
+async function checkSavedSearch(search) {
+    const request = getAlertRequest(search);
+    if (!request) return;
+
+    const checkedAt = Math.floor(Date.now() / 1000);
+    const filter = {
+        ...request.filter,
+        since: Math.max(request.filter.since || 0, search.cursor - ALERT_CURSOR_OVERLAP),
+        limit: ALERT_QUERY_LIMIT
+    };
+    try {
+        const events = await pool.querySync(getAlertRelays(filter), filter, { maxWait: ALERT_QUERY_WAIT_MS });
+        await recordAlertMatches(search.id, events.filter(request.match), request.parsedQuery, checkedAt);
+    } catch (error) {
+        console.warn(`[Search] Saved search alert "${search.query}" failed:`, error);
+    }
+}
+
+// Keep a subscription open for a saved search ('live' alerts). It starts
+// from the cursor, so what was posted while the app was closed counts too.
+function startLiveAlert(search) {
+    stopAlert(search.id);
+    const request = getAlertRequest(search);
+    if (!request) return;
+
+    const filter = {
+        ...request.filter,
+        since: Math.max(request.filter.since || 0, search.cursor - ALERT_CURSOR_OVERLAP),
+        limit: ALERT_QUERY_LIMIT
+    };
+    let pending = [];
+    let flushTimer = null;
+    const flush = () => {
+        clearTimeout(flushTimer);
+        const events = pending;
+        pending = [];
+        recordAlertMatches(search.id, events, request.parsedQuery, Math.floor(Date.now() / 1000));
+    };
+
+    const sub = pool.subscribeMany(getAlertRelays(filter), [filter], {
+        onevent(event) {
+            if (!request.match(event)) return;
+            pending.push(event);
+            // Matches come in bursts; count them once per burst
+            clearTimeout(flushTimer);
+            flushTimer = setTimeout(flush, ALERT_FLUSH_MS);
+        },
+        oneose() {
+            flush();
+        }
+    });
+
+    alertSubscriptions.set(search.id, {
+        close: () => {
+            clearTimeout(flushTimer);
+            sub.close();
+        }
+    });
+}
+
+function stopAlert(id) {
+    alertSubscriptions.get(id)?.close();
+    alertSubscriptions.delete(id);
+}
+
+// Hand the saved searches with unread matches to the notifications list
+function publishAlertNotifications() {
+    Messages.setSearchAlertNotifications(readSavedSearches()
+        .filter(search => search.unread > 0)
+        .map(search => ({
+            id: `search-${search.id}`,
+            type: 'search',
+            timestamp: search.lastMatchAt,
+            pubkey: null,
+            content: search.query,
+            count: search.unread,
+            savedSearchId: search.id
+        })));
+}
+
+/**
+ * Start alerting on saved searches: open the live ones and check the
+ * others since they were last checked. Called once after login.
+ * @returns {Promise<void>} Resolves when the start-up checks are done
+ */
+export async function startSavedSearchAlerts() {
+    alertsStarted = true;
+    const searches = readSavedSearches();
+    publishAlertNotifications();
+
+    searches.filter(search => search.alert === 'live').forEach(startLiveAlert);
+    // One at a time, so start-up doesn't open every search relay at once
+    for (const search of searches.filter(s => s.alert === 'start')) {
+        await checkSavedSearch(search);
+    }
+}
+
+/**
+ * Close every live saved-search alert
+ */
+export function stopSavedSearchAlerts() {
+    alertsStarted = false;
+    [...alertSubscriptions.keys()].forEach(stopAlert);
+}
+
 // Load and display saved searches
 export function loadSavedSearches() {
     const savedSearchList = document.getElementById('savedSearchList');
     if (!savedSearchList) return;
-    
-    if (savedSearches.length === 0) {
+
+    const searches = readSavedSearches();
+    if (searches.length === 0) {
         savedSearchList.innerHTML = '<span style="color: #666;">No saved searches</span>';
         return;
     }
-    
-    savedSearchList.innerHTML = savedSearches.map((search, index) => {
-        // Escape for JavaScript string context (backslashes, quotes, and angle brackets)
-        const jsEscape = (str) => str
-            .replace(/\\/g, '\\\\')
-            .replace(/'/g, "\\'")
-            .replace(/"/g, '\\"')
-            .replace(/</g, '\\x3C')
-            .replace(/>/g, '\\x3E');
 
-        const jsEscapedQuery = jsEscape(search.query);
-        const jsEscapedType = jsEscape(search.type);
+    savedSearchList.innerHTML = searches.map(search => {
+        // Ids are limited to [\w-] (normalizeSavedSearch), so they're safe in onclick
+        const unread = search.unread > 99 ? '99+' : search.unread;
         return `
             <div style="display: flex; align-items: center; gap: 4px; background: #333; border-radius: 16px; padding: 6px 12px;">
-                <button onclick="searchFromSaved('${jsEscapedQuery}', '${jsEscapedType}')"
-                        style="background: none; border: none; color: #fff; cursor: pointer; font-size: 14px;">
+                <button onclick="openSavedSearch('${search.id}')"
+                        style="background: none; border: none; color: #fff; cursor: pointer; font-size: 14px; display: flex; align-items: center; gap: 6px;">
                     ${escapeHtml(search.query)}
+                    ${search.unread > 0 ? `<span title="${search.unread} new match${search.unread === 1 ? '' : 'es'}" style="background: #FF6600; color: #000; border-radius: 10px; padding: 0 6px; font-size: 11px; font-weight: bold;">${unread}</span>` : ''}
                 </button>
-                <button onclick="removeSavedSearch(${index})"
+                <select onchange="setSavedSearchAlert('${search.id}', this.value)" title="Alert on new matches"
+                        style="background: #000; color: #ccc; border: 1px solid #444; border-radius: 4px; font-size: 11px; padding: 1px 2px;">
+                    ${Object.entries(ALERT_MODES).map(([mode, label]) => `
+                        <option value="${mode}" ${search.alert === mode ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <button onclick="removeSavedSearch('${search.id}')"
                         style="background: none; border: none; color: #999; cursor: pointer; font-size: 12px; padding: 2px;" title="Remove">
                     ×
                 </button>
@@ -2631,6 +3305,57 @@ export function searchFromSaved(query, type) {
     }
 }
 
+/**
+ * Run a saved search and mark its matches read. Works from any page (the
+ * notifications list links here).
+ * @param {string} id
+ */
+export function openSavedSearch(id) {
+    const list = readSavedSearches();
+    const search = list.find(s => s.id === id);
+    if (!search) {
+        showNotification('That saved search was removed', 'info');
+        return;
+    }
+
+    if (search.unread > 0) {
+        search.unread = 0;
+        writeSavedSearches(list);
+        publishAlertNotifications();
+    }
+
+    if (!document.getElementById('searchInput')) {
+        window.navigateTo?.('search');
+    }
+    loadSavedSearches();
+    searchFromSaved(search.query, search.type);
+}
+
+/**
+ * Change how a saved search alerts on new matches
+ * @param {string} id
+ * @param {string} mode - 'off', 'start' (checked on app start) or 'live'
+ */
+export function setSavedSearchAlert(id, mode) {
+    const list = readSavedSearches();
+    const search = list.find(s => s.id === id);
+    if (!search || !ALERT_MODES[mode]) return;
+
+    search.alert = mode;
+    // Alerts cover what's posted from now on, not what was missed while off
+    search.cursor = Math.floor(Date.now() / 1000);
+    writeSavedSearches(list);
+
+    if (alertsStarted) {
+        stopAlert(id);
+        if (mode === 'live') startLiveAlert(search);
+    }
+    if (mode !== 'off' && !getAlertRequest(search)) {
+        showNotification('This search can\'t alert: add words, a hashtag or from:', 'warning');
+    }
+    syncSavedSearches();
+}
+
 // Save current search
 export function saveCurrentSearch() {
     const searchInput = document.getElementById('searchInput');
@@ -2638,83 +3363,64 @@ export function saveCurrentSearch() {
         showNotification('Enter a search term first', 'error');
         return;
     }
-    
+
     const query = searchInput.value.trim();
-    
+    const list = readSavedSearches();
+
     // Check if already saved
-    if (savedSearches.find(s => s.query === query && s.type === searchType)) {
+    if (list.find(s => s.query === query && s.type === searchType)) {
         showNotification('Search already saved', 'info');
         return;
     }
-    
-    // Add to saved searches
-    savedSearches.push({
+
+    // Add to saved searches (the oldest go past MAX_SAVED_SEARCHES)
+    const search = normalizeSavedSearch({
+        id: Date.now().toString(36),
         query,
         type: searchType,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        alert: 'start'
     });
-    
-    // Keep only last 20 saved searches
-    if (savedSearches.length > 20) {
-        savedSearches = savedSearches.slice(-20);
-    }
-    
-    localStorage.setItem('savedSearches', JSON.stringify(savedSearches));
+    search.cursor = Math.floor(Date.now() / 1000);
+    writeSavedSearches([...list, search]);
+
     loadSavedSearches();
-    showNotification('Search saved successfully');
+    syncSavedSearches();
+    showNotification('Search saved - new matches will show in Notifications');
 }
 
 // Remove saved search
-export function removeSavedSearch(index) {
-    savedSearches.splice(index, 1);
-    localStorage.setItem('savedSearches', JSON.stringify(savedSearches));
+export function removeSavedSearch(id) {
+    stopAlert(id);
+    writeSavedSearches(readSavedSearches().filter(search => search.id !== id));
     loadSavedSearches();
+    publishAlertNotifications();
+    syncSavedSearches();
     showNotification('Search removed');
 }
 
-// Export search results
-export function exportSearchResults() {
-    const posts = document.querySelectorAll('.post');
-    if (posts.length === 0) {
+// Export search results as an archive of the signed events (archive.js)
+export async function exportSearchResults() {
+    if (currentSearchResults.length === 0) {
         showNotification('No search results to export', 'error');
         return;
     }
-    
-    const searchQuery = document.getElementById('searchInput')?.value || 'search';
-    const exportData = {
-        query: searchQuery,
-        type: searchType,
-        timestamp: new Date().toISOString(),
-        results: []
-    };
-    
-    // Extract data from displayed posts
-    posts.forEach(postEl => {
-        const content = postEl.querySelector('.post-content')?.textContent || '';
-        const username = postEl.querySelector('.username')?.textContent || '';
-        const handle = postEl.querySelector('.handle')?.textContent || '';
-        const timestamp = postEl.querySelector('.timestamp')?.textContent || '';
-        
-        exportData.results.push({
-            username,
-            handle,
-            content: content.slice(0, 500),
-            timestamp
+
+    showNotification('Preparing export...');
+    try {
+        const Archive = await import('./archive.js');
+        const result = await Archive.exportArchive({
+            type: 'search',
+            subject: currentSearchQuery,
+            description: `${searchType === 'all' ? 'Search' : `${searchType} search`} for "${currentSearchQuery}"`,
+            events: currentSearchResults,
+            relays: getHealthySearchRelays()
         });
-    });
-    
-    // Create and download JSON file
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `nosmero-search-${searchQuery.replace(/[^a-zA-Z0-9]/g, '-')}-${new Date().toISOString().slice(0, 10)}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    showNotification(`Exported ${exportData.results.length} search results`);
+        showNotification(`Exported ${result.events} search results and ${result.profiles} profiles`);
+    } catch (error) {
+        console.error('[Search] Export failed:', error);
+        showNotification(`Export failed: ${error.message}`, 'error');
+    }
 }
 
 // Make functions available globally for window calls
@@ -2726,4 +3432,6 @@ window.searchFromRecent = searchFromRecent;
 window.searchFromSaved = searchFromSaved;
 window.saveCurrentSearch = saveCurrentSearch;
 window.removeSavedSearch = removeSavedSearch;
+window.openSavedSearch = openSavedSearch;
+window.setSavedSearchAlert = setSavedSearchAlert;
 window.exportSearchResults = exportSearchResults;
\ No newline at end of file
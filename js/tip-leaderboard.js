@@ -0,0 +1,267 @@
+/**
+ * Nosmero Tip Leaderboards & Creator Tip Pages
+ *
+ * Renders the tip leaderboards (top tipped notes, creators and tippers per
+ * day / week / month / all time) and a creator's tip page from the API's
+ * index of kind 9736 disclosures (GET /api/tips/...), instead of every
+ * browser querying the relay for thousands of events.
+ *
+ * Anonymous tips are counted in note and creator totals but never named:
+ * the API doesn't return their tipper, so they show as "Anonymous".
+ */
+
+import * as State from './state.js';
+import * as Utils from './utils.js';
+
+const API_BASE = '/api/tips';
+
+const WINDOWS = [
+    { id: 'day', label: 'Today' },
+    { id: 'week', label: 'This week' },
+    { id: 'month', label: 'This month' },
+    { id: 'all', label: 'All time' }
+];
+
+const BOARDS = [
+    { id: 'creators', label: 'Top creators' },
+    { id: 'notes', label: 'Top notes' },
+    { id: 'tippers', label: 'Top tippers' }
+];
+
+/**
+ * GET an /api/tips endpoint
+ * @param {string} path - e.g. '/leaderboard/notes'
+ * @param {Object} params - { range, verified, limit }
+ * @returns {Promise<Object>}
+ */
+async function fetchTips(path, { range = 'all', verified = true, limit } = {}) {
+    const query = new URLSearchParams({ window: range, verified: String(verified) });
+    if (limit) query.set('limit', String(limit));
+
+    const response = await fetch(`${API_BASE}${path}?${query}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+}
+
+/**
+ * Network-wide tip totals and recent tips
+ * @param {Object} [params] - { range, verified, limit }
+ * @returns {Promise<Object>} See GET /api/tips/stats
+ */
+export function getTipStats(params) {
+    return fetchTips('/stats', params);
+}
+
+function formatXmr(amount) {
+    return `${Number(amount || 0).toFixed(12).replace(/\.?0+$/, '')} XMR`;
+}
+
+function displayName(pubkey) {
+    const profile = State.profileCache[pubkey];
+    return profile?.name || profile?.display_name || pubkey.substring(0, 12) + '…';
+}
+
+function noteLabel(noteId) {
+    try {
+        const note = window.NostrTools.nip19.noteEncode(noteId);
+        return note.substring(0, 16) + '…';
+    } catch (e) {
+        return noteId.substring(0, 12) + '…';
+    }
+}
+
+// Resolve names for everyone shown (best effort)
+async function loadProfiles(pubkeys) {
+    const missing = [...new Set(pubkeys.filter(pk => pk && !State.profileCache[pk]))];
+    if (missing.length > 0 && window.NostrPosts?.fetchProfiles) {
+        try { await window.NostrPosts.fetchProfiles(missing); } catch (e) {}
+    }
+}
+
+function renderToolbar(idPrefix, range, verified) {
+    return `
+        <div class="paywall-dashboard-toolbar">
+            <select id="${idPrefix}Window">
+                ${WINDOWS.map(w => `<option value="${w.id}"${w.id === range ? ' selected' : ''}>${w.label}</option>`).join('')}
+            </select>
+            <label class="tip-board-verified" title="Only tips whose proof the Nosmero API checked">
+                <input type="checkbox" id="${idPrefix}Verified"${verified ? ' checked' : ''}>
+                Verified tips only
+            </label>
+        </div>
+    `;
+}
+
+// Creators open their tip page, tippers their profile
+function renderPersonRow(pubkey, value, detail, action = 'viewUserProfilePage') {
+    return `
+        <li onclick="${action}('${Utils.escapeHtml(pubkey)}')">
+            <span>${Utils.escapeHtml(displayName(pubkey))}</span>
+            <span class="paywall-stat-value">${Utils.escapeHtml(value)}${detail ? ` · ${Utils.escapeHtml(detail)}` : ''}</span>
+        </li>
+    `;
+}
+
+function renderNoteRow(noteId, recipientPubkey, total, count) {
+    const author = recipientPubkey ? `${displayName(recipientPubkey)} · ` : '';
+    return `
+        <li onclick="openThreadView('${Utils.escapeHtml(noteId)}')">
+            <span>${Utils.escapeHtml(author + noteLabel(noteId))}</span>
+            <span class="paywall-stat-value">${Utils.escapeHtml(formatXmr(total))} · ${count}×</span>
+        </li>
+    `;
+}
+
+function renderBoard(board, data) {
+    if (data.entries.length === 0 && !data.anonymous?.count) {
+        return '<p class="paywall-dashboard-hint">No tips in this period yet.</p>';
+    }
+
+    let rows;
+    if (board === 'notes') {
+        rows = data.entries.map(e => renderNoteRow(e.noteId, e.recipientPubkey, e.total, e.count));
+    } else if (board === 'creators') {
+        rows = data.entries.map(e => renderPersonRow(e.pubkey, formatXmr(e.total), `${e.count} tips`, 'openCreatorTipPage'));
+    } else {
+        rows = data.entries.map(e => renderPersonRow(e.pubkey, formatXmr(e.total), `${e.creators} creators`));
+    }
+
+    const anonymous = board === 'tippers' && data.anonymous?.count > 0 ? `
+        <p class="paywall-dashboard-hint">Plus ${Utils.escapeHtml(formatXmr(data.anonymous.total))} in ${data.anonymous.count} anonymous tips (not ranked).</p>
+    ` : '';
+
+    return `<ol class="paywall-top-buyers">${rows.join('')}</ol>${anonymous}`;
+}
+
+/**
+ * Render the tip leaderboards into a container
+ * @param {HTMLElement} containerEl
+ * @param {Object} [options]
+ * @param {string} [options.board='creators'] - 'creators', 'notes' or 'tippers'
+ * @param {string} [options.range='week'] - 'day', 'week', 'month' or 'all'
+ * @param {boolean} [options.verified=true] - Only API-verified tips
+ */
+export async function renderTipLeaderboard(containerEl, { board = 'creators', range = 'week', verified = true } = {}) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = '<div class="paywall-dashboard-hint">Loading leaderboard…</div>';
+
+    let data, stats;
+    try {
+        [data, stats] = await Promise.all([
+            fetchTips(`/leaderboard/${board}`, { range, verified }),
+            getTipStats({ range, verified, limit: 1 })
+        ]);
+    } catch (error) {
+        containerEl.innerHTML = `<div class="paywall-error-message">Could not load leaderboard: ${Utils.escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    await loadProfiles(data.entries.map(e => e.pubkey || e.recipientPubkey));
+
+    containerEl.innerHTML = `
+        ${renderToolbar('tipBoard', range, verified)}
+        <div class="paywall-creator-stats">
+            <div class="paywall-stat-row">
+                <span class="paywall-stat-label">Tipped</span>
+                <span class="paywall-stat-value">${Utils.escapeHtml(formatXmr(stats.total))}</span>
+            </div>
+            <div class="paywall-stat-row">
+                <span class="paywall-stat-label">Tips</span>
+                <span class="paywall-stat-value">${stats.count} to ${stats.creators} creators</span>
+            </div>
+        </div>
+        <div class="tip-board-tabs">
+            ${BOARDS.map(b => `<button class="tip-board-tab${b.id === board ? ' active' : ''}" data-board="${b.id}">${b.label}</button>`).join('')}
+        </div>
+        <div class="paywall-dashboard-section">
+            ${renderBoard(board, data)}
+        </div>
+    `;
+
+    const rerender = (changes) => renderTipLeaderboard(containerEl, { board, range, verified, ...changes });
+
+    containerEl.querySelector('#tipBoardWindow').addEventListener('change', (e) => rerender({ range: e.target.value }));
+    containerEl.querySelector('#tipBoardVerified').addEventListener('change', (e) => rerender({ verified: e.target.checked }));
+    containerEl.querySelectorAll('.tip-board-tab').forEach(tab => {
+        tab.addEventListener('click', () => rerender({ board: tab.dataset.board }));
+    });
+}
+
+/**
+ * Render one creator's tip page: totals, most tipped notes, top tippers and
+ * recent tips
+ * @param {HTMLElement} containerEl
+ * @param {string} pubkey - Creator (hex)
+ * @param {Object} [options]
+ * @param {string} [options.range='all']
+ * @param {boolean} [options.verified=true]
+ */
+export async function renderCreatorTipPage(containerEl, pubkey, { range = 'all', verified = true } = {}) {
+    if (!containerEl) return;
+
+    containerEl.innerHTML = '<div class="paywall-dashboard-hint">Loading tips…</div>';
+
+    let data;
+    try {
+        data = await fetchTips(`/creator/${pubkey}`, { range, verified });
+    } catch (error) {
+        containerEl.innerHTML = `<div class="paywall-error-message">Could not load tips: ${Utils.escapeHtml(error.message)}</div>`;
+        return;
+    }
+
+    await loadProfiles([pubkey, ...data.tippers.map(t => t.pubkey), ...data.recent.map(t => t.tipperPubkey)]);
+
+    const rows = [
+        ['Received', formatXmr(data.total)],
+        ['Tips', data.count],
+        ['Named tippers', data.tipperCount],
+        ['Anonymous', `${formatXmr(data.anonymousTotal)} in ${data.anonymousCount} tips`]
+    ];
+
+    containerEl.innerHTML = `
+        <div class="tip-board-creator" onclick="viewUserProfilePage('${Utils.escapeHtml(pubkey)}')">
+            ${Utils.escapeHtml(displayName(pubkey))}
+        </div>
+        ${renderToolbar('creatorTips', range, verified)}
+        <div class="paywall-creator-stats">
+            ${rows.map(([label, value]) => `
+                <div class="paywall-stat-row">
+                    <span class="paywall-stat-label">${Utils.escapeHtml(label)}</span>
+                    <span class="paywall-stat-value">${Utils.escapeHtml(String(value))}</span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="paywall-dashboard-section">
+            <h3>Most tipped notes</h3>
+            ${data.notes.length === 0
+                ? '<p class="paywall-dashboard-hint">No tipped notes in this period.</p>'
+                : `<ol class="paywall-top-buyers">${data.notes.map(n => renderNoteRow(n.noteId, null, n.total, n.count)).join('')}</ol>`}
+        </div>
+        <div class="paywall-dashboard-section">
+            <h3>Top tippers</h3>
+            ${data.tippers.length === 0
+                ? '<p class="paywall-dashboard-hint">No named tippers in this period.</p>'
+                : `<ol class="paywall-top-buyers">${data.tippers.map(t => renderPersonRow(t.pubkey, formatXmr(t.total), `${t.count}×`)).join('')}</ol>`}
+        </div>
+        <div class="paywall-dashboard-section">
+            <h3>Recent tips</h3>
+            ${data.recent.length === 0
+                ? '<p class="paywall-dashboard-hint">No tips yet.</p>'
+                : `<ul class="tip-board-recent">${data.recent.map(tip => `
+                    <li>
+                        <span>${Utils.escapeHtml(tip.tipperPubkey ? displayName(tip.tipperPubkey) : 'Anonymous')}</span>
+                        <span class="paywall-stat-value">${Utils.escapeHtml(formatXmr(tip.amount))}${tip.verification ? ' ✓' : ''} · ${Utils.formatTime(tip.createdAt)}</span>
+                    </li>
+                `).join('')}</ul>`}
+        </div>
+    `;
+
+    const rerender = (changes) => renderCreatorTipPage(containerEl, pubkey, { range, verified, ...changes });
+
+    containerEl.querySelector('#creatorTipsWindow').addEventListener('change', (e) => rerender({ range: e.target.value }));
+    containerEl.querySelector('#creatorTipsVerified').addEventListener('change', (e) => rerender({ verified: e.target.checked }));
+}
@@ -0,0 +1,175 @@
+/**
+ * Nosmero Tip Splits - share one Monero tip between several recipients
+ *
+ * Notes and articles can name who a tip should go to with NIP-57 appendix G
+ * `zap` tags. Nosmero reads them for Monero tips too, with an optional
+ * fifth element carrying the recipient's Monero address:
+ *
+ *   ["zap", "<pubkey>", "<relay>", "<weight>", "<monero address>"]
+ *
+ * Without an address the recipient's published one is used. Weights are
+ * relative (1 and 3 means 25% / 75%); when no tag has a weight the tip is
+ * split equally. Notes without zap tags that quote other notes (`q` tags)
+ * can optionally share the tip equally with the quoted authors.
+ *
+ * A split tip is one multi-destination transaction; the disclosure is one
+ * kind 9736 event per recipient, all carrying the same txid and tx key.
+ */
+
+import * as State from './state.js';
+
+const HEX64_REGEX = /^[0-9a-f]{64}$/;
+// Standard and subaddresses only: a transaction can carry one payment ID,
+// so integrated addresses can't share it with other destinations
+const ADDRESS_REGEX = /^[48][1-9A-HJ-NP-Za-km-z]{94}$/;
+const MAX_SPLIT_RECIPIENTS = 10;
+const WEIGHT_SCALE = 1000000n; // Weights are scaled to integers for BigInt math
+
+// Events opened for tipping that aren't in the note cache (articles)
+const tippableEvents = new Map();
+
+/**
+ * Remember an event so the tip modal can read its split tags
+ * @param {Object} event
+ */
+export function rememberTippableEvent(event) {
+    if (event?.id) tippableEvents.set(event.id, event);
+}
+
+/**
+ * Find the event being tipped
+ * @param {string} eventId
+ * @returns {Object|null}
+ */
+export function findTippableEvent(eventId) {
+    return tippableEvents.get(eventId) || State.eventCache[eventId] || null;
+}
+
+/**
+ * Read `zap` split tags
+ * @param {Object} event
+ * @returns {Array<{ pubkey: string, weight: number, address: string|null }>}
+ *   Empty when the event has no usable split tags
+ */
+export function parseZapSplits(event) {
+    const tags = (event?.tags || []).filter(tag => tag[0] === 'zap' && HEX64_REGEX.test(tag[1] || ''));
+    if (tags.length === 0) return [];
+
+    // Per NIP-57: no weights at all means an equal split
+    const weighted = tags.some(tag => tag[3] !== undefined && tag[3] !== '');
+
+    const splits = tags.map(tag => ({
+        pubkey: tag[1],
+        weight: weighted ? parseFloat(tag[3]) : 1,
+        address: ADDRESS_REGEX.test(tag[4] || '') ? tag[4] : null
+    })).filter(split => split.weight > 0 && Number.isFinite(split.weight));
+
+    return mergeByPubkey(splits).slice(0, MAX_SPLIT_RECIPIENTS);
+}
+
+/**
+ * Authors of the notes an event quotes (`q` tags), excluding its own author
+ * @param {Object} event
+ * @returns {string[]}
+ */
+export function getQuotedAuthors(event) {
+    const authors = [];
+    for (const tag of event?.tags || []) {
+        if (tag[0] !== 'q') continue;
+        // NIP-18 lets the q tag carry the author; otherwise look the note up
+        const author = HEX64_REGEX.test(tag[3] || '') ? tag[3] : State.eventCache[tag[1]]?.pubkey;
+        if (author && author !== event.pubkey && !authors.includes(author)) {
+            authors.push(author);
+        }
+    }
+    return authors.slice(0, MAX_SPLIT_RECIPIENTS - 1);
+}
+
+function mergeByPubkey(splits) {
+    const merged = new Map();
+    for (const split of splits) {
+        const existing = merged.get(split.pubkey);
+        if (existing) {
+            existing.weight += split.weight;
+            existing.address = existing.address || split.address;
+        } else {
+            merged.set(split.pubkey, { ...split });
+        }
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Who a tip on this event could be split between
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {boolean} [options.includeQuoted=false] - Share with quoted authors when there are no zap tags
+ * @returns {{ source: 'zap'|'quoted'|null, splits: Array<{ pubkey, weight, address }> }}
+ */
+export function getTipSplits(event, { includeQuoted = false } = {}) {
+    const zapSplits = parseZapSplits(event);
+    if (zapSplits.length > 0) {
+        return { source: 'zap', splits: zapSplits };
+    }
+
+    const quoted = getQuotedAuthors(event);
+    if (includeQuoted && quoted.length > 0) {
+        return {
+            source: 'quoted',
+            splits: [event.pubkey, ...quoted].map(pubkey => ({ pubkey, weight: 1, address: null }))
+        };
+    }
+
+    return { source: null, splits: [] };
+}
+
+/**
+ * Fill in Monero addresses for split recipients that didn't name one
+ * @param {Array} splits - From getTipSplits()
+ * @param {Object} [known] - pubkey -> address already known (e.g. the note's own monero_address)
+ * @returns {Promise<Array>} Same splits with `address` set, or null if the recipient has none
+ */
+export async function resolveSplitAddresses(splits, known = {}) {
+    return Promise.all(splits.map(async split => {
+        if (split.address) return split;
+
+        let address = known[split.pubkey] || null;
+        if (!address && typeof window.getUserMoneroAddress === 'function') {
+            try {
+                address = await window.getUserMoneroAddress(split.pubkey);
+            } catch (e) {
+                console.warn('[TipSplits] Could not resolve address for', split.pubkey.slice(0, 8), e.message);
+            }
+        }
+
+        return { ...split, address: ADDRESS_REGEX.test(address || '') ? address : null };
+    }));
+}
+
+/**
+ * Divide an amount by weight between the recipients that have an address.
+ * Rounding dust goes to the first recipient so the parts add up exactly.
+ * @param {bigint} totalAtomic - Amount in piconero
+ * @param {Array} splits - Resolved splits
+ * @returns {Array<{ pubkey, weight, address, share: number, atomic: bigint }>}
+ */
+export function splitAmount(totalAtomic, splits) {
+    const payable = splits.filter(split => split.address);
+    if (payable.length === 0) return [];
+
+    const scaled = payable.map(split => BigInt(Math.round(split.weight * Number(WEIGHT_SCALE))));
+    const totalWeight = scaled.reduce((sum, w) => sum + w, 0n);
+    if (totalWeight === 0n) return [];
+
+    const parts = payable.map((split, i) => ({
+        ...split,
+        share: Number(scaled[i]) / Number(totalWeight),
+        atomic: (totalAtomic * scaled[i]) / totalWeight
+    }));
+
+    const assigned = parts.reduce((sum, part) => sum + part.atomic, 0n);
+    parts[0].atomic += totalAtomic - assigned;
+
+    // A tiny tip can leave a small weight with nothing to send
+    return parts.filter(part => part.atomic > 0n);
+}
@@ -0,0 +1,232 @@
+/**
+ * Nosmero Tip Verification - independent checks of kind 9736 disclosures
+ *
+ * A disclosure's `verified` tag is only the tipper's claim. The txid and
+ * tx_key it carries are checked against the chain by the API
+ * (POST /api/verify-disclosures), and the answers are cached per event in
+ * feed-cache.js so each disclosure is checked once, not on every render.
+ *
+ * Statuses:
+ *   verified   - the API confirmed the proof (amount reached the recipient)
+ *   pending    - proof not checked yet, or the tx needs more confirmations
+ *   unverified - no proof, a proof that failed, or no address to check it against
+ *
+ * A failed proof (including a tx the nodes still haven't seen an hour after
+ * the disclosure) also comes back with invalid: true.
+ *
+ * Tips we send ourselves are also handed to POST /api/verify-and-publish
+ * (recordTipProof), which is what puts them on the verified leaderboards.
+ */
+
+import * as FeedCache from './feed-cache.js';
+import { signedFetch } from './signed-fetch.js';
+import * as State from './state.js';
+
+const VERIFY_URL = '/api/verify-disclosures';
+const BATCH_SIZE = 20; // Server limit per request
+const FETCH_TIMEOUT = 30000; // Each check asks a quorum of nodes
+const DEFAULT_WAIT_MS = 2500; // How long a feed render waits before showing "checking"
+
+// How long a cached answer is trusted before asking again
+const RECHECK_MS = {
+    pending: 2 * 60 * 1000,      // Confirmations go up
+    invalid: 60 * 60 * 1000      // Allow for a tip seen before it reached the nodes
+};
+
+// verify-and-publish retries while a sent tip waits for confirmations or
+// the nodes are unreachable - roughly an hour in total, then give up
+const RECORD_URL = '/api/verify-and-publish';
+const RECORD_RETRY_MS = [1, 2, 5, 10, 15, 30].map(minutes => minutes * 60 * 1000);
+
+// Checks in flight, keyed by event id, so overlapping renders share them
+const inFlight = new Map();
+
+function isFresh(record) {
+    if (!record) return false;
+    if (record.status === 'verified') return true;
+    const ttl = RECHECK_MS[record.status];
+    return ttl ? Date.now() - record.checked_at < ttl : false;
+}
+
+/**
+ * Map an API/cache record to what the UI shows
+ * @param {Object} record
+ * @returns {{ status: string, invalid: boolean, confirmations: number|null, requiredConfirmations: number|null, error: string|null }}
+ */
+function toResult(record) {
+    return {
+        status: record.status === 'verified' ? 'verified'
+            : record.status === 'invalid' ? 'unverified'
+            : 'pending',
+        invalid: record.status === 'invalid',
+        confirmations: record.confirmations ?? null,
+        requiredConfirmations: record.required_confirmations ?? null,
+        error: record.error || null
+    };
+}
+
+async function requestBatch(claims) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+        const response = await fetch(VERIFY_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                disclosures: claims.map(claim => ({
+                    id: claim.eventId,
+                    txid: claim.txid,
+                    tx_key: claim.txKey,
+                    recipient_address: claim.recipientAddress,
+                    amount: String(claim.amount),
+                    created_at: claim.createdAt
+                }))
+            }),
+            signal: controller.signal
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !Array.isArray(data.results)) {
+            throw new Error(data.error || `Verification request failed (${response.status})`);
+        }
+
+        const records = data.results
+            .filter(result => result && result.status)
+            .map(result => ({
+                event_id: result.id,
+                txid: claims.find(c => c.eventId === result.id)?.txid || null,
+                status: result.status,
+                verified_amount: result.verified_amount ?? null,
+                confirmations: result.confirmations ?? null,
+                required_confirmations: result.required_confirmations ?? null,
+                error: result.error || null
+            }));
+
+        // 'unknown' means the nodes were down - ask again next time
+        await FeedCache.saveCachedTipVerifications(records.filter(r => r.status !== 'unknown'));
+        return records;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+function checkClaims(claims) {
+    const batches = [];
+    for (let i = 0; i < claims.length; i += BATCH_SIZE) {
+        batches.push(claims.slice(i, i + BATCH_SIZE));
+    }
+
+    for (const batch of batches) {
+        const promise = requestBatch(batch)
+            .catch(error => {
+                console.warn('[TipVerification] Check failed:', error.message);
+                return [];
+            })
+            .finally(() => batch.forEach(claim => inFlight.delete(claim.eventId)));
+
+        for (const claim of batch) {
+            inFlight.set(claim.eventId, promise.then(records => records.find(r => r.event_id === claim.eventId) || null));
+        }
+    }
+}
+
+/**
+ * Verify disclosures that carry a proof. Cached answers come back at once;
+ * the rest are checked through the API, waiting up to `waitMs` for them.
+ * @param {Array} claims - [{ eventId, txid, txKey, amount, recipientAddress, createdAt }]
+ * @param {Object} [options]
+ * @param {number} [options.waitMs=2500]
+ * @returns {Promise<{ results: Map<string, Object>, done: Promise<Map<string, Object>> }>}
+ *   results has an entry for every claim (unchecked ones are 'pending');
+ *   done resolves with the final answers once every check has finished
+ */
+export async function verifyDisclosures(claims, { waitMs = DEFAULT_WAIT_MS } = {}) {
+    const results = new Map();
+    if (!claims.length) {
+        return { results, done: Promise.resolve(results) };
+    }
+
+    const cached = await FeedCache.getCachedTipVerifications(claims.map(c => c.eventId));
+    const toCheck = [];
+
+    for (const claim of claims) {
+        const record = cached[claim.eventId];
+        if (isFresh(record)) {
+            results.set(claim.eventId, toResult(record));
+        } else if (!claim.recipientAddress) {
+            results.set(claim.eventId, { status: 'unverified', confirmations: null, requiredConfirmations: null, error: 'No Monero address known for the recipient' });
+        } else {
+            // Fall back to a stale answer until the new one arrives
+            results.set(claim.eventId, record ? toResult(record) : { status: 'pending', confirmations: null, requiredConfirmations: null, error: null, checking: true });
+            if (!inFlight.has(claim.eventId)) toCheck.push(claim);
+        }
+    }
+
+    if (toCheck.length > 0) {
+        checkClaims(toCheck);
+    }
+
+    const waiting = claims.filter(claim => inFlight.has(claim.eventId));
+    const done = Promise.all(waiting.map(async claim => {
+        const record = await inFlight.get(claim.eventId);
+        if (record && record.status !== 'unknown') {
+            results.set(claim.eventId, toResult(record));
+        }
+    })).then(() => results);
+
+    if (waiting.length > 0) {
+        await Promise.race([done, new Promise(resolve => setTimeout(resolve, waitMs))]);
+    }
+
+    return { results: new Map(results), done };
+}
+
+async function postTipProof(body, attempt) {
+    let status;
+    try {
+        const response = await signedFetch(RECORD_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body
+        });
+        status = response.status;
+        if (response.ok) return;
+        const data = await response.json().catch(() => ({}));
+        console.warn(`[TipVerification] Tip proof not recorded (${status}):`, data.error || 'unknown error');
+    } catch (error) {
+        console.warn('[TipVerification] Tip proof request failed:', error.message);
+    }
+
+    // 4xx other than 429 means the proof itself was rejected
+    if (status && status < 500 && status !== 202 && status !== 429) return;
+    if (attempt >= RECORD_RETRY_MS.length) return;
+    setTimeout(() => postTipProof(body, attempt + 1), RECORD_RETRY_MS[attempt]);
+}
+
+/**
+ * Have the API verify a tip we just sent and record it against our pubkey,
+ * so it counts on the verified leaderboards. Runs in the background and
+ * never throws; a tx that still needs confirmations is tried again later.
+ * @param {Object} tip
+ * @param {string} tip.txid
+ * @param {string} tip.txKey
+ * @param {string} tip.recipientAddress - Address the tip was sent to
+ * @param {number|string} tip.amount - XMR sent to that address
+ * @param {string} tip.recipientPubkey
+ * @param {string|null} [tip.noteId]
+ */
+export function recordTipProof({ txid, txKey, recipientAddress, amount, recipientPubkey, noteId = null }) {
+    if (!txid || !txKey || !recipientAddress || !State.publicKey) return;
+
+    const body = JSON.stringify({
+        txid,
+        tx_key: txKey,
+        recipient_address: recipientAddress,
+        amount: String(amount),
+        recipient_pubkey: recipientPubkey,
+        note_id: noteId,
+        tipper_pubkey: State.publicKey
+    });
+    postTipProof(body, 0);
+}
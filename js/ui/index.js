@@ -89,6 +89,7 @@ export const loadMoreProfilePosts = Profile.loadMoreProfilePosts;
 export const toggleFollow = Profile.toggleFollow;
 export const loadFollowingList = Profile.loadFollowingList;
 export const copyUserNpub = Profile.copyUserNpub;
+export const exportProfileArchive = Profile.exportProfileArchive;
 export const showContactSyncStatus = Profile.showContactSyncStatus;
 export const hideContactSyncStatus = Profile.hideContactSyncStatus;
 export const updateContactSyncProgress = Profile.updateContactSyncProgress;
@@ -111,6 +112,7 @@ export const muteUser = Thread.muteUser;
 export const reportPost = Thread.reportPost;
 export const requestDeletion = Thread.requestDeletion;
 export const getCurrentMenuPostId = Thread.getCurrentMenuPostId;
+export const exportThreadArchive = Thread.exportThreadArchive;
 
 // Wallet functions - now handled by wallet-modal.js via window.openWalletModal/closeWalletModal
 export const showWalletModal = () => window.openWalletModal?.();
@@ -182,6 +184,7 @@ window.showUserProfile = Profile.viewUserProfilePage; // Alias for HTML onclick
 window.loadMoreProfilePosts = Profile.loadMoreProfilePosts;
 window.toggleFollow = Profile.toggleFollow;
 window.copyUserNpub = Profile.copyUserNpub;
+window.exportProfileArchive = Profile.exportProfileArchive;
 window.goBackFromProfile = Profile.goBackFromProfile;
 
 // Thread functions
@@ -197,6 +200,7 @@ window.viewPostSource = Thread.viewPostSource;
 window.muteUser = Thread.muteUser;
 window.reportPost = Thread.reportPost;
 window.requestDeletion = Thread.requestDeletion;
+window.exportThreadArchive = Thread.exportThreadArchive;
 
 // Wallet functions
 window.showWalletModal = () => window.openWalletModal?.();
@@ -8,6 +8,8 @@ import { zapQueue, getPrivateKeyForSigning } from '../state.js';
 import { showSuccessToast, showErrorToast, showWarningToast } from './toasts.js';
 import * as Wallet from '../wallet/index.js';
 import { fetchXMRPrice, formatUSD } from '../wallet-modal.js';
+import * as TipSplits from '../tip-splits.js';
+import { recordTipProof } from '../tip-verification.js';
 
 // Nosmerotips Bot npub (for receiving disclosure notifications)
 const NOSMEROTIPS_BOT_NPUB = 'npub1fxyuwwup7hh3x4up5tgg9hmflhfzskvkryh236cau4ujkj7wramqzmy9f2';
@@ -16,6 +18,7 @@ const NOSMEROTIPS_BOT_PUBKEY = '4989c73b81f5ef135781a2d082df69fdd2285996192ea8eb
 // Tip context storage for disclosure prompt after closing modal
 let lastTipContext = null;
 let userInitiatedTip = false; // Track if user clicked "Tip Now" or "Add to Queue"
+let tipSplitState = null; // { postId, source, enabled, splits } for the note in the zap modal
 
 // ==================== WELCOME MODAL ====================
 
@@ -555,6 +558,8 @@ export function openZapModal(postId, authorName, moneroAddress, mode = 'choose',
     };
 
     if (mode === 'choose') {
+        tipSplitState = null;
+
         // Show options to either zap immediately or add to queue
         details.innerHTML = `
             <div style="margin-bottom: 16px; text-align: center;">
@@ -581,6 +586,9 @@ export function openZapModal(postId, authorName, moneroAddress, mode = 'choose',
                 ${escapeHtml(moneroAddress)}
             </div>
 
+            <!-- Tip split (zap tags or quoted authors), filled in by initTipSplits -->
+            <div id="tipSplitSection" style="display: none; margin-bottom: 16px; padding: 12px; background: var(--bg-tertiary); border: 1px solid var(--border-primary); border-radius: 8px; font-size: 13px;"></div>
+
             <!-- Nosmero Wallet Option -->
             <div id="walletTipSection" style="margin-bottom: 16px; padding: 16px; background: rgba(255, 102, 0, 0.1); border: 1px solid rgba(255, 102, 0, 0.3); border-radius: 8px;">
                 <div style="text-align: center; margin-bottom: 12px;">
@@ -642,6 +650,7 @@ export function openZapModal(postId, authorName, moneroAddress, mode = 'choose',
             updateZapAmountUSD();
             if (amountInput) {
                 amountInput.addEventListener('input', updateZapAmountUSD);
+                amountInput.addEventListener('input', renderTipSplits);
             }
 
             // Preset amount buttons
@@ -651,6 +660,7 @@ export function openZapModal(postId, authorName, moneroAddress, mode = 'choose',
                     if (amt !== 'custom') {
                         document.getElementById('moneroZapAmount').value = amt;
                         updateZapAmountUSD();
+                        renderTipSplits();
                     }
                     // Highlight selected
                     presetBtns.forEach(b => {
@@ -677,6 +687,8 @@ export function openZapModal(postId, authorName, moneroAddress, mode = 'choose',
 
             // Check wallet status and update button
             updateWalletTipButton();
+
+            initTipSplits(postId, moneroAddress, recipientPubkey || modal.dataset.recipientPubkey);
         }, 0);
 
     } else if (mode === 'immediate') {
@@ -770,6 +782,104 @@ export function zapWithCustomAmount(postId, authorName, moneroAddress) {
     openZapModal(postId, authorName, moneroAddress, 'immediate', customAmount, recipientPubkey);
 }
 
+// ==================== TIP SPLITS ====================
+
+function splitRecipientName(pubkey) {
+    const profile = State.profileCache[pubkey];
+    return profile?.name || profile?.display_name || pubkey.slice(0, 12) + '...';
+}
+
+// Show who a tip on this note would be shared with (zap tags or quoted authors)
+async function initTipSplits(postId, moneroAddress, recipientPubkey) {
+    const event = TipSplits.findTippableEvent(postId);
+    if (!event) return;
+
+    let found = TipSplits.getTipSplits(event);
+    if (!found.source) {
+        found = TipSplits.getTipSplits(event, { includeQuoted: true });
+    }
+    if (!found.source) return;
+
+    const known = {};
+    if (recipientPubkey && moneroAddress) {
+        known[recipientPubkey] = moneroAddress;
+    }
+
+    const missing = found.splits.map(s => s.pubkey).filter(pk => !State.profileCache[pk]);
+    const [splits] = await Promise.all([
+        TipSplits.resolveSplitAddresses(found.splits, known),
+        missing.length > 0 && window.NostrPosts?.fetchProfiles
+            ? window.NostrPosts.fetchProfiles(missing).catch(() => {})
+            : null
+    ]);
+
+    // The modal may have been closed or opened on another note meanwhile
+    if (!document.getElementById('tipSplitSection') || document.getElementById('zapModal')?.dataset.postId !== postId) {
+        return;
+    }
+
+    const payable = splits.some(s => s.address);
+    tipSplitState = { postId, source: found.source, enabled: found.source === 'zap' && payable, splits };
+    renderTipSplits();
+}
+
+function renderTipSplits() {
+    const section = document.getElementById('tipSplitSection');
+    if (!section || !tipSplitState) return;
+
+    const { source, enabled, splits } = tipSplitState;
+    const payable = splits.some(s => s.address);
+
+    let parts = [];
+    try {
+        const amount = document.getElementById('moneroZapAmount')?.value || '';
+        parts = TipSplits.splitAmount(Wallet.parseXMR(amount), splits);
+    } catch (e) {
+        // No valid amount yet - show the shares without amounts
+    }
+
+    const label = source === 'zap'
+        ? `Split between ${splits.length} recipients, as the author asked`
+        : `Share with ${splits.length - 1} quoted author${splits.length > 2 ? 's' : ''}`;
+
+    const rows = splits.map(split => {
+        const part = parts.find(p => p.pubkey === split.pubkey);
+        const share = part ? `${(part.share * 100).toFixed(1).replace(/\.0$/, '')}% · ${Wallet.formatXMR(part.atomic)} XMR` : '';
+        return `
+            <div style="display: flex; justify-content: space-between; gap: 8px; margin-top: 6px;">
+                <span style="color: var(--text-primary); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(splitRecipientName(split.pubkey))}</span>
+                ${split.address
+                    ? `<span style="color: #FF6600; white-space: nowrap;" title="${escapeHtml(split.address)}">${escapeHtml(share || split.address.slice(0, 8) + '...')}</span>`
+                    : '<span style="color: var(--text-muted); white-space: nowrap;">No Monero address - skipped</span>'}
+            </div>
+        `;
+    }).join('');
+
+    section.innerHTML = `
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer; color: var(--text-primary); font-weight: 600;">
+            <input type="checkbox" id="tipSplitToggle"${enabled ? ' checked' : ''}${payable ? '' : ' disabled'}>
+            ${escapeHtml(label)}
+        </label>
+        ${enabled ? rows : ''}
+        ${enabled ? '<div style="margin-top: 8px; font-size: 11px; color: var(--text-muted);">Split tips are sent from the Tip Jar as one transaction.</div>' : ''}
+    `;
+    section.style.display = 'block';
+
+    document.getElementById('tipSplitToggle')?.addEventListener('change', (e) => {
+        tipSplitState.enabled = e.target.checked;
+        renderTipSplits();
+    });
+
+    // QR codes and the queue pay a single address
+    for (const id of ['zapNowBtn', 'addToQueueBtn']) {
+        const btn = document.getElementById(id);
+        if (!btn) continue;
+        btn.disabled = enabled;
+        btn.style.opacity = enabled ? '0.4' : '';
+        btn.title = enabled ? 'Split tips can only be sent from the Tip Jar' : '';
+    }
+}
+
 // ==================== NOSMERO WALLET TIP FUNCTIONS ====================
 
 // Check wallet status and update the tip button accordingly
@@ -785,6 +895,10 @@ async function updateWalletTipButton() {
         if (!hasWallet) {
             btn.textContent = 'Create Tip Jar';
             status.textContent = 'Create a tip jar to send tips instantly';
+        } else if (await Wallet.isViewOnly()) {
+            btn.textContent = 'View-only Tip Jar';
+            btn.disabled = true;
+            status.textContent = 'View-only wallets cannot send tips';
         } else if (!isUnlocked) {
             btn.textContent = 'Unlock & Send';
             status.textContent = 'Enter PIN to unlock Tip Jar';
@@ -823,6 +937,11 @@ async function handleWalletTip(postId, authorName, moneroAddress, recipientPubke
             return;
         }
 
+        if (await Wallet.isViewOnly()) {
+            showErrorToast('Your Tip Jar is view-only and cannot send');
+            return;
+        }
+
         const isUnlocked = await Wallet.isWalletUnlocked();
 
         if (!isUnlocked) {
@@ -897,6 +1016,10 @@ function showWalletPinInput(postId, authorName, moneroAddress, amount, recipient
 
 // Send the tip from wallet and show disclosure options
 async function sendWalletTip(postId, authorName, moneroAddress, amount, recipientPubkey) {
+    if (tipSplitState?.enabled && tipSplitState.postId === postId) {
+        return sendWalletSplitTip(postId, authorName, moneroAddress, amount, recipientPubkey);
+    }
+
     const section = document.getElementById('walletTipSection');
     if (!section) return;
 
@@ -1066,6 +1189,163 @@ async function sendWalletTip(postId, authorName, moneroAddress, amount, recipien
     }
 }
 
+// Send a split tip as one multi-destination transaction; the disclosure is
+// one kind 9736 event per recipient, all with the same txid and tx key
+async function sendWalletSplitTip(postId, authorName, moneroAddress, amount, recipientPubkey) {
+    const section = document.getElementById('walletTipSection');
+    if (!section) return;
+
+    section.innerHTML = `
+        <div style="text-align: center; padding: 20px;">
+            <div style="color: #FF6600; font-weight: 600; margin-bottom: 12px;">💳 Sending Split Tip...</div>
+            <div id="walletTipProgress" style="color: var(--text-muted); font-size: 14px;">Syncing Tip Jar...</div>
+        </div>
+    `;
+
+    const progress = document.getElementById('walletTipProgress');
+
+    try {
+        await Wallet.sync();
+
+        const parts = TipSplits.splitAmount(Wallet.parseXMR(amount.toString()), tipSplitState.splits);
+        if (parts.length === 0) {
+            throw new Error('None of the split recipients has a Monero address');
+        }
+
+        // Check balance before attempting transaction
+        const balance = await Wallet.getBalance();
+        const atomicAmount = parts.reduce((sum, part) => sum + part.atomic, 0n);
+        const estimatedFee = 50000000n; // 0.00005 XMR estimate (1 XMR = 1e12 piconero)
+        const unlockedBigInt = BigInt(balance.unlockedBalance);
+
+        if (unlockedBigInt < atomicAmount + estimatedFee) {
+            const availableXMR = Wallet.formatXMR(unlockedBigInt);
+            throw new Error(`Insufficient balance. Available: ${availableXMR} XMR`);
+        }
+
+        // One transaction with an output per recipient - use 'low' priority for tips to minimize fees
+        if (progress) progress.textContent = 'Calculating fee...';
+        const txDetails = await Wallet.createBatchTransaction(
+            parts.map(part => ({ address: part.address, amount: part.atomic })),
+            'low'
+        );
+
+        const feeXMR = Wallet.formatXMR(txDetails.fee);
+        const totalXMR = Wallet.formatXMR(txDetails.totalAmount + txDetails.fee);
+        const price = await fetchXMRPrice();
+        const totalUSD = price
+            ? '<br><span style="font-size: 12px; color: #666;">≈ ' + formatUSD(parseFloat(totalXMR) * price) + '</span>'
+            : '';
+
+        section.innerHTML = `
+            <div style="text-align: center; margin-bottom: 12px;">
+                <span style="color: #FF6600; font-weight: 600;">💳 Confirm Split Tip</span>
+            </div>
+            <div style="background: var(--bg-tertiary); border-radius: 8px; padding: 12px; margin-bottom: 12px;">
+                ${parts.map(part => `
+                    <div style="display: flex; justify-content: space-between; gap: 8px; margin-bottom: 8px;">
+                        <span style="color: var(--text-muted); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(splitRecipientName(part.pubkey))}:</span>
+                        <span style="color: var(--text-primary); white-space: nowrap;">${Wallet.formatXMR(part.atomic)} XMR</span>
+                    </div>
+                `).join('')}
+                <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
+                    <span style="color: var(--text-muted);">Fee:</span>
+                    <span style="color: #ffc107;">${feeXMR} XMR</span>
+                </div>
+                <div style="display: flex; justify-content: space-between; border-top: 1px solid var(--border-primary); padding-top: 8px;">
+                    <span style="color: var(--text-muted); font-weight: 600;">Total:</span>
+                    <span style="color: #FF6600; font-weight: 600;">${totalXMR} XMR${totalUSD}</span>
+                </div>
+            </div>
+            <div style="margin-bottom: 12px;">
+                <label style="display: block; margin-bottom: 8px; color: var(--text-muted); font-size: 13px;">Disclosure:</label>
+                <select id="walletTipDisclosure" style="width: 100%; padding: 10px; background: var(--bg-tertiary); border: 1px solid var(--border-primary); border-radius: 6px; color: var(--text-primary);">
+                    <option value="verified">✓ Verified (one disclosure per recipient, with proof)</option>
+                    <option value="secret">🔒 Secret (no disclosure)</option>
+                </select>
+            </div>
+            <div style="display: flex; gap: 8px;">
+                <button id="confirmTipBtn"
+                        style="flex: 1; background: linear-gradient(135deg, #FF6600, #8B5CF6); border: none; color: #fff; padding: 12px; border-radius: 8px; font-weight: bold; cursor: pointer;">
+                    Confirm & Send
+                </button>
+                <button id="cancelTipBtn"
+                        style="background: var(--bg-hover); border: none; color: var(--text-primary); padding: 12px 16px; border-radius: 8px; cursor: pointer;">
+                    Cancel
+                </button>
+            </div>
+        `;
+
+        setTimeout(() => {
+            const confirmBtn = document.getElementById('confirmTipBtn');
+            const cancelBtn = document.getElementById('cancelTipBtn');
+
+            confirmBtn?.addEventListener('click', async () => {
+                const disclosure = document.getElementById('walletTipDisclosure')?.value || 'secret';
+
+                section.innerHTML = `
+                    <div style="text-align: center; padding: 20px;">
+                        <div style="color: #FF6600; font-weight: 600; margin-bottom: 12px;">💳 Sending...</div>
+                        <div style="color: var(--text-muted); font-size: 14px;">Broadcasting transaction...</div>
+                    </div>
+                `;
+
+                try {
+                    const result = await Wallet.relayTransaction(parts.map(part => ({
+                        address: part.address,
+                        amount: Wallet.formatXMR(part.atomic),
+                        noteId: postId,
+                        authorName: splitRecipientName(part.pubkey)
+                    })));
+
+                    section.innerHTML = `
+                        <div style="text-align: center; padding: 20px;">
+                            <div style="color: #10B981; font-weight: 600; font-size: 18px; margin-bottom: 8px;">✓ Split Tip Sent!</div>
+                            <div style="color: var(--text-muted); font-size: 12px; word-break: break-all;">${result.txHash.slice(0, 16)}...</div>
+                            <div style="color: var(--text-muted); font-size: 12px; margin-top: 8px;">${parts.length} recipients in one transaction</div>
+                        </div>
+                    `;
+
+                    showSuccessToast(`Sent ${amount} XMR split between ${parts.length} recipients`);
+
+                    if (disclosure === 'verified') {
+                        for (const part of parts) {
+                            await publishVerifiedTip(postId, part.address, Wallet.formatXMR(part.atomic), result.txHash, result.txKey, part.pubkey);
+                        }
+                    }
+
+                    setTimeout(() => {
+                        closeZapModal();
+                    }, 2000);
+
+                } catch (err) {
+                    console.error('[WalletTip] Split send failed:', err);
+                    section.innerHTML = `
+                        <div style="text-align: center; padding: 20px;">
+                            <div style="color: #ef4444; font-weight: 600; margin-bottom: 8px;">Send Failed</div>
+                            <div style="color: var(--text-muted); font-size: 12px;">${escapeHtml(err.message)}</div>
+                        </div>
+                    `;
+                }
+            });
+
+            cancelBtn?.addEventListener('click', async () => {
+                await Wallet.cancelPendingTransaction();
+                openZapModal(postId, authorName, moneroAddress, 'choose', amount, recipientPubkey);
+            });
+        }, 0);
+
+    } catch (err) {
+        console.error('[WalletTip] Create split transaction failed:', err);
+        section.innerHTML = `
+            <div style="text-align: center; padding: 20px;">
+                <div style="color: #ef4444; font-weight: 600; margin-bottom: 8px;">Transaction Failed</div>
+                <div style="color: var(--text-muted); font-size: 12px;">${escapeHtml(err.message)}</div>
+            </div>
+        `;
+    }
+}
+
 // Publish verified tip event (kind 9736) with tx_key
 async function publishVerifiedTip(postId, moneroAddress, amount, txHash, txKey, recipientPubkey) {
     try {
@@ -1115,6 +1395,9 @@ async function publishVerifiedTip(postId, moneroAddress, amount, txHash, txKey,
                     await pool.publish(allRelays, signedEvent);
                     console.log('[WalletTip] Published verified tip event:', signedEvent.id, 'to', allRelays.length, 'relays');
                 }
+
+                // Verified leaderboards only count tips the API has checked
+                recordTipProof({ txid: txHash, txKey, recipientAddress: moneroAddress, amount, recipientPubkey, noteId: postId });
             } else {
                 console.error('[WalletTip] No relay pool available');
             }
@@ -1144,6 +1427,11 @@ async function handleQueueWalletSend(queue) {
             return;
         }
 
+        if (await Wallet.isViewOnly()) {
+            showErrorToast('Your Tip Jar is view-only and cannot send');
+            return;
+        }
+
         const isUnlocked = await Wallet.isWalletUnlocked();
 
         if (!isUnlocked) {
@@ -1,6 +1,8 @@
 // ==================== NAVIGATION & HAMBURGER MENU ====================
 // Handles new minimal header, hamburger menu, feed tabs, and welcome banner
 
+import * as RelayAuth from '../relay-auth.js';
+
 // Security helper: Validate image URLs to prevent XSS
 function sanitizeImageUrl(url) {
     if (!url || typeof url !== 'string') {
@@ -595,6 +597,18 @@ export function updateRelayIndicator(count) {
     if (relayCount) {
         const relayText = count === 1 ? 'relay' : 'relays';
         relayCount.textContent = count + ' ' + relayText + ' connected';
+
+        // Relays that refused a read or publish for want of NIP-42 AUTH
+        const blocked = RelayAuth.getAuthBlockedRelays();
+        if (blocked.length > 0) {
+            relayCount.textContent += ` · 🔒 ${blocked.length} need auth`;
+        }
+        const indicator = document.getElementById('relayIndicator');
+        if (indicator) {
+            indicator.title = blocked.length > 0
+                ? 'These relays require authentication (allow it in Settings > Relay Configuration):\n' + blocked.join('\n')
+                : '';
+        }
     }
 }
 
@@ -730,6 +730,8 @@ export async function viewUserProfilePage(pubkey) {
                             Following...
                         </button>
                         <button onclick="copyUserNpub('${pubkey}')" style="background: rgba(139, 92, 246, 0.2); border: 1px solid #8B5CF6; border-radius: 8px; color: #8B5CF6; padding: 8px 16px; cursor: pointer; font-size: 14px;">📋 Copy npub</button>
+                        <button onclick="openCreatorTipPage('${pubkey}')" style="background: rgba(255, 102, 0, 0.2); border: 1px solid #FF6600; border-radius: 8px; color: #FF6600; padding: 8px 16px; cursor: pointer; font-size: 14px;">💸 Tips</button>
+                        <button onclick="exportProfileArchive('${pubkey}')" title="Download everything this user has posted as NDJSON" style="background: rgba(139, 92, 246, 0.2); border: 1px solid #8B5CF6; border-radius: 8px; color: #8B5CF6; padding: 8px 16px; cursor: pointer; font-size: 14px;">⬇️ Export posts</button>
                     </div>
                 </div>
                 <div class="profile-tabs" style="border-top: 1px solid var(--border-color); margin-top: 16px; display: flex; gap: 0;">
@@ -1142,6 +1144,19 @@ export async function copyUserNpub(pubkey) {
     }
 }
 
+// Download a user's whole post history as an archive (see archive.js)
+let exportingPubkey = null;
+export async function exportProfileArchive(pubkey) {
+    if (exportingPubkey) return; // One history at a time, they can take a while
+    exportingPubkey = pubkey;
+    try {
+        const Archive = await import('../archive.js');
+        await Archive.exportPostHistory(pubkey);
+    } finally {
+        exportingPubkey = null;
+    }
+}
+
 // ==================== CONTACT LIST SYNC STATUS INDICATOR ====================
 
 // Show the sync status banner with optional progress
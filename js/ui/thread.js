@@ -4,7 +4,7 @@
 import { showSkeletonLoader } from './skeleton.js';
 import { setPreviousPage, getPreviousPage } from './profile.js';
 import * as PaywallUI from '../paywall-ui.js';
-import { escapeHtml } from '../utils.js';
+import { escapeHtml, showNotification } from '../utils.js';
 
 // ==================== THREAD TREE BUILDING ====================
 
@@ -64,6 +64,40 @@ function buildThreadTree(posts, mainEventId) {
     return rootPosts;
 }
 
+// Look up a reply's parent that isn't cached, using the e tag's relay hint
+// and the parent author's write relays (e tag pubkey, else the first p tag)
+async function fetchParentEvent(pool, StateModule, post, eTag, Outbox) {
+    const hexRegex = /^[0-9a-f]{64}$/;
+    const pTag = post.tags.find(tag => tag[0] === 'p' && hexRegex.test(tag[1] || ''));
+    const author = hexRegex.test(eTag[4] || '') ? eTag[4] : pTag?.[1] || null;
+    const hints = [eTag[2], pTag?.[2]].filter(Boolean);
+
+    const relays = await Outbox.planEventRelays({ hints, author });
+    if (!relays.length) return null;
+
+    return new Promise((resolve) => {
+        let found = null;
+        const sub = pool.subscribeMany(relays, [
+            { ids: [eTag[1]] }
+        ], {
+            onevent(event) {
+                StateModule.eventCache[event.id] = event;
+                found = event;
+            },
+            oneose: () => {
+                sub.close();
+                resolve(found);
+            }
+        });
+
+        // Timeout after 3 seconds
+        setTimeout(() => {
+            sub.close();
+            resolve(found);
+        }, 3000);
+    });
+}
+
 // ==================== THREAD VIEW ====================
 
 export async function openThreadView(eventId, skipHistory = false) {
@@ -82,6 +116,8 @@ export async function openThreadView(eventId, skipHistory = false) {
             return;
         }
 
+        currentThread = null;
+
         // Import required modules first
         const [Posts, StateModule] = await Promise.all([
             import('../posts.js'),
@@ -130,9 +166,9 @@ export async function openThreadView(eventId, skipHistory = false) {
 
         if (!mainPost) {
             // Try to fetch from relays
-            const Relays = await import('../relays.js');
+            const Outbox = await import('../outbox-planner.js');
             const pool = StateModule.pool;
-            const relays = Relays.getActiveRelays();
+            const relays = await Outbox.planEventRelays();
 
             if (!pool || !relays.length) {
                 threadContent.innerHTML = '<div style="text-align: center; padding: 40px; color: #ff6666;">Error: No relay connection available</div>';
@@ -177,13 +213,23 @@ export async function openThreadView(eventId, skipHistory = false) {
         threadPosts.push(mainPost);
         processedIds.add(mainPost.id);
 
+        const Outbox = await import('../outbox-planner.js');
+        const pool = StateModule.pool;
+
         // Find parent note if this is a reply
         let parentId = null;
+        let parentPost = null;
         if (mainPost.tags) {
             const eTag = mainPost.tags.find(tag => tag[0] === 'e' && tag[1]);
             if (eTag) {
                 parentId = eTag[1];
-                const parentPost = StateModule.eventCache[parentId] || StateModule.posts.find(p => p.id === parentId);
+                parentPost = StateModule.eventCache[parentId] || StateModule.posts.find(p => p.id === parentId);
+
+                // Not cached: ask the relay the e tag points at and the parent author's outbox
+                if (!parentPost && pool) {
+                    parentPost = await fetchParentEvent(pool, StateModule, mainPost, eTag, Outbox);
+                }
+
                 if (parentPost && !processedIds.has(parentPost.id)) {
                     threadPosts.unshift(parentPost); // Add parent at beginning
                     processedIds.add(parentPost.id);
@@ -203,14 +249,13 @@ export async function openThreadView(eventId, skipHistory = false) {
             }
         });
 
-        // Fetch additional replies from relays
-        const Relays = await import('../relays.js');
-        const pool = StateModule.pool;
-        const activeRelays = Relays.getActiveRelays();
+        // Fetch additional replies from relays: replies go to the inboxes of
+        // the people being replied to (NIP-65), so look there as well as our own
+        const replyRelays = await Outbox.planReplyRelays(mainPost);
 
-        if (pool && activeRelays.length) {
+        if (pool && replyRelays.length) {
             await new Promise((resolve) => {
-                const sub = pool.subscribeMany(activeRelays, [
+                const sub = pool.subscribeMany(replyRelays, [
                     {
                         kinds: [1], // Text notes
                         '#e': [eventId], // Replies to this specific event
@@ -240,8 +285,9 @@ export async function openThreadView(eventId, skipHistory = false) {
 
             // Also fetch replies to the parent if this is a reply
             if (parentId) {
+                const parentRelays = parentPost ? await Outbox.planReplyRelays(parentPost) : replyRelays;
                 await new Promise((resolve) => {
-                    const sub = pool.subscribeMany(activeRelays, [
+                    const sub = pool.subscribeMany(parentRelays, [
                         {
                             kinds: [1], // Text notes
                             '#e': [parentId], // Replies to the parent
@@ -271,6 +317,8 @@ export async function openThreadView(eventId, skipHistory = false) {
             }
         }
 
+        currentThread = { mainPost, events: threadPosts };
+
         // Fetch profiles for all thread participants
         const allPubkeys = threadPosts.map(post => post.pubkey).filter(pk => pk);
         if (allPubkeys.length > 0) {
@@ -553,6 +601,77 @@ export async function goBackFromThread() {
     history.back();
 }
 
+// ==================== THREAD EXPORT ====================
+
+// The thread on the thread page, for exportThreadArchive()
+let currentThread = null;
+
+// Most replies a thread export asks the relays for
+const THREAD_EXPORT_LIMIT = 1000;
+
+// NIP-10 root of a reply: the e tag marked root, else the first e tag
+function findRootTag(post) {
+    const eTags = (post.tags || []).filter(tag => tag[0] === 'e' && tag[1]);
+    return eTags.find(tag => tag[3] === 'root') || eTags[0] || null;
+}
+
+// Download the whole thread on the thread page as an archive: the root and
+// every reply that tags it, not only the branch on screen
+export async function exportThreadArchive() {
+    if (!currentThread) {
+        showNotification('Wait for the thread to finish loading', 'error');
+        return;
+    }
+
+    const { mainPost, events: shownPosts } = currentThread;
+    const [StateModule, Outbox, Archive] = await Promise.all([
+        import('../state.js'),
+        import('../outbox-planner.js'),
+        import('../archive.js')
+    ]);
+    const pool = StateModule.pool;
+    showNotification('Collecting the thread for export...', 'info');
+
+    try {
+        const events = new Map(shownPosts.map(post => [post.id, post]));
+        const rootTag = findRootTag(mainPost);
+        const rootId = rootTag ? rootTag[1] : mainPost.id;
+        let root = events.get(rootId) || StateModule.eventCache[rootId] || null;
+        if (!root && pool) {
+            root = await fetchParentEvent(pool, StateModule, mainPost, rootTag, Outbox);
+        }
+        if (root) events.set(root.id, root);
+
+        // Replies carry the root in an e tag however deep they are. A full
+        // page means there may be more than the relays sent back.
+        const relays = await Outbox.planReplyRelays(root || mainPost);
+        let complete = false;
+        if (pool && relays.length) {
+            const replies = await pool.querySync(relays, { kinds: [1], '#e': [rootId], limit: THREAD_EXPORT_LIMIT }, { maxWait: 8000 });
+            replies.forEach(reply => {
+                if (!events.has(reply.id)) events.set(reply.id, reply);
+            });
+            complete = !!root && replies.length < THREAD_EXPORT_LIMIT;
+        }
+
+        const author = root ? StateModule.profileCache[root.pubkey]?.name : null;
+        const result = await Archive.exportArchive({
+            type: 'thread',
+            subject: rootId,
+            description: root
+                ? `Thread started by ${author || window.NostrTools.nip19.npubEncode(root.pubkey)}`
+                : 'Thread (its first note could not be found)',
+            events: [...events.values()],
+            relays,
+            complete
+        });
+        showNotification(`Exported ${result.events} notes and ${result.profiles} profiles${complete ? '' : ' (may be missing some replies)'}`, 'success');
+    } catch (error) {
+        console.error('Error exporting thread:', error);
+        showNotification(`Export failed: ${error.message}`, 'error');
+    }
+}
+
 // ==================== POST CONTEXT MENU ====================
 
 let currentMenuPostId = null;
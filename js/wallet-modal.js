@@ -6,6 +6,7 @@
  */
 
 import * as State from './state.js';
+import * as TipVerification from './tip-verification.js';
 
 // Wallet module (lazy loaded)
 let Wallet = null;
@@ -17,6 +18,7 @@ let currentView = 'loading';
 let pendingTxDetails = null;
 let tipMeta = null; // { noteId, address, amount, recipientPubkey }
 let queueItems = null; // Array of queue items for batch sending
+let viewOnly = false; // Wallet added from address + view key - no sending
 
 // XMR price cache
 let xmrPriceUSD = null;
@@ -28,6 +30,17 @@ let tipToNoteMap = new Map();
 let tipMapLastScanned = 0;
 const TIP_MAP_CACHE_MS = 60 * 1000; // Re-scan every minute
 
+// Transaction history view
+let historyEntries = []; // Annotated history, unfiltered
+
+// Payment proofs
+let txDetailProof = null; // { txid, txKey, targets: [{ address, amount, noteId }] } for the open tx
+let currentProofBundle = null; // Bundle shown in the proof view
+const DISCLOSURE_SYNC_MS = 60 * 60 * 1000; // Re-check kind 9736 tx links hourly
+
+// Recurring tips
+let dueSchedules = []; // Schedules offered in the due prompt
+
 /**
  * Scan user's notes and build mapping of monero addresses to note IDs
  * @returns {Promise<Map>} Map of address -> { noteId, noteContent, createdAt }
@@ -357,6 +370,13 @@ async function initWalletView() {
         return;
     }
 
+    viewOnly = await Wallet.isViewOnly();
+    if (viewOnly && ((queueItems && queueItems.length > 0) || tipMeta?.address)) {
+        showToast('This Tip Jar is view-only and cannot send', 'error');
+        queueItems = null;
+        tipMeta = null;
+    }
+
     // If we have queue items, go directly to batch send view
     if (queueItems && queueItems.length > 0) {
         await renderDashboard();
@@ -419,9 +439,12 @@ function renderNoWalletView() {
                 <button onclick="window.WalletModal.showCreatePinView()" style="width: 100%; background: linear-gradient(135deg, #FF6600, #cc5200); border: none; color: #000; padding: 16px; border-radius: 12px; font-size: 16px; font-weight: 600; cursor: pointer; margin-bottom: 12px;">
                     🆕 Create New Tip Jar
                 </button>
-                <button onclick="window.WalletModal.showRestoreView()" style="width: 100%; background: #333; border: none; color: #fff; padding: 16px; border-radius: 12px; font-size: 16px; cursor: pointer;">
+                <button onclick="window.WalletModal.showRestoreView()" style="width: 100%; background: #333; border: none; color: #fff; padding: 16px; border-radius: 12px; font-size: 16px; cursor: pointer; margin-bottom: 12px;">
                     🔑 Restore from Seed
                 </button>
+                <button onclick="window.WalletModal.showViewOnlyView()" style="width: 100%; background: #252525; border: 1px solid #333; color: #ccc; padding: 14px; border-radius: 12px; font-size: 14px; cursor: pointer;">
+                    👁️ Watch with View Key
+                </button>
             </div>
         </div>
     `;
@@ -536,6 +559,11 @@ export async function unlockWallet() {
         }
 
         await initWalletView();
+
+        // Offer recurring tips that came due while the wallet was locked
+        if (currentView === 'dashboard' && !viewOnly && !queueItems && !tipMeta) {
+            await promptDueTipSchedules();
+        }
     } catch (err) {
         if (errorEl) {
             errorEl.textContent = err.message || 'Incorrect PIN';
@@ -554,6 +582,7 @@ async function renderDashboard() {
 
     const address = await Wallet.getPrimaryAddress();
     const shortAddress = address ? `${address.slice(0, 10)}...${address.slice(-10)}` : '...';
+    viewOnly = await Wallet.isViewOnly();
 
     // Get current privacy settings
     const perNoteEnabled = State.subaddressSettings?.perNote ?? true;
@@ -578,13 +607,24 @@ async function renderDashboard() {
             <div id="walletLockedInfo" style="background: rgba(255, 193, 7, 0.1); color: #ffc107; padding: 8px 10px; border-radius: 6px; font-size: 12px; margin-top: 12px; display: none;">
                 🔒 <span id="walletLockedAmount">0</span> XMR locked
             </div>
+            ${viewOnly ? `
+            <div style="background: rgba(139, 92, 246, 0.1); color: #a78bfa; padding: 8px 10px; border-radius: 6px; font-size: 12px; margin-top: 12px;">
+                👁️ View-only: shows incoming tips. Spends made from your full wallet aren't visible here, so the balance may be higher than what's left.
+            </div>
+            ` : ''}
         </div>
 
         <!-- Action Buttons -->
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 16px;">
+            ${viewOnly ? `
+            <button disabled title="View-only wallets cannot send" style="padding: 14px; border: 1px solid #333; border-radius: 10px; font-size: 15px; font-weight: 600; cursor: not-allowed; background: #1a1a1a; color: #666; display: flex; align-items: center; justify-content: center; gap: 6px;">
+                👁️ View-only
+            </button>
+            ` : `
             <button onclick="window.WalletModal.showSendView()" style="padding: 14px; border: none; border-radius: 10px; font-size: 15px; font-weight: 600; cursor: pointer; background: linear-gradient(135deg, #FF6600, #cc5200); color: #000; display: flex; align-items: center; justify-content: center; gap: 6px;">
                 📤 Send
             </button>
+            `}
             <button onclick="window.WalletModal.showReceiveView()" style="padding: 14px; border: none; border-radius: 10px; font-size: 15px; font-weight: 600; cursor: pointer; background: linear-gradient(135deg, #8B5CF6, #6b21a8); color: #fff; display: flex; align-items: center; justify-content: center; gap: 6px;">
                 📥 Receive
             </button>
@@ -615,9 +655,16 @@ async function renderDashboard() {
             <div style="border-top: 1px solid #333; padding-top: 12px;">
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
                     <button onclick="window.showPrimaryAddress()" style="padding: 10px; background: #252525; border: none; border-radius: 6px; color: #aaa; cursor: pointer; font-size: 12px; position: relative;">🏠 Primary Address<span onclick="event.stopPropagation(); window.showPrivacyHelp('Primary Address', 'Your primary address (starts with 4) is the permanent, unchanging address for your wallet. Use this for QR codes, donation pages, or anywhere you want a consistent address. Subaddresses (starting with 8) all deposit to this same wallet.')" style="position: absolute; top: 4px; right: 4px; width: 18px; height: 18px; border-radius: 50%; background: #333; border: none; color: #888; font-size: 12px; cursor: pointer; display: flex; align-items: center; justify-content: center;" onmouseover="this.style.background='#444'" onmouseout="this.style.background='#333'">?</span></button>
+                    ${viewOnly ? '' : `
                     <button onclick="window.WalletModal.showSeedView()" style="padding: 10px; background: #252525; border: none; border-radius: 6px; color: #aaa; cursor: pointer; font-size: 12px;">🔑 Seed Phrase</button>
                     <button onclick="window.WalletModal.showChangePinView()" style="padding: 10px; background: #252525; border: none; border-radius: 6px; color: #aaa; cursor: pointer; font-size: 12px;">🔐 Change PIN</button>
+                    `}
                     <button onclick="window.WalletModal.deleteWallet()" style="padding: 10px; background: #252525; border: none; border-radius: 6px; color: #ff6b6b; cursor: pointer; font-size: 12px;">🗑️ Delete</button>
+                    <button onclick="window.WalletModal.showAddressBookView()" style="padding: 10px; background: #252525; border: none; border-radius: 6px; color: #aaa; cursor: pointer; font-size: 12px;">📒 Address Book</button>
+                    <button onclick="window.WalletModal.showCheckProofView()" style="padding: 10px; background: #252525; border: none; border-radius: 6px; color: #aaa; cursor: pointer; font-size: 12px;">🧾 Check a Proof</button>
+                    ${viewOnly ? '' : `
+                    <button onclick="window.WalletModal.showTipSchedulesView()" style="grid-column: span 2; padding: 10px; background: #252525; border: none; border-radius: 6px; color: #aaa; cursor: pointer; font-size: 12px;">🔁 Recurring Tips</button>
+                    `}
                 </div>
             </div>
         </div>
@@ -641,7 +688,10 @@ async function renderDashboard() {
         </div>
 
         <!-- Transaction History -->
-        <div style="color: #ccc; font-size: 14px; font-weight: 600; margin-bottom: 10px;">📜 Transactions</div>
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+            <div style="color: #ccc; font-size: 14px; font-weight: 600;">📜 Transactions</div>
+            <button onclick="window.WalletModal.showHistoryView()" style="background: transparent; border: none; color: #8B5CF6; cursor: pointer; font-size: 12px;">Search & export →</button>
+        </div>
         <div id="walletTxHistory" style="background: #1a1a1a; border-radius: 10px; overflow: hidden;">
             <div style="text-align: center; padding: 24px 16px; color: #666;">Loading transactions...</div>
         </div>
@@ -820,6 +870,7 @@ async function updateTransactions() {
 
     try {
         const txs = await Wallet.getTransactions(50);
+        const annotations = await Wallet.txHistory.getAnnotations().catch(() => ({}));
 
         if (txs.length === 0) {
             historyEl.innerHTML = '<div style="text-align: center; padding: 30px 16px; color: #666;">No transactions yet</div>';
@@ -850,6 +901,7 @@ async function updateTransactions() {
 
                 const shortTxid = tx.txid ? `${escapeHtml(tx.txid.slice(0, 6))}...` : '';
                 const escapedTxid = escapeAttribute(tx.txid || '');
+                const label = annotations[(tx.txid || '').toLowerCase()]?.label;
 
                 // Check if this incoming tx matches a note
                 let noteLink = '';
@@ -881,6 +933,7 @@ async function updateTransactions() {
                             <div style="font-weight: 600; font-size: 14px; font-family: monospace; color: ${isIncoming ? '#4ade80' : '#FF6600'};">
                                 ${isIncoming ? '+' : '-'}${escapeHtml(amountXMR)} XMR
                             </div>
+                            ${label ? `<div style="color: #ccc; font-size: 12px; margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">🏷️ ${escapeHtml(label)}</div>` : ''}
                             <div style="display: flex; justify-content: space-between; margin-top: 4px;">
                                 <span style="color: #666; font-size: 11px;">${escapeHtml(dateStr)}</span>
                                 <span style="color: #555; font-size: 10px; font-family: monospace;">${shortTxid}</span>
@@ -918,15 +971,29 @@ export async function copyAddress() {
     }
 }
 
+/**
+ * Bounce send flows when the wallet is view-only
+ * @returns {boolean} True if sending is blocked
+ */
+function blockIfViewOnly() {
+    if (!viewOnly) return false;
+    showToast('This Tip Jar is view-only and cannot send', 'error');
+    backToDashboard();
+    return true;
+}
+
 /**
  * Show send view
+ * @param {string} [address] - Recipient to pre-fill (e.g. from the address book)
  */
-export async function showSendView() {
+export async function showSendView(address = null) {
+    if (blockIfViewOnly()) return;
+
     currentView = 'send';
     setTitle('📤 Send XMR');
 
     // Pre-fill from tip metadata if available
-    const prefillAddress = tipMeta?.address || '';
+    const prefillAddress = address || tipMeta?.address || '';
     const prefillAmount = tipMeta?.amount || '';
 
     getContentEl().innerHTML = `
@@ -934,6 +1001,7 @@ export async function showSendView() {
             <div style="margin-bottom: 16px;">
                 <label style="display: block; margin-bottom: 8px; color: #999; font-size: 14px;">Recipient Address</label>
                 <input type="text" id="walletSendAddress" value="${prefillAddress}" placeholder="4... or 8..." style="width: 100%; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 14px; font-family: monospace;">
+                <select id="walletSendContact" style="display: none; width: 100%; padding: 10px; margin-top: 8px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #ccc; font-size: 13px;"></select>
             </div>
             <div style="margin-bottom: 16px;">
                 <label style="display: block; margin-bottom: 8px; color: #999; font-size: 14px;">Amount (XMR)</label>
@@ -974,6 +1042,8 @@ export async function showSendView() {
         updateSendAmountUSD();
     }
 
+    await populateSendContactPicker();
+
     // Show tip info if tipping
     if (tipMeta?.noteId) {
         showToast(`Tipping note: ${tipMeta.noteId.slice(0, 8)}...`, 'info');
@@ -984,6 +1054,8 @@ export async function showSendView() {
  * Show batch send view for queue items - Step 1: Fee Selection
  */
 export async function showBatchSendView() {
+    if (blockIfViewOnly()) return;
+
     if (!queueItems || queueItems.length === 0) {
         showToast('No items in queue', 'error');
         backToDashboard();
@@ -1060,6 +1132,8 @@ export async function showBatchSendView() {
  * Review batch transaction - Step 2: Sync, create tx, show confirmation
  */
 export async function reviewBatchTransaction() {
+    if (blockIfViewOnly()) return;
+
     const btn = document.getElementById('batchReviewBtn');
     const errorEl = document.getElementById('batchSendError');
     const priority = document.getElementById('batchFeePriority')?.value || 'low';
@@ -1115,6 +1189,11 @@ async function showBatchConfirmView(txDetails) {
     const feeUSD = xmrPrice ? formatUSD(parseFloat(feeXMR) * xmrPrice) : null;
     const totalUSD = xmrPrice ? formatUSD(parseFloat(totalXMR) * xmrPrice) : null;
 
+    // Match recipients against the address book
+    const contacts = await getContactsForReview();
+    await fetchContactProfiles(queueItems.map(item => item.recipientPubkey));
+    const recipients = queueItems.map(item => describeQueueItem(item, contacts));
+
     getContentEl().innerHTML = `
         <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color);">
             <div style="margin-bottom: 16px; padding: 12px; background: #0a0a0a; border-radius: 8px;">
@@ -1145,13 +1224,25 @@ async function showBatchConfirmView(txDetails) {
                 ${queueItems.map((item, i) => {
                     const itemAmount = parseFloat(item.amount || '0.00018');
                     const itemUSD = xmrPrice ? formatUSD(itemAmount * xmrPrice) : null;
+                    const recipient = recipients[i];
                     return `
-                    <div style="padding: 8px; background: #0a0a0a; border-radius: 6px; margin-bottom: 6px; display: flex; justify-content: space-between; align-items: center;">
-                        <span style="color: #FF6600; font-size: 13px;">${escapeHtml(item.authorName)}</span>
-                        <div style="text-align: right;">
-                            <span style="color: #fff; font-size: 13px;">${item.amount || '0.00018'} XMR</span>
-                            ${itemUSD ? `<div style="color: #888; font-size: 10px;">≈ ${itemUSD}</div>` : ''}
+                    <div style="padding: 8px; background: #0a0a0a; border-radius: 6px; margin-bottom: 6px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center;">
+                            <span style="display: flex; align-items: center; gap: 8px;">
+                                ${renderContactAvatar(recipient.picture, 24)}
+                                <span style="color: #FF6600; font-size: 13px;">${escapeHtml(item.authorName)}</span>
+                                ${recipient.contact ? '<span title="In your address book" style="font-size: 11px;">📒</span>' : ''}
+                            </span>
+                            <div style="text-align: right;">
+                                <span style="color: #fff; font-size: 13px;">${item.amount || '0.00018'} XMR</span>
+                                ${itemUSD ? `<div style="color: #888; font-size: 10px;">≈ ${itemUSD}</div>` : ''}
+                            </div>
                         </div>
+                        ${recipient.warning ? renderRecipientWarning(recipient.warning) : ''}
+                        ${recipient.addressChanged ? `
+                        <label style="display: flex; align-items: center; gap: 6px; margin-top: 6px; color: #ffc107; font-size: 12px; cursor: pointer;">
+                            <input type="checkbox" class="batchAddressConfirm"> Pay the new address
+                        </label>` : ''}
                     </div>
                 `;
                 }).join('')}
@@ -1206,6 +1297,8 @@ export function cancelBatchSend() {
  * Execute batch send for all queue items
  */
 export async function executeBatchSend() {
+    if (blockIfViewOnly()) return;
+
     if (!queueItems || queueItems.length === 0) {
         showToast('No items to send', 'error');
         return;
@@ -1221,6 +1314,15 @@ export async function executeBatchSend() {
     const progressEl = document.getElementById('batchConfirmProgress');
     const disclosureMode = document.getElementById('batchDisclosureMode')?.value || 'verified';
 
+    // A recurring tip whose creator changed address only goes out once confirmed
+    if ([...document.querySelectorAll('.batchAddressConfirm')].some(box => !box.checked)) {
+        if (errorEl) {
+            errorEl.textContent = 'Confirm the new address of each recurring tip marked above, or cancel';
+            errorEl.style.display = 'block';
+        }
+        return;
+    }
+
     if (btn) { btn.textContent = 'Sending...'; btn.disabled = true; }
     if (progressEl) { progressEl.style.display = 'block'; progressEl.textContent = 'Broadcasting transaction...'; }
 
@@ -1244,16 +1346,30 @@ export async function executeBatchSend() {
 
             for (const item of queueItems) {
                 if (item.recipientPubkey && item.recipientPubkey.length === 64) {
-                    await publishBatchVerifiedDisclosure(item.postId, item.amount || '0.00018', txHash, txKey, item.recipientPubkey);
+                    await publishBatchVerifiedDisclosure(item.postId, item.amount || '0.00018', txHash, txKey, item.recipientPubkey, item.moneroAddress);
                 }
             }
         }
 
+        // Record the period as paid for recurring tips in this batch
+        const scheduleIds = queueItems.filter(item => item.scheduleId).map(item => item.scheduleId);
+        if (scheduleIds.length > 0) {
+            try {
+                await Wallet.tipSchedules.markSent(scheduleIds, txHash);
+            } catch (err) {
+                console.error('[WalletModal] Failed to record recurring tips:', err);
+            }
+        }
+
         // Store tip count before clearing
         const tipCount = queueItems.length;
 
-        // Clear the queue
-        clearQueueAfterSend();
+        // Clear the queue (recurring tips don't come from the zap queue)
+        if (scheduleIds.length === tipCount) {
+            queueItems = null;
+        } else {
+            clearQueueAfterSend();
+        }
         pendingTxDetails = null;
 
         // Show success
@@ -1275,7 +1391,7 @@ export async function executeBatchSend() {
 /**
  * Publish verified disclosure for batch tip
  */
-async function publishBatchVerifiedDisclosure(noteId, amount, txHash, txKey, recipientPubkey) {
+async function publishBatchVerifiedDisclosure(noteId, amount, txHash, txKey, recipientPubkey, moneroAddress) {
     try {
         const senderPubkey = State.publicKey;
         const privateKey = State.getPrivateKeyForSigning();
@@ -1308,7 +1424,8 @@ async function publishBatchVerifiedDisclosure(noteId, amount, txHash, txKey, rec
             kind: 9736,
             created_at: Math.floor(Date.now() / 1000),
             tags: [
-                ['e', noteId],
+                // Recurring tips may not reference a note
+                ...(noteId ? [['e', noteId]] : []),
                 ['p', recipientPubkey],
                 ['P', senderPubkey],
                 ['amount', amount.toString()],
@@ -1322,15 +1439,15 @@ async function publishBatchVerifiedDisclosure(noteId, amount, txHash, txKey, rec
         // Sign the event - finalizeEvent adds pubkey, id, and sig
         const signedEvent = NostrTools.finalizeEvent(eventTemplate, privateKey);
 
-        const nosmeroRelayUrl = window.location.port === '8443'
-            ? `wss://${window.location.hostname}:8443/nip78-relay`
-            : `wss://${window.location.hostname}/nip78-relay`;
+        const nosmeroRelayUrl = getDisclosureRelayUrl();
 
 
         const relay = await NostrTools.Relay.connect(nosmeroRelayUrl);
         await relay.publish(signedEvent);
         relay.close();
 
+        TipVerification.recordTipProof({ txid: txHash, txKey, recipientAddress: moneroAddress, amount, recipientPubkey, noteId });
+
     } catch (err) {
         console.error('[WalletModal] Failed to publish batch disclosure:', err);
     }
@@ -1447,6 +1564,8 @@ export async function setMaxAmount() {
  * Review transaction before sending
  */
 export async function reviewTransaction() {
+    if (blockIfViewOnly()) return;
+
     const address = document.getElementById('walletSendAddress')?.value.trim();
     const amountStr = document.getElementById('walletSendAmount')?.value.trim();
     const priority = document.getElementById('walletSendPriority')?.value;
@@ -1529,6 +1648,7 @@ function showConfirmView(txDetails) {
             </div>
             <div style="margin-top: 16px;">
                 <div style="color: #666; font-size: 12px; margin-bottom: 8px;">Sending to</div>
+                <div id="walletConfirmRecipient"></div>
                 <div style="font-family: monospace; font-size: 10px; color: #aaa; word-break: break-all; background: #0a0a0a; padding: 12px; border-radius: 8px;">${txDetails.address}</div>
             </div>
 
@@ -1572,6 +1692,8 @@ function showConfirmView(txDetails) {
             <button id="walletConfirmBtn" onclick="window.WalletModal.confirmSend()" style="flex: 2; padding: 16px; background: linear-gradient(135deg, #FF6600, #cc5200); border: none; border-radius: 12px; color: #000; cursor: pointer; font-size: 15px; font-weight: 600;">Confirm & Send</button>
         </div>
     `;
+
+    renderConfirmRecipient(txDetails.address, tipMeta?.recipientPubkey || null);
 }
 
 /**
@@ -1589,6 +1711,8 @@ export function cancelSend() {
  * Confirm and send transaction
  */
 export async function confirmSend() {
+    if (blockIfViewOnly()) return;
+
     const errorEl = document.getElementById('walletConfirmError');
     const btn = document.getElementById('walletConfirmBtn');
 
@@ -1599,8 +1723,13 @@ export async function confirmSend() {
         const disclosureRadio = document.querySelector('input[name="walletDisclosure"]:checked');
         const disclosure = disclosureRadio ? disclosureRadio.value : 'secret';
 
-        // Relay the transaction
-        const result = await Wallet.relayTransaction();
+        // Relay the transaction, remembering the recipient for history and payment proofs
+        const recipients = pendingTxDetails ? [{
+            address: pendingTxDetails.address,
+            amount: Wallet.formatXMR(pendingTxDetails.amount),
+            noteId: tipMeta?.noteId || null
+        }] : null;
+        const result = await Wallet.relayTransaction(recipients);
 
         showToast('Transaction sent!', 'success');
 
@@ -1682,10 +1811,7 @@ async function publishVerifiedDisclosure(txHash, txKey) {
     const signedEvent = NostrTools.finalizeEvent(event, privateKey);
 
     // Publish to Nosmero relay only (kind 9736 is Nosmero-specific, not a Nostr standard)
-    // Use dynamic hostname to work on both desktop and mobile
-    const nosmeroRelayUrl = window.location.port === '8443'
-        ? `wss://${window.location.hostname}:8443/nip78-relay`
-        : `wss://${window.location.hostname}/nip78-relay`;
+    const nosmeroRelayUrl = getDisclosureRelayUrl();
 
 
     try {
@@ -1696,6 +1822,9 @@ async function publishVerifiedDisclosure(txHash, txKey) {
         console.error('[WalletModal] Failed to publish disclosure:', e);
         throw new Error('Failed to publish tip disclosure to relay');
     }
+
+    // Verified leaderboards only count tips the API has checked
+    TipVerification.recordTipProof({ txid: txHash, txKey, recipientAddress: pendingTxDetails?.address || tipMeta.address, amount, recipientPubkey, noteId });
 }
 
 /**
@@ -1739,184 +1868,1256 @@ export async function showReceiveView() {
 }
 
 /**
- * Back to dashboard
+ * Display name and picture for a contact (or a bare pubkey)
+ * @param {Object|null} contact
+ * @param {string|null} [pubkey] - Used when there's no contact
+ * @returns {{ name: string, picture: string|null }}
  */
-export async function backToDashboard() {
-    if (Wallet && pendingTxDetails) {
-        Wallet.cancelPendingTransaction();
-        pendingTxDetails = null;
-    }
-    await renderDashboard();
+function getContactDisplay(contact, pubkey = null) {
+    const linkedPubkey = contact?.pubkey || pubkey;
+    const profile = linkedPubkey ? State.profileCache[linkedPubkey] : null;
+    const name = contact?.label
+        || profile?.display_name
+        || profile?.name
+        || (linkedPubkey ? linkedPubkey.slice(0, 12) + '...' : null)
+        || (contact ? `${contact.address.slice(0, 8)}...${contact.address.slice(-6)}` : 'Unknown');
+    return { name, picture: profile?.picture || null };
+}
+
+function renderContactAvatar(picture, size = 32) {
+    return `<img src="${escapeHtml(picture || '/default-avatar.png')}" onerror="this.src='/default-avatar.png'" alt="" style="width: ${size}px; height: ${size}px; border-radius: 50%; object-fit: cover; flex-shrink: 0;">`;
 }
 
 /**
- * Show seed phrase view
+ * Fetch missing profiles for linked contacts (best effort)
  */
-export async function showSeedView() {
-    if (!confirm('View seed phrase? Make sure no one is watching.')) return;
+async function fetchContactProfiles(pubkeys) {
+    const missing = pubkeys.filter(pk => pk && !State.profileCache[pk]);
+    if (missing.length > 0 && window.NostrPosts?.fetchProfiles) {
+        try { await window.NostrPosts.fetchProfiles(missing); } catch (e) {}
+    }
+}
 
-    currentView = 'seed';
-    setTitle('🔑 Seed Phrase');
+/**
+ * Add followed users' addresses to the address book and flag changed ones.
+ * Skipped if it ran recently unless forced.
+ * @returns {Promise<{added: number, changed: number}>}
+ */
+async function syncAddressBookWithFollows(force = false) {
+    return Wallet.addressBook.syncFollowedContacts({
+        pubkeys: [...State.followingUsers],
+        getAddress: (pubkey) => window.getUserMoneroAddress ? window.getUserMoneroAddress(pubkey) : null,
+        force
+    });
+}
 
-    const seed = await Wallet.getSeed();
-    const restoreHeight = await Wallet.getRestoreHeight();
-    const words = seed.split(' ');
+/**
+ * Show the address book
+ */
+export async function showAddressBookView() {
+    currentView = 'addressBook';
+    setTitle('📒 Address Book');
 
     getContentEl().innerHTML = `
         <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color);">
-            <div style="background: rgba(255, 0, 0, 0.1); border: 1px solid rgba(255, 0, 0, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 16px;">
-                <p style="color: #ff6b6b; font-size: 13px; margin: 0; font-weight: 600;">🚨 Never share these words!</p>
-            </div>
-            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px; margin-bottom: 16px;">
-                ${words.map((word, i) => `
-                    <div style="background: #0a0a0a; padding: 6px 8px; border-radius: 6px; font-family: monospace; font-size: 11px;">
-                        <span style="color: #666;">${i + 1}.</span>
-                        <span style="color: #fff;">${word}</span>
-                    </div>
-                `).join('')}
+            <div style="margin-bottom: 16px;">
+                <input type="text" id="walletContactLabel" placeholder="Label (e.g. Alice)" maxlength="64" style="width: 100%; padding: 12px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 14px; margin-bottom: 8px;">
+                <input type="text" id="walletContactAddress" placeholder="4... or 8..." style="width: 100%; padding: 12px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 13px; font-family: monospace; margin-bottom: 8px;">
+                <div id="walletContactError" style="color: #ff6b6b; font-size: 13px; margin-bottom: 8px; display: none;"></div>
+                <div style="display: flex; gap: 8px;">
+                    <button onclick="window.WalletModal.saveContact()" style="flex: 2; padding: 12px; background: linear-gradient(135deg, #FF6600, #cc5200); border: none; border-radius: 8px; color: #000; cursor: pointer; font-weight: 600;">+ Save Address</button>
+                    <button id="walletContactSyncBtn" onclick="window.WalletModal.refreshFollowedContacts()" style="flex: 1; padding: 12px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-size: 13px;">↻ From follows</button>
+                </div>
             </div>
-            <div style="background: rgba(255, 102, 0, 0.1); border: 1px solid rgba(255, 102, 0, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 16px;">
-                <p style="color: #FF6600; font-size: 13px; margin: 0; font-weight: 600;">📍 Restore Height: <span style="font-family: monospace;">${restoreHeight || 'Unknown'}</span></p>
+            <div id="walletContactList" style="max-height: 360px; overflow-y: auto;">
+                <div style="text-align: center; padding: 24px 16px; color: #666;">Loading contacts...</div>
             </div>
-            <button onclick="window.WalletModal.copySeed()" style="width: 100%; padding: 14px; background: transparent; border: 1px solid #333; border-radius: 8px; color: #999; cursor: pointer; font-size: 14px; margin-bottom: 12px;">📋 Copy Seed + Height</button>
-            <button onclick="window.WalletModal.backToDashboard()" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px;">← Back</button>
+            <button onclick="window.WalletModal.backToDashboard()" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px; margin-top: 12px;">
+                ← Back
+            </button>
         </div>
     `;
+
+    await renderContactList();
+
+    // Pick up followed users' addresses in the background
+    try {
+        const { added, changed } = await syncAddressBookWithFollows();
+        if ((added > 0 || changed > 0) && currentView === 'addressBook') {
+            await renderContactList();
+        }
+        if (changed > 0) {
+            showToast(`${changed} contact${changed !== 1 ? 's have' : ' has'} a new published address`, 'error');
+        }
+    } catch (err) {
+        console.warn('[WalletModal] Address book sync failed:', err);
+    }
 }
 
-/**
- * Copy seed phrase
- */
-export async function copySeed() {
-    const seed = await Wallet.getSeed();
-    const restoreHeight = await Wallet.getRestoreHeight();
-    const text = `${seed}\n\nRestore Height: ${restoreHeight || 0}`;
-    await navigator.clipboard.writeText(text);
-    showToast('Seed copied!', 'success');
+async function renderContactList() {
+    const listEl = document.getElementById('walletContactList');
+    if (!listEl) return;
+
+    let contacts;
+    try {
+        contacts = await Wallet.addressBook.getContacts();
+    } catch (err) {
+        listEl.innerHTML = `<div style="text-align: center; padding: 24px 16px; color: #ff6b6b;">${escapeHtml(err.message)}</div>`;
+        return;
+    }
+
+    if (contacts.length === 0) {
+        listEl.innerHTML = '<div style="text-align: center; padding: 24px 16px; color: #666;">No saved addresses yet</div>';
+        return;
+    }
+
+    await fetchContactProfiles(contacts.map(c => c.pubkey));
+
+    const sorted = [...contacts].sort((a, b) =>
+        getContactDisplay(a).name.localeCompare(getContactDisplay(b).name));
+
+    listEl.innerHTML = sorted.map(contact => {
+        const { name, picture } = getContactDisplay(contact);
+        const shortAddress = `${contact.address.slice(0, 10)}...${contact.address.slice(-8)}`;
+        const id = escapeHtml(contact.id);
+        return `
+            <div style="padding: 10px; background: #0a0a0a; border-radius: 8px; margin-bottom: 8px;">
+                <div style="display: flex; align-items: center; gap: 10px;">
+                    ${renderContactAvatar(picture)}
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="color: #fff; font-size: 14px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(name)}${contact.source === 'follow' ? ' <span style="color: #8B5CF6; font-size: 10px;">FOLLOW</span>' : ''}</div>
+                        <div style="color: #666; font-size: 11px; font-family: monospace;">${escapeHtml(shortAddress)}</div>
+                    </div>
+                    <button data-action="send-to-contact" data-contact-id="${id}" style="padding: 6px 10px; background: #FF6600; border: none; border-radius: 6px; color: #000; cursor: pointer; font-size: 12px; font-weight: 600;">Send</button>
+                    <button data-action="edit-contact" data-contact-id="${id}" title="Rename" style="padding: 6px 8px; background: #252525; border: none; border-radius: 6px; color: #aaa; cursor: pointer; font-size: 12px;">✏️</button>
+                    <button data-action="delete-contact" data-contact-id="${id}" title="Delete" style="padding: 6px 8px; background: #252525; border: none; border-radius: 6px; color: #ff6b6b; cursor: pointer; font-size: 12px;">🗑️</button>
+                </div>
+                ${contact.publishedAddress ? `
+                <div style="background: rgba(255, 193, 7, 0.1); border: 1px solid rgba(255, 193, 7, 0.3); border-radius: 6px; padding: 8px; margin-top: 8px;">
+                    <div style="color: #ffc107; font-size: 12px; margin-bottom: 4px;">⚠️ ${escapeHtml(name)} now publishes a different address:</div>
+                    <div style="color: #aaa; font-size: 10px; font-family: monospace; word-break: break-all; margin-bottom: 6px;">${escapeHtml(contact.publishedAddress)}</div>
+                    <button data-action="accept-contact-address" data-contact-id="${id}" style="padding: 6px 10px; background: #333; border: none; border-radius: 6px; color: #ffc107; cursor: pointer; font-size: 11px;">Use new address</button>
+                </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
 }
 
 /**
- * Delete wallet
+ * Save the address entered in the address book form
  */
-export async function deleteWallet() {
-    if (!confirm('Delete Tip Jar? Cannot be undone without seed phrase!')) return;
-    if (!confirm('FINAL WARNING: All funds lost without seed. Continue?')) return;
+export async function saveContact() {
+    const label = document.getElementById('walletContactLabel')?.value || '';
+    const address = document.getElementById('walletContactAddress')?.value.trim() || '';
+    const errorEl = document.getElementById('walletContactError');
 
-    await Wallet.delete_();
-    showToast('Tip Jar deleted', 'info');
-    renderNoWalletView();
+    try {
+        await Wallet.addressBook.addContact({ label, address });
+        document.getElementById('walletContactLabel').value = '';
+        document.getElementById('walletContactAddress').value = '';
+        if (errorEl) errorEl.style.display = 'none';
+        showToast('Address saved', 'success');
+        await renderContactList();
+    } catch (err) {
+        if (errorEl) { errorEl.textContent = err.message; errorEl.style.display = 'block'; }
+    }
 }
 
 /**
- * Show forgot PIN view - confirms deletion then redirects to restore
+ * Re-check followed users' published addresses now
  */
-export function showForgotPinView() {
-    currentView = 'forgotPin';
-    setTitle('⚠️ Forgot PIN');
+export async function refreshFollowedContacts() {
+    const btn = document.getElementById('walletContactSyncBtn');
+    if (btn) { btn.textContent = 'Checking...'; btn.disabled = true; }
 
-    getContentEl().innerHTML = `
-        <div style="text-align: center; padding: 20px;">
-            <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 30px 20px; border: 1px solid var(--border-color);">
-                <div style="font-size: 48px; margin-bottom: 20px;">⚠️</div>
-                <h3 style="color: #ff6b6b; margin-bottom: 16px;">Cannot Recover PIN</h3>
-                <p style="color: #999; font-size: 14px; margin-bottom: 20px; line-height: 1.6;">
-                    Your PIN cannot be recovered. To regain access, you must:
-                </p>
-                <ol style="text-align: left; color: #ccc; font-size: 14px; margin: 0 auto 24px; max-width: 280px; line-height: 1.8;">
-                    <li>Delete the encrypted wallet data</li>
-                    <li>Restore from your 25-word seed phrase</li>
-                    <li>Set a new PIN</li>
-                </ol>
-                <div style="background: rgba(255, 107, 107, 0.1); border: 1px solid rgba(255, 107, 107, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 24px;">
-                    <p style="color: #ff6b6b; font-size: 13px; margin: 0;">
-                        <strong>No seed phrase?</strong> Your funds will be permanently lost.
-                    </p>
-                </div>
-                <button onclick="window.WalletModal.confirmDeleteAndRestore()" style="width: 100%; background: #ff6b6b; border: none; color: #000; padding: 16px; border-radius: 8px; font-size: 16px; font-weight: 600; cursor: pointer; margin-bottom: 12px;">
-                    Delete & Restore from Seed
-                </button>
-                <button onclick="window.WalletModal.backToLockedView()" style="width: 100%; background: #333; border: none; color: #fff; padding: 14px; border-radius: 8px; font-size: 14px; cursor: pointer;">
-                    ← Back
-                </button>
-            </div>
-        </div>
-    `;
+    try {
+        const { added, changed } = await syncAddressBookWithFollows(true);
+        showToast(`${added} added, ${changed} changed`, changed > 0 ? 'error' : 'success');
+        await renderContactList();
+    } catch (err) {
+        console.error('[WalletModal] Address book sync failed:', err);
+        showToast('Could not check followed users', 'error');
+    } finally {
+        if (btn) { btn.textContent = '↻ From follows'; btn.disabled = false; }
+    }
+}
+
+async function editContact(id) {
+    const contacts = await Wallet.addressBook.getContacts();
+    const contact = contacts.find(c => c.id === id);
+    if (!contact) return;
+
+    const label = prompt('Label for this address:', getContactDisplay(contact).name);
+    if (label === null) return;
+
+    await Wallet.addressBook.updateContact(id, { label });
+    await renderContactList();
+}
+
+async function deleteContact(id) {
+    if (!confirm('Remove this address from your address book?')) return;
+    await Wallet.addressBook.removeContact(id);
+    await renderContactList();
+}
+
+async function acceptContactAddress(id) {
+    if (!confirm('Replace the saved address with the newly published one? Only do this if you trust the change.')) return;
+    await Wallet.addressBook.acceptPublishedAddress(id);
+    showToast('Address updated', 'success');
+    await renderContactList();
+}
+
+async function sendToContact(id) {
+    const contacts = await Wallet.addressBook.getContacts();
+    const contact = contacts.find(c => c.id === id);
+    if (contact) {
+        tipMeta = null;
+        await showSendView(contact.address);
+    }
 }
 
 /**
- * Confirm delete and go to restore view
+ * Fill the address book picker on the send view
  */
-export async function confirmDeleteAndRestore() {
-    if (!confirm('FINAL WARNING: Delete Tip Jar and restore from seed?')) return;
+async function populateSendContactPicker() {
+    const picker = document.getElementById('walletSendContact');
+    if (!picker) return;
 
-    await Wallet.delete_();
-    showToast('Tip Jar deleted', 'info');
-    showRestoreView();
+    try {
+        const contacts = await Wallet.addressBook.getContacts();
+        if (contacts.length === 0) return;
+
+        const options = contacts
+            .map(contact => ({ contact, name: getContactDisplay(contact).name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        picker.innerHTML = '<option value="">📒 Choose from address book</option>' + options.map(({ contact, name }) =>
+            `<option value="${escapeHtml(contact.address)}">${escapeHtml(name)} (${escapeHtml(contact.address.slice(0, 8))}...)</option>`
+        ).join('');
+        picker.style.display = 'block';
+        picker.onchange = () => {
+            const input = document.getElementById('walletSendAddress');
+            if (input && picker.value) input.value = picker.value;
+        };
+    } catch (err) {
+        console.warn('[WalletModal] Could not load address book:', err);
+    }
 }
 
 /**
- * Go back to locked view
+ * Address book contacts, or none if it can't be read (send review only
+ * uses them for display, so this never blocks a send)
  */
-export function backToLockedView() {
-    renderLockedView();
+async function getContactsForReview() {
+    try {
+        return await Wallet.addressBook.getContacts();
+    } catch (err) {
+        console.warn('[WalletModal] Could not load address book:', err);
+        return [];
+    }
 }
 
 /**
- * Show change PIN view
+ * Recipient details for the send review: who the address belongs to, and
+ * a warning if it doesn't match what we have saved for them
+ * @param {string} address - Address being paid
+ * @param {string|null} pubkey - Recipient pubkey (tips)
+ * @param {Array} contacts - From getContactsForReview()
+ * @returns {{ contact: Object|null, name: string|null, picture: string|null, warning: string|null }}
  */
-export function showChangePinView() {
-    currentView = 'changePin';
-    setTitle('🔐 Change PIN');
+function describeRecipient(address, pubkey, contacts) {
+    const byAddress = contacts.find(c => c.address === address) || null;
+    const byPubkey = pubkey ? contacts.find(c => c.pubkey === pubkey) : null;
+    const contact = byAddress || byPubkey || null;
+    if (!contact && !pubkey) {
+        return { contact: null, name: null, picture: null, warning: null };
+    }
 
-    getContentEl().innerHTML = `
-        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color); text-align: center;">
-            <p style="color: #999; margin-bottom: 20px;">Enter your current PIN, then choose a new one.</p>
+    const { name, picture } = getContactDisplay(contact, pubkey);
 
-            <div style="margin-bottom: 20px;">
-                <label style="color: #666; font-size: 12px; display: block; margin-bottom: 8px;">Current PIN</label>
-                <input type="password" id="walletCurrentPin" placeholder="••••••" maxlength="20" style="width: 100%; max-width: 200px; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 20px; text-align: center; letter-spacing: 8px;">
-            </div>
+    let warning = null;
+    if (byPubkey && byPubkey.address !== address) {
+        warning = `This is not the address you saved for ${name}. Make sure they really changed it before sending.`;
+    } else if (byAddress?.publishedAddress) {
+        warning = `${name} now publishes a different address than the one you saved. Check with them before sending.`;
+    }
 
-            <div style="margin-bottom: 12px;">
-                <label style="color: #666; font-size: 12px; display: block; margin-bottom: 8px;">New PIN</label>
-                <input type="password" id="walletNewPin" placeholder="••••••" maxlength="20" style="width: 100%; max-width: 200px; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 20px; text-align: center; letter-spacing: 8px;">
-            </div>
+    return { contact, name, picture, warning };
+}
 
-            <div style="margin-bottom: 16px;">
-                <label style="color: #666; font-size: 12px; display: block; margin-bottom: 8px;">Confirm New PIN</label>
-                <input type="password" id="walletConfirmNewPin" placeholder="••••••" maxlength="20" style="width: 100%; max-width: 200px; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 20px; text-align: center; letter-spacing: 8px;">
-            </div>
+/**
+ * describeRecipient for a batch item. A recurring tip pays the creator's
+ * current published address, so one that differs from the address the
+ * schedule was set up with is flagged and has to be confirmed.
+ * @param {Object} item - Queue item
+ * @param {Array} contacts - From getContactsForReview()
+ * @returns {Object} As describeRecipient, plus addressChanged
+ */
+function describeQueueItem(item, contacts) {
+    const recipient = describeRecipient(item.moneroAddress, item.recipientPubkey || null, contacts);
+    recipient.addressChanged = !!item.savedAddress && item.savedAddress !== item.moneroAddress;
+    if (recipient.addressChanged) {
+        recipient.warning = `${item.authorName} now publishes a different address than the one this recurring tip was set up with. Make sure they really changed it before sending.`;
+    }
+    return recipient;
+}
 
-            <div id="changePinError" style="color: #ff6b6b; font-size: 13px; margin-bottom: 12px; display: none;"></div>
+function renderRecipientWarning(warning) {
+    return `
+        <div style="background: rgba(255, 193, 7, 0.1); border: 1px solid rgba(255, 193, 7, 0.3); border-radius: 8px; padding: 10px; margin-top: 8px;">
+            <p style="color: #ffc107; font-size: 12px; margin: 0;">⚠️ ${escapeHtml(warning)}</p>
+        </div>
+    `;
+}
 
-            <button onclick="window.WalletModal.changePin()" style="width: 100%; max-width: 200px; background: linear-gradient(135deg, #FF6600, #8B5CF6); border: none; color: #000; padding: 16px; border-radius: 8px; font-size: 16px; font-weight: 600; cursor: pointer; margin-bottom: 12px;">Change PIN</button>
-            <button onclick="window.WalletModal.backToDashboard()" style="width: 100%; max-width: 200px; background: #333; border: none; color: #fff; padding: 14px; border-radius: 8px; font-size: 14px; cursor: pointer;">← Back</button>
+/**
+ * Fill in who the single-send confirm view is paying
+ */
+async function renderConfirmRecipient(address, pubkey) {
+    const contacts = await getContactsForReview();
+    const contact = contacts.find(c => c.address === address || (pubkey && c.pubkey === pubkey));
+    await fetchContactProfiles([contact?.pubkey || pubkey]);
+
+    const recipient = describeRecipient(address, pubkey, contacts);
+    const el = document.getElementById('walletConfirmRecipient');
+    if (!el || !recipient.name) return;
+
+    el.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
+            ${renderContactAvatar(recipient.picture, 36)}
+            <div style="color: #fff; font-size: 14px; font-weight: 500;">${escapeHtml(recipient.name)}</div>
+            ${recipient.contact ? '<span style="color: #10B981; font-size: 11px;">📒 Saved</span>' : ''}
         </div>
+        ${recipient.warning ? renderRecipientWarning(recipient.warning) : ''}
     `;
+}
 
-    // Focus first input
-    setTimeout(() => {
-        document.getElementById('walletCurrentPin')?.focus();
-    }, 100);
+/**
+ * Nosmero relay that holds kind 9736 tip disclosures.
+ * Uses the page hostname to work on both desktop and mobile.
+ */
+function getDisclosureRelayUrl() {
+    return window.location.port === '8443'
+        ? `wss://${window.location.hostname}:8443/nip78-relay`
+        : `wss://${window.location.hostname}/nip78-relay`;
 }
 
 /**
- * Change PIN - verify current, re-encrypt with new
+ * Link transactions to the notes they tipped using kind 9736 disclosures
+ * we published or were tagged in. Skipped if it ran recently unless forced.
+ * Tips we were tagged in only count once their proof is checked.
+ * @returns {Promise<number>} Number of newly linked transactions
  */
-export async function changePin() {
-    const currentPin = document.getElementById('walletCurrentPin')?.value;
-    const newPin = document.getElementById('walletNewPin')?.value;
-    const confirmPin = document.getElementById('walletConfirmNewPin')?.value;
-    const errorEl = document.getElementById('changePinError');
+async function syncTxDisclosures(force = false) {
+    const pubkey = State.publicKey;
+    if (!pubkey || !State.pool) return 0;
 
-    // Validate inputs
-    if (!currentPin) {
-        errorEl.textContent = 'Enter your current PIN';
-        errorEl.style.display = 'block';
-        return;
+    if (!force && Date.now() - await Wallet.txHistory.getDisclosuresSyncedAt() < DISCLOSURE_SYNC_MS) {
+        return 0;
     }
-    if (!newPin || newPin.length < 6) {
-        errorEl.textContent = 'New PIN must be at least 6 characters';
+
+    const relays = [getDisclosureRelayUrl()];
+    const [sent, received] = await Promise.all([
+        State.pool.querySync(relays, { kinds: [9736], authors: [pubkey], limit: 500 }),
+        State.pool.querySync(relays, { kinds: [9736], '#p': [pubkey], limit: 500 })
+    ]);
+
+    const primaryAddress = await Wallet.getPrimaryAddress();
+    const claims = received
+        .filter(event => event.pubkey !== pubkey)
+        .map(event => {
+            const tag = (name) => event.tags.find(t => t[0] === name)?.[1] || null;
+            return {
+                eventId: event.id,
+                txid: tag('txid'),
+                txKey: tag('tx_key'),
+                amount: tag('amount'),
+                recipientAddress: tag('address') || primaryAddress,
+                createdAt: event.created_at
+            };
+        })
+        .filter(claim => claim.txid && claim.txKey && claim.amount);
+    const { done } = await TipVerification.verifyDisclosures(claims, { waitMs: 0 });
+    const verifiedIds = new Set([...(await done)]
+        .filter(([, result]) => result.status === 'verified')
+        .map(([eventId]) => eventId));
+
+    return Wallet.txHistory.applyDisclosures([...sent, ...received], pubkey, verifiedIds);
+}
+
+/**
+ * Load annotated history, filling in notes for incoming tips to per-note subaddresses
+ */
+async function loadHistoryEntries() {
+    const entries = await Wallet.txHistory.getHistory();
+
+    try {
+        await scanTipsToNotes();
+        for (const entry of entries) {
+            if (entry.direction === 'in' && !entry.noteId && typeof entry.subaddressIndex === 'number' && entry.subaddressIndex > 0) {
+                const noteInfo = await getNoteForSubaddress(entry.subaddressIndex);
+                if (noteInfo) {
+                    entry.noteId = noteInfo.noteId;
+                    entry.linkSource = 'subaddress';
+                }
+            }
+        }
+    } catch (err) {
+        console.warn('[WalletModal] Failed to match subaddresses to notes:', err);
+    }
+
+    await fetchContactProfiles([...new Set(entries.map(e => e.counterpartyPubkey).filter(Boolean))]);
+    for (const entry of entries) {
+        if (!entry.counterpartyName && entry.counterpartyPubkey) {
+            entry.counterpartyName = getContactDisplay(null, entry.counterpartyPubkey).name;
+        }
+    }
+    return entries;
+}
+
+/**
+ * Show searchable, exportable transaction history
+ */
+export async function showHistoryView() {
+    currentView = 'history';
+    setTitle('📜 History');
+
+    const inputStyle = 'width: 100%; padding: 10px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 13px;';
+
+    getContentEl().innerHTML = `
+        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 16px; border: 1px solid var(--border-color); margin-bottom: 12px;">
+            <input type="text" id="walletHistorySearch" placeholder="Search labels, notes or txid" oninput="window.WalletModal.applyHistoryFilters()" style="${inputStyle} margin-bottom: 8px;">
+            <input type="text" id="walletHistoryCounterparty" placeholder="Counterparty (name, npub or address)" oninput="window.WalletModal.applyHistoryFilters()" style="${inputStyle} margin-bottom: 8px;">
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 8px;">
+                <select id="walletHistoryDirection" onchange="window.WalletModal.applyHistoryFilters()" style="${inputStyle} grid-column: 1 / -1;">
+                    <option value="">Received & sent</option>
+                    <option value="in">Received</option>
+                    <option value="out">Sent</option>
+                </select>
+                <input type="date" id="walletHistoryFrom" title="From" onchange="window.WalletModal.applyHistoryFilters()" style="${inputStyle}">
+                <input type="date" id="walletHistoryTo" title="To" onchange="window.WalletModal.applyHistoryFilters()" style="${inputStyle}">
+                <input type="text" inputmode="decimal" id="walletHistoryMin" placeholder="Min XMR" oninput="window.WalletModal.applyHistoryFilters()" style="${inputStyle}">
+                <input type="text" inputmode="decimal" id="walletHistoryMax" placeholder="Max XMR" oninput="window.WalletModal.applyHistoryFilters()" style="${inputStyle}">
+            </div>
+            <div style="display: flex; gap: 8px;">
+                <button onclick="window.WalletModal.exportHistory('csv')" style="flex: 1; padding: 10px; background: #FF6600; border: none; border-radius: 8px; color: #000; cursor: pointer; font-weight: 600; font-size: 13px;">⬇ CSV</button>
+                <button onclick="window.WalletModal.exportHistory('json')" style="flex: 1; padding: 10px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-size: 13px;">⬇ JSON</button>
+                <button id="walletHistoryLinkBtn" onclick="window.WalletModal.refreshHistoryLinks()" title="Match transactions to tipped notes" style="flex: 1; padding: 10px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-size: 13px;">↻ Link tips</button>
+            </div>
+        </div>
+        <div id="walletHistorySummary" style="color: #888; font-size: 12px; margin-bottom: 8px;"></div>
+        <div id="walletHistoryList" style="background: #1a1a1a; border-radius: 10px; overflow: hidden; max-height: 420px; overflow-y: auto;">
+            <div style="text-align: center; padding: 24px 16px; color: #666;">Loading transactions...</div>
+        </div>
+        <button onclick="window.WalletModal.backToDashboard()" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px; margin-top: 12px;">
+            ← Back
+        </button>
+    `;
+
+    try {
+        historyEntries = await loadHistoryEntries();
+    } catch (err) {
+        console.error('[WalletModal] Failed to load history:', err);
+        const listEl = document.getElementById('walletHistoryList');
+        if (listEl) listEl.innerHTML = `<div style="text-align: center; padding: 24px 16px; color: #ff6b6b;">${escapeHtml(err.message)}</div>`;
+        return;
+    }
+    applyHistoryFilters();
+
+    // Pick up new tip disclosures in the background
+    try {
+        if (await syncTxDisclosures() > 0 && currentView === 'history') {
+            historyEntries = await loadHistoryEntries();
+            applyHistoryFilters();
+        }
+    } catch (err) {
+        console.warn('[WalletModal] Tip disclosure sync failed:', err);
+    }
+}
+
+/**
+ * Read the history filter form
+ * @returns {Object} Filters for Wallet.txHistory.filterHistory
+ */
+function getHistoryFilters() {
+    const value = (id) => document.getElementById(id)?.value.trim() || '';
+    const parseAmount = (str) => {
+        if (!str) return null;
+        try { return Wallet.parseXMR(str); } catch (e) { return null; }
+    };
+
+    // Accept npub for the counterparty
+    let counterparty = value('walletHistoryCounterparty');
+    if (counterparty.startsWith('npub1')) {
+        try { counterparty = window.NostrTools.nip19.decode(counterparty).data; } catch (e) {}
+    }
+
+    const from = value('walletHistoryFrom');
+    const to = value('walletHistoryTo');
+
+    return {
+        direction: value('walletHistoryDirection'),
+        from: from ? Math.floor(new Date(`${from}T00:00:00`).getTime() / 1000) : null,
+        to: to ? Math.floor(new Date(`${to}T23:59:59`).getTime() / 1000) : null,
+        minAmount: parseAmount(value('walletHistoryMin')),
+        maxAmount: parseAmount(value('walletHistoryMax')),
+        counterparty,
+        query: value('walletHistorySearch')
+    };
+}
+
+/**
+ * Re-render the history list with the current filters
+ */
+export function applyHistoryFilters() {
+    const listEl = document.getElementById('walletHistoryList');
+    const summaryEl = document.getElementById('walletHistorySummary');
+    if (!listEl) return;
+
+    const entries = Wallet.txHistory.filterHistory(historyEntries, getHistoryFilters());
+
+    if (summaryEl) {
+        const sum = (dir) => entries.filter(e => e.direction === dir).reduce((total, e) => total + BigInt(e.amount || 0), 0n);
+        summaryEl.textContent = `${entries.length} transaction${entries.length !== 1 ? 's' : ''} · +${Wallet.formatXMR(sum('in'))} / -${Wallet.formatXMR(sum('out'))} XMR`;
+    }
+
+    if (entries.length === 0) {
+        listEl.innerHTML = '<div style="text-align: center; padding: 24px 16px; color: #666;">No matching transactions</div>';
+        return;
+    }
+
+    listEl.innerHTML = entries.map(entry => {
+        const isIncoming = entry.direction === 'in';
+        const dateStr = entry.timestamp ? new Date(entry.timestamp * 1000).toLocaleDateString() : 'Pending...';
+        const details = [entry.counterpartyName, entry.noteId ? '📝 linked' : null].filter(Boolean).join(' · ');
+        return `
+            <div data-txid="${escapeAttribute(entry.txid || '')}" data-action="show-tx-detail" style="padding: 12px 14px; border-bottom: 1px solid #333; cursor: pointer;">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <span style="font-weight: 600; font-size: 14px; font-family: monospace; color: ${isIncoming ? '#4ade80' : '#FF6600'};">${isIncoming ? '+' : '-'}${escapeHtml(Wallet.formatXMR(entry.amount || 0n))} XMR</span>
+                    <span style="color: #666; font-size: 11px;">${escapeHtml(dateStr)}</span>
+                </div>
+                ${entry.label ? `<div style="color: #ccc; font-size: 12px; margin-top: 4px;">🏷️ ${escapeHtml(entry.label)}</div>` : ''}
+                ${details ? `<div style="color: #888; font-size: 11px; margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(details)}</div>` : ''}
+                ${entry.note ? `<div style="color: #666; font-size: 11px; margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(entry.note)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Download the filtered history
+ * @param {'csv'|'json'} format
+ */
+export function exportHistory(format = 'csv') {
+    const entries = Wallet.txHistory.filterHistory(historyEntries, getHistoryFilters());
+    if (entries.length === 0) {
+        showToast('Nothing to export', 'error');
+        return;
+    }
+
+    const content = format === 'json'
+        ? Wallet.txHistory.toJSON(entries)
+        : Wallet.txHistory.toCSV(entries);
+    const type = format === 'json' ? 'application/json' : 'text/csv';
+    const date = new Date().toISOString().slice(0, 10);
+
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `nosmero-wallet-history-${date}.${format === 'json' ? 'json' : 'csv'}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Re-check tip disclosures now
+ */
+export async function refreshHistoryLinks() {
+    const btn = document.getElementById('walletHistoryLinkBtn');
+    if (btn) { btn.textContent = 'Checking...'; btn.disabled = true; }
+
+    try {
+        const linked = await syncTxDisclosures(true);
+        showToast(`${linked} transaction${linked !== 1 ? 's' : ''} linked to notes`, 'success');
+        historyEntries = await loadHistoryEntries();
+        applyHistoryFilters();
+    } catch (err) {
+        console.error('[WalletModal] Tip disclosure sync failed:', err);
+        showToast('Could not check tip disclosures', 'error');
+    } finally {
+        if (btn) { btn.textContent = '↻ Link tips'; btn.disabled = false; }
+    }
+}
+
+/**
+ * Save the label, note and linked Nostr note from the transaction detail view
+ * @param {string} txid
+ */
+async function saveTxAnnotation(txid) {
+    const label = document.getElementById('walletTxLabel')?.value || '';
+    const note = document.getElementById('walletTxNote')?.value || '';
+    const linkInput = document.getElementById('walletTxLink')?.value.trim() || '';
+    const current = (await Wallet.txHistory.getAnnotations())[txid.toLowerCase()] || {};
+
+    // Accept hex ids as well as note1/nevent1
+    let noteId = linkInput || null;
+    if (noteId && /^(note|nevent)1/.test(noteId)) {
+        const decoded = window.NostrTools.nip19.decode(noteId);
+        noteId = decoded.type === 'nevent' ? decoded.data.id : decoded.data;
+    }
+
+    await Wallet.txHistory.annotateTransaction(txid, { label, note });
+    if ((noteId || null) !== (current.noteId || null)) {
+        await Wallet.txHistory.linkTransactionToNote(txid, noteId);
+    }
+
+    const idx = historyEntries.findIndex(e => e.txid === txid);
+    if (idx !== -1) {
+        historyEntries[idx] = { ...historyEntries[idx], label: label.trim(), note: note.trim(), noteId: noteId || null };
+    }
+    showToast('Saved', 'success');
+}
+
+/**
+ * Show a shareable proof for one recipient of the open transaction
+ * @param {number} index - Index into txDetailProof.targets
+ */
+function showProofView(index) {
+    const target = txDetailProof?.targets[index];
+    if (!target) return;
+
+    currentProofBundle = Wallet.paymentProof.createProofBundle({
+        txid: txDetailProof.txid,
+        txKey: txDetailProof.txKey,
+        address: target.address,
+        amount: target.amount,
+        noteId: target.noteId
+    });
+    const txid = txDetailProof.txid;
+
+    currentView = 'proof';
+    setTitle('🧾 Payment Proof');
+
+    getContentEl().innerHTML = `
+        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color);">
+            <p style="color: #999; font-size: 13px; margin: 0 0 12px;">
+                Proves that <span style="color: #fff;">${escapeHtml(target.amount)} XMR</span> was sent to
+                <span style="color: #fff; font-family: monospace;">${escapeHtml(target.address.slice(0, 10))}...${escapeHtml(target.address.slice(-8))}</span>.
+                Anyone can check it with "Check a Proof". It reveals this payment only - not your keys or balance.
+            </p>
+            <textarea readonly style="width: 100%; height: 180px; padding: 12px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #aaa; font-size: 11px; font-family: monospace; resize: none; margin-bottom: 12px;">${escapeHtml(Wallet.paymentProof.encodeProof(currentProofBundle))}</textarea>
+            <div style="display: flex; gap: 8px; margin-bottom: 12px;">
+                <button onclick="window.WalletModal.copyPaymentProof()" style="flex: 1; padding: 12px; background: linear-gradient(135deg, #8B5CF6, #6b21a8); border: none; border-radius: 8px; color: #fff; cursor: pointer; font-weight: 600;">📋 Copy</button>
+                <button onclick="window.WalletModal.downloadPaymentProof()" style="flex: 1; padding: 12px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer;">⬇ Download</button>
+            </div>
+            <button data-action="show-tx-detail" data-txid="${escapeAttribute(txid)}" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px;">← Back</button>
+        </div>
+    `;
+}
+
+/**
+ * Copy the shown payment proof
+ */
+export async function copyPaymentProof() {
+    if (!currentProofBundle) return;
+    await navigator.clipboard.writeText(Wallet.paymentProof.encodeProof(currentProofBundle));
+    showToast('Proof copied!', 'success');
+}
+
+/**
+ * Download the shown payment proof as JSON
+ */
+export function downloadPaymentProof() {
+    if (!currentProofBundle) return;
+
+    const blob = new Blob([Wallet.paymentProof.encodeProof(currentProofBundle)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `nosmero-payment-proof-${currentProofBundle.txid.slice(0, 8)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the form for checking someone else's payment proof
+ */
+export function showCheckProofView() {
+    currentView = 'checkProof';
+    setTitle('🧾 Check a Proof');
+
+    getContentEl().innerHTML = `
+        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color);">
+            <p style="color: #999; font-size: 13px; margin: 0 0 12px;">
+                Paste a payment proof to check on-chain that the address received the amount.
+            </p>
+            <textarea id="walletProofInput" placeholder='{ "type": "nosmero-payment-proof", ... }' style="width: 100%; height: 160px; padding: 12px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 11px; font-family: monospace; resize: none; margin-bottom: 12px;"></textarea>
+            <div id="walletProofResult" style="display: none; margin-bottom: 12px;"></div>
+            <button id="walletProofCheckBtn" onclick="window.WalletModal.checkPaymentProof()" style="width: 100%; padding: 16px; background: linear-gradient(135deg, #FF6600, #8B5CF6); border: none; border-radius: 12px; color: #000; cursor: pointer; font-size: 15px; font-weight: 600; margin-bottom: 12px;">Check Proof</button>
+            <button onclick="window.WalletModal.backToDashboard()" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px;">← Back</button>
+        </div>
+    `;
+}
+
+/**
+ * Check the pasted proof through the API and show the outcome
+ */
+export async function checkPaymentProof() {
+    const input = document.getElementById('walletProofInput')?.value || '';
+    const resultEl = document.getElementById('walletProofResult');
+    const btn = document.getElementById('walletProofCheckBtn');
+    if (!resultEl) return;
+
+    const showResult = (ok, html) => {
+        resultEl.style.display = 'block';
+        resultEl.innerHTML = `
+            <div style="background: ${ok ? 'rgba(74, 222, 128, 0.1)' : 'rgba(255, 107, 107, 0.1)'}; border: 1px solid ${ok ? 'rgba(74, 222, 128, 0.3)' : 'rgba(255, 107, 107, 0.3)'}; border-radius: 8px; padding: 12px; font-size: 13px; color: #ccc;">
+                ${html}
+            </div>
+        `;
+    };
+
+    let bundle;
+    try {
+        bundle = Wallet.paymentProof.parseProof(input);
+    } catch (err) {
+        showResult(false, `<div style="color: #ff6b6b;">❌ ${escapeHtml(err.message)}</div>`);
+        return;
+    }
+
+    if (btn) { btn.textContent = 'Checking...'; btn.disabled = true; }
+
+    try {
+        const result = await Wallet.paymentProof.checkProof(bundle);
+        const summary = `
+            <div style="margin-top: 8px; font-size: 12px; color: #999;">
+                <div>To: <span style="font-family: monospace; color: #ccc;">${escapeHtml(bundle.recipient_address.slice(0, 12))}...${escapeHtml(bundle.recipient_address.slice(-8))}</span></div>
+                <div>TX: <span style="font-family: monospace; color: #ccc;">${escapeHtml(bundle.txid.slice(0, 16))}...</span></div>
+                ${bundle.note_id ? `<a href="javascript:void(0)" data-action="navigate-to-note" data-note-id="${escapeAttribute(bundle.note_id)}" style="color: #8B5CF6;">📝 View note</a>` : ''}
+            </div>
+        `;
+
+        if (!result.valid) {
+            showResult(false, `<div style="color: #ff6b6b; font-weight: 600;">❌ Proof does not check out</div><div style="margin-top: 4px;">${escapeHtml(result.error)}</div>${summary}`);
+            return;
+        }
+
+        const statusText = result.status === 'revoked'
+            ? '⚠️ Revoked (double spend or reorg)'
+            : result.confirmed
+                ? `${result.confirmations} confirmation${result.confirmations !== 1 ? 's' : ''}${result.status === 'final' ? ' · final' : ''}`
+                : `Waiting for confirmations (${result.confirmations}/${result.requiredConfirmations})`;
+
+        showResult(result.status !== 'revoked', `
+            <div style="color: ${result.status === 'revoked' ? '#ffc107' : '#4ade80'}; font-weight: 600;">✅ ${escapeHtml(bundle.amount)} XMR received</div>
+            <div style="margin-top: 4px;">${escapeHtml(statusText)}</div>
+            ${summary}
+        `);
+    } catch (err) {
+        console.error('[WalletModal] Proof check failed:', err);
+        showResult(false, `<div style="color: #ff6b6b;">${escapeHtml(err.message || 'Could not check proof')}</div>`);
+    } finally {
+        if (btn) { btn.textContent = 'Check Proof'; btn.disabled = false; }
+    }
+}
+
+/**
+ * Show recurring tip schedules, the add form and past periods
+ */
+export async function showTipSchedulesView() {
+    if (blockIfViewOnly()) return;
+
+    currentView = 'tipSchedules';
+    setTitle('🔁 Recurring Tips');
+
+    const inputStyle = 'width: 100%; padding: 12px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 13px;';
+
+    getContentEl().innerHTML = `
+        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color);">
+            <p style="color: #999; font-size: 13px; margin: 0 0 12px;">
+                Support creators every week or month. Nothing is sent automatically - due tips are offered as one batch send when you unlock.
+            </p>
+            <div style="margin-bottom: 16px;">
+                <select id="walletScheduleContact" style="${inputStyle} margin-bottom: 8px; display: none;"></select>
+                <input type="text" id="walletScheduleRecipient" placeholder="npub1... or Monero address" style="${inputStyle} font-family: monospace; margin-bottom: 8px;">
+                <input type="text" id="walletScheduleLabel" placeholder="Name (optional)" maxlength="64" style="${inputStyle} margin-bottom: 8px;">
+                <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+                    <input type="text" id="walletScheduleAmount" placeholder="Amount (XMR)" inputmode="decimal" style="${inputStyle} flex: 1;">
+                    <select id="walletScheduleCadence" style="${inputStyle} flex: 1;">
+                        <option value="monthly">Monthly</option>
+                        <option value="weekly">Weekly</option>
+                    </select>
+                </div>
+                <input type="text" id="walletScheduleNote" placeholder="Note to reference (note1..., optional)" style="${inputStyle} font-family: monospace; margin-bottom: 8px;">
+                <div id="walletScheduleError" style="color: #ff6b6b; font-size: 13px; margin-bottom: 8px; display: none;"></div>
+                <button id="walletScheduleAddBtn" onclick="window.WalletModal.addTipSchedule()" style="width: 100%; padding: 12px; background: linear-gradient(135deg, #FF6600, #cc5200); border: none; border-radius: 8px; color: #000; cursor: pointer; font-weight: 600;">+ Add Recurring Tip</button>
+            </div>
+            <div id="walletScheduleList" style="max-height: 300px; overflow-y: auto;">
+                <div style="text-align: center; padding: 24px 16px; color: #666;">Loading...</div>
+            </div>
+            <div style="color: #888; font-size: 12px; margin: 12px 0 6px;">History</div>
+            <div id="walletScheduleHistory" style="max-height: 200px; overflow-y: auto;"></div>
+            <button onclick="window.WalletModal.backToDashboard()" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px; margin-top: 12px;">
+                ← Back
+            </button>
+        </div>
+    `;
+
+    await Promise.all([populateScheduleContactPicker(), renderTipSchedules()]);
+}
+
+async function populateScheduleContactPicker() {
+    const picker = document.getElementById('walletScheduleContact');
+    if (!picker) return;
+
+    const contacts = await getContactsForReview();
+    if (contacts.length === 0) return;
+
+    const options = contacts
+        .map(contact => ({ contact, name: getContactDisplay(contact).name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    picker.innerHTML = '<option value="">📒 Choose from address book</option>' + options.map(({ contact, name }) =>
+        `<option value="${escapeHtml(contact.id)}">${escapeHtml(name)} (${escapeHtml(contact.address.slice(0, 8))}...)</option>`
+    ).join('');
+    picker.style.display = 'block';
+    picker.onchange = () => {
+        const entry = options.find(o => o.contact.id === picker.value);
+        if (!entry) return;
+        const { contact, name } = entry;
+        document.getElementById('walletScheduleRecipient').value = contact.pubkey
+            ? window.NostrTools.nip19.npubEncode(contact.pubkey)
+            : contact.address;
+        document.getElementById('walletScheduleLabel').value = name;
+    };
+}
+
+function formatScheduleDate(ms) {
+    return new Date(ms).toLocaleDateString();
+}
+
+async function renderTipSchedules() {
+    const listEl = document.getElementById('walletScheduleList');
+    const historyEl = document.getElementById('walletScheduleHistory');
+    if (!listEl) return;
+
+    let schedules, periods;
+    try {
+        [schedules, periods] = await Promise.all([
+            Wallet.tipSchedules.getSchedules(),
+            Wallet.tipSchedules.getPeriodHistory()
+        ]);
+    } catch (err) {
+        listEl.innerHTML = `<div style="text-align: center; padding: 24px 16px; color: #ff6b6b;">${escapeHtml(err.message)}</div>`;
+        return;
+    }
+
+    await fetchContactProfiles(schedules.map(s => s.pubkey));
+
+    if (schedules.length === 0) {
+        listEl.innerHTML = '<div style="text-align: center; padding: 24px 16px; color: #666;">No recurring tips yet</div>';
+    } else {
+        listEl.innerHTML = schedules.map(schedule => {
+            const { name, picture } = getContactDisplay({ label: schedule.label, pubkey: schedule.pubkey, address: schedule.address });
+            const id = escapeHtml(schedule.id);
+            const status = !schedule.active
+                ? '<span style="color: #888;">Paused</span>'
+                : schedule.nextDueAt <= Date.now()
+                    ? '<span style="color: #FF6600;">Due now</span>'
+                    : `Next ${escapeHtml(formatScheduleDate(schedule.nextDueAt))}`;
+            return `
+                <div style="padding: 10px; background: #0a0a0a; border-radius: 8px; margin-bottom: 8px; display: flex; align-items: center; gap: 10px;${schedule.active ? '' : ' opacity: 0.6;'}">
+                    ${renderContactAvatar(picture)}
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="color: #fff; font-size: 14px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(name)}</div>
+                        <div style="color: #888; font-size: 11px;">${escapeHtml(schedule.amount)} XMR ${schedule.cadence === 'weekly' ? 'weekly' : 'monthly'} · ${status}</div>
+                    </div>
+                    <button data-action="toggle-tip-schedule" data-schedule-id="${id}" title="${schedule.active ? 'Pause' : 'Resume'}" style="padding: 6px 8px; background: #252525; border: none; border-radius: 6px; color: #aaa; cursor: pointer; font-size: 12px;">${schedule.active ? '⏸️' : '▶️'}</button>
+                    <button data-action="delete-tip-schedule" data-schedule-id="${id}" title="Delete" style="padding: 6px 8px; background: #252525; border: none; border-radius: 6px; color: #ff6b6b; cursor: pointer; font-size: 12px;">🗑️</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    if (historyEl) {
+        historyEl.innerHTML = periods.length === 0
+            ? '<div style="color: #666; font-size: 12px; padding: 8px 0;">No periods yet</div>'
+            : periods.map(period => {
+                const { name } = getContactDisplay({ label: period.label, pubkey: period.pubkey, address: period.address });
+                const outcome = period.status === 'sent'
+                    ? `<span data-action="show-tx-detail" data-txid="${escapeHtml(period.txid)}" style="color: #10B981; cursor: pointer;">Sent</span>`
+                    : `<span style="color: #888;">Skipped${period.reason === 'missed' ? ' (missed)' : ''}</span>`;
+                return `
+                    <div style="display: flex; justify-content: space-between; gap: 8px; padding: 6px 0; border-bottom: 1px solid #222; font-size: 12px;">
+                        <span style="color: #ccc; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(formatScheduleDate(period.dueAt))} · ${escapeHtml(name)}</span>
+                        <span style="white-space: nowrap;">${escapeHtml(period.amount)} XMR · ${outcome}</span>
+                    </div>
+                `;
+            }).join('');
+    }
+}
+
+/**
+ * Save the recurring tip entered in the form
+ */
+export async function addTipSchedule() {
+    const recipient = document.getElementById('walletScheduleRecipient')?.value.trim() || '';
+    const labelInput = document.getElementById('walletScheduleLabel')?.value.trim() || '';
+    const amount = document.getElementById('walletScheduleAmount')?.value.trim() || '';
+    const cadence = document.getElementById('walletScheduleCadence')?.value || 'monthly';
+    const noteInput = document.getElementById('walletScheduleNote')?.value.trim() || '';
+    const errorEl = document.getElementById('walletScheduleError');
+    const btn = document.getElementById('walletScheduleAddBtn');
+
+    if (btn) { btn.textContent = 'Saving...'; btn.disabled = true; }
+
+    try {
+        let pubkey = null;
+        let address = recipient;
+        let label = labelInput;
+
+        if (recipient.startsWith('npub1')) {
+            try {
+                pubkey = window.NostrTools.nip19.decode(recipient).data;
+            } catch (e) {
+                throw new Error('Invalid npub');
+            }
+            address = window.getUserMoneroAddress ? await window.getUserMoneroAddress(pubkey) : null;
+            if (!address) {
+                throw new Error('This user has not published a Monero address');
+            }
+            if (!label) {
+                await fetchContactProfiles([pubkey]);
+                label = getContactDisplay(null, pubkey).name;
+            }
+        } else {
+            const contacts = await getContactsForReview();
+            pubkey = contacts.find(c => c.address === address)?.pubkey || null;
+        }
+
+        // Accept hex ids as well as note1/nevent1
+        let noteId = noteInput || null;
+        if (noteId && /^(note|nevent)1/.test(noteId)) {
+            const decoded = window.NostrTools.nip19.decode(noteId);
+            noteId = decoded.type === 'nevent' ? decoded.data.id : decoded.data;
+        }
+
+        await Wallet.tipSchedules.addSchedule({ address, amount, cadence, label, pubkey, noteId });
+
+        for (const id of ['walletScheduleRecipient', 'walletScheduleLabel', 'walletScheduleAmount', 'walletScheduleNote']) {
+            document.getElementById(id).value = '';
+        }
+        if (errorEl) errorEl.style.display = 'none';
+        showToast('Recurring tip added - it is due now', 'success');
+        await renderTipSchedules();
+    } catch (err) {
+        if (errorEl) { errorEl.textContent = err.message; errorEl.style.display = 'block'; }
+    } finally {
+        if (btn) { btn.textContent = '+ Add Recurring Tip'; btn.disabled = false; }
+    }
+}
+
+async function toggleTipSchedule(id) {
+    const schedules = await Wallet.tipSchedules.getSchedules();
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return;
+
+    await Wallet.tipSchedules.updateSchedule(id, { active: !schedule.active });
+    showToast(schedule.active ? 'Recurring tip paused' : 'Recurring tip resumed', 'success');
+    await renderTipSchedules();
+}
+
+async function deleteTipSchedule(id) {
+    if (!confirm('Delete this recurring tip and its history?')) return;
+    await Wallet.tipSchedules.removeSchedule(id);
+    await renderTipSchedules();
+}
+
+/**
+ * After unlock, offer recurring tips whose period has come due
+ */
+async function promptDueTipSchedules() {
+    try {
+        dueSchedules = await Wallet.tipSchedules.getDueSchedules();
+    } catch (err) {
+        console.warn('[WalletModal] Could not load recurring tips:', err);
+        return;
+    }
+    if (dueSchedules.length === 0) return;
+
+    await fetchContactProfiles(dueSchedules.map(s => s.pubkey));
+
+    const total = dueSchedules.reduce((sum, s) => sum + parseFloat(s.amount), 0);
+
+    currentView = 'tipsDue';
+    setTitle('🔁 Recurring Tips Due');
+
+    getContentEl().innerHTML = `
+        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color);">
+            <p style="color: #ccc; font-size: 14px; margin: 0 0 12px;">
+                ${dueSchedules.length} recurring tip${dueSchedules.length !== 1 ? 's are' : ' is'} due (${total.toFixed(6)} XMR total).
+            </p>
+            <div style="max-height: 220px; overflow-y: auto; margin-bottom: 16px;">
+                ${dueSchedules.map(schedule => {
+                    const { name, picture } = getContactDisplay({ label: schedule.label, pubkey: schedule.pubkey, address: schedule.address });
+                    return `
+                    <div style="padding: 8px; background: #0a0a0a; border-radius: 6px; margin-bottom: 6px; display: flex; align-items: center; gap: 8px;">
+                        ${renderContactAvatar(picture, 24)}
+                        <span style="flex: 1; color: #FF6600; font-size: 13px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(name)}</span>
+                        <span style="color: #fff; font-size: 13px;">${escapeHtml(schedule.amount)} XMR</span>
+                        <span style="color: #666; font-size: 11px;">since ${escapeHtml(formatScheduleDate(schedule.nextDueAt))}</span>
+                    </div>
+                `;
+                }).join('')}
+            </div>
+            <button onclick="window.WalletModal.sendDueTips()" style="width: 100%; padding: 14px; background: linear-gradient(135deg, #FF6600, #cc5200); border: none; border-radius: 12px; color: #000; cursor: pointer; font-size: 15px; font-weight: 600; margin-bottom: 8px;">
+                Review &amp; Send
+            </button>
+            <div style="display: flex; gap: 8px;">
+                <button onclick="window.WalletModal.skipDueTips()" style="flex: 1; padding: 12px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px;">Skip this period</button>
+                <button onclick="window.WalletModal.backToDashboard()" style="flex: 1; padding: 12px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px;">Later</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Pre-fill a batch send with the due recurring tips
+ */
+export async function sendDueTips() {
+    if (blockIfViewOnly()) return;
+    if (dueSchedules.length === 0) {
+        await backToDashboard();
+        return;
+    }
+
+    renderLoading();
+
+    // Creators may rotate their published address - prefer the current one,
+    // but the batch review asks before paying one that changed
+    queueItems = await Promise.all(dueSchedules.map(async schedule => {
+        let address = null;
+        if (schedule.pubkey && window.getUserMoneroAddress) {
+            try { address = await window.getUserMoneroAddress(schedule.pubkey); } catch (e) {}
+        }
+        return {
+            postId: schedule.noteId,
+            authorName: getContactDisplay({ label: schedule.label, pubkey: schedule.pubkey, address: schedule.address }).name,
+            moneroAddress: address || schedule.address,
+            savedAddress: schedule.address,
+            amount: schedule.amount,
+            recipientPubkey: schedule.pubkey,
+            scheduleId: schedule.id
+        };
+    }));
+    dueSchedules = [];
+
+    await showBatchSendView();
+}
+
+/**
+ * Skip the current period of every due recurring tip
+ */
+export async function skipDueTips() {
+    try {
+        await Wallet.tipSchedules.markSkipped(dueSchedules.map(s => s.id));
+        showToast('Skipped this period', 'info');
+    } catch (err) {
+        console.error('[WalletModal] Failed to skip recurring tips:', err);
+        showToast(err.message || 'Could not skip', 'error');
+    }
+    dueSchedules = [];
+    await backToDashboard();
+}
+
+/**
+ * Back to dashboard
+ */
+export async function backToDashboard() {
+    if (Wallet && pendingTxDetails) {
+        Wallet.cancelPendingTransaction();
+        pendingTxDetails = null;
+    }
+    await renderDashboard();
+}
+
+/**
+ * Show seed phrase view
+ */
+export async function showSeedView() {
+    if (viewOnly) {
+        showToast('View-only wallets have no seed phrase', 'error');
+        return;
+    }
+    if (!confirm('View seed phrase? Make sure no one is watching.')) return;
+
+    currentView = 'seed';
+    setTitle('🔑 Seed Phrase');
+
+    const seed = await Wallet.getSeed();
+    const restoreHeight = await Wallet.getRestoreHeight();
+    const words = seed.split(' ');
+
+    getContentEl().innerHTML = `
+        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color);">
+            <div style="background: rgba(255, 0, 0, 0.1); border: 1px solid rgba(255, 0, 0, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 16px;">
+                <p style="color: #ff6b6b; font-size: 13px; margin: 0; font-weight: 600;">🚨 Never share these words!</p>
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px; margin-bottom: 16px;">
+                ${words.map((word, i) => `
+                    <div style="background: #0a0a0a; padding: 6px 8px; border-radius: 6px; font-family: monospace; font-size: 11px;">
+                        <span style="color: #666;">${i + 1}.</span>
+                        <span style="color: #fff;">${word}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div style="background: rgba(255, 102, 0, 0.1); border: 1px solid rgba(255, 102, 0, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 16px;">
+                <p style="color: #FF6600; font-size: 13px; margin: 0; font-weight: 600;">📍 Restore Height: <span style="font-family: monospace;">${restoreHeight || 'Unknown'}</span></p>
+            </div>
+            <button onclick="window.WalletModal.copySeed()" style="width: 100%; padding: 14px; background: transparent; border: 1px solid #333; border-radius: 8px; color: #999; cursor: pointer; font-size: 14px; margin-bottom: 12px;">📋 Copy Seed + Height</button>
+            <button onclick="window.WalletModal.backToDashboard()" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px;">← Back</button>
+        </div>
+    `;
+}
+
+/**
+ * Copy seed phrase
+ */
+export async function copySeed() {
+    const seed = await Wallet.getSeed();
+    const restoreHeight = await Wallet.getRestoreHeight();
+    const text = `${seed}\n\nRestore Height: ${restoreHeight || 0}`;
+    await navigator.clipboard.writeText(text);
+    showToast('Seed copied!', 'success');
+}
+
+/**
+ * Delete wallet
+ */
+export async function deleteWallet() {
+    if (!confirm('Delete Tip Jar? Cannot be undone without seed phrase!')) return;
+    if (!confirm('FINAL WARNING: All funds lost without seed. Continue?')) return;
+
+    await Wallet.delete_();
+    showToast('Tip Jar deleted', 'info');
+    renderNoWalletView();
+}
+
+/**
+ * Show forgot PIN view - confirms deletion then redirects to restore
+ */
+export function showForgotPinView() {
+    currentView = 'forgotPin';
+    setTitle('⚠️ Forgot PIN');
+
+    getContentEl().innerHTML = `
+        <div style="text-align: center; padding: 20px;">
+            <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 30px 20px; border: 1px solid var(--border-color);">
+                <div style="font-size: 48px; margin-bottom: 20px;">⚠️</div>
+                <h3 style="color: #ff6b6b; margin-bottom: 16px;">Cannot Recover PIN</h3>
+                <p style="color: #999; font-size: 14px; margin-bottom: 20px; line-height: 1.6;">
+                    Your PIN cannot be recovered. To regain access, you must:
+                </p>
+                <ol style="text-align: left; color: #ccc; font-size: 14px; margin: 0 auto 24px; max-width: 280px; line-height: 1.8;">
+                    <li>Delete the encrypted wallet data</li>
+                    <li>Restore from your 25-word seed phrase</li>
+                    <li>Set a new PIN</li>
+                </ol>
+                <div style="background: rgba(255, 107, 107, 0.1); border: 1px solid rgba(255, 107, 107, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 24px;">
+                    <p style="color: #ff6b6b; font-size: 13px; margin: 0;">
+                        <strong>No seed phrase?</strong> Your funds will be permanently lost.
+                    </p>
+                </div>
+                <button onclick="window.WalletModal.confirmDeleteAndRestore()" style="width: 100%; background: #ff6b6b; border: none; color: #000; padding: 16px; border-radius: 8px; font-size: 16px; font-weight: 600; cursor: pointer; margin-bottom: 12px;">
+                    Delete & Restore from Seed
+                </button>
+                <button onclick="window.WalletModal.backToLockedView()" style="width: 100%; background: #333; border: none; color: #fff; padding: 14px; border-radius: 8px; font-size: 14px; cursor: pointer;">
+                    ← Back
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Confirm delete and go to restore view
+ */
+export async function confirmDeleteAndRestore() {
+    if (!confirm('FINAL WARNING: Delete Tip Jar and restore from seed?')) return;
+
+    await Wallet.delete_();
+    showToast('Tip Jar deleted', 'info');
+    showRestoreView();
+}
+
+/**
+ * Go back to locked view
+ */
+export function backToLockedView() {
+    renderLockedView();
+}
+
+/**
+ * Show change PIN view
+ */
+export function showChangePinView() {
+    currentView = 'changePin';
+    setTitle('🔐 Change PIN');
+
+    getContentEl().innerHTML = `
+        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color); text-align: center;">
+            <p style="color: #999; margin-bottom: 20px;">Enter your current PIN, then choose a new one.</p>
+
+            <div style="margin-bottom: 20px;">
+                <label style="color: #666; font-size: 12px; display: block; margin-bottom: 8px;">Current PIN</label>
+                <input type="password" id="walletCurrentPin" placeholder="••••••" maxlength="20" style="width: 100%; max-width: 200px; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 20px; text-align: center; letter-spacing: 8px;">
+            </div>
+
+            <div style="margin-bottom: 12px;">
+                <label style="color: #666; font-size: 12px; display: block; margin-bottom: 8px;">New PIN</label>
+                <input type="password" id="walletNewPin" placeholder="••••••" maxlength="20" style="width: 100%; max-width: 200px; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 20px; text-align: center; letter-spacing: 8px;">
+            </div>
+
+            <div style="margin-bottom: 16px;">
+                <label style="color: #666; font-size: 12px; display: block; margin-bottom: 8px;">Confirm New PIN</label>
+                <input type="password" id="walletConfirmNewPin" placeholder="••••••" maxlength="20" style="width: 100%; max-width: 200px; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 20px; text-align: center; letter-spacing: 8px;">
+            </div>
+
+            <div id="changePinError" style="color: #ff6b6b; font-size: 13px; margin-bottom: 12px; display: none;"></div>
+
+            <button onclick="window.WalletModal.changePin()" style="width: 100%; max-width: 200px; background: linear-gradient(135deg, #FF6600, #8B5CF6); border: none; color: #000; padding: 16px; border-radius: 8px; font-size: 16px; font-weight: 600; cursor: pointer; margin-bottom: 12px;">Change PIN</button>
+            <button onclick="window.WalletModal.backToDashboard()" style="width: 100%; max-width: 200px; background: #333; border: none; color: #fff; padding: 14px; border-radius: 8px; font-size: 14px; cursor: pointer;">← Back</button>
+        </div>
+    `;
+
+    // Focus first input
+    setTimeout(() => {
+        document.getElementById('walletCurrentPin')?.focus();
+    }, 100);
+}
+
+/**
+ * Change PIN - verify current, re-encrypt with new
+ */
+export async function changePin() {
+    const currentPin = document.getElementById('walletCurrentPin')?.value;
+    const newPin = document.getElementById('walletNewPin')?.value;
+    const confirmPin = document.getElementById('walletConfirmNewPin')?.value;
+    const errorEl = document.getElementById('changePinError');
+
+    // Validate inputs
+    if (!currentPin) {
+        errorEl.textContent = 'Enter your current PIN';
+        errorEl.style.display = 'block';
+        return;
+    }
+    if (!newPin || newPin.length < 6) {
+        errorEl.textContent = 'New PIN must be at least 6 characters';
         errorEl.style.display = 'block';
         return;
     }
@@ -2202,10 +3403,95 @@ export async function restoreWallet() {
     }
 }
 
+/**
+ * Show view-only (watch) wallet setup
+ */
+export function showViewOnlyView() {
+    currentView = 'viewOnly';
+    setTitle('👁️ Watch Tip Jar');
+
+    getContentEl().innerHTML = `
+        <div style="background: linear-gradient(135deg, #1a1a1a, #2a2a2a); border-radius: 16px; padding: 20px; border: 1px solid var(--border-color);">
+            <p style="color: #999; font-size: 13px; margin: 0 0 16px;">
+                Track incoming tips without a spend key. Balance, incoming transfers and subaddresses work as usual, but this device can never send.
+            </p>
+            <div style="margin-bottom: 16px;">
+                <label style="display: block; margin-bottom: 8px; color: #999; font-size: 14px;">Primary Address</label>
+                <textarea id="walletViewOnlyAddress" placeholder="4..." style="width: 100%; height: 70px; padding: 12px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 13px; font-family: monospace; resize: none;"></textarea>
+            </div>
+            <div style="margin-bottom: 16px;">
+                <label style="display: block; margin-bottom: 8px; color: #999; font-size: 14px;">Private View Key</label>
+                <input type="password" id="walletViewOnlyKey" placeholder="64 hex characters" autocomplete="off" style="width: 100%; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 14px; font-family: monospace;">
+            </div>
+            <div style="margin-bottom: 16px;">
+                <label style="display: block; margin-bottom: 8px; color: #999; font-size: 14px;">Restore Height (optional)</label>
+                <input type="number" id="walletViewOnlyHeight" placeholder="3554000" style="width: 100%; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 16px;">
+                <p style="color: #666; font-size: 11px; margin-top: 6px;">Block height when wallet was created.</p>
+            </div>
+            <div style="margin-bottom: 16px;">
+                <label style="display: block; margin-bottom: 8px; color: #999; font-size: 14px;">Set PIN</label>
+                <input type="password" id="walletViewOnlyPin" placeholder="PIN" maxlength="20" style="width: 100%; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 16px; margin-bottom: 8px;">
+                <input type="password" id="walletViewOnlyPinConfirm" placeholder="Confirm PIN" maxlength="20" style="width: 100%; padding: 14px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 16px;">
+            </div>
+            <div id="walletViewOnlyError" style="color: #ff6b6b; font-size: 13px; margin-bottom: 12px; display: none;"></div>
+            <button id="walletViewOnlyBtn" onclick="window.WalletModal.createViewOnlyWallet()" style="width: 100%; background: linear-gradient(135deg, #FF6600, #8B5CF6); border: none; color: #000; padding: 16px; border-radius: 8px; font-size: 16px; font-weight: 600; cursor: pointer; margin-bottom: 12px;">Watch Tip Jar</button>
+            <button onclick="window.WalletModal.showNoWalletView()" style="width: 100%; background: #333; border: none; color: #fff; padding: 14px; border-radius: 8px; font-size: 14px; cursor: pointer;">← Back</button>
+        </div>
+    `;
+}
+
+/**
+ * Add view-only wallet from address + private view key
+ */
+export async function createViewOnlyWallet() {
+    const address = document.getElementById('walletViewOnlyAddress')?.value.trim();
+    const viewKey = document.getElementById('walletViewOnlyKey')?.value.trim();
+    const heightStr = document.getElementById('walletViewOnlyHeight')?.value.trim();
+    const pin = document.getElementById('walletViewOnlyPin')?.value;
+    const pinConfirm = document.getElementById('walletViewOnlyPinConfirm')?.value;
+    const errorEl = document.getElementById('walletViewOnlyError');
+    const btn = document.getElementById('walletViewOnlyBtn');
+
+    if (!address || !viewKey) {
+        if (errorEl) { errorEl.textContent = 'Enter the primary address and private view key'; errorEl.style.display = 'block'; }
+        return;
+    }
+
+    if (!pin || pin.length < 4) {
+        if (errorEl) { errorEl.textContent = 'PIN must be at least 4 characters'; errorEl.style.display = 'block'; }
+        return;
+    }
+
+    if (pin !== pinConfirm) {
+        if (errorEl) { errorEl.textContent = 'PINs do not match'; errorEl.style.display = 'block'; }
+        return;
+    }
+
+    const height = heightStr ? parseInt(heightStr, 10) : 0;
+
+    if (errorEl) errorEl.style.display = 'none';
+    if (btn) { btn.textContent = 'Adding...'; btn.disabled = true; }
+
+    try {
+        await Wallet.createViewOnly(address, viewKey, pin, height);
+        showToast('View-only Tip Jar added!', 'success');
+        await renderDashboard();
+
+        // Notify other components (e.g., right panel dashboard) that wallet state changed
+        window.dispatchEvent(new CustomEvent('nosmero:wallet-changed', { detail: { action: 'restored' } }));
+    } catch (err) {
+        console.error('[WalletModal] View-only setup failed:', err);
+        if (errorEl) { errorEl.textContent = err.message || 'Failed to add view-only wallet'; errorEl.style.display = 'block'; }
+    } finally {
+        if (btn) { btn.textContent = 'Watch Tip Jar'; btn.disabled = false; }
+    }
+}
+
 /**
  * Show transaction detail view
  */
 export async function showTxDetail(txid) {
+    const backAction = currentView === 'history' ? 'back-to-history' : 'back-to-dashboard';
     currentView = 'txDetail';
     setTitle('📄 Transaction');
 
@@ -2284,6 +3570,45 @@ export async function showTxDetail(txid) {
             console.warn('[WalletModal] Could not get cached tx info:', e);
         }
 
+        // Label, note and linked Nostr note
+        let annotation = {};
+        try {
+            annotation = (await Wallet.txHistory.getAnnotations())[hash.toLowerCase()] || {};
+        } catch (e) {
+            console.warn('[WalletModal] Could not load tx notes:', e);
+        }
+        const linkedNoteId = annotation.noteId || (recipients.length === 1 ? recipients[0].noteId : null);
+        const annotationHtml = `
+            <div style="margin-top: 16px; padding-top: 16px; border-top: 1px solid #333;">
+                <div style="color: #888; font-size: 12px; margin-bottom: 8px;">Label & notes (private, stored encrypted on this device)</div>
+                <input type="text" id="walletTxLabel" value="${escapeAttribute(annotation.label || '')}" placeholder="Label (e.g. Donation, Invoice #12)" maxlength="64" style="width: 100%; padding: 10px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 13px; margin-bottom: 8px;">
+                <textarea id="walletTxNote" placeholder="Notes" maxlength="1000" style="width: 100%; height: 70px; padding: 10px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 13px; resize: vertical; margin-bottom: 8px;">${escapeHtml(annotation.note || '')}</textarea>
+                <input type="text" id="walletTxLink" value="${escapeAttribute(annotation.noteId || '')}" placeholder="Tipped Nostr note (note1... or event id)" style="width: 100%; padding: 10px; background: #0a0a0a; border: 1px solid #333; border-radius: 8px; color: #fff; font-size: 12px; font-family: monospace; margin-bottom: 8px;">
+                ${linkedNoteId ? `
+                    <a href="javascript:void(0)" data-note-id="${escapeAttribute(linkedNoteId)}" data-action="navigate-to-note" style="color: #8B5CF6; font-size: 11px; display: block; margin-bottom: 8px;">
+                        📝 Tipped note: ${escapeHtml(linkedNoteId.slice(0, 8))}...${annotation.linkSource === 'disclosure' ? ' (from tip disclosure)' : ''}
+                    </a>
+                ` : ''}
+                <button data-action="save-tx-annotation" data-txid="${escapeAttribute(hash)}" style="width: 100%; padding: 10px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-size: 13px;">Save</button>
+            </div>
+        `;
+
+        // Payment proof targets: recipients we recorded, else the wallet's destinations
+        let proofTargets = recipients
+            .filter(r => r.address && r.amount)
+            .map(r => ({ address: r.address, amount: String(r.amount), noteId: r.noteId || null }));
+        if (proofTargets.length === 0 && outgoingTransfer) {
+            const destinations = getValue(outgoingTransfer, 'getDestinations', 'destinations') || [];
+            proofTargets = destinations.map(d => ({
+                address: getValue(d, 'getAddress', 'address'),
+                amount: Wallet.formatXMR(getValue(d, 'getAmount', 'amount') || 0n),
+                noteId: null
+            })).filter(t => t.address);
+        }
+        txDetailProof = (!isIncoming && txKey && proofTargets.length > 0)
+            ? { txid: hash, txKey, targets: proofTargets }
+            : null;
+
         // Build recipients HTML if any
         let recipientsHtml = '';
         if (recipients.length > 0) {
@@ -2295,7 +3620,7 @@ export async function showTxDetail(txid) {
                         return `
                         <div style="background: #0a0a0a; padding: 10px; border-radius: 6px; margin-bottom: 6px;">
                             <div style="display: flex; justify-content: space-between; align-items: center;">
-                                <span style="color: #FF6600; font-size: 13px;">${escapeHtml(r.authorName || 'Unknown')}</span>
+                                <span style="color: #FF6600; font-size: 13px;">${escapeHtml(r.authorName || (r.address ? `${r.address.slice(0, 8)}...${r.address.slice(-6)}` : 'Unknown'))}</span>
                                 <span style="color: #fff; font-size: 12px;">${escapeHtml(r.amount || '?')} XMR</span>
                             </div>
                             ${r.noteId ? `
@@ -2358,9 +3683,19 @@ export async function showTxDetail(txid) {
                     </div>
                 </div>
                 ${txKeyHtml}
+                ${txDetailProof ? `
+                <div style="margin-top: 16px;">
+                    ${txDetailProof.targets.map((t, i) => `
+                        <button data-action="prove-payment" data-proof-index="${i}" style="width: 100%; padding: 10px; background: rgba(139, 92, 246, 0.15); border: 1px solid rgba(139, 92, 246, 0.4); border-radius: 8px; color: #a78bfa; cursor: pointer; font-size: 13px; margin-bottom: 6px;">
+                            🧾 Prove payment${txDetailProof.targets.length > 1 ? ` of ${escapeHtml(t.amount)} XMR to ${escapeHtml(t.address.slice(0, 8))}...` : ''}
+                        </button>
+                    `).join('')}
+                </div>
+                ` : ''}
                 ${recipientsHtml}
+                ${annotationHtml}
             </div>
-            <button data-action="back-to-dashboard" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px; margin-top: 16px;">← Back</button>
+            <button data-action="${backAction}" style="width: 100%; padding: 14px; background: #333; border: none; border-radius: 12px; color: #fff; cursor: pointer; font-size: 14px; margin-top: 16px;">← Back</button>
         `;
     } catch (err) {
         console.error('[WalletModal] Failed to load tx details:', err);
@@ -2400,6 +3735,21 @@ window.WalletModal = {
     cancelSend,
     confirmSend,
     showReceiveView,
+    showAddressBookView,
+    saveContact,
+    refreshFollowedContacts,
+    showCheckProofView,
+    checkPaymentProof,
+    showTipSchedulesView,
+    addTipSchedule,
+    sendDueTips,
+    skipDueTips,
+    copyPaymentProof,
+    downloadPaymentProof,
+    showHistoryView,
+    applyHistoryFilters,
+    exportHistory,
+    refreshHistoryLinks,
     backToDashboard,
     showSeedView,
     copySeed,
@@ -2416,6 +3766,8 @@ window.WalletModal = {
     finishSetup,
     showRestoreView,
     restoreWallet,
+    showViewOnlyView,
+    createViewOnlyWallet,
     showTxDetail,
     showToastMsg
 };
@@ -2461,6 +3813,61 @@ document.addEventListener('click', (event) => {
             window.WalletModal.backToDashboard();
             break;
         }
+        case 'prove-payment': {
+            const index = parseInt(target.getAttribute('data-proof-index'), 10);
+            try {
+                showProofView(index);
+            } catch (err) {
+                console.error('[WalletModal] Could not build payment proof:', err);
+                showToast(err.message || 'Could not build proof', 'error');
+            }
+            break;
+        }
+        case 'back-to-history': {
+            window.WalletModal.showHistoryView();
+            break;
+        }
+        case 'save-tx-annotation': {
+            const txid = target.getAttribute('data-txid');
+            if (txid) {
+                saveTxAnnotation(txid).catch(err => {
+                    console.error('[WalletModal] Saving tx notes failed:', err);
+                    showToast(err.message || 'Could not save', 'error');
+                });
+            }
+            break;
+        }
+        case 'toggle-tip-schedule':
+        case 'delete-tip-schedule': {
+            const scheduleId = target.getAttribute('data-schedule-id');
+            const handler = action === 'toggle-tip-schedule' ? toggleTipSchedule : deleteTipSchedule;
+            if (scheduleId) {
+                handler(scheduleId).catch(err => {
+                    console.error('[WalletModal] Recurring tip action failed:', err);
+                    showToast(err.message || 'Could not update recurring tip', 'error');
+                });
+            }
+            break;
+        }
+        case 'send-to-contact':
+        case 'edit-contact':
+        case 'delete-contact':
+        case 'accept-contact-address': {
+            const contactId = target.getAttribute('data-contact-id');
+            const handlers = {
+                'send-to-contact': sendToContact,
+                'edit-contact': editContact,
+                'delete-contact': deleteContact,
+                'accept-contact-address': acceptContactAddress
+            };
+            if (contactId) {
+                handlers[action](contactId).catch(err => {
+                    console.error('[WalletModal] Address book action failed:', err);
+                    showToast(err.message || 'Address book update failed', 'error');
+                });
+            }
+            break;
+        }
     }
 });
 
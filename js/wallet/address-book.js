@@ -0,0 +1,248 @@
+/**
+ * Nosmero Wallet - Address Book
+ *
+ * Saved recipients, encrypted at rest with the wallet's view key (so the
+ * wallet must be unlocked to read or change them). Contacts can be linked
+ * to a Nostr pubkey: followed users' published Monero addresses are added
+ * automatically, and a linked contact whose published address no longer
+ * matches the saved one is flagged so the user can review it before paying.
+ *
+ * Contact shape:
+ *   { id, label, address, pubkey, source: 'manual'|'follow',
+ *     publishedAddress, createdAt, updatedAt }
+ * publishedAddress is only set while the pubkey's published address
+ * differs from the saved one.
+ */
+
+import { loadAddressBook, saveAddressBook } from './monero-client.js';
+
+// Re-check followed users' addresses at most this often
+const SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Parallel address lookups while syncing (each may query relays)
+const SYNC_CONCURRENCY = 5;
+const MAX_LABEL_LENGTH = 64;
+
+/**
+ * Validate Monero address format (standard, integrated or subaddress)
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isValidAddress(address) {
+    return typeof address === 'string' && /^[48][1-9A-HJ-NP-Za-km-z]{94,105}$/.test(address);
+}
+
+function newContactId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function cleanLabel(label) {
+    return (label || '').trim().slice(0, MAX_LABEL_LENGTH);
+}
+
+/**
+ * Get all contacts
+ * @returns {Promise<Array>}
+ */
+export async function getContacts() {
+    const book = await loadAddressBook();
+    return book.contacts;
+}
+
+/**
+ * Find the contact saved for an address
+ * @param {string} address
+ * @returns {Promise<Object|null>}
+ */
+export async function findContactByAddress(address) {
+    const contacts = await getContacts();
+    return contacts.find(c => c.address === address) || null;
+}
+
+/**
+ * Find the contact linked to a Nostr pubkey
+ * @param {string} pubkey
+ * @returns {Promise<Object|null>}
+ */
+export async function findContactByPubkey(pubkey) {
+    if (!pubkey) return null;
+    const contacts = await getContacts();
+    return contacts.find(c => c.pubkey === pubkey) || null;
+}
+
+/**
+ * Save a new contact
+ * @param {Object} contact
+ * @param {string} contact.address - Monero address
+ * @param {string} [contact.label]
+ * @param {string} [contact.pubkey] - Linked Nostr pubkey (hex)
+ * @returns {Promise<Object>} The saved contact
+ */
+export async function addContact({ address, label = '', pubkey = null }) {
+    address = (address || '').trim();
+    if (!isValidAddress(address)) {
+        throw new Error('Invalid Monero address');
+    }
+    if (pubkey && !/^[0-9a-f]{64}$/.test(pubkey)) {
+        throw new Error('Invalid Nostr pubkey');
+    }
+
+    const book = await loadAddressBook();
+    if (book.contacts.some(c => c.address === address)) {
+        throw new Error('This address is already in your address book');
+    }
+    if (pubkey && book.contacts.some(c => c.pubkey === pubkey)) {
+        throw new Error('This Nostr user is already in your address book');
+    }
+
+    const now = Date.now();
+    const contact = {
+        id: newContactId(),
+        label: cleanLabel(label),
+        address,
+        pubkey: pubkey || null,
+        source: 'manual',
+        publishedAddress: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    book.contacts.push(contact);
+    await saveAddressBook(book);
+    return contact;
+}
+
+/**
+ * Update a contact's label and/or address
+ * @param {string} id
+ * @param {Object} updates - { label, address }
+ * @returns {Promise<Object>} The updated contact
+ */
+export async function updateContact(id, updates) {
+    const book = await loadAddressBook();
+    const contact = book.contacts.find(c => c.id === id);
+    if (!contact) {
+        throw new Error('Contact not found');
+    }
+
+    if ('address' in updates) {
+        const address = (updates.address || '').trim();
+        if (!isValidAddress(address)) {
+            throw new Error('Invalid Monero address');
+        }
+        if (book.contacts.some(c => c.id !== id && c.address === address)) {
+            throw new Error('This address is already in your address book');
+        }
+        contact.address = address;
+        // The user picked an address deliberately - clear the change flag
+        // if it now matches what the pubkey publishes
+        if (contact.publishedAddress === address) {
+            contact.publishedAddress = null;
+        }
+    }
+    if ('label' in updates) {
+        contact.label = cleanLabel(updates.label);
+    }
+
+    contact.updatedAt = Date.now();
+    await saveAddressBook(book);
+    return contact;
+}
+
+/**
+ * Replace a contact's saved address with the one its pubkey now publishes
+ * @param {string} id
+ * @returns {Promise<Object>} The updated contact
+ */
+export async function acceptPublishedAddress(id) {
+    const book = await loadAddressBook();
+    const contact = book.contacts.find(c => c.id === id);
+    if (!contact?.publishedAddress) {
+        throw new Error('No address change to accept');
+    }
+
+    contact.address = contact.publishedAddress;
+    contact.publishedAddress = null;
+    contact.updatedAt = Date.now();
+    await saveAddressBook(book);
+    return contact;
+}
+
+/**
+ * Delete a contact
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function removeContact(id) {
+    const book = await loadAddressBook();
+    book.contacts = book.contacts.filter(c => c.id !== id);
+    await saveAddressBook(book);
+}
+
+/**
+ * Add followed users' published addresses and flag linked contacts whose
+ * published address changed
+ * @param {Object} params
+ * @param {string[]} params.pubkeys - Followed pubkeys
+ * @param {Function} params.getAddress - async pubkey -> published Monero address or null
+ * @param {boolean} [params.force=false] - Ignore SYNC_INTERVAL_MS
+ * @returns {Promise<{added: number, changed: number}>}
+ */
+export async function syncFollowedContacts({ pubkeys, getAddress, force = false }) {
+    const result = { added: 0, changed: 0 };
+    let book = await loadAddressBook();
+    if (!force && Date.now() - (book.syncedAt || 0) < SYNC_INTERVAL_MS) {
+        return result;
+    }
+
+    // Followed users plus anyone already linked to a contact
+    const toCheck = [...new Set([...pubkeys, ...book.contacts.map(c => c.pubkey).filter(Boolean)])];
+    const published = new Map();
+
+    for (let i = 0; i < toCheck.length; i += SYNC_CONCURRENCY) {
+        const batch = toCheck.slice(i, i + SYNC_CONCURRENCY);
+        await Promise.all(batch.map(async (pubkey) => {
+            try {
+                const address = await getAddress(pubkey);
+                if (isValidAddress(address)) {
+                    published.set(pubkey, address);
+                }
+            } catch (e) {
+                console.warn('[AddressBook] Address lookup failed for', pubkey.slice(0, 8), e.message);
+            }
+        }));
+    }
+
+    // Reload in case the user edited contacts while lookups were running
+    book = await loadAddressBook();
+    const now = Date.now();
+
+    for (const [pubkey, address] of published) {
+        const contact = book.contacts.find(c => c.pubkey === pubkey);
+
+        if (!contact) {
+            if (book.contacts.some(c => c.address === address)) continue;
+            book.contacts.push({
+                id: newContactId(),
+                label: '',
+                address,
+                pubkey,
+                source: 'follow',
+                publishedAddress: null,
+                createdAt: now,
+                updatedAt: now
+            });
+            result.added++;
+        } else if (contact.address === address) {
+            contact.publishedAddress = null;
+        } else if (contact.publishedAddress !== address) {
+            contact.publishedAddress = address;
+            contact.updatedAt = now;
+            result.changed++;
+        }
+    }
+
+    book.syncedAt = now;
+    await saveAddressBook(book);
+    return result;
+}
@@ -314,3 +314,30 @@ export async function decryptWalletCache(privateViewKey, encrypted_data, iv, sal
         return null;
     }
 }
+
+/**
+ * Encrypt a JSON value using privateViewKey, for per-user data that gets the
+ * same protection as the wallet cache: the address book (who you pay),
+ * transaction notes and tip schedules
+ * @param {string} privateViewKey - Hex string of private view key
+ * @param {*} value - Anything JSON.stringify accepts
+ * @returns {Promise<{encrypted_data: Uint8Array, iv: Uint8Array, salt: Uint8Array}>}
+ */
+export async function encryptJson(privateViewKey, value) {
+    const data = new TextEncoder().encode(JSON.stringify(value));
+    return encryptWalletCache(privateViewKey, data);
+}
+
+/**
+ * Decrypt a value encrypted by encryptJson
+ * @param {string} privateViewKey - Hex string of private view key
+ * @param {Uint8Array} encrypted_data - Encrypted JSON
+ * @param {Uint8Array} iv - Initialization vector
+ * @param {Uint8Array} salt - PBKDF2 salt
+ * @returns {Promise<*|null>} The value, or null if it can't be decrypted
+ */
+export async function decryptJson(privateViewKey, encrypted_data, iv, salt) {
+    const data = await decryptWalletCache(privateViewKey, encrypted_data, iv, salt);
+    if (!data) return null;
+    return JSON.parse(new TextDecoder().decode(data));
+}
@@ -13,6 +13,9 @@
  *   // Restore from seed
  *   await wallet.restore(seedPhrase, '123456');
  *
+ *   // Watch incoming payments with address + private view key (cannot send)
+ *   await wallet.createViewOnly(primaryAddress, privateViewKey, '123456');
+ *
  *   // Unlock with PIN
  *   await wallet.unlock('123456');
  *
@@ -33,10 +36,12 @@ export {
     isWalletUnlocked,
     getPrimaryAddress,
     getRestoreHeight,
+    isViewOnly,
 
     // Wallet lifecycle
     createWallet as create,
     restoreWallet as restore,
+    createViewOnlyWallet as createViewOnly,
     deleteWallet as delete_,
     unlock,
     lock,
@@ -58,6 +63,18 @@ export {
     getCachedTxKey,
     sync,
 
+    // Address book storage
+    loadAddressBook,
+    saveAddressBook,
+
+    // Transaction labels/notes storage
+    loadTxNotes,
+    saveTxNotes,
+
+    // Recurring tip schedules storage
+    loadTipSchedules,
+    saveTipSchedules,
+
     // Utilities
     formatXMR,
     parseXMR,
@@ -74,6 +91,18 @@ export {
     UNLOCK_TIMEOUT_MS
 } from './monero-client.js';
 
+// Saved recipients (Nostr-linked contacts)
+export * as addressBook from './address-book.js';
+
+// Annotated, filterable and exportable transaction history
+export * as txHistory from './tx-history.js';
+
+// Shareable proofs of outgoing payments (txid + tx key)
+export * as paymentProof from './payment-proof.js';
+
+// Recurring tips to creators
+export * as tipSchedules from './tip-schedules.js';
+
 // Re-export storage functions for advanced use
 export * as storage from './storage.js';
 
@@ -225,6 +225,27 @@ export async function getRestoreHeight() {
     return walletData?.restore_height || 0;
 }
 
+/**
+ * Check if the stored wallet is view-only (available even when locked)
+ * @returns {Promise<boolean>}
+ */
+export async function isViewOnly() {
+    const currentPubkey = await getNostrPubkey();
+    if (!currentPubkey) return false;
+    const walletData = await storage.loadWallet(currentPubkey);
+    return !!walletData?.view_only;
+}
+
+/**
+ * Refuse to build or relay transactions from a view-only wallet
+ * @param {string} context - Operation name for the error
+ */
+function assertCanSpend(context) {
+    if (decryptedKeys && !decryptedKeys.privateSpendKey) {
+        throw new Error(`Cannot ${context}: this is a view-only wallet`);
+    }
+}
+
 /**
  * Create a new wallet
  * @param {string} pin - PIN to encrypt the wallet
@@ -400,6 +421,98 @@ export async function restoreWallet(seed, pin, restoreHeight = 0) {
     }
 }
 
+/**
+ * Add a view-only wallet from a primary address and private view key.
+ * It sees incoming transfers (and so balance, tips and subaddress usage)
+ * but holds no spend key, so it can never send. Outgoing transfers made
+ * from the full wallet are invisible to it.
+ * @param {string} primaryAddress - Primary address (starts with 4)
+ * @param {string} privateViewKey - Private view key (64 hex chars)
+ * @param {string} pin - PIN to encrypt the view key
+ * @param {number} [restoreHeight=0] - Block height to start scanning from
+ * @returns {Promise<{address: string}>}
+ */
+export async function createViewOnlyWallet(primaryAddress, privateViewKey, pin, restoreHeight = 0) {
+    const MoneroTS = getMoneroTS();
+
+    // Require logged in user
+    const currentPubkey = await getNostrPubkey();
+    if (!currentPubkey) {
+        throw new Error('Must be logged in to add a view-only wallet');
+    }
+
+    // Validate PIN
+    const pinCheck = walletCrypto.validatePIN(pin);
+    if (!pinCheck.valid) {
+        throw new Error(pinCheck.error);
+    }
+
+    // Check if wallet already exists for this user
+    if (await hasWallet()) {
+        throw new Error('Wallet already exists. Delete it first to add a view-only wallet.');
+    }
+
+    const address = validateAddress(primaryAddress, 'view-only wallet');
+    if (!address.startsWith('4') || address.length !== 95) {
+        throw new Error('Enter the primary address (starts with 4), not a subaddress or integrated address');
+    }
+
+    if (typeof privateViewKey !== 'string' || !/^[0-9a-fA-F]{64}$/.test(privateViewKey.trim())) {
+        throw new Error('Private view key must be 64 hex characters');
+    }
+    const viewKey = privateViewKey.trim().toLowerCase();
+
+    // Validate restore height
+    if (typeof restoreHeight !== 'number' || !Number.isInteger(restoreHeight) || restoreHeight < 0) {
+        throw new Error('Restore height must be a non-negative integer');
+    }
+
+    // Keys-only wallet from address + view key (no spend key = view-only)
+    const wallet = await MoneroTS.createWalletKeys({
+        networkType: MoneroTS.MoneroNetworkType.MAINNET,
+        primaryAddress: address,
+        privateViewKey: viewKey
+    });
+
+    try {
+        // The view key must belong to the address, otherwise nothing would ever be detected
+        if (await wallet.getPrimaryAddress() !== address) {
+            throw new Error('Private view key does not match this address');
+        }
+        const publicSpendKey = await wallet.getPublicSpendKey();
+        const publicViewKey = await wallet.getPublicViewKey();
+
+        // Encrypt keys with PIN
+        const { encrypted_keys, iv, salt } = await walletCrypto.encryptWalletKeys(pin, {
+            seed: null,
+            privateSpendKey: null,
+            privateViewKey: viewKey,
+            publicSpendKey,
+            publicViewKey
+        });
+
+        // Save to IndexedDB
+        await storage.saveWallet({
+            encrypted_keys,
+            iv,
+            salt,
+            primary_address: address,
+            restore_height: restoreHeight,
+            owner_pubkey: currentPubkey,
+            view_only: true
+        });
+
+        // Auto-unlock after creation
+        decryptedKeys = { seed: null, privateSpendKey: null, privateViewKey: viewKey, publicSpendKey, publicViewKey };
+        isUnlocked = true;
+        resetUnlockTimeout();
+
+        return { address };
+    } finally {
+        await wallet.close();
+    }
+}
+
 /**
  * Check if wallet is currently locked out due to too many failed PIN attempts
  * @returns {{locked: boolean, remainingMs: number, attempts: number}}
@@ -574,6 +687,9 @@ export function getSeed() {
     if (!isUnlocked || !decryptedKeys) {
         throw new Error('Wallet is locked');
     }
+    if (!decryptedKeys.seed) {
+        throw new Error('View-only wallets have no seed phrase');
+    }
     resetUnlockTimeout();
     return decryptedKeys.seed;
 }
@@ -706,7 +822,8 @@ export async function getFullWallet() {
                 networkType: MoneroTS.MoneroNetworkType.MAINNET,
                 primaryAddress: walletData.primary_address,
                 privateViewKey: decryptedKeys.privateViewKey,
-                privateSpendKey: decryptedKeys.privateSpendKey,
+                // Omitted for view-only wallets
+                ...(decryptedKeys.privateSpendKey ? { privateSpendKey: decryptedKeys.privateSpendKey } : {}),
                 restoreHeight: restoreHeight,
                 server: serverUri,
                 proxyToWorker: true
@@ -1001,6 +1118,8 @@ function getPriorityEnum(priority) {
  * @returns {Promise<{fee: bigint, amount: bigint, address: string, txHash: string}>}
  */
 export async function createTransaction(address, amount, priority = 'normal') {
+    assertCanSpend('create transaction');
+
     // Validate inputs before getting wallet
     const validatedAddress = validateAddress(address, 'createTransaction');
     const validatedAmount = validateAmount(amount, 'createTransaction');
@@ -1098,6 +1217,8 @@ export async function createTransaction(address, amount, priority = 'normal') {
  * @returns {Promise<{fee: bigint, totalAmount: bigint, destinations: Array, txHash: string}>}
  */
 export async function createBatchTransaction(destinations, priority = 'normal') {
+    assertCanSpend('create transaction');
+
     // Validate inputs
     if (!Array.isArray(destinations) || destinations.length === 0) {
         throw new Error('Destinations must be a non-empty array');
@@ -1213,6 +1334,7 @@ export async function createBatchTransaction(destinations, priority = 'normal')
  * @returns {Promise<{txHash: string, fee: bigint, txKey: string}>}
  */
 export async function relayTransaction(recipients = null) {
+    assertCanSpend('relay transaction');
     if (!pendingTx) {
         throw new Error('No pending transaction to relay');
     }
@@ -1391,6 +1513,8 @@ export function hasPendingTransaction() {
  * @returns {Promise<{txHash: string, fee: bigint}>}
  */
 export async function send(address, amount, priority = 'normal') {
+    assertCanSpend('send');
+
     // Validate inputs
     const validatedAddress = validateAddress(address, 'send');
     const validatedAmount = validateAmount(amount, 'send');
@@ -1420,6 +1544,8 @@ export async function send(address, amount, priority = 'normal') {
  * @returns {Promise<{txHash: string, amount: bigint, fee: bigint}>}
  */
 export async function sweepAll(address) {
+    assertCanSpend('sweep');
+
     // Validate address
     const validatedAddress = validateAddress(address, 'sweepAll');
 
@@ -1542,11 +1668,20 @@ export async function getTransactions(limit = 50) {
     let cachedTxs = [];
     try {
         const currentPubkey = await getNostrPubkey();
-        cachedTxs = await storage.getCachedTransactions(currentPubkey, 100);
+        cachedTxs = await storage.getCachedTransactions(currentPubkey, Math.max(100, limit));
     } catch (e) {
         console.warn('[MoneroClient] Could not get cached transactions:', e);
     }
 
+    // Attach recipient metadata saved when we sent the tx (tips)
+    const cachedByTxid = new Map(cachedTxs.map(cached => [cached.txid, cached]));
+    for (const tx of processed) {
+        const cached = cachedByTxid.get(tx.txid);
+        if (cached?.recipients) {
+            tx.recipients = cached.recipients;
+        }
+    }
+
     // Merge cached txs that aren't already in the processed list
     const processedTxids = new Set(processed.map(tx => tx.txid));
     for (const cached of cachedTxs) {
@@ -1559,7 +1694,8 @@ export async function getTransactions(limit = 50) {
                 isOutgoing: true,
                 amount: BigInt(cached.amount || '0'),
                 fee: BigInt(cached.fee || '0'),
-                confirmations: 0 // Will show as pending until it appears on-chain
+                confirmations: 0, // Will show as pending until it appears on-chain
+                recipients: cached.recipients || null
             });
         }
     }
@@ -1901,6 +2037,104 @@ export async function getCachedTxKey(txid) {
     }
 }
 
+/**
+ * Load and decrypt one of the per-user stores encrypted with the view key
+ * (requires unlock)
+ * @param {string} storeName - One of storage.STORES
+ * @param {Object} emptyValue - Returned when nothing has been saved yet
+ * @param {string} label - For the error message
+ * @returns {Promise<Object>}
+ */
+async function loadEncryptedStore(storeName, emptyValue, label) {
+    if (!isUnlocked || !decryptedKeys) {
+        throw new Error('Wallet is locked');
+    }
+
+    const currentPubkey = await getNostrPubkey();
+    const record = await storage.loadEncryptedRecord(storeName, currentPubkey);
+    if (!record) {
+        return emptyValue;
+    }
+
+    const value = await walletCrypto.decryptJson(
+        decryptedKeys.privateViewKey,
+        record.encrypted_data,
+        record.iv,
+        record.salt
+    );
+    if (!value) {
+        throw new Error(`Could not decrypt ${label}`);
+    }
+    return value;
+}
+
+/**
+ * Encrypt and save one of the per-user stores (requires unlock)
+ * @param {string} storeName - One of storage.STORES
+ * @param {Object} value
+ * @returns {Promise<void>}
+ */
+async function saveEncryptedStore(storeName, value) {
+    if (!isUnlocked || !decryptedKeys) {
+        throw new Error('Wallet is locked');
+    }
+
+    const currentPubkey = await getNostrPubkey();
+    const encrypted = await walletCrypto.encryptJson(decryptedKeys.privateViewKey, value);
+    await storage.saveEncryptedRecord(storeName, currentPubkey, encrypted);
+}
+
+/**
+ * Load and decrypt the address book (requires unlock)
+ * @returns {Promise<{contacts: Array, syncedAt: number}>}
+ */
+export async function loadAddressBook() {
+    return loadEncryptedStore(storage.STORES.ADDRESS_BOOK, { contacts: [], syncedAt: 0 }, 'address book');
+}
+
+/**
+ * Encrypt and save the address book (requires unlock)
+ * @param {{contacts: Array, syncedAt: number}} book
+ * @returns {Promise<void>}
+ */
+export async function saveAddressBook(book) {
+    return saveEncryptedStore(storage.STORES.ADDRESS_BOOK, book);
+}
+
+/**
+ * Load and decrypt transaction labels and notes (requires unlock)
+ * @returns {Promise<{txs: Object, disclosuresSyncedAt: number}>}
+ */
+export async function loadTxNotes() {
+    return loadEncryptedStore(storage.STORES.TX_NOTES, { txs: {}, disclosuresSyncedAt: 0 }, 'transaction notes');
+}
+
+/**
+ * Encrypt and save transaction labels and notes (requires unlock)
+ * @param {{txs: Object, disclosuresSyncedAt: number}} notes
+ * @returns {Promise<void>}
+ */
+export async function saveTxNotes(notes) {
+    return saveEncryptedStore(storage.STORES.TX_NOTES, notes);
+}
+
+/**
+ * Load and decrypt recurring tip schedules (requires unlock)
+ * @returns {Promise<{schedules: Array}>}
+ */
+export async function loadTipSchedules() {
+    return loadEncryptedStore(storage.STORES.TIP_SCHEDULES, { schedules: [] }, 'tip schedules');
+}
+
+/**
+ * Encrypt and save recurring tip schedules (requires unlock)
+ * @param {{schedules: Array}} data
+ * @returns {Promise<void>}
+ */
+export async function saveTipSchedules(data) {
+    return saveEncryptedStore(storage.STORES.TIP_SCHEDULES, data);
+}
+
 /**
  * Get pending (unconfirmed) transactions with confirmation counts
  * Monero requires 10 confirmations for funds to be spendable
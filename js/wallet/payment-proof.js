@@ -0,0 +1,134 @@
+/**
+ * Nosmero Wallet - Payment Proofs
+ *
+ * A proof bundle is the txid, tx key, recipient address and amount of one
+ * payment. Anyone holding it can check on-chain (via the API's wallet RPC
+ * quorum) that the address received the amount - without any spend or view
+ * key. Bundles are plain JSON so they can be pasted into DMs or attached
+ * to a dispute.
+ */
+
+const PROOF_TYPE = 'nosmero-payment-proof';
+const PROOF_VERSION = 1;
+const VERIFY_PROOF_URL = '/api/verify-proof';
+
+const HEX64_REGEX = /^[0-9a-fA-F]{64}$/;
+const ADDRESS_REGEX = /^[48][1-9A-HJ-NP-Za-km-z]{94,105}$/;
+const AMOUNT_REGEX = /^\d+(\.\d{1,12})?$/;
+
+/**
+ * Build a proof bundle for one recipient of an outgoing transaction
+ * @param {Object} params
+ * @param {string} params.txid
+ * @param {string} params.txKey - Transaction secret key
+ * @param {string} params.address - Recipient address
+ * @param {string} params.amount - XMR amount sent to this address (decimal string)
+ * @param {string} [params.noteId] - Nostr note the payment tipped or unlocked
+ * @returns {Object} Proof bundle
+ */
+export function createProofBundle({ txid, txKey, address, amount, noteId = null }) {
+    const bundle = {
+        type: PROOF_TYPE,
+        version: PROOF_VERSION,
+        txid,
+        tx_key: txKey,
+        recipient_address: address,
+        amount: String(amount),
+        created_at: Math.floor(Date.now() / 1000)
+    };
+    if (noteId) {
+        bundle.note_id = noteId;
+    }
+    validateBundle(bundle);
+    return bundle;
+}
+
+function validateBundle(bundle) {
+    if (!HEX64_REGEX.test(bundle.txid || '')) {
+        throw new Error('Invalid transaction ID in proof');
+    }
+    if (!HEX64_REGEX.test(bundle.tx_key || '')) {
+        throw new Error('Invalid or missing tx key in proof');
+    }
+    if (!ADDRESS_REGEX.test(bundle.recipient_address || '')) {
+        throw new Error('Invalid recipient address in proof');
+    }
+    if (!AMOUNT_REGEX.test(bundle.amount || '') || parseFloat(bundle.amount) <= 0) {
+        throw new Error('Invalid amount in proof');
+    }
+}
+
+/**
+ * Serialize a bundle for sharing
+ * @param {Object} bundle
+ * @returns {string}
+ */
+export function encodeProof(bundle) {
+    return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Parse and validate a pasted proof bundle
+ * @param {string} text
+ * @returns {Object} Proof bundle
+ */
+export function parseProof(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse((text || '').trim());
+    } catch (e) {
+        throw new Error('Not a payment proof (expected JSON)');
+    }
+
+    if (!bundle || typeof bundle !== 'object' || bundle.type !== PROOF_TYPE) {
+        throw new Error('Not a Nosmero payment proof');
+    }
+    if (bundle.version !== PROOF_VERSION) {
+        throw new Error(`Unsupported proof version: ${bundle.version}`);
+    }
+
+    bundle.txid = String(bundle.txid || '').trim();
+    bundle.tx_key = String(bundle.tx_key || '').trim();
+    bundle.recipient_address = String(bundle.recipient_address || '').trim();
+    bundle.amount = String(bundle.amount ?? '').trim();
+    validateBundle(bundle);
+    return bundle;
+}
+
+/**
+ * Check a bundle against the chain through the API
+ * @param {Object} bundle - From parseProof()
+ * @returns {Promise<Object>} { valid, verifiedAmount, confirmations, confirmed, requiredConfirmations, status } or { valid: false, error }
+ */
+export async function checkProof(bundle) {
+    const response = await fetch(VERIFY_PROOF_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            txid: bundle.txid,
+            tx_key: bundle.tx_key,
+            recipient_address: bundle.recipient_address,
+            amount: bundle.amount
+        })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 503 || response.status === 429) {
+        throw new Error(data.error || 'Verification service unavailable. Please try again.');
+    }
+
+    if (!data.valid) {
+        return { valid: false, error: data.error || 'Proof could not be verified' };
+    }
+
+    return {
+        valid: true,
+        verifiedAmount: data.verified_amount,
+        confirmations: data.confirmations,
+        inTxPool: data.in_tx_pool,
+        confirmed: data.confirmed,
+        requiredConfirmations: data.required_confirmations,
+        status: data.status
+    };
+}
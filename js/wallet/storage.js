@@ -6,14 +6,17 @@
  */
 
 const DB_NAME = 'nosmero-wallet';
-const DB_VERSION = 2; // Bumped for wallet_cache store
+const DB_VERSION = 5; // Bumped for tip_schedules store
 
 // Object store names
 const STORES = {
     WALLET: 'wallet',           // Encrypted keys and wallet metadata
     SYNC: 'sync_state',         // Blockchain sync progress
     TX_CACHE: 'tx_cache',       // Cached transaction data
-    WALLET_CACHE: 'wallet_cache' // Full wallet state for delta sync
+    WALLET_CACHE: 'wallet_cache', // Full wallet state for delta sync
+    ADDRESS_BOOK: 'address_book', // Encrypted saved recipients
+    TX_NOTES: 'tx_notes',         // Encrypted transaction labels and notes
+    TIP_SCHEDULES: 'tip_schedules' // Encrypted recurring tip schedules
 };
 
 let db = null;
@@ -63,6 +66,21 @@ export async function initDB() {
             if (!database.objectStoreNames.contains(STORES.WALLET_CACHE)) {
                 database.createObjectStore(STORES.WALLET_CACHE, { keyPath: 'id' });
             }
+
+            // Address book - encrypted with the view key, one record per user
+            if (!database.objectStoreNames.contains(STORES.ADDRESS_BOOK)) {
+                database.createObjectStore(STORES.ADDRESS_BOOK, { keyPath: 'id' });
+            }
+
+            // Transaction labels/notes - encrypted with the view key, one record per user
+            if (!database.objectStoreNames.contains(STORES.TX_NOTES)) {
+                database.createObjectStore(STORES.TX_NOTES, { keyPath: 'id' });
+            }
+
+            // Recurring tip schedules - encrypted with the view key, one record per user
+            if (!database.objectStoreNames.contains(STORES.TIP_SCHEDULES)) {
+                database.createObjectStore(STORES.TIP_SCHEDULES, { keyPath: 'id' });
+            }
         };
     });
 }
@@ -99,6 +117,7 @@ export async function walletExists(pubkey) {
  * @param {string} walletData.primary_address - Primary wallet address (safe to store plaintext)
  * @param {number} [walletData.restore_height] - Blockchain height when wallet was created
  * @param {string} walletData.owner_pubkey - Nostr pubkey of wallet owner (required)
+ * @param {boolean} [walletData.view_only] - Wallet was added from address + view key (cannot send)
  * @returns {Promise<void>}
  */
 export async function saveWallet(walletData) {
@@ -120,6 +139,7 @@ export async function saveWallet(walletData) {
             restore_height: walletData.restore_height || 0,
             nextSubaddressIndex: walletData.nextSubaddressIndex || 1, // Start at 1, index 0 is primary
             owner_pubkey: walletData.owner_pubkey,
+            view_only: walletData.view_only || false, // No spend key - receive/watch only
             created_at: Date.now(),
             updated_at: Date.now()
         };
@@ -166,12 +186,16 @@ export async function deleteWallet(pubkey) {
 
     await initDB();
     return new Promise((resolve, reject) => {
-        const tx = db.transaction([STORES.WALLET, STORES.SYNC, STORES.TX_CACHE, STORES.WALLET_CACHE], 'readwrite');
+        const tx = db.transaction([STORES.WALLET, STORES.SYNC, STORES.TX_CACHE, STORES.WALLET_CACHE, STORES.ADDRESS_BOOK, STORES.TX_NOTES, STORES.TIP_SCHEDULES], 'readwrite');
 
-        // Delete only this user's wallet data
+        // Delete only this user's wallet data. The address book is encrypted
+        // with this wallet's view key, so it can't outlive the wallet.
         tx.objectStore(STORES.WALLET).delete(pubkey);
         tx.objectStore(STORES.SYNC).delete(pubkey);
         tx.objectStore(STORES.WALLET_CACHE).delete(pubkey);
+        tx.objectStore(STORES.ADDRESS_BOOK).delete(pubkey);
+        tx.objectStore(STORES.TX_NOTES).delete(pubkey);
+        tx.objectStore(STORES.TIP_SCHEDULES).delete(pubkey);
 
         // Delete only this user's cached transactions (keys are prefixed with pubkey:txid)
         const txStore = tx.objectStore(STORES.TX_CACHE);
@@ -529,5 +553,64 @@ export async function clearSyncCheckpoint(pubkey) {
     });
 }
 
+/**
+ * Save a per-user record encrypted with the view key (address book,
+ * transaction notes, tip schedules)
+ * @param {string} storeName - One of STORES.ADDRESS_BOOK, STORES.TX_NOTES, STORES.TIP_SCHEDULES
+ * @param {string} pubkey - Nostr pubkey of wallet owner
+ * @param {Object} encrypted - Output of encryptJson
+ * @param {Uint8Array} encrypted.encrypted_data - AES-GCM encrypted data
+ * @param {Uint8Array} encrypted.iv - Initialization vector
+ * @param {Uint8Array} encrypted.salt - PBKDF2 salt
+ * @returns {Promise<void>}
+ */
+export async function saveEncryptedRecord(storeName, pubkey, encrypted) {
+    if (!pubkey) {
+        throw new Error(`pubkey is required to save ${storeName}`);
+    }
+
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+
+        const record = {
+            id: pubkey,
+            encrypted_data: encrypted.encrypted_data,
+            iv: encrypted.iv,
+            salt: encrypted.salt,
+            updated_at: Date.now()
+        };
+
+        const request = store.put(record);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Load a per-user record saved by saveEncryptedRecord
+ * @param {string} storeName - One of STORES.ADDRESS_BOOK, STORES.TX_NOTES, STORES.TIP_SCHEDULES
+ * @param {string} pubkey - Nostr pubkey of wallet owner
+ * @returns {Promise<Object|null>} Encrypted record or null if none saved
+ */
+export async function loadEncryptedRecord(storeName, pubkey) {
+    if (!pubkey) {
+        return null;
+    }
+
+    await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readonly');
+        const store = tx.objectStore(storeName);
+        const request = store.get(pubkey);
+
+        request.onsuccess = () => {
+            resolve(request.result || null);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // Export store names for direct access if needed
 export { STORES, DB_NAME };
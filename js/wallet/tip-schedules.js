@@ -0,0 +1,245 @@
+/**
+ * Nosmero Wallet - Recurring Tips
+ *
+ * Schedules to tip a creator a fixed amount every week or month, encrypted
+ * at rest with the view key like the address book. Nothing is sent
+ * automatically: schedules that come due are offered as a pre-filled batch
+ * send the next time the wallet is unlocked, and every period is recorded
+ * as sent or skipped.
+ *
+ * Schedule shape:
+ *   { id, label, address, pubkey, amount, cadence: 'weekly'|'monthly',
+ *     noteId, nextDueAt, active, createdAt, periods: [...] }
+ * Period shape:
+ *   { dueAt, amount, status: 'sent'|'skipped', txid, reason, at }
+ */
+
+import { loadTipSchedules, saveTipSchedules } from './monero-client.js';
+
+export const CADENCES = ['weekly', 'monthly'];
+export const MAX_SCHEDULES = 20; // Same cap as the zap queue (one batch tx)
+// Keep this many periods of history per schedule
+const MAX_PERIODS = 60;
+const MAX_LABEL_LENGTH = 64;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ADDRESS_REGEX = /^[48][1-9A-HJ-NP-Za-km-z]{94,105}$/;
+const AMOUNT_REGEX = /^\d+(\.\d{1,12})?$/;
+const HEX64_REGEX = /^[0-9a-f]{64}$/;
+
+function newScheduleId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Due time of the period after `dueAt`. Monthly schedules keep their day
+ * of month, falling back to the last day in shorter months.
+ * @param {number} dueAt - Unix ms
+ * @param {string} cadence
+ * @param {number} [anchorDay] - Day of month the schedule started on
+ * @returns {number} Unix ms
+ */
+export function nextDueAfter(dueAt, cadence, anchorDay = new Date(dueAt).getDate()) {
+    if (cadence === 'weekly') {
+        return dueAt + WEEK_MS;
+    }
+
+    const date = new Date(dueAt);
+    const year = date.getFullYear();
+    const month = date.getMonth() + 1;
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    date.setDate(1);
+    date.setMonth(month);
+    date.setDate(Math.min(anchorDay, lastDay));
+    return date.getTime();
+}
+
+function validateSchedule({ address, amount, cadence, pubkey, noteId }) {
+    if (!ADDRESS_REGEX.test(address || '')) {
+        throw new Error('Invalid Monero address');
+    }
+    if (!AMOUNT_REGEX.test(amount || '') || parseFloat(amount) <= 0) {
+        throw new Error('Enter a valid XMR amount');
+    }
+    if (!CADENCES.includes(cadence)) {
+        throw new Error('Cadence must be weekly or monthly');
+    }
+    if (pubkey && !HEX64_REGEX.test(pubkey)) {
+        throw new Error('Invalid Nostr pubkey');
+    }
+    if (noteId && !HEX64_REGEX.test(noteId)) {
+        throw new Error('Invalid note ID');
+    }
+}
+
+/**
+ * Record a period and move the schedule to its next one. Periods that
+ * passed while the wallet wasn't unlocked are recorded as skipped.
+ */
+function closePeriod(schedule, entry, now) {
+    const anchorDay = new Date(schedule.createdAt).getDate();
+    schedule.periods.push({ dueAt: schedule.nextDueAt, amount: schedule.amount, ...entry, at: now });
+    schedule.nextDueAt = nextDueAfter(schedule.nextDueAt, schedule.cadence, anchorDay);
+
+    while (schedule.nextDueAt <= now) {
+        schedule.periods.push({ dueAt: schedule.nextDueAt, amount: schedule.amount, status: 'skipped', txid: null, reason: 'missed', at: now });
+        schedule.nextDueAt = nextDueAfter(schedule.nextDueAt, schedule.cadence, anchorDay);
+    }
+
+    schedule.periods = schedule.periods.slice(-MAX_PERIODS);
+}
+
+/**
+ * Get all schedules
+ * @returns {Promise<Array>}
+ */
+export async function getSchedules() {
+    const data = await loadTipSchedules();
+    return data.schedules;
+}
+
+/**
+ * Create a schedule. The first period is due immediately.
+ * @param {Object} params
+ * @param {string} params.address - Fallback address (the pubkey's published one is preferred when sending)
+ * @param {string} params.amount - XMR per period (decimal string)
+ * @param {string} params.cadence - 'weekly' or 'monthly'
+ * @param {string} [params.label] - Creator name
+ * @param {string} [params.pubkey] - Creator's Nostr pubkey (enables disclosures)
+ * @param {string} [params.noteId] - Note to reference in disclosures
+ * @returns {Promise<Object>} The saved schedule
+ */
+export async function addSchedule({ address, amount, cadence, label = '', pubkey = null, noteId = null }) {
+    address = (address || '').trim();
+    amount = String(amount ?? '').trim();
+    validateSchedule({ address, amount, cadence, pubkey, noteId });
+
+    const data = await loadTipSchedules();
+    if (data.schedules.length >= MAX_SCHEDULES) {
+        throw new Error(`You can have at most ${MAX_SCHEDULES} recurring tips`);
+    }
+    if (data.schedules.some(s => (pubkey && s.pubkey === pubkey) || s.address === address)) {
+        throw new Error('You already have a recurring tip for this creator');
+    }
+
+    const now = Date.now();
+    const schedule = {
+        id: newScheduleId(),
+        label: (label || '').trim().slice(0, MAX_LABEL_LENGTH),
+        address,
+        pubkey: pubkey || null,
+        amount,
+        cadence,
+        noteId: noteId || null,
+        nextDueAt: now,
+        active: true,
+        createdAt: now,
+        periods: []
+    };
+
+    data.schedules.push(schedule);
+    await saveTipSchedules(data);
+    return schedule;
+}
+
+/**
+ * Change a schedule's amount, cadence, label or paused state
+ * @param {string} id
+ * @param {Object} updates - { amount, cadence, label, active }
+ * @returns {Promise<Object>} The updated schedule
+ */
+export async function updateSchedule(id, updates) {
+    const data = await loadTipSchedules();
+    const schedule = data.schedules.find(s => s.id === id);
+    if (!schedule) {
+        throw new Error('Recurring tip not found');
+    }
+
+    const next = { ...schedule, ...updates };
+    next.amount = String(next.amount).trim();
+    validateSchedule(next);
+
+    schedule.amount = next.amount;
+    schedule.cadence = next.cadence;
+    schedule.label = (next.label || '').trim().slice(0, MAX_LABEL_LENGTH);
+
+    // Resuming doesn't bill for the paused periods
+    if (updates.active === true && !schedule.active) {
+        const now = Date.now();
+        const anchorDay = new Date(schedule.createdAt).getDate();
+        while (schedule.nextDueAt < now) {
+            schedule.nextDueAt = nextDueAfter(schedule.nextDueAt, schedule.cadence, anchorDay);
+        }
+    }
+    schedule.active = next.active !== false;
+
+    await saveTipSchedules(data);
+    return schedule;
+}
+
+/**
+ * Delete a schedule (and its history)
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function removeSchedule(id) {
+    const data = await loadTipSchedules();
+    data.schedules = data.schedules.filter(s => s.id !== id);
+    await saveTipSchedules(data);
+}
+
+/**
+ * Active schedules whose current period is due
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Array>}
+ */
+export async function getDueSchedules(now = Date.now()) {
+    const schedules = await getSchedules();
+    return schedules.filter(s => s.active && s.nextDueAt <= now);
+}
+
+/**
+ * Record the current period of each schedule as sent
+ * @param {string[]} ids
+ * @param {string} txid - Batch transaction that paid them
+ * @returns {Promise<void>}
+ */
+export async function markSent(ids, txid) {
+    const data = await loadTipSchedules();
+    const now = Date.now();
+    for (const schedule of data.schedules) {
+        if (ids.includes(schedule.id) && schedule.nextDueAt <= now) {
+            closePeriod(schedule, { status: 'sent', txid, reason: null }, now);
+        }
+    }
+    await saveTipSchedules(data);
+}
+
+/**
+ * Record the current period of each schedule as skipped
+ * @param {string[]} ids
+ * @param {string} [reason='skipped'] - Why ('skipped' by the user, 'no-address', ...)
+ * @returns {Promise<void>}
+ */
+export async function markSkipped(ids, reason = 'skipped') {
+    const data = await loadTipSchedules();
+    const now = Date.now();
+    for (const schedule of data.schedules) {
+        if (ids.includes(schedule.id) && schedule.nextDueAt <= now) {
+            closePeriod(schedule, { status: 'skipped', txid: null, reason }, now);
+        }
+    }
+    await saveTipSchedules(data);
+}
+
+/**
+ * Sent and skipped periods across all schedules, newest first
+ * @returns {Promise<Array>} Periods with scheduleId, label, address, pubkey
+ */
+export async function getPeriodHistory() {
+    const schedules = await getSchedules();
+    return schedules
+        .flatMap(s => s.periods.map(p => ({ scheduleId: s.id, label: s.label, address: s.address, pubkey: s.pubkey, ...p })))
+        .sort((a, b) => b.dueAt - a.dueAt);
+}
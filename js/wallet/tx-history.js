@@ -0,0 +1,297 @@
+/**
+ * Nosmero Wallet - Transaction History
+ *
+ * Per-transaction labels and free-text notes (encrypted at rest with the
+ * view key, like the address book), links between transactions and the
+ * Nostr notes they tipped, filtering, and CSV/JSON export for tax reporting.
+ *
+ * Annotation shape (keyed by txid):
+ *   { label, note, noteId, counterpartyPubkey, linkSource: 'manual'|'disclosure', updatedAt }
+ * A manual link is never overwritten by a kind 9736 disclosure.
+ */
+
+import { getTransactions, loadTxNotes, saveTxNotes } from './monero-client.js';
+import { getContacts } from './address-book.js';
+
+// Rows loaded for the history view and exports
+export const HISTORY_LIMIT = 1000;
+const MAX_LABEL_LENGTH = 64;
+const MAX_NOTE_LENGTH = 1000;
+
+const TXID_REGEX = /^[0-9a-f]{64}$/i;
+const HEX64_REGEX = /^[0-9a-f]{64}$/;
+
+function checkTxid(txid) {
+    if (typeof txid !== 'string' || !TXID_REGEX.test(txid)) {
+        throw new Error('Invalid transaction ID format (must be 64 hex characters)');
+    }
+    return txid.toLowerCase();
+}
+
+/**
+ * Format atomic units as an exact XMR decimal string (no float rounding)
+ * @param {bigint} atomicUnits
+ * @returns {string}
+ */
+function atomicToXMR(atomicUnits) {
+    const value = BigInt(atomicUnits || 0);
+    const whole = value / 1000000000000n;
+    const frac = (value % 1000000000000n).toString().padStart(12, '0');
+    return `${whole}.${frac}`;
+}
+
+/**
+ * Get all annotations keyed by txid
+ * @returns {Promise<Object>}
+ */
+export async function getAnnotations() {
+    const notes = await loadTxNotes();
+    return notes.txs;
+}
+
+/**
+ * Set a transaction's label and/or note
+ * @param {string} txid
+ * @param {Object} updates - { label, note }
+ * @returns {Promise<Object>} The updated annotation
+ */
+export async function annotateTransaction(txid, updates) {
+    txid = checkTxid(txid);
+    const notes = await loadTxNotes();
+    const entry = notes.txs[txid] || {};
+
+    if ('label' in updates) {
+        entry.label = (updates.label || '').trim().slice(0, MAX_LABEL_LENGTH);
+    }
+    if ('note' in updates) {
+        entry.note = (updates.note || '').trim().slice(0, MAX_NOTE_LENGTH);
+    }
+
+    entry.updatedAt = Date.now();
+    notes.txs[txid] = entry;
+    await saveTxNotes(notes);
+    return entry;
+}
+
+/**
+ * Link a transaction to the Nostr note it tipped (or unlink with noteId = null)
+ * @param {string} txid
+ * @param {string|null} noteId - Event id (hex)
+ * @param {string} [counterpartyPubkey] - Other party's pubkey (hex)
+ * @returns {Promise<Object>} The updated annotation
+ */
+export async function linkTransactionToNote(txid, noteId, counterpartyPubkey = null) {
+    txid = checkTxid(txid);
+    if (noteId && !HEX64_REGEX.test(noteId)) {
+        throw new Error('Invalid note ID');
+    }
+    if (counterpartyPubkey && !HEX64_REGEX.test(counterpartyPubkey)) {
+        throw new Error('Invalid Nostr pubkey');
+    }
+
+    const notes = await loadTxNotes();
+    const entry = notes.txs[txid] || {};
+    entry.noteId = noteId || null;
+    entry.counterpartyPubkey = counterpartyPubkey || entry.counterpartyPubkey || null;
+    entry.linkSource = noteId ? 'manual' : null;
+    entry.updatedAt = Date.now();
+    notes.txs[txid] = entry;
+    await saveTxNotes(notes);
+    return entry;
+}
+
+/**
+ * Link transactions to notes from kind 9736 tip disclosures. Disclosures we
+ * signed link our sends; disclosures tagging us link tips we received, but
+ * only once their proof checked out (anyone can tag us with our txids).
+ * @param {Array} events - Kind 9736 events
+ * @param {string} ownPubkey - Current user's pubkey
+ * @param {Set<string>} [verifiedIds] - Ids of received disclosures whose proof verified
+ * @returns {Promise<number>} Number of transactions newly linked
+ */
+export async function applyDisclosures(events, ownPubkey, verifiedIds = new Set()) {
+    const notes = await loadTxNotes();
+    let linked = 0;
+
+    for (const event of events) {
+        if (event?.kind !== 9736 || !Array.isArray(event.tags)) continue;
+        const tag = (name) => event.tags.find(t => t[0] === name)?.[1] || null;
+
+        const txid = tag('txid');
+        const noteId = tag('e');
+        if (!txid || !TXID_REGEX.test(txid) || !noteId || !HEX64_REGEX.test(noteId)) continue;
+
+        const sender = tag('P') || event.pubkey;
+        const recipient = tag('p');
+        let counterpartyPubkey;
+        if (event.pubkey === ownPubkey) {
+            counterpartyPubkey = recipient;
+        } else if (recipient === ownPubkey && verifiedIds.has(event.id)) {
+            counterpartyPubkey = sender;
+        } else {
+            continue;
+        }
+
+        const key = txid.toLowerCase();
+        const entry = notes.txs[key] || {};
+        if (entry.linkSource === 'manual' || entry.noteId === noteId) continue;
+
+        entry.noteId = noteId;
+        entry.counterpartyPubkey = HEX64_REGEX.test(counterpartyPubkey || '') ? counterpartyPubkey : null;
+        entry.linkSource = 'disclosure';
+        entry.updatedAt = Date.now();
+        notes.txs[key] = entry;
+        linked++;
+    }
+
+    notes.disclosuresSyncedAt = Date.now();
+    await saveTxNotes(notes);
+    return linked;
+}
+
+/**
+ * When disclosures were last applied
+ * @returns {Promise<number>} Unix ms, 0 if never
+ */
+export async function getDisclosuresSyncedAt() {
+    const notes = await loadTxNotes();
+    return notes.disclosuresSyncedAt || 0;
+}
+
+/**
+ * Load transactions merged with annotations and counterparty details
+ * @param {number} [limit=HISTORY_LIMIT]
+ * @returns {Promise<Array>} Newest first
+ */
+export async function getHistory(limit = HISTORY_LIMIT) {
+    const [txs, annotations, contacts] = await Promise.all([
+        getTransactions(limit),
+        getAnnotations(),
+        getContacts().catch(() => [])
+    ]);
+
+    const contactsByAddress = new Map(contacts.map(c => [c.address, c]));
+    const contactsByPubkey = new Map(contacts.filter(c => c.pubkey).map(c => [c.pubkey, c]));
+
+    return txs.map(tx => {
+        const annotation = annotations[(tx.txid || '').toLowerCase()] || {};
+        const recipients = tx.recipients || [];
+
+        // Outgoing tips remember who we paid; otherwise fall back to the linked pubkey
+        const counterpartyAddress = recipients.map(r => r.address).filter(Boolean).join(' ') || null;
+        const counterpartyPubkey = annotation.counterpartyPubkey || null;
+        const contact = (counterpartyPubkey && contactsByPubkey.get(counterpartyPubkey))
+            || (recipients.length === 1 && contactsByAddress.get(recipients[0].address))
+            || null;
+        const counterpartyName = contact?.label
+            || recipients.map(r => r.authorName).filter(Boolean).join(', ')
+            || null;
+
+        return {
+            ...tx,
+            direction: tx.isIncoming ? 'in' : 'out',
+            label: annotation.label || '',
+            note: annotation.note || '',
+            noteId: annotation.noteId || (recipients.length === 1 ? recipients[0].noteId || null : null),
+            linkSource: annotation.linkSource || (recipients.length === 1 && recipients[0].noteId ? 'sent' : null),
+            counterpartyPubkey,
+            counterpartyAddress,
+            counterpartyName
+        };
+    });
+}
+
+/**
+ * Filter history entries
+ * @param {Array} entries - From getHistory()
+ * @param {Object} filters
+ * @param {string} [filters.direction] - 'in' or 'out'
+ * @param {number} [filters.from] - Unix seconds, inclusive
+ * @param {number} [filters.to] - Unix seconds, inclusive
+ * @param {bigint} [filters.minAmount] - Atomic units
+ * @param {bigint} [filters.maxAmount] - Atomic units
+ * @param {string} [filters.counterparty] - Matches name, pubkey or address
+ * @param {string} [filters.query] - Matches label, note or txid
+ * @returns {Array}
+ */
+export function filterHistory(entries, filters = {}) {
+    const counterparty = (filters.counterparty || '').trim().toLowerCase();
+    const query = (filters.query || '').trim().toLowerCase();
+
+    return entries.filter(entry => {
+        if (filters.direction && entry.direction !== filters.direction) return false;
+
+        // Pending txs have no timestamp yet - keep them unless a date range is set
+        if (filters.from && !(entry.timestamp >= filters.from)) return false;
+        if (filters.to && !(entry.timestamp <= filters.to)) return false;
+
+        const amount = BigInt(entry.amount || 0);
+        if (filters.minAmount != null && amount < filters.minAmount) return false;
+        if (filters.maxAmount != null && amount > filters.maxAmount) return false;
+
+        if (counterparty) {
+            const haystack = [entry.counterpartyName, entry.counterpartyPubkey, entry.counterpartyAddress]
+                .filter(Boolean).join(' ').toLowerCase();
+            if (!haystack.includes(counterparty)) return false;
+        }
+
+        if (query) {
+            const haystack = [entry.label, entry.note, entry.txid].filter(Boolean).join(' ').toLowerCase();
+            if (!haystack.includes(query)) return false;
+        }
+
+        return true;
+    });
+}
+
+function toExportRow(entry) {
+    return {
+        date: entry.timestamp ? new Date(entry.timestamp * 1000).toISOString() : '',
+        txid: entry.txid || '',
+        direction: entry.direction,
+        amount_xmr: atomicToXMR(entry.amount),
+        fee_xmr: entry.direction === 'out' && entry.fee != null ? atomicToXMR(entry.fee) : '',
+        confirmations: entry.confirmations || 0,
+        height: entry.height || '',
+        label: entry.label,
+        note: entry.note,
+        counterparty: entry.counterpartyName || '',
+        counterparty_pubkey: entry.counterpartyPubkey || '',
+        counterparty_address: entry.counterpartyAddress || '',
+        nostr_note_id: entry.noteId || ''
+    };
+}
+
+function csvCell(value) {
+    const str = String(value ?? '');
+    // Quote anything with separators, and defuse spreadsheet formulas
+    const safe = /^[=+\-@\t\r]/.test(str) ? `'${str}` : str;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Export history entries as CSV
+ * @param {Array} entries - From getHistory()/filterHistory()
+ * @returns {string}
+ */
+export function toCSV(entries) {
+    const rows = entries.map(toExportRow);
+    const columns = Object.keys(toExportRow({ direction: '' }));
+    return [
+        columns.join(','),
+        ...rows.map(row => columns.map(col => csvCell(row[col])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+/**
+ * Export history entries as JSON
+ * @param {Array} entries - From getHistory()/filterHistory()
+ * @returns {string}
+ */
+export function toJSON(entries) {
+    return JSON.stringify({
+        exported_at: new Date().toISOString(),
+        count: entries.length,
+        transactions: entries.map(toExportRow)
+    }, null, 2);
+}